@@ -33,6 +33,12 @@ const PostHarvestReportPage = lazy(() => import('./pages/PostHarvestReportPage')
 const HealthLogPage = lazy(() => import('./pages/HealthLogPage'));
 const TaskManagementPage = lazy(() => import('./pages/TaskManagementPage'));
 const AlertRulesPage = lazy(() => import('./pages/AlertRulesPage'));
+const WaterQualityProfilesPage = lazy(() => import('./pages/WaterQualityProfilesPage'));
+const SensorDevicesPage = lazy(() => import('./pages/SensorDevicesPage'));
+const SopTemplatesPage = lazy(() => import('./pages/SopTemplatesPage'));
+const SalesLedgerPage = lazy(() => import('./pages/SalesLedgerPage'));
+const InvoicePrintPage = lazy(() => import('./pages/InvoicePrintPage'));
+const AssetRegisterPage = lazy(() => import('./pages/AssetRegisterPage'));
 
 // Loading component for suspense
 const LoadingComponent = () => (
@@ -106,6 +112,15 @@ const AppContent: React.FC = () => {
                       <Route path='/health' element={<HealthLogPage />} />
                       <Route path='/tasks' element={<TaskManagementPage />} />
                       <Route path='/alert-rules' element={<AlertRulesPage />} />
+                      <Route
+                        path='/water-quality-profiles'
+                        element={<WaterQualityProfilesPage />}
+                      />
+                      <Route path='/sensors' element={<SensorDevicesPage />} />
+                      <Route path='/sop-templates' element={<SopTemplatesPage />} />
+                      <Route path='/sales-ledger' element={<SalesLedgerPage />} />
+                      <Route path='/invoices/:id/print' element={<InvoicePrintPage />} />
+                      <Route path='/assets' element={<AssetRegisterPage />} />
                     </Routes>
                   </Suspense>
                 </AnimatePresence>
@@ -0,0 +1,195 @@
+import { Edit as EditIcon } from '@mui/icons-material';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Grid,
+  IconButton,
+  LinearProgress,
+  TextField,
+  Typography
+} from '@mui/material';
+import React, { useState, useEffect } from 'react';
+
+import { useSeason } from '../context/SeasonContext';
+import { getBudgetVsActual, updateSeasonBudget } from '../services/api';
+
+const LINE_LABELS = {
+  feeds: 'Feed',
+  chemicals: 'Chemicals',
+  labor: 'Labor',
+  equipment: 'Equipment',
+  other: 'Other (incl. seed)'
+};
+
+const money = value => `$${value.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+
+const lineColor = line => {
+  if (line.percentUsed === null) return 'inherit';
+  if (line.percentUsed >= 100) return 'error';
+  if (line.percentUsed >= 80 || line.projectedOverrun > 0) return 'warning';
+  return 'success';
+};
+
+// Season budget lines against actual spend, with burn rate and projected end-of-season overrun
+const BudgetVsActualWidget = () => {
+  const { selectedSeason } = useSeason();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [editOpen, setEditOpen] = useState(false);
+  const [form, setForm] = useState({ budgetAllocation: {}, thresholds: '' });
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (selectedSeason?.id) {
+      setLoading(true);
+      getBudgetVsActual(selectedSeason.id)
+        .then(res => setData(res))
+        .catch(console.error)
+        .finally(() => setLoading(false));
+    }
+  }, [selectedSeason]);
+
+  const openEdit = () => {
+    setForm({
+      budgetAllocation: Object.fromEntries(data.lines.map(line => [line.line, line.budget])),
+      thresholds: data.thresholds.join(', ')
+    });
+    setError('');
+    setEditOpen(true);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const budgetAlertThresholds = form.thresholds
+        .split(',')
+        .map(value => value.trim())
+        .filter(Boolean)
+        .map(Number);
+      const updated = await updateSeasonBudget(selectedSeason.id, {
+        budgetAllocation: form.budgetAllocation,
+        budgetAlertThresholds
+      });
+      setData(updated);
+      setEditOpen(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!selectedSeason) return null;
+
+  if (loading) {
+    return (
+      <Card sx={{ display: 'flex', alignItems: 'center', justifyContent: 'center', p: 3 }}>
+        <CircularProgress size={30} />
+      </Card>
+    );
+  }
+
+  if (!data) return null;
+
+  return (
+    <Card>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <Typography color='text.secondary' gutterBottom variant='h6'>
+            Budget vs Actual
+          </Typography>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Typography variant='body2' color='text.secondary'>
+              Day {data.daysElapsed} of {data.totalDays}
+            </Typography>
+            <IconButton size='small' onClick={openEdit}>
+              <EditIcon fontSize='small' />
+            </IconButton>
+          </Box>
+        </Box>
+
+        <Grid container spacing={2} sx={{ mt: 0.5 }}>
+          {[...data.lines, data.totals].map(line => (
+            <Grid item xs={12} sm={6} md={4} key={line.line}>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                <Typography variant='body2' fontWeight={line.line === 'total' ? 'bold' : 'normal'}>
+                  {LINE_LABELS[line.line] || 'Total'}
+                </Typography>
+                <Typography variant='body2'>
+                  {money(line.actual)} / {line.budget > 0 ? money(line.budget) : 'no budget'}
+                </Typography>
+              </Box>
+              <LinearProgress
+                variant='determinate'
+                color={lineColor(line)}
+                value={Math.min(100, line.percentUsed ?? 0)}
+                sx={{ height: 8, borderRadius: 4, my: 0.5 }}
+              />
+              <Typography variant='caption' color='text.secondary'>
+                {line.percentUsed !== null && `${line.percentUsed.toFixed(0)}% · `}
+                {money(line.burnRatePerDay)}/day · projected {money(line.projected)}
+              </Typography>
+              {line.projectedOverrun > 0 && line.budget > 0 && (
+                <Typography variant='caption' color='error.main' component='div'>
+                  Projected overrun {money(line.projectedOverrun)}
+                </Typography>
+              )}
+            </Grid>
+          ))}
+        </Grid>
+      </CardContent>
+
+      <Dialog open={editOpen} onClose={() => setEditOpen(false)} maxWidth='xs' fullWidth>
+        <DialogTitle>Season Budget</DialogTitle>
+        <DialogContent dividers>
+          {error && (
+            <Alert severity='error' sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            {Object.keys(LINE_LABELS).map(line => (
+              <TextField
+                key={line}
+                label={LINE_LABELS[line]}
+                type='number'
+                inputProps={{ min: 0 }}
+                value={form.budgetAllocation[line] ?? ''}
+                onChange={e =>
+                  setForm({
+                    ...form,
+                    budgetAllocation: { ...form.budgetAllocation, [line]: e.target.value }
+                  })
+                }
+              />
+            ))}
+            <TextField
+              label='Alert thresholds (%)'
+              helperText='Comma separated, e.g. 80, 100'
+              value={form.thresholds}
+              onChange={e => setForm({ ...form, thresholds: e.target.value })}
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditOpen(false)}>Cancel</Button>
+          <Button variant='contained' onClick={handleSave} disabled={saving}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default BudgetVsActualWidget;
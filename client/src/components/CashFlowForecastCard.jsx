@@ -0,0 +1,163 @@
+import {
+  Alert,
+  Box,
+  Card,
+  CardContent,
+  CircularProgress,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import React, { useState, useEffect } from 'react';
+
+import { useSeason } from '../context/SeasonContext';
+import { getCashFlowForecast } from '../services/api';
+
+const HORIZONS = [4, 8, 12, 26];
+
+const localized = name =>
+  name && typeof name === 'object' ? name.en || Object.values(name)[0] : name || '';
+
+const money = value => value.toLocaleString(undefined, { maximumFractionDigits: 0 });
+
+// Week-by-week cash in and out until the ponds are harvested, and the working capital needed to get there
+const CashFlowForecastCard = () => {
+  const { selectedSeason } = useSeason();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [weeks, setWeeks] = useState(12);
+  // Blank uses the configured price or the season's average sale price
+  const [pricePerKg, setPricePerKg] = useState('');
+
+  useEffect(() => {
+    if (selectedSeason?.id) {
+      setLoading(true);
+      getCashFlowForecast(selectedSeason.id, { weeks, pricePerKg: Number(pricePerKg) || undefined })
+        .then(res => setData(res))
+        .catch(console.error)
+        .finally(() => setLoading(false));
+    }
+  }, [selectedSeason, weeks, pricePerKg]);
+
+  if (!selectedSeason) return null;
+
+  return (
+    <Card elevation={3} sx={{ mb: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+          <Typography variant='h6'>Cash Flow Forecast</Typography>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField
+              size='small'
+              type='number'
+              label='Harvest price / kg'
+              value={pricePerKg}
+              onChange={e => setPricePerKg(e.target.value)}
+              inputProps={{ min: 0 }}
+              sx={{ width: 160 }}
+            />
+            <TextField
+              select
+              size='small'
+              label='Horizon'
+              value={weeks}
+              onChange={e => setWeeks(e.target.value)}
+              sx={{ minWidth: 120 }}
+            >
+              {HORIZONS.map(horizon => (
+                <MenuItem key={horizon} value={horizon}>
+                  {horizon} weeks
+                </MenuItem>
+              ))}
+            </TextField>
+          </Box>
+        </Box>
+
+        {loading || !data ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+            {loading ? <CircularProgress size={30} /> : 'No forecast for this season.'}
+          </Box>
+        ) : (
+          <>
+            {data.warnings.map(warning => (
+              <Alert key={warning} severity='warning' sx={{ mb: 1 }}>
+                {warning}
+              </Alert>
+            ))}
+            <Alert severity={data.peakFundingNeed > 0 ? 'info' : 'success'} sx={{ mb: 2 }}>
+              {data.peakFundingNeed > 0
+                ? `Peak funding need: ${money(data.peakFundingNeed)} ${
+                    data.currency
+                  } before harvest revenue catches up.`
+                : 'Cash stays positive across the forecast.'}
+            </Alert>
+            <Table size='small'>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Week</TableCell>
+                  <TableCell align='right'>Feed (kg)</TableCell>
+                  <TableCell align='right'>Feed</TableCell>
+                  <TableCell align='right'>Salaries</TableCell>
+                  <TableCell align='right'>Planned Tasks</TableCell>
+                  <TableCell align='right'>Harvest Revenue</TableCell>
+                  <TableCell align='right'>Net</TableCell>
+                  <TableCell align='right'>Cumulative</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {data.weeks.map(row => (
+                  <TableRow key={row.week}>
+                    <TableCell>
+                      {row.week}
+                      <Typography variant='caption' color='text.secondary' component='div'>
+                        {new Date(row.start).toLocaleDateString()}
+                      </Typography>
+                    </TableCell>
+                    <TableCell align='right'>{row.feedKg.toLocaleString()}</TableCell>
+                    <TableCell align='right'>{money(row.outflows.feed)}</TableCell>
+                    <TableCell align='right'>{money(row.outflows.salaries)}</TableCell>
+                    <TableCell align='right'>{money(row.outflows.tasks)}</TableCell>
+                    <TableCell align='right'>{money(row.inflows.harvestRevenue)}</TableCell>
+                    <TableCell align='right' sx={{ color: row.net < 0 ? 'error.main' : undefined }}>
+                      {money(row.net)}
+                    </TableCell>
+                    <TableCell
+                      align='right'
+                      sx={{ color: row.cumulative < 0 ? 'error.main' : undefined }}
+                    >
+                      {money(row.cumulative)}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+            {data.ponds.length > 0 && (
+              <Typography variant='caption' color='text.secondary' sx={{ mt: 1, display: 'block' }}>
+                Expected harvests:{' '}
+                {data.ponds
+                  .map(pond =>
+                    pond.expectedHarvestDate
+                      ? `${localized(pond.name)} on ${new Date(
+                          pond.expectedHarvestDate
+                        ).toLocaleDateString()} (${pond.projectedHarvestKg} kg)`
+                      : `${localized(pond.name)} after the horizon`
+                  )
+                  .join(', ')}
+                . Amounts in {data.currency} at {data.assumptions.pricePerKg}/kg,{' '}
+                {data.assumptions.survivalRate}% survival and {data.assumptions.harvestWeightGrams}{' '}
+                g harvest size.
+              </Typography>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CashFlowForecastCard;
@@ -0,0 +1,153 @@
+import {
+  Box,
+  Card,
+  CardContent,
+  CircularProgress,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import React, { useState, useEffect } from 'react';
+
+import { useSeason } from '../context/SeasonContext';
+import { getCostOfProduction } from '../services/api';
+
+const ALLOCATION_KEYS = [
+  { value: 'area', label: 'Pond area' },
+  { value: 'daysInCulture', label: 'Days in culture' },
+  { value: 'biomass', label: 'Biomass' }
+];
+
+const localized = name =>
+  name && typeof name === 'object' ? name.en || Object.values(name)[0] : name || '';
+
+const perKg = value => (value === null || value === undefined ? '-' : `$${value.toFixed(2)}`);
+const money = value => `$${value.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+
+// Cost per kg and break-even price per pond and for the season, the basis buyers negotiate on
+const CostOfProductionCard = () => {
+  const { selectedSeason } = useSeason();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  // How costs not tied to a pond (farm expenses, salaries, electricity) are shared across ponds
+  const [allocationKey, setAllocationKey] = useState('area');
+
+  useEffect(() => {
+    if (selectedSeason?.id) {
+      setLoading(true);
+      getCostOfProduction(selectedSeason.id, allocationKey)
+        .then(res => setData(res))
+        .catch(console.error)
+        .finally(() => setLoading(false));
+    }
+  }, [selectedSeason, allocationKey]);
+
+  if (!selectedSeason) return null;
+
+  return (
+    <Card elevation={3} sx={{ mb: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+          <Typography variant='h6'>Cost of Production</Typography>
+          <TextField
+            select
+            size='small'
+            label='Share farm costs by'
+            value={allocationKey}
+            onChange={e => setAllocationKey(e.target.value)}
+            sx={{ minWidth: 200 }}
+          >
+            {ALLOCATION_KEYS.map(key => (
+              <MenuItem key={key.value} value={key.value}>
+                {key.label}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Box>
+
+        {loading || !data ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+            {loading ? <CircularProgress size={30} /> : 'No cost data for this season.'}
+          </Box>
+        ) : (
+          <Table size='small'>
+            <TableHead>
+              <TableRow>
+                <TableCell>Pond</TableCell>
+                <TableCell align='right'>Direct Cost</TableCell>
+                <TableCell align='right'>Shared Cost</TableCell>
+                <TableCell align='right'>Harvested (kg)</TableCell>
+                <TableCell align='right'>Standing (kg)</TableCell>
+                <TableCell align='right'>Cost / kg</TableCell>
+                <TableCell align='right'>Projected Cost / kg</TableCell>
+                <TableCell align='right'>
+                  <Tooltip title='Price per kg the stock still to be sold must fetch to recover the cost not yet covered by sales'>
+                    <span>Break-even / kg</span>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {data.ponds.map(pond => (
+                <TableRow key={pond.pondId}>
+                  <TableCell>
+                    {localized(pond.name)}
+                    <Typography variant='caption' color='text.secondary' component='div'>
+                      {pond.status} · {pond.daysInCulture} days
+                    </Typography>
+                  </TableCell>
+                  <TableCell align='right'>{money(pond.totalCost - pond.allocatedCost)}</TableCell>
+                  <TableCell align='right'>{money(pond.allocatedCost)}</TableCell>
+                  <TableCell align='right'>{pond.harvestedKg.toLocaleString()}</TableCell>
+                  <TableCell align='right'>
+                    {pond.standingBiomassKg > 0 ? pond.standingBiomassKg.toLocaleString() : '-'}
+                  </TableCell>
+                  <TableCell align='right'>{perKg(pond.costPerKg)}</TableCell>
+                  <TableCell align='right'>{perKg(pond.projectedCostPerKg)}</TableCell>
+                  <TableCell align='right'>{perKg(pond.breakEvenPricePerKg)}</TableCell>
+                </TableRow>
+              ))}
+              <TableRow>
+                <TableCell sx={{ fontWeight: 'bold' }}>Season</TableCell>
+                <TableCell align='right' colSpan={2} sx={{ fontWeight: 'bold' }}>
+                  {money(data.season.totalCost)}
+                </TableCell>
+                <TableCell align='right' sx={{ fontWeight: 'bold' }}>
+                  {data.season.harvestedKg.toLocaleString()}
+                </TableCell>
+                <TableCell align='right' sx={{ fontWeight: 'bold' }}>
+                  {data.season.standingBiomassKg > 0
+                    ? data.season.standingBiomassKg.toLocaleString()
+                    : '-'}
+                </TableCell>
+                <TableCell align='right' sx={{ fontWeight: 'bold' }}>
+                  {perKg(data.season.costPerKg)}
+                </TableCell>
+                <TableCell align='right' sx={{ fontWeight: 'bold' }}>
+                  {perKg(data.season.projectedCostPerKg)}
+                </TableCell>
+                <TableCell align='right' sx={{ fontWeight: 'bold' }}>
+                  {perKg(data.season.breakEvenPricePerKg)}
+                </TableCell>
+              </TableRow>
+            </TableBody>
+          </Table>
+        )}
+        {data && (
+          <Typography variant='caption' color='text.secondary' sx={{ mt: 1, display: 'block' }}>
+            Standing biomass is estimated from the latest growth sample at {data.survivalRate}%
+            survival. Farm-level costs of {money(data.sharedCost)} are shared across ponds.
+          </Typography>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CostOfProductionCard;
@@ -0,0 +1,51 @@
+import { MenuItem, TextField } from '@mui/material';
+import PropTypes from 'prop-types';
+import React, { useEffect, useState } from 'react';
+
+import { getCurrencies } from '../services/api';
+
+// Loaded once; the supported currencies only change with the server configuration
+let currenciesRequest = null;
+const loadCurrencies = () => {
+  if (!currenciesRequest) {
+    currenciesRequest = getCurrencies().catch(error => {
+      currenciesRequest = null;
+      throw error;
+    });
+  }
+  return currenciesRequest;
+};
+
+// Currency an amount is recorded in; an empty value means the farm base currency
+const CurrencySelect = ({ value = '', onChange, label = 'Currency', ...props }) => {
+  const [currencies, setCurrencies] = useState({ base: '', supported: [] });
+
+  useEffect(() => {
+    loadCurrencies().then(setCurrencies).catch(console.error);
+  }, []);
+
+  return (
+    <TextField
+      select
+      label={label}
+      value={value || currencies.base}
+      onChange={e => onChange(e.target.value)}
+      {...props}
+    >
+      {currencies.supported.map(code => (
+        <MenuItem key={code} value={code}>
+          {code}
+          {code === currencies.base ? ' (base)' : ''}
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+};
+
+CurrencySelect.propTypes = {
+  value: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+  label: PropTypes.string
+};
+
+export default CurrencySelect;
@@ -1,6 +1,15 @@
 import { Snackbar, Alert } from '@mui/material';
 import React, { useState, useEffect } from 'react';
 
+import { useRealtimeEvent } from '../hooks/useRealtime';
+
+const PRIORITY_SEVERITY = {
+  Critical: 'error',
+  High: 'warning',
+  Medium: 'info',
+  Low: 'info'
+};
+
 const GlobalNotification = () => {
   const [open, setOpen] = useState(false);
   const [message, setMessage] = useState('');
@@ -28,6 +37,13 @@ const GlobalNotification = () => {
     };
   }, []);
 
+  // Surface alerts pushed by the server as they are raised
+  useRealtimeEvent('notification', notification => {
+    setMessage(notification.title);
+    setSeverity(PRIORITY_SEVERITY[notification.priority] || 'info');
+    setOpen(true);
+  });
+
   const handleClose = (event, reason) => {
     if (reason === 'clickaway') return;
     setOpen(false);
@@ -23,7 +23,11 @@ import {
   Receipt as ReceiptIcon,
   Assessment as AssessmentIcon,
   LocalHospital as HealthIcon,
-  TaskAlt as TaskIcon
+  TaskAlt as TaskIcon,
+  ListAlt as SopIcon,
+  RequestQuote as LedgerIcon,
+  Construction as AssetIcon,
+  Sensors as SensorIcon
 } from '@mui/icons-material';
 import {
   Drawer,
@@ -52,6 +56,8 @@ import React, { useState, useEffect } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 
 import { useSeason } from '../context/SeasonContext';
+import { useLiveRefresh } from '../hooks/useRealtime';
+import { getNotifications } from '../services/api';
 
 import AppBreadcrumbs from './Breadcrumbs';
 import NotificationPanel from './NotificationPanel';
@@ -68,9 +74,19 @@ const Layout = ({ children, toggleDarkMode, darkMode }) => {
   const [notifAnchorEl, setNotifAnchorEl] = useState(null);
   const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(false);
   const [openPondMenu, setOpenPondMenu] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
   const { seasons, selectedSeason, setSelectedSeason } = useSeason();
   const location = useLocation();
 
+  const refreshUnreadCount = () => {
+    getNotifications(true)
+      .then(notifications => setUnreadCount(notifications.length))
+      .catch(console.error);
+  };
+
+  useEffect(refreshUnreadCount, []);
+  useLiveRefresh(['notification'], refreshUnreadCount);
+
   useEffect(() => {
     if (isMobile) {
       setIsSidebarCollapsed(true);
@@ -83,7 +99,10 @@ const Layout = ({ children, toggleDarkMode, darkMode }) => {
   const handleMenuOpen = event => setAnchorEl(event.currentTarget);
   const handleReportMenuOpen = event => setReportAnchorEl(event.currentTarget);
   const handleNotifOpen = event => setNotifAnchorEl(event.currentTarget);
-  const handleNotifClose = () => setNotifAnchorEl(null);
+  const handleNotifClose = () => {
+    setNotifAnchorEl(null);
+    refreshUnreadCount();
+  };
   const handleMenuClose = () => {
     setAnchorEl(null);
     setReportAnchorEl(null);
@@ -123,9 +142,14 @@ const Layout = ({ children, toggleDarkMode, darkMode }) => {
     { text: 'Inventory', icon: <InventoryIcon />, path: '/inventory-management' },
     { text: 'Expenses', icon: <ReceiptIcon />, path: '/expenses' },
     { text: 'Harvest & Sales', icon: <HarvestIcon />, path: '/harvest' },
+    { text: 'Sales Ledger', icon: <LedgerIcon />, path: '/sales-ledger' },
+    { text: 'Assets', icon: <AssetIcon />, path: '/assets' },
     { text: 'Health Logs', icon: <HealthIcon />, path: '/health' },
     { text: 'Tasks', icon: <TaskIcon />, path: '/tasks' },
+    { text: 'SOP Templates', icon: <SopIcon />, path: '/sop-templates' },
     { text: 'Alert Rules', icon: <SettingsIcon />, path: '/alert-rules' },
+    { text: 'Water Quality Profiles', icon: <WaterIcon />, path: '/water-quality-profiles' },
+    { text: 'Sensor Devices', icon: <SensorIcon />, path: '/sensors' },
     { text: 'Post-Harvest Report', icon: <AssessmentIcon />, path: '/post-harvest-report' },
     { text: 'Historical Insights', icon: <HistoryIcon />, path: '/historical-insights' }
   ];
@@ -402,7 +426,7 @@ const Layout = ({ children, toggleDarkMode, darkMode }) => {
           <Tooltip title='Notifications'>
             <IconButton color='inherit' onClick={handleNotifOpen}>
               <Badge
-                badgeContent={2}
+                badgeContent={unreadCount}
                 color='error'
                 sx={{ '& .MuiBadge-badge': { fontSize: '0.65rem', height: 18, minWidth: 18 } }}
               >
@@ -4,7 +4,8 @@ import {
   Info as InfoIcon,
   CheckCircle as CheckIcon,
   Close as CloseIcon,
-  NotificationsOff as EmptyIcon
+  NotificationsOff as EmptyIcon,
+  TaskAlt as AcknowledgeIcon
 } from '@mui/icons-material';
 import {
   Popover,
@@ -18,15 +19,23 @@ import {
   Chip,
   Divider,
   Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Tooltip,
   useTheme
 } from '@mui/material';
 import { motion, AnimatePresence } from 'framer-motion';
 import React, { useState, useEffect } from 'react';
 
+import { useRealtimeEvent } from '../hooks/useRealtime';
 import {
   getNotifications,
   markNotificationAsRead,
-  markAllNotificationsAsRead
+  markAllNotificationsAsRead,
+  acknowledgeNotification
 } from '../services/api';
 
 const typeConfig = {
@@ -40,6 +49,9 @@ const typeConfig = {
 const NotificationPanel = ({ anchorEl, open, onClose }) => {
   const theme = useTheme();
   const [notifications, setNotifications] = useState([]);
+  const [acknowledging, setAcknowledging] = useState(null);
+  const [comment, setComment] = useState('');
+  const [acknowledgeError, setAcknowledgeError] = useState('');
 
   useEffect(() => {
     if (open) {
@@ -47,6 +59,12 @@ const NotificationPanel = ({ anchorEl, open, onClose }) => {
     }
   }, [open]);
 
+  useRealtimeEvent('notification', notification => {
+    if (open) {
+      setNotifications(prev => [notification, ...prev.filter(n => n._id !== notification._id)]);
+    }
+  });
+
   const handleDismiss = async id => {
     try {
       await markNotificationAsRead(id);
@@ -65,6 +83,24 @@ const NotificationPanel = ({ anchorEl, open, onClose }) => {
     }
   };
 
+  const openAcknowledge = notification => {
+    setAcknowledging(notification);
+    setComment('');
+    setAcknowledgeError('');
+  };
+
+  const handleAcknowledge = async () => {
+    try {
+      const updated = await acknowledgeNotification(acknowledging._id, comment);
+      setNotifications(prev => prev.map(n => (n._id === updated._id ? updated : n)));
+      setAcknowledging(null);
+    } catch (error) {
+      setAcknowledgeError(error.message);
+    }
+  };
+
+  const commentRequired = acknowledging?.priority === 'Critical';
+
   const unreadCount = notifications.filter(n => !n.isRead).length;
 
   return (
@@ -151,15 +187,28 @@ const NotificationPanel = ({ anchorEl, open, onClose }) => {
                       }
                     }}
                     secondaryAction={
-                      !notification.isRead && (
-                        <IconButton
-                          size='small'
-                          onClick={() => handleDismiss(notification._id)}
-                          sx={{ opacity: 0.5, '&:hover': { opacity: 1 } }}
-                        >
-                          <CloseIcon sx={{ fontSize: 14 }} />
-                        </IconButton>
-                      )
+                      <Box sx={{ display: 'flex' }}>
+                        {!notification.acknowledgedAt && (
+                          <Tooltip title='Acknowledge'>
+                            <IconButton
+                              size='small'
+                              onClick={() => openAcknowledge(notification)}
+                              sx={{ opacity: 0.5, '&:hover': { opacity: 1 } }}
+                            >
+                              <AcknowledgeIcon sx={{ fontSize: 16 }} />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        {!notification.isRead && (
+                          <IconButton
+                            size='small'
+                            onClick={() => handleDismiss(notification._id)}
+                            sx={{ opacity: 0.5, '&:hover': { opacity: 1 } }}
+                          >
+                            <CloseIcon sx={{ fontSize: 14 }} />
+                          </IconButton>
+                        )}
+                      </Box>
                     }
                   >
                     <ListItemIcon sx={{ minWidth: 36 }}>
@@ -181,6 +230,23 @@ const NotificationPanel = ({ anchorEl, open, onClose }) => {
                             variant='outlined'
                             sx={{ height: 18, fontSize: '0.65rem' }}
                           />
+                          {notification.acknowledgedAt && (
+                            <Chip
+                              label='Acknowledged'
+                              size='small'
+                              color='success'
+                              variant='outlined'
+                              sx={{ height: 18, fontSize: '0.65rem' }}
+                            />
+                          )}
+                          {notification.escalationLevel > 0 && !notification.acknowledgedAt && (
+                            <Chip
+                              label='Escalated'
+                              size='small'
+                              color='error'
+                              sx={{ height: 18, fontSize: '0.65rem' }}
+                            />
+                          )}
                         </Box>
                       }
                       secondary={
@@ -210,6 +276,45 @@ const NotificationPanel = ({ anchorEl, open, onClose }) => {
           )}
         </AnimatePresence>
       </List>
+
+      <Dialog
+        open={Boolean(acknowledging)}
+        onClose={() => setAcknowledging(null)}
+        fullWidth
+        maxWidth='xs'
+      >
+        <DialogTitle>Acknowledge notification</DialogTitle>
+        <DialogContent>
+          <Typography variant='body2' sx={{ mb: 2 }}>
+            {acknowledging?.title}
+          </Typography>
+          <TextField
+            label='Comment'
+            value={comment}
+            onChange={e => setComment(e.target.value)}
+            required={commentRequired}
+            helperText={
+              acknowledgeError ||
+              (commentRequired ? 'Describe the action taken for this Critical alert' : '')
+            }
+            error={Boolean(acknowledgeError)}
+            multiline
+            minRows={2}
+            fullWidth
+            autoFocus
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAcknowledging(null)}>Cancel</Button>
+          <Button
+            variant='contained'
+            onClick={handleAcknowledge}
+            disabled={commentRequired && !comment.trim()}
+          >
+            Acknowledge
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Popover>
   );
 };
@@ -1,5 +1,14 @@
 import { TrendingUp, TrendingDown } from '@mui/icons-material';
-import { Card, CardContent, Typography, Box, CircularProgress, Divider } from '@mui/material';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  CircularProgress,
+  Divider,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@mui/material';
 import React, { useState, useEffect } from 'react';
 
 import { useSeason } from '../context/SeasonContext';
@@ -9,16 +18,18 @@ const ProfitLossWidget = () => {
   const { selectedSeason } = useSeason();
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
+  // Revenue counted as every recorded sale, invoiced sales only, or cash received
+  const [basis, setBasis] = useState('recorded');
 
   useEffect(() => {
     if (selectedSeason?.id) {
       setLoading(true);
-      getProfitAndLoss(selectedSeason.id)
+      getProfitAndLoss(selectedSeason.id, basis)
         .then(res => setData(res))
         .catch(console.error)
         .finally(() => setLoading(false));
     }
-  }, [selectedSeason]);
+  }, [selectedSeason, basis]);
 
   if (!selectedSeason) return null;
 
@@ -45,9 +56,21 @@ const ProfitLossWidget = () => {
   return (
     <Card sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
       <CardContent sx={{ flexGrow: 1 }}>
-        <Typography color='text.secondary' gutterBottom variant='h6'>
-          Season P&L Overview
-        </Typography>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <Typography color='text.secondary' gutterBottom variant='h6'>
+            Season P&L Overview
+          </Typography>
+          <ToggleButtonGroup
+            size='small'
+            exclusive
+            value={basis}
+            onChange={(e, value) => value && setBasis(value)}
+          >
+            <ToggleButton value='recorded'>Sales</ToggleButton>
+            <ToggleButton value='invoiced'>Invoiced</ToggleButton>
+            <ToggleButton value='cash'>Cash</ToggleButton>
+          </ToggleButtonGroup>
+        </Box>
 
         <Box sx={{ mt: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
           <Typography variant='body1' color='text.secondary'>
@@ -57,6 +80,13 @@ const ProfitLossWidget = () => {
             ${data.totalRevenue.toLocaleString(undefined, { minimumFractionDigits: 2 })}
           </Typography>
         </Box>
+        {data.revenueByBasis && (
+          <Typography variant='caption' color='text.secondary'>
+            Invoiced ${data.revenueByBasis.invoiced.toLocaleString()} · Received $
+            {data.revenueByBasis.cash.toLocaleString()} · Outstanding $
+            {data.outstandingReceivables.toLocaleString()}
+          </Typography>
+        )}
 
         <Box sx={{ mt: 1, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
           <Typography variant='body1' color='text.secondary'>
@@ -66,6 +96,14 @@ const ProfitLossWidget = () => {
             -${data.totalCost.toLocaleString(undefined, { minimumFractionDigits: 2 })}
           </Typography>
         </Box>
+        {data.costBreakdown?.depreciation > 0 && (
+          <Typography variant='caption' color='text.secondary'>
+            Includes equipment depreciation $
+            {data.costBreakdown.depreciation.toLocaleString(undefined, {
+              minimumFractionDigits: 2
+            })}
+          </Typography>
+        )}
 
         <Divider sx={{ my: 2 }} />
 
@@ -0,0 +1,227 @@
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import PropTypes from 'prop-types';
+import React, { useEffect, useState } from 'react';
+
+import { useSeason } from '../../../context/SeasonContext';
+import { createEvent, getAssetById } from '../../../services/api';
+
+const emptyMaintenance = () => ({
+  date: new Date().toISOString().slice(0, 10),
+  description: '',
+  labor: '',
+  materials: ''
+});
+
+const amount = value => (value || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+// Depreciation schedule and maintenance history of an asset, with a form to log maintenance
+const AssetDetailDialog = ({ open, onClose, assetId = null }) => {
+  const { selectedSeason } = useSeason();
+  const [asset, setAsset] = useState(null);
+  const [maintenance, setMaintenance] = useState(emptyMaintenance());
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const load = () =>
+    getAssetById(assetId)
+      .then(setAsset)
+      .catch(err => setError(err.message));
+
+  useEffect(() => {
+    if (open && assetId) {
+      setAsset(null);
+      setMaintenance(emptyMaintenance());
+      setError('');
+      load();
+    }
+  }, [open, assetId]);
+
+  const handleLogMaintenance = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      await createEvent({
+        eventType: 'Maintenance',
+        date: maintenance.date,
+        seasonId: selectedSeason.id,
+        assetId,
+        pondId: asset.pondId?._id,
+        details: { description: maintenance.description },
+        cost: {
+          labor: Number(maintenance.labor) || 0,
+          materials: Number(maintenance.materials) || 0,
+          currency: asset.currency
+        }
+      });
+      setMaintenance(emptyMaintenance());
+      await load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth='md' fullWidth>
+      <DialogTitle>{asset ? asset.name : 'Asset'}</DialogTitle>
+      <DialogContent dividers>
+        {error && (
+          <Alert severity='error' sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {!asset ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+            <CircularProgress size={30} />
+          </Box>
+        ) : (
+          <>
+            <Typography variant='body2' color='text.secondary' sx={{ mb: 2 }}>
+              Bought {new Date(asset.purchaseDate).toLocaleDateString()} for{' '}
+              {amount(asset.purchaseCost)} {asset.currency}. Book value today{' '}
+              {amount(asset.bookValue)} {asset.currency}, depreciated{' '}
+              {amount(asset.accumulatedDepreciation)} so far.
+            </Typography>
+
+            <Typography variant='subtitle1'>Depreciation Schedule</Typography>
+            <Table size='small' sx={{ mb: 3 }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Year</TableCell>
+                  <TableCell>From</TableCell>
+                  <TableCell>To</TableCell>
+                  <TableCell align='right'>Depreciation</TableCell>
+                  <TableCell align='right'>Book Value</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {asset.schedule.map(row => (
+                  <TableRow key={row.year}>
+                    <TableCell>{row.year}</TableCell>
+                    <TableCell>{new Date(row.from).toLocaleDateString()}</TableCell>
+                    <TableCell>{new Date(row.to).toLocaleDateString()}</TableCell>
+                    <TableCell align='right'>{amount(row.depreciation)}</TableCell>
+                    <TableCell align='right'>{amount(row.bookValue)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            <Typography variant='subtitle1'>
+              Maintenance History ({amount(asset.maintenanceCost)} spent)
+            </Typography>
+            <Table size='small'>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Date</TableCell>
+                  <TableCell>Work Done</TableCell>
+                  <TableCell align='right'>Cost</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {asset.maintenance.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={3} align='center'>
+                      No maintenance logged yet.
+                    </TableCell>
+                  </TableRow>
+                ) : (
+                  asset.maintenance.map(event => (
+                    <TableRow key={event._id}>
+                      <TableCell>{new Date(event.date).toLocaleDateString()}</TableCell>
+                      <TableCell>{event.details?.description || event.notes}</TableCell>
+                      <TableCell align='right'>
+                        {amount(event.totalCost)} {event.cost?.currency}
+                      </TableCell>
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+
+            {selectedSeason && (
+              <>
+                <Divider sx={{ my: 3 }} />
+                <Typography variant='subtitle1' sx={{ mb: 2 }}>
+                  Log Maintenance
+                </Typography>
+                <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                  <Box sx={{ display: 'flex', gap: 2 }}>
+                    <TextField
+                      label='Date'
+                      type='date'
+                      InputLabelProps={{ shrink: true }}
+                      value={maintenance.date}
+                      onChange={e => setMaintenance({ ...maintenance, date: e.target.value })}
+                    />
+                    <TextField
+                      label={`Labor (${asset.currency})`}
+                      type='number'
+                      fullWidth
+                      inputProps={{ min: 0 }}
+                      value={maintenance.labor}
+                      onChange={e => setMaintenance({ ...maintenance, labor: e.target.value })}
+                    />
+                    <TextField
+                      label={`Parts (${asset.currency})`}
+                      type='number'
+                      fullWidth
+                      inputProps={{ min: 0 }}
+                      value={maintenance.materials}
+                      onChange={e => setMaintenance({ ...maintenance, materials: e.target.value })}
+                    />
+                  </Box>
+                  <TextField
+                    label='Work Done'
+                    fullWidth
+                    required
+                    value={maintenance.description}
+                    onChange={e => setMaintenance({ ...maintenance, description: e.target.value })}
+                  />
+                </Box>
+              </>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        {asset && selectedSeason && (
+          <Button
+            variant='contained'
+            onClick={handleLogMaintenance}
+            disabled={saving || !maintenance.description}
+          >
+            Log Maintenance
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+AssetDetailDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  assetId: PropTypes.string
+};
+
+export default AssetDetailDialog;
@@ -0,0 +1,236 @@
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  TextField
+} from '@mui/material';
+import PropTypes from 'prop-types';
+import React, { useEffect, useState } from 'react';
+
+import { createAsset, updateAsset } from '../../../services/api';
+import CurrencySelect from '../../CurrencySelect';
+
+export const ASSET_CATEGORIES = [
+  { value: 'Aerator', label: 'Aerator' },
+  { value: 'Pump', label: 'Pump' },
+  { value: 'Generator', label: 'Generator' },
+  { value: 'PondLiner', label: 'Pond liner' },
+  { value: 'Building', label: 'Building' },
+  { value: 'Vehicle', label: 'Vehicle' },
+  { value: 'Other', label: 'Other' }
+];
+
+const EMPTY_ASSET = {
+  name: '',
+  category: 'Aerator',
+  serialNumber: '',
+  purchaseDate: new Date().toISOString().slice(0, 10),
+  purchaseCost: '',
+  currency: '',
+  usefulLifeYears: 5,
+  salvageValue: 0,
+  depreciationMethod: 'straightLine',
+  decliningBalanceFactor: 2,
+  pondId: '',
+  status: 'Active',
+  disposedDate: '',
+  notes: ''
+};
+
+const toForm = asset => ({
+  ...EMPTY_ASSET,
+  ...asset,
+  purchaseDate: asset.purchaseDate.slice(0, 10),
+  disposedDate: asset.disposedDate ? asset.disposedDate.slice(0, 10) : '',
+  pondId: asset.pondId?._id || asset.pondId || '',
+  serialNumber: asset.serialNumber || '',
+  notes: asset.notes || ''
+});
+
+// Adds equipment to the asset register or edits it; the depreciation settings decide each season's charge
+const AssetDialog = ({ open, onClose, onSaved, ponds = [], asset = null }) => {
+  const [form, setForm] = useState(EMPTY_ASSET);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setForm(asset ? toForm(asset) : EMPTY_ASSET);
+      setError('');
+    }
+  }, [open, asset]);
+
+  const field = (name, label, props = {}) => (
+    <TextField
+      label={label}
+      fullWidth
+      value={form[name] ?? ''}
+      onChange={e => setForm({ ...form, [name]: e.target.value })}
+      {...props}
+    />
+  );
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const data = {
+        name: form.name,
+        category: form.category,
+        serialNumber: form.serialNumber,
+        purchaseDate: form.purchaseDate,
+        purchaseCost: Number(form.purchaseCost),
+        currency: form.currency || undefined,
+        usefulLifeYears: Number(form.usefulLifeYears),
+        salvageValue: Number(form.salvageValue) || 0,
+        depreciationMethod: form.depreciationMethod,
+        decliningBalanceFactor: Number(form.decliningBalanceFactor) || 2,
+        pondId: form.pondId || null,
+        status: form.status,
+        disposedDate: form.status === 'Disposed' ? form.disposedDate || undefined : undefined,
+        notes: form.notes
+      };
+      if (asset) {
+        await updateAsset(asset._id, data);
+      } else {
+        await createAsset(data);
+      }
+      onSaved();
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth='sm' fullWidth>
+      <DialogTitle>{asset ? 'Edit Asset' : 'Add Asset'}</DialogTitle>
+      <DialogContent dividers>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          {error && <Alert severity='error'>{error}</Alert>}
+          {field('name', 'Name', { required: true })}
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            {field('category', 'Category', {
+              select: true,
+              children: ASSET_CATEGORIES.map(category => (
+                <MenuItem key={category.value} value={category.value}>
+                  {category.label}
+                </MenuItem>
+              ))
+            })}
+            {field('serialNumber', 'Serial Number')}
+          </Box>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            {field('purchaseDate', 'Purchase Date', {
+              type: 'date',
+              required: true,
+              InputLabelProps: { shrink: true }
+            })}
+            {field('purchaseCost', 'Purchase Cost', {
+              type: 'number',
+              required: true,
+              inputProps: { min: 0 }
+            })}
+            <CurrencySelect
+              sx={{ minWidth: 120 }}
+              value={form.currency}
+              onChange={currency => setForm({ ...form, currency })}
+            />
+          </Box>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            {field('usefulLifeYears', 'Useful Life (years)', {
+              type: 'number',
+              required: true,
+              inputProps: { min: 0.1, step: 'any' }
+            })}
+            {field('salvageValue', 'Salvage Value', { type: 'number', inputProps: { min: 0 } })}
+          </Box>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            {field('depreciationMethod', 'Depreciation', {
+              select: true,
+              children: [
+                <MenuItem key='straightLine' value='straightLine'>
+                  Straight-line
+                </MenuItem>,
+                <MenuItem key='decliningBalance' value='decliningBalance'>
+                  Declining balance
+                </MenuItem>
+              ]
+            })}
+            {form.depreciationMethod === 'decliningBalance' &&
+              field('decliningBalanceFactor', 'Rate Multiple', {
+                type: 'number',
+                inputProps: { min: 1, step: 'any' },
+                helperText: '2 = double declining'
+              })}
+          </Box>
+          {field('pondId', 'Pond', {
+            select: true,
+            helperText: 'Leave empty for farm-wide equipment',
+            children: [
+              <MenuItem key='' value=''>
+                Farm-wide
+              </MenuItem>,
+              ...ponds.map(pond => (
+                <MenuItem key={pond._id} value={pond._id}>
+                  {typeof pond.name === 'object' ? pond.name.en : pond.name}
+                </MenuItem>
+              ))
+            ]
+          })}
+          {asset && (
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              {field('status', 'Status', {
+                select: true,
+                children: ['Active', 'Disposed'].map(status => (
+                  <MenuItem key={status} value={status}>
+                    {status}
+                  </MenuItem>
+                ))
+              })}
+              {form.status === 'Disposed' &&
+                field('disposedDate', 'Disposed On', {
+                  type: 'date',
+                  InputLabelProps: { shrink: true }
+                })}
+            </Box>
+          )}
+          {field('notes', 'Notes', { multiline: true })}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant='contained'
+          onClick={handleSave}
+          disabled={
+            saving ||
+            !form.name ||
+            !form.purchaseDate ||
+            form.purchaseCost === '' ||
+            !(Number(form.usefulLifeYears) > 0)
+          }
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+AssetDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSaved: PropTypes.func.isRequired,
+  ponds: PropTypes.array,
+  asset: PropTypes.object
+};
+
+export default AssetDialog;
@@ -0,0 +1,7 @@
+/**
+ * Asset Feature Components
+ * Exports all capital-asset components for centralized imports
+ */
+
+export { default as AssetDialog, ASSET_CATEGORIES } from './AssetDialog';
+export { default as AssetDetailDialog } from './AssetDetailDialog';
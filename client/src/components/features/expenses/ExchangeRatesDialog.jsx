@@ -0,0 +1,202 @@
+import { Delete as DeleteIcon } from '@mui/icons-material';
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import PropTypes from 'prop-types';
+import React, { useEffect, useState } from 'react';
+
+import {
+  createExchangeRate,
+  deleteExchangeRate,
+  getCurrencies,
+  getExchangeRates
+} from '../../../services/api';
+import CurrencySelect from '../../CurrencySelect';
+
+const emptyForm = () => ({
+  currency: '',
+  rate: '',
+  effectiveFrom: new Date().toISOString().slice(0, 10),
+  notes: ''
+});
+
+// Maintains the exchange rates reports use to convert amounts to the base currency at each transaction's date
+const ExchangeRatesDialog = ({ open, onClose, onChanged = () => {} }) => {
+  const [base, setBase] = useState('');
+  const [rates, setRates] = useState([]);
+  const [form, setForm] = useState(emptyForm());
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const load = () =>
+    Promise.all([getCurrencies(), getExchangeRates()])
+      .then(([currencies, rateList]) => {
+        setBase(currencies.base);
+        setRates(rateList);
+        setForm(current => ({
+          ...current,
+          currency:
+            current.currency || currencies.supported.find(code => code !== currencies.base) || ''
+        }));
+      })
+      .catch(err => setError(err.message));
+
+  useEffect(() => {
+    if (open) {
+      setForm(emptyForm());
+      setError('');
+      load();
+    }
+  }, [open]);
+
+  const handleAdd = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      await createExchangeRate({ ...form, rate: Number(form.rate) });
+      setForm({ ...emptyForm(), currency: form.currency });
+      await load();
+      onChanged();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async rate => {
+    if (
+      !window.confirm(`Delete the ${rate.currency} rate from ${rate.effectiveFrom.slice(0, 10)}?`)
+    )
+      return;
+    try {
+      await deleteExchangeRate(rate._id);
+      await load();
+      onChanged();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth='sm' fullWidth>
+      <DialogTitle>Exchange Rates</DialogTitle>
+      <DialogContent dividers>
+        {error && (
+          <Alert severity='error' sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Typography variant='body2' color='text.secondary' sx={{ mb: 2 }}>
+          Reports are in {base}. Each amount is converted at the latest rate effective on or before
+          its date.
+        </Typography>
+        <Table size='small'>
+          <TableHead>
+            <TableRow>
+              <TableCell>Currency</TableCell>
+              <TableCell align='right'>{base} per unit</TableCell>
+              <TableCell>Effective From</TableCell>
+              <TableCell>Notes</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rates.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={5} align='center'>
+                  No exchange rates yet.
+                </TableCell>
+              </TableRow>
+            ) : (
+              rates.map(rate => (
+                <TableRow key={rate._id}>
+                  <TableCell>{rate.currency}</TableCell>
+                  <TableCell align='right'>{rate.rate}</TableCell>
+                  <TableCell>{new Date(rate.effectiveFrom).toLocaleDateString()}</TableCell>
+                  <TableCell>{rate.notes}</TableCell>
+                  <TableCell align='right'>
+                    <IconButton size='small' color='error' onClick={() => handleDelete(rate)}>
+                      <DeleteIcon fontSize='small' />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+
+        <Divider sx={{ my: 3 }} />
+        <Typography variant='subtitle1' sx={{ mb: 2 }}>
+          New Rate
+        </Typography>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <CurrencySelect
+              fullWidth
+              value={form.currency}
+              onChange={currency => setForm({ ...form, currency })}
+            />
+            <TextField
+              label={`${base} per unit`}
+              type='number'
+              required
+              fullWidth
+              inputProps={{ min: 0, step: 'any' }}
+              value={form.rate}
+              onChange={e => setForm({ ...form, rate: e.target.value })}
+            />
+            <TextField
+              label='Effective From'
+              type='date'
+              required
+              fullWidth
+              InputLabelProps={{ shrink: true }}
+              value={form.effectiveFrom}
+              onChange={e => setForm({ ...form, effectiveFrom: e.target.value })}
+            />
+          </Box>
+          <TextField
+            label='Notes'
+            fullWidth
+            value={form.notes}
+            onChange={e => setForm({ ...form, notes: e.target.value })}
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        <Button
+          variant='contained'
+          onClick={handleAdd}
+          disabled={saving || !form.currency || form.currency === base || !(Number(form.rate) > 0)}
+        >
+          Add
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+ExchangeRatesDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onChanged: PropTypes.func
+};
+
+export default ExchangeRatesDialog;
@@ -1,6 +1,9 @@
 import AddIcon from '@mui/icons-material/Add';
 import DeleteIcon from '@mui/icons-material/Delete';
+import DownloadIcon from '@mui/icons-material/Download';
 import EditIcon from '@mui/icons-material/Edit';
+import PdfIcon from '@mui/icons-material/PictureAsPdf';
+import UploadIcon from '@mui/icons-material/UploadFile';
 import {
   Typography,
   Paper,
@@ -12,22 +15,113 @@ import {
   TableContainer,
   TableHead,
   TableRow,
-  IconButton
+  IconButton,
+  Tooltip
 } from '@mui/material';
 import PropTypes from 'prop-types';
 import React, { useState, memo } from 'react';
 
 import { useSeason } from '../../../context/SeasonContext';
 import { useApiData, useApiMutation } from '../../../hooks/useApi';
-import { getExpenses, createExpense, updateExpense, deleteExpense } from '../../../services/api';
+import {
+  getExpenses,
+  createExpense,
+  updateExpense,
+  deleteExpense,
+  getExpenseReceiptUrl,
+  uploadExpenseReceipt
+} from '../../../services/api';
 import { useStableCallback, useStableMemo } from '../../../utils/performanceOptimization';
 import { InlineError } from '../shared/error-handling/ErrorDisplay';
 import { SkeletonTable, SpinnerLoader } from '../shared/loading/LoadingComponents';
 
 import ExpenseForm from './ExpenseForm';
 
+const RECEIPT_TYPES = 'image/jpeg,image/png,image/gif,application/pdf';
+
+// Receipt preview with view and download links, and an upload button to attach or replace it
+const ReceiptCell = memo(({ expense, onUploaded }) => {
+  const [uploading, setUploading] = useState(false);
+  const [uploadError, setUploadError] = useState(null);
+  const { receipt } = expense;
+
+  const handleFileChange = async event => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setUploading(true);
+    setUploadError(null);
+    try {
+      await uploadExpenseReceipt(expense._id, file);
+      onUploaded();
+    } catch (error) {
+      setUploadError(error.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+      {receipt && (
+        <>
+          <Tooltip title={receipt.filename || 'View receipt'}>
+            <a href={getExpenseReceiptUrl(expense._id)} target='_blank' rel='noopener noreferrer'>
+              {receipt.thumbnailKey ? (
+                <Box
+                  component='img'
+                  src={getExpenseReceiptUrl(expense._id, { thumbnail: true })}
+                  alt={receipt.filename}
+                  sx={{
+                    width: 40,
+                    height: 40,
+                    objectFit: 'cover',
+                    borderRadius: 1,
+                    display: 'block'
+                  }}
+                />
+              ) : (
+                <PdfIcon color='error' sx={{ display: 'block' }} />
+              )}
+            </a>
+          </Tooltip>
+          <Tooltip title='Download receipt'>
+            <IconButton
+              size='small'
+              component='a'
+              href={getExpenseReceiptUrl(expense._id, { download: true })}
+            >
+              <DownloadIcon fontSize='small' />
+            </IconButton>
+          </Tooltip>
+        </>
+      )}
+      <Tooltip title={receipt ? 'Replace receipt' : 'Upload receipt'}>
+        <span>
+          <IconButton size='small' component='label' disabled={uploading}>
+            {uploading ? (
+              <SpinnerLoader size={20} centered={false} />
+            ) : (
+              <UploadIcon fontSize='small' />
+            )}
+            <input hidden type='file' accept={RECEIPT_TYPES} onChange={handleFileChange} />
+          </IconButton>
+        </span>
+      </Tooltip>
+      {uploadError && (
+        <Typography variant='caption' color='error'>
+          {uploadError}
+        </Typography>
+      )}
+    </Box>
+  );
+});
+
+ReceiptCell.displayName = 'ReceiptCell';
+
 // Memoized ExpenseRow component to prevent unnecessary re-renders
-const ExpenseRow = memo(({ expense, onEdit, onDelete, isDeleting }) => {
+const ExpenseRow = memo(({ expense, onEdit, onDelete, onReceiptUploaded, isDeleting }) => {
   const handleEdit = useStableCallback(() => onEdit(expense), [onEdit, expense]);
   const handleDelete = useStableCallback(() => onDelete(expense._id), [onDelete, expense._id]);
 
@@ -47,6 +141,9 @@ const ExpenseRow = memo(({ expense, onEdit, onDelete, isDeleting }) => {
       <TableCell>{expense.description}</TableCell>
       <TableCell>{expense.subCategory}</TableCell>
       <TableCell align='right'>{formattedAmount}</TableCell>
+      <TableCell>
+        <ReceiptCell expense={expense} onUploaded={onReceiptUploaded} />
+      </TableCell>
       <TableCell>
         <IconButton onClick={handleEdit} disabled={isDeleting}>
           <EditIcon />
@@ -166,18 +263,19 @@ const ExpenseList = memo(({ category }) => {
           expense={expense}
           onEdit={handleEditExpense}
           onDelete={handleDeleteExpense}
+          onReceiptUploaded={refetch}
           isDeleting={actionLoading[`delete_${expense._id}`]}
         />
       )) || []
     );
-  }, [expenses, handleEditExpense, handleDeleteExpense, actionLoading]);
+  }, [expenses, handleEditExpense, handleDeleteExpense, refetch, actionLoading]);
 
   // Memoized empty state
   const emptyState = useStableMemo(() => {
     if (!expenses || expenses.length === 0) {
       return (
         <TableRow>
-          <TableCell colSpan={5} align='center'>
+          <TableCell colSpan={6} align='center'>
             <Typography color='text.secondary'>
               No {category.toLowerCase()} expenses found.
             </Typography>
@@ -207,7 +305,7 @@ const ExpenseList = memo(({ category }) => {
 
       {/* Loading State */}
       {loading ? (
-        <SkeletonTable rows={5} columns={5} />
+        <SkeletonTable rows={5} columns={6} />
       ) : error ? (
         <InlineError error={error} onRetry={refetch} sx={{ my: 2 }} />
       ) : (
@@ -219,6 +317,7 @@ const ExpenseList = memo(({ category }) => {
                 <TableCell>Description</TableCell>
                 <TableCell>Sub Category</TableCell>
                 <TableCell align='right'>Amount</TableCell>
+                <TableCell>Receipt</TableCell>
                 <TableCell>Actions</TableCell>
               </TableRow>
             </TableHead>
@@ -252,13 +351,29 @@ ExpenseRow.propTypes = {
     amount: PropTypes.number.isRequired,
     date: PropTypes.string.isRequired,
     subCategory: PropTypes.string.isRequired,
-    mainCategory: PropTypes.string
+    mainCategory: PropTypes.string,
+    receipt: PropTypes.shape({
+      filename: PropTypes.string,
+      thumbnailKey: PropTypes.string
+    })
   }).isRequired,
   onEdit: PropTypes.func.isRequired,
   onDelete: PropTypes.func.isRequired,
+  onReceiptUploaded: PropTypes.func.isRequired,
   isDeleting: PropTypes.bool
 };
 
+ReceiptCell.propTypes = {
+  expense: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    receipt: PropTypes.shape({
+      filename: PropTypes.string,
+      thumbnailKey: PropTypes.string
+    })
+  }).isRequired,
+  onUploaded: PropTypes.func.isRequired
+};
+
 ExpenseRow.defaultProps = {
   isDeleting: false
 };
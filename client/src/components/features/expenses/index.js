@@ -7,3 +7,4 @@ export { default as ExpenseDashboard } from './ExpenseDashboard';
 export { default as ExpenseForm } from './ExpenseForm';
 export { default as ExpenseList } from './ExpenseList';
 export { default as ExpenseReports } from './ExpenseReports';
+export { default as ExchangeRatesDialog } from './ExchangeRatesDialog';
@@ -28,9 +28,11 @@ import { useNavigate } from 'react-router-dom';
 
 import { useSeason } from '../../../context/SeasonContext';
 import { useApiData } from '../../../hooks/useApi';
+import { useLiveRefresh } from '../../../hooks/useRealtime';
 import { getPonds, getWaterQualityInputs, getFeedInputs } from '../../../services/api';
 import logger from '../../../utils/logger';
 import { useStableCallback, useStableMemo } from '../../../utils/performanceOptimization';
+import BudgetVsActualWidget from '../../BudgetVsActualWidget';
 import FinancialOverviewWidget from '../../FinancialOverviewWidget';
 import LowStockAlert from '../../LowStockAlert';
 import PredictiveInsight from '../../PredictiveInsight';
@@ -91,6 +93,9 @@ const FarmOverview: React.FC = () => {
     refetch: refetchPonds
   } = useApiData(getPonds, [], 'ponds');
 
+  // Pond cards and KPIs follow new readings and status changes as they are pushed
+  useLiveRefresh(['waterQualityInput', 'feedInput', 'pondStatus'], refetchPonds);
+
   // Filter ponds
   const filteredPonds = useMemo(() => {
     const ponds = Array.isArray(allPondsData) ? allPondsData : [];
@@ -252,6 +257,9 @@ const FarmOverview: React.FC = () => {
         <Grid item xs={12} lg={4}>
           <ProfitLossWidget />
         </Grid>
+        <Grid item xs={12}>
+          <BudgetVsActualWidget />
+        </Grid>
       </Grid>
 
       {/* DATA TRENDS Section */}
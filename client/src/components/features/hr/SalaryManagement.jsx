@@ -24,6 +24,7 @@ import React, { useState } from 'react';
 import { useForm, Controller } from 'react-hook-form';
 
 import { useSeason } from '../../../context/SeasonContext';
+import CurrencySelect from '../../CurrencySelect';
 import { useApiData, useApiMutation } from '../../../hooks/useApi';
 import {
   getEmployees,
@@ -57,7 +58,12 @@ const SalaryManagement = () => {
     reset: resetSalaryForm
   } = useForm();
 
-  const handleSaveEmployee = async data => {
+  const handleSaveEmployee = async formData => {
+    const data = {
+      ...formData,
+      monthlySalary: formData.monthlySalary === '' ? undefined : Number(formData.monthlySalary),
+      currency: formData.currency || undefined
+    };
     try {
       if (editingEmployee) {
         await updateEmployeeMutation(editingEmployee._id, data);
@@ -91,6 +97,8 @@ const SalaryManagement = () => {
       subCategory: 'Salary',
       employee: employee._id,
       season: selectedSeason?._id,
+      amount: employee.monthlySalary || '',
+      currency: employee.currency,
       description: `Salary for ${employee.name}`
     });
     setOpenSalaryForm(true);
@@ -127,6 +135,7 @@ const SalaryManagement = () => {
             <TableRow>
               <TableCell>Name</TableCell>
               <TableCell>Role</TableCell>
+              <TableCell align='right'>Monthly Salary</TableCell>
               <TableCell>Status</TableCell>
               <TableCell>Actions</TableCell>
             </TableRow>
@@ -136,6 +145,11 @@ const SalaryManagement = () => {
               <TableRow key={employee._id}>
                 <TableCell>{employee.name}</TableCell>
                 <TableCell>{employee.role}</TableCell>
+                <TableCell align='right'>
+                  {employee.monthlySalary
+                    ? `${employee.monthlySalary.toLocaleString()} ${employee.currency}`
+                    : '-'}
+                </TableCell>
                 <TableCell>{employee.status}</TableCell>
                 <TableCell>
                   <Button onClick={() => handleLogSalary(employee)}>Log Salary</Button>
@@ -173,6 +187,37 @@ const SalaryManagement = () => {
               control={employeeControl}
               render={({ field }) => <TextField {...field} label='Role' fullWidth margin='dense' />}
             />
+            {/* Used to project payroll in the season cash flow forecast */}
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <Controller
+                name='monthlySalary'
+                control={employeeControl}
+                defaultValue=''
+                render={({ field }) => (
+                  <TextField
+                    {...field}
+                    type='number'
+                    label='Monthly Salary'
+                    fullWidth
+                    margin='dense'
+                    inputProps={{ min: 0 }}
+                  />
+                )}
+              />
+              <Controller
+                name='currency'
+                control={employeeControl}
+                defaultValue=''
+                render={({ field }) => (
+                  <CurrencySelect
+                    value={field.value}
+                    onChange={field.onChange}
+                    margin='dense'
+                    sx={{ minWidth: 120 }}
+                  />
+                )}
+              />
+            </Box>
             <Controller
               name='status'
               control={employeeControl}
@@ -0,0 +1,209 @@
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  MenuItem,
+  TextField,
+  Typography
+} from '@mui/material';
+import PropTypes from 'prop-types';
+import React, { useEffect, useState } from 'react';
+
+import { getInventoryItemsByType } from '../../../services/api';
+
+// Reading fields entered when completing a task, per required data entry type
+const READING_FIELDS = {
+  WaterQualityInput: [
+    { name: 'pH', label: 'pH', required: true },
+    { name: 'dissolvedOxygen', label: 'Dissolved Oxygen (mg/L)', required: true },
+    { name: 'temperature', label: 'Temperature (°C)', required: true },
+    { name: 'salinity', label: 'Salinity (ppt)', required: true },
+    { name: 'ammonia', label: 'Ammonia (mg/L)' },
+    { name: 'nitrite', label: 'Nitrite (mg/L)' },
+    { name: 'alkalinity', label: 'Alkalinity (mg/L)' }
+  ],
+  FeedInput: [{ name: 'quantity', label: 'Quantity (kg)', required: true }],
+  GrowthSampling: [
+    { name: 'totalWeight', label: 'Total Weight (kg)', required: true },
+    { name: 'totalCount', label: 'Total Count', required: true }
+  ]
+};
+
+export const DATA_ENTRY_LABELS = {
+  WaterQualityInput: 'Water quality reading',
+  FeedInput: 'Feed entry',
+  GrowthSampling: 'Growth sampling'
+};
+
+const itemLabel = item =>
+  typeof item.itemName === 'object'
+    ? item.itemName.en || Object.values(item.itemName)[0]
+    : item.itemName;
+
+// Completes a task by ticking its checklist and entering the reading it requires in one submission
+const TaskCompletionDialog = ({ task, seasonId, onClose, onComplete }) => {
+  const [checklist, setChecklist] = useState([]);
+  const [reading, setReading] = useState({});
+  const [feedItems, setFeedItems] = useState([]);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!task) {
+      return;
+    }
+    setChecklist((task.checklist || []).map(item => ({ label: item.label, done: item.done })));
+    setReading({});
+    setError('');
+    if (task.dataEntryType === 'FeedInput') {
+      getInventoryItemsByType('Feed', seasonId)
+        .then(setFeedItems)
+        .catch(() => setFeedItems([]));
+    }
+  }, [task, seasonId]);
+
+  if (!task) {
+    return null;
+  }
+
+  const fields = READING_FIELDS[task.dataEntryType] || [];
+  const checklistDone = checklist.every(item => item.done);
+  const readingDone =
+    fields.every(field => !field.required || reading[field.name] !== undefined) &&
+    (task.dataEntryType !== 'FeedInput' || Boolean(reading.inventoryItemId));
+
+  const handleComplete = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const values = {};
+      Object.entries(reading).forEach(([name, value]) => {
+        values[name] = name === 'inventoryItemId' ? value : Number(value);
+      });
+      await onComplete(task, {
+        completed: true,
+        checklist,
+        ...(task.dataEntryType ? { reading: values } : {})
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const setValue = (name, value) =>
+    setReading(prev => {
+      const next = { ...prev };
+      if (value === '') {
+        delete next[name];
+      } else {
+        next[name] = value;
+      }
+      return next;
+    });
+
+  return (
+    <Dialog open onClose={onClose} maxWidth='sm' fullWidth>
+      <DialogTitle>Complete &quot;{task.title}&quot;</DialogTitle>
+      <DialogContent dividers>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          {error && <Alert severity='error'>{error}</Alert>}
+          {checklist.length > 0 && (
+            <Box>
+              <Typography variant='subtitle2'>Checklist</Typography>
+              {checklist.map((item, index) => (
+                <FormControlLabel
+                  key={item.label}
+                  sx={{ display: 'flex' }}
+                  control={
+                    <Checkbox
+                      checked={item.done}
+                      onChange={e =>
+                        setChecklist(prev =>
+                          prev.map((entry, i) =>
+                            i === index ? { ...entry, done: e.target.checked } : entry
+                          )
+                        )
+                      }
+                    />
+                  }
+                  label={item.label}
+                />
+              ))}
+            </Box>
+          )}
+          {task.dataEntryType && (
+            <>
+              <Typography variant='subtitle2'>{DATA_ENTRY_LABELS[task.dataEntryType]}</Typography>
+              {!task.pondId && (
+                <Alert severity='warning'>
+                  This task has no pond, so the reading cannot be recorded. Edit the task to set
+                  one.
+                </Alert>
+              )}
+              {task.dataEntryType === 'FeedInput' && (
+                <TextField
+                  select
+                  label='Feed Type'
+                  value={reading.inventoryItemId || ''}
+                  onChange={e => setValue('inventoryItemId', e.target.value)}
+                  fullWidth
+                  required
+                >
+                  {feedItems.map(item => (
+                    <MenuItem key={item._id} value={item._id}>
+                      {itemLabel(item)}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              )}
+              {fields.map(field => (
+                <TextField
+                  key={field.name}
+                  label={field.label}
+                  type='number'
+                  value={reading[field.name] ?? ''}
+                  onChange={e => setValue(field.name, e.target.value)}
+                  required={field.required}
+                  fullWidth
+                />
+              ))}
+            </>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant='contained'
+          onClick={handleComplete}
+          disabled={saving || !checklistDone || !readingDone}
+        >
+          Complete
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+TaskCompletionDialog.propTypes = {
+  task: PropTypes.shape({
+    _id: PropTypes.string,
+    title: PropTypes.string,
+    pondId: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+    dataEntryType: PropTypes.string,
+    checklist: PropTypes.arrayOf(PropTypes.shape({ label: PropTypes.string, done: PropTypes.bool }))
+  }),
+  seasonId: PropTypes.string,
+  onClose: PropTypes.func.isRequired,
+  onComplete: PropTypes.func.isRequired
+};
+
+export default TaskCompletionDialog;
@@ -0,0 +1,88 @@
+import {
+  Box,
+  Chip,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+// Per-assignee task counts, with open tasks broken down by pond so work can be balanced across pond teams
+const TaskWorkload = ({ workload, ponds = [] }) => {
+  const pondName = id =>
+    id === 'unassigned' ? 'No pond' : ponds.find(p => (p.id || p._id) === id)?.name || 'Pond';
+
+  return (
+    <TableContainer component={Paper} variant='outlined'>
+      <Table size='small'>
+        <TableHead sx={{ bgcolor: 'action.hover' }}>
+          <TableRow>
+            <TableCell>Assignee</TableCell>
+            <TableCell align='right'>Open</TableCell>
+            <TableCell align='right'>Overdue</TableCell>
+            <TableCell align='right'>Completed on time</TableCell>
+            <TableCell align='right'>Completed late</TableCell>
+            <TableCell>Open by pond</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {workload.length === 0 ? (
+            <TableRow>
+              <TableCell colSpan={6} align='center'>
+                No assigned tasks.
+              </TableCell>
+            </TableRow>
+          ) : (
+            workload.map(row => (
+              <TableRow key={row.assigneeId}>
+                <TableCell>
+                  {row.name || 'Unknown'}
+                  {row.assigneeModel === 'User' && (
+                    <Typography variant='caption' color='text.secondary' sx={{ ml: 1 }}>
+                      (user)
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell align='right'>{row.open}</TableCell>
+                <TableCell align='right'>
+                  {row.overdue > 0 ? (
+                    <Chip label={row.overdue} size='small' color='error' />
+                  ) : (
+                    row.overdue
+                  )}
+                </TableCell>
+                <TableCell align='right'>{row.completedOnTime}</TableCell>
+                <TableCell align='right'>{row.completedLate}</TableCell>
+                <TableCell>
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                    {Object.entries(row.byPond).map(([pondId, count]) => (
+                      <Chip
+                        key={pondId}
+                        label={`${pondName(pondId)}: ${count}`}
+                        size='small'
+                        variant='outlined'
+                      />
+                    ))}
+                  </Box>
+                </TableCell>
+              </TableRow>
+            ))
+          )}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+};
+
+TaskWorkload.propTypes = {
+  workload: PropTypes.arrayOf(PropTypes.object).isRequired,
+  ponds: PropTypes.arrayOf(PropTypes.object)
+};
+
+export default TaskWorkload;
@@ -4,3 +4,5 @@
  */
 
 export { default as SalaryManagement } from './SalaryManagement';
+export { default as TaskWorkload } from './TaskWorkload';
+export { default as TaskCompletionDialog } from './TaskCompletionDialog';
@@ -23,6 +23,7 @@ import { useTranslation } from 'react-i18next';
 
 import { useSeason } from '../../../context/SeasonContext';
 import useApi from '../../../hooks/useApi';
+import CurrencySelect from '../../CurrencySelect';
 
 const itemTypes = ['Feed', 'Chemical', 'Probiotic', 'Other'];
 const units = ['kg', 'g', 'litre', 'ml', 'bag', 'bottle'];
@@ -38,6 +39,7 @@ const InventoryForm = ({ open, onClose, item, onSave }) => {
     purchaseDate: null,
     unit: '',
     costPerUnit: '',
+    currency: '',
     quantityBought: ''
   });
   const [errors, setErrors] = useState({});
@@ -51,6 +53,7 @@ const InventoryForm = ({ open, onClose, item, onSave }) => {
         purchaseDate: item.purchaseDate ? new Date(item.purchaseDate) : null,
         unit: item.unit || '',
         costPerUnit: item.costPerUnit || '',
+        currency: item.currency || '',
         quantityBought: item.quantityBought || ''
       });
     } else {
@@ -61,6 +64,7 @@ const InventoryForm = ({ open, onClose, item, onSave }) => {
         purchaseDate: null,
         unit: '',
         costPerUnit: '',
+        currency: '',
         quantityBought: ''
       });
     }
@@ -119,6 +123,7 @@ const InventoryForm = ({ open, onClose, item, onSave }) => {
           purchaseDate: formData.purchaseDate ? formData.purchaseDate.toISOString() : null,
           unit: formData.unit,
           costPerUnit: parseFloat(formData.costPerUnit),
+          ...(formData.currency ? { currency: formData.currency } : {}),
           seasonId: selectedSeason._id || selectedSeason.id
         };
 
@@ -226,7 +231,7 @@ const InventoryForm = ({ open, onClose, item, onSave }) => {
                   {errors.unit && <FormHelperText>{errors.unit}</FormHelperText>}
                 </FormControl>
               </Grid>
-              <Grid item xs={12} sm={6}>
+              <Grid item xs={8} sm={4}>
                 <TextField
                   fullWidth
                   label={t('costPerUnit')}
@@ -239,6 +244,14 @@ const InventoryForm = ({ open, onClose, item, onSave }) => {
                   disabled={!selectedSeason}
                 />
               </Grid>
+              <Grid item xs={4} sm={2}>
+                <CurrencySelect
+                  fullWidth
+                  value={formData.currency}
+                  onChange={currency => setFormData({ ...formData, currency })}
+                  disabled={!selectedSeason}
+                />
+              </Grid>
               <Grid item xs={12} sm={6}>
                 <TextField
                   fullWidth
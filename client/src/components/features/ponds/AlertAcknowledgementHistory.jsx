@@ -0,0 +1,102 @@
+import {
+  Box,
+  Chip,
+  CircularProgress,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import { useApiData } from '../../../hooks/useApi';
+import { useLiveRefresh } from '../../../hooks/useRealtime';
+import { getNotificationAcknowledgements } from '../../../services/api';
+
+const priorityColors = {
+  Critical: 'error',
+  High: 'warning',
+  Medium: 'info',
+  Low: 'default'
+};
+
+const formatDateTime = value => (value ? new Date(value).toLocaleString() : '');
+
+// Who acknowledged which alert for a pond, and when
+const AlertAcknowledgementHistory = ({ pondId }) => {
+  const { data, loading, refetch } = useApiData(
+    () => getNotificationAcknowledgements(pondId),
+    [pondId]
+  );
+
+  useLiveRefresh(['notification'], refetch);
+
+  const history = data || [];
+
+  return (
+    <Box>
+      <Typography variant='h6' gutterBottom>
+        Alert Acknowledgements
+      </Typography>
+      {loading && !data ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TableContainer component={Paper} variant='outlined'>
+          <Table size='small'>
+            <TableHead sx={{ bgcolor: 'action.hover' }}>
+              <TableRow>
+                <TableCell>Acknowledged</TableCell>
+                <TableCell>Alert</TableCell>
+                <TableCell>Priority</TableCell>
+                <TableCell>Raised</TableCell>
+                <TableCell>Escalations</TableCell>
+                <TableCell>By</TableCell>
+                <TableCell>Comment</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {history.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} align='center'>
+                    No alerts have been acknowledged for this pond.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                history.map((entry, index) => (
+                  <TableRow key={`${entry.notificationId}-${index}`}>
+                    <TableCell>{formatDateTime(entry.acknowledgedAt)}</TableCell>
+                    <TableCell>{entry.title}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={entry.priority}
+                        size='small'
+                        color={priorityColors[entry.priority] || 'default'}
+                      />
+                    </TableCell>
+                    <TableCell>{formatDateTime(entry.raisedAt)}</TableCell>
+                    <TableCell>{entry.escalationLevel || 0}</TableCell>
+                    <TableCell>{entry.userName}</TableCell>
+                    <TableCell>{entry.comment}</TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+};
+
+AlertAcknowledgementHistory.propTypes = {
+  pondId: PropTypes.string.isRequired
+};
+
+export default AlertAcknowledgementHistory;
@@ -0,0 +1,106 @@
+import {
+  Box,
+  Card,
+  CardContent,
+  Chip,
+  Grid,
+  Step,
+  StepLabel,
+  Stepper,
+  Typography
+} from '@mui/material';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+const localized = name =>
+  name && typeof name === 'object' ? name.en || Object.values(name)[0] : name || '';
+
+// Groups harvests by pond, each pond's harvests in date order
+const groupByPond = harvests => {
+  const ponds = new Map();
+  harvests.forEach(harvest => {
+    const pondId = harvest.pondId?._id || harvest.pondId;
+    if (!ponds.has(pondId)) {
+      ponds.set(pondId, { pondId, name: localized(harvest.pondId?.name), harvests: [] });
+    }
+    ponds.get(pondId).harvests.push(harvest);
+  });
+  return Array.from(ponds.values()).map(pond => ({
+    ...pond,
+    harvests: [...pond.harvests].sort((a, b) => new Date(a.date) - new Date(b.date))
+  }));
+};
+
+// Partial and final harvests of each pond's cycle with running totals; survival and FCR appear once the final harvest closes the pond
+const HarvestTimeline = ({ harvests }) => {
+  const ponds = groupByPond(harvests);
+
+  if (ponds.length === 0) {
+    return (
+      <Typography variant='body2' color='text.secondary'>
+        No harvests recorded yet.
+      </Typography>
+    );
+  }
+
+  return (
+    <Grid container spacing={2}>
+      {ponds.map(pond => {
+        const final = pond.harvests.find(h => h.harvestType === 'Final');
+        const last = pond.harvests[pond.harvests.length - 1];
+        return (
+          <Grid item xs={12} key={pond.pondId}>
+            <Card variant='outlined'>
+              <CardContent>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+                  <Typography variant='h6'>{pond.name || 'Pond'}</Typography>
+                  <Chip
+                    size='small'
+                    label={final ? 'Closed' : 'Open'}
+                    color={final ? 'default' : 'success'}
+                  />
+                  <Typography variant='body2' color='text.secondary' sx={{ ml: 'auto' }}>
+                    {(last.cumulativeBiomass ?? last.totalBiomass).toLocaleString()} kg /{' '}
+                    {(last.cumulativeCount ?? 0).toLocaleString()} shrimp harvested
+                    {final &&
+                      ` · Survival ${final.survivalRate?.toFixed(2) ?? '-'}% · FCR ${
+                        final.fcr?.toFixed(2) ?? '-'
+                      }`}
+                  </Typography>
+                </Box>
+                <Stepper alternativeLabel activeStep={pond.harvests.length}>
+                  {pond.harvests.map(harvest => (
+                    <Step key={harvest._id} completed>
+                      <StepLabel
+                        optional={
+                          <Typography variant='caption' component='div'>
+                            {harvest.totalBiomass.toLocaleString()} kg @ {harvest.finalABW} g
+                            <br />
+                            Total{' '}
+                            {(
+                              harvest.cumulativeBiomass ?? harvest.totalBiomass
+                            ).toLocaleString()}{' '}
+                            kg
+                          </Typography>
+                        }
+                      >
+                        {new Date(harvest.date).toLocaleDateString()} ·{' '}
+                        {harvest.harvestType === 'Partial' ? 'Partial' : 'Final'}
+                      </StepLabel>
+                    </Step>
+                  ))}
+                </Stepper>
+              </CardContent>
+            </Card>
+          </Grid>
+        );
+      })}
+    </Grid>
+  );
+};
+
+HarvestTimeline.propTypes = {
+  harvests: PropTypes.array.isRequired
+};
+
+export default HarvestTimeline;
@@ -5,3 +5,5 @@
 
 export { default as PondCard } from './PondCard';
 export { default as PondDetail } from './PondDetail';
+export { default as AlertAcknowledgementHistory } from './AlertAcknowledgementHistory';
+export { default as HarvestTimeline } from './HarvestTimeline';
@@ -0,0 +1,121 @@
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  TextField
+} from '@mui/material';
+import PropTypes from 'prop-types';
+import React, { useEffect, useState } from 'react';
+
+import { createBuyer, updateBuyer } from '../../../services/api';
+
+const EMPTY_BUYER = {
+  name: '',
+  contactPerson: '',
+  phone: '',
+  email: '',
+  address: '',
+  taxId: '',
+  paymentTermsDays: 30,
+  isActive: true,
+  notes: ''
+};
+
+// Adds a buyer to the directory or edits one; payment terms set the due date of their invoices
+const BuyerDialog = ({ open, onClose, onSaved, buyer = null }) => {
+  const [form, setForm] = useState(EMPTY_BUYER);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setForm(buyer ? { ...EMPTY_BUYER, ...buyer } : EMPTY_BUYER);
+      setError('');
+    }
+  }, [open, buyer]);
+
+  const field = (name, label, props = {}) => (
+    <TextField
+      label={label}
+      fullWidth
+      value={form[name] ?? ''}
+      onChange={e => setForm({ ...form, [name]: e.target.value })}
+      {...props}
+    />
+  );
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const data = { ...form, paymentTermsDays: Number(form.paymentTermsDays) || 0 };
+      if (buyer) {
+        await updateBuyer(buyer._id, data);
+      } else {
+        await createBuyer(data);
+      }
+      onSaved();
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth='sm' fullWidth>
+      <DialogTitle>{buyer ? 'Edit Buyer' : 'Add Buyer'}</DialogTitle>
+      <DialogContent dividers>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          {error && <Alert severity='error'>{error}</Alert>}
+          {field('name', 'Name', { required: true })}
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            {field('contactPerson', 'Contact Person')}
+            {field('phone', 'Phone')}
+          </Box>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            {field('email', 'Email', { type: 'email' })}
+            {field('taxId', 'Tax ID')}
+          </Box>
+          {field('address', 'Address', { multiline: true, rows: 2 })}
+          {field('paymentTermsDays', 'Payment Terms (days)', {
+            type: 'number',
+            inputProps: { min: 0 }
+          })}
+          {field('notes', 'Notes', { multiline: true })}
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={form.isActive}
+                onChange={e => setForm({ ...form, isActive: e.target.checked })}
+              />
+            }
+            label='Active'
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant='contained' onClick={handleSave} disabled={saving || !form.name}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+BuyerDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSaved: PropTypes.func.isRequired,
+  buyer: PropTypes.object
+};
+
+export default BuyerDialog;
@@ -0,0 +1,250 @@
+import { Delete as DeleteIcon, Edit as EditIcon } from '@mui/icons-material';
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  FormControlLabel,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import PropTypes from 'prop-types';
+import React, { useEffect, useState } from 'react';
+
+import {
+  createBuyerPriceList,
+  deleteBuyerPriceList,
+  getBuyerPriceLists,
+  updateBuyerPriceList
+} from '../../../services/api';
+import CurrencySelect from '../../CurrencySelect';
+
+import GradeLinesEditor from './GradeLinesEditor';
+
+const emptyForm = () => ({
+  buyerName: '',
+  currency: '',
+  effectiveFrom: new Date().toISOString().slice(0, 10),
+  isActive: true,
+  notes: '',
+  prices: [{ grade: '', pricePerKg: '' }]
+});
+
+// Manages what each buyer pays per grade; sales to a buyer are priced from their latest list in effect
+const BuyerPriceListsDialog = ({ open, onClose, onChanged = () => {} }) => {
+  const [priceLists, setPriceLists] = useState([]);
+  const [form, setForm] = useState(emptyForm());
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const load = () =>
+    getBuyerPriceLists()
+      .then(setPriceLists)
+      .catch(err => setError(err.message));
+
+  useEffect(() => {
+    if (open) {
+      setForm(emptyForm());
+      setEditingId(null);
+      setError('');
+      load();
+    }
+  }, [open]);
+
+  const startEdit = priceList => {
+    setEditingId(priceList._id);
+    setForm({
+      buyerName: priceList.buyerName,
+      currency: priceList.currency || '',
+      effectiveFrom: priceList.effectiveFrom.slice(0, 10),
+      isActive: priceList.isActive,
+      notes: priceList.notes || '',
+      prices: priceList.prices.map(price => ({ grade: price.grade, pricePerKg: price.pricePerKg }))
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const data = {
+        ...form,
+        currency: form.currency || undefined,
+        prices: form.prices
+          .filter(price => price.grade && price.pricePerKg !== '')
+          .map(price => ({ grade: price.grade, pricePerKg: Number(price.pricePerKg) }))
+      };
+      if (editingId) {
+        await updateBuyerPriceList(editingId, data);
+      } else {
+        await createBuyerPriceList(data);
+      }
+      setForm(emptyForm());
+      setEditingId(null);
+      await load();
+      onChanged();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async priceList => {
+    if (!window.confirm(`Delete the price list for ${priceList.buyerName}?`)) return;
+    try {
+      await deleteBuyerPriceList(priceList._id);
+      await load();
+      onChanged();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth='md' fullWidth>
+      <DialogTitle>Buyer Price Lists</DialogTitle>
+      <DialogContent dividers>
+        {error && (
+          <Alert severity='error' sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Table size='small'>
+          <TableHead>
+            <TableRow>
+              <TableCell>Buyer</TableCell>
+              <TableCell>Effective From</TableCell>
+              <TableCell>Prices per kg</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {priceLists.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={4} align='center'>
+                  No price lists yet.
+                </TableCell>
+              </TableRow>
+            ) : (
+              priceLists.map(priceList => (
+                <TableRow key={priceList._id} selected={priceList._id === editingId}>
+                  <TableCell>
+                    {priceList.buyerName}
+                    {!priceList.isActive && <Chip size='small' label='Inactive' sx={{ ml: 1 }} />}
+                  </TableCell>
+                  <TableCell>{new Date(priceList.effectiveFrom).toLocaleDateString()}</TableCell>
+                  <TableCell>
+                    {priceList.prices
+                      .map(price => `${price.grade}: ${price.pricePerKg.toFixed(2)}`)
+                      .join(' · ')}{' '}
+                    {priceList.currency}
+                  </TableCell>
+                  <TableCell align='right' sx={{ whiteSpace: 'nowrap' }}>
+                    <IconButton size='small' onClick={() => startEdit(priceList)}>
+                      <EditIcon fontSize='small' />
+                    </IconButton>
+                    <IconButton size='small' color='error' onClick={() => handleDelete(priceList)}>
+                      <DeleteIcon fontSize='small' />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+
+        <Divider sx={{ my: 3 }} />
+        <Typography variant='subtitle1' sx={{ mb: 2 }}>
+          {editingId ? 'Edit Price List' : 'New Price List'}
+        </Typography>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField
+              label='Buyer Name'
+              required
+              fullWidth
+              value={form.buyerName}
+              onChange={e => setForm({ ...form, buyerName: e.target.value })}
+            />
+            <TextField
+              label='Effective From'
+              type='date'
+              required
+              fullWidth
+              InputLabelProps={{ shrink: true }}
+              value={form.effectiveFrom}
+              onChange={e => setForm({ ...form, effectiveFrom: e.target.value })}
+            />
+            <CurrencySelect
+              sx={{ minWidth: 140 }}
+              value={form.currency}
+              onChange={currency => setForm({ ...form, currency })}
+            />
+          </Box>
+          <GradeLinesEditor
+            lines={form.prices}
+            columns={['pricePerKg']}
+            onChange={prices => setForm({ ...form, prices })}
+          />
+          <TextField
+            label='Notes'
+            fullWidth
+            value={form.notes}
+            onChange={e => setForm({ ...form, notes: e.target.value })}
+          />
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={form.isActive}
+                onChange={e => setForm({ ...form, isActive: e.target.checked })}
+              />
+            }
+            label='Active'
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        {editingId && (
+          <Button
+            onClick={() => {
+              setEditingId(null);
+              setForm(emptyForm());
+            }}
+          >
+            Cancel Edit
+          </Button>
+        )}
+        <Button onClick={onClose}>Close</Button>
+        <Button
+          variant='contained'
+          onClick={handleSave}
+          disabled={saving || !form.buyerName || !form.effectiveFrom}
+        >
+          {editingId ? 'Update' : 'Add'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+BuyerPriceListsDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onChanged: PropTypes.func
+};
+
+export default BuyerPriceListsDialog;
@@ -0,0 +1,181 @@
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import PropTypes from 'prop-types';
+import React, { useEffect, useState } from 'react';
+
+import { createInvoice, getSales } from '../../../services/api';
+
+const localized = name =>
+  name && typeof name === 'object' ? name.en || Object.values(name)[0] : name || '';
+
+// Sales recorded by name before the buyer directory existed are matched on the buyer's name
+const isBuyersSale = (sale, buyer) =>
+  sale.buyerId
+    ? sale.buyerId === buyer._id
+    : sale.buyerName?.trim().toLowerCase() === buyer.name.toLowerCase();
+
+// Invoices a buyer for a selection of their uninvoiced sales
+const CreateInvoiceDialog = ({ open, onClose, onCreated, buyers }) => {
+  const [buyerId, setBuyerId] = useState('');
+  const [sales, setSales] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [issueDate, setIssueDate] = useState(new Date().toISOString().slice(0, 10));
+  const [notes, setNotes] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setBuyerId('');
+      setSelected([]);
+      setNotes('');
+      setError('');
+      getSales({ uninvoiced: true })
+        .then(setSales)
+        .catch(err => setError(err.message));
+    }
+  }, [open]);
+
+  const buyer = buyers.find(b => b._id === buyerId);
+  const buyerSales = buyer ? sales.filter(sale => isBuyersSale(sale, buyer)) : [];
+  const total = buyerSales
+    .filter(sale => selected.includes(sale._id))
+    .reduce((sum, sale) => sum + sale.totalRevenue, 0);
+
+  const toggle = saleId =>
+    setSelected(
+      selected.includes(saleId) ? selected.filter(id => id !== saleId) : [...selected, saleId]
+    );
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const invoice = await createInvoice({ buyerId, saleIds: selected, issueDate, notes });
+      onCreated(invoice);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth='md' fullWidth>
+      <DialogTitle>New Invoice</DialogTitle>
+      <DialogContent dividers>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          {error && <Alert severity='error'>{error}</Alert>}
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField
+              select
+              label='Buyer'
+              fullWidth
+              required
+              value={buyerId}
+              onChange={e => {
+                setBuyerId(e.target.value);
+                setSelected([]);
+              }}
+            >
+              {buyers.map(b => (
+                <MenuItem key={b._id} value={b._id}>
+                  {b.name}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              label='Issue Date'
+              type='date'
+              fullWidth
+              InputLabelProps={{ shrink: true }}
+              value={issueDate}
+              onChange={e => setIssueDate(e.target.value)}
+              helperText={buyer ? `Due ${buyer.paymentTermsDays} days after issue` : ''}
+            />
+          </Box>
+          {buyer && (
+            <Table size='small'>
+              <TableHead>
+                <TableRow>
+                  <TableCell padding='checkbox' />
+                  <TableCell>Date</TableCell>
+                  <TableCell>Pond</TableCell>
+                  <TableCell align='right'>Qty (kg)</TableCell>
+                  <TableCell align='right'>Amount</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {buyerSales.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={5} align='center'>
+                      No uninvoiced sales to this buyer.
+                    </TableCell>
+                  </TableRow>
+                ) : (
+                  buyerSales.map(sale => (
+                    <TableRow key={sale._id} hover onClick={() => toggle(sale._id)}>
+                      <TableCell padding='checkbox'>
+                        <Checkbox checked={selected.includes(sale._id)} />
+                      </TableCell>
+                      <TableCell>{new Date(sale.date).toLocaleDateString()}</TableCell>
+                      <TableCell>{localized(sale.harvestId?.pondId?.name)}</TableCell>
+                      <TableCell align='right'>{sale.quantitySold.toLocaleString()}</TableCell>
+                      <TableCell align='right'>${sale.totalRevenue.toLocaleString()}</TableCell>
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          )}
+          <TextField
+            label='Notes'
+            fullWidth
+            multiline
+            value={notes}
+            onChange={e => setNotes(e.target.value)}
+          />
+          <Typography variant='subtitle1' align='right'>
+            Invoice total: ${total.toLocaleString(undefined, { minimumFractionDigits: 2 })}
+          </Typography>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant='contained'
+          onClick={handleCreate}
+          disabled={saving || !buyerId || selected.length === 0}
+        >
+          Create Invoice
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+CreateInvoiceDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onCreated: PropTypes.func.isRequired,
+  buyers: PropTypes.array.isRequired
+};
+
+export default CreateInvoiceDialog;
@@ -0,0 +1,100 @@
+import { Add as AddIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import { Autocomplete, Box, Button, IconButton, TextField } from '@mui/material';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+// Count-per-kg grades offered by default, plus the off-grade categories
+export const COMMON_GRADES = [
+  '20/30',
+  '30/40',
+  '40/50',
+  '50/60',
+  '60/70',
+  '70/80',
+  '80/100',
+  '100/120',
+  'Soft-shell',
+  'Reject'
+];
+
+const COLUMN_LABELS = {
+  quantity: 'Quantity (kg)',
+  pricePerKg: 'Price / kg'
+};
+
+// Editable rows of grade plus the given numeric columns (kg and/or price per kg)
+const GradeLinesEditor = ({
+  lines,
+  onChange,
+  columns = ['quantity'],
+  gradeOptions = COMMON_GRADES,
+  pricePlaceholders = {}
+}) => {
+  const emptyLine = () => ({
+    grade: '',
+    ...Object.fromEntries(columns.map(column => [column, '']))
+  });
+  const updateLine = (index, changes) =>
+    onChange(lines.map((line, i) => (i === index ? { ...line, ...changes } : line)));
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+      {lines.map((line, index) => (
+        <Box key={index} sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+          <Autocomplete
+            freeSolo
+            options={gradeOptions}
+            value={line.grade}
+            onInputChange={(event, grade) => updateLine(index, { grade })}
+            sx={{ flex: 2 }}
+            renderInput={params => <TextField {...params} label='Grade' size='small' />}
+          />
+          {columns.map(column => (
+            <TextField
+              key={column}
+              label={COLUMN_LABELS[column]}
+              type='number'
+              size='small'
+              value={line[column]}
+              placeholder={
+                column === 'pricePerKg' && pricePlaceholders[line.grade] !== undefined
+                  ? String(pricePlaceholders[line.grade])
+                  : undefined
+              }
+              InputLabelProps={
+                column === 'pricePerKg' && pricePlaceholders[line.grade] !== undefined
+                  ? { shrink: true }
+                  : undefined
+              }
+              inputProps={{ min: 0, step: '0.01' }}
+              onChange={e => updateLine(index, { [column]: e.target.value })}
+              sx={{ flex: 1 }}
+            />
+          ))}
+          <IconButton size='small' onClick={() => onChange(lines.filter((_, i) => i !== index))}>
+            <DeleteIcon fontSize='small' />
+          </IconButton>
+        </Box>
+      ))}
+      <Box>
+        <Button
+          size='small'
+          startIcon={<AddIcon />}
+          onClick={() => onChange([...lines, emptyLine()])}
+        >
+          Add Grade
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+GradeLinesEditor.propTypes = {
+  lines: PropTypes.arrayOf(PropTypes.object).isRequired,
+  onChange: PropTypes.func.isRequired,
+  columns: PropTypes.arrayOf(PropTypes.oneOf(['quantity', 'pricePerKg'])),
+  gradeOptions: PropTypes.arrayOf(PropTypes.string),
+  pricePlaceholders: PropTypes.object
+};
+
+export default GradeLinesEditor;
@@ -0,0 +1,129 @@
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  TextField,
+  Typography
+} from '@mui/material';
+import PropTypes from 'prop-types';
+import React, { useEffect, useState } from 'react';
+
+import { addInvoicePayment } from '../../../services/api';
+
+const PAYMENT_METHODS = [
+  { value: 'BankTransfer', label: 'Bank Transfer' },
+  { value: 'Cash', label: 'Cash' },
+  { value: 'Cheque', label: 'Cheque' },
+  { value: 'Other', label: 'Other' }
+];
+
+// Records a full or partial payment against an invoice
+const PaymentDialog = ({ open, onClose, onSaved, invoice = null }) => {
+  const outstanding = invoice ? invoice.amount - invoice.amountPaid : 0;
+  const [form, setForm] = useState({});
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open && invoice) {
+      setForm({
+        date: new Date().toISOString().slice(0, 10),
+        amount: outstanding.toFixed(2),
+        method: 'BankTransfer',
+        reference: '',
+        notes: ''
+      });
+      setError('');
+    }
+  }, [open, invoice]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      await addInvoicePayment(invoice._id, { ...form, amount: Number(form.amount) });
+      onSaved();
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!invoice) return null;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth='xs' fullWidth>
+      <DialogTitle>Record Payment · {invoice.invoiceNumber}</DialogTitle>
+      <DialogContent dividers>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          {error && <Alert severity='error'>{error}</Alert>}
+          <Typography variant='body2' color='text.secondary'>
+            Outstanding: ${outstanding.toLocaleString(undefined, { minimumFractionDigits: 2 })}
+          </Typography>
+          <TextField
+            label='Payment Date'
+            type='date'
+            fullWidth
+            InputLabelProps={{ shrink: true }}
+            value={form.date || ''}
+            onChange={e => setForm({ ...form, date: e.target.value })}
+          />
+          <TextField
+            label='Amount'
+            type='number'
+            fullWidth
+            required
+            inputProps={{ min: 0, max: outstanding, step: '0.01' }}
+            value={form.amount || ''}
+            onChange={e => setForm({ ...form, amount: e.target.value })}
+          />
+          <TextField
+            select
+            label='Method'
+            fullWidth
+            value={form.method || 'BankTransfer'}
+            onChange={e => setForm({ ...form, method: e.target.value })}
+          >
+            {PAYMENT_METHODS.map(method => (
+              <MenuItem key={method.value} value={method.value}>
+                {method.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            label='Reference'
+            fullWidth
+            value={form.reference || ''}
+            onChange={e => setForm({ ...form, reference: e.target.value })}
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant='contained'
+          onClick={handleSave}
+          disabled={saving || !(Number(form.amount) > 0)}
+        >
+          Record
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+PaymentDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSaved: PropTypes.func.isRequired,
+  invoice: PropTypes.object
+};
+
+export default PaymentDialog;
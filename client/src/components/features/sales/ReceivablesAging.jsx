@@ -0,0 +1,81 @@
+import {
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+const BUCKETS = [
+  { key: 'current', label: 'Not Yet Due' },
+  { key: 'days1to30', label: '1–30 Days' },
+  { key: 'days31to60', label: '31–60 Days' },
+  { key: 'days61to90', label: '61–90 Days' },
+  { key: 'over90', label: 'Over 90 Days' }
+];
+
+const money = value =>
+  value ? `$${value.toLocaleString(undefined, { minimumFractionDigits: 2 })}` : '-';
+
+// Outstanding invoice balances per buyer, by how many days past due they are
+const ReceivablesAging = ({ aging }) => (
+  <TableContainer component={Paper} variant='outlined'>
+    <Table size='small'>
+      <TableHead sx={{ bgcolor: 'action.hover' }}>
+        <TableRow>
+          <TableCell>Buyer</TableCell>
+          {BUCKETS.map(bucket => (
+            <TableCell key={bucket.key} align='right'>
+              {bucket.label}
+            </TableCell>
+          ))}
+          <TableCell align='right'>Outstanding</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {aging.buyers.length === 0 ? (
+          <TableRow>
+            <TableCell colSpan={BUCKETS.length + 2} align='center'>
+              Nothing outstanding.
+            </TableCell>
+          </TableRow>
+        ) : (
+          [...aging.buyers, { buyerId: 'total', buyerName: 'Total', ...aging.totals }].map(row => (
+            <TableRow key={row.buyerId}>
+              <TableCell sx={{ fontWeight: row.buyerId === 'total' ? 'bold' : undefined }}>
+                {row.buyerName}
+              </TableCell>
+              {BUCKETS.map(bucket => (
+                <TableCell
+                  key={bucket.key}
+                  align='right'
+                  sx={{
+                    color: bucket.key !== 'current' && row[bucket.key] ? 'error.main' : undefined
+                  }}
+                >
+                  {money(row[bucket.key])}
+                </TableCell>
+              ))}
+              <TableCell align='right' sx={{ fontWeight: 'bold' }}>
+                {money(row.outstanding)}
+              </TableCell>
+            </TableRow>
+          ))
+        )}
+      </TableBody>
+    </Table>
+  </TableContainer>
+);
+
+ReceivablesAging.propTypes = {
+  aging: PropTypes.shape({
+    buyers: PropTypes.array.isRequired,
+    totals: PropTypes.object.isRequired
+  }).isRequired
+};
+
+export default ReceivablesAging;
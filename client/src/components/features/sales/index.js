@@ -0,0 +1,11 @@
+/**
+ * Sales Feature Components
+ * Exports all sales-related components for centralized imports
+ */
+
+export { default as BuyerPriceListsDialog } from './BuyerPriceListsDialog';
+export { default as GradeLinesEditor, COMMON_GRADES } from './GradeLinesEditor';
+export { default as BuyerDialog } from './BuyerDialog';
+export { default as CreateInvoiceDialog } from './CreateInvoiceDialog';
+export { default as PaymentDialog } from './PaymentDialog';
+export { default as ReceivablesAging } from './ReceivablesAging';
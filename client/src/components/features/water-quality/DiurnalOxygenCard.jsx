@@ -0,0 +1,179 @@
+import { NightsStay as NightIcon } from '@mui/icons-material';
+import {
+  Card,
+  CardHeader,
+  CardContent,
+  Typography,
+  Box,
+  Alert,
+  AlertTitle,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  CircularProgress
+} from '@mui/material';
+import PropTypes from 'prop-types';
+import React, { useState, useEffect } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts';
+
+import { getDiurnalOxygen } from '../../../services/api';
+
+const formatTime = timestamp =>
+  new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const formatDate = timestamp => new Date(timestamp).toLocaleDateString();
+
+const METHODS = {
+  tonight: "tonight's readings",
+  recentNights: "recent nights' decline"
+};
+
+// Day/night dissolved oxygen swing of a pond and the projected pre-dawn minimum for tonight
+const DiurnalOxygenCard = ({ pondId, pondName, days = 14 }) => {
+  const [analysis, setAnalysis] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    getDiurnalOxygen(pondId, { days })
+      .then(setAnalysis)
+      .catch(() => setAnalysis(null))
+      .finally(() => setLoading(false));
+  }, [pondId, days]);
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+  if (!analysis) return null;
+
+  const { forecast, summary, nights } = analysis;
+  const projection = forecast
+    ? forecast.projection.map(point => ({ ...point, time: formatTime(point.timestamp) }))
+    : [];
+
+  return (
+    <Card elevation={3}>
+      <CardHeader
+        avatar={<NightIcon color='primary' />}
+        title={`Night-time Oxygen${pondName ? ` - ${pondName}` : ''}`}
+        subheader={`Day/night DO swing over the last ${analysis.days} days`}
+      />
+      <CardContent>
+        {forecast ? (
+          <Alert severity={forecast.atRisk ? 'error' : 'success'} sx={{ mb: 2 }}>
+            <AlertTitle>
+              {forecast.atRisk
+                ? 'Oxygen crash forecast - start aerators early'
+                : 'No crash forecast tonight'}
+            </AlertTitle>
+            DO is projected to reach {forecast.predictedMinimum} mg/L by {formatTime(forecast.dawn)}{' '}
+            (threshold {forecast.threshold} mg/L), falling {forecast.declineRate} mg/L per hour from{' '}
+            {forecast.basedOn.dissolvedOxygen} mg/L at {formatTime(forecast.basedOn.timestamp)},
+            based on {METHODS[forecast.method]}.
+          </Alert>
+        ) : (
+          <Alert severity='info' sx={{ mb: 2 }}>
+            Log an evening DO reading to forecast tonight&apos;s pre-dawn minimum.
+          </Alert>
+        )}
+
+        <Grid container spacing={3}>
+          <Grid item xs={12} md={7}>
+            {projection.length > 0 && (
+              <ResponsiveContainer width='100%' height={220}>
+                <LineChart data={projection}>
+                  <CartesianGrid strokeDasharray='3 3' />
+                  <XAxis dataKey='time' />
+                  <YAxis unit=' mg/L' domain={[0, 'auto']} width={70} />
+                  <Tooltip />
+                  <ReferenceLine
+                    y={forecast.threshold}
+                    stroke='#d32f2f'
+                    strokeDasharray='4 4'
+                    label='Threshold'
+                  />
+                  <Line
+                    type='monotone'
+                    dataKey='dissolvedOxygen'
+                    name='Projected DO'
+                    stroke='#1976d2'
+                    strokeWidth={2}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            )}
+            <Box sx={{ display: 'flex', gap: 4, mt: 1 }}>
+              <Typography variant='body2'>
+                Avg. night decline: <strong>{summary.averageDeclineRate ?? '-'} mg/L/h</strong>
+              </Typography>
+              <Typography variant='body2'>
+                Avg. daily swing: <strong>{summary.averageSwing ?? '-'} mg/L</strong>
+              </Typography>
+              <Typography variant='body2'>
+                Lowest dawn: <strong>{summary.lowestDawn ?? '-'} mg/L</strong>
+              </Typography>
+            </Box>
+          </Grid>
+          <Grid item xs={12} md={5}>
+            <Typography variant='subtitle2' gutterBottom>
+              Recent nights
+            </Typography>
+            {nights.length === 0 ? (
+              <Typography variant='body2' color='text.secondary'>
+                Needs an evening and the next morning&apos;s DO reading.
+              </Typography>
+            ) : (
+              <Table size='small'>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Night of</TableCell>
+                    <TableCell align='right'>Dusk</TableCell>
+                    <TableCell align='right'>Dawn</TableCell>
+                    <TableCell align='right'>mg/L/h</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {nights
+                    .slice(-7)
+                    .reverse()
+                    .map(night => (
+                      <TableRow key={night.date}>
+                        <TableCell>{formatDate(night.date)}</TableCell>
+                        <TableCell align='right'>{night.dusk.dissolvedOxygen}</TableCell>
+                        <TableCell align='right'>{night.dawn.dissolvedOxygen}</TableCell>
+                        <TableCell align='right'>{night.declineRate}</TableCell>
+                      </TableRow>
+                    ))}
+                </TableBody>
+              </Table>
+            )}
+          </Grid>
+        </Grid>
+      </CardContent>
+    </Card>
+  );
+};
+
+DiurnalOxygenCard.propTypes = {
+  pondId: PropTypes.string.isRequired,
+  pondName: PropTypes.string,
+  days: PropTypes.number
+};
+
+export default DiurnalOxygenCard;
@@ -15,44 +15,72 @@ import {
 } from '@mui/material';
 import { motion } from 'framer-motion';
 import PropTypes from 'prop-types';
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 
+import { resolveWaterQualityProfile } from '../../../services/api';
+
+const PARAMETERS = [
+  { key: 'pH', label: 'pH', unit: '' },
+  { key: 'dissolvedOxygen', label: 'DO', unit: ' mg/L' },
+  { key: 'temperature', label: 'Temp', unit: '°C' },
+  { key: 'salinity', label: 'Salinity', unit: ' ppt' },
+  { key: 'ammonia', label: 'Ammonia', unit: ' mg/L' },
+  { key: 'nitrite', label: 'Nitrite', unit: ' mg/L' }
+];
+
+const isSet = value => value !== undefined && value !== null;
+
+// Mirrors checkRange in server/utils/waterQualityProfiles.js
+const checkRange = (value, range) => {
+  if (!isSet(value) || !range) return null;
+  const within = (min, max) => (!isSet(min) || value >= min) && (!isSet(max) || value <= max);
+  if (within(range.optimalMin, range.optimalMax)) return 'optimal';
+  if (within(range.acceptableMin, range.acceptableMax)) return 'acceptable';
+  return 'outOfRange';
+};
+
+const describeRange = (range, unit) => {
+  if (isSet(range.optimalMin) && isSet(range.optimalMax))
+    return `${range.optimalMin}-${range.optimalMax}${unit}`;
+  if (isSet(range.optimalMin)) return `>${range.optimalMin}${unit}`;
+  if (isSet(range.optimalMax)) return `<${range.optimalMax}${unit}`;
+  return 'any';
+};
+
+const STATUS_COLORS = { optimal: 'success', acceptable: 'warning', outOfRange: 'error' };
+
+// Judges a reading against the server's profile for the species and culture stage,
+// given directly or resolved from the season, pond or nursery batch
 const WaterQualityAlert = ({
   pondName,
-  pH,
-  dissolvedOxygen,
-  temperature,
-  salinity,
-  ammonia,
-  nitrite
+  profile: profileProp,
+  seasonId,
+  pondId,
+  nurseryBatchId,
+  ...values
 }) => {
-  // Optimal ranges for shrimp farming
-  const optimalRanges = {
-    pH: { min: 6.5, max: 8.5, unit: '' },
-    do: { min: 5, max: 7, unit: 'mg/L' },
-    temp: { min: 28, max: 32, unit: '°C' },
-    salinity: { min: 15, max: 35, unit: 'ppt' },
-    ammonia: { min: 0, max: 0.02, unit: 'mg/L' },
-    nitrite: { min: 0, max: 0.2, unit: 'mg/L' }
-  };
+  const [resolvedProfile, setResolvedProfile] = useState(null);
+  const profile = profileProp || resolvedProfile;
 
-  // Check if parameters are within optimal ranges
-  const isParameterOk = (value, param) => {
-    if (value === undefined || value === null) return true;
-    const range = optimalRanges[param];
-    return value >= range.min && value <= range.max;
-  };
+  useEffect(() => {
+    if (!profileProp && (seasonId || nurseryBatchId)) {
+      resolveWaterQualityProfile({ seasonId, pondId, nurseryBatchId })
+        .then(setResolvedProfile)
+        .catch(() => setResolvedProfile(null));
+    }
+  }, [profileProp, seasonId, pondId, nurseryBatchId]);
 
-  // Get status color for parameter
-  const getParameterStatus = (value, param) => {
-    if (value === undefined || value === null) return 'default';
-    return isParameterOk(value, param) ? 'success' : 'error';
-  };
+  const measured = PARAMETERS.filter(param => isSet(values[param.key])).map(param => ({
+    ...param,
+    value: values[param.key],
+    range: profile?.parameters?.[param.key],
+    status: profile ? checkRange(values[param.key], profile.parameters[param.key]) : null
+  }));
 
   // Get status icon for parameter
-  const getParameterIcon = (value, param) => {
-    if (value === undefined || value === null) return null;
-    return isParameterOk(value, param) ? (
+  const getParameterIcon = status => {
+    if (!status) return null;
+    return status === 'optimal' ? (
       <CheckIcon sx={{ fontSize: 16 }} />
     ) : (
       <WarningIcon sx={{ fontSize: 16 }} />
@@ -61,22 +89,9 @@ const WaterQualityAlert = ({
 
   // Check overall water quality
   const checkOverallQuality = () => {
-    const parameters = [
-      { value: pH, param: 'pH' },
-      { value: dissolvedOxygen, param: 'do' },
-      { value: temperature, param: 'temp' },
-      { value: salinity, param: 'salinity' },
-      { value: ammonia, param: 'ammonia' },
-      { value: nitrite, param: 'nitrite' }
-    ];
-
-    const invalidParams = parameters.filter(
-      p => p.value !== undefined && p.value !== null && !isParameterOk(p.value, p.param)
-    );
-
-    if (invalidParams.length === 0) return 'good';
-    if (invalidParams.length <= 2) return 'fair';
-    return 'poor';
+    if (measured.some(param => param.status === 'outOfRange')) return 'poor';
+    if (measured.some(param => param.status === 'acceptable')) return 'fair';
+    return 'good';
   };
 
   const overallQuality = checkOverallQuality();
@@ -114,9 +129,13 @@ const WaterQualityAlert = ({
                 : 'Poor Water Quality'}
             </AlertTitle>
             {pondName && `Pond: ${pondName} - `}
-            {overallQuality === 'good'
+            {!profile
+              ? 'Loading ranges for this species and stage'
+              : overallQuality === 'good'
               ? 'All parameters within optimal ranges'
-              : 'Some parameters outside optimal ranges'}
+              : overallQuality === 'fair'
+              ? 'Some parameters outside optimal ranges'
+              : 'Some parameters outside acceptable ranges'}
           </Alert>
 
           <Box sx={{ mb: 2 }}>
@@ -124,68 +143,30 @@ const WaterQualityAlert = ({
               Parameter Status:
             </Typography>
             <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
-              {pH !== undefined && pH !== null && (
-                <Chip
-                  label={`pH: ${pH}`}
-                  color={getParameterStatus(pH, 'pH')}
-                  icon={getParameterIcon(pH, 'pH')}
-                  size='small'
-                />
-              )}
-              {dissolvedOxygen !== undefined && dissolvedOxygen !== null && (
-                <Chip
-                  label={`DO: ${dissolvedOxygen} mg/L`}
-                  color={getParameterStatus(dissolvedOxygen, 'do')}
-                  icon={getParameterIcon(dissolvedOxygen, 'do')}
-                  size='small'
-                />
-              )}
-              {temperature !== undefined && temperature !== null && (
-                <Chip
-                  label={`Temp: ${temperature}°C`}
-                  color={getParameterStatus(temperature, 'temp')}
-                  icon={getParameterIcon(temperature, 'temp')}
-                  size='small'
-                />
-              )}
-              {salinity !== undefined && salinity !== null && (
-                <Chip
-                  label={`Salinity: ${salinity} ppt`}
-                  color={getParameterStatus(salinity, 'salinity')}
-                  icon={getParameterIcon(salinity, 'salinity')}
-                  size='small'
-                />
-              )}
-              {ammonia !== undefined && ammonia !== null && (
-                <Chip
-                  label={`Ammonia: ${ammonia} mg/L`}
-                  color={getParameterStatus(ammonia, 'ammonia')}
-                  icon={getParameterIcon(ammonia, 'ammonia')}
-                  size='small'
-                />
-              )}
-              {nitrite !== undefined && nitrite !== null && (
+              {measured.map(param => (
                 <Chip
-                  label={`Nitrite: ${nitrite} mg/L`}
-                  color={getParameterStatus(nitrite, 'nitrite')}
-                  icon={getParameterIcon(nitrite, 'nitrite')}
+                  key={param.key}
+                  label={`${param.label}: ${param.value}${param.unit}`}
+                  color={STATUS_COLORS[param.status] || 'default'}
+                  icon={getParameterIcon(param.status)}
                   size='small'
                 />
-              )}
+              ))}
             </Box>
           </Box>
 
-          {(pH !== undefined || dissolvedOxygen !== undefined || temperature !== undefined) && (
+          {profile && measured.some(param => param.range) && (
             <Box sx={{ mb: 1 }}>
               <Typography variant='body2' color='text.secondary' sx={{ mb: 0.5 }}>
-                Optimal Ranges:
+                Optimal Ranges ({profile.species},{' '}
+                {profile.stage === 'Nursery' ? 'nursery' : 'grow-out'}
+                {isSet(profile.daysOfCulture) && `, day ${profile.daysOfCulture}`}):
               </Typography>
               <Typography variant='body2'>
-                {pH !== undefined && `pH: ${optimalRanges.pH.min}-${optimalRanges.pH.max} | `}
-                {dissolvedOxygen !== undefined &&
-                  `DO: ${optimalRanges.do.min}-${optimalRanges.do.max} mg/L | `}
-                {temperature !== undefined &&
-                  `Temp: ${optimalRanges.temp.min}-${optimalRanges.temp.max}°C`}
+                {measured
+                  .filter(param => param.range)
+                  .map(param => `${param.label}: ${describeRange(param.range, param.unit)}`)
+                  .join(' | ')}
               </Typography>
             </Box>
           )}
@@ -200,6 +181,15 @@ export default WaterQualityAlert;
 // Add PropTypes validation
 WaterQualityAlert.propTypes = {
   pondName: PropTypes.string,
+  profile: PropTypes.shape({
+    species: PropTypes.string,
+    stage: PropTypes.string,
+    daysOfCulture: PropTypes.number,
+    parameters: PropTypes.object
+  }),
+  seasonId: PropTypes.string,
+  pondId: PropTypes.string,
+  nurseryBatchId: PropTypes.string,
   pH: PropTypes.number,
   dissolvedOxygen: PropTypes.number,
   temperature: PropTypes.number,
@@ -6,3 +6,4 @@
 export { default as WaterQualityAlert } from './WaterQualityAlert';
 export { default as WaterQualityLog } from './WaterQualityLog';
 export { default as HealthScore } from './HealthScore';
+export { default as DiurnalOxygenCard } from './DiurnalOxygenCard';
@@ -15,6 +15,7 @@ import React from 'react';
 import { useTranslation } from 'react-i18next';
 
 import NurseryBatchTable from './NurseryBatchTable';
+import SeasonStockings from './SeasonStockings';
 
 const NurseryManagementContent = ({
   activeTab,
@@ -39,39 +40,43 @@ const NurseryManagementContent = ({
           scrollButtons='auto'
         >
           <Tab label={t('nursery_batches')} />
+          <Tab label='Pond Stockings' />
         </Tabs>
 
         <Divider sx={{ mb: 3 }} />
 
         <Box sx={{ p: 2 }}>
-          <Grid container spacing={3}>
-            <Grid item xs={12}>
-              <Card variant='outlined'>
-                <CardHeader
-                  title={t('manage_nursery_batches')}
-                  action={
-                    <Button
-                      variant='contained'
-                      startIcon={<AddIcon />}
-                      onClick={() => handleOpenDialog()}
-                    >
-                      {t('add_new_batch')}
-                    </Button>
-                  }
-                />
-                <CardContent>
-                  <NurseryBatchTable
-                    batches={nurseryBatches}
-                    seasons={seasons}
-                    onEdit={handleOpenDialog}
-                    onDelete={handleDeleteBatch}
-                    onView={handleViewBatch}
-                    deleteLoading={deleteBatchLoading}
+          {activeTab === 1 && <SeasonStockings />}
+          {activeTab === 0 && (
+            <Grid container spacing={3}>
+              <Grid item xs={12}>
+                <Card variant='outlined'>
+                  <CardHeader
+                    title={t('manage_nursery_batches')}
+                    action={
+                      <Button
+                        variant='contained'
+                        startIcon={<AddIcon />}
+                        onClick={() => handleOpenDialog()}
+                      >
+                        {t('add_new_batch')}
+                      </Button>
+                    }
                   />
-                </CardContent>
-              </Card>
+                  <CardContent>
+                    <NurseryBatchTable
+                      batches={nurseryBatches}
+                      seasons={seasons}
+                      onEdit={handleOpenDialog}
+                      onDelete={handleDeleteBatch}
+                      onView={handleViewBatch}
+                      deleteLoading={deleteBatchLoading}
+                    />
+                  </CardContent>
+                </Card>
+              </Grid>
             </Grid>
-          </Grid>
+          )}
         </Box>
       </CardContent>
     </Card>
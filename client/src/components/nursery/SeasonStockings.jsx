@@ -0,0 +1,68 @@
+import { Add as AddIcon } from '@mui/icons-material';
+import { Button, Card, CardContent, CardHeader, CircularProgress } from '@mui/material';
+import React, { useState } from 'react';
+
+import { useSeason } from '../../context/SeasonContext';
+import { useApiData } from '../../hooks/useApi';
+import { deleteStocking, getStockings } from '../../services/api';
+import logger from '../../utils/logger';
+
+import StockingHistory from './StockingHistory';
+import StockPondsDialog from './StockPondsDialog';
+
+// Every pond stocking of the selected season; hatchery purchases are stocked straight into ponds from here
+const SeasonStockings = () => {
+  const { selectedSeason } = useSeason();
+  const [openDialog, setOpenDialog] = useState(false);
+  const seasonId = selectedSeason?.id;
+
+  const { data, loading, refetch } = useApiData(
+    () => (seasonId ? getStockings({ seasonId }) : Promise.resolve([])),
+    [seasonId]
+  );
+
+  const handleDelete = async stocking => {
+    if (window.confirm('Delete this stocking?')) {
+      try {
+        await deleteStocking(stocking._id);
+        refetch();
+      } catch (error) {
+        logger.error('Error deleting stocking:', error);
+      }
+    }
+  };
+
+  return (
+    <Card variant='outlined'>
+      <CardHeader
+        title='Pond Stockings'
+        subheader='Survival, FCR and seed cost of each pond are computed from what was stocked into it'
+        action={
+          <Button
+            variant='contained'
+            startIcon={<AddIcon />}
+            onClick={() => setOpenDialog(true)}
+            disabled={!seasonId}
+          >
+            Stock from Hatchery
+          </Button>
+        }
+      />
+      <CardContent>
+        {loading ? (
+          <CircularProgress />
+        ) : (
+          <StockingHistory stockings={data || []} onDelete={handleDelete} />
+        )}
+      </CardContent>
+      <StockPondsDialog
+        open={openDialog}
+        onClose={() => setOpenDialog(false)}
+        onStocked={refetch}
+        seasonId={seasonId}
+      />
+    </Card>
+  );
+};
+
+export default SeasonStockings;
@@ -0,0 +1,240 @@
+import { Add as AddIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  MenuItem,
+  TextField,
+  Typography
+} from '@mui/material';
+import PropTypes from 'prop-types';
+import React, { useEffect, useState } from 'react';
+import { Controller, useFieldArray, useForm, useWatch } from 'react-hook-form';
+
+import { createStocking, getPondsBySeasonId } from '../../services/api';
+import CurrencySelect from '../CurrencySelect';
+
+const EMPTY_ALLOCATION = { pondId: '', count: '' };
+
+const pondLabel = pond =>
+  typeof pond.name === 'object' ? pond.name.en || Object.values(pond.name)[0] : pond.name;
+
+// Stocks one or more ponds, either by transferring post-larvae out of a nursery batch or from a hatchery purchase
+const StockPondsDialog = ({ open, onClose, onStocked, seasonId, nurseryBatch = null }) => {
+  const [ponds, setPonds] = useState([]);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const { control, handleSubmit, reset } = useForm({
+    defaultValues: {
+      date: new Date().toISOString().slice(0, 10),
+      hatchery: '',
+      species: '',
+      unitCost: '',
+      currency: '',
+      averageWeight: '',
+      notes: '',
+      allocations: [EMPTY_ALLOCATION]
+    }
+  });
+  const { fields, append, remove } = useFieldArray({ control, name: 'allocations' });
+  const allocations = useWatch({ control, name: 'allocations' });
+
+  useEffect(() => {
+    if (open && seasonId) {
+      reset();
+      setError('');
+      getPondsBySeasonId(seasonId)
+        .then(setPonds)
+        .catch(() => setPonds([]));
+    }
+  }, [open, seasonId]);
+
+  const remaining = nurseryBatch ? nurseryBatch.remainingCount ?? nurseryBatch.initialCount : null;
+  const total = (allocations || []).reduce(
+    (sum, allocation) => sum + (Number(allocation.count) || 0),
+    0
+  );
+
+  const onSubmit = async data => {
+    setSaving(true);
+    setError('');
+    try {
+      await createStocking({
+        seasonId,
+        date: data.date,
+        source: nurseryBatch ? 'NurseryBatch' : 'Hatchery',
+        nurseryBatchId: nurseryBatch?._id,
+        hatchery: nurseryBatch ? undefined : data.hatchery,
+        species: data.species || undefined,
+        unitCost: data.unitCost,
+        currency: data.currency || undefined,
+        averageWeight: Number(data.averageWeight) || 0,
+        notes: data.notes,
+        allocations: data.allocations
+          .filter(allocation => allocation.pondId)
+          .map(allocation => ({ pondId: allocation.pondId, count: Number(allocation.count) }))
+      });
+      onStocked();
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth='sm' fullWidth>
+      <form onSubmit={handleSubmit(onSubmit)}>
+        <DialogTitle>{nurseryBatch ? 'Transfer to Ponds' : 'Stock from Hatchery'}</DialogTitle>
+        <DialogContent dividers>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            {error && <Alert severity='error'>{error}</Alert>}
+            {nurseryBatch && (
+              <Typography variant='body2' color={total > remaining ? 'error' : 'text.secondary'}>
+                Transferring {total.toLocaleString()} of {remaining.toLocaleString()} post-larvae
+                remaining in this batch.
+              </Typography>
+            )}
+            <Controller
+              name='date'
+              control={control}
+              rules={{ required: true }}
+              render={({ field }) => (
+                <TextField
+                  {...field}
+                  label='Stocking Date'
+                  type='date'
+                  fullWidth
+                  required
+                  InputLabelProps={{ shrink: true }}
+                />
+              )}
+            />
+            {!nurseryBatch && (
+              <Box sx={{ display: 'flex', gap: 2 }}>
+                <Controller
+                  name='hatchery'
+                  control={control}
+                  rules={{ required: true }}
+                  render={({ field }) => (
+                    <TextField {...field} label='Hatchery' fullWidth required />
+                  )}
+                />
+                <Controller
+                  name='species'
+                  control={control}
+                  render={({ field }) => <TextField {...field} label='Species' fullWidth />}
+                />
+              </Box>
+            )}
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <Controller
+                name='unitCost'
+                control={control}
+                render={({ field }) => (
+                  <TextField
+                    {...field}
+                    label='Cost per PL'
+                    type='number'
+                    helperText={nurseryBatch ? 'Defaults to the batch cost per PL' : ''}
+                    fullWidth
+                  />
+                )}
+              />
+              <Controller
+                name='currency'
+                control={control}
+                render={({ field }) => (
+                  <CurrencySelect
+                    value={field.value}
+                    onChange={field.onChange}
+                    sx={{ minWidth: 120 }}
+                  />
+                )}
+              />
+              <Controller
+                name='averageWeight'
+                control={control}
+                render={({ field }) => (
+                  <TextField {...field} label='Average Weight (g)' type='number' fullWidth />
+                )}
+              />
+            </Box>
+
+            <Typography variant='subtitle2'>Ponds</Typography>
+            {fields.map((item, index) => (
+              <Box key={item.id} sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+                <Controller
+                  name={`allocations.${index}.pondId`}
+                  control={control}
+                  rules={{ required: true }}
+                  render={({ field }) => (
+                    <TextField {...field} select label='Pond' fullWidth required>
+                      {ponds.map(p => (
+                        <MenuItem key={p._id} value={p._id}>
+                          {pondLabel(p)}
+                        </MenuItem>
+                      ))}
+                    </TextField>
+                  )}
+                />
+                <Controller
+                  name={`allocations.${index}.count`}
+                  control={control}
+                  rules={{ required: true, min: 1 }}
+                  render={({ field }) => (
+                    <TextField {...field} label='Count' type='number' fullWidth required />
+                  )}
+                />
+                <IconButton onClick={() => remove(index)} disabled={fields.length === 1}>
+                  <DeleteIcon />
+                </IconButton>
+              </Box>
+            ))}
+            <Box>
+              <Button startIcon={<AddIcon />} onClick={() => append(EMPTY_ALLOCATION)}>
+                Add Pond
+              </Button>
+            </Box>
+            <Controller
+              name='notes'
+              control={control}
+              render={({ field }) => <TextField {...field} label='Notes' multiline fullWidth />}
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button
+            type='submit'
+            variant='contained'
+            disabled={saving || total === 0 || (nurseryBatch && total > remaining)}
+          >
+            Stock
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+StockPondsDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onStocked: PropTypes.func.isRequired,
+  seasonId: PropTypes.string,
+  nurseryBatch: PropTypes.shape({
+    _id: PropTypes.string,
+    initialCount: PropTypes.number,
+    remainingCount: PropTypes.number
+  })
+};
+
+export default StockPondsDialog;
@@ -0,0 +1,75 @@
+import { Delete as DeleteIcon } from '@mui/icons-material';
+import {
+  IconButton,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Tooltip
+} from '@mui/material';
+import { format } from 'date-fns';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+const localized = name =>
+  name && typeof name === 'object' ? name.en || Object.values(name)[0] : name || '';
+
+// Post-larvae stocked into ponds, with where they came from and the seed cost carried by each pond
+const StockingHistory = ({ stockings, onDelete }) => (
+  <TableContainer component={Paper} variant='outlined'>
+    <Table size='small'>
+      <TableHead sx={{ bgcolor: 'action.hover' }}>
+        <TableRow>
+          <TableCell>Date</TableCell>
+          <TableCell>Pond</TableCell>
+          <TableCell>Source</TableCell>
+          <TableCell align='right'>Count</TableCell>
+          <TableCell align='right'>Avg Weight (g)</TableCell>
+          <TableCell align='right'>Seed Cost</TableCell>
+          <TableCell />
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {stockings.length === 0 ? (
+          <TableRow>
+            <TableCell colSpan={7} align='center'>
+              No stockings recorded.
+            </TableCell>
+          </TableRow>
+        ) : (
+          stockings.map(stocking => (
+            <TableRow key={stocking._id}>
+              <TableCell>{format(new Date(stocking.date), 'PP')}</TableCell>
+              <TableCell>{localized(stocking.pondId?.name)}</TableCell>
+              <TableCell>
+                {stocking.source === 'NurseryBatch'
+                  ? `Nursery: ${localized(stocking.nurseryBatchId?.batchName)}`
+                  : `Hatchery: ${stocking.hatchery}`}
+              </TableCell>
+              <TableCell align='right'>{stocking.count.toLocaleString()}</TableCell>
+              <TableCell align='right'>{stocking.averageWeight || '-'}</TableCell>
+              <TableCell align='right'>{(stocking.totalCost || 0).toFixed(2)}</TableCell>
+              <TableCell align='right'>
+                <Tooltip title='Delete and return the count to its batch'>
+                  <IconButton size='small' color='error' onClick={() => onDelete(stocking)}>
+                    <DeleteIcon fontSize='small' />
+                  </IconButton>
+                </Tooltip>
+              </TableCell>
+            </TableRow>
+          ))
+        )}
+      </TableBody>
+    </Table>
+  </TableContainer>
+);
+
+StockingHistory.propTypes = {
+  stockings: PropTypes.array.isRequired,
+  onDelete: PropTypes.func.isRequired
+};
+
+export default StockingHistory;
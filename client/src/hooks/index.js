@@ -48,6 +48,9 @@ export { useLanguage } from '../i18n/index';
 // Offline Form Hooks
 export { default as useOfflineForm } from './useOfflineForm';
 
+// Real-time Hooks
+export { useRealtimeStatus, useRealtimeEvent, useLiveRefresh } from './useRealtime';
+
 /**
  * Hook Categories:
  *
@@ -74,6 +77,8 @@ export { default as useOfflineForm } from './useOfflineForm';
  * - useApiMutation: API mutations (POST/PUT/DELETE)
  * - usePaginatedApi: Paginated API requests
  * - useOfflineForm: Offline-capable form submissions
+ * - useRealtimeEvent: Subscribe to server-pushed events
+ * - useLiveRefresh: Refresh on server events, polling while disconnected
  *
  * 🚀 Performance:
  * - useDebounce: Debounce values
@@ -0,0 +1,61 @@
+import { useEffect, useRef, useState } from 'react';
+
+import { onConnectionChange, subscribe, RealtimeEventType } from '../services/realtime';
+
+/**
+ * Track whether the real-time event stream is connected
+ * @returns True while the stream is connected
+ */
+export const useRealtimeStatus = (): boolean => {
+  const [connected, setConnected] = useState(false);
+
+  useEffect(() => onConnectionChange(setConnected), []);
+
+  return connected;
+};
+
+/**
+ * Call a handler for each server event of the given type
+ * @param type - Event type to listen for
+ * @param handler - Called with the event payload
+ */
+export const useRealtimeEvent = (type: RealtimeEventType, handler: (data: any) => void): void => {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => subscribe(type, data => handlerRef.current(data)), [type]);
+};
+
+/**
+ * Refresh data when any of the given server events arrive, polling instead
+ * while the event stream is disconnected
+ * @param types - Event types that should trigger a refresh
+ * @param refresh - Function reloading the data
+ * @param pollIntervalMs - Polling interval used while disconnected
+ * @returns True while the stream is connected
+ */
+export const useLiveRefresh = (
+  types: RealtimeEventType[],
+  refresh: () => void,
+  pollIntervalMs = 60000
+): boolean => {
+  const connected = useRealtimeStatus();
+  const refreshRef = useRef(refresh);
+  refreshRef.current = refresh;
+  const typesKey = types.join(',');
+
+  useEffect(() => {
+    const unsubscribers = (typesKey.split(',') as RealtimeEventType[]).map(type =>
+      subscribe(type, () => refreshRef.current())
+    );
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [typesKey]);
+
+  useEffect(() => {
+    if (connected) return undefined;
+    const interval = setInterval(() => refreshRef.current(), pollIntervalMs);
+    return () => clearInterval(interval);
+  }, [connected, pollIntervalMs]);
+
+  return connected;
+};
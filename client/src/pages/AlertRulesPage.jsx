@@ -1,5 +1,6 @@
 import {
   Add as AddIcon,
+  Close as CloseIcon,
   Delete as DeleteIcon,
   Edit as EditIcon,
   Settings as SettingsIcon
@@ -27,15 +28,68 @@ import {
   Switch
 } from '@mui/material';
 import React, { useState, useEffect } from 'react';
-import { useForm, Controller } from 'react-hook-form';
+import { useForm, useFieldArray, Controller, useWatch } from 'react-hook-form';
 
-import { getAlertRules, createAlertRule, updateAlertRule, deleteAlertRule } from '../services/api';
+import { useSeason } from '../context/SeasonContext';
+import {
+  getAlertRules,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  getPonds,
+  getNurseryBatches
+} from '../services/api';
+
+const displayName = value => {
+  if (!value) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value;
+  }
+  return value.en || Object.values(value)[0] || '';
+};
+
+const SCOPE_FIELDS = ['pondId', 'seasonId', 'nurseryBatchId'];
+
+// The last three are derived by the server from the measured values
+const WATER_QUALITY_METRICS = [
+  'pH',
+  'dissolvedOxygen',
+  'temperature',
+  'salinity',
+  'ammonia',
+  'unionizedAmmonia',
+  'doSaturation',
+  'chlorideNitriteRatio'
+];
+
+const CONDITIONS = ['<', '>', '<=', '>=', '==', 'dropBy', 'riseBy', 'outsideRange'];
+
+const RATE_CONDITIONS = ['dropBy', 'riseBy'];
+
+// outsideRange compares against the species profile's acceptable range, which only these metrics have
+const OUTSIDE_RANGE = 'outsideRange';
+const PROFILED_METRICS = ['pH', 'dissolvedOxygen', 'temperature', 'salinity', 'ammonia'];
+
+const conditionsFor = clauseMetric =>
+  CONDITIONS.filter(o => o !== OUTSIDE_RANGE || PROFILED_METRICS.includes(clauseMetric));
+
+const describeCondition = clause =>
+  clause.condition === OUTSIDE_RANGE
+    ? `${clause.metric} outside species range`
+    : `${clause.metric} ${clause.condition} ${clause.threshold}${
+        clause.windowHours ? ` within ${clause.windowHours} h` : ''
+      }`;
 
 const AlertRulesPage = () => {
   const [rules, setRules] = useState([]);
   const [loading, setLoading] = useState(true);
   const [openModal, setOpenModal] = useState(false);
   const [editingId, setEditingId] = useState(null);
+  const [ponds, setPonds] = useState([]);
+  const [nurseryBatches, setNurseryBatches] = useState([]);
+  const { seasons } = useSeason();
 
   const { control, handleSubmit, reset } = useForm({
     defaultValues: {
@@ -43,10 +97,27 @@ const AlertRulesPage = () => {
       condition: '<',
       threshold: 0,
       priority: 'Warning',
-      isActive: true
+      isActive: true,
+      pondId: '',
+      seasonId: '',
+      nurseryBatchId: '',
+      consecutiveReadings: 1,
+      cooldownMinutes: 0,
+      windowHours: '',
+      logic: 'AND',
+      additionalConditions: []
     }
   });
 
+  const { fields, append, remove } = useFieldArray({ control, name: 'additionalConditions' });
+  const [metric, condition, clauses] = useWatch({
+    control,
+    name: ['metric', 'condition', 'additionalConditions']
+  });
+  const isWaterQualityMetric = WATER_QUALITY_METRICS.includes(metric);
+  // Inventory items belong to a season, so inventory rules cannot be scoped to a pond or batch
+  const isInventoryMetric = metric === 'inventoryLevel';
+
   useEffect(() => {
     fetchData();
   }, []);
@@ -54,8 +125,14 @@ const AlertRulesPage = () => {
   const fetchData = async () => {
     setLoading(true);
     try {
-      const data = await getAlertRules();
+      const [data, pondData, batchData] = await Promise.all([
+        getAlertRules(),
+        getPonds(),
+        getNurseryBatches()
+      ]);
       setRules(data);
+      setPonds(pondData);
+      setNurseryBatches(batchData);
     } catch (error) {
       console.error('Error fetching alert rules:', error);
     } finally {
@@ -73,15 +150,49 @@ const AlertRulesPage = () => {
     reset({
       metric: rule.metric,
       condition: rule.condition,
-      threshold: rule.threshold,
+      threshold: rule.threshold ?? '',
       priority: rule.priority,
-      isActive: rule.isActive
+      isActive: rule.isActive,
+      pondId: rule.pondId?._id || '',
+      seasonId: rule.seasonId?._id || '',
+      nurseryBatchId: rule.nurseryBatchId?._id || '',
+      consecutiveReadings: rule.consecutiveReadings || 1,
+      cooldownMinutes: rule.cooldownMinutes || 0,
+      windowHours: rule.windowHours ?? '',
+      logic: rule.logic || 'AND',
+      additionalConditions: (rule.additionalConditions || []).map(clause => ({
+        ...clause,
+        windowHours: clause.windowHours ?? ''
+      }))
     });
     setEditingId(rule._id);
     setOpenModal(true);
   };
 
-  const onSubmit = async data => {
+  const onSubmit = async formData => {
+    const data = { ...formData };
+    SCOPE_FIELDS.forEach(field => {
+      data[field] = data[field] || null;
+    });
+    if (data.metric === 'inventoryLevel') {
+      data.pondId = null;
+      data.nurseryBatchId = null;
+    }
+    data.windowHours =
+      RATE_CONDITIONS.includes(data.condition) && data.windowHours ? data.windowHours : null;
+    if (data.condition === OUTSIDE_RANGE) {
+      data.threshold = null;
+    }
+    data.additionalConditions = WATER_QUALITY_METRICS.includes(data.metric)
+      ? data.additionalConditions.map(clause => ({
+          ...clause,
+          threshold: clause.condition === OUTSIDE_RANGE ? undefined : clause.threshold,
+          windowHours:
+            RATE_CONDITIONS.includes(clause.condition) && clause.windowHours
+              ? clause.windowHours
+              : undefined
+        }))
+      : [];
     try {
       if (editingId) {
         await updateAlertRule(editingId, data);
@@ -115,6 +226,20 @@ const AlertRulesPage = () => {
     }
   };
 
+  const describeScope = rule => {
+    const parts = [];
+    if (rule.pondId) {
+      parts.push(displayName(rule.pondId.name));
+    }
+    if (rule.nurseryBatchId) {
+      parts.push(displayName(rule.nurseryBatchId.batchName));
+    }
+    if (rule.seasonId) {
+      parts.push(displayName(rule.seasonId.name));
+    }
+    return parts.length > 0 ? parts.join(' / ') : 'All';
+  };
+
   return (
     <Container maxWidth='lg' sx={{ mt: 4, mb: 4 }}>
       <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 3 }}>
@@ -137,6 +262,8 @@ const AlertRulesPage = () => {
                 <TableCell>Condition</TableCell>
                 <TableCell>Threshold</TableCell>
                 <TableCell>Priority</TableCell>
+                <TableCell>Scope</TableCell>
+                <TableCell>Last Fired</TableCell>
                 <TableCell>Active</TableCell>
                 <TableCell align='right'>Actions</TableCell>
               </TableRow>
@@ -144,17 +271,38 @@ const AlertRulesPage = () => {
             <TableBody>
               {rules.length === 0 ? (
                 <TableRow>
-                  <TableCell colSpan={6} align='center'>
+                  <TableCell colSpan={8} align='center'>
                     No alert rules configured.
                   </TableCell>
                 </TableRow>
               ) : (
                 rules.map(rule => (
                   <TableRow key={rule._id}>
-                    <TableCell>{rule.metric}</TableCell>
-                    <TableCell sx={{ fontWeight: 'bold' }}>{rule.condition}</TableCell>
-                    <TableCell>{rule.threshold}</TableCell>
+                    <TableCell>
+                      {rule.metric}
+                      {rule.additionalConditions?.map((clause, index) => (
+                        <Typography
+                          key={index}
+                          variant='caption'
+                          display='block'
+                          color='text.secondary'
+                        >
+                          {rule.logic || 'AND'} {describeCondition(clause)}
+                        </Typography>
+                      ))}
+                    </TableCell>
+                    <TableCell sx={{ fontWeight: 'bold' }}>
+                      {rule.condition}
+                      {rule.windowHours ? ` (${rule.windowHours} h)` : ''}
+                    </TableCell>
+                    <TableCell>
+                      {rule.condition === OUTSIDE_RANGE ? 'Species range' : rule.threshold}
+                    </TableCell>
                     <TableCell>{rule.priority}</TableCell>
+                    <TableCell>{describeScope(rule)}</TableCell>
+                    <TableCell>
+                      {rule.lastTriggeredAt ? new Date(rule.lastTriggeredAt).toLocaleString() : '-'}
+                    </TableCell>
                     <TableCell>
                       <Switch
                         checked={rule.isActive}
@@ -189,7 +337,7 @@ const AlertRulesPage = () => {
                 rules={{ required: true }}
                 render={({ field }) => (
                   <TextField {...field} select label='Metric' fullWidth required>
-                    {['pH', 'dissolvedOxygen', 'temperature', 'salinity', 'ammonia'].map(o => (
+                    {[...WATER_QUALITY_METRICS, 'feedNotLogged', 'inventoryLevel'].map(o => (
                       <MenuItem key={o} value={o}>
                         {o}
                       </MenuItem>
@@ -203,18 +351,20 @@ const AlertRulesPage = () => {
                   control={control}
                   render={({ field }) => (
                     <TextField {...field} select label='Condition' fullWidth>
-                      {['<', '>', '<=', '>=', '=='].map(o => (
-                        <MenuItem key={o} value={o}>
-                          {o}
-                        </MenuItem>
-                      ))}
+                      {conditionsFor(metric)
+                        .filter(o => isWaterQualityMetric || !RATE_CONDITIONS.includes(o))
+                        .map(o => (
+                          <MenuItem key={o} value={o}>
+                            {o}
+                          </MenuItem>
+                        ))}
                     </TextField>
                   )}
                 />
                 <Controller
                   name='threshold'
                   control={control}
-                  rules={{ required: true }}
+                  rules={{ required: condition !== OUTSIDE_RANGE }}
                   render={({ field }) => (
                     <TextField
                       {...field}
@@ -222,11 +372,132 @@ const AlertRulesPage = () => {
                       type='number'
                       step='0.01'
                       fullWidth
-                      required
+                      required={condition !== OUTSIDE_RANGE}
+                      disabled={condition === OUTSIDE_RANGE}
+                      helperText={
+                        condition === OUTSIDE_RANGE
+                          ? "Uses the acceptable range for the reading's species and stage"
+                          : undefined
+                      }
                     />
                   )}
                 />
+                {RATE_CONDITIONS.includes(condition) && (
+                  <Controller
+                    name='windowHours'
+                    control={control}
+                    render={({ field }) => (
+                      <TextField
+                        {...field}
+                        label='Window (hours)'
+                        type='number'
+                        inputProps={{ min: 0 }}
+                        helperText='Blank compares with the previous reading'
+                        fullWidth
+                      />
+                    )}
+                  />
+                )}
               </Box>
+              {isWaterQualityMetric && (
+                <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                    <Typography variant='subtitle2' sx={{ flexGrow: 1 }}>
+                      Additional Conditions
+                    </Typography>
+                    <Controller
+                      name='logic'
+                      control={control}
+                      render={({ field }) => (
+                        <TextField
+                          {...field}
+                          select
+                          label='Combine With'
+                          size='small'
+                          sx={{ minWidth: 140 }}
+                        >
+                          {['AND', 'OR'].map(o => (
+                            <MenuItem key={o} value={o}>
+                              {o}
+                            </MenuItem>
+                          ))}
+                        </TextField>
+                      )}
+                    />
+                    <Button
+                      size='small'
+                      startIcon={<AddIcon />}
+                      onClick={() =>
+                        append({ metric: 'pH', condition: '>', threshold: 0, windowHours: '' })
+                      }
+                    >
+                      Add
+                    </Button>
+                  </Box>
+                  {fields.map((item, index) => (
+                    <Box key={item.id} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <Controller
+                        name={`additionalConditions.${index}.metric`}
+                        control={control}
+                        render={({ field }) => (
+                          <TextField {...field} select label='Metric' size='small' fullWidth>
+                            {WATER_QUALITY_METRICS.map(o => (
+                              <MenuItem key={o} value={o}>
+                                {o}
+                              </MenuItem>
+                            ))}
+                          </TextField>
+                        )}
+                      />
+                      <Controller
+                        name={`additionalConditions.${index}.condition`}
+                        control={control}
+                        render={({ field }) => (
+                          <TextField {...field} select label='Condition' size='small' fullWidth>
+                            {conditionsFor(clauses?.[index]?.metric).map(o => (
+                              <MenuItem key={o} value={o}>
+                                {o}
+                              </MenuItem>
+                            ))}
+                          </TextField>
+                        )}
+                      />
+                      <Controller
+                        name={`additionalConditions.${index}.threshold`}
+                        control={control}
+                        rules={{ required: clauses?.[index]?.condition !== OUTSIDE_RANGE }}
+                        render={({ field }) => (
+                          <TextField
+                            {...field}
+                            label='Threshold'
+                            type='number'
+                            size='small'
+                            fullWidth
+                            required={clauses?.[index]?.condition !== OUTSIDE_RANGE}
+                            disabled={clauses?.[index]?.condition === OUTSIDE_RANGE}
+                          />
+                        )}
+                      />
+                      <Controller
+                        name={`additionalConditions.${index}.windowHours`}
+                        control={control}
+                        render={({ field }) => (
+                          <TextField
+                            {...field}
+                            label='Window (h)'
+                            type='number'
+                            size='small'
+                            fullWidth
+                          />
+                        )}
+                      />
+                      <IconButton size='small' onClick={() => remove(index)}>
+                        <CloseIcon fontSize='small' />
+                      </IconButton>
+                    </Box>
+                  ))}
+                </Box>
+              )}
               <Controller
                 name='priority'
                 control={control}
@@ -240,6 +511,96 @@ const AlertRulesPage = () => {
                   </TextField>
                 )}
               />
+              <Controller
+                name='pondId'
+                control={control}
+                render={({ field }) => (
+                  <TextField
+                    {...field}
+                    select
+                    label='Pond'
+                    fullWidth
+                    disabled={isInventoryMetric}
+                    helperText={
+                      isInventoryMetric ? 'Inventory rules apply to a whole season' : undefined
+                    }
+                  >
+                    <MenuItem value=''>All ponds</MenuItem>
+                    {ponds.map(pond => (
+                      <MenuItem key={pond._id} value={pond._id}>
+                        {displayName(pond.name)}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                )}
+              />
+              <Controller
+                name='nurseryBatchId'
+                control={control}
+                render={({ field }) => (
+                  <TextField
+                    {...field}
+                    select
+                    label='Nursery Batch'
+                    fullWidth
+                    disabled={isInventoryMetric}
+                    helperText={
+                      isInventoryMetric ? 'Inventory rules apply to a whole season' : undefined
+                    }
+                  >
+                    <MenuItem value=''>All nursery batches</MenuItem>
+                    {nurseryBatches.map(batch => (
+                      <MenuItem key={batch._id} value={batch._id}>
+                        {displayName(batch.batchName)}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                )}
+              />
+              <Controller
+                name='seasonId'
+                control={control}
+                render={({ field }) => (
+                  <TextField {...field} select label='Season' fullWidth>
+                    <MenuItem value=''>All seasons</MenuItem>
+                    {seasons.map(season => (
+                      <MenuItem key={season.id} value={season.id}>
+                        {displayName(season.name)}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                )}
+              />
+              <Box sx={{ display: 'flex', gap: 2 }}>
+                <Controller
+                  name='consecutiveReadings'
+                  control={control}
+                  render={({ field }) => (
+                    <TextField
+                      {...field}
+                      label='Consecutive Readings'
+                      type='number'
+                      inputProps={{ min: 1 }}
+                      helperText='Readings in a row that must breach'
+                      fullWidth
+                    />
+                  )}
+                />
+                <Controller
+                  name='cooldownMinutes'
+                  control={control}
+                  render={({ field }) => (
+                    <TextField
+                      {...field}
+                      label='Cooldown (minutes)'
+                      type='number'
+                      inputProps={{ min: 0 }}
+                      helperText='Quiet period after an alert fires'
+                      fullWidth
+                    />
+                  )}
+                />
+              </Box>
             </Box>
           </DialogContent>
           <DialogActions>
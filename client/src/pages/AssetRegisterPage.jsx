@@ -0,0 +1,202 @@
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Edit as EditIcon,
+  Visibility as ViewIcon
+} from '@mui/icons-material';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Container,
+  IconButton,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import React, { useEffect, useState } from 'react';
+
+import { ASSET_CATEGORIES, AssetDetailDialog, AssetDialog } from '../components/features/assets';
+import { useSeason } from '../context/SeasonContext';
+import { deleteAsset, getAssets, getPondsBySeasonId, getSeasonDepreciation } from '../services/api';
+
+const METHOD_LABELS = { straightLine: 'Straight-line', decliningBalance: 'Declining balance' };
+
+const categoryLabel = value =>
+  ASSET_CATEGORIES.find(category => category.value === value)?.label || value;
+
+const localized = name =>
+  name && typeof name === 'object' ? name.en || Object.values(name)[0] : name || '';
+
+const amount = value => (value || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+// Register of aerators, pumps, generators and liners with their book value and the season's depreciation charge
+const AssetRegisterPage = () => {
+  const { selectedSeason } = useSeason();
+  const [assets, setAssets] = useState([]);
+  const [ponds, setPonds] = useState([]);
+  const [depreciation, setDepreciation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const [assetDialog, setAssetDialog] = useState({ open: false, asset: null });
+  const [viewingAssetId, setViewingAssetId] = useState(null);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      setAssets(await getAssets());
+      if (selectedSeason?.id) {
+        const [pondRes, depreciationRes] = await Promise.all([
+          getPondsBySeasonId(selectedSeason.id),
+          getSeasonDepreciation(selectedSeason.id)
+        ]);
+        setPonds(pondRes);
+        setDepreciation(depreciationRes);
+      }
+    } catch (err) {
+      setError(err.message || 'Error fetching assets');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, [selectedSeason]);
+
+  const handleDelete = async asset => {
+    if (!window.confirm(`Delete ${asset.name}?`)) return;
+    try {
+      await deleteAsset(asset._id);
+      fetchData();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loading && assets.length === 0)
+    return (
+      <Container sx={{ mt: 4, display: 'flex', justifyContent: 'center' }}>
+        <CircularProgress />
+      </Container>
+    );
+
+  const chargeFor = asset =>
+    depreciation?.assets.find(charge => charge.assetId === asset._id)?.depreciation || 0;
+
+  return (
+    <Container maxWidth='xl' sx={{ mt: 4, mb: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant='h4' component='h1'>
+          Asset Register
+        </Typography>
+        <Button
+          variant='contained'
+          startIcon={<AddIcon />}
+          onClick={() => setAssetDialog({ open: true, asset: null })}
+        >
+          Add Asset
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity='error' sx={{ mb: 3 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {depreciation && (
+        <Alert severity='info' sx={{ mb: 3 }}>
+          {selectedSeason.name} carries {amount(depreciation.total)} {depreciation.currency} of
+          depreciation up to {new Date(depreciation.to).toLocaleDateString()}, included in its P&L.
+        </Alert>
+      )}
+
+      <TableContainer component={Paper}>
+        <Table size='small'>
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell>Category</TableCell>
+              <TableCell>Pond</TableCell>
+              <TableCell>Purchased</TableCell>
+              <TableCell align='right'>Cost</TableCell>
+              <TableCell>Depreciation</TableCell>
+              <TableCell align='right'>Book Value</TableCell>
+              <TableCell align='right'>This Season</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {assets.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={9} align='center'>
+                  No assets registered yet.
+                </TableCell>
+              </TableRow>
+            ) : (
+              assets.map(asset => (
+                <TableRow key={asset._id}>
+                  <TableCell>
+                    {asset.name}
+                    {asset.status === 'Disposed' && (
+                      <Chip size='small' label='Disposed' sx={{ ml: 1 }} />
+                    )}
+                  </TableCell>
+                  <TableCell>{categoryLabel(asset.category)}</TableCell>
+                  <TableCell>{localized(asset.pondId?.name) || 'Farm-wide'}</TableCell>
+                  <TableCell>{new Date(asset.purchaseDate).toLocaleDateString()}</TableCell>
+                  <TableCell align='right'>
+                    {amount(asset.purchaseCost)} {asset.currency}
+                  </TableCell>
+                  <TableCell>
+                    {METHOD_LABELS[asset.depreciationMethod]} · {asset.usefulLifeYears} yrs
+                  </TableCell>
+                  <TableCell align='right'>{amount(asset.bookValue)}</TableCell>
+                  <TableCell align='right'>{amount(chargeFor(asset))}</TableCell>
+                  <TableCell align='right' sx={{ whiteSpace: 'nowrap' }}>
+                    <Tooltip title='Schedule and maintenance'>
+                      <IconButton size='small' onClick={() => setViewingAssetId(asset._id)}>
+                        <ViewIcon fontSize='small' />
+                      </IconButton>
+                    </Tooltip>
+                    <IconButton size='small' onClick={() => setAssetDialog({ open: true, asset })}>
+                      <EditIcon fontSize='small' />
+                    </IconButton>
+                    <IconButton size='small' color='error' onClick={() => handleDelete(asset)}>
+                      <DeleteIcon fontSize='small' />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <AssetDialog
+        open={assetDialog.open}
+        asset={assetDialog.asset}
+        ponds={ponds}
+        onClose={() => setAssetDialog({ open: false, asset: null })}
+        onSaved={fetchData}
+      />
+      <AssetDetailDialog
+        open={Boolean(viewingAssetId)}
+        assetId={viewingAssetId}
+        onClose={() => setViewingAssetId(null)}
+      />
+    </Container>
+  );
+};
+
+export default AssetRegisterPage;
@@ -1,4 +1,4 @@
-import { Add as AddIcon } from '@mui/icons-material';
+import { Add as AddIcon, CurrencyExchange as CurrencyExchangeIcon } from '@mui/icons-material';
 import {
   Container,
   Typography,
@@ -27,6 +27,10 @@ import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import React, { useState, useEffect } from 'react';
 
+import CashFlowForecastCard from '../components/CashFlowForecastCard';
+import CostOfProductionCard from '../components/CostOfProductionCard';
+import CurrencySelect from '../components/CurrencySelect';
+import ExchangeRatesDialog from '../components/features/expenses/ExchangeRatesDialog';
 import { useSeason } from '../context/SeasonContext';
 import { getExpenses, createExpense, getPonds } from '../services/api';
 
@@ -39,11 +43,13 @@ const ExpenseManagementPage = () => {
   const [error, setError] = useState(null);
 
   const [open, setOpen] = useState(false);
+  const [ratesOpen, setRatesOpen] = useState(false);
   const [ponds, setPonds] = useState([]);
   const [formData, setFormData] = useState({
     date: new Date(),
     category: '',
     amount: '',
+    currency: '',
     description: '',
     pondId: ''
   });
@@ -72,6 +78,7 @@ const ExpenseManagementPage = () => {
         ...formData,
         seasonId: selectedSeason.id,
         amount: Number(formData.amount),
+        currency: formData.currency || undefined,
         pondId: formData.pondId || undefined
       });
       setOpen(false);
@@ -94,9 +101,14 @@ const ExpenseManagementPage = () => {
         <Typography variant='h4' component='h1'>
           Expense Management
         </Typography>
-        <Button variant='contained' startIcon={<AddIcon />} onClick={() => setOpen(true)}>
-          Add Expense
-        </Button>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button startIcon={<CurrencyExchangeIcon />} onClick={() => setRatesOpen(true)}>
+            Exchange Rates
+          </Button>
+          <Button variant='contained' startIcon={<AddIcon />} onClick={() => setOpen(true)}>
+            Add Expense
+          </Button>
+        </Box>
       </Box>
 
       {error && (
@@ -105,6 +117,9 @@ const ExpenseManagementPage = () => {
         </Alert>
       )}
 
+      <CostOfProductionCard />
+      <CashFlowForecastCard />
+
       <Card elevation={3}>
         <TableContainer component={Paper}>
           <Table>
@@ -112,7 +127,7 @@ const ExpenseManagementPage = () => {
               <TableRow>
                 <TableCell>Date</TableCell>
                 <TableCell>Category</TableCell>
-                <TableCell align='right'>Amount ($)</TableCell>
+                <TableCell align='right'>Amount</TableCell>
                 <TableCell>Pond (Optional)</TableCell>
                 <TableCell>Description</TableCell>
               </TableRow>
@@ -130,7 +145,8 @@ const ExpenseManagementPage = () => {
                     <TableCell>{new Date(row.date).toLocaleDateString()}</TableCell>
                     <TableCell>{row.category}</TableCell>
                     <TableCell align='right'>
-                      {row.amount.toLocaleString(undefined, { minimumFractionDigits: 2 })}
+                      {row.amount.toLocaleString(undefined, { minimumFractionDigits: 2 })}{' '}
+                      {row.currency}
                     </TableCell>
                     <TableCell>{row.pondId?.name || 'Season-wide'}</TableCell>
                     <TableCell>{row.description}</TableCell>
@@ -173,10 +189,10 @@ const ExpenseManagementPage = () => {
                   />
                 </LocalizationProvider>
               </Grid>
-              <Grid item xs={12}>
+              <Grid item xs={8}>
                 <TextField
                   fullWidth
-                  label='Amount ($)'
+                  label='Amount'
                   type='number'
                   inputProps={{ step: '0.01' }}
                   required
@@ -184,6 +200,13 @@ const ExpenseManagementPage = () => {
                   onChange={e => setFormData({ ...formData, amount: e.target.value })}
                 />
               </Grid>
+              <Grid item xs={4}>
+                <CurrencySelect
+                  fullWidth
+                  value={formData.currency}
+                  onChange={currency => setFormData({ ...formData, currency })}
+                />
+              </Grid>
               <Grid item xs={12}>
                 <TextField
                   select
@@ -223,6 +246,8 @@ const ExpenseManagementPage = () => {
           </DialogActions>
         </form>
       </Dialog>
+
+      <ExchangeRatesDialog open={ratesOpen} onClose={() => setRatesOpen(false)} />
     </Container>
   );
 };
@@ -1,4 +1,9 @@
-import { Add as AddIcon, AttachMoney as MoneyIcon } from '@mui/icons-material';
+import {
+  Add as AddIcon,
+  AttachMoney as MoneyIcon,
+  Edit as EditIcon,
+  PriceChange as PriceListIcon
+} from '@mui/icons-material';
 import {
   Container,
   Typography,
@@ -22,15 +27,53 @@ import {
   DialogActions,
   TextField,
   MenuItem,
-  Divider
+  Divider,
+  Autocomplete,
+  Chip,
+  IconButton,
+  Tooltip
 } from '@mui/material';
 import { DatePicker } from '@mui/x-date-pickers';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import React, { useState, useEffect } from 'react';
 
+import CurrencySelect from '../components/CurrencySelect';
+import HarvestTimeline from '../components/features/ponds/HarvestTimeline';
+import { BuyerPriceListsDialog, GradeLinesEditor } from '../components/features/sales';
 import { useSeason } from '../context/SeasonContext';
-import { getHarvests, createHarvest, getPonds, getSales, createSale } from '../services/api';
+import {
+  getHarvests,
+  createHarvest,
+  getPonds,
+  getSales,
+  createSale,
+  updateSale,
+  getBuyers,
+  getBuyerPriceLists,
+  getEffectivePriceList
+} from '../services/api';
+
+const emptySaleForm = () => ({
+  date: new Date(),
+  buyerName: '',
+  graded: true,
+  lineItems: [{ grade: '', quantity: '', pricePerKg: '' }],
+  quantitySold: '',
+  pricePerKg: '',
+  currency: '',
+  notes: ''
+});
+
+const formatGrades = (items, withPrice) =>
+  (items || [])
+    .map(
+      item =>
+        `${item.grade}: ${item.quantity.toLocaleString()} kg${
+          withPrice ? ` @ $${item.pricePerKg.toFixed(2)}` : ''
+        }`
+    )
+    .join(' · ');
 
 const HarvestManagementPage = () => {
   const { selectedSeason } = useSeason();
@@ -45,21 +88,23 @@ const HarvestManagementPage = () => {
   const [harvestForm, setHarvestForm] = useState({
     pondId: '',
     date: new Date(),
+    harvestType: 'Partial',
     totalBiomass: '',
     finalABW: '',
+    grades: [],
     notes: ''
   });
 
   // Sale Modal
   const [openSale, setOpenSale] = useState(false);
   const [selectedHarvestId, setSelectedHarvestId] = useState('');
-  const [saleForm, setSaleForm] = useState({
-    date: new Date(),
-    buyerName: '',
-    quantitySold: '',
-    pricePerKg: '',
-    notes: ''
-  });
+  const [editingSaleId, setEditingSaleId] = useState(null);
+  const [saleForm, setSaleForm] = useState(emptySaleForm());
+  // Buyer directory plus names with price lists, and the prices of the selected buyer's list in effect on the sale date
+  const [openPriceLists, setOpenPriceLists] = useState(false);
+  const [buyers, setBuyers] = useState([]);
+  const [buyerNames, setBuyerNames] = useState([]);
+  const [listedPrices, setListedPrices] = useState({});
 
   const fetchData = async () => {
     try {
@@ -81,10 +126,41 @@ const HarvestManagementPage = () => {
     }
   };
 
+  const fetchBuyers = () =>
+    Promise.all([getBuyers(true), getBuyerPriceLists()])
+      .then(([directory, lists]) => {
+        setBuyers(directory);
+        setBuyerNames([
+          ...new Set([...directory.map(buyer => buyer.name), ...lists.map(list => list.buyerName)])
+        ]);
+      })
+      .catch(() => setBuyers([]));
+
   useEffect(() => {
     fetchData();
   }, [selectedSeason]);
 
+  useEffect(() => {
+    fetchBuyers();
+  }, []);
+
+  useEffect(() => {
+    if (!openSale || !saleForm.buyerName || !saleForm.date) {
+      setListedPrices({});
+      return;
+    }
+    getEffectivePriceList(saleForm.buyerName, new Date(saleForm.date).toISOString())
+      .then(list =>
+        // A list in another currency than the sale's cannot price it
+        setListedPrices(
+          saleForm.currency && list.currency !== saleForm.currency
+            ? {}
+            : Object.fromEntries(list.prices.map(price => [price.grade, price.pricePerKg]))
+        )
+      )
+      .catch(() => setListedPrices({}));
+  }, [openSale, saleForm.buyerName, saleForm.date, saleForm.currency]);
+
   const handleHarvestSubmit = async e => {
     e.preventDefault();
     try {
@@ -92,8 +168,12 @@ const HarvestManagementPage = () => {
         pondId: harvestForm.pondId,
         seasonId: selectedSeason.id,
         date: harvestForm.date,
+        harvestType: harvestForm.harvestType,
         totalBiomass: Number(harvestForm.totalBiomass),
         finalABW: Number(harvestForm.finalABW),
+        grades: harvestForm.grades
+          .filter(item => item.grade && item.quantity !== '')
+          .map(item => ({ grade: item.grade, quantity: Number(item.quantity) })),
         notes: harvestForm.notes
       });
       setOpenHarvest(false);
@@ -106,14 +186,39 @@ const HarvestManagementPage = () => {
   const handleSaleSubmit = async e => {
     e.preventDefault();
     try {
-      await createSale({
-        harvestId: selectedHarvestId,
+      // Graded lines left without a price are priced from the buyer's price list
+      const pricing = saleForm.graded
+        ? {
+            lineItems: saleForm.lineItems
+              .filter(item => item.grade && item.quantity !== '')
+              .map(item => ({
+                grade: item.grade,
+                quantity: Number(item.quantity),
+                pricePerKg: item.pricePerKg === '' ? undefined : Number(item.pricePerKg)
+              }))
+          }
+        : {
+            lineItems: [],
+            quantitySold: Number(saleForm.quantitySold),
+            pricePerKg: Number(saleForm.pricePerKg)
+          };
+      // Buyers from the directory are linked by ID; other names are kept as typed
+      const buyer = buyers.find(
+        b => b.name.toLowerCase() === saleForm.buyerName.trim().toLowerCase()
+      );
+      const saleData = {
         date: saleForm.date,
+        buyerId: buyer?._id,
         buyerName: saleForm.buyerName,
-        quantitySold: Number(saleForm.quantitySold),
-        pricePerKg: Number(saleForm.pricePerKg),
+        ...pricing,
+        currency: saleForm.currency || undefined,
         notes: saleForm.notes
-      });
+      };
+      if (editingSaleId) {
+        await updateSale(editingSaleId, saleData);
+      } else {
+        await createSale({ harvestId: selectedHarvestId, ...saleData });
+      }
       setOpenSale(false);
       fetchData();
     } catch (err) {
@@ -123,9 +228,45 @@ const HarvestManagementPage = () => {
 
   const openLogSale = harvestId => {
     setSelectedHarvestId(harvestId);
+    setEditingSaleId(null);
+    setSaleForm(emptySaleForm());
     setOpenSale(true);
   };
 
+  const openEditSale = sale => {
+    const graded = sale.lineItems?.length > 0;
+    setSelectedHarvestId(sale.harvestId?._id);
+    setEditingSaleId(sale._id);
+    setSaleForm({
+      date: new Date(sale.date),
+      buyerName: sale.buyerName,
+      graded,
+      lineItems: graded
+        ? sale.lineItems.map(item => ({
+            grade: item.grade,
+            quantity: item.quantity,
+            pricePerKg: item.pricePerKg
+          }))
+        : emptySaleForm().lineItems,
+      quantitySold: graded ? '' : sale.quantitySold,
+      pricePerKg: graded ? '' : sale.pricePerKg,
+      currency: sale.currency || '',
+      notes: sale.notes || ''
+    });
+    setOpenSale(true);
+  };
+
+  const selectedHarvest = harvests.find(h => h._id === selectedHarvestId);
+  const estimatedRevenue = saleForm.lineItems.reduce((sum, item) => {
+    const price = item.pricePerKg !== '' ? Number(item.pricePerKg) : listedPrices[item.grade];
+    return sum + (Number(item.quantity) || 0) * (price || 0);
+  }, 0);
+
+  // Ponds whose cycle a final harvest has closed
+  const closedPondIds = harvests
+    .filter(h => h.harvestType === 'Final')
+    .map(h => h.pondId?._id || h.pondId);
+
   if (loading)
     return (
       <Container sx={{ mt: 4, display: 'flex', justifyContent: 'center' }}>
@@ -139,9 +280,18 @@ const HarvestManagementPage = () => {
         <Typography variant='h4' component='h1'>
           Harvest & Sales Management
         </Typography>
-        <Button variant='contained' startIcon={<AddIcon />} onClick={() => setOpenHarvest(true)}>
-          Log Harvest
-        </Button>
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <Button
+            variant='outlined'
+            startIcon={<PriceListIcon />}
+            onClick={() => setOpenPriceLists(true)}
+          >
+            Price Lists
+          </Button>
+          <Button variant='contained' startIcon={<AddIcon />} onClick={() => setOpenHarvest(true)}>
+            Log Harvest
+          </Button>
+        </Box>
       </Box>
 
       {error && (
@@ -150,6 +300,14 @@ const HarvestManagementPage = () => {
         </Alert>
       )}
 
+      {/* Harvest Timeline */}
+      <Typography variant='h5' sx={{ mb: 2 }}>
+        Harvest Timeline
+      </Typography>
+      <Box sx={{ mb: 5 }}>
+        <HarvestTimeline harvests={harvests} />
+      </Box>
+
       {/* Harvests Table */}
       <Typography variant='h5' sx={{ mb: 2 }}>
         Recorded Harvests
@@ -161,8 +319,11 @@ const HarvestManagementPage = () => {
               <TableRow>
                 <TableCell>Date</TableCell>
                 <TableCell>Pond</TableCell>
+                <TableCell>Type</TableCell>
                 <TableCell align='right'>Biomass (kg)</TableCell>
-                <TableCell align='right'>Final ABW (g)</TableCell>
+                <TableCell align='right'>ABW (g)</TableCell>
+                <TableCell>Grades</TableCell>
+                <TableCell align='right'>Cumulative (kg)</TableCell>
                 <TableCell align='right'>Survival Rate (%)</TableCell>
                 <TableCell align='right'>FCR</TableCell>
                 <TableCell align='center'>Actions</TableCell>
@@ -171,7 +332,7 @@ const HarvestManagementPage = () => {
             <TableBody>
               {harvests.length === 0 ? (
                 <TableRow>
-                  <TableCell colSpan={7} align='center'>
+                  <TableCell colSpan={10} align='center'>
                     No harvests recorded yet.
                   </TableCell>
                 </TableRow>
@@ -180,8 +341,13 @@ const HarvestManagementPage = () => {
                   <TableRow key={row._id}>
                     <TableCell>{new Date(row.date).toLocaleDateString()}</TableCell>
                     <TableCell>{row.pondId?.name || '-'}</TableCell>
+                    <TableCell>{row.harvestType === 'Partial' ? 'Partial' : 'Final'}</TableCell>
                     <TableCell align='right'>{row.totalBiomass.toLocaleString()}</TableCell>
                     <TableCell align='right'>{row.finalABW.toFixed(2)}</TableCell>
+                    <TableCell>{formatGrades(row.grades) || '-'}</TableCell>
+                    <TableCell align='right'>
+                      {row.cumulativeBiomass?.toLocaleString() || '-'}
+                    </TableCell>
                     <TableCell align='right'>{row.survivalRate?.toFixed(2) || '-'}</TableCell>
                     <TableCell align='right'>{row.fcr?.toFixed(2) || '-'}</TableCell>
                     <TableCell align='center'>
@@ -214,15 +380,18 @@ const HarvestManagementPage = () => {
                 <TableCell>Date</TableCell>
                 <TableCell>Buyer</TableCell>
                 <TableCell>Pond / Harvest</TableCell>
+                <TableCell>Grades</TableCell>
                 <TableCell align='right'>Qty Sold (kg)</TableCell>
                 <TableCell align='right'>Price / kg</TableCell>
                 <TableCell align='right'>Total Revenue</TableCell>
+                <TableCell>Invoice</TableCell>
+                <TableCell align='center'>Actions</TableCell>
               </TableRow>
             </TableHead>
             <TableBody>
               {sales.length === 0 ? (
                 <TableRow>
-                  <TableCell colSpan={6} align='center'>
+                  <TableCell colSpan={9} align='center'>
                     No sales recorded yet.
                   </TableCell>
                 </TableRow>
@@ -232,10 +401,37 @@ const HarvestManagementPage = () => {
                     <TableCell>{new Date(row.date).toLocaleDateString()}</TableCell>
                     <TableCell>{row.buyerName}</TableCell>
                     <TableCell>{row.harvestId?.pondId?.name || 'Unknown'}</TableCell>
+                    <TableCell>{formatGrades(row.lineItems, true) || '-'}</TableCell>
                     <TableCell align='right'>{row.quantitySold.toLocaleString()}</TableCell>
                     <TableCell align='right'>${row.pricePerKg.toFixed(2)}</TableCell>
                     <TableCell align='right' sx={{ fontWeight: 'bold', color: 'success.main' }}>
-                      ${row.totalRevenue.toLocaleString()}
+                      {row.totalRevenue.toLocaleString()} {row.currency}
+                    </TableCell>
+                    <TableCell>
+                      {row.invoiceId ? (
+                        <Chip
+                          size='small'
+                          label={`${row.invoiceId.invoiceNumber} · ${row.invoiceId.status}`}
+                          color={row.invoiceId.status === 'Paid' ? 'success' : 'default'}
+                        />
+                      ) : (
+                        'Uninvoiced'
+                      )}
+                    </TableCell>
+                    <TableCell align='center'>
+                      <Tooltip
+                        title={row.invoiceId ? 'Void the invoice to edit this sale' : 'Edit sale'}
+                      >
+                        <span>
+                          <IconButton
+                            size='small'
+                            onClick={() => openEditSale(row)}
+                            disabled={Boolean(row.invoiceId)}
+                          >
+                            <EditIcon fontSize='small' />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
                     </TableCell>
                   </TableRow>
                 ))
@@ -261,12 +457,30 @@ const HarvestManagementPage = () => {
                   onChange={e => setHarvestForm({ ...harvestForm, pondId: e.target.value })}
                 >
                   {ponds.map(p => (
-                    <MenuItem key={p._id} value={p._id}>
+                    <MenuItem key={p._id} value={p._id} disabled={closedPondIds.includes(p._id)}>
                       {p.name}
+                      {closedPondIds.includes(p._id) ? ' (harvested)' : ''}
                     </MenuItem>
                   ))}
                 </TextField>
               </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  select
+                  fullWidth
+                  label='Harvest Type'
+                  value={harvestForm.harvestType}
+                  onChange={e => setHarvestForm({ ...harvestForm, harvestType: e.target.value })}
+                  helperText={
+                    harvestForm.harvestType === 'Final'
+                      ? 'Empties the pond and closes its cycle; survival and FCR are calculated from all harvests'
+                      : 'Thins the pond; it stays open for further harvests'
+                  }
+                >
+                  <MenuItem value='Partial'>Partial</MenuItem>
+                  <MenuItem value='Final'>Final</MenuItem>
+                </TextField>
+              </Grid>
               <Grid item xs={12}>
                 <LocalizationProvider dateAdapter={AdapterDateFns}>
                   <DatePicker
@@ -290,13 +504,22 @@ const HarvestManagementPage = () => {
               <Grid item xs={6}>
                 <TextField
                   fullWidth
-                  label='Final ABW (g)'
+                  label='Average Body Weight (g)'
                   type='number'
                   required
                   value={harvestForm.finalABW}
                   onChange={e => setHarvestForm({ ...harvestForm, finalABW: e.target.value })}
                 />
               </Grid>
+              <Grid item xs={12}>
+                <Typography variant='subtitle2' sx={{ mb: 1 }}>
+                  Grade Breakdown (optional)
+                </Typography>
+                <GradeLinesEditor
+                  lines={harvestForm.grades}
+                  onChange={grades => setHarvestForm({ ...harvestForm, grades })}
+                />
+              </Grid>
               <Grid item xs={12}>
                 <TextField
                   fullWidth
@@ -320,17 +543,19 @@ const HarvestManagementPage = () => {
 
       {/* Sale Modal */}
       <Dialog open={openSale} onClose={() => setOpenSale(false)} maxWidth='sm' fullWidth>
-        <DialogTitle>Log Sale for Harvest</DialogTitle>
+        <DialogTitle>{editingSaleId ? 'Edit Sale' : 'Log Sale for Harvest'}</DialogTitle>
         <form onSubmit={handleSaleSubmit}>
           <DialogContent>
             <Grid container spacing={2}>
               <Grid item xs={12}>
-                <TextField
-                  fullWidth
-                  label='Buyer Name'
-                  required
-                  value={saleForm.buyerName}
-                  onChange={e => setSaleForm({ ...saleForm, buyerName: e.target.value })}
+                <Autocomplete
+                  freeSolo
+                  options={buyerNames}
+                  inputValue={saleForm.buyerName}
+                  onInputChange={(event, buyerName) => setSaleForm({ ...saleForm, buyerName })}
+                  renderInput={params => (
+                    <TextField {...params} fullWidth label='Buyer Name' required />
+                  )}
                 />
               </Grid>
               <Grid item xs={12}>
@@ -343,27 +568,69 @@ const HarvestManagementPage = () => {
                   />
                 </LocalizationProvider>
               </Grid>
-              <Grid item xs={6}>
+              <Grid item xs={8}>
                 <TextField
+                  select
                   fullWidth
-                  label='Quantity Sold (kg)'
-                  type='number'
-                  required
-                  value={saleForm.quantitySold}
-                  onChange={e => setSaleForm({ ...saleForm, quantitySold: e.target.value })}
-                />
+                  label='Pricing'
+                  value={saleForm.graded ? 'graded' : 'single'}
+                  onChange={e => setSaleForm({ ...saleForm, graded: e.target.value === 'graded' })}
+                >
+                  <MenuItem value='graded'>By grade</MenuItem>
+                  <MenuItem value='single'>Single price</MenuItem>
+                </TextField>
               </Grid>
-              <Grid item xs={6}>
-                <TextField
+              <Grid item xs={4}>
+                <CurrencySelect
                   fullWidth
-                  label='Price per kg ($)'
-                  type='number'
-                  required
-                  inputProps={{ step: '0.01' }}
-                  value={saleForm.pricePerKg}
-                  onChange={e => setSaleForm({ ...saleForm, pricePerKg: e.target.value })}
+                  value={saleForm.currency}
+                  onChange={currency => setSaleForm({ ...saleForm, currency })}
                 />
               </Grid>
+              {saleForm.graded ? (
+                <Grid item xs={12}>
+                  <GradeLinesEditor
+                    lines={saleForm.lineItems}
+                    columns={['quantity', 'pricePerKg']}
+                    gradeOptions={
+                      selectedHarvest?.grades?.length
+                        ? selectedHarvest.grades.map(g => g.grade)
+                        : undefined
+                    }
+                    pricePlaceholders={listedPrices}
+                    onChange={lineItems => setSaleForm({ ...saleForm, lineItems })}
+                  />
+                  <Typography variant='body2' color='text.secondary' sx={{ mt: 1 }}>
+                    Blank prices are taken from the buyer&apos;s price list. Estimated revenue:{' '}
+                    {estimatedRevenue.toLocaleString(undefined, { maximumFractionDigits: 2 })}{' '}
+                    {saleForm.currency}
+                  </Typography>
+                </Grid>
+              ) : (
+                <>
+                  <Grid item xs={6}>
+                    <TextField
+                      fullWidth
+                      label='Quantity Sold (kg)'
+                      type='number'
+                      required
+                      value={saleForm.quantitySold}
+                      onChange={e => setSaleForm({ ...saleForm, quantitySold: e.target.value })}
+                    />
+                  </Grid>
+                  <Grid item xs={6}>
+                    <TextField
+                      fullWidth
+                      label='Price per kg'
+                      type='number'
+                      required
+                      inputProps={{ step: '0.01' }}
+                      value={saleForm.pricePerKg}
+                      onChange={e => setSaleForm({ ...saleForm, pricePerKg: e.target.value })}
+                    />
+                  </Grid>
+                </>
+              )}
               <Grid item xs={12}>
                 <TextField
                   fullWidth
@@ -384,6 +651,12 @@ const HarvestManagementPage = () => {
           </DialogActions>
         </form>
       </Dialog>
+
+      <BuyerPriceListsDialog
+        open={openPriceLists}
+        onClose={() => setOpenPriceLists(false)}
+        onChanged={fetchBuyers}
+      />
     </Container>
   );
 };
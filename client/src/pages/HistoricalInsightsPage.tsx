@@ -43,7 +43,8 @@ import {
   ComposedChart,
   Area,
   BarChart,
-  Bar
+  Bar,
+  ReferenceLine
 } from 'recharts';
 
 import {
@@ -254,6 +255,17 @@ const HistoricalInsightsPage: React.FC = () => {
       }));
   };
 
+  // Each pond's acceptable bounds for its species and stage, drawn in the pond's colour
+  const rangeLines = (metricData: any) =>
+    [
+      { range: metricData?.pond_a_range, color: '#2563EB' },
+      { range: metricData?.pond_b_range, color: '#10B981' }
+    ].flatMap(({ range, color }) =>
+      [range?.acceptableMin, range?.acceptableMax]
+        .filter((bound: any) => typeof bound === 'number')
+        .map((bound: number) => ({ bound, color }))
+    );
+
   if (isLoading)
     return (
       <Box sx={{ display: 'flex', justifyContent: 'center', p: 5 }}>
@@ -514,6 +526,11 @@ const HistoricalInsightsPage: React.FC = () => {
                     name={getPondName(mode === 'current' ? selectedPondB : selectedPondB_H)}
                     stroke='#10B981'
                   />
+                  {rangeLines(comparisonData.metrics?.[selectedMetrics[activeTab]]).map(
+                    ({ bound, color }, index) => (
+                      <ReferenceLine key={index} y={bound} stroke={color} strokeDasharray='4 4' />
+                    )
+                  )}
                 </ComposedChart>
               </ResponsiveContainer>
             </Box>
@@ -0,0 +1,146 @@
+import { ArrowBack as BackIcon, Print as PrintIcon } from '@mui/icons-material';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Container,
+  Divider,
+  GlobalStyles,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+
+import { getInvoiceById } from '../services/api';
+
+const money = value => (value || 0).toLocaleString(undefined, { minimumFractionDigits: 2 });
+
+// Only the invoice is printed, so the browser's "Save as PDF" gives a clean PDF
+const PRINT_STYLES = {
+  '@media print': {
+    'body *': { visibility: 'hidden' },
+    '#printable-invoice, #printable-invoice *': { visibility: 'visible' },
+    '#printable-invoice': { position: 'absolute', left: 0, top: 0, width: '100%' }
+  }
+};
+
+const InvoicePrintPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [invoice, setInvoice] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getInvoiceById(id)
+      .then(setInvoice)
+      .catch(err => setError(err.message));
+  }, [id]);
+
+  if (error)
+    return (
+      <Container sx={{ mt: 4 }}>
+        <Alert severity='error'>{error}</Alert>
+      </Container>
+    );
+
+  if (!invoice)
+    return (
+      <Container sx={{ mt: 4, display: 'flex', justifyContent: 'center' }}>
+        <CircularProgress />
+      </Container>
+    );
+
+  const buyer = invoice.buyerId || {};
+  const outstanding = invoice.amount - invoice.amountPaid;
+
+  return (
+    <Container maxWidth='md' sx={{ mt: 4, mb: 4 }}>
+      <GlobalStyles styles={PRINT_STYLES} />
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 2, displayPrint: 'none' }}>
+        <Button startIcon={<BackIcon />} onClick={() => navigate('/sales-ledger')}>
+          Sales Ledger
+        </Button>
+        <Button variant='contained' startIcon={<PrintIcon />} onClick={() => window.print()}>
+          Print / Save as PDF
+        </Button>
+      </Box>
+
+      <Paper id='printable-invoice' variant='outlined' sx={{ p: 4 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 4 }}>
+          <Box>
+            <Typography variant='h4'>Invoice</Typography>
+            <Typography variant='subtitle1'>{invoice.invoiceNumber}</Typography>
+            {invoice.status === 'Void' && (
+              <Typography variant='h6' color='error'>
+                VOID
+              </Typography>
+            )}
+          </Box>
+          <Box sx={{ textAlign: 'right' }}>
+            <Typography variant='body2'>
+              Issued: {new Date(invoice.issueDate).toLocaleDateString()}
+            </Typography>
+            <Typography variant='body2'>
+              Due: {new Date(invoice.dueDate).toLocaleDateString()}
+            </Typography>
+          </Box>
+        </Box>
+
+        <Typography variant='overline'>Bill To</Typography>
+        <Typography variant='subtitle1'>{buyer.name}</Typography>
+        {buyer.contactPerson && <Typography variant='body2'>{buyer.contactPerson}</Typography>}
+        {buyer.address && (
+          <Typography variant='body2' sx={{ whiteSpace: 'pre-line' }}>
+            {buyer.address}
+          </Typography>
+        )}
+        {buyer.taxId && <Typography variant='body2'>Tax ID: {buyer.taxId}</Typography>}
+
+        <Table size='small' sx={{ mt: 3 }}>
+          <TableHead>
+            <TableRow>
+              <TableCell>Date</TableCell>
+              <TableCell>Description</TableCell>
+              <TableCell align='right'>Qty (kg)</TableCell>
+              <TableCell align='right'>Price / kg</TableCell>
+              <TableCell align='right'>Amount</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {invoice.lines.map(line => (
+              <TableRow key={line._id}>
+                <TableCell>{line.date ? new Date(line.date).toLocaleDateString() : ''}</TableCell>
+                <TableCell>{line.description}</TableCell>
+                <TableCell align='right'>{line.quantity?.toLocaleString()}</TableCell>
+                <TableCell align='right'>{money(line.pricePerKg)}</TableCell>
+                <TableCell align='right'>{money(line.amount)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+
+        <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end', mt: 3 }}>
+          <Typography variant='subtitle1'>Total: {money(invoice.amount)}</Typography>
+          <Typography variant='body2'>Paid: {money(invoice.amountPaid)}</Typography>
+          <Divider sx={{ width: 200, my: 1 }} />
+          <Typography variant='h6'>Balance Due: {money(outstanding)}</Typography>
+        </Box>
+
+        {invoice.notes && (
+          <Typography variant='body2' sx={{ mt: 3, whiteSpace: 'pre-line' }}>
+            {invoice.notes}
+          </Typography>
+        )}
+      </Paper>
+    </Container>
+  );
+};
+
+export default InvoicePrintPage;
@@ -5,7 +5,8 @@ import {
   Camera as CameraIcon,
   Edit as EditIcon,
   Delete as DeleteIcon,
-  CalendarToday as CalendarIcon
+  CalendarToday as CalendarIcon,
+  MoveDown as TransferIcon
 } from '@mui/icons-material';
 import {
   Typography,
@@ -50,6 +51,8 @@ import {
 } from 'recharts';
 
 import CustomCalendar from '../components/features/shared/forms/CustomCalendar';
+import StockingHistory from '../components/nursery/StockingHistory';
+import StockPondsDialog from '../components/nursery/StockPondsDialog';
 import { useSeason } from '../context/SeasonContext';
 import { useApiData, useApiMutation } from '../hooks/useApi';
 import {
@@ -57,7 +60,9 @@ import {
   getEventsForNurseryBatch,
   createEvent,
   deleteEvent,
-  getInventoryItems
+  getInventoryItems,
+  getStockings,
+  deleteStocking
 } from '../services/api';
 import logger from '../utils/logger';
 
@@ -396,6 +401,7 @@ const NurseryBatchDetailPage = () => {
   const [calendarView, setCalendarView] = useState('month');
   const [selectedEvent, setSelectedEvent] = useState(null);
   const [openEventModal, setOpenEventModal] = useState(false);
+  const [openStockDialog, setOpenStockDialog] = useState(false);
 
   const getSeasonName = seasonId => {
     if (!seasonId) return 'N/A';
@@ -406,8 +412,13 @@ const NurseryBatchDetailPage = () => {
   const {
     data: nurseryBatch,
     loading: nurseryBatchLoading,
-    error: nurseryBatchError
+    error: nurseryBatchError,
+    refetch: refetchNurseryBatch
   } = useApiData(() => getNurseryBatchById(id), [id]);
+  const { data: stockings, refetch: refetchStockings } = useApiData(
+    () => getStockings({ nurseryBatchId: id }),
+    [id]
+  );
   const {
     data: eventsData,
     loading: eventsLoading,
@@ -436,6 +447,22 @@ const NurseryBatchDetailPage = () => {
     }
   };
 
+  const handleStocked = () => {
+    refetchNurseryBatch();
+    refetchStockings();
+  };
+
+  const handleDeleteStocking = async stocking => {
+    if (window.confirm('Delete this stocking and return its count to the batch?')) {
+      try {
+        await deleteStocking(stocking._id);
+        handleStocked();
+      } catch (error) {
+        logger.error('Error deleting stocking:', error);
+      }
+    }
+  };
+
   const handleEditEvent = _event => {
     alert('Edit functionality not yet implemented in this view.');
   };
@@ -499,13 +526,23 @@ const NurseryBatchDetailPage = () => {
         <Button variant='outlined' onClick={() => navigate('/nursery-management')}>
           {t('back_to_nursery_batches')}
         </Button>
-        <Button
-          variant='contained'
-          startIcon={<CalendarIcon />}
-          onClick={() => setViewMode(viewMode === 'data' ? 'calendar' : 'data')}
-        >
-          {viewMode === 'data' ? t('calendar_view') : t('data_view')}
-        </Button>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button
+            variant='outlined'
+            startIcon={<TransferIcon />}
+            onClick={() => setOpenStockDialog(true)}
+            disabled={(nurseryBatch.remainingCount ?? nurseryBatch.initialCount) <= 0}
+          >
+            Transfer to Ponds
+          </Button>
+          <Button
+            variant='contained'
+            startIcon={<CalendarIcon />}
+            onClick={() => setViewMode(viewMode === 'data' ? 'calendar' : 'data')}
+          >
+            {viewMode === 'data' ? t('calendar_view') : t('data_view')}
+          </Button>
+        </Box>
       </Box>
 
       <Grid container spacing={3}>
@@ -541,6 +578,14 @@ const NurseryBatchDetailPage = () => {
                   </Typography>
                   <Typography variant='body1'>{nurseryBatch.initialCount}</Typography>
                 </Grid>
+                <Grid item xs={12} sm={6} md={3}>
+                  <Typography variant='subtitle2' color='textSecondary'>
+                    Remaining (not yet stocked)
+                  </Typography>
+                  <Typography variant='body1'>
+                    {nurseryBatch.remainingCount ?? nurseryBatch.initialCount}
+                  </Typography>
+                </Grid>
                 <Grid item xs={12} sm={6} md={3}>
                   <Typography variant='subtitle2' color='textSecondary'>
                     {t('size')}
@@ -625,6 +670,21 @@ const NurseryBatchDetailPage = () => {
         </Grid>
       </Grid>
 
+      <Card sx={{ mt: 3 }}>
+        <CardHeader title='Pond Stockings' />
+        <CardContent>
+          <StockingHistory stockings={stockings || []} onDelete={handleDeleteStocking} />
+        </CardContent>
+      </Card>
+
+      <StockPondsDialog
+        open={openStockDialog}
+        onClose={() => setOpenStockDialog(false)}
+        onStocked={handleStocked}
+        seasonId={nurseryBatch.seasonId?._id || nurseryBatch.seasonId}
+        nurseryBatch={nurseryBatch}
+      />
+
       <Dialog open={openEventModal} onClose={handleCloseModal} maxWidth='sm' fullWidth>
         <DialogTitle>{selectedEvent ? t(selectedEvent.eventType) : ''}</DialogTitle>
         <DialogContent>
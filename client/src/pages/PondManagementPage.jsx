@@ -11,7 +11,8 @@ import {
   CheckCircle as CheckIcon,
   Close as CloseIcon,
   TrendingUp as TrendingUpIcon,
-  Search as SearchIcon
+  Search as SearchIcon,
+  NotificationsActive as AlertsIcon
 } from '@mui/icons-material';
 import {
   Typography,
@@ -73,6 +74,7 @@ import EventSuggestions from '../components/features/farm/EventSuggestions';
 import FeedCalculator from '../components/features/feeding/FeedCalculator';
 import FeedLog from '../components/features/feeding/FeedLog';
 import HarvestProjection from '../components/features/feeding/HarvestProjection';
+import AlertAcknowledgementHistory from '../components/features/ponds/AlertAcknowledgementHistory';
 import PondCard from '../components/features/ponds/PondCard';
 import { useGlobalError } from '../components/features/shared/error-handling/GlobalErrorProvider';
 import CustomCalendar from '../components/features/shared/forms/CustomCalendar';
@@ -805,6 +807,7 @@ const PondManagementPage = () => {
                 <Tab icon={<FeedIcon />} label={t('feed.feed')} />
                 <Tab icon={<WaterIcon />} label={t('water_quality')} />
                 <Tab icon={<GrowthIcon />} label={t('growth.sampling')} />
+                <Tab icon={<AlertsIcon />} label='Alerts' />
               </Tabs>
 
               <Divider sx={{ mb: 3 }} />
@@ -1288,6 +1291,8 @@ const PondManagementPage = () => {
                   </Grid>
                 </Grid>
               )}
+
+              {activeTab === 3 && pondId && <AlertAcknowledgementHistory pondId={pondId} />}
             </CardContent>
           </Card>
         ) : (
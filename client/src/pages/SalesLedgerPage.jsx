@@ -0,0 +1,422 @@
+import {
+  Add as AddIcon,
+  Block as VoidIcon,
+  Delete as DeleteIcon,
+  Edit as EditIcon,
+  KeyboardArrowDown as ExpandIcon,
+  KeyboardArrowUp as CollapseIcon,
+  Payments as PaymentIcon,
+  Print as PrintIcon
+} from '@mui/icons-material';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Collapse,
+  Container,
+  IconButton,
+  Paper,
+  Tab,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Tabs,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import PropTypes from 'prop-types';
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+
+import {
+  BuyerDialog,
+  CreateInvoiceDialog,
+  PaymentDialog,
+  ReceivablesAging
+} from '../components/features/sales';
+import {
+  deleteBuyer,
+  deleteInvoicePayment,
+  getBuyers,
+  getInvoices,
+  getReceivablesAging,
+  voidInvoice
+} from '../services/api';
+
+const STATUS_COLORS = {
+  Unpaid: 'warning',
+  PartiallyPaid: 'info',
+  Paid: 'success',
+  Void: 'default'
+};
+
+const STATUS_LABELS = {
+  Unpaid: 'Unpaid',
+  PartiallyPaid: 'Partially Paid',
+  Paid: 'Paid',
+  Void: 'Void'
+};
+
+const money = value => `$${(value || 0).toLocaleString(undefined, { minimumFractionDigits: 2 })}`;
+
+// An invoice with its payments shown underneath when expanded
+const InvoiceRow = ({ invoice, onPay, onVoid, onDeletePayment, onPrint }) => {
+  const [expanded, setExpanded] = useState(false);
+  const overdue =
+    ['Unpaid', 'PartiallyPaid'].includes(invoice.status) && new Date(invoice.dueDate) < new Date();
+
+  return (
+    <>
+      <TableRow>
+        <TableCell padding='checkbox'>
+          <IconButton size='small' onClick={() => setExpanded(!expanded)}>
+            {expanded ? <CollapseIcon /> : <ExpandIcon />}
+          </IconButton>
+        </TableCell>
+        <TableCell>{invoice.invoiceNumber}</TableCell>
+        <TableCell>{invoice.buyerId?.name}</TableCell>
+        <TableCell>{new Date(invoice.issueDate).toLocaleDateString()}</TableCell>
+        <TableCell sx={{ color: overdue ? 'error.main' : undefined }}>
+          {new Date(invoice.dueDate).toLocaleDateString()}
+        </TableCell>
+        <TableCell align='right'>{money(invoice.amount)}</TableCell>
+        <TableCell align='right'>{money(invoice.amountPaid)}</TableCell>
+        <TableCell>
+          <Chip
+            size='small'
+            label={overdue ? 'Overdue' : STATUS_LABELS[invoice.status]}
+            color={overdue ? 'error' : STATUS_COLORS[invoice.status]}
+          />
+        </TableCell>
+        <TableCell align='right' sx={{ whiteSpace: 'nowrap' }}>
+          <Tooltip title='Record payment'>
+            <span>
+              <IconButton
+                size='small'
+                onClick={() => onPay(invoice)}
+                disabled={!['Unpaid', 'PartiallyPaid'].includes(invoice.status)}
+              >
+                <PaymentIcon fontSize='small' />
+              </IconButton>
+            </span>
+          </Tooltip>
+          <Tooltip title='Print / PDF'>
+            <IconButton size='small' onClick={() => onPrint(invoice)}>
+              <PrintIcon fontSize='small' />
+            </IconButton>
+          </Tooltip>
+          <Tooltip title='Void and release its sales'>
+            <span>
+              <IconButton
+                size='small'
+                color='error'
+                onClick={() => onVoid(invoice)}
+                disabled={invoice.status === 'Void' || invoice.amountPaid > 0}
+              >
+                <VoidIcon fontSize='small' />
+              </IconButton>
+            </span>
+          </Tooltip>
+        </TableCell>
+      </TableRow>
+      <TableRow>
+        <TableCell colSpan={9} sx={{ py: 0, borderBottom: expanded ? undefined : 'none' }}>
+          <Collapse in={expanded} unmountOnExit>
+            <Box sx={{ py: 2 }}>
+              <Typography variant='subtitle2' gutterBottom>
+                Payments
+              </Typography>
+              {invoice.payments.length === 0 ? (
+                <Typography variant='body2' color='text.secondary'>
+                  No payments recorded.
+                </Typography>
+              ) : (
+                <Table size='small'>
+                  <TableBody>
+                    {invoice.payments.map(payment => (
+                      <TableRow key={payment._id}>
+                        <TableCell>{new Date(payment.date).toLocaleDateString()}</TableCell>
+                        <TableCell>{payment.method}</TableCell>
+                        <TableCell>{payment.reference}</TableCell>
+                        <TableCell align='right'>{money(payment.amount)}</TableCell>
+                        <TableCell align='right'>
+                          <IconButton
+                            size='small'
+                            color='error'
+                            onClick={() => onDeletePayment(invoice, payment)}
+                          >
+                            <DeleteIcon fontSize='small' />
+                          </IconButton>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </Box>
+          </Collapse>
+        </TableCell>
+      </TableRow>
+    </>
+  );
+};
+
+InvoiceRow.propTypes = {
+  invoice: PropTypes.object.isRequired,
+  onPay: PropTypes.func.isRequired,
+  onVoid: PropTypes.func.isRequired,
+  onDeletePayment: PropTypes.func.isRequired,
+  onPrint: PropTypes.func.isRequired
+};
+
+// Buyer directory, invoices with their payments, and receivables aging
+const SalesLedgerPage = () => {
+  const navigate = useNavigate();
+  const [activeTab, setActiveTab] = useState(0);
+  const [buyers, setBuyers] = useState([]);
+  const [invoices, setInvoices] = useState([]);
+  const [aging, setAging] = useState(null);
+  const [asOf, setAsOf] = useState(new Date().toISOString().slice(0, 10));
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const [buyerDialog, setBuyerDialog] = useState({ open: false, buyer: null });
+  const [openInvoice, setOpenInvoice] = useState(false);
+  const [payingInvoice, setPayingInvoice] = useState(null);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [buyerRes, invoiceRes, agingRes] = await Promise.all([
+        getBuyers(),
+        getInvoices(),
+        getReceivablesAging(asOf)
+      ]);
+      setBuyers(buyerRes);
+      setInvoices(invoiceRes);
+      setAging(agingRes);
+    } catch (err) {
+      setError(err.message || 'Error fetching sales ledger');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, [asOf]);
+
+  const handleVoid = async invoice => {
+    if (
+      !window.confirm(
+        `Void invoice ${invoice.invoiceNumber}? Its sales can then be invoiced again.`
+      )
+    )
+      return;
+    try {
+      await voidInvoice(invoice._id);
+      fetchData();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeletePayment = async (invoice, payment) => {
+    if (!window.confirm('Remove this payment?')) return;
+    try {
+      await deleteInvoicePayment(invoice._id, payment._id);
+      fetchData();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeleteBuyer = async buyer => {
+    if (!window.confirm(`Delete ${buyer.name}?`)) return;
+    try {
+      const result = await deleteBuyer(buyer._id);
+      // Buyers with sales are deactivated instead of deleted
+      if (result.buyer) window.alert(result.message);
+      fetchData();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loading && !aging)
+    return (
+      <Container sx={{ mt: 4, display: 'flex', justifyContent: 'center' }}>
+        <CircularProgress />
+      </Container>
+    );
+
+  return (
+    <Container maxWidth='xl' sx={{ mt: 4, mb: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant='h4' component='h1'>
+          Sales Ledger
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <Button
+            variant='outlined'
+            startIcon={<AddIcon />}
+            onClick={() => setBuyerDialog({ open: true, buyer: null })}
+          >
+            Add Buyer
+          </Button>
+          <Button variant='contained' startIcon={<AddIcon />} onClick={() => setOpenInvoice(true)}>
+            New Invoice
+          </Button>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity='error' sx={{ mb: 3 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Tabs value={activeTab} onChange={(e, tab) => setActiveTab(tab)} sx={{ mb: 3 }}>
+        <Tab label='Invoices' />
+        <Tab label='Receivables' />
+        <Tab label='Buyers' />
+      </Tabs>
+
+      {activeTab === 0 && (
+        <TableContainer component={Paper}>
+          <Table size='small'>
+            <TableHead>
+              <TableRow>
+                <TableCell padding='checkbox' />
+                <TableCell>Invoice</TableCell>
+                <TableCell>Buyer</TableCell>
+                <TableCell>Issued</TableCell>
+                <TableCell>Due</TableCell>
+                <TableCell align='right'>Amount</TableCell>
+                <TableCell align='right'>Paid</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {invoices.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={9} align='center'>
+                    No invoices yet.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                invoices.map(invoice => (
+                  <InvoiceRow
+                    key={invoice._id}
+                    invoice={invoice}
+                    onPay={setPayingInvoice}
+                    onVoid={handleVoid}
+                    onDeletePayment={handleDeletePayment}
+                    onPrint={inv => navigate(`/invoices/${inv._id}/print`)}
+                  />
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {activeTab === 1 && aging && (
+        <>
+          <TextField
+            label='As of'
+            type='date'
+            size='small'
+            InputLabelProps={{ shrink: true }}
+            value={asOf}
+            onChange={e => setAsOf(e.target.value)}
+            sx={{ mb: 2 }}
+          />
+          <ReceivablesAging aging={aging} />
+        </>
+      )}
+
+      {activeTab === 2 && (
+        <TableContainer component={Paper}>
+          <Table size='small'>
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Contact</TableCell>
+                <TableCell>Phone</TableCell>
+                <TableCell>Email</TableCell>
+                <TableCell align='right'>Terms (days)</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {buyers.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6} align='center'>
+                    No buyers yet.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                buyers.map(buyer => (
+                  <TableRow key={buyer._id}>
+                    <TableCell>
+                      {buyer.name}
+                      {!buyer.isActive && <Chip size='small' label='Inactive' sx={{ ml: 1 }} />}
+                    </TableCell>
+                    <TableCell>{buyer.contactPerson}</TableCell>
+                    <TableCell>{buyer.phone}</TableCell>
+                    <TableCell>{buyer.email}</TableCell>
+                    <TableCell align='right'>{buyer.paymentTermsDays}</TableCell>
+                    <TableCell align='right' sx={{ whiteSpace: 'nowrap' }}>
+                      <IconButton
+                        size='small'
+                        onClick={() => setBuyerDialog({ open: true, buyer })}
+                      >
+                        <EditIcon fontSize='small' />
+                      </IconButton>
+                      <IconButton
+                        size='small'
+                        color='error'
+                        onClick={() => handleDeleteBuyer(buyer)}
+                      >
+                        <DeleteIcon fontSize='small' />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <BuyerDialog
+        open={buyerDialog.open}
+        buyer={buyerDialog.buyer}
+        onClose={() => setBuyerDialog({ open: false, buyer: null })}
+        onSaved={fetchData}
+      />
+      <CreateInvoiceDialog
+        open={openInvoice}
+        onClose={() => setOpenInvoice(false)}
+        onCreated={fetchData}
+        buyers={buyers.filter(buyer => buyer.isActive)}
+      />
+      <PaymentDialog
+        open={Boolean(payingInvoice)}
+        invoice={payingInvoice}
+        onClose={() => setPayingInvoice(null)}
+        onSaved={fetchData}
+      />
+    </Container>
+  );
+};
+
+export default SalesLedgerPage;
@@ -0,0 +1,481 @@
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Edit as EditIcon,
+  Sensors as SensorIcon,
+  ShowChart as ChartIcon
+} from '@mui/icons-material';
+import {
+  Container,
+  Typography,
+  Box,
+  Button,
+  Card,
+  CardHeader,
+  CardContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  CircularProgress,
+  IconButton,
+  Chip,
+  Alert,
+  FormControlLabel,
+  Switch
+} from '@mui/material';
+import React, { useState, useEffect } from 'react';
+import { useForm, Controller } from 'react-hook-form';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+
+import {
+  getSensorDevices,
+  createSensorDevice,
+  updateSensorDevice,
+  deleteSensorDevice,
+  getSensorSeries,
+  getPonds
+} from '../services/api';
+
+const displayName = value => {
+  if (!value) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value;
+  }
+  return value.en || Object.values(value)[0] || '';
+};
+
+const SERIES = [
+  { key: 'dissolvedOxygen', label: 'DO (mg/L)', color: '#1976d2' },
+  { key: 'temperature', label: 'Temp (°C)', color: '#ed6c02' },
+  { key: 'pH', label: 'pH', color: '#2e7d32' },
+  { key: 'salinity', label: 'Salinity (ppt)', color: '#9c27b0' }
+];
+
+const RANGES = [
+  { hours: 6, label: '6 h' },
+  { hours: 24, label: '24 h' },
+  { hours: 72, label: '3 days' },
+  { hours: 168, label: '7 days' },
+  { hours: 720, label: '30 days' },
+  { hours: 2160, label: '90 days' },
+  { hours: 8760, label: '1 year' }
+];
+
+const RESOLUTION_LABELS = {
+  raw: 'Raw probe samples at full resolution',
+  hour: 'Hourly means of probe samples',
+  day: 'Daily means of probe samples'
+};
+
+const EMPTY_DEVICE = {
+  deviceId: '',
+  name: '',
+  pondId: '',
+  sampleIntervalMinutes: '',
+  channels: '',
+  isActive: true,
+  notes: ''
+};
+
+// Channel overrides are edited as "ORP=turbidity" lines
+const channelsToText = channels =>
+  Object.entries(channels || {})
+    .map(([channel, parameter]) => `${channel}=${parameter}`)
+    .join('\n');
+
+const textToChannels = text =>
+  Object.fromEntries(
+    text
+      .split('\n')
+      .map(line => line.split('=').map(part => part.trim()))
+      .filter(([channel, parameter]) => channel && parameter)
+  );
+
+// Registry of probes and data loggers, with the probe data of a device's pond charted
+const SensorDevicesPage = () => {
+  const [devices, setDevices] = useState([]);
+  const [ponds, setPonds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [openModal, setOpenModal] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [saveError, setSaveError] = useState('');
+  const [selectedDevice, setSelectedDevice] = useState(null);
+  const [rangeHours, setRangeHours] = useState(24);
+  const [readings, setReadings] = useState([]);
+  const [resolution, setResolution] = useState('raw');
+  const [readingsLoading, setReadingsLoading] = useState(false);
+
+  const { control, handleSubmit, reset } = useForm({ defaultValues: EMPTY_DEVICE });
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const selectedPond = devices.find(device => device.deviceId === selectedDevice)?.pondId;
+  const selectedPondId = selectedPond?._id || selectedPond;
+
+  useEffect(() => {
+    if (!selectedPondId) return;
+    setReadingsLoading(true);
+    getSensorSeries({
+      pondId: selectedPondId,
+      from: new Date(Date.now() - rangeHours * 60 * 60 * 1000).toISOString()
+    })
+      .then(series => {
+        setResolution(series.resolution);
+        setReadings(
+          series.points.map(point => ({
+            ...Object.fromEntries(
+              Object.entries(point.values).map(([key, stats]) => [key, stats.mean])
+            ),
+            time: new Date(point.timestamp).toLocaleString(
+              [],
+              series.resolution === 'day'
+                ? { year: 'numeric', month: 'short', day: 'numeric' }
+                : { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+            )
+          }))
+        );
+      })
+      .catch(() => setReadings([]))
+      .finally(() => setReadingsLoading(false));
+  }, [selectedPondId, rangeHours]);
+
+  const fetchData = async () => {
+    setLoading(true);
+    try {
+      const [deviceData, pondData] = await Promise.all([getSensorDevices(), getPonds()]);
+      setDevices(deviceData);
+      setPonds(pondData);
+    } catch (error) {
+      console.error('Error fetching sensor devices:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenAdd = () => {
+    reset(EMPTY_DEVICE);
+    setEditingId(null);
+    setSaveError('');
+    setOpenModal(true);
+  };
+
+  const handleOpenEdit = device => {
+    reset({
+      deviceId: device.deviceId,
+      name: device.name || '',
+      pondId: device.pondId?._id || device.pondId || '',
+      sampleIntervalMinutes: device.sampleIntervalMinutes ?? '',
+      channels: channelsToText(device.channels),
+      isActive: device.isActive,
+      notes: device.notes || ''
+    });
+    setEditingId(device._id);
+    setSaveError('');
+    setOpenModal(true);
+  };
+
+  const onSubmit = async formData => {
+    const payload = {
+      ...formData,
+      sampleIntervalMinutes: formData.sampleIntervalMinutes
+        ? Number(formData.sampleIntervalMinutes)
+        : null,
+      channels: textToChannels(formData.channels)
+    };
+    try {
+      if (editingId) {
+        await updateSensorDevice(editingId, payload);
+      } else {
+        await createSensorDevice(payload);
+      }
+      setOpenModal(false);
+      fetchData();
+    } catch (error) {
+      // Only admins may register devices; show why the save was refused
+      setSaveError(error.message);
+    }
+  };
+
+  const handleDelete = async id => {
+    if (window.confirm('Remove this device? Samples it already sent are kept.')) {
+      try {
+        await deleteSensorDevice(id);
+        fetchData();
+      } catch (error) {
+        console.error('Error deleting:', error);
+      }
+    }
+  };
+
+  return (
+    <Container maxWidth='xl' sx={{ mt: 4, mb: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant='h4' sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <SensorIcon fontSize='large' color='primary' /> Sensor Devices
+        </Typography>
+        <Button variant='contained' startIcon={<AddIcon />} onClick={handleOpenAdd}>
+          Register Device
+        </Button>
+      </Box>
+      <Typography variant='body2' color='text.secondary' sx={{ mb: 2 }}>
+        Probes post to /api/sensors/ingest with the integration API key. Their samples are averaged
+        into a water quality reading for the pond every interval.
+      </Typography>
+
+      {loading ? (
+        <CircularProgress />
+      ) : (
+        <TableContainer component={Paper} variant='outlined' sx={{ mb: 4 }}>
+          <Table size='small'>
+            <TableHead sx={{ bgcolor: 'action.hover' }}>
+              <TableRow>
+                <TableCell>Device ID</TableCell>
+                <TableCell>Name</TableCell>
+                <TableCell>Pond</TableCell>
+                <TableCell>Interval</TableCell>
+                <TableCell>Last Seen</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align='right'>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {devices.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={7} align='center'>
+                    No devices registered
+                  </TableCell>
+                </TableRow>
+              )}
+              {devices.map(device => (
+                <TableRow key={device._id} hover selected={selectedDevice === device.deviceId}>
+                  <TableCell>{device.deviceId}</TableCell>
+                  <TableCell>{device.name || '-'}</TableCell>
+                  <TableCell>{displayName(device.pondId?.name)}</TableCell>
+                  <TableCell>
+                    {device.sampleIntervalMinutes
+                      ? `${device.sampleIntervalMinutes} min`
+                      : 'Default'}
+                  </TableCell>
+                  <TableCell>
+                    {device.lastSeenAt ? new Date(device.lastSeenAt).toLocaleString() : 'Never'}
+                  </TableCell>
+                  <TableCell>
+                    <Chip
+                      size='small'
+                      label={device.isActive ? 'Active' : 'Inactive'}
+                      color={device.isActive ? 'success' : 'default'}
+                    />
+                  </TableCell>
+                  <TableCell align='right'>
+                    <IconButton
+                      size='small'
+                      onClick={() => setSelectedDevice(device.deviceId)}
+                      title='Chart samples'
+                    >
+                      <ChartIcon fontSize='small' />
+                    </IconButton>
+                    <IconButton size='small' onClick={() => handleOpenEdit(device)}>
+                      <EditIcon fontSize='small' />
+                    </IconButton>
+                    <IconButton size='small' onClick={() => handleDelete(device._id)} color='error'>
+                      <DeleteIcon fontSize='small' />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {selectedDevice && (
+        <Card elevation={3}>
+          <CardHeader
+            title={`Probe data for ${displayName(selectedPond?.name) || selectedDevice}`}
+            subheader={RESOLUTION_LABELS[resolution]}
+            action={
+              <TextField
+                select
+                size='small'
+                label='Range'
+                value={rangeHours}
+                onChange={e => setRangeHours(Number(e.target.value))}
+                sx={{ minWidth: 120 }}
+              >
+                {RANGES.map(range => (
+                  <MenuItem key={range.hours} value={range.hours}>
+                    {range.label}
+                  </MenuItem>
+                ))}
+              </TextField>
+            }
+          />
+          <CardContent>
+            {readingsLoading ? (
+              <CircularProgress />
+            ) : readings.length === 0 ? (
+              <Typography color='text.secondary'>No samples in this range</Typography>
+            ) : (
+              <ResponsiveContainer width='100%' height={320}>
+                <LineChart data={readings}>
+                  <CartesianGrid strokeDasharray='3 3' />
+                  <XAxis dataKey='time' minTickGap={40} />
+                  <YAxis />
+                  <Tooltip />
+                  <Legend />
+                  {SERIES.map(series => (
+                    <Line
+                      key={series.key}
+                      type='monotone'
+                      dataKey={series.key}
+                      name={series.label}
+                      stroke={series.color}
+                      dot={false}
+                      connectNulls
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      <Dialog open={openModal} onClose={() => setOpenModal(false)} maxWidth='sm' fullWidth>
+        <form onSubmit={handleSubmit(onSubmit)}>
+          <DialogTitle>{editingId ? 'Edit Sensor Device' : 'Register Sensor Device'}</DialogTitle>
+          <DialogContent dividers>
+            {saveError && (
+              <Alert severity='error' sx={{ mb: 2 }}>
+                {saveError}
+              </Alert>
+            )}
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+              <Controller
+                name='deviceId'
+                control={control}
+                rules={{ required: 'Device ID is required' }}
+                render={({ field, fieldState }) => (
+                  <TextField
+                    {...field}
+                    label='Device ID'
+                    helperText={fieldState.error?.message || 'As the device reports it'}
+                    error={!!fieldState.error}
+                    fullWidth
+                  />
+                )}
+              />
+              <Controller
+                name='name'
+                control={control}
+                render={({ field }) => <TextField {...field} label='Name' fullWidth />}
+              />
+              <Controller
+                name='pondId'
+                control={control}
+                rules={{ required: 'Pond is required' }}
+                render={({ field, fieldState }) => (
+                  <TextField
+                    {...field}
+                    select
+                    label='Pond'
+                    error={!!fieldState.error}
+                    helperText={fieldState.error?.message}
+                    fullWidth
+                  >
+                    {ponds.map(pond => (
+                      <MenuItem key={pond._id} value={pond._id}>
+                        {displayName(pond.name)}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                )}
+              />
+              <Controller
+                name='sampleIntervalMinutes'
+                control={control}
+                render={({ field }) => (
+                  <TextField
+                    {...field}
+                    type='number'
+                    label='Averaging Interval (minutes)'
+                    helperText='Blank uses the farm default'
+                    inputProps={{ min: 1, max: 1440 }}
+                    fullWidth
+                  />
+                )}
+              />
+              <Controller
+                name='channels'
+                control={control}
+                render={({ field }) => (
+                  <TextField
+                    {...field}
+                    label='Channel Names'
+                    helperText='Only for channels not recognised automatically, one per line, e.g. Ch3=salinity'
+                    multiline
+                    rows={3}
+                    fullWidth
+                  />
+                )}
+              />
+              <Controller
+                name='isActive'
+                control={control}
+                render={({ field }) => (
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={field.value}
+                        onChange={e => field.onChange(e.target.checked)}
+                      />
+                    }
+                    label='Accept samples from this device'
+                  />
+                )}
+              />
+              <Controller
+                name='notes'
+                control={control}
+                render={({ field }) => (
+                  <TextField {...field} label='Notes' fullWidth multiline rows={2} />
+                )}
+              />
+            </Box>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setOpenModal(false)}>Cancel</Button>
+            <Button type='submit' variant='contained'>
+              Save
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default SensorDevicesPage;
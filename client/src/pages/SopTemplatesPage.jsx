@@ -0,0 +1,580 @@
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Edit as EditIcon,
+  PlaylistAdd as ApplyIcon,
+  ListAlt as SopIcon
+} from '@mui/icons-material';
+import {
+  Container,
+  Typography,
+  Box,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  CircularProgress,
+  IconButton,
+  Chip,
+  Alert,
+  Divider
+} from '@mui/material';
+import PropTypes from 'prop-types';
+import React, { useState, useEffect } from 'react';
+import { useForm, useFieldArray, Controller, useWatch } from 'react-hook-form';
+
+import { useSeason } from '../context/SeasonContext';
+import {
+  getSopTemplates,
+  createSopTemplate,
+  updateSopTemplate,
+  deleteSopTemplate,
+  applySopTemplate,
+  getPondsBySeasonId
+} from '../services/api';
+
+const EVENT_TYPES = [
+  'PondPreparation',
+  'Stocking',
+  'ChemicalApplication',
+  'PartialHarvest',
+  'FullHarvest',
+  'Sampling',
+  'WaterExchange',
+  'Cleaning',
+  'Maintenance',
+  'Inspection'
+];
+
+const CATEGORIES = ['Routine', 'Maintenance', 'Health', 'General'];
+
+const ANCHORS = [
+  { value: 'seasonStart', label: 'Season start' },
+  { value: 'stocking', label: 'Stocking date' }
+];
+
+const EMPTY_STEP = {
+  title: '',
+  kind: 'task',
+  category: 'Routine',
+  eventType: '',
+  anchor: 'stocking',
+  offsetDays: 0,
+  time: '',
+  repeatEveryDays: '',
+  repeatUntilDays: '',
+  stockingQuantity: ''
+};
+
+const displayName = value => {
+  if (!value) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value;
+  }
+  return value.en || Object.values(value)[0] || '';
+};
+
+// e.g. "day -14 from stocking", "every 7 days from day 7 after stocking"
+const describeTiming = step => {
+  const anchor = step.anchor === 'stocking' ? 'stocking' : 'season start';
+  const day = `day ${step.offsetDays} from ${anchor}`;
+  return step.repeatEveryDays ? `every ${step.repeatEveryDays} days from ${day}` : day;
+};
+
+// Fields of one template step; Stocking events also ask for the planned quantity the Event model requires
+const StepFields = ({ control, index, onRemove }) => {
+  const kind = useWatch({ control, name: `steps.${index}.kind` });
+  const eventType = useWatch({ control, name: `steps.${index}.eventType` });
+
+  return (
+    <Box sx={{ p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+      <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+        <Controller
+          name={`steps.${index}.title`}
+          control={control}
+          rules={{ required: true }}
+          render={({ field }) => <TextField {...field} label='Step' fullWidth required />}
+        />
+        <Controller
+          name={`steps.${index}.kind`}
+          control={control}
+          render={({ field }) => (
+            <TextField {...field} select label='Creates' sx={{ minWidth: 140 }}>
+              <MenuItem value='task'>Task</MenuItem>
+              <MenuItem value='event'>Planned event</MenuItem>
+            </TextField>
+          )}
+        />
+        {kind === 'event' ? (
+          <Controller
+            name={`steps.${index}.eventType`}
+            control={control}
+            rules={{ required: kind === 'event' }}
+            render={({ field }) => (
+              <TextField {...field} select label='Event type' sx={{ minWidth: 180 }} required>
+                {EVENT_TYPES.map(type => (
+                  <MenuItem key={type} value={type}>
+                    {type}
+                  </MenuItem>
+                ))}
+              </TextField>
+            )}
+          />
+        ) : (
+          <Controller
+            name={`steps.${index}.category`}
+            control={control}
+            render={({ field }) => (
+              <TextField {...field} select label='Category' sx={{ minWidth: 180 }}>
+                {CATEGORIES.map(category => (
+                  <MenuItem key={category} value={category}>
+                    {category}
+                  </MenuItem>
+                ))}
+              </TextField>
+            )}
+          />
+        )}
+        <IconButton onClick={onRemove} color='error' aria-label='Remove step'>
+          <DeleteIcon />
+        </IconButton>
+      </Box>
+      <Box sx={{ display: 'flex', gap: 2 }}>
+        <Controller
+          name={`steps.${index}.anchor`}
+          control={control}
+          render={({ field }) => (
+            <TextField {...field} select label='Relative to' fullWidth>
+              {ANCHORS.map(anchor => (
+                <MenuItem key={anchor.value} value={anchor.value}>
+                  {anchor.label}
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
+        />
+        <Controller
+          name={`steps.${index}.offsetDays`}
+          control={control}
+          render={({ field }) => (
+            <TextField {...field} label='Day' type='number' helperText='e.g. -14' fullWidth />
+          )}
+        />
+        <Controller
+          name={`steps.${index}.time`}
+          control={control}
+          render={({ field }) => (
+            <TextField
+              {...field}
+              label='Time'
+              type='time'
+              InputLabelProps={{ shrink: true }}
+              fullWidth
+            />
+          )}
+        />
+        <Controller
+          name={`steps.${index}.repeatEveryDays`}
+          control={control}
+          render={({ field }) => (
+            <TextField
+              {...field}
+              label='Repeat every (days)'
+              type='number'
+              inputProps={{ min: 1 }}
+              fullWidth
+            />
+          )}
+        />
+        <Controller
+          name={`steps.${index}.repeatUntilDays`}
+          control={control}
+          render={({ field }) => (
+            <TextField
+              {...field}
+              label='Until day'
+              type='number'
+              helperText='Default: season end'
+              fullWidth
+            />
+          )}
+        />
+        {kind === 'event' && eventType === 'Stocking' && (
+          <Controller
+            name={`steps.${index}.stockingQuantity`}
+            control={control}
+            rules={{ required: true }}
+            render={({ field }) => (
+              <TextField {...field} label='Planned quantity' type='number' fullWidth required />
+            )}
+          />
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+StepFields.propTypes = {
+  control: PropTypes.object.isRequired,
+  index: PropTypes.number.isRequired,
+  onRemove: PropTypes.func.isRequired
+};
+
+const toFormStep = step => ({
+  ...EMPTY_STEP,
+  ...step,
+  eventType: step.eventType || '',
+  time: step.time || '',
+  repeatEveryDays: step.repeatEveryDays ?? '',
+  repeatUntilDays: step.repeatUntilDays ?? '',
+  stockingQuantity: step.eventDetails?.quantity ?? ''
+});
+
+const toTemplateStep = ({ stockingQuantity, ...step }) => {
+  const result = {
+    ...step,
+    offsetDays: Number(step.offsetDays) || 0,
+    time: step.time || undefined,
+    repeatEveryDays: step.repeatEveryDays ? Number(step.repeatEveryDays) : undefined,
+    repeatUntilDays: step.repeatUntilDays === '' ? undefined : Number(step.repeatUntilDays)
+  };
+  if (step.kind === 'event') {
+    delete result.category;
+    result.eventDetails =
+      step.eventType === 'Stocking' ? { quantity: Number(stockingQuantity) } : undefined;
+  } else {
+    delete result.eventType;
+    delete result.eventDetails;
+  }
+  return result;
+};
+
+const SopTemplatesPage = () => {
+  const { selectedSeason } = useSeason();
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [openModal, setOpenModal] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [applying, setApplying] = useState(null);
+  const [ponds, setPonds] = useState([]);
+  const [applyOptions, setApplyOptions] = useState({ pondIds: [], stockingDate: '' });
+  const [applyResult, setApplyResult] = useState(null);
+  const [applyError, setApplyError] = useState('');
+
+  const { control, handleSubmit, reset } = useForm({
+    defaultValues: { name: '', description: '', steps: [EMPTY_STEP] }
+  });
+  const { fields, append, remove } = useFieldArray({ control, name: 'steps' });
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    setLoading(true);
+    try {
+      setTemplates(await getSopTemplates());
+    } catch (error) {
+      console.error('Error fetching SOP templates:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenAdd = () => {
+    reset({ name: '', description: '', steps: [EMPTY_STEP] });
+    setEditingId(null);
+    setOpenModal(true);
+  };
+
+  const handleOpenEdit = template => {
+    reset({
+      name: template.name,
+      description: template.description || '',
+      steps: template.steps.map(toFormStep)
+    });
+    setEditingId(template._id);
+    setOpenModal(true);
+  };
+
+  const onSubmit = async formData => {
+    const data = { ...formData, steps: formData.steps.map(toTemplateStep) };
+    try {
+      if (editingId) {
+        await updateSopTemplate(editingId, data);
+      } else {
+        await createSopTemplate(data);
+      }
+      setOpenModal(false);
+      fetchData();
+    } catch (error) {
+      console.error('Error saving SOP template:', error);
+    }
+  };
+
+  const handleDelete = async id => {
+    if (window.confirm('Delete this SOP template?')) {
+      try {
+        await deleteSopTemplate(id);
+        fetchData();
+      } catch (error) {
+        console.error('Error deleting:', error);
+      }
+    }
+  };
+
+  const handleOpenApply = async template => {
+    setApplying(template);
+    setApplyOptions({ pondIds: [], stockingDate: '' });
+    setApplyResult(null);
+    setApplyError('');
+    try {
+      setPonds(await getPondsBySeasonId(selectedSeason.id));
+    } catch (error) {
+      console.error('Error fetching ponds:', error);
+    }
+  };
+
+  const runApply = async preview => {
+    setApplyError('');
+    try {
+      const result = await applySopTemplate(applying._id, {
+        seasonId: selectedSeason.id,
+        pondIds: applyOptions.pondIds.length > 0 ? applyOptions.pondIds : undefined,
+        stockingDate: applyOptions.stockingDate || undefined,
+        preview
+      });
+      setApplyResult({ ...result, preview });
+    } catch (error) {
+      setApplyError(error.message);
+    }
+  };
+
+  return (
+    <Container maxWidth='lg' sx={{ mt: 4, mb: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 3 }}>
+        <Typography variant='h4' sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <SopIcon fontSize='large' color='primary' /> SOP Templates
+        </Typography>
+        <Button variant='contained' startIcon={<AddIcon />} onClick={handleOpenAdd}>
+          New Template
+        </Button>
+      </Box>
+
+      {loading ? (
+        <CircularProgress />
+      ) : (
+        <TableContainer component={Paper} variant='outlined'>
+          <Table>
+            <TableHead sx={{ bgcolor: 'action.hover' }}>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Steps</TableCell>
+                <TableCell align='right'>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {templates.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={3} align='center'>
+                    No SOP templates yet.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                templates.map(template => (
+                  <TableRow key={template._id}>
+                    <TableCell>
+                      <Typography variant='body2' sx={{ fontWeight: 600 }}>
+                        {template.name}
+                      </Typography>
+                      <Typography variant='caption' color='text.secondary'>
+                        {template.description}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                        {template.steps.map(step => (
+                          <Chip
+                            key={step._id || step.title}
+                            size='small'
+                            variant={step.kind === 'event' ? 'filled' : 'outlined'}
+                            label={`${step.title} (${describeTiming(step)})`}
+                          />
+                        ))}
+                      </Box>
+                    </TableCell>
+                    <TableCell align='right' sx={{ whiteSpace: 'nowrap' }}>
+                      <Button
+                        size='small'
+                        startIcon={<ApplyIcon />}
+                        onClick={() => handleOpenApply(template)}
+                        disabled={!selectedSeason}
+                      >
+                        Apply
+                      </Button>
+                      <IconButton onClick={() => handleOpenEdit(template)}>
+                        <EditIcon />
+                      </IconButton>
+                      <IconButton onClick={() => handleDelete(template._id)} color='error'>
+                        <DeleteIcon />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Dialog open={openModal} onClose={() => setOpenModal(false)} maxWidth='lg' fullWidth>
+        <form onSubmit={handleSubmit(onSubmit)}>
+          <DialogTitle>{editingId ? 'Edit SOP Template' : 'New SOP Template'}</DialogTitle>
+          <DialogContent dividers>
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+              <Controller
+                name='name'
+                control={control}
+                rules={{ required: true }}
+                render={({ field }) => <TextField {...field} label='Name' fullWidth required />}
+              />
+              <Controller
+                name='description'
+                control={control}
+                render={({ field }) => (
+                  <TextField {...field} label='Description' fullWidth multiline rows={2} />
+                )}
+              />
+              <Divider />
+              <Typography variant='subtitle1'>Steps</Typography>
+              {fields.map((field, index) => (
+                <StepFields
+                  key={field.id}
+                  control={control}
+                  index={index}
+                  onRemove={() => remove(index)}
+                />
+              ))}
+              <Button startIcon={<AddIcon />} onClick={() => append(EMPTY_STEP)}>
+                Add Step
+              </Button>
+            </Box>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setOpenModal(false)}>Cancel</Button>
+            <Button type='submit' variant='contained' disabled={fields.length === 0}>
+              Save
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+
+      <Dialog open={Boolean(applying)} onClose={() => setApplying(null)} maxWidth='md' fullWidth>
+        <DialogTitle>
+          Apply &quot;{applying?.name}&quot; to {displayName(selectedSeason?.name)}
+        </DialogTitle>
+        <DialogContent dividers>
+          <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+            <TextField
+              select
+              label='Ponds'
+              value={applyOptions.pondIds}
+              onChange={e => setApplyOptions(prev => ({ ...prev, pondIds: e.target.value }))}
+              SelectProps={{ multiple: true }}
+              helperText='Leave empty for every pond in the season'
+              fullWidth
+            >
+              {ponds.map(pond => (
+                <MenuItem key={pond._id || pond.id} value={pond._id || pond.id}>
+                  {displayName(pond.name)}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              label='Stocking date'
+              type='date'
+              value={applyOptions.stockingDate}
+              onChange={e => setApplyOptions(prev => ({ ...prev, stockingDate: e.target.value }))}
+              InputLabelProps={{ shrink: true }}
+              helperText='For ponds without a recorded stocking'
+              fullWidth
+            />
+          </Box>
+
+          {applyError && (
+            <Alert severity='error' sx={{ mb: 2 }}>
+              {applyError}
+            </Alert>
+          )}
+
+          {applyResult && (
+            <>
+              {applyResult.skippedPonds.length > 0 && (
+                <Alert severity='info' sx={{ mb: 2 }}>
+                  Already applied to{' '}
+                  {applyResult.skippedPonds.map(pond => pond.pondName).join(', ')}; skipped.
+                </Alert>
+              )}
+              {!applyResult.preview && (
+                <Alert severity='success' sx={{ mb: 2 }}>
+                  Created {applyResult.created.tasks} tasks, {applyResult.created.series} recurring
+                  task series and {applyResult.created.events} planned events.
+                </Alert>
+              )}
+              <TableContainer component={Paper} variant='outlined' sx={{ maxHeight: 360 }}>
+                <Table size='small' stickyHeader>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Date</TableCell>
+                      <TableCell>Pond</TableCell>
+                      <TableCell>Step</TableCell>
+                      <TableCell>Creates</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {applyResult.plan.map((item, index) => (
+                      <TableRow key={`${item.pondId}-${item.step}-${index}`}>
+                        <TableCell>{new Date(item.date).toLocaleString()}</TableCell>
+                        <TableCell>{item.pondName}</TableCell>
+                        <TableCell>{item.title}</TableCell>
+                        <TableCell>
+                          {item.kind === 'event' ? item.eventType : 'Task'}
+                          {item.repeatEveryDays ? ` every ${item.repeatEveryDays} days` : ''}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setApplying(null)}>Close</Button>
+          <Button onClick={() => runApply(true)}>Preview</Button>
+          <Button
+            variant='contained'
+            onClick={() => runApply(false)}
+            disabled={applyResult && !applyResult.preview}
+          >
+            Create Tasks & Events
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default SopTemplatesPage;
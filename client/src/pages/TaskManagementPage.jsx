@@ -2,7 +2,8 @@ import {
   Add as AddIcon,
   Delete as DeleteIcon,
   Edit as EditIcon,
-  TaskAlt as TaskIcon
+  TaskAlt as TaskIcon,
+  Groups as WorkloadIcon
 } from '@mui/icons-material';
 import {
   Container,
@@ -26,13 +27,89 @@ import {
   MenuItem,
   CircularProgress,
   Chip,
-  Divider
+  Divider,
+  FormControl,
+  FormControlLabel,
+  FormLabel,
+  Radio,
+  RadioGroup,
+  Tabs,
+  Tab
 } from '@mui/material';
 import React, { useState, useEffect } from 'react';
-import { useForm, Controller } from 'react-hook-form';
+import { useForm, Controller, useWatch } from 'react-hook-form';
 
+import TaskCompletionDialog, {
+  DATA_ENTRY_LABELS
+} from '../components/features/hr/TaskCompletionDialog';
+import TaskWorkload from '../components/features/hr/TaskWorkload';
 import { useSeason } from '../context/SeasonContext';
-import { getTasks, createTask, updateTask, deleteTask, getPonds } from '../services/api';
+import {
+  getTasks,
+  getTaskWorkload,
+  createTask,
+  updateTask,
+  deleteTask,
+  getPonds,
+  getEmployees
+} from '../services/api';
+
+const WEEKDAYS = [
+  { value: 'MO', label: 'Mon' },
+  { value: 'TU', label: 'Tue' },
+  { value: 'WE', label: 'Wed' },
+  { value: 'TH', label: 'Thu' },
+  { value: 'FR', label: 'Fri' },
+  { value: 'SA', label: 'Sat' },
+  { value: 'SU', label: 'Sun' }
+];
+
+const SET_POSITIONS = [
+  { value: 1, label: 'First' },
+  { value: 2, label: 'Second' },
+  { value: 3, label: 'Third' },
+  { value: 4, label: 'Fourth' },
+  { value: -1, label: 'Last' }
+];
+
+const INTERVAL_UNITS = { Daily: 'day(s)', Weekly: 'week(s)', Monthly: 'month(s)' };
+
+// Fields an edit of a single occurrence may change
+const OCCURRENCE_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'dueDate',
+  'pondId',
+  'assignedTo',
+  'assigneeModel',
+  'checklist',
+  'dataEntryType',
+  'estimatedCost'
+];
+
+const EMPTY_FILTERS = { assignedTo: '', overdue: false, from: '', to: '' };
+
+// Short description of a series pattern, e.g. "Every 2 weeks on MO, TH at 06:00"
+const describeSeries = series => {
+  if (!series) {
+    return '';
+  }
+  const unit = { Daily: 'day', Weekly: 'week', Monthly: 'month' }[series.frequency];
+  let text = series.interval > 1 ? `Every ${series.interval} ${unit}s` : `Every ${unit}`;
+  if (series.frequency === 'Monthly' && series.bySetPos) {
+    const position = SET_POSITIONS.find(p => p.value === series.bySetPos)?.label.toLowerCase();
+    text += ` on the ${position} ${(series.byDay || []).join(', ')}`;
+  } else if (series.frequency === 'Monthly' && series.byMonthDay) {
+    text += ` on day ${series.byMonthDay}`;
+  } else if (series.byDay?.length) {
+    text += ` on ${series.byDay.join(', ')}`;
+  }
+  if (series.times?.length) {
+    text += ` at ${series.times.join(' and ')}`;
+  }
+  return text;
+};
 
 const TaskManagementPage = () => {
   const { selectedSeason } = useSeason();
@@ -41,6 +118,15 @@ const TaskManagementPage = () => {
   const [loading, setLoading] = useState(true);
   const [openModal, setOpenModal] = useState(false);
   const [editingId, setEditingId] = useState(null);
+  const [editingSeries, setEditingSeries] = useState(null);
+  const [deletingTask, setDeletingTask] = useState(null);
+  const [completingTask, setCompletingTask] = useState(null);
+  const [employees, setEmployees] = useState([]);
+  const [workload, setWorkload] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [view, setView] = useState('tasks');
+  // Assignee of the task being edited, kept selectable when it is a User rather than an Employee
+  const [editingAssignee, setEditingAssignee] = useState(null);
 
   const { control, handleSubmit, reset } = useForm({
     defaultValues: {
@@ -50,25 +136,46 @@ const TaskManagementPage = () => {
       frequency: 'Once',
       dueDate: new Date().toISOString().slice(0, 10),
       pondId: '',
-      assignedTo: ''
+      assignedTo: '',
+      dataEntryType: '',
+      checklist: '',
+      estimatedCost: '',
+      interval: 1,
+      byDay: [],
+      monthlyMode: 'monthDay',
+      bySetPos: 1,
+      byMonthDay: '',
+      times: '',
+      until: '',
+      scope: 'occurrence'
     }
   });
 
+  const frequency = useWatch({ control, name: 'frequency' });
+  const monthlyMode = useWatch({ control, name: 'monthlyMode' });
+  const scope = useWatch({ control, name: 'scope' });
+  // Pattern fields are editable when creating, or when editing the whole series
+  const showPattern = frequency !== 'Once' && (!editingSeries || scope === 'series');
+
   useEffect(() => {
     if (selectedSeason?.id) {
       fetchData();
     }
-  }, [selectedSeason]);
+  }, [selectedSeason, filters]);
 
   const fetchData = async () => {
     setLoading(true);
     try {
-      const [tasksRes, pondsRes] = await Promise.all([
-        getTasks(selectedSeason.id),
-        getPonds(selectedSeason.id)
+      const [tasksRes, pondsRes, employeesRes, workloadRes] = await Promise.all([
+        getTasks(selectedSeason.id, undefined, undefined, filters),
+        getPonds(selectedSeason.id),
+        getEmployees(),
+        getTaskWorkload(selectedSeason.id, filters)
       ]);
       setTasks(tasksRes);
       setPonds(pondsRes);
+      setEmployees(employeesRes.filter(e => e.status !== 'Inactive'));
+      setWorkload(workloadRes);
     } catch (error) {
       console.error('Error fetching data:', error);
     } finally {
@@ -77,6 +184,11 @@ const TaskManagementPage = () => {
   };
 
   const handleToggleComplete = async task => {
+    // Tasks with a checklist or a required reading are completed through the completion dialog
+    if (!task.completed && (task.checklist?.length || task.dataEntryType)) {
+      setCompletingTask(task);
+      return;
+    }
     try {
       await updateTask(task._id, { completed: !task.completed });
       fetchData();
@@ -85,13 +197,23 @@ const TaskManagementPage = () => {
     }
   };
 
+  const handleCompleteTask = async (task, data) => {
+    await updateTask(task._id, data);
+    setCompletingTask(null);
+    fetchData();
+  };
+
   const handleOpenAdd = () => {
     reset();
     setEditingId(null);
+    setEditingSeries(null);
+    setEditingAssignee(null);
     setOpenModal(true);
   };
 
   const handleOpenEdit = task => {
+    // getTasks populates the series of recurring occurrences
+    const series = task.seriesId && typeof task.seriesId === 'object' ? task.seriesId : null;
     reset({
       title: task.title,
       description: task.description || '',
@@ -99,17 +221,84 @@ const TaskManagementPage = () => {
       frequency: task.frequency,
       dueDate: new Date(task.dueDate).toISOString().slice(0, 10),
       pondId: task.pondId || '',
-      assignedTo: task.assignedTo || ''
+      assignedTo: task.assignedTo?._id || '',
+      dataEntryType: task.dataEntryType || '',
+      checklist: (task.checklist || []).map(item => item.label).join('\n'),
+      estimatedCost: task.estimatedCost ?? '',
+      interval: series?.interval || 1,
+      byDay: series?.byDay || [],
+      monthlyMode: series?.bySetPos ? 'weekday' : 'monthDay',
+      bySetPos: series?.bySetPos || 1,
+      byMonthDay: series?.byMonthDay || '',
+      times: (series?.times || []).join(', '),
+      until: series?.until ? new Date(series.until).toISOString().slice(0, 10) : '',
+      scope: 'occurrence'
     });
     setEditingId(task._id);
+    setEditingSeries(series);
+    setEditingAssignee(task.assigneeModel === 'User' ? task.assignedTo : null);
     setOpenModal(true);
   };
 
+  const buildPayload = data => {
+    const { scope: _scope, monthlyMode: mode, times, checklist, ...fields } = data;
+    const payload = { ...fields, seasonId: selectedSeason.id };
+    // One checklist item per line; items kept from the edited task keep their ticks
+    const previousChecklist = tasks.find(t => t._id === editingId)?.checklist || [];
+    payload.checklist = checklist
+      .split('\n')
+      .map(label => label.trim())
+      .filter(Boolean)
+      .map(label => ({
+        label,
+        done: previousChecklist.some(item => item.label === label && item.done)
+      }));
+    if (!payload.pondId) delete payload.pondId; // allow null pond
+    payload.assignedTo = payload.assignedTo || null;
+    payload.estimatedCost = payload.estimatedCost === '' ? null : Number(payload.estimatedCost);
+    // Anyone picked from the list is an Employee unless it is the existing User assignee
+    payload.assigneeModel =
+      editingAssignee && payload.assignedTo === editingAssignee._id ? 'User' : 'Employee';
+
+    if (payload.frequency === 'Once') {
+      ['interval', 'byDay', 'bySetPos', 'byMonthDay', 'until'].forEach(
+        field => delete payload[field]
+      );
+      return payload;
+    }
+
+    payload.interval = Number(payload.interval) || 1;
+    payload.times = times
+      .split(',')
+      .map(time => time.trim())
+      .filter(Boolean);
+    payload.until = payload.until || null;
+    if (payload.frequency === 'Daily') {
+      payload.byDay = [];
+    }
+    if (payload.frequency !== 'Monthly' || mode === 'monthDay') {
+      payload.bySetPos = null;
+    }
+    payload.byMonthDay =
+      payload.frequency === 'Monthly' && mode === 'monthDay' ? payload.byMonthDay || null : null;
+    if (payload.frequency === 'Monthly' && mode === 'monthDay') {
+      payload.byDay = [];
+    }
+    return payload;
+  };
+
   const onSubmit = async data => {
     try {
-      const payload = { ...data, seasonId: selectedSeason.id };
-      if (!payload.pondId) delete payload.pondId; // allow null pond
-      if (editingId) {
+      const payload = buildPayload(data);
+      if (editingId && editingSeries && data.scope === 'occurrence') {
+        const occurrence = {};
+        OCCURRENCE_FIELDS.forEach(field => {
+          if (payload[field] !== undefined) occurrence[field] = payload[field];
+        });
+        await updateTask(editingId, occurrence, 'occurrence');
+      } else if (editingId && editingSeries) {
+        await updateTask(editingId, payload, 'series');
+      } else if (editingId) {
         await updateTask(editingId, payload);
       } else {
         await createTask(payload);
@@ -121,14 +310,21 @@ const TaskManagementPage = () => {
     }
   };
 
-  const handleDelete = async id => {
-    if (window.confirm('Delete this task?')) {
-      try {
-        await deleteTask(id);
-        fetchData();
-      } catch (error) {
-        console.error('Error deleting:', error);
-      }
+  const handleDelete = async (task, scope) => {
+    try {
+      await deleteTask(task._id, scope);
+      setDeletingTask(null);
+      fetchData();
+    } catch (error) {
+      console.error('Error deleting:', error);
+    }
+  };
+
+  const handleRequestDelete = task => {
+    if (task.seriesId) {
+      setDeletingTask(task);
+    } else if (window.confirm('Delete this task?')) {
+      handleDelete(task);
     }
   };
 
@@ -153,9 +349,62 @@ const TaskManagementPage = () => {
         </Button>
       </Box>
 
-      {loading ? (
-        <CircularProgress />
-      ) : (
+      <Card variant='outlined' sx={{ mb: 3 }}>
+        <CardContent sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+          <TextField
+            select
+            size='small'
+            label='Assignee'
+            value={filters.assignedTo}
+            onChange={e => setFilters(prev => ({ ...prev, assignedTo: e.target.value }))}
+            sx={{ minWidth: 200 }}
+          >
+            <MenuItem value=''>
+              <em>Anyone</em>
+            </MenuItem>
+            {employees.map(e => (
+              <MenuItem key={e._id} value={e._id}>
+                {e.name}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            size='small'
+            type='date'
+            label='Due from'
+            value={filters.from}
+            onChange={e => setFilters(prev => ({ ...prev, from: e.target.value }))}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            size='small'
+            type='date'
+            label='Due to'
+            value={filters.to}
+            onChange={e => setFilters(prev => ({ ...prev, to: e.target.value }))}
+            InputLabelProps={{ shrink: true }}
+          />
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={filters.overdue}
+                onChange={e => setFilters(prev => ({ ...prev, overdue: e.target.checked }))}
+              />
+            }
+            label='Overdue only'
+          />
+          <Button onClick={() => setFilters(EMPTY_FILTERS)}>Clear</Button>
+        </CardContent>
+      </Card>
+
+      <Tabs value={view} onChange={(_e, value) => setView(value)} sx={{ mb: 2 }}>
+        <Tab value='tasks' icon={<TaskIcon />} iconPosition='start' label='Tasks' />
+        <Tab value='workload' icon={<WorkloadIcon />} iconPosition='start' label='Workload' />
+      </Tabs>
+
+      {loading && <CircularProgress />}
+      {!loading && view === 'workload' && <TaskWorkload workload={workload} ponds={ponds} />}
+      {!loading && view === 'tasks' && (
         <Card variant='outlined'>
           <CardContent>
             <Typography variant='h6' gutterBottom>
@@ -184,9 +433,45 @@ const TaskManagementPage = () => {
                     primary={task.title}
                     secondary={
                       <React.Fragment>
-                        <Typography variant='body2' component='span'>
-                          {new Date(task.dueDate).toLocaleDateString()}
+                        <Typography
+                          variant='body2'
+                          component='span'
+                          color={task.isOverdue ? 'error' : undefined}
+                        >
+                          {task.frequency === 'Once'
+                            ? new Date(task.dueDate).toLocaleDateString()
+                            : new Date(task.dueDate).toLocaleString()}
                         </Typography>
+                        {task.isOverdue && (
+                          <Chip
+                            size='small'
+                            label='Overdue'
+                            color='error'
+                            sx={{ ml: 1, height: 20 }}
+                          />
+                        )}
+                        {task.assignedTo && (
+                          <Chip
+                            size='small'
+                            label={
+                              task.assignedTo.name ||
+                              [task.assignedTo.firstName, task.assignedTo.lastName]
+                                .filter(Boolean)
+                                .join(' ') ||
+                              task.assignedTo.username
+                            }
+                            sx={{ ml: 1, height: 20 }}
+                          />
+                        )}
+                        {!task.assignedTo && task.assigneeName && (
+                          <Chip
+                            size='small'
+                            variant='outlined'
+                            label={task.assigneeName}
+                            title='Not yet linked to an employee or user'
+                            sx={{ ml: 1, height: 20 }}
+                          />
+                        )}
                         {task.pondId && (
                           <Chip
                             size='small'
@@ -202,7 +487,41 @@ const TaskManagementPage = () => {
                           color='primary'
                         />
                         {task.frequency !== 'Once' && (
-                          <Chip size='small' label={task.frequency} sx={{ ml: 1, height: 20 }} />
+                          <Chip
+                            size='small'
+                            label={
+                              task.seriesId?.frequency
+                                ? describeSeries(task.seriesId)
+                                : task.frequency
+                            }
+                            sx={{ ml: 1, height: 20 }}
+                          />
+                        )}
+                        {task.dataEntryType && (
+                          <Chip
+                            size='small'
+                            label={`Records ${DATA_ENTRY_LABELS[task.dataEntryType].toLowerCase()}`}
+                            color='info'
+                            sx={{ ml: 1, height: 20 }}
+                          />
+                        )}
+                        {task.checklist?.length > 0 && (
+                          <Chip
+                            size='small'
+                            label={`Checklist ${task.checklist.filter(item => item.done).length}/${
+                              task.checklist.length
+                            }`}
+                            variant='outlined'
+                            sx={{ ml: 1, height: 20 }}
+                          />
+                        )}
+                        {task.isException && (
+                          <Chip
+                            size='small'
+                            label='Edited occurrence'
+                            variant='outlined'
+                            sx={{ ml: 1, height: 20 }}
+                          />
                         )}
                       </React.Fragment>
                     }
@@ -211,7 +530,7 @@ const TaskManagementPage = () => {
                     <IconButton edge='end' onClick={() => handleOpenEdit(task)}>
                       <EditIcon />
                     </IconButton>
-                    <IconButton edge='end' onClick={() => handleDelete(task._id)} color='error'>
+                    <IconButton edge='end' onClick={() => handleRequestDelete(task)} color='error'>
                       <DeleteIcon />
                     </IconButton>
                   </ListItemSecondaryAction>
@@ -243,6 +562,11 @@ const TaskManagementPage = () => {
                     primary={
                       <Typography sx={{ textDecoration: 'line-through' }}>{task.title}</Typography>
                     }
+                    secondary={
+                      task.linkedRecordId
+                        ? `${DATA_ENTRY_LABELS[task.dataEntryType]} recorded`
+                        : undefined
+                    }
                   />
                 </ListItem>
               ))}
@@ -256,6 +580,29 @@ const TaskManagementPage = () => {
           <DialogTitle>{editingId ? 'Edit Task' : 'New Task'}</DialogTitle>
           <DialogContent dividers>
             <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+              {editingSeries && (
+                <Controller
+                  name='scope'
+                  control={control}
+                  render={({ field }) => (
+                    <FormControl>
+                      <FormLabel>Apply changes to</FormLabel>
+                      <RadioGroup {...field} row>
+                        <FormControlLabel
+                          value='occurrence'
+                          control={<Radio />}
+                          label='This occurrence'
+                        />
+                        <FormControlLabel
+                          value='series'
+                          control={<Radio />}
+                          label='The whole series'
+                        />
+                      </RadioGroup>
+                    </FormControl>
+                  )}
+                />
+              )}
               <Controller
                 name='title'
                 control={control}
@@ -287,7 +634,13 @@ const TaskManagementPage = () => {
                   name='frequency'
                   control={control}
                   render={({ field }) => (
-                    <TextField {...field} select label='Frequency' fullWidth>
+                    <TextField
+                      {...field}
+                      select
+                      label='Frequency'
+                      fullWidth
+                      disabled={Boolean(editingSeries) && scope === 'occurrence'}
+                    >
                       {['Once', 'Daily', 'Weekly', 'Monthly'].map(o => (
                         <MenuItem key={o} value={o}>
                           {o}
@@ -304,7 +657,7 @@ const TaskManagementPage = () => {
                 render={({ field }) => (
                   <TextField
                     {...field}
-                    label='Due Date'
+                    label={frequency === 'Once' || editingSeries ? 'Due Date' : 'Starts On'}
                     type='date'
                     fullWidth
                     InputLabelProps={{ shrink: true }}
@@ -312,6 +665,127 @@ const TaskManagementPage = () => {
                   />
                 )}
               />
+              {showPattern && (
+                <>
+                  <Box sx={{ display: 'flex', gap: 2 }}>
+                    <Controller
+                      name='interval'
+                      control={control}
+                      render={({ field }) => (
+                        <TextField
+                          {...field}
+                          label={`Repeat every (${INTERVAL_UNITS[frequency]})`}
+                          type='number'
+                          inputProps={{ min: 1 }}
+                          fullWidth
+                        />
+                      )}
+                    />
+                    <Controller
+                      name='times'
+                      control={control}
+                      render={({ field }) => (
+                        <TextField
+                          {...field}
+                          label='Times of day'
+                          placeholder='06:00, 18:00'
+                          helperText='Comma-separated; defaults to the start time'
+                          fullWidth
+                        />
+                      )}
+                    />
+                  </Box>
+                  {frequency === 'Monthly' && (
+                    <Controller
+                      name='monthlyMode'
+                      control={control}
+                      render={({ field }) => (
+                        <RadioGroup {...field} row>
+                          <FormControlLabel
+                            value='monthDay'
+                            control={<Radio />}
+                            label='On a day of the month'
+                          />
+                          <FormControlLabel
+                            value='weekday'
+                            control={<Radio />}
+                            label='On a weekday of the month'
+                          />
+                        </RadioGroup>
+                      )}
+                    />
+                  )}
+                  {frequency === 'Monthly' && monthlyMode === 'monthDay' && (
+                    <Controller
+                      name='byMonthDay'
+                      control={control}
+                      render={({ field }) => (
+                        <TextField
+                          {...field}
+                          label='Day of month'
+                          type='number'
+                          inputProps={{ min: 1, max: 31 }}
+                          helperText='Defaults to the start date; shorter months use their last day'
+                          fullWidth
+                        />
+                      )}
+                    />
+                  )}
+                  {frequency === 'Monthly' && monthlyMode === 'weekday' && (
+                    <Controller
+                      name='bySetPos'
+                      control={control}
+                      render={({ field }) => (
+                        <TextField {...field} select label='Which' fullWidth>
+                          {SET_POSITIONS.map(p => (
+                            <MenuItem key={p.value} value={p.value}>
+                              {p.label}
+                            </MenuItem>
+                          ))}
+                        </TextField>
+                      )}
+                    />
+                  )}
+                  {(frequency === 'Weekly' ||
+                    (frequency === 'Monthly' && monthlyMode === 'weekday')) && (
+                    <Controller
+                      name='byDay'
+                      control={control}
+                      render={({ field }) => (
+                        <TextField
+                          {...field}
+                          select
+                          label='On'
+                          fullWidth
+                          SelectProps={{ multiple: true }}
+                          helperText={
+                            frequency === 'Weekly' ? 'Defaults to the start date weekday' : ''
+                          }
+                        >
+                          {WEEKDAYS.map(d => (
+                            <MenuItem key={d.value} value={d.value}>
+                              {d.label}
+                            </MenuItem>
+                          ))}
+                        </TextField>
+                      )}
+                    />
+                  )}
+                  <Controller
+                    name='until'
+                    control={control}
+                    render={({ field }) => (
+                      <TextField
+                        {...field}
+                        label='Ends On (Optional)'
+                        type='date'
+                        fullWidth
+                        InputLabelProps={{ shrink: true }}
+                      />
+                    )}
+                  />
+                </>
+              )}
               <Box sx={{ display: 'flex', gap: 2 }}>
                 <Controller
                   name='pondId'
@@ -332,9 +806,78 @@ const TaskManagementPage = () => {
                 <Controller
                   name='assignedTo'
                   control={control}
-                  render={({ field }) => <TextField {...field} label='Assign To' fullWidth />}
+                  render={({ field }) => (
+                    <TextField {...field} select label='Assign To' fullWidth>
+                      <MenuItem value=''>
+                        <em>Unassigned</em>
+                      </MenuItem>
+                      {editingAssignee && (
+                        <MenuItem value={editingAssignee._id}>
+                          {[editingAssignee.firstName, editingAssignee.lastName]
+                            .filter(Boolean)
+                            .join(' ') || editingAssignee.username}
+                        </MenuItem>
+                      )}
+                      {employees.map(e => (
+                        <MenuItem key={e._id} value={e._id}>
+                          {e.name}
+                          {e.role ? ` (${e.role})` : ''}
+                        </MenuItem>
+                      ))}
+                    </TextField>
+                  )}
                 />
               </Box>
+              <Controller
+                name='dataEntryType'
+                control={control}
+                render={({ field }) => (
+                  <TextField
+                    {...field}
+                    select
+                    label='Completing Records (Optional)'
+                    helperText='Completing the task asks for this reading and saves it for the pond'
+                    fullWidth
+                  >
+                    <MenuItem value=''>
+                      <em>Nothing</em>
+                    </MenuItem>
+                    {Object.entries(DATA_ENTRY_LABELS).map(([value, label]) => (
+                      <MenuItem key={value} value={value}>
+                        {label}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                )}
+              />
+              <Controller
+                name='checklist'
+                control={control}
+                render={({ field }) => (
+                  <TextField
+                    {...field}
+                    label='Checklist (Optional)'
+                    helperText='One item per line; all must be ticked to complete the task'
+                    multiline
+                    minRows={2}
+                    fullWidth
+                  />
+                )}
+              />
+              <Controller
+                name='estimatedCost'
+                control={control}
+                render={({ field }) => (
+                  <TextField
+                    {...field}
+                    label='Estimated Cost (Optional)'
+                    helperText='Counted in the cash flow forecast for the week the task is due'
+                    type='number'
+                    inputProps={{ min: 0 }}
+                    fullWidth
+                  />
+                )}
+              />
             </Box>
           </DialogContent>
           <DialogActions>
@@ -345,6 +888,30 @@ const TaskManagementPage = () => {
           </DialogActions>
         </form>
       </Dialog>
+
+      <TaskCompletionDialog
+        task={completingTask}
+        seasonId={selectedSeason.id}
+        onClose={() => setCompletingTask(null)}
+        onComplete={handleCompleteTask}
+      />
+
+      <Dialog open={Boolean(deletingTask)} onClose={() => setDeletingTask(null)}>
+        <DialogTitle>Delete recurring task</DialogTitle>
+        <DialogContent>
+          <Typography>
+            Delete only this occurrence of &quot;{deletingTask?.title}&quot;, or end the whole
+            series? Completed occurrences are kept either way.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeletingTask(null)}>Cancel</Button>
+          <Button onClick={() => handleDelete(deletingTask, 'occurrence')}>This occurrence</Button>
+          <Button color='error' onClick={() => handleDelete(deletingTask, 'series')}>
+            The whole series
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Container>
   );
 };
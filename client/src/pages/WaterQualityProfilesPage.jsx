@@ -0,0 +1,378 @@
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Edit as EditIcon,
+  WaterDrop as WaterIcon
+} from '@mui/icons-material';
+import {
+  Container,
+  Typography,
+  Box,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  CircularProgress,
+  IconButton,
+  Chip,
+  Alert
+} from '@mui/material';
+import React, { useState, useEffect } from 'react';
+import { useForm, Controller } from 'react-hook-form';
+
+import {
+  getWaterQualityProfiles,
+  createWaterQualityProfile,
+  updateWaterQualityProfile,
+  deleteWaterQualityProfile
+} from '../services/api';
+
+const SPECIES = ['Whiteleg Shrimp', 'Giant Tiger Prawn', 'Blue Shrimp', 'Other'];
+
+const STAGES = [
+  { value: 'Nursery', label: 'Nursery' },
+  { value: 'GrowOut', label: 'Grow-out' }
+];
+
+const BOUNDS = [
+  { key: 'optimalMin', label: 'Optimal min' },
+  { key: 'optimalMax', label: 'Optimal max' },
+  { key: 'acceptableMin', label: 'Acceptable min' },
+  { key: 'acceptableMax', label: 'Acceptable max' }
+];
+
+const isSet = value => value !== undefined && value !== null && value !== '';
+
+const describeBand = (range, band, unit) => {
+  if (!range) return '-';
+  const min = range[`${band}Min`];
+  const max = range[`${band}Max`];
+  if (isSet(min) && isSet(max)) return `${min}-${max}${unit}`;
+  if (isSet(min)) return `>${min}${unit}`;
+  if (isSet(max)) return `<${max}${unit}`;
+  return 'any';
+};
+
+// Form fields hold strings; blank bounds are open-ended
+const toForm = parameters =>
+  Object.fromEntries(
+    Object.entries(parameters || {}).map(([name, range]) => [
+      name,
+      Object.fromEntries(BOUNDS.map(({ key }) => [key, isSet(range?.[key]) ? range[key] : '']))
+    ])
+  );
+
+// A parameter left entirely blank keeps its built-in range
+const fromForm = parameters =>
+  Object.fromEntries(
+    Object.entries(parameters)
+      .filter(([, range]) => BOUNDS.some(({ key }) => isSet(range[key])))
+      .map(([name, range]) => [
+        name,
+        Object.fromEntries(
+          BOUNDS.filter(({ key }) => isSet(range[key])).map(({ key }) => [key, Number(range[key])])
+        )
+      ])
+  );
+
+// Admin editor for the ranges every water quality score, alert and recommendation is judged against
+const WaterQualityProfilesPage = () => {
+  const [data, setData] = useState({ profiles: [], defaults: [], parameters: {} });
+  const [loading, setLoading] = useState(true);
+  const [species, setSpecies] = useState(SPECIES[0]);
+  const [openModal, setOpenModal] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [saveError, setSaveError] = useState('');
+
+  const { control, handleSubmit, reset } = useForm({
+    defaultValues: { species: SPECIES[0], stage: 'GrowOut', fromDay: 0, notes: '', parameters: {} }
+  });
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    setLoading(true);
+    try {
+      setData(await getWaterQualityProfiles());
+    } catch (error) {
+      console.error('Error fetching water quality profiles:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const defaultFor = stage =>
+    data.defaults.find(profile => profile.species === species && profile.stage === stage);
+
+  // An override starts from the built-in ranges so only the values that differ need changing
+  const handleOpenAdd = stage => {
+    reset({
+      species,
+      stage,
+      fromDay: 0,
+      notes: '',
+      parameters: toForm(defaultFor(stage)?.parameters)
+    });
+    setEditingId(null);
+    setSaveError('');
+    setOpenModal(true);
+  };
+
+  const handleOpenEdit = profile => {
+    reset({
+      species: profile.species,
+      stage: profile.stage,
+      fromDay: profile.fromDay || 0,
+      notes: profile.notes || '',
+      parameters: toForm({ ...defaultFor(profile.stage)?.parameters, ...profile.parameters })
+    });
+    setEditingId(profile._id);
+    setSaveError('');
+    setOpenModal(true);
+  };
+
+  const onSubmit = async formData => {
+    const payload = {
+      ...formData,
+      fromDay: Number(formData.fromDay) || 0,
+      parameters: fromForm(formData.parameters)
+    };
+    try {
+      if (editingId) {
+        await updateWaterQualityProfile(editingId, payload);
+      } else {
+        await createWaterQualityProfile(payload);
+      }
+      setOpenModal(false);
+      fetchData();
+    } catch (error) {
+      // Only admins may change profiles; show why the save was refused
+      setSaveError(error.message);
+    }
+  };
+
+  const handleDelete = async id => {
+    if (window.confirm('Delete this profile? The built-in ranges will apply again.')) {
+      try {
+        await deleteWaterQualityProfile(id);
+        fetchData();
+      } catch (error) {
+        console.error('Error deleting:', error);
+      }
+    }
+  };
+
+  const parameterNames = Object.keys(data.parameters);
+  const rows = STAGES.flatMap(stage => [
+    defaultFor(stage.value),
+    ...data.profiles
+      .filter(profile => profile.species === species && profile.stage === stage.value)
+      .sort((a, b) => a.fromDay - b.fromDay)
+  ]).filter(Boolean);
+
+  return (
+    <Container maxWidth='xl' sx={{ mt: 4, mb: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant='h4' sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <WaterIcon fontSize='large' color='primary' /> Water Quality Profiles
+        </Typography>
+        <TextField
+          select
+          size='small'
+          label='Species'
+          value={species}
+          onChange={e => setSpecies(e.target.value)}
+          sx={{ minWidth: 220 }}
+        >
+          {SPECIES.map(option => (
+            <MenuItem key={option} value={option}>
+              {option}
+            </MenuItem>
+          ))}
+        </TextField>
+      </Box>
+      <Typography variant='body2' color='text.secondary' sx={{ mb: 2 }}>
+        Optimal ranges shown; a profile applies from its day of culture until a later one starts.
+        Readings outside the acceptable range raise alerts.
+      </Typography>
+
+      {loading ? (
+        <CircularProgress />
+      ) : (
+        <TableContainer component={Paper} variant='outlined'>
+          <Table size='small'>
+            <TableHead sx={{ bgcolor: 'action.hover' }}>
+              <TableRow>
+                <TableCell>Stage</TableCell>
+                <TableCell>From Day</TableCell>
+                <TableCell>Source</TableCell>
+                {parameterNames.map(name => (
+                  <TableCell key={name}>{data.parameters[name].label}</TableCell>
+                ))}
+                <TableCell align='right'>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rows.map(profile => (
+                <TableRow key={profile._id || `default-${profile.stage}`}>
+                  <TableCell>
+                    {STAGES.find(stage => stage.value === profile.stage)?.label}
+                  </TableCell>
+                  <TableCell>{profile.fromDay || 0}</TableCell>
+                  <TableCell>
+                    <Chip
+                      size='small'
+                      label={profile._id ? 'Custom' : 'Built-in'}
+                      color={profile._id ? 'primary' : 'default'}
+                    />
+                  </TableCell>
+                  {parameterNames.map(name => (
+                    <TableCell key={name}>
+                      {describeBand(
+                        profile.parameters?.[name] || defaultFor(profile.stage)?.parameters[name],
+                        'optimal',
+                        data.parameters[name].unit
+                      )}
+                    </TableCell>
+                  ))}
+                  <TableCell align='right'>
+                    {profile._id ? (
+                      <>
+                        <IconButton size='small' onClick={() => handleOpenEdit(profile)}>
+                          <EditIcon fontSize='small' />
+                        </IconButton>
+                        <IconButton
+                          size='small'
+                          onClick={() => handleDelete(profile._id)}
+                          color='error'
+                        >
+                          <DeleteIcon fontSize='small' />
+                        </IconButton>
+                      </>
+                    ) : (
+                      <Button
+                        size='small'
+                        startIcon={<AddIcon />}
+                        onClick={() => handleOpenAdd(profile.stage)}
+                      >
+                        Customise
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Dialog open={openModal} onClose={() => setOpenModal(false)} maxWidth='md' fullWidth>
+        <form onSubmit={handleSubmit(onSubmit)}>
+          <DialogTitle>
+            {editingId ? 'Edit Water Quality Profile' : 'New Water Quality Profile'}
+          </DialogTitle>
+          <DialogContent dividers>
+            {saveError && (
+              <Alert severity='error' sx={{ mb: 2 }}>
+                {saveError}
+              </Alert>
+            )}
+            <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+              <Controller
+                name='species'
+                control={control}
+                render={({ field }) => (
+                  <TextField {...field} select label='Species' fullWidth>
+                    {SPECIES.map(option => (
+                      <MenuItem key={option} value={option}>
+                        {option}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                )}
+              />
+              <Controller
+                name='stage'
+                control={control}
+                render={({ field }) => (
+                  <TextField {...field} select label='Stage' fullWidth>
+                    {STAGES.map(option => (
+                      <MenuItem key={option.value} value={option.value}>
+                        {option.label}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                )}
+              />
+              <Controller
+                name='fromDay'
+                control={control}
+                render={({ field }) => (
+                  <TextField
+                    {...field}
+                    type='number'
+                    label='From Day of Culture'
+                    inputProps={{ min: 0 }}
+                    fullWidth
+                  />
+                )}
+              />
+            </Box>
+            {parameterNames.map(name => (
+              <Box key={name} sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 1.5 }}>
+                <Typography variant='body2' sx={{ width: 140, flexShrink: 0 }}>
+                  {data.parameters[name].label}
+                  {data.parameters[name].unit && ` (${data.parameters[name].unit.trim()})`}
+                </Typography>
+                {BOUNDS.map(bound => (
+                  <Controller
+                    key={bound.key}
+                    name={`parameters.${name}.${bound.key}`}
+                    control={control}
+                    render={({ field }) => (
+                      <TextField
+                        {...field}
+                        value={field.value ?? ''}
+                        type='number'
+                        size='small'
+                        label={bound.label}
+                        inputProps={{ step: 'any' }}
+                      />
+                    )}
+                  />
+                ))}
+              </Box>
+            ))}
+            <Controller
+              name='notes'
+              control={control}
+              render={({ field }) => (
+                <TextField {...field} label='Notes' fullWidth multiline rows={2} sx={{ mt: 1 }} />
+              )}
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setOpenModal(false)}>Cancel</Button>
+            <Button type='submit' variant='contained'>
+              Save
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default WaterQualityProfilesPage;
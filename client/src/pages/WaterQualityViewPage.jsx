@@ -34,6 +34,8 @@ import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import React, { useState, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
 
+import DiurnalOxygenCard from '../components/features/water-quality/DiurnalOxygenCard';
+import WaterQualityAlert from '../components/features/water-quality/WaterQualityAlert';
 import { useApiData } from '../hooks/useApi';
 import { getWaterQualityInputs, getPonds } from '../services/api';
 
@@ -169,6 +171,16 @@ const WaterQualityViewPage = () => {
       ? waterQualityEntriesData.data
       : [];
   const ponds = pondsData ? pondsData.data : [];
+  // Latest reading of the selected pond, judged against its species and stage
+  const latestEntry = pond
+    ? waterQualityEntries
+        .filter(entry => entry.pondId === pond)
+        .reduce(
+          (latest, entry) =>
+            !latest || new Date(entry.date) > new Date(latest.date) ? entry : latest,
+          null
+        )
+    : null;
 
   return (
     <Container maxWidth='lg' sx={{ mt: 4, mb: 4 }}>
@@ -286,6 +298,28 @@ const WaterQualityViewPage = () => {
         </CardContent>
       </Card>
 
+      {latestEntry && (
+        <Box sx={{ mb: 4 }}>
+          <WaterQualityAlert
+            pondName={getPondName(pond)}
+            seasonId={latestEntry.seasonId?._id || latestEntry.seasonId}
+            pondId={pond}
+            pH={latestEntry.pH}
+            dissolvedOxygen={latestEntry.dissolvedOxygen}
+            temperature={latestEntry.temperature}
+            salinity={latestEntry.salinity}
+            ammonia={latestEntry.ammonia}
+            nitrite={latestEntry.nitrite}
+          />
+        </Box>
+      )}
+
+      {pond && (
+        <Box sx={{ mb: 4 }}>
+          <DiurnalOxygenCard pondId={pond} pondName={getPondName(pond)} />
+        </Box>
+      )}
+
       <Card elevation={3}>
         <CardHeader title='Water Quality Entries' subheader='Historical water quality records' />
         <CardContent>
@@ -298,11 +332,14 @@ const WaterQualityViewPage = () => {
                   <TableCell>Pond</TableCell>
                   <TableCell>pH</TableCell>
                   <TableCell>DO (mg/L)</TableCell>
+                  <TableCell>DO Sat. (%)</TableCell>
                   <TableCell>Temp (°C)</TableCell>
                   <TableCell>Salinity (ppt)</TableCell>
                   <TableCell>Ammonia (mg/L)</TableCell>
+                  <TableCell>NH3 (mg/L)</TableCell>
                   <TableCell>Nitrite (mg/L)</TableCell>
                   <TableCell>Alkalinity (mg/L)</TableCell>
+                  <TableCell>Quality</TableCell>
                   <TableCell>Actions</TableCell>
                 </TableRow>
               </TableHead>
@@ -320,6 +357,11 @@ const WaterQualityViewPage = () => {
                         ? entry.dissolvedOxygen.toFixed(2)
                         : 'N/A'}
                     </TableCell>
+                    <TableCell>
+                      {typeof entry.doSaturation === 'number'
+                        ? entry.doSaturation.toFixed(1)
+                        : 'N/A'}
+                    </TableCell>
                     <TableCell>
                       {entry.temperature !== undefined ? entry.temperature.toFixed(1) : 'N/A'}
                     </TableCell>
@@ -329,12 +371,18 @@ const WaterQualityViewPage = () => {
                     <TableCell>
                       {entry.ammonia !== undefined ? entry.ammonia.toFixed(3) : 'N/A'}
                     </TableCell>
+                    <TableCell>
+                      {typeof entry.unionizedAmmonia === 'number'
+                        ? entry.unionizedAmmonia.toFixed(4)
+                        : 'N/A'}
+                    </TableCell>
                     <TableCell>
                       {entry.nitrite !== undefined ? entry.nitrite.toFixed(3) : 'N/A'}
                     </TableCell>
                     <TableCell>
                       {entry.alkalinity !== undefined ? entry.alkalinity.toFixed(1) : 'N/A'}
                     </TableCell>
+                    <TableCell>{entry.overallQuality || 'N/A'}</TableCell>
                     <TableCell>
                       <Tooltip title='View Details'>
                         <IconButton size='small'>
@@ -16,17 +16,17 @@ const apiCall = async <T = any>(
   data: any = null
 ): Promise<T> => {
   const url = `${API_BASE_URL}${endpoint}`;
+  // File uploads go as multipart; the browser sets the Content-Type with its boundary
+  const isUpload = typeof FormData !== 'undefined' && data instanceof FormData;
   const options: RequestInit = {
     method,
-    headers: {
-      'Content-Type': 'application/json'
-    }
+    headers: isUpload ? {} : { 'Content-Type': 'application/json' }
   };
 
   // In development mode, we might not need authentication
   // This will be handled by the server-side bypass
   if (data && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
-    options.body = JSON.stringify(data);
+    options.body = isUpload ? data : JSON.stringify(data);
   }
 
   try {
@@ -68,6 +68,20 @@ const apiCall = async <T = any>(
   }
 };
 
+// Address of an uploaded file for <img> tags and links, optionally its thumbnail or as a download
+interface FileUrlOptions {
+  thumbnail?: boolean;
+  download?: boolean;
+}
+
+const fileUrl = (endpoint: string, { thumbnail, download }: FileUrlOptions = {}) => {
+  const params = new URLSearchParams();
+  if (thumbnail) params.append('thumbnail', 'true');
+  if (download) params.append('download', 'true');
+  const query = params.toString();
+  return `${API_BASE_URL}${endpoint}${query ? `?${query}` : ''}`;
+};
+
 // Season API calls
 export const getSeasons = () => apiCall<any[]>('/seasons');
 export const getSeasonById = (id: string) => apiCall<any>(`/seasons/${id}`);
@@ -126,6 +140,71 @@ export const updateWaterQualityInput = (id: string, waterQualityData: any) =>
   apiCall<any>(`/water-quality-inputs/${id}`, 'PUT', waterQualityData);
 export const deleteWaterQualityInput = (id: string) =>
   apiCall<any>(`/water-quality-inputs/${id}`, 'DELETE');
+// Nightly DO decline, daily swings and tonight's pre-dawn forecast for a pond
+export const getDiurnalOxygen = (
+  pondId: string,
+  options: { days?: number; threshold?: number } = {}
+) => {
+  const params = new URLSearchParams();
+  if (options.days) params.append('days', String(options.days));
+  if (options.threshold) params.append('threshold', String(options.threshold));
+  return apiCall<any>(`/water-quality-inputs/diurnal/${pondId}?${params.toString()}`);
+};
+
+// Water quality ranges per species and culture stage; built-in defaults plus admin overrides
+interface WaterQualityProfileContext {
+  seasonId?: string;
+  pondId?: string;
+  nurseryBatchId?: string;
+  date?: string;
+}
+
+export const getWaterQualityProfiles = () => apiCall<any>('/water-quality-profiles');
+export const resolveWaterQualityProfile = (context: WaterQualityProfileContext) => {
+  const params = new URLSearchParams();
+  Object.entries(context).forEach(([key, value]) => {
+    if (value) params.append(key, value);
+  });
+  return apiCall<any>(`/water-quality-profiles/resolve?${params.toString()}`);
+};
+export const createWaterQualityProfile = (data: any) =>
+  apiCall<any>('/water-quality-profiles', 'POST', data);
+export const updateWaterQualityProfile = (id: string, data: any) =>
+  apiCall<any>(`/water-quality-profiles/${id}`, 'PUT', data);
+export const deleteWaterQualityProfile = (id: string) =>
+  apiCall<any>(`/water-quality-profiles/${id}`, 'DELETE');
+
+// Probes and data loggers: each device posts for one pond; raw samples are kept for charting
+export const getSensorDevices = () => apiCall<any[]>('/sensors/devices');
+export const createSensorDevice = (data: any) => apiCall<any>('/sensors/devices', 'POST', data);
+export const updateSensorDevice = (id: string, data: any) =>
+  apiCall<any>(`/sensors/devices/${id}`, 'PUT', data);
+export const deleteSensorDevice = (id: string) => apiCall<any>(`/sensors/devices/${id}`, 'DELETE');
+export const getSensorReadings = (query: {
+  pondId?: string;
+  deviceId?: string;
+  from?: string;
+  to?: string;
+}) => {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value) params.append(key, value);
+  });
+  return apiCall<any[]>(`/sensors/readings?${params.toString()}`);
+};
+// Raw samples, or hourly or daily rollups, depending on the range unless a resolution is given
+export const getSensorSeries = (query: {
+  pondId: string;
+  from?: string;
+  to?: string;
+  resolution?: 'auto' | 'raw' | 'hour' | 'day';
+}) => {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value) params.append(key, value);
+  });
+  return apiCall<any>(`/sensors/series?${params.toString()}`);
+};
 
 // Nursery Batch API calls
 export const getNurseryBatches = () => apiCall<any[]>('/nursery-batches');
@@ -140,6 +219,26 @@ export const updateNurseryBatch = (id: string, nurseryData: any) =>
   apiCall<any>(`/nursery-batches/${id}`, 'PUT', nurseryData);
 export const deleteNurseryBatch = (id: string) => apiCall<any>(`/nursery-batches/${id}`, 'DELETE');
 
+// Stocking API calls (post-larvae transferred into ponds from a nursery batch or hatchery)
+export interface StockingFilters {
+  seasonId?: string;
+  pondId?: string;
+  nurseryBatchId?: string;
+}
+
+export const getStockings = (filters: StockingFilters = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.append(key, value);
+  });
+  const queryString = params.toString() ? `?${params.toString()}` : '';
+  return apiCall<any[]>(`/stockings${queryString}`);
+};
+export const createStocking = (stockingData: any) =>
+  apiCall<any[]>('/stockings', 'POST', stockingData);
+export const deleteStocking = (id: string) =>
+  apiCall<{ message: string }>(`/stockings/${id}`, 'DELETE');
+
 // Inventory API calls
 export const getInventoryItems = (seasonId?: string) => {
   const params = new URLSearchParams();
@@ -205,6 +304,18 @@ export const updateEvent = (id: string, eventData: any) =>
   apiCall<any>(`/events/${id}`, 'PUT', eventData);
 export const deleteEvent = (id: string) => apiCall<{ message: string }>(`/events/${id}`, 'DELETE');
 
+// Photos and documents attached to an event
+export const uploadEventMedia = (eventId: string, file: File, caption?: string) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  if (caption) formData.append('caption', caption);
+  return apiCall<any>(`/events/${eventId}/media`, 'POST', formData);
+};
+export const deleteEventMedia = (eventId: string, mediaId: string) =>
+  apiCall<{ message: string }>(`/events/${eventId}/media/${mediaId}`, 'DELETE');
+export const getEventMediaUrl = (eventId: string, mediaId: string, options: FileUrlOptions = {}) =>
+  fileUrl(`/events/${eventId}/media/${mediaId}`, options);
+
 // Employee API calls
 export const getEmployees = () => apiCall<any[]>('/employees');
 export const createEmployee = (employeeData: any) =>
@@ -227,6 +338,17 @@ export const updateExpense = (id: string, expenseData: any) =>
 export const deleteExpense = (id: string) =>
   apiCall<{ message: string }>(`/expenses/${id}`, 'DELETE');
 
+// Receipt image or PDF of an expense
+export const uploadExpenseReceipt = (id: string, file: File) => {
+  const formData = new FormData();
+  formData.append('receipt', file);
+  return apiCall<any>(`/expenses/${id}/receipt`, 'PUT', formData);
+};
+export const deleteExpenseReceipt = (id: string) =>
+  apiCall<any>(`/expenses/${id}/receipt`, 'DELETE');
+export const getExpenseReceiptUrl = (id: string, options: FileUrlOptions = {}) =>
+  fileUrl(`/expenses/${id}/receipt`, options);
+
 // Finance API calls
 export const getFinancialSummary = (seasonId?: string, pondId?: string) => {
   let url = '/finance/summary?';
@@ -235,8 +357,40 @@ export const getFinancialSummary = (seasonId?: string, pondId?: string) => {
   return apiCall<any>(url);
 };
 
-export const getProfitAndLoss = (seasonId: string) => {
-  return apiCall<any>(`/finance/pnl?seasonId=${seasonId}`);
+// basis: 'recorded' (every sale, default), 'invoiced' or 'cash' (received against invoices)
+export const getProfitAndLoss = (seasonId: string, basis?: 'recorded' | 'invoiced' | 'cash') => {
+  const basisParam = basis ? `&basis=${basis}` : '';
+  return apiCall<any>(`/finance/pnl?seasonId=${seasonId}${basisParam}`);
+};
+
+// Season budget vs actual
+export const getBudgetVsActual = (seasonId: string) => {
+  return apiCall<any>(`/finance/budget?seasonId=${seasonId}`);
+};
+
+export const updateSeasonBudget = (seasonId: string, data: any) => {
+  return apiCall<any>(`/finance/budget?seasonId=${seasonId}`, 'PUT', data);
+};
+
+// Cost of production per kg and break-even price, farm-level costs shared by area, days in culture or biomass
+export const getCostOfProduction = (
+  seasonId: string,
+  allocationKey?: 'area' | 'daysInCulture' | 'biomass'
+) => {
+  const keyParam = allocationKey ? `&allocationKey=${allocationKey}` : '';
+  return apiCall<any>(`/finance/cost-of-production?seasonId=${seasonId}${keyParam}`);
+};
+
+// Week-by-week cash flow forecast: feed, salaries and planned task costs out, projected harvest revenue in
+export const getCashFlowForecast = (
+  seasonId: string,
+  params: { weeks?: number; pricePerKg?: number; harvestWeightGrams?: number } = {}
+) => {
+  let url = `/finance/cash-flow-forecast?seasonId=${seasonId}`;
+  if (params.weeks) url += `&weeks=${params.weeks}`;
+  if (params.pricePerKg) url += `&pricePerKg=${params.pricePerKg}`;
+  if (params.harvestWeightGrams) url += `&harvestWeightGrams=${params.harvestWeightGrams}`;
+  return apiCall<any>(url);
 };
 
 // Harvest API calls
@@ -252,11 +406,95 @@ export const deleteHarvest = (id: string) =>
   apiCall<{ message: string }>(`/harvests/${id}`, 'DELETE');
 
 // Sale API calls
-export const getSales = () => apiCall<any[]>('/sales');
+export interface SaleFilters {
+  buyerId?: string;
+  uninvoiced?: boolean;
+}
+
+export const getSales = (filters: SaleFilters = {}) => {
+  const params = new URLSearchParams();
+  if (filters.buyerId) params.append('buyerId', filters.buyerId);
+  if (filters.uninvoiced) params.append('uninvoiced', 'true');
+  const queryString = params.toString() ? `?${params.toString()}` : '';
+  return apiCall<any[]>(`/sales${queryString}`);
+};
 export const getSaleById = (id: string) => apiCall<any>(`/sales/${id}`);
 export const createSale = (saleData: any) => apiCall<any>('/sales', 'POST', saleData);
+export const updateSale = (id: string, saleData: any) =>
+  apiCall<any>(`/sales/${id}`, 'PUT', saleData);
 export const deleteSale = (id: string) => apiCall<{ message: string }>(`/sales/${id}`, 'DELETE');
 
+// Buyer directory API calls
+export const getBuyers = (activeOnly = false) =>
+  apiCall<any[]>(`/buyers${activeOnly ? '?active=true' : ''}`);
+export const createBuyer = (buyerData: any) => apiCall<any>('/buyers', 'POST', buyerData);
+export const updateBuyer = (id: string, buyerData: any) =>
+  apiCall<any>(`/buyers/${id}`, 'PUT', buyerData);
+export const deleteBuyer = (id: string) => apiCall<{ message: string }>(`/buyers/${id}`, 'DELETE');
+
+// Invoice API calls (invoices to buyers for sales, payments and receivables aging)
+export interface InvoiceFilters {
+  buyerId?: string;
+  status?: string;
+}
+
+export const getInvoices = (filters: InvoiceFilters = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.append(key, value);
+  });
+  const queryString = params.toString() ? `?${params.toString()}` : '';
+  return apiCall<any[]>(`/invoices${queryString}`);
+};
+export const getInvoiceById = (id: string) => apiCall<any>(`/invoices/${id}`);
+export const createInvoice = (invoiceData: any) => apiCall<any>('/invoices', 'POST', invoiceData);
+export const voidInvoice = (id: string) => apiCall<any>(`/invoices/${id}/void`, 'POST');
+export const addInvoicePayment = (id: string, paymentData: any) =>
+  apiCall<any>(`/invoices/${id}/payments`, 'POST', paymentData);
+export const deleteInvoicePayment = (id: string, paymentId: string) =>
+  apiCall<any>(`/invoices/${id}/payments/${paymentId}`, 'DELETE');
+export const getReceivablesAging = (asOf?: string) =>
+  apiCall<any>(`/invoices/aging${asOf ? `?asOf=${asOf}` : ''}`);
+
+// Buyer price list API calls (price per kg for each count-per-kg grade)
+export const getBuyerPriceLists = () => apiCall<any[]>('/buyer-price-lists');
+export const getEffectivePriceList = (buyerName: string, date?: string) => {
+  const params = new URLSearchParams({ buyerName });
+  if (date) params.append('date', date);
+  return apiCall<any>(`/buyer-price-lists/effective?${params.toString()}`);
+};
+export const createBuyerPriceList = (priceListData: any) =>
+  apiCall<any>('/buyer-price-lists', 'POST', priceListData);
+export const updateBuyerPriceList = (id: string, priceListData: any) =>
+  apiCall<any>(`/buyer-price-lists/${id}`, 'PUT', priceListData);
+export const deleteBuyerPriceList = (id: string) =>
+  apiCall<{ message: string }>(`/buyer-price-lists/${id}`, 'DELETE');
+
+// Currencies and exchange rates (units of the base currency per unit of a currency, from a date)
+export const getCurrencies = () =>
+  apiCall<{ base: string; supported: string[]; latest: any[] }>('/exchange-rates/currencies');
+export const getExchangeRates = (currency?: string) =>
+  apiCall<any[]>(`/exchange-rates${currency ? `?currency=${currency}` : ''}`);
+export const createExchangeRate = (rateData: any) =>
+  apiCall<any>('/exchange-rates', 'POST', rateData);
+export const updateExchangeRate = (id: string, rateData: any) =>
+  apiCall<any>(`/exchange-rates/${id}`, 'PUT', rateData);
+export const deleteExchangeRate = (id: string) =>
+  apiCall<{ message: string }>(`/exchange-rates/${id}`, 'DELETE');
+
+// Capital asset register (equipment depreciated over its useful life)
+export const getAssets = (filters: any = {}) => {
+  const params = new URLSearchParams(filters);
+  return apiCall<any[]>(`/assets?${params.toString()}`);
+};
+export const getAssetById = (id: string) => apiCall<any>(`/assets/${id}`);
+export const createAsset = (assetData: any) => apiCall<any>('/assets', 'POST', assetData);
+export const updateAsset = (id: string, assetData: any) =>
+  apiCall<any>(`/assets/${id}`, 'PUT', assetData);
+export const deleteAsset = (id: string) => apiCall<{ message: string }>(`/assets/${id}`, 'DELETE');
+export const getSeasonDepreciation = (seasonId: string) =>
+  apiCall<any>(`/assets/depreciation?seasonId=${seasonId}`);
+
 // Health Logs API calls
 export const getHealthLogs = (seasonId?: string, pondId?: string) => {
   let url = '/health-logs?';
@@ -270,16 +508,54 @@ export const updateHealthLog = (id: string, data: any) =>
 export const deleteHealthLog = (id: string) => apiCall<any>(`/health-logs/${id}`, 'DELETE');
 
 // Tasks API calls
-export const getTasks = (seasonId?: string, pondId?: string, completed?: boolean) => {
+export interface TaskFilters {
+  assignedTo?: string;
+  overdue?: boolean;
+  from?: string;
+  to?: string;
+}
+const taskFilterQuery = (filters: TaskFilters = {}) => {
+  let query = '';
+  if (filters.assignedTo) query += `assignedTo=${filters.assignedTo}&`;
+  if (filters.overdue) query += 'overdue=true&';
+  if (filters.from) query += `from=${filters.from}&`;
+  if (filters.to) query += `to=${filters.to}&`;
+  return query;
+};
+export const getTasks = (
+  seasonId?: string,
+  pondId?: string,
+  completed?: boolean,
+  filters?: TaskFilters
+) => {
   let url = '/tasks?';
   if (seasonId) url += `seasonId=${seasonId}&`;
   if (pondId) url += `pondId=${pondId}&`;
+  url += taskFilterQuery(filters);
   if (completed !== undefined) url += `completed=${completed}`;
   return apiCall<any[]>(url);
 };
+// Open, overdue, on-time and late task counts per assignee
+export const getTaskWorkload = (seasonId?: string, filters?: TaskFilters) =>
+  apiCall<any[]>(
+    `/tasks/workload?${seasonId ? `seasonId=${seasonId}&` : ''}${taskFilterQuery(filters)}`
+  );
 export const createTask = (data: any) => apiCall<any>('/tasks', 'POST', data);
-export const updateTask = (id: string, data: any) => apiCall<any>(`/tasks/${id}`, 'PUT', data);
-export const deleteTask = (id: string) => apiCall<any>(`/tasks/${id}`, 'DELETE');
+// scope 'series' applies the change to a recurring task's whole series from this occurrence onward
+export const updateTask = (id: string, data: any, scope?: 'occurrence' | 'series') =>
+  apiCall<any>(`/tasks/${id}${scope ? `?scope=${scope}` : ''}`, 'PUT', data);
+export const deleteTask = (id: string, scope?: 'occurrence' | 'series') =>
+  apiCall<any>(`/tasks/${id}${scope ? `?scope=${scope}` : ''}`, 'DELETE');
+
+// SOP templates API calls
+export const getSopTemplates = () => apiCall<any[]>('/sop-templates');
+export const createSopTemplate = (data: any) => apiCall<any>('/sop-templates', 'POST', data);
+export const updateSopTemplate = (id: string, data: any) =>
+  apiCall<any>(`/sop-templates/${id}`, 'PUT', data);
+export const deleteSopTemplate = (id: string) => apiCall<any>(`/sop-templates/${id}`, 'DELETE');
+// data: { seasonId, pondIds?, stockingDate?, preview? }
+export const applySopTemplate = (id: string, data: any) =>
+  apiCall<any>(`/sop-templates/${id}/apply`, 'POST', data);
 
 // Notifications API calls
 export const getNotifications = (unreadOnly = false, pondId?: string) => {
@@ -290,6 +566,17 @@ export const getNotifications = (unreadOnly = false, pondId?: string) => {
 export const markNotificationAsRead = (id: string) =>
   apiCall<any>(`/notifications/${id}/read`, 'PUT');
 export const markAllNotificationsAsRead = () => apiCall<any>('/notifications/read-all', 'PUT');
+export const acknowledgeNotification = (id: string, comment?: string) =>
+  apiCall<any>(`/notifications/${id}/acknowledge`, 'PUT', { comment });
+export const getNotificationAcknowledgements = (pondId?: string) =>
+  apiCall<any[]>(`/notifications/acknowledgements${pondId ? `?pondId=${pondId}` : ''}`);
+
+// Server-Sent Events stream of notifications, readings and pond status changes.
+// EventSource cannot send headers, so a stored token travels in the query string.
+export const getEventStreamUrl = () => {
+  const token = typeof localStorage !== 'undefined' ? localStorage.getItem('token') : null;
+  return `${API_BASE_URL}/stream${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+};
 
 // Alert Rules API calls
 export const getAlertRules = () => apiCall<any[]>('/alert-rules');
@@ -0,0 +1,85 @@
+// realtime.ts
+// Shared EventSource connection to the server's event stream. The connection is
+// opened by the first subscriber and closed when the last one unsubscribes;
+// EventSource reconnects on its own after drops, and status listeners let
+// callers fall back to polling in the meantime.
+import { getEventStreamUrl } from './api';
+
+export type RealtimeEventType = 'notification' | 'waterQualityInput' | 'feedInput' | 'pondStatus';
+
+type EventHandler = (data: any) => void;
+type StatusListener = (connected: boolean) => void;
+
+const handlers = new Map<RealtimeEventType, Set<EventHandler>>();
+const statusListeners = new Set<StatusListener>();
+let source: EventSource | null = null;
+let connected = false;
+
+const setConnected = (value: boolean) => {
+  if (connected === value) return;
+  connected = value;
+  statusListeners.forEach(listener => listener(value));
+};
+
+const dispatch = (type: RealtimeEventType) => (event: MessageEvent) => {
+  let data;
+  try {
+    data = JSON.parse(event.data);
+  } catch (e) {
+    return;
+  }
+  handlers.get(type)?.forEach(handler => handler(data));
+};
+
+const open = () => {
+  if (source || typeof EventSource === 'undefined') return;
+
+  source = new EventSource(getEventStreamUrl());
+  source.addEventListener('connected', () => setConnected(true));
+  source.onopen = () => setConnected(true);
+  source.onerror = () => setConnected(false);
+  (['notification', 'waterQualityInput', 'feedInput', 'pondStatus'] as RealtimeEventType[]).forEach(
+    type => source?.addEventListener(type, dispatch(type) as EventListener)
+  );
+};
+
+const closeIfIdle = () => {
+  const hasHandlers = Array.from(handlers.values()).some(set => set.size > 0);
+  if (!hasHandlers && statusListeners.size === 0 && source) {
+    source.close();
+    source = null;
+    setConnected(false);
+  }
+};
+
+/**
+ * Subscribe to a server event type
+ * @returns Unsubscribe function
+ */
+export const subscribe = (type: RealtimeEventType, handler: EventHandler) => {
+  if (!handlers.has(type)) handlers.set(type, new Set());
+  handlers.get(type)?.add(handler);
+  open();
+
+  return () => {
+    handlers.get(type)?.delete(handler);
+    closeIfIdle();
+  };
+};
+
+/**
+ * Listen for connection state changes; the listener is called immediately with the current state
+ * @returns Unsubscribe function
+ */
+export const onConnectionChange = (listener: StatusListener) => {
+  statusListeners.add(listener);
+  open();
+  listener(connected);
+
+  return () => {
+    statusListeners.delete(listener);
+    closeIfIdle();
+  };
+};
+
+export const isConnected = () => connected;
@@ -107,6 +107,10 @@ export interface WaterQualityInput extends BaseEntity {
   turbidity?: number;
   alkalinity?: number;
   hardness?: number;
+  // Derived by the server on save
+  unionizedAmmonia?: number | null;
+  doSaturation?: number | null;
+  chlorideNitriteRatio?: number | null;
   chemicalUsed?: string;
   chemicalQuantityUsed?: number;
   notes?: string;
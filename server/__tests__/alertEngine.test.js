@@ -0,0 +1,330 @@
+const AlertRule = require('../models/AlertRule');
+const Pond = require('../models/Pond');
+const FeedInput = require('../models/FeedInput');
+const InventoryItem = require('../models/InventoryItem');
+const Notification = require('../models/Notification');
+const WaterQualityInput = require('../models/WaterQualityInput');
+const Season = require('../models/Season');
+const notificationController = require('../controllers/notificationController');
+const { defaultProfile, createProfileLoader } = require('../utils/waterQualityProfiles');
+const alertEngine = require('../utils/alertEngine');
+
+jest.mock('../models/AlertRule', () => ({ find: jest.fn(), updateMany: jest.fn() }));
+jest.mock('../models/WaterQualityInput', () => ({ find: jest.fn() }));
+jest.mock('../models/Event', () => ({ find: jest.fn() }));
+jest.mock('../models/NurseryBatch', () => ({ findById: jest.fn() }));
+jest.mock('../models/Pond', () => ({ find: jest.fn(), findById: jest.fn() }));
+jest.mock('../models/FeedInput', () => ({ aggregate: jest.fn() }));
+jest.mock('../models/InventoryItem', () => ({ aggregate: jest.fn() }));
+jest.mock('../models/Notification', () => ({ exists: jest.fn() }));
+jest.mock('../models/Season', () => ({ find: jest.fn() }));
+jest.mock('../utils/waterQualityProfiles', () => ({
+  ...jest.requireActual('../utils/waterQualityProfiles'),
+  createProfileLoader: jest.fn()
+}));
+jest.mock('../controllers/notificationController', () => ({
+  createNotificationInternal: jest.fn(data => Promise.resolve({ _id: 'notif1', ...data }))
+}));
+
+describe('alertEngine', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('compare', () => {
+    it('should apply each supported condition', () => {
+      expect(alertEngine.compare(3, '<', 4)).toBe(true);
+      expect(alertEngine.compare(5, '>', 4)).toBe(true);
+      expect(alertEngine.compare(4, '<=', 4)).toBe(true);
+      expect(alertEngine.compare(4, '>=', 4)).toBe(true);
+      expect(alertEngine.compare(4, '==', 4)).toBe(true);
+      expect(alertEngine.compare(4, '<', 4)).toBe(false);
+    });
+
+    it('should never match a missing value', () => {
+      expect(alertEngine.compare(undefined, '<', 4)).toBe(false);
+      expect(alertEngine.compare(null, '<', 4)).toBe(false);
+    });
+  });
+
+  describe('evaluateWaterQualityInput', () => {
+    const reading = {
+      _id: 'wq1',
+      pondId: 'pond1',
+      pH: 7.9,
+      dissolvedOxygen: 3.2,
+      temperature: 29,
+      salinity: 18
+    };
+
+    it('should create a notification for each breached rule', async () => {
+      AlertRule.find.mockResolvedValue([
+        { _id: 'rule1', metric: 'dissolvedOxygen', condition: '<', threshold: 4, priority: 'Critical' },
+        { _id: 'rule2', metric: 'pH', condition: '>', threshold: 8.5, priority: 'Warning' }
+      ]);
+      Pond.findById.mockResolvedValue({ _id: 'pond1', name: { en: 'Pond A' } });
+
+      const notifications = await alertEngine.evaluateWaterQualityInput(reading);
+
+      expect(notifications).toHaveLength(1);
+      expect(notificationController.createNotificationInternal).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'Alert',
+        priority: 'Critical',
+        alertRuleId: 'rule1',
+        pondId: 'pond1',
+        link: '/pond/pond1',
+        relatedDocument: 'wq1',
+        relatedDocumentModel: 'WaterQualityInput',
+        message: 'Dissolved oxygen for Pond A is 3.2 (rule: < 4)'
+      }));
+    });
+
+    it('should ignore rules for parameters missing from the reading', async () => {
+      AlertRule.find.mockResolvedValue([
+        { _id: 'rule1', metric: 'ammonia', condition: '>', threshold: 0.5, priority: 'Warning' }
+      ]);
+
+      const notifications = await alertEngine.evaluateWaterQualityInput(reading);
+
+      expect(notifications).toHaveLength(0);
+      expect(notificationController.createNotificationInternal).not.toHaveBeenCalled();
+    });
+
+    it('should skip rules scoped to another pond or season', async () => {
+      AlertRule.find.mockResolvedValue([
+        { _id: 'rule1', metric: 'dissolvedOxygen', condition: '<', threshold: 4, priority: 'Critical', pondId: 'pond2' },
+        { _id: 'rule2', metric: 'dissolvedOxygen', condition: '<', threshold: 4, priority: 'Critical', seasonId: 'season2' },
+        { _id: 'rule3', metric: 'dissolvedOxygen', condition: '<', threshold: 4, priority: 'Critical', pondId: 'pond1' }
+      ]);
+      Pond.findById.mockResolvedValue({ _id: 'pond1', name: { en: 'Pond A' } });
+
+      const notifications = await alertEngine.evaluateWaterQualityInput({ ...reading, seasonId: 'season1' });
+
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].alertRuleId).toBe('rule3');
+      expect(AlertRule.updateMany).toHaveBeenCalledWith({ _id: { $in: ['rule3'] } }, expect.objectContaining({
+        lastTriggeredAt: expect.any(Date)
+      }));
+    });
+
+    it('should wait for the required number of consecutive breaching readings', async () => {
+      AlertRule.find.mockResolvedValue([
+        { _id: 'rule1', metric: 'dissolvedOxygen', condition: '<', threshold: 4, priority: 'Critical', consecutiveReadings: 3 }
+      ]);
+      const history = [{ dissolvedOxygen: 3.2 }, { dissolvedOxygen: 3.5 }, { dissolvedOxygen: 4.6 }];
+      WaterQualityInput.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue(history)
+      });
+
+      const notifications = await alertEngine.evaluateWaterQualityInput(reading);
+
+      expect(notifications).toHaveLength(0);
+
+      history[2].dissolvedOxygen = 3.9;
+      Pond.findById.mockResolvedValue({ _id: 'pond1', name: { en: 'Pond A' } });
+
+      const repeated = await alertEngine.evaluateWaterQualityInput(reading);
+
+      expect(repeated).toHaveLength(1);
+      expect(repeated[0].message).toContain('for 3 consecutive readings');
+    });
+
+    it('should stay quiet while the rule is cooling down for the pond', async () => {
+      AlertRule.find.mockResolvedValue([
+        { _id: 'rule1', metric: 'dissolvedOxygen', condition: '<', threshold: 4, priority: 'Critical', cooldownMinutes: 60 }
+      ]);
+      Pond.findById.mockResolvedValue({ _id: 'pond1', name: { en: 'Pond A' } });
+      Notification.exists.mockImplementation(filter => Promise.resolve(filter.createdAt ? { _id: 'notif0' } : null));
+
+      const notifications = await alertEngine.evaluateWaterQualityInput(reading);
+
+      expect(notifications).toHaveLength(0);
+      expect(Notification.exists).toHaveBeenCalledWith(expect.objectContaining({
+        alertRuleId: 'rule1',
+        pondId: 'pond1',
+        createdAt: { $gte: expect.any(Date) }
+      }));
+    });
+
+    it('should not alert twice on the same reading when it is saved again', async () => {
+      AlertRule.find.mockResolvedValue([
+        { _id: 'rule1', metric: 'dissolvedOxygen', condition: '<', threshold: 4, priority: 'Critical' }
+      ]);
+      Pond.findById.mockResolvedValue({ _id: 'pond1', name: { en: 'Pond A' } });
+      Notification.exists.mockImplementation(filter => Promise.resolve(filter.relatedDocument ? { _id: 'notif0' } : null));
+
+      const notifications = await alertEngine.evaluateWaterQualityInput(reading);
+
+      expect(notifications).toHaveLength(0);
+      expect(Notification.exists).toHaveBeenCalledWith({ alertRuleId: 'rule1', relatedDocument: 'wq1' });
+      Notification.exists.mockReset();
+    });
+
+    it('should alert when a value leaves the acceptable range of each reading\'s species profile', async () => {
+      AlertRule.find.mockResolvedValue([
+        { _id: 'rule1', metric: 'salinity', condition: 'outsideRange', priority: 'Warning', consecutiveReadings: 2 }
+      ]);
+      Pond.findById.mockResolvedValue({ _id: 'pond1', name: { en: 'Pond A' } });
+      WaterQualityInput.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([{ _id: 'wq1', pondId: 'pond1', salinity: 8 }, { _id: 'wq0', pondId: 'pond1', salinity: 9 }])
+      });
+      const loadProfile = jest.fn().mockResolvedValue(defaultProfile('Giant Tiger Prawn'));
+      createProfileLoader.mockReturnValue(loadProfile);
+
+      // 8 ppt is acceptable for Giant Tiger Prawn but not for Whiteleg Shrimp
+      expect(await alertEngine.evaluateWaterQualityInput({ ...reading, salinity: 8 })).toHaveLength(0);
+
+      loadProfile.mockResolvedValue(defaultProfile('Whiteleg Shrimp'));
+      const notifications = await alertEngine.evaluateWaterQualityInput({ ...reading, salinity: 8 });
+
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].message).toBe('Pond A: Salinity is 8 (outside 10-30 ppt for Whiteleg Shrimp) for 2 consecutive readings');
+      expect(loadProfile).toHaveBeenCalledWith(expect.objectContaining({ _id: 'wq0', pondId: 'pond1' }));
+    });
+
+    it('should alert when a value dropped by the threshold since the previous reading', async () => {
+      AlertRule.find.mockResolvedValue([
+        { _id: 'rule1', metric: 'dissolvedOxygen', condition: 'dropBy', threshold: 1.5, priority: 'Warning' }
+      ]);
+      WaterQualityInput.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([
+          { _id: 'wq1', dissolvedOxygen: 3.2 },
+          { _id: 'wq0', dissolvedOxygen: 5.0 }
+        ])
+      });
+      Pond.findById.mockResolvedValue({ _id: 'pond1', name: { en: 'Pond A' } });
+
+      const notifications = await alertEngine.evaluateWaterQualityInput(reading);
+
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].message).toBe(
+        'Pond A: Dissolved oxygen dropped by 1.8 since the previous reading (limit 1.5)'
+      );
+    });
+
+    it('should compare against the lowest reading within the rule window', async () => {
+      AlertRule.find.mockResolvedValue([
+        { _id: 'rule1', metric: 'temperature', condition: 'riseBy', threshold: 3, windowHours: 6, priority: 'Warning' }
+      ]);
+      WaterQualityInput.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([
+          { _id: 'wq1', date: new Date('2024-05-02T00:00:00'), time: '14:00', temperature: 31 },
+          { _id: 'wq0', date: new Date('2024-05-02T00:00:00'), time: '10:00', temperature: 27.5 },
+          { _id: 'wqOld', date: new Date('2024-05-02T00:00:00'), time: '04:00', temperature: 25 }
+        ])
+      });
+      Pond.findById.mockResolvedValue({ _id: 'pond1', name: { en: 'Pond A' } });
+
+      const notifications = await alertEngine.evaluateWaterQualityInput({
+        ...reading,
+        date: new Date('2024-05-02T00:00:00'),
+        time: '14:00',
+        temperature: 31
+      });
+
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].message).toBe('Pond A: Temperature rose by 3.5 within 6 h (limit 3)');
+    });
+
+    it('should only fire a compound rule when every sub-condition holds', async () => {
+      const rule = {
+        _id: 'rule1',
+        metric: 'ammonia',
+        condition: '>',
+        threshold: 0.5,
+        additionalConditions: [{ metric: 'pH', condition: '>', threshold: 8.5 }],
+        logic: 'AND',
+        priority: 'Critical'
+      };
+      AlertRule.find.mockResolvedValue([rule]);
+      Pond.findById.mockResolvedValue({ _id: 'pond1', name: { en: 'Pond A' } });
+
+      const quiet = await alertEngine.evaluateWaterQualityInput({ ...reading, ammonia: 0.8, pH: 8.1 });
+      expect(quiet).toHaveLength(0);
+
+      const notifications = await alertEngine.evaluateWaterQualityInput({ ...reading, ammonia: 0.8, pH: 8.7 });
+
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0]).toEqual(expect.objectContaining({
+        title: 'Ammonia / pH alert: Pond A',
+        message: 'Pond A: Ammonia is 0.8 (> 0.5) AND pH is 8.7 (> 8.5)'
+      }));
+    });
+
+    it('should not throw when rule lookup fails', async () => {
+      AlertRule.find.mockRejectedValue(new Error('db down'));
+
+      await expect(alertEngine.evaluateWaterQualityInput(reading)).resolves.toEqual([]);
+    });
+  });
+
+  describe('evaluateFeedNotLogged', () => {
+    it('should alert on ponds whose last feeding is older than the threshold', async () => {
+      const now = new Date('2024-05-02T12:00:00');
+      AlertRule.find.mockResolvedValue([
+        { _id: 'rule1', metric: 'feedNotLogged', condition: '>', threshold: 12, priority: 'Warning' }
+      ]);
+      Pond.find.mockResolvedValue([
+        { _id: 'pond1', name: { en: 'Pond A' } },
+        { _id: 'pond2', name: { en: 'Pond B' } }
+      ]);
+      FeedInput.aggregate.mockResolvedValue([
+        { _id: 'pond1', date: new Date('2024-05-01T00:00:00'), time: '18:00' },
+        { _id: 'pond2', date: new Date('2024-05-02T00:00:00'), time: '06:00' }
+      ]);
+      Notification.exists.mockResolvedValue(null);
+
+      const notifications = await alertEngine.evaluateFeedNotLogged(now);
+
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0]).toEqual(expect.objectContaining({
+        pondId: 'pond1',
+        priority: 'High',
+        relatedDocumentModel: 'Pond'
+      }));
+    });
+
+    it('should not repeat an alert that is still unread', async () => {
+      AlertRule.find.mockResolvedValue([
+        { _id: 'rule1', metric: 'feedNotLogged', condition: '>', threshold: 12, priority: 'Warning' }
+      ]);
+      Pond.find.mockResolvedValue([{ _id: 'pond1', name: { en: 'Pond A' } }]);
+      FeedInput.aggregate.mockResolvedValue([
+        { _id: 'pond1', date: new Date('2024-05-01T00:00:00'), time: '06:00' }
+      ]);
+      Notification.exists.mockResolvedValue({ _id: 'notif0' });
+
+      const notifications = await alertEngine.evaluateFeedNotLogged(new Date('2024-05-02T12:00:00'));
+
+      expect(notifications).toHaveLength(0);
+    });
+  });
+
+  describe('evaluateInventoryLevels', () => {
+    it('should alert on active-season items below the threshold', async () => {
+      AlertRule.find.mockResolvedValue([
+        { _id: 'rule1', metric: 'inventoryLevel', condition: '<', threshold: 50, priority: 'Info' }
+      ]);
+      Season.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['season1']) });
+      InventoryItem.aggregate.mockResolvedValue([
+        { _id: 'item1', itemName: { en: 'Grower Feed' }, unit: 'kg', currentQuantity: 20 },
+        { _id: 'item2', itemName: { en: 'Lime' }, unit: 'kg', currentQuantity: 200 }
+      ]);
+      Notification.exists.mockResolvedValue(null);
+
+      const notifications = await alertEngine.evaluateInventoryLevels();
+
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0]).toEqual(expect.objectContaining({
+        title: 'Low stock: Grower Feed',
+        priority: 'Low',
+        relatedDocument: 'item1',
+        relatedDocumentModel: 'InventoryItem'
+      }));
+    });
+  });
+});
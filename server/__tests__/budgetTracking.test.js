@@ -0,0 +1,111 @@
+jest.mock('../models/Expense', () => ({ aggregate: jest.fn() }));
+jest.mock('../models/FeedInput', () => ({ aggregate: jest.fn() }));
+jest.mock('../models/WaterQualityInput', () => ({ aggregate: jest.fn() }));
+jest.mock('../models/Season', () => ({ findById: jest.fn(), find: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../utils/pondStocking', () => ({ getSeedCost: jest.fn() }));
+jest.mock('../controllers/notificationController', () => ({
+  createNotificationInternal: jest.fn().mockResolvedValue({})
+}));
+
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const FeedInput = require('../models/FeedInput');
+const WaterQualityInput = require('../models/WaterQualityInput');
+const Season = require('../models/Season');
+const pondStocking = require('../utils/pondStocking');
+const notificationController = require('../controllers/notificationController');
+const {
+  expenseLine,
+  getSeasonActuals,
+  compareBudget,
+  crossedThresholds,
+  checkBudgetThresholds
+} = require('../utils/budgetTracking');
+
+// Aggregation row as grouped for base-currency conversion
+const row = (key, amount) => ({ _id: { key, currency: 'LKR', day: '2026-01-10' }, amount });
+
+describe('budgetTracking', () => {
+  const seasonId = '64b000000000000000000001';
+  const season = {
+    _id: seasonId,
+    startDate: new Date(2026, 0, 1),
+    endDate: new Date(2026, 3, 11), // 100 days
+    budgetAllocation: { feeds: 10000, chemicals: 1000, labor: 5000, equipment: 0, other: 2000 },
+    settings: { budgetAlertThresholds: [80, 100] },
+    budgetAlertsSent: []
+  };
+  const now = new Date(2026, 0, 26); // 25 days in
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mongoose.Types.ObjectId = jest.fn(id => ({ id }));
+    FeedInput.aggregate.mockResolvedValue([row(null, 4000)]);
+    WaterQualityInput.aggregate.mockResolvedValue([row(null, 300)]);
+    Expense.aggregate.mockResolvedValue([
+      row('Culture/Feed', 500),
+      row('Culture/Probiotics', 600),
+      row('Salary/Monthly', 1200),
+      row('Farm/Maintenance', 150),
+      row('Farm/Electricity', 250)
+    ]);
+    pondStocking.getSeedCost.mockResolvedValue(1500);
+  });
+
+  it('should map expenses onto budget lines', () => {
+    expect(expenseLine('Culture', 'Feed')).toBe('feeds');
+    expect(expenseLine('Culture', 'Chemicals')).toBe('chemicals');
+    expect(expenseLine('Salary', 'Monthly')).toBe('labor');
+    expect(expenseLine('Farm', 'Maintenance')).toBe('equipment');
+    expect(expenseLine('Farm', 'Fuel')).toBe('other');
+  });
+
+  it('should total feed, chemical, seed and expense spend per line', async () => {
+    await expect(getSeasonActuals(seasonId)).resolves.toEqual({
+      feeds: 4500,
+      chemicals: 900,
+      labor: 1200,
+      equipment: 150,
+      other: 1750
+    });
+  });
+
+  it('should project end-of-season spend from the burn rate so far', () => {
+    const { daysElapsed, totalDays, lines, totals } = compareBudget(season, {
+      feeds: 4500, chemicals: 900, labor: 1200, equipment: 150, other: 1750
+    }, now);
+
+    expect([daysElapsed, totalDays]).toEqual([25, 100]);
+    expect(lines[0]).toEqual({
+      line: 'feeds',
+      budget: 10000,
+      actual: 4500,
+      percentUsed: 45,
+      burnRatePerDay: 180,
+      projected: 18000,
+      projectedOverrun: 8000
+    });
+    // A line without a budget has no percentage
+    expect(lines[3].percentUsed).toBeNull();
+    expect(totals.actual).toBe(8500);
+  });
+
+  it('should notify each threshold crossing once', async () => {
+    expect(crossedThresholds({ line: 'chemicals', percentUsed: 90 }, [100, 80], [])).toEqual([80]);
+    expect(crossedThresholds({ line: 'chemicals', percentUsed: 90 }, [80, 100], [{ line: 'chemicals', threshold: 80 }]))
+      .toEqual([]);
+
+    Season.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    const raised = await checkBudgetThresholds([season], now);
+
+    // Chemicals (90%) and other (87.5%) cross 80%; feeds and labor are below it
+    expect(raised).toBe(2);
+    expect(notificationController.createNotificationInternal).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'Budget 80% used: chemicals',
+      priority: 'Medium'
+    }));
+
+    Season.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    await expect(checkBudgetThresholds([season], now)).resolves.toBe(0);
+  });
+});
@@ -0,0 +1,98 @@
+jest.mock('../models/Employee', () => ({ find: jest.fn() }));
+jest.mock('../models/GrowthSampling', () => ({ find: jest.fn() }));
+jest.mock('../models/Harvest', () => ({ find: jest.fn() }));
+jest.mock('../models/InventoryAdjustment', () => ({ aggregate: jest.fn() }));
+jest.mock('../models/InventoryItem', () => ({ find: jest.fn() }));
+jest.mock('../models/Pond', () => ({ find: jest.fn() }));
+jest.mock('../models/Sale', () => ({ find: jest.fn() }));
+jest.mock('../models/Season', () => ({ findById: jest.fn() }));
+jest.mock('../models/Task', () => ({ find: jest.fn() }));
+jest.mock('../utils/pondStocking', () => ({ getPondStocking: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Employee = require('../models/Employee');
+const GrowthSampling = require('../models/GrowthSampling');
+const Harvest = require('../models/Harvest');
+const InventoryAdjustment = require('../models/InventoryAdjustment');
+const InventoryItem = require('../models/InventoryItem');
+const Pond = require('../models/Pond');
+const Sale = require('../models/Sale');
+const Season = require('../models/Season');
+const Task = require('../models/Task');
+const pondStocking = require('../utils/pondStocking');
+const {
+  feedRatePercent,
+  growthGramsPerDay,
+  projectPond,
+  getCashFlowForecast
+} = require('../utils/cashFlowForecast');
+
+const now = new Date('2026-03-02T08:00:00Z');
+
+describe('cashFlowForecast', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mongoose.Types.ObjectId = jest.fn(id => ({ id }));
+  });
+
+  it('feeds a smaller share of biomass as shrimp grow', () => {
+    expect(feedRatePercent(2)).toBe(7);
+    expect(feedRatePercent(12)).toBe(2.8);
+    expect(feedRatePercent(30)).toBe(2);
+  });
+
+  it('takes growth from the latest two samples, then the season target', () => {
+    const samples = [
+      { date: new Date('2026-03-01'), totalWeight: 1.2, totalCount: 100 },
+      { date: new Date('2026-02-22'), totalWeight: 0.85, totalCount: 100 }
+    ];
+
+    expect(growthGramsPerDay(samples, {})).toBeCloseTo(0.5);
+    expect(growthGramsPerDay(samples.slice(0, 1), { kpis: { targetGrowthRate: 2.1 } })).toBeCloseTo(0.3);
+    expect(growthGramsPerDay([], {})).toBe(0.2);
+  });
+
+  it('grows a pond until harvest size and stops feeding once harvested', () => {
+    const projection = projectPond({ count: 1000, weightGrams: 18, growthGramsPerDay: 1, harvestWeightGrams: 20, days: 7 });
+
+    // 18 g and 19 g at 2.3% of biomass, harvested at 20 g on the third day
+    expect(projection.dailyFeedKg).toHaveLength(2);
+    expect(projection.dailyFeedKg[0]).toBeCloseTo(18 * 0.023);
+    expect(projection.harvest).toEqual({ day: 2, biomassKg: 20 });
+
+    expect(projectPond({ count: 1000, weightGrams: 5, growthGramsPerDay: 0.1, harvestWeightGrams: 20, days: 7 }).harvest).toBeNull();
+  });
+
+  it('forecasts weekly feed bought beyond stock, salaries, task costs and harvest revenue', async () => {
+    Season.findById.mockResolvedValue({ _id: 's1', kpis: { targetSurvivalRate: 50 } });
+    Pond.find.mockResolvedValue([{ _id: 'p1', name: 'Pond 1' }]);
+    Harvest.find.mockResolvedValue([]);
+    Employee.find.mockResolvedValue([{ monthlySalary: 52000, currency: 'LKR' }]);
+    Task.find.mockResolvedValue([{ title: 'Repair dyke', dueDate: new Date('2026-03-10'), estimatedCost: 3000 }]);
+    InventoryItem.find.mockReturnValue({
+      sort: jest.fn().mockResolvedValue([{ _id: 'f1', unit: 'kg', costPerUnit: 400, currency: 'LKR' }])
+    });
+    InventoryAdjustment.aggregate.mockResolvedValue([{ _id: 'f1', quantity: 2 }]);
+    pondStocking.getPondStocking.mockResolvedValue({ count: 2000, biomassKg: 0 });
+    GrowthSampling.find.mockReturnValue({
+      sort: jest.fn().mockReturnValue({ limit: jest.fn().mockResolvedValue([{ date: new Date('2026-03-01'), totalWeight: 1.9, totalCount: 100 }]) })
+    });
+    Sale.find.mockResolvedValue([]);
+
+    const forecast = await getCashFlowForecast('s1', { weeks: 2, pricePerKg: 1500, now });
+
+    // 1,000 survivors at 19 g grow 0.2 g a day and reach 20 g on day 5
+    expect(forecast.ponds[0].expectedHarvestDate).toEqual(new Date('2026-03-07T00:00:00Z'));
+    expect(forecast.ponds[0].projectedHarvestKg).toBeCloseTo(20);
+    expect(forecast.weeks[0].inflows.harvestRevenue).toBeCloseTo(30000);
+    // About 2.2 kg of feed is eaten before harvest; 2 kg come from stock
+    expect(forecast.weeks[0].feedKg).toBeCloseTo(2.23, 1);
+    expect(forecast.weeks[0].outflows.feed).toBeCloseTo((forecast.weeks[0].feedKg - 2) * 400, 0);
+    expect(forecast.weeks[0].outflows.salaries).toBe(12000);
+    expect(forecast.weeks[1].outflows.tasks).toBe(3000);
+    expect(forecast.weeks[1].inflows.harvestRevenue).toBe(0);
+    expect(forecast.peakFundingNeed).toBe(0);
+    expect(forecast.assumptions.priceSource).toBe('request');
+    expect(forecast.warnings).toEqual([]);
+  });
+});
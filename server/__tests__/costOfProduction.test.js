@@ -0,0 +1,111 @@
+jest.mock('../models/Event', () => ({ findOne: jest.fn() }));
+jest.mock('../models/Expense', () => ({ aggregate: jest.fn() }));
+jest.mock('../models/FeedInput', () => ({ aggregate: jest.fn() }));
+jest.mock('../models/GrowthSampling', () => ({ findOne: jest.fn() }));
+jest.mock('../models/Harvest', () => ({ find: jest.fn() }));
+jest.mock('../models/Pond', () => ({ find: jest.fn() }));
+jest.mock('../models/Sale', () => ({ find: jest.fn() }));
+jest.mock('../models/Season', () => ({ findById: jest.fn() }));
+jest.mock('../models/Stocking', () => ({ aggregate: jest.fn(), findOne: jest.fn() }));
+jest.mock('../models/WaterQualityInput', () => ({ aggregate: jest.fn() }));
+jest.mock('../utils/pondStocking', () => ({ getSeedCost: jest.fn(), getPondStocking: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Expense = require('../models/Expense');
+const FeedInput = require('../models/FeedInput');
+const GrowthSampling = require('../models/GrowthSampling');
+const Harvest = require('../models/Harvest');
+const Pond = require('../models/Pond');
+const Sale = require('../models/Sale');
+const Season = require('../models/Season');
+const Stocking = require('../models/Stocking');
+const WaterQualityInput = require('../models/WaterQualityInput');
+const pondStocking = require('../utils/pondStocking');
+const {
+  allocateSharedCost,
+  estimateStandingBiomass,
+  costPerKg,
+  getCostOfProduction
+} = require('../utils/costOfProduction');
+
+const sorted = (value) => ({ sort: jest.fn().mockResolvedValue(value) });
+// Aggregation row as grouped for base-currency conversion
+const row = (key, amount) => ({ _id: { key, currency: 'LKR', day: '2026-03-01' }, amount });
+
+describe('costOfProduction', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mongoose.Types.ObjectId = jest.fn(id => ({ id }));
+  });
+
+  it('should share farm-level costs by weight, evenly when there is none', () => {
+    expect(allocateSharedCost(900, [{ pondId: 'a', weight: 1000 }, { pondId: 'b', weight: 2000 }]))
+      .toEqual(new Map([['a', 300], ['b', 600]]));
+    expect(allocateSharedCost(900, [{ pondId: 'a', weight: 0 }, { pondId: 'b', weight: 0 }]))
+      .toEqual(new Map([['a', 450], ['b', 450]]));
+  });
+
+  it('should estimate standing biomass from the latest sample and expected survival', () => {
+    // 100,000 stocked at 80% survival, 20,000 already harvested, sampled at 20 g
+    expect(estimateStandingBiomass({ count: 100000 }, 20000, { totalWeight: 2, totalCount: 100 }, 80)).toBe(1200);
+    expect(estimateStandingBiomass({ count: 100000 }, 0, null, 80)).toBe(0);
+  });
+
+  it('should price break-even on the stock still to be sold', () => {
+    expect(costPerKg({ totalCost: 10000, harvestedKg: 2000, standingBiomassKg: 0, revenue: 12000 }))
+      .toEqual({ costPerKg: 5, projectedCostPerKg: null, breakEvenPricePerKg: 5 });
+    expect(costPerKg({ totalCost: 10000, harvestedKg: 500, standingBiomassKg: 1500, revenue: 4000 }))
+      .toEqual({ costPerKg: 20, projectedCostPerKg: 5, breakEvenPricePerKg: 4 });
+  });
+
+  it('should cost each pond with direct and allocated farm-level costs', async () => {
+    const seasonId = '64b000000000000000000001';
+    Season.findById.mockResolvedValue({ _id: seasonId, kpis: { targetSurvivalRate: 80 } });
+    Pond.find.mockResolvedValue([
+      { _id: 'p1', name: 'Pond 1', size: 1000 },
+      { _id: 'p2', name: 'Pond 2', size: 3000 }
+    ]);
+    FeedInput.aggregate.mockResolvedValue([row('p1', 3000), row('p2', 1000)]);
+    WaterQualityInput.aggregate.mockResolvedValue([]);
+    Expense.aggregate
+      .mockResolvedValueOnce([row('p1', 500)])
+      .mockResolvedValueOnce([row(null, 1800)]);
+    Stocking.aggregate.mockResolvedValue([row('p1', 500), row('p2', 500)]);
+    pondStocking.getSeedCost.mockResolvedValue(1200);
+    Harvest.find.mockResolvedValue([
+      { _id: 'h1', pondId: 'p1', date: new Date(2026, 4, 1), harvestType: 'Final', totalBiomass: 1000, count: 50000 }
+    ]);
+    Sale.find.mockResolvedValue([{ harvestId: 'h1', totalRevenue: 6000 }]);
+    pondStocking.getPondStocking.mockResolvedValue({ count: 100000 });
+    Stocking.findOne.mockReturnValue(sorted({ date: new Date(2026, 1, 1) }));
+    Event.findOne.mockReturnValue(sorted(null));
+    GrowthSampling.findOne.mockReturnValue(sorted({ totalWeight: 1.5, totalCount: 100 }));
+
+    const report = await getCostOfProduction(seasonId, { allocationKey: 'area', now: new Date(2026, 5, 1) });
+
+    // 1800 of farm expenses plus 200 of nursery seed not stocked into any pond, shared 1:3 by area
+    expect(report.sharedCost).toBe(2000);
+    const [pond1, pond2] = report.ponds;
+    expect(pond1).toEqual(expect.objectContaining({
+      status: 'Harvested',
+      allocatedCost: 500,
+      totalCost: 4500,
+      costPerKg: 4.5,
+      breakEvenPricePerKg: 4.5,
+      daysInCulture: 89
+    }));
+    // 80,000 expected survivors at 15 g
+    expect(pond2).toEqual(expect.objectContaining({
+      status: 'In culture',
+      standingBiomassKg: 1200,
+      allocatedCost: 1500,
+      totalCost: 3000,
+      costPerKg: null,
+      projectedCostPerKg: 2.5
+    }));
+    expect(report.season).toEqual(expect.objectContaining({ totalCost: 7500, harvestedKg: 1000, revenue: 6000 }));
+
+    await expect(getCostOfProduction(seasonId, { allocationKey: 'volume' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
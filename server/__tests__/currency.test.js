@@ -0,0 +1,57 @@
+jest.mock('../models/ExchangeRate', () => ({ find: jest.fn() }));
+
+const ExchangeRate = require('../models/ExchangeRate');
+const { config } = require('../config');
+const { normalizeCurrency, createConverter, sumInBase } = require('../utils/currency');
+
+const sorted = (value) => ({ sort: jest.fn().mockResolvedValue(value) });
+
+describe('currency', () => {
+  const base = config.currency.base;
+  // Latest first, as loaded by the converter
+  const usdRates = [
+    { currency: 'USD', rate: 300, effectiveFrom: new Date('2026-03-01') },
+    { currency: 'USD', rate: 290, effectiveFrom: new Date('2026-01-01') }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ExchangeRate.find.mockReturnValue(sorted(usdRates));
+  });
+
+  it('should accept supported currency codes in any case', () => {
+    expect(normalizeCurrency('usd')).toBe('USD');
+    expect(normalizeCurrency()).toBe(base);
+    expect(() => normalizeCurrency('XYZ')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  it('should convert at the rate in effect on the transaction date', async () => {
+    const convert = await createConverter(['USD', base]);
+
+    expect(convert(10, 'USD', new Date('2026-02-15'))).toBe(2900);
+    expect(convert(10, 'USD', new Date('2026-03-01'))).toBe(3000);
+    expect(convert(10, base, new Date('2020-01-01'))).toBe(10);
+    expect(() => convert(10, 'USD', new Date('2025-12-31'))).toThrow(/No USD to .* exchange rate/);
+  });
+
+  it('should not load rates when everything is in the base currency', async () => {
+    const convert = await createConverter([base, undefined]);
+    expect(convert(25, undefined, new Date())).toBe(25);
+    expect(ExchangeRate.find).not.toHaveBeenCalled();
+  });
+
+  it('should total each key in the base currency', async () => {
+    const Model = {
+      aggregate: jest.fn().mockResolvedValue([
+        { _id: { key: 'p1', currency: 'USD', day: '2026-02-10' }, amount: 2 },
+        { _id: { key: 'p1', currency: base, day: '2026-02-10' }, amount: 100 },
+        { _id: { key: 'p2', currency: 'USD', day: '2026-03-01' }, amount: 1 }
+      ])
+    };
+
+    const totals = await sumInBase(Model, [{ $match: {} }], { amount: '$amount', currency: '$currency', date: '$date', groupBy: '$pondId' });
+
+    expect(totals).toEqual(new Map([['p1', 680], ['p2', 300]]));
+    expect(Model.aggregate.mock.calls[0][0][1].$group._id.key).toBe('$pondId');
+  });
+});
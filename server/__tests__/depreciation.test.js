@@ -0,0 +1,79 @@
+jest.mock('../models/Asset', () => ({ find: jest.fn() }));
+jest.mock('../models/Season', () => ({ findById: jest.fn() }));
+jest.mock('../models/ExchangeRate', () => ({ find: jest.fn() }));
+
+const Asset = require('../models/Asset');
+const ExchangeRate = require('../models/ExchangeRate');
+const Season = require('../models/Season');
+const {
+  bookValueOn,
+  depreciationBetween,
+  depreciationSchedule,
+  getSeasonDepreciation
+} = require('../utils/depreciation');
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+const purchased = new Date('2024-01-01T00:00:00Z');
+const yearsLater = (years) => new Date(purchased.getTime() + years * YEAR_MS);
+
+const aerator = {
+  _id: 'a1',
+  name: 'Paddlewheel 1',
+  category: 'Aerator',
+  purchaseDate: purchased,
+  purchaseCost: 1000,
+  salvageValue: 100,
+  usefulLifeYears: 5,
+  depreciationMethod: 'straightLine'
+};
+
+describe('depreciation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('depreciates straight-line evenly down to the salvage value and stops on disposal', () => {
+    expect(bookValueOn(aerator, purchased)).toBe(1000);
+    expect(depreciationBetween(aerator, purchased, yearsLater(1))).toBeCloseTo(180);
+    expect(depreciationBetween(aerator, yearsLater(0.5), yearsLater(1))).toBeCloseTo(90);
+    expect(bookValueOn(aerator, yearsLater(7))).toBe(100);
+
+    const disposed = { ...aerator, disposedDate: yearsLater(2) };
+    expect(bookValueOn(disposed, yearsLater(4))).toBeCloseTo(640);
+  });
+
+  it('depreciates declining-balance faster early and writes off to salvage at the end of the life', () => {
+    const pump = { ...aerator, depreciationMethod: 'decliningBalance', decliningBalanceFactor: 2 };
+
+    expect(bookValueOn(pump, yearsLater(1))).toBeCloseTo(600);
+    expect(bookValueOn(pump, yearsLater(2))).toBeCloseTo(360);
+    expect(bookValueOn(pump, yearsLater(5))).toBe(100);
+  });
+
+  it('builds a yearly schedule whose charges add up to cost less salvage', () => {
+    const schedule = depreciationSchedule({ ...aerator, usefulLifeYears: 2.5 });
+
+    expect(schedule.map(row => row.year)).toEqual([1, 2, 3]);
+    expect(schedule[2].depreciation).toBeCloseTo(180);
+    expect(schedule[2].bookValue).toBe(100);
+    expect(schedule.reduce((sum, row) => sum + row.depreciation, 0)).toBeCloseTo(900);
+  });
+
+  it('charges a season the depreciation accrued during it, converted to the base currency', async () => {
+    Season.findById.mockResolvedValue({ startDate: yearsLater(1), endDate: yearsLater(1.5) });
+    Asset.find.mockResolvedValue([
+      aerator,
+      { ...aerator, _id: 'g1', name: 'Generator', category: 'Generator', currency: 'USD', purchaseCost: 200, salvageValue: 0, usefulLifeYears: 2 }
+    ]);
+    ExchangeRate.find.mockReturnValue({
+      sort: jest.fn().mockResolvedValue([{ currency: 'USD', rate: 300, effectiveFrom: new Date('2023-01-01') }])
+    });
+
+    const report = await getSeasonDepreciation('s1', { now: yearsLater(3) });
+
+    // Aerator: half a year at 180/year; generator: half a year at 100 USD/year at 300 LKR per USD
+    expect(report.assets.map(charge => charge.depreciation)).toEqual([90, 15000]);
+    expect(report.total).toBe(15090);
+    expect(report.currency).toBe('LKR');
+  });
+});
@@ -0,0 +1,91 @@
+const WaterQualityInput = require('../models/WaterQualityInput');
+const Notification = require('../models/Notification');
+const Pond = require('../models/Pond');
+const notificationController = require('../controllers/notificationController');
+const diurnalOxygen = require('../utils/diurnalOxygen');
+
+jest.mock('../models/WaterQualityInput', () => ({ find: jest.fn() }));
+jest.mock('../models/Notification', () => ({ findOne: jest.fn() }));
+jest.mock('../models/Pond', () => ({ findById: jest.fn() }));
+jest.mock('../utils/waterQualityProfiles', () => ({
+  profileFor: jest.fn().mockResolvedValue({ parameters: { dissolvedOxygen: { acceptableMin: 4 } } })
+}));
+jest.mock('../controllers/notificationController', () => ({
+  createNotificationInternal: jest.fn(data => Promise.resolve({ _id: 'notif1', ...data }))
+}));
+
+const at = (day, hour, dissolvedOxygen) => ({ timestamp: new Date(2026, 5, day, hour), dissolvedOxygen });
+
+describe('diurnalOxygen', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should pair dusk with the next dawn and measure each day\'s swing', () => {
+    const readings = [at(1, 18, 8), at(1, 22, 7), at(2, 6, 5.6), at(2, 14, 9), at(2, 18, 8.4), at(3, 6, 4.8)];
+
+    const nights = diurnalOxygen.pairNights(readings);
+    expect(nights.map(({ hours, declineRate }) => ({ hours, declineRate }))).toEqual([
+      { hours: 12, declineRate: 0.2 },
+      { hours: 12, declineRate: 0.3 }
+    ]);
+    expect(diurnalOxygen.dailySwings(readings).map(day => day.swing)).toEqual([3.4]);
+  });
+
+  it('should project tonight\'s own decline to dawn', () => {
+    const readings = [at(1, 18, 8), at(1, 22, 6)];
+
+    const forecast = diurnalOxygen.forecastTonight(readings, [], { threshold: 3, dawnHour: 6, now: new Date(2026, 5, 1, 22, 30) });
+
+    expect(forecast).toEqual(expect.objectContaining({
+      method: 'tonight',
+      declineRate: 0.5,
+      hoursToDawn: 8,
+      predictedMinimum: 2,
+      atRisk: true
+    }));
+    expect(forecast.projection).toHaveLength(9);
+    expect(forecast.projection[8].dissolvedOxygen).toBe(2);
+  });
+
+  it('should fall back to recent nights weighted towards the latest, and skip nights already over', () => {
+    const readings = [at(1, 18, 8), at(2, 6, 5.6), at(2, 18, 8.4), at(3, 6, 4.8), at(3, 20, 6)];
+    const nights = diurnalOxygen.pairNights(readings);
+
+    const forecast = diurnalOxygen.forecastTonight(readings, nights, { threshold: 3, dawnHour: 6, now: new Date(2026, 5, 3, 20, 5) });
+    expect(forecast.method).toBe('recentNights');
+    expect(forecast.declineRate).toBeCloseTo(0.267, 3);
+    expect(forecast.predictedMinimum).toBe(3.33);
+    expect(forecast.atRisk).toBe(false);
+
+    expect(diurnalOxygen.forecastTonight(readings, nights, { threshold: 3, dawnHour: 6, now: new Date(2026, 5, 4, 7) })).toBeNull();
+  });
+
+  it('should warn once per night when an evening reading forecasts a crash', async () => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const reading = { _id: 'wq2', pondId: 'pond1', date: today, time: '20:00', dissolvedOxygen: 5 };
+    WaterQualityInput.find.mockReturnValue({
+      select: () => ({
+        sort: () => ({
+          lean: () => Promise.resolve([{ _id: 'wq1', date: today, time: '18:00', dissolvedOxygen: 7 }, reading])
+        })
+      })
+    });
+    Pond.findById.mockResolvedValue({ _id: 'pond1', name: { en: 'Pond A' } });
+    Notification.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce({ _id: 'notif1' });
+
+    const notification = await diurnalOxygen.warnOfOxygenCrash(reading);
+    expect(notification).toEqual(expect.objectContaining({
+      title: 'Pre-dawn oxygen crash forecast: Pond A',
+      priority: 'Critical',
+      pondId: 'pond1',
+      relatedDocument: 'wq2'
+    }));
+    expect(notification.message).toContain('below 4 mg/L');
+
+    expect(await diurnalOxygen.warnOfOxygenCrash(reading)).toBeNull();
+    expect(await diurnalOxygen.warnOfOxygenCrash({ ...reading, time: '12:00' })).toBeNull();
+    expect(notificationController.createNotificationInternal).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,72 @@
+// jest.setup.js stubs the synchronous fs calls these checks rely on
+const fs = jest.requireActual('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { config } = require('../config');
+const { localDriver, registerDriver, storeFile, removeFile } = require('../utils/fileStorage');
+
+describe('fileStorage', () => {
+  const originalUpload = { ...config.upload };
+  let uploadPath;
+
+  const exists = (key) => fs.existsSync(path.join(uploadPath, key));
+
+  beforeEach(() => {
+    uploadPath = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    config.upload.uploadPath = uploadPath;
+    config.upload.storageDriver = 'local';
+    // Registering again drops the driver already created for the previous directory
+    registerDriver('local', () => localDriver(uploadPath));
+  });
+
+  afterEach(() => {
+    Object.assign(config.upload, originalUpload);
+    fs.rmSync(uploadPath, { recursive: true, force: true });
+  });
+
+  it('should store an image with a thumbnail no wider than configured', async () => {
+    const buffer = await sharp({ create: { width: 1200, height: 800, channels: 3, background: '#3a7' } }).png().toBuffer();
+
+    const stored = await storeFile({ buffer, mimetype: 'image/png', originalname: 'receipt.png', size: buffer.length }, 'receipts');
+
+    expect(stored.key).toMatch(/^receipts\/.+\.png$/);
+    expect(stored).toMatchObject({ filename: 'receipt.png', mimetype: 'image/png', size: buffer.length });
+    expect(exists(stored.key)).toBe(true);
+    const thumbnail = await sharp(path.join(uploadPath, stored.thumbnailKey)).metadata();
+    expect(thumbnail).toMatchObject({ format: 'jpeg', width: config.upload.thumbnailWidth });
+  });
+
+  it('should store a PDF without a thumbnail', async () => {
+    const buffer = Buffer.from('%PDF-1.4\n%receipt\n');
+
+    const stored = await storeFile({ buffer, mimetype: 'application/pdf', originalname: 'invoice.pdf' }, 'receipts');
+
+    expect(stored.thumbnailKey).toBeUndefined();
+    expect(fs.readFileSync(path.join(uploadPath, stored.key))).toEqual(buffer);
+  });
+
+  it('should reject disallowed types, oversized files and content that does not match its type', async () => {
+    const text = { buffer: Buffer.from('hello'), mimetype: 'text/plain', originalname: 'a.txt' };
+    const fakeImage = { buffer: Buffer.from('%PDF-1.4'), mimetype: 'image/jpeg', originalname: 'a.jpg' };
+    config.upload.maxFileSize = 4;
+    const large = { buffer: Buffer.from('%PDF-1.4'), mimetype: 'application/pdf', originalname: 'a.pdf' };
+
+    await expect(storeFile(text, 'receipts')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(storeFile(large, 'receipts')).rejects.toThrow('exceeds maximum');
+    config.upload.maxFileSize = originalUpload.maxFileSize;
+    await expect(storeFile(fakeImage, 'receipts')).rejects.toThrow('not a valid image/jpeg');
+    await expect(storeFile(undefined, 'receipts')).rejects.toThrow('No file uploaded');
+    expect(fs.readdirSync(uploadPath)).toEqual([]);
+  });
+
+  it('should remove a file with its thumbnail through the configured driver', async () => {
+    const buffer = await sharp({ create: { width: 10, height: 10, channels: 3, background: '#000' } }).jpeg().toBuffer();
+    const stored = await storeFile({ buffer, mimetype: 'image/jpeg', originalname: 'photo.jpg' }, 'events');
+
+    await removeFile(stored);
+
+    expect(exists(stored.key)).toBe(false);
+    expect(exists(stored.thumbnailKey)).toBe(false);
+  });
+});
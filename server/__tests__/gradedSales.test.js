@@ -0,0 +1,73 @@
+jest.mock('../models/BuyerPriceList', () => ({ findOne: jest.fn() }));
+jest.mock('../models/Sale', () => ({ find: jest.fn() }));
+
+const BuyerPriceList = require('../models/BuyerPriceList');
+const Sale = require('../models/Sale');
+const {
+  normalizeGrade,
+  normalizeHarvestGrades,
+  priceLineItems,
+  summarizeLineItems,
+  priceGradedSale
+} = require('../utils/gradedSales');
+
+describe('gradedSales', () => {
+  const priceList = {
+    prices: [
+      { grade: '30/40', pricePerKg: 9 },
+      { grade: '40/50', pricePerKg: 7.5 },
+      { grade: 'Soft-shell', pricePerKg: 3 }
+    ]
+  };
+
+  it('should normalize count grades and off-grades', () => {
+    expect(normalizeGrade(' 30 / 40 ')).toBe('30/40');
+    expect(normalizeGrade('reject')).toBe('Reject');
+    expect(normalizeGrade('40/30')).toBeNull();
+    expect(normalizeGrade('large')).toBeNull();
+  });
+
+  it('should refuse grade breakdowns that exceed the harvested biomass', () => {
+    expect(normalizeHarvestGrades([{ grade: '30/40', quantity: 600 }, { grade: 'Reject', quantity: 20 }], 650))
+      .toEqual([{ grade: '30/40', quantity: 600 }, { grade: 'Reject', quantity: 20 }]);
+    expect(() => normalizeHarvestGrades([{ grade: '30/40', quantity: 600 }, { grade: '40/50', quantity: 100 }], 650))
+      .toThrow(/exceed/);
+    expect(() => normalizeHarvestGrades([{ grade: '30/40', quantity: 1 }, { grade: '30 / 40', quantity: 1 }], 650))
+      .toThrow(/only be listed once/);
+  });
+
+  it('should price line items from the price list unless a price is given', () => {
+    const items = priceLineItems([
+      { grade: '30/40', quantity: 100 },
+      { grade: '40/50', quantity: 200, pricePerKg: 8 },
+      { grade: 'soft-shell', quantity: 10 }
+    ], priceList);
+
+    expect(items).toEqual([
+      { grade: '30/40', quantity: 100, pricePerKg: 9, amount: 900 },
+      { grade: '40/50', quantity: 200, pricePerKg: 8, amount: 1600 },
+      { grade: 'Soft-shell', quantity: 10, pricePerKg: 3, amount: 30 }
+    ]);
+    expect(summarizeLineItems(items)).toEqual({ quantitySold: 310, totalRevenue: 2530, pricePerKg: 8.16 });
+    expect(() => priceLineItems([{ grade: '60/70', quantity: 5 }], priceList)).toThrow(/No price for grade 60\/70/);
+  });
+
+  it('should not sell more of a grade than the harvest has left', async () => {
+    BuyerPriceList.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(priceList) });
+    Sale.find.mockResolvedValue([{ lineItems: [{ grade: '30/40', quantity: 250 }] }]);
+    const harvest = { _id: 'harvest1', grades: [{ grade: '30/40', quantity: 300 }, { grade: '40/50', quantity: 200 }] };
+
+    const sale = await priceGradedSale(harvest, {
+      buyerName: 'Coastal Seafoods',
+      date: new Date(),
+      lineItems: [{ grade: '30/40', quantity: 50 }, { grade: '40/50', quantity: 200 }]
+    });
+    expect(sale.totalRevenue).toBe(1950);
+
+    await expect(priceGradedSale(harvest, {
+      buyerName: 'Coastal Seafoods',
+      date: new Date(),
+      lineItems: [{ grade: '30/40', quantity: 60 }]
+    })).rejects.toMatchObject({ statusCode: 400, message: 'Only 50 kg of grade 30/40 remain unsold' });
+  });
+});
@@ -0,0 +1,56 @@
+jest.mock('../models/Harvest', () => ({ findOne: jest.fn(), find: jest.fn() }));
+jest.mock('../models/Event', () => jest.fn());
+jest.mock('../models/FeedInput', () => ({ find: jest.fn() }));
+jest.mock('../models/Pond', () => ({ findByIdAndUpdate: jest.fn() }));
+jest.mock('../utils/pondStocking', () => ({ getPondStocking: jest.fn() }));
+
+const Harvest = require('../models/Harvest');
+const { estimateCount, accumulateHarvests, recordHarvest } = require('../utils/harvestAccounting');
+
+describe('harvestAccounting', () => {
+  const stocked = { count: 100000, biomassKg: 10 };
+  const feedInputs = [
+    { date: new Date(2026, 6, 1), quantity: 1500 },
+    { date: new Date(2026, 7, 1), quantity: 1500 },
+    { date: new Date(2026, 8, 1), quantity: 500 }
+  ];
+
+  it('should estimate the harvested count from biomass and ABW', () => {
+    expect(estimateCount(500, 20)).toBe(25000);
+    expect(estimateCount(500, 0)).toBe(0);
+  });
+
+  it('should keep running totals across partial harvests', () => {
+    const results = accumulateHarvests([
+      { date: new Date(2026, 7, 15), harvestType: 'Partial', totalBiomass: 300, finalABW: 15 },
+      { date: new Date(2026, 7, 1), harvestType: 'Partial', totalBiomass: 200, finalABW: 10 }
+    ], stocked, feedInputs);
+
+    expect(results.map(r => [r.count, r.cumulativeBiomass, r.cumulativeCount])).toEqual([
+      [20000, 200, 20000],
+      [20000, 500, 40000]
+    ]);
+    expect(results.every(r => r.survivalRate === undefined && r.fcr === undefined)).toBe(true);
+  });
+
+  it('should compute survival and FCR on the final harvest from every harvest of the cycle', () => {
+    const results = accumulateHarvests([
+      { date: new Date(2026, 7, 1), harvestType: 'Partial', totalBiomass: 200, finalABW: 10 },
+      { date: new Date(2026, 7, 20), harvestType: 'Final', totalBiomass: 1410, finalABW: 30 }
+    ], stocked, feedInputs);
+
+    const final = results[1];
+    expect(final.cumulativeBiomass).toBe(1610);
+    expect(final.cumulativeCount).toBe(67000);
+    expect(final.survivalRate).toBe(67);
+    // Feed after the final harvest date is not counted
+    expect(final.fcr).toBe(Number((3000 / 1600).toFixed(2)));
+  });
+
+  it('should refuse harvests once the pond has a final harvest', async () => {
+    Harvest.findOne.mockResolvedValue({ _id: 'final1', harvestType: 'Final' });
+
+    await expect(recordHarvest({ pondId: 'pond1', seasonId: 'season1', date: new Date(), totalBiomass: 100, finalABW: 20 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,181 @@
+const http = require('http');
+const nodemailer = require('nodemailer');
+const User = require('../models/User');
+const Webhook = require('../models/Webhook');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { config } = require('../config');
+const { signPayload } = require('../utils/notificationChannels');
+const notificationDelivery = require('../utils/notificationDelivery');
+
+jest.mock('nodemailer', () => ({ createTransport: jest.fn() }));
+jest.mock('../models/User', () => ({ find: jest.fn() }));
+jest.mock('../models/Webhook', () => ({ find: jest.fn() }));
+jest.mock('../models/NotificationDelivery', () => ({
+  create: jest.fn(data => Promise.resolve({ _id: 'delivery1', ...data }))
+}));
+
+describe('notificationDelivery', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let responseStatus;
+  const sendMail = jest.fn();
+
+  const notification = {
+    _id: 'notif1',
+    title: 'Dissolved oxygen alert: Pond A',
+    message: 'Dissolved oxygen for Pond A is 3.2 (rule: < 4)',
+    type: 'Alert',
+    priority: 'Critical',
+    link: '/pond/pond1'
+  };
+
+  const user = (preferences, extra = {}) => ({
+    _id: 'user1',
+    email: 'night.shift@example.com',
+    phone: '+15550001111',
+    notificationPreferences: preferences,
+    ...extra
+  });
+
+  beforeAll(done => {
+    // Local HTTP sink standing in for the SMS gateway and webhook receivers
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body });
+        res.writeHead(responseStatus);
+        res.end();
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    requests = [];
+    responseStatus = 200;
+    nodemailer.createTransport.mockReturnValue({ sendMail });
+    sendMail.mockResolvedValue({ messageId: '<msg1@example.com>' });
+    User.find.mockResolvedValue([]);
+    Webhook.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+    config.email.host = 'localhost';
+    config.notifications.retryDelayMs = 0;
+    config.notifications.maxAttempts = 3;
+    config.notifications.sms.gatewayUrl = `${baseUrl}/sms`;
+  });
+
+  describe('isWithinQuietHours', () => {
+    it('should handle windows that span midnight', () => {
+      const quietHours = { enabled: true, start: '22:00', end: '06:00' };
+
+      expect(notificationDelivery.isWithinQuietHours(quietHours, new Date('2024-05-02T03:00:00'))).toBe(true);
+      expect(notificationDelivery.isWithinQuietHours(quietHours, new Date('2024-05-02T23:30:00'))).toBe(true);
+      expect(notificationDelivery.isWithinQuietHours(quietHours, new Date('2024-05-02T12:00:00'))).toBe(false);
+      expect(notificationDelivery.isWithinQuietHours({ ...quietHours, enabled: false },
+        new Date('2024-05-02T03:00:00'))).toBe(false);
+    });
+  });
+
+  describe('deliverNotification', () => {
+    it('should email and text users whose preferences cover the priority', async () => {
+      User.find.mockResolvedValue([user({
+        email: { enabled: true, minPriority: 'High' },
+        sms: { enabled: true, minPriority: 'Critical' }
+      })]);
+
+      const deliveries = await notificationDelivery.deliverNotification(notification, new Date('2024-05-02T03:00:00'));
+
+      expect(deliveries).toHaveLength(2);
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'night.shift@example.com',
+        subject: '[Critical] Dissolved oxygen alert: Pond A'
+      }));
+      expect(requests).toHaveLength(1);
+      expect(JSON.parse(requests[0].body)).toEqual(expect.objectContaining({ to: '+15550001111' }));
+      expect(NotificationDelivery.create).toHaveBeenCalledWith(expect.objectContaining({
+        channel: 'sms',
+        status: 'sent',
+        attempts: 1,
+        response: 'HTTP 200'
+      }));
+    });
+
+    it('should skip channels whose minimum priority is not reached', async () => {
+      User.find.mockResolvedValue([user({ email: { enabled: true, minPriority: 'Critical' } })]);
+
+      const deliveries = await notificationDelivery.deliverNotification({ ...notification, priority: 'Medium' });
+
+      expect(deliveries).toHaveLength(0);
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+
+    it('should record a suppressed delivery during quiet hours', async () => {
+      User.find.mockResolvedValue([user({
+        email: { enabled: true, minPriority: 'Low' },
+        quietHours: { enabled: true, start: '22:00', end: '06:00', allowedPriorities: ['Critical'] }
+      })]);
+
+      await notificationDelivery.deliverNotification({ ...notification, priority: 'High' },
+        new Date('2024-05-02T03:00:00'));
+
+      expect(sendMail).not.toHaveBeenCalled();
+      expect(NotificationDelivery.create).toHaveBeenCalledWith(expect.objectContaining({
+        channel: 'email',
+        status: 'suppressed',
+        error: 'Quiet hours'
+      }));
+    });
+
+    it('should send signed webhook payloads', async () => {
+      Webhook.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([
+          { _id: 'hook1', url: `${baseUrl}/hook`, secret: 's3cret', priorities: [], types: ['Alert'] },
+          { _id: 'hook2', url: `${baseUrl}/ignored`, secret: 'other', priorities: ['Low'], types: [] }
+        ])
+      });
+
+      await notificationDelivery.deliverNotification(notification);
+
+      expect(requests).toHaveLength(1);
+      const [request] = requests;
+      expect(request.url).toBe('/hook');
+      expect(request.headers['x-shrimpfarm-signature']).toBe(
+        `sha256=${signPayload('s3cret', request.headers['x-shrimpfarm-timestamp'], request.body)}`
+      );
+      expect(JSON.parse(request.body).notification.priority).toBe('Critical');
+
+      // Escalations do not re-post to webhooks
+      requests = [];
+      await notificationDelivery.deliverNotification(notification, new Date(), { roles: ['manager'] });
+      expect(requests).toHaveLength(0);
+    });
+
+    it('should retry and record failures', async () => {
+      responseStatus = 503;
+      Webhook.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([{ _id: 'hook1', url: `${baseUrl}/hook`, secret: 's3cret' }])
+      });
+
+      await notificationDelivery.deliverNotification(notification);
+
+      expect(requests).toHaveLength(3);
+      expect(NotificationDelivery.create).toHaveBeenCalledWith(expect.objectContaining({
+        channel: 'webhook',
+        webhookId: 'hook1',
+        status: 'failed',
+        attempts: 3,
+        error: expect.stringContaining('HTTP 503')
+      }));
+    });
+  });
+});
@@ -0,0 +1,81 @@
+jest.mock('../models/Notification', () => ({
+  find: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../utils/notificationDelivery', () => ({
+  deliverNotification: jest.fn().mockResolvedValue([])
+}));
+jest.mock('../utils/realtime', () => ({
+  publish: jest.fn()
+}));
+
+const Notification = require('../models/Notification');
+const notificationDelivery = require('../utils/notificationDelivery');
+const { escalateUnacknowledged } = require('../utils/notificationEscalation');
+const { config } = require('../config');
+
+describe('notificationEscalation', () => {
+  const now = new Date('2026-06-01T12:00:00Z');
+  const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+  const timeout = config.notifications.escalation.ackTimeoutMinutes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Notification.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  it('should escalate an unacknowledged Critical notification to managers', async () => {
+    Notification.find.mockResolvedValue([
+      { _id: 'n1', priority: 'Critical', escalationLevel: 0, escalations: [], createdAt: minutesAgo(timeout + 1) }
+    ]);
+
+    const escalated = await escalateUnacknowledged(now);
+
+    expect(escalated).toHaveLength(1);
+    expect(Notification.updateOne).toHaveBeenCalledWith(
+      { _id: 'n1', escalationLevel: 0, acknowledgedAt: null },
+      { $set: { escalationLevel: 1 }, $push: { escalations: { role: 'manager', escalatedAt: now } } }
+    );
+    expect(notificationDelivery.deliverNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: 'n1', escalationLevel: 1 }), now, { roles: ['manager'] }
+    );
+  });
+
+  it('should wait a full timeout after the previous escalation before escalating again', async () => {
+    Notification.find.mockResolvedValue([
+      {
+        _id: 'n1',
+        priority: 'Critical',
+        escalationLevel: 1,
+        escalations: [{ role: 'manager', escalatedAt: minutesAgo(timeout - 5) }],
+        createdAt: minutesAgo(timeout * 2)
+      },
+      {
+        _id: 'n2',
+        priority: 'Critical',
+        escalationLevel: 1,
+        escalations: [{ role: 'manager', escalatedAt: minutesAgo(timeout + 5) }],
+        createdAt: minutesAgo(timeout * 3)
+      }
+    ]);
+
+    const escalated = await escalateUnacknowledged(now);
+
+    expect(escalated.map(notification => notification._id)).toEqual(['n2']);
+    expect(notificationDelivery.deliverNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: 'n2' }), now, { roles: ['admin'] }
+    );
+  });
+
+  it('should not deliver when the notification was acknowledged in the meantime', async () => {
+    Notification.find.mockResolvedValue([
+      { _id: 'n1', priority: 'Critical', escalationLevel: 0, escalations: [], createdAt: minutesAgo(timeout + 1) }
+    ]);
+    Notification.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    const escalated = await escalateUnacknowledged(now);
+
+    expect(escalated).toHaveLength(0);
+    expect(notificationDelivery.deliverNotification).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,112 @@
+const mockDoc = (fields) => ({ _id: `${fields.pondId || 'doc'}-id`, ...fields, validateSync: () => null });
+
+jest.mock('../models/Stocking', () => {
+  const Stocking = jest.fn(fields => mockDoc(fields));
+  Stocking.find = jest.fn();
+  Stocking.exists = jest.fn();
+  Stocking.insertMany = jest.fn(docs => Promise.resolve(docs));
+  return Stocking;
+});
+jest.mock('../models/Event', () => {
+  const Event = jest.fn(fields => mockDoc(fields));
+  Event.find = jest.fn();
+  Event.insertMany = jest.fn(docs => Promise.resolve(docs));
+  Event.deleteMany = jest.fn();
+  return Event;
+});
+jest.mock('../models/NurseryBatch', () => ({
+  find: jest.fn(),
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../models/Pond', () => ({ find: jest.fn() }));
+
+const Stocking = require('../models/Stocking');
+const Event = require('../models/Event');
+const NurseryBatch = require('../models/NurseryBatch');
+const Pond = require('../models/Pond');
+const { summarizeStockings, getPondStocking, getSeedCost, stockPonds } = require('../utils/pondStocking');
+
+describe('pondStocking', () => {
+  const batch = { _id: 'batch1', seasonId: 'season1', initialCount: 100000, totalCost: 50000, species: 'Vannamei', remainingCount: 60000 };
+  const transfer = {
+    seasonId: 'season1',
+    date: new Date(2026, 5, 1),
+    source: 'NurseryBatch',
+    nurseryBatchId: 'batch1',
+    averageWeight: 0.5,
+    allocations: [{ pondId: 'pondA', count: 30000 }, { pondId: 'pondB', count: 20000 }]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Pond.find.mockResolvedValue([{ _id: 'pondA' }, { _id: 'pondB' }]);
+    NurseryBatch.findById.mockResolvedValue(batch);
+  });
+
+  it('should total count, stocked biomass and seed cost', () => {
+    expect(summarizeStockings([
+      { count: 30000, averageWeight: 0.5, totalCost: 15000 },
+      { count: 10000, averageWeight: 1, totalCost: 6000 }
+    ])).toEqual({ count: 40000, biomassKg: 25, seedCost: 21000 });
+  });
+
+  it('should fall back to Stocking events for ponds without stocking records', async () => {
+    Stocking.find.mockResolvedValue([]);
+    Event.find.mockResolvedValue([{ details: { initialCount: 25000 } }, { details: { quantity: 5000 } }]);
+
+    const stocked = await getPondStocking('pondA', 'season1');
+    expect(stocked.count).toBe(30000);
+  });
+
+  it('should cost legacy Stocking events at their batch cost per post-larva', async () => {
+    Stocking.exists.mockResolvedValue(null);
+    Event.find.mockResolvedValue([
+      { date: new Date(2025, 5, 1), details: { nurseryBatchId: 'batch1', initialCount: 20000 } },
+      { date: new Date(2025, 5, 1), details: { quantity: 5000 } }
+    ]);
+    NurseryBatch.find.mockResolvedValue([batch]);
+
+    await expect(getSeedCost({ pondId: 'pondA', seasonId: 'season1' })).resolves.toBe(10000);
+    expect(Event.find).toHaveBeenCalledWith({ pondId: 'pondA', seasonId: 'season1', eventType: 'Stocking' });
+  });
+
+  it('should refuse a batch from another season', async () => {
+    NurseryBatch.findById.mockResolvedValue({ ...batch, seasonId: 'season0' });
+
+    await expect(stockPonds(transfer)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Nursery batch belongs to a different season'
+    });
+    expect(NurseryBatch.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('should transfer from a batch, splitting its cost per post-larva across ponds', async () => {
+    NurseryBatch.findOneAndUpdate.mockResolvedValue({ ...batch, remainingCount: 10000 });
+
+    const stockings = await stockPonds(transfer);
+
+    expect(NurseryBatch.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'batch1', remainingCount: { $gte: 50000 } },
+      { $inc: { remainingCount: -50000 } },
+      { new: true }
+    );
+    expect(stockings.map(s => [s.pondId, s.count, s.totalCost])).toEqual([['pondA', 30000, 15000], ['pondB', 20000, 10000]]);
+    expect(Event.insertMany).toHaveBeenCalledWith([
+      expect.objectContaining({ eventType: 'Stocking', pondId: 'pondA', details: expect.objectContaining({ quantity: 30000 }) }),
+      expect.objectContaining({ eventType: 'Stocking', pondId: 'pondB', details: expect.objectContaining({ quantity: 20000 }) })
+    ]);
+  });
+
+  it('should refuse to transfer more than the batch has left', async () => {
+    NurseryBatch.findOneAndUpdate.mockResolvedValue(null);
+    NurseryBatch.findById.mockResolvedValueOnce(batch).mockResolvedValueOnce({ ...batch, remainingCount: 40000 });
+
+    await expect(stockPonds(transfer)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Only 40000 post-larvae remain in this batch'
+    });
+    expect(Stocking.insertMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,69 @@
+const EventEmitter = require('events');
+const realtime = require('../utils/realtime');
+
+describe('realtime', () => {
+  const connect = (user, query = {}) => {
+    const req = new EventEmitter();
+    req.user = user;
+    req.query = query;
+    const res = { writeHead: jest.fn(), write: jest.fn() };
+    realtime.subscribe(req, res);
+    return { req, res };
+  };
+
+  const eventsWritten = (res, type) => res.write.mock.calls
+    .map(([frame]) => frame)
+    .filter(frame => frame.includes(`event: ${type}\n`));
+
+  const admin = { _id: 'admin1', role: 'admin' };
+  const operator = { _id: 'op1', role: 'operator', permissions: ['read:feedInputs'] };
+  const pondReader = { _id: 'op2', role: 'operator', permissions: ['read:ponds'] };
+
+  it('should open an event stream and confirm the connection', () => {
+    const { req, res } = connect(admin);
+
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+      'Content-Type': 'text/event-stream'
+    }));
+    expect(eventsWritten(res, 'connected')).toHaveLength(1);
+
+    req.emit('close');
+    expect(realtime.getClientCount()).toBe(0);
+  });
+
+  it('should only send events the user may read', () => {
+    const adminClient = connect(admin);
+    const operatorClient = connect(operator);
+    const pondReaderClient = connect(pondReader);
+
+    realtime.publish('waterQualityInput', { _id: 'wq1' }, { pondId: 'pond1' });
+    realtime.publish('feedInput', { _id: 'feed1' }, { pondId: 'pond1' });
+    realtime.publish('notification', { _id: 'notif1' });
+
+    expect(eventsWritten(adminClient.res, 'waterQualityInput')).toHaveLength(1);
+    expect(eventsWritten(operatorClient.res, 'waterQualityInput')).toHaveLength(0);
+    expect(eventsWritten(operatorClient.res, 'feedInput')).toHaveLength(1);
+    expect(eventsWritten(operatorClient.res, 'notification')).toHaveLength(0);
+    expect(eventsWritten(pondReaderClient.res, 'notification')).toHaveLength(1);
+    expect(eventsWritten(pondReaderClient.res, 'feedInput')).toHaveLength(0);
+
+    adminClient.req.emit('close');
+    operatorClient.req.emit('close');
+    pondReaderClient.req.emit('close');
+  });
+
+  it('should narrow pond-filtered streams to that pond', () => {
+    const client = connect(admin, { pondId: 'pond1' });
+
+    realtime.publish('pondStatus', { pondId: 'pond2', status: 'Inactive' }, { pondId: 'pond2' });
+    realtime.publish('pondStatus', { pondId: 'pond1', status: 'Active' }, { pondId: 'pond1' });
+    realtime.publish('notification', { _id: 'notif1' });
+
+    const statusFrames = eventsWritten(client.res, 'pondStatus');
+    expect(statusFrames).toHaveLength(1);
+    expect(statusFrames[0]).toContain('"pondId":"pond1"');
+    expect(eventsWritten(client.res, 'notification')).toHaveLength(1);
+
+    client.req.emit('close');
+  });
+});
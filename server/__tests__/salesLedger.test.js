@@ -0,0 +1,147 @@
+jest.mock('../models/Buyer', () => ({ findById: jest.fn() }));
+jest.mock('../models/Harvest', () => ({ exists: jest.fn(), updateOne: jest.fn(), findOneAndUpdate: jest.fn(), findById: jest.fn() }));
+jest.mock('../models/Counter', () => ({ exists: jest.fn(), updateOne: jest.fn(), findOneAndUpdate: jest.fn() }));
+jest.mock('../models/Invoice', () => {
+  const Invoice = jest.fn(function (data) {
+    Object.assign(this, data);
+    this._id = 'invoice1';
+    this.validateSync = () => undefined;
+    this.save = jest.fn();
+  });
+  Object.assign(Invoice, { find: jest.fn(), findOne: jest.fn(), findById: jest.fn(), findOneAndUpdate: jest.fn() });
+  return Invoice;
+});
+jest.mock('../models/Sale', () => ({ find: jest.fn(), updateMany: jest.fn() }));
+
+const Buyer = require('../models/Buyer');
+const Counter = require('../models/Counter');
+const Harvest = require('../models/Harvest');
+const Sale = require('../models/Sale');
+const Invoice = require('../models/Invoice');
+const {
+  reserveHarvestQuantity,
+  invoiceStatus,
+  nextInvoiceNumber,
+  createInvoice,
+  agingBucket,
+  buildAging,
+  revenueByBasis
+} = require('../utils/salesLedger');
+
+describe('salesLedger', () => {
+  const asOf = new Date(2026, 9, 31);
+  const daysBefore = (days) => new Date(asOf.getTime() - days * 24 * 60 * 60 * 1000);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should refuse sales beyond the harvest\'s unsold biomass', async () => {
+    const harvest = { _id: 'harvest1', totalBiomass: 1000 };
+
+    // A harvest sold before the total was kept starts from its existing sales
+    Harvest.exists.mockResolvedValueOnce(null);
+    Sale.find.mockResolvedValue([{ _id: 'sale1', quantitySold: 600 }, { _id: 'sale2', quantitySold: 300 }]);
+    Harvest.findOneAndUpdate.mockResolvedValueOnce({ ...harvest, quantitySold: 1000 });
+    await expect(reserveHarvestQuantity(harvest, 100)).resolves.toBeUndefined();
+    expect(Harvest.updateOne).toHaveBeenCalledWith(
+      { _id: 'harvest1', quantitySold: { $exists: false } }, { $set: { quantitySold: 900 } }
+    );
+    expect(Harvest.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'harvest1', $expr: { $lte: [{ $add: ['$quantitySold', 100] }, '$totalBiomass'] } },
+      { $inc: { quantitySold: 100 } },
+      { new: true }
+    );
+
+    // The total is only increased while it stays within the biomass
+    Harvest.exists.mockResolvedValue({ _id: 'harvest1' });
+    Harvest.findOneAndUpdate.mockResolvedValueOnce(null);
+    Harvest.findById.mockResolvedValue({ ...harvest, quantitySold: 900 });
+    await expect(reserveHarvestQuantity(harvest, 150))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Only 100 kg of this harvest remain unsold' });
+
+    // Lowering a sale gives kg back without a limit
+    Harvest.updateOne.mockClear();
+    await reserveHarvestQuantity(harvest, -50);
+    expect(Harvest.updateOne).toHaveBeenCalledWith({ _id: 'harvest1' }, { $inc: { quantitySold: -50 } });
+  });
+
+  it('should number invoices per year and derive their payment status', async () => {
+    Counter.exists.mockResolvedValue({ _id: 'invoice-2026' });
+    Counter.findOneAndUpdate.mockResolvedValue({ sequence: 42 });
+    await expect(nextInvoiceNumber(new Date(2026, 3, 1))).resolves.toBe('INV-2026-0042');
+    expect(Counter.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'invoice-2026' }, { $inc: { sequence: 1 } }, { new: true, upsert: true }
+    );
+
+    // A new counter continues from invoices numbered before it, compared as numbers
+    Counter.exists.mockResolvedValue(null);
+    Invoice.find.mockReturnValue({
+      lean: jest.fn().mockResolvedValue([{ invoiceNumber: 'INV-2027-9999' }, { invoiceNumber: 'INV-2027-10000' }])
+    });
+    Counter.findOneAndUpdate.mockResolvedValue({ sequence: 10001 });
+    await expect(nextInvoiceNumber(new Date(2027, 0, 2))).resolves.toBe('INV-2027-10001');
+    expect(Counter.updateOne).toHaveBeenCalledWith(
+      { _id: 'invoice-2027' }, { $setOnInsert: { sequence: 10000 } }, { upsert: true }
+    );
+
+    expect(invoiceStatus(500, 0)).toBe('Unpaid');
+    expect(invoiceStatus(500, 200)).toBe('PartiallyPaid');
+    expect(invoiceStatus(500, 500)).toBe('Paid');
+  });
+
+  it('should age outstanding balances per buyer by days past due', () => {
+    expect(agingBucket(daysBefore(-5), asOf)).toBe('current');
+    expect(agingBucket(daysBefore(0), asOf)).toBe('current');
+    expect(agingBucket(daysBefore(30), asOf)).toBe('days1to30');
+    expect(agingBucket(daysBefore(45), asOf)).toBe('days31to60');
+    expect(agingBucket(daysBefore(120), asOf)).toBe('over90');
+
+    const buyerA = { _id: 'buyerA', name: 'Coastal Seafoods' };
+    const buyerB = { _id: 'buyerB', name: 'Delta Processing' };
+    const aging = buildAging([
+      { buyerId: buyerA, issueDate: daysBefore(60), dueDate: daysBefore(40), amount: 1000, amountPaid: 400, status: 'PartiallyPaid' },
+      { buyerId: buyerA, issueDate: daysBefore(10), dueDate: daysBefore(-20), amount: 500, amountPaid: 0, status: 'Unpaid' },
+      { buyerId: buyerB, issueDate: daysBefore(150), dueDate: daysBefore(120), amount: 300, amountPaid: 0, status: 'Unpaid' },
+      { buyerId: buyerB, issueDate: daysBefore(5), dueDate: daysBefore(-25), amount: 900, amountPaid: 0, status: 'Void' }
+    ], asOf);
+
+    expect(aging.buyers).toEqual([
+      { buyerId: 'buyerA', buyerName: 'Coastal Seafoods', outstanding: 1100, current: 500, days1to30: 0, days31to60: 600, days61to90: 0, over90: 0 },
+      { buyerId: 'buyerB', buyerName: 'Delta Processing', outstanding: 300, current: 0, days1to30: 0, days31to60: 0, days61to90: 0, over90: 300 }
+    ]);
+    expect(aging.totals.outstanding).toBe(1400);
+  });
+
+  it('should split revenue into invoiced and cash received', () => {
+    const invoice = { amount: 1000, amountPaid: 250, status: 'PartiallyPaid' };
+    expect(revenueByBasis([
+      { totalRevenue: 600, invoiceId: invoice },
+      { totalRevenue: 400, invoiceId: invoice },
+      { totalRevenue: 200, invoiceId: null },
+      { totalRevenue: 100, invoiceId: { amount: 100, amountPaid: 0, status: 'Void' } }
+    ])).toEqual({ invoiced: 1000, cashReceived: 250, uninvoiced: 300 });
+  });
+
+  it('should give sales back their previous buyer when an invoice fails', async () => {
+    Buyer.findById.mockResolvedValue({ _id: 'buyerA', name: 'Coastal Seafoods', paymentTermsDays: 30 });
+    const sales = [
+      { _id: 'sale1', buyerId: 'buyerA', date: asOf, quantitySold: 100, pricePerKg: 5, totalRevenue: 500 },
+      { _id: 'sale2', buyerName: 'coastal seafoods ', date: asOf, quantitySold: 50, pricePerKg: 5, totalRevenue: 250 }
+    ];
+    Sale.find.mockReturnValue({ populate: () => ({ sort: jest.fn().mockResolvedValue(sales) }) });
+    Counter.exists.mockResolvedValue({ _id: 'invoice-2026' });
+    Counter.findOneAndUpdate.mockResolvedValue({ sequence: 1 });
+    // Another invoice claimed sale1 first
+    Sale.updateMany.mockResolvedValueOnce({ modifiedCount: 1 }).mockResolvedValue({});
+
+    await expect(createInvoice({ buyerId: 'buyerA', saleIds: ['sale1', 'sale2'] }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'One or more sales are already invoiced' });
+    // No number is used up by an invoice that was never issued
+    expect(Counter.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(Sale.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['sale2'] }, invoiceId: 'invoice1' }, { $unset: { invoiceId: 1, buyerId: 1 } }
+    );
+    expect(Sale.updateMany).toHaveBeenLastCalledWith({ invoiceId: 'invoice1' }, { $unset: { invoiceId: 1 } });
+  });
+});
@@ -0,0 +1,160 @@
+const WaterQualityInput = require('../models/WaterQualityInput');
+const SensorDevice = require('../models/SensorDevice');
+const SensorReading = require('../models/SensorReading');
+const Pond = require('../models/Pond');
+const alertEngine = require('../utils/alertEngine');
+const sensorRollups = require('../utils/sensorRollups');
+const sensorIngestion = require('../utils/sensorIngestion');
+
+jest.mock('../models/WaterQualityInput', () => {
+  const WaterQualityInput = jest.fn(function (data) {
+    Object.assign(this, data);
+    this._id = 'wq1';
+    this.$locals = {};
+    this.calculateQualityRating = () => 'Good';
+    this.validateSync = () => undefined;
+  });
+  WaterQualityInput.findOneAndUpdate = jest.fn();
+  return WaterQualityInput;
+});
+jest.mock('../models/SensorDevice', () => ({ find: jest.fn(), updateMany: jest.fn() }));
+jest.mock('../models/SensorReading', () => ({ find: jest.fn(), insertMany: jest.fn() }));
+jest.mock('../models/Pond', () => ({ findById: jest.fn() }));
+jest.mock('../utils/alertEngine', () => ({ evaluateWaterQualityInput: jest.fn().mockResolvedValue([]) }));
+jest.mock('../utils/diurnalOxygen', () => ({ warnOfOxygenCrash: jest.fn().mockResolvedValue(null) }));
+jest.mock('../utils/realtime', () => ({ publish: jest.fn() }));
+jest.mock('../utils/sensorRollups', () => ({ refresh: jest.fn().mockResolvedValue({ hour: 1, day: 1 }) }));
+jest.mock('../utils/waterQualityProfiles', () => ({ attachProfiles: jest.fn().mockResolvedValue() }));
+
+const receivedAt = new Date('2026-06-01T12:00:00Z');
+
+// SensorReading.find is called first for samples already stored, then for the pond's samples
+const mockFinds = (stored, inPond) => {
+  SensorReading.find
+    .mockReturnValueOnce({ select: () => ({ lean: () => Promise.resolve(stored) }) })
+    .mockReturnValue({ lean: () => Promise.resolve(inPond) });
+};
+
+describe('sensorIngestion', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should read JSON batches, single samples and MQTT bridge messages', () => {
+    const batch = sensorIngestion.parsePayload({
+      deviceId: 'PROBE-01',
+      readings: [
+        { timestamp: '2026-06-01T10:00:00Z', values: { DO: 5.2, Temp: 29.1 } },
+        { timestamp: 1780308300, values: { DO: 5.1 } }
+      ]
+    }, receivedAt);
+    expect(batch).toEqual([
+      { deviceId: 'PROBE-01', timestamp: new Date('2026-06-01T10:00:00Z'), channels: { DO: 5.2, Temp: 29.1 } },
+      { deviceId: 'PROBE-01', timestamp: new Date(1780308300 * 1000), channels: { DO: 5.1 } }
+    ]);
+
+    expect(sensorIngestion.parsePayload({ device_id: 'PROBE-02', pH: 7.9 }, receivedAt)).toEqual([
+      { deviceId: 'PROBE-02', timestamp: receivedAt, channels: { pH: 7.9 } }
+    ]);
+
+    const mqtt = sensorIngestion.parsePayload({
+      topic: 'farm/sensors/PROBE-03',
+      payload: JSON.stringify({ ts: 1780308000000, dissolved_oxygen: 4.8 })
+    }, receivedAt);
+    expect(mqtt).toEqual([{ deviceId: 'PROBE-03', timestamp: new Date(1780308000000), channels: { dissolved_oxygen: 4.8 } }]);
+  });
+
+  it('should read CSV with a header row or channel=value lines and map channel names', () => {
+    const header = sensorIngestion.parsePayload(
+      'deviceId,timestamp,DO (mg/L),Water Temp,pH\nPROBE-01,2026-06-01T10:00:00Z,5.2,29.1,7.9\n',
+      receivedAt
+    );
+    const lines = sensorIngestion.parsePayload(
+      '# probe export\nPROBE-01,2026-06-01T10:05:00Z,DO=5.1,Sal=15,ORP=210',
+      receivedAt
+    );
+
+    expect(header[0].deviceId).toBe('PROBE-01');
+    expect(lines[0].timestamp).toEqual(new Date('2026-06-01T10:05:00Z'));
+
+    const device = { channels: new Map([['ORP', 'turbidity']]) };
+    expect(sensorIngestion.resolveValues(header[0], device)).toEqual({ dissolvedOxygen: 5.2, temperature: 29.1, pH: 7.9 });
+    expect(sensorIngestion.resolveValues(lines[0], device)).toEqual({ dissolvedOxygen: 5.1, salinity: 15, turbidity: 210 });
+    expect(sensorIngestion.resolveValues({ channels: { DO: -3, pH: 'err', Foo: 1 } }, {})).toEqual({});
+  });
+
+  it('should reject unknown devices and skip samples already stored', async () => {
+    SensorDevice.find.mockResolvedValue([{ deviceId: 'PROBE-01', pondId: 'pond1', isActive: true, sampleIntervalMinutes: 30 }]);
+    const at = new Date(2026, 5, 1, 10, 5);
+    mockFinds([{ timestamp: new Date(2026, 5, 1, 10, 10), meta: { deviceId: 'PROBE-01' } }], []);
+    Pond.findById.mockResolvedValue({ _id: 'pond1', seasonId: 'season1' });
+
+    const summary = await sensorIngestion.ingest([
+      { deviceId: 'PROBE-01', timestamp: at, channels: { DO: 5.2 } },
+      { deviceId: 'PROBE-01', timestamp: at, channels: { DO: 5.2 } },
+      { deviceId: 'PROBE-01', timestamp: new Date(2026, 5, 1, 10, 10), channels: { DO: 5.1 } },
+      { deviceId: 'PROBE-99', timestamp: at, channels: { DO: 5 } },
+      { deviceId: 'PROBE-01', timestamp: new Date(2026, 5, 2), channels: { DO: 5 } }
+    ], { now: new Date(2026, 5, 1, 12) });
+
+    expect(summary).toEqual(expect.objectContaining({ received: 5, stored: 1, duplicates: 2 }));
+    expect(summary.rejected.map(rejected => rejected.reason)).toEqual(['Unknown device', 'Timestamp is in the future']);
+    expect(SensorReading.insertMany.mock.calls[0][0]).toEqual([
+      { timestamp: at, meta: { deviceId: 'PROBE-01', pondId: 'pond1' }, values: { dissolvedOxygen: 5.2 } }
+    ]);
+    expect(sensorRollups.refresh).toHaveBeenCalledWith(SensorReading.insertMany.mock.calls[0][0]);
+    expect(summary.rollups).toEqual({ hour: 1, day: 1 });
+    expect(summary.readings.skipped).toEqual([
+      { pondId: 'pond1', start: new Date(2026, 5, 1, 10, 0), reason: 'Missing pH, dissolvedOxygen, temperature, salinity' }
+    ]);
+  });
+
+  it('should average each interval into a Probe reading and leave hand-entered readings alone', async () => {
+    SensorDevice.find.mockResolvedValue([{ deviceId: 'PROBE-01', pondId: 'pond1', isActive: true }]);
+    const sample = (hour, minute, dissolvedOxygen) => ({
+      timestamp: new Date(2026, 5, 1, hour, minute),
+      values: { pH: 7.9, dissolvedOxygen, temperature: 29, salinity: 15 }
+    });
+    mockFinds([], [sample(10, 0, 5), sample(10, 10, 5.25), sample(10, 40, 5.5)]);
+    Pond.findById.mockResolvedValue({ _id: 'pond1', seasonId: 'season1' });
+    const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    WaterQualityInput.findOneAndUpdate
+      .mockResolvedValueOnce({ value: { $locals: {} }, lastErrorObject: { updatedExisting: false } })
+      .mockRejectedValueOnce(duplicate)
+      .mockRejectedValueOnce(duplicate);
+
+    const summary = await sensorIngestion.ingest([
+      { deviceId: 'PROBE-01', timestamp: new Date(2026, 5, 1, 10, 10), channels: { DO: 5.25 } },
+      { deviceId: 'PROBE-01', timestamp: new Date(2026, 5, 1, 10, 40), channels: { DO: 5.5 } }
+    ], { now: new Date(2026, 5, 1, 12) });
+
+    expect(summary.readings.created).toBe(1);
+    expect(summary.readings.skipped[0].reason).toBe('A hand-entered reading exists for this time');
+    const [key, update, options] = WaterQualityInput.findOneAndUpdate.mock.calls[0];
+    expect(key).toEqual({ pondId: 'pond1', seasonId: 'season1', date: new Date(2026, 5, 1), time: '10:00', testingMethod: 'Probe' });
+    expect(update.$set).toEqual(expect.objectContaining({
+      dissolvedOxygen: 5.13,
+      pH: 7.9,
+      overallQuality: 'Good',
+      notes: 'Mean of 2 probe samples from 10:00 to 10:30'
+    }));
+    expect(update.$set.doSaturation).toEqual(expect.any(Number));
+    expect(options).toEqual(expect.objectContaining({ upsert: true }));
+    expect(alertEngine.evaluateWaterQualityInput).toHaveBeenCalledTimes(1);
+  });
+
+  it('should re-evaluate alerts when later samples update an interval', async () => {
+    SensorDevice.find.mockResolvedValue([{ deviceId: 'PROBE-01', pondId: 'pond1', isActive: true }]);
+    mockFinds([], [{ timestamp: new Date(2026, 5, 1, 10, 20), values: { pH: 7.9, dissolvedOxygen: 2.5, temperature: 29, salinity: 15 } }]);
+    Pond.findById.mockResolvedValue({ _id: 'pond1', seasonId: 'season1' });
+    const reading = { _id: 'wq1', $locals: {} };
+    WaterQualityInput.findOneAndUpdate.mockResolvedValue({ value: reading, lastErrorObject: { updatedExisting: true } });
+
+    const summary = await sensorIngestion.ingest([
+      { deviceId: 'PROBE-01', timestamp: new Date(2026, 5, 1, 10, 20), channels: { DO: 2.5 } }
+    ], { now: new Date(2026, 5, 1, 12) });
+
+    expect(summary.readings).toEqual(expect.objectContaining({ created: 0, updated: 1 }));
+    expect(alertEngine.evaluateWaterQualityInput).toHaveBeenCalledWith(reading);
+  });
+});
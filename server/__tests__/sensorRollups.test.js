@@ -0,0 +1,117 @@
+const SensorReading = require('../models/SensorReading');
+const SensorRollup = require('../models/SensorRollup');
+const WaterQualityInput = require('../models/WaterQualityInput');
+const sensorRollups = require('../utils/sensorRollups');
+
+jest.mock('../models/SensorReading', () => ({ find: jest.fn() }));
+jest.mock('../models/SensorRollup', () => ({ find: jest.fn(), bulkWrite: jest.fn().mockResolvedValue({}) }));
+jest.mock('../models/WaterQualityInput', () => ({ find: jest.fn() }));
+// The real alert engine loads notification delivery, which needs a configured database
+jest.mock('../controllers/notificationController', () => ({}));
+jest.mock('../utils/alertEngine', () => ({
+  toTimestamp: (date, time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    const timestamp = new Date(date);
+    timestamp.setHours(hours, minutes, 0, 0);
+    return timestamp;
+  }
+}));
+
+const POND_ID = '64b7f0c2a1b2c3d4e5f60718';
+const now = new Date(2026, 5, 30, 12);
+
+// Query chains end in lean(); select() and sort() are passed through
+const chain = (result) => {
+  const query = { lean: () => Promise.resolve(result) };
+  query.select = () => query;
+  query.sort = () => query;
+  return query;
+};
+
+describe('sensorRollups', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should read the finest resolution still retained that fits the point budget', () => {
+    const ago = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+    expect(sensorRollups.chooseResolution(ago(1), now, now)).toBe('raw');
+    expect(sensorRollups.chooseResolution(ago(14), now, now)).toBe('hour');
+    expect(sensorRollups.chooseResolution(ago(90), now, now)).toBe('day');
+    // Raw samples of a short range from two months ago have expired
+    expect(sensorRollups.chooseResolution(ago(60), ago(59), now)).toBe('hour');
+    expect(sensorRollups.chooseResolution(ago(500), ago(499), now)).toBe('day');
+  });
+
+  it('should recompute hourly rollups from samples and daily ones from the hours', async () => {
+    const sample = (hour, minute, dissolvedOxygen) => ({
+      timestamp: new Date(2026, 5, 1, hour, minute),
+      values: { dissolvedOxygen, temperature: 29 }
+    });
+    SensorReading.find.mockReturnValue(chain([sample(10, 0, 5), sample(10, 30, 6), sample(11, 0, 4)]));
+    SensorRollup.find.mockReturnValue(chain([
+      { start: new Date(2026, 5, 1, 9), values: { dissolvedOxygen: { min: 6, max: 7, mean: 6.5, count: 2 } } },
+      { start: new Date(2026, 5, 1, 10), values: { dissolvedOxygen: { min: 5, max: 6, mean: 5.5, count: 2 } } },
+      { start: new Date(2026, 5, 1, 11), values: { dissolvedOxygen: { min: 4, max: 4, mean: 4, count: 1 } } }
+    ]));
+
+    const written = await sensorRollups.refresh([
+      { timestamp: new Date(2026, 5, 1, 10, 30), meta: { pondId: POND_ID } },
+      { timestamp: new Date(2026, 5, 1, 11, 0), meta: { pondId: POND_ID } }
+    ]);
+
+    expect(written).toEqual({ hour: 2, day: 1 });
+    const hourly = SensorRollup.bulkWrite.mock.calls[0][0].map(({ updateOne }) => updateOne);
+    expect(hourly[0].filter).toEqual({ pondId: POND_ID, resolution: 'hour', start: new Date(2026, 5, 1, 10) });
+    expect(hourly[0].update.$set.values).toEqual({
+      dissolvedOxygen: { min: 5, max: 6, mean: 5.5, count: 2 },
+      temperature: { min: 29, max: 29, mean: 29, count: 2 }
+    });
+    expect(hourly[0].update.$set.expiresAt).toEqual(new Date(new Date(2026, 5, 1, 10).getTime() + 400 * 24 * 60 * 60 * 1000));
+
+    const [daily] = SensorRollup.bulkWrite.mock.calls[1][0].map(({ updateOne }) => updateOne);
+    expect(daily.filter.start).toEqual(new Date(2026, 5, 1));
+    expect(daily.update.$set).toEqual({
+      values: { dissolvedOxygen: { min: 4, max: 7, mean: 5.6, count: 5 } },
+      sampleCount: 5,
+      expiresAt: null
+    });
+  });
+
+  it('should return raw samples with the same statistics shape as rollups', async () => {
+    SensorReading.find.mockReturnValue(chain([
+      { timestamp: new Date(2026, 5, 30, 9), meta: { pondId: POND_ID }, values: { pH: 7.9 } }
+    ]));
+    const raw = await sensorRollups.querySeries({ pondIds: [POND_ID], from: new Date(2026, 5, 30), to: now, now });
+    expect(raw).toEqual({
+      resolution: 'raw',
+      points: [{ pondId: POND_ID, timestamp: new Date(2026, 5, 30, 9), values: { pH: { min: 7.9, max: 7.9, mean: 7.9, count: 1 } } }]
+    });
+
+    SensorRollup.find.mockReturnValue(chain([{ pondId: POND_ID, start: new Date(2026, 3, 1), values: { pH: { mean: 8 } } }]));
+    const daily = await sensorRollups.querySeries({ pondIds: [POND_ID], from: new Date(2026, 3, 1, 15), to: now, now });
+    expect(daily.resolution).toBe('day');
+    expect(SensorRollup.find.mock.calls[0][0]).toEqual(expect.objectContaining({
+      resolution: 'day',
+      start: { $gte: new Date(2026, 3, 1), $lte: now }
+    }));
+  });
+
+  it('should merge hand-entered readings with probe data in place of Probe readings', async () => {
+    WaterQualityInput.find.mockReturnValue(chain([
+      { date: new Date(2026, 5, 1), time: '06:00', pH: 7.6, dissolvedOxygen: 4.2, temperature: 28, salinity: 15, testingMethod: 'Digital Meter' }
+    ]));
+    SensorRollup.find.mockReturnValue(chain([
+      { pondId: POND_ID, start: new Date(2026, 5, 1), values: { dissolvedOxygen: { min: 3.9, max: 7.1, mean: 5.4, count: 288 } } }
+    ]));
+
+    const series = await sensorRollups.waterQualitySeries(POND_ID, new Date(2026, 0, 1), new Date(2026, 5, 1));
+
+    expect(WaterQualityInput.find).toHaveBeenCalledWith(expect.objectContaining({ testingMethod: { $ne: 'Probe' } }));
+    expect(series).toEqual([
+      expect.objectContaining({ date: new Date(2026, 5, 1), dissolvedOxygen: 5.4, source: 'Probe (day)' }),
+      expect.objectContaining({ date: new Date(2026, 5, 1, 6), dissolvedOxygen: 4.2, source: 'Digital Meter' })
+    ]);
+  });
+});
@@ -0,0 +1,131 @@
+const Event = require('../models/Event');
+const Pond = require('../models/Pond');
+const Task = require('../models/Task');
+const TaskSeries = require('../models/TaskSeries');
+const taskRecurrence = require('../utils/taskRecurrence');
+const { buildPlan, pondName, applyTemplate } = require('../utils/sopPlanner');
+
+// Documents built for validation pass unless a test says otherwise
+function mockModel() {
+  const Model = jest.fn(() => ({ validateSync: () => undefined }));
+  Object.assign(Model, {
+    find: jest.fn(),
+    distinct: jest.fn(),
+    insertMany: jest.fn(docs => Promise.resolve(docs)),
+    deleteMany: jest.fn().mockResolvedValue({})
+  });
+  return Model;
+}
+jest.mock('../models/Event', () => mockModel());
+jest.mock('../models/Pond', () => mockModel());
+jest.mock('../models/Task', () => mockModel());
+jest.mock('../models/TaskSeries', () => mockModel());
+jest.mock('../utils/taskRecurrence', () => ({ buildSeries: jest.fn(), createSeries: jest.fn() }));
+
+describe('sopPlanner', () => {
+  const season = { startDate: new Date(2026, 5, 1), endDate: new Date(2026, 8, 30) };
+  const ponds = [
+    { _id: 'pondA', name: new Map([['en', 'Pond A']]) },
+    { _id: 'pondB', name: { en: 'Pond B' } }
+  ];
+
+  const template = {
+    steps: [
+      { title: 'Dry pond', kind: 'task', anchor: 'stocking', offsetDays: -14 },
+      { title: 'Stock post-larvae', kind: 'event', eventType: 'Stocking', anchor: 'stocking', offsetDays: 0, time: '07:00' },
+      { title: 'Growth sampling', kind: 'task', anchor: 'stocking', offsetDays: 7, repeatEveryDays: 7 },
+      {
+        title: 'Water quality inspection',
+        kind: 'event',
+        eventType: 'Inspection',
+        anchor: 'seasonStart',
+        offsetDays: 0,
+        repeatEveryDays: 10,
+        repeatUntilDays: 25
+      }
+    ]
+  };
+
+  it('should place steps relative to each pond\'s stocking date', () => {
+    const plan = buildPlan(template, {
+      season,
+      ponds,
+      stockingDates: { pondA: new Date(2026, 5, 20) },
+      defaultStockingDate: new Date(2026, 5, 25)
+    });
+
+    const dryA = plan.find(item => item.title === 'Dry pond' && item.pondId === 'pondA');
+    const dryB = plan.find(item => item.title === 'Dry pond' && item.pondId === 'pondB');
+    const stockA = plan.find(item => item.title === 'Stock post-larvae' && item.pondId === 'pondA');
+
+    expect(dryA.date).toEqual(new Date(2026, 5, 6));
+    expect(dryB.date).toEqual(new Date(2026, 5, 11));
+    expect(stockA.date).toEqual(new Date(2026, 5, 20, 7, 0));
+    expect(stockA.pondName).toBe('Pond A');
+  });
+
+  it('should keep repeating tasks as one series ending with the season', () => {
+    const plan = buildPlan(template, { season, ponds: [ponds[0]], stockingDates: { pondA: new Date(2026, 5, 20) } });
+
+    const sampling = plan.filter(item => item.title === 'Growth sampling');
+    expect(sampling).toHaveLength(1);
+    expect(sampling[0]).toEqual(expect.objectContaining({
+      date: new Date(2026, 5, 27),
+      repeatEveryDays: 7,
+      until: season.endDate
+    }));
+  });
+
+  it('should expand repeating events up to their last day', () => {
+    const plan = buildPlan(template, { season, ponds: [ponds[0]] });
+
+    const inspections = plan.filter(item => item.title === 'Water quality inspection').map(item => item.date);
+    expect(inspections).toEqual([new Date(2026, 5, 1), new Date(2026, 5, 11), new Date(2026, 5, 21)]);
+  });
+
+  it('should sort the plan by date', () => {
+    const plan = buildPlan(template, { season, ponds });
+    const dates = plan.map(item => item.date.getTime());
+    expect(dates).toEqual([...dates].sort((a, b) => a - b));
+    expect(pondName(ponds[1])).toBe('Pond B');
+  });
+
+  describe('applyTemplate', () => {
+    const seasonDoc = { ...season, _id: '64b7f0c2a1b2c3d4e5f60701' };
+    const pondDoc = { _id: '64b7f0c2a1b2c3d4e5f60702', name: { en: 'Pond A' } };
+    const templateDoc = { ...template, _id: '64b7f0c2a1b2c3d4e5f60703' };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      Pond.find.mockResolvedValue([pondDoc]);
+      Task.distinct.mockResolvedValue([]);
+      Event.distinct.mockResolvedValue([]);
+      Event.find.mockReturnValue({ sort: () => Promise.resolve([]) });
+      taskRecurrence.buildSeries.mockReturnValue({ validateSync: () => undefined });
+      taskRecurrence.createSeries.mockResolvedValue({ _id: 'task1' });
+    });
+
+    it('should check recurrence rules before writing anything', async () => {
+      taskRecurrence.buildSeries.mockReturnValue({ validateSync: () => new Error('times: 25:00 is not a valid time') });
+
+      await expect(applyTemplate(templateDoc, seasonDoc)).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Template cannot be applied: times: 25:00 is not a valid time'
+      });
+      expect(Task.insertMany).not.toHaveBeenCalled();
+      expect(Event.insertMany).not.toHaveBeenCalled();
+      expect(taskRecurrence.createSeries).not.toHaveBeenCalled();
+    });
+
+    it('should remove what was created when a series fails', async () => {
+      taskRecurrence.createSeries.mockRejectedValue(new Error('write failed'));
+
+      await expect(applyTemplate(templateDoc, seasonDoc)).rejects.toThrow('write failed');
+      expect(Task.insertMany).toHaveBeenCalled();
+      const created = { sopTemplateId: templateDoc._id, seasonId: seasonDoc._id, pondId: { $in: [pondDoc._id] } };
+      expect(Task.deleteMany).toHaveBeenCalledWith(created);
+      expect(TaskSeries.deleteMany).toHaveBeenCalledWith(created);
+      expect(Event.deleteMany).toHaveBeenCalledWith(expect.objectContaining({ 'details.sopTemplateId': templateDoc._id }));
+    });
+  });
+});
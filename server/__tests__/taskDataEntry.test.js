@@ -0,0 +1,63 @@
+jest.mock('../controllers/waterQualityInputController', () => ({ createWaterQualityInput: jest.fn() }));
+jest.mock('../controllers/feedInputController', () => ({ createFeedInput: jest.fn() }));
+jest.mock('../controllers/growthSamplingController', () => ({ createGrowthSampling: jest.fn() }));
+
+const waterQualityInputController = require('../controllers/waterQualityInputController');
+const feedInputController = require('../controllers/feedInputController');
+const { isChecklistDone, buildRecordBody, createLinkedRecord } = require('../utils/taskDataEntry');
+
+describe('taskDataEntry', () => {
+  const POND_ID = '64b7f0c2a1b2c3d4e5f60718';
+  const SEASON_ID = '64b7f0c2a1b2c3d4e5f60719';
+  const task = { dataEntryType: 'WaterQualityInput', pondId: POND_ID, seasonId: SEASON_ID };
+  const now = new Date(2026, 5, 1, 6, 5);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should require every checklist item to be ticked', () => {
+    expect(isChecklistDone(undefined)).toBe(true);
+    expect(isChecklistDone([{ label: 'Check aerators', done: true }])).toBe(true);
+    expect(isChecklistDone([{ label: 'Check aerators', done: true }, { label: 'Clean feed trays', done: false }])).toBe(false);
+  });
+
+  it('should default pond, season, date and time from the task', () => {
+    expect(buildRecordBody(task, { pH: 7.8 }, now)).toEqual({
+      date: now.toISOString(),
+      time: '06:05',
+      pondId: POND_ID,
+      seasonId: SEASON_ID,
+      pH: 7.8
+    });
+  });
+
+  it('should create the record through its controller', async () => {
+    waterQualityInputController.createWaterQualityInput.mockImplementation((req, res) => {
+      res.status(201).json({ _id: 'wq1', ...req.body });
+    });
+
+    const record = await createLinkedRecord(task, { pH: 7.8, dissolvedOxygen: 5, temperature: 29, salinity: 15 }, now);
+
+    expect(record._id).toBe('wq1');
+    expect(waterQualityInputController.createWaterQualityInput).toHaveBeenCalledWith(
+      { body: expect.objectContaining({ pondId: POND_ID, seasonId: SEASON_ID, pH: 7.8 }) },
+      expect.any(Object)
+    );
+  });
+
+  it('should reject a missing or refused reading', async () => {
+    await expect(createLinkedRecord(task, undefined, now)).rejects.toMatchObject({ statusCode: 400 });
+
+    // The record's route validation applies before its controller runs
+    await expect(createLinkedRecord(task, { pH: 17, dissolvedOxygen: 5, temperature: 29, salinity: 15 }, now))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Validation failed: pH: pH must be between 0 and 14' });
+    expect(waterQualityInputController.createWaterQualityInput).not.toHaveBeenCalled();
+
+    feedInputController.createFeedInput.mockImplementation((req, res) => {
+      res.status(400).json({ message: 'Selected inventory item is not a feed type' });
+    });
+    await expect(createLinkedRecord({ ...task, dataEntryType: 'FeedInput' }, { inventoryItemId: POND_ID, quantity: 2 }, now))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Selected inventory item is not a feed type' });
+  });
+});
@@ -0,0 +1,125 @@
+jest.mock('../models/Task', () => ({
+  countDocuments: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn(data => Promise.resolve({ _id: 'new-task', ...data }))
+}));
+jest.mock('../models/TaskSeries', () => ({
+  findById: jest.fn(),
+  updateOne: jest.fn().mockResolvedValue({})
+}));
+
+const Task = require('../models/Task');
+const TaskSeries = require('../models/TaskSeries');
+const { nextOccurrence, handleOccurrenceCompleted } = require('../utils/taskRecurrence');
+
+describe('taskRecurrence', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Task.countDocuments.mockResolvedValue(0);
+    Task.findOne.mockResolvedValue(null);
+  });
+
+  describe('nextOccurrence', () => {
+    it('should cycle through several times of day', () => {
+      const series = { frequency: 'Daily', startDate: new Date(2026, 5, 1), times: ['18:00', '06:00'] };
+
+      const first = nextOccurrence(series, new Date(2026, 5, 1, 0, 0));
+      const second = nextOccurrence(series, first);
+      const third = nextOccurrence(series, second);
+
+      expect(first).toEqual(new Date(2026, 5, 1, 6, 0));
+      expect(second).toEqual(new Date(2026, 5, 1, 18, 0));
+      expect(third).toEqual(new Date(2026, 5, 2, 6, 0));
+    });
+
+    it('should repeat every other week on the given weekdays', () => {
+      // 1 June 2026 is a Monday
+      const series = {
+        frequency: 'Weekly',
+        interval: 2,
+        byDay: ['MO', 'TH'],
+        startDate: new Date(2026, 5, 1, 7, 30)
+      };
+
+      const dates = [];
+      let after = new Date(2026, 5, 1);
+      for (let i = 0; i < 4; i++) {
+        after = nextOccurrence(series, after);
+        dates.push(after);
+      }
+
+      expect(dates).toEqual([
+        new Date(2026, 5, 1, 7, 30),
+        new Date(2026, 5, 4, 7, 30),
+        new Date(2026, 5, 15, 7, 30),
+        new Date(2026, 5, 18, 7, 30)
+      ]);
+    });
+
+    it('should find the nth and last weekday of the month', () => {
+      const second = { frequency: 'Monthly', byDay: ['MO'], bySetPos: 2, startDate: new Date(2026, 5, 1, 8, 0) };
+      const last = { frequency: 'Monthly', byDay: ['FR'], bySetPos: -1, startDate: new Date(2026, 5, 1, 8, 0) };
+
+      expect(nextOccurrence(second, new Date(2026, 5, 1))).toEqual(new Date(2026, 5, 8, 8, 0));
+      expect(nextOccurrence(second, new Date(2026, 5, 9))).toEqual(new Date(2026, 6, 13, 8, 0));
+      expect(nextOccurrence(last, new Date(2026, 5, 1))).toEqual(new Date(2026, 5, 26, 8, 0));
+    });
+
+    it('should clamp the day of month and stop after the end date', () => {
+      const series = {
+        frequency: 'Monthly',
+        byMonthDay: 31,
+        startDate: new Date(2026, 0, 31, 9, 0),
+        until: new Date(2026, 2, 1)
+      };
+
+      expect(nextOccurrence(series, new Date(2026, 0, 31, 10, 0))).toEqual(new Date(2026, 1, 28, 9, 0));
+      expect(nextOccurrence(series, new Date(2026, 1, 28, 10, 0))).toBeNull();
+    });
+  });
+
+  describe('handleOccurrenceCompleted', () => {
+    const series = {
+      _id: 'series1',
+      title: 'Check aerators',
+      category: 'Routine',
+      frequency: 'Daily',
+      startDate: new Date(2026, 5, 1),
+      times: ['06:00', '18:00'],
+      isActive: true
+    };
+
+    it('should spawn the next occurrence from the series template', async () => {
+      TaskSeries.findById.mockResolvedValue(series);
+
+      const next = await handleOccurrenceCompleted({ seriesId: 'series1', dueDate: new Date(2026, 5, 1, 6, 0) });
+
+      expect(Task.create).toHaveBeenCalledWith(expect.objectContaining({
+        seriesId: 'series1',
+        title: 'Check aerators',
+        dueDate: new Date(2026, 5, 1, 18, 0)
+      }));
+      expect(next._id).toBe('new-task');
+    });
+
+    it('should not spawn when a later occurrence is already open', async () => {
+      TaskSeries.findById.mockResolvedValue(series);
+      Task.findOne.mockResolvedValueOnce({ _id: 'open-task' });
+
+      const next = await handleOccurrenceCompleted({ seriesId: 'series1', dueDate: new Date(2026, 5, 1, 6, 0) });
+
+      expect(next).toBeNull();
+      expect(Task.create).not.toHaveBeenCalled();
+    });
+
+    it('should end the series once its occurrence count is reached', async () => {
+      TaskSeries.findById.mockResolvedValue({ ...series, count: 2 });
+      Task.countDocuments.mockResolvedValue(2);
+
+      const next = await handleOccurrenceCompleted({ seriesId: 'series1', dueDate: new Date(2026, 5, 1, 18, 0) });
+
+      expect(next).toBeNull();
+      expect(TaskSeries.updateOne).toHaveBeenCalledWith({ _id: 'series1' }, { isActive: false });
+    });
+  });
+});
@@ -0,0 +1,116 @@
+jest.mock('../models/Task', () => ({
+  find: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../controllers/notificationController', () => ({
+  createNotificationInternal: jest.fn().mockResolvedValue({})
+}));
+
+const Task = require('../models/Task');
+const notificationController = require('../controllers/notificationController');
+const { summarizeWorkload, sendTaskReminders } = require('../utils/taskTracking');
+
+describe('taskTracking', () => {
+  const now = new Date('2026-06-10T12:00:00Z');
+  const hoursFromNow = (hours) => new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('summarizeWorkload', () => {
+    it('should count open, overdue, on-time and late tasks per assignee', () => {
+      const alice = { _id: 'emp1', name: 'Alice' };
+      const bob = { _id: 'user1', firstName: 'Bob', lastName: 'Tran' };
+
+      const workload = summarizeWorkload([
+        { assignedTo: alice, assigneeModel: 'Employee', pondId: 'pondA', completed: false, dueDate: hoursFromNow(-2) },
+        { assignedTo: alice, assigneeModel: 'Employee', pondId: 'pondB', completed: false, dueDate: hoursFromNow(5) },
+        { assignedTo: alice, assigneeModel: 'Employee', completed: true, dueDate: hoursFromNow(-5), completedAt: hoursFromNow(-6) },
+        { assignedTo: bob, assigneeModel: 'User', completed: true, dueDate: hoursFromNow(-5), completedAt: hoursFromNow(-1) },
+        { assignedTo: null, completed: false, dueDate: hoursFromNow(1) }
+      ], now);
+
+      expect(workload).toEqual([
+        {
+          assigneeId: 'emp1',
+          assigneeModel: 'Employee',
+          name: 'Alice',
+          open: 2,
+          overdue: 1,
+          completedOnTime: 1,
+          completedLate: 0,
+          byPond: { pondA: 1, pondB: 1 }
+        },
+        {
+          assigneeId: 'user1',
+          assigneeModel: 'User',
+          name: 'Bob Tran',
+          open: 0,
+          overdue: 0,
+          completedOnTime: 0,
+          completedLate: 1,
+          byPond: {}
+        }
+      ]);
+    });
+
+    it('should count tasks with a free-text assignee under that name', () => {
+      const workload = summarizeWorkload([
+        { assigneeName: 'Ravi', assigneeModel: 'Employee', pondId: 'pondA', completed: false, dueDate: hoursFromNow(-2) },
+        { assigneeName: 'Ravi', assigneeModel: 'Employee', pondId: 'pondA', completed: false, dueDate: hoursFromNow(3) }
+      ], now);
+
+      expect(workload).toEqual([expect.objectContaining({
+        assigneeId: 'name:Ravi',
+        assigneeModel: null,
+        name: 'Ravi',
+        open: 2,
+        overdue: 1,
+        byPond: { pondA: 2 }
+      })]);
+    });
+  });
+
+  describe('sendTaskReminders', () => {
+    const mockFind = (dueSoon, overdue) => {
+      Task.find
+        .mockReturnValueOnce({ populate: jest.fn().mockResolvedValue(dueSoon) })
+        .mockReturnValueOnce({ populate: jest.fn().mockResolvedValue(overdue) });
+    };
+
+    it('should remind about tasks coming due and flag overdue ones', async () => {
+      mockFind(
+        [{ _id: 't1', title: 'Check aerators', dueDate: hoursFromNow(0.5), assignedTo: { name: 'Alice' } }],
+        [{ _id: 't2', title: 'Clean screens', dueDate: hoursFromNow(-1), pondId: 'pondA' }]
+      );
+      Task.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      const sent = await sendTaskReminders(now);
+
+      expect(sent).toEqual({ reminders: 1, overdue: 1 });
+      expect(Task.updateOne).toHaveBeenCalledWith({ _id: 't1', reminderSentAt: null }, { $set: { reminderSentAt: now } });
+      expect(notificationController.createNotificationInternal).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'Task',
+        title: 'Task due soon: Check aerators',
+        message: expect.stringContaining('assigned to Alice'),
+        priority: 'Medium'
+      }));
+      expect(notificationController.createNotificationInternal).toHaveBeenCalledWith(expect.objectContaining({
+        title: 'Task overdue: Clean screens',
+        pondId: 'pondA',
+        priority: 'High'
+      }));
+    });
+
+    it('should skip tasks another run already claimed', async () => {
+      mockFind([{ _id: 't1', title: 'Check aerators', dueDate: hoursFromNow(0.5) }], []);
+      Task.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      const sent = await sendTaskReminders(now);
+
+      expect(sent).toEqual({ reminders: 0, overdue: 0 });
+      expect(notificationController.createNotificationInternal).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const { unionizedAmmoniaFraction, oxygenSaturation, deriveChemistry } = require('../utils/waterChemistry');
+
+describe('waterChemistry', () => {
+  it('should give the published un-ionized ammonia fractions and lower them with salinity', () => {
+    // Emerson et al. (1975) tables: 6.5% at pH 8 and 28°C, 0.73% at pH 7 and 25°C
+    expect(unionizedAmmoniaFraction(8, 28)).toBeCloseTo(0.0654, 3);
+    expect(unionizedAmmoniaFraction(7, 25)).toBeCloseTo(0.0056, 3);
+    expect(unionizedAmmoniaFraction(8, 28, 30)).toBeLessThan(unionizedAmmoniaFraction(8, 28, 0));
+    expect(unionizedAmmoniaFraction(9, 28)).toBeGreaterThan(0.4);
+  });
+
+  it('should give oxygen saturation from Standard Methods for fresh and sea water', () => {
+    expect(oxygenSaturation(20)).toBeCloseTo(9.09, 2);
+    expect(oxygenSaturation(28)).toBeCloseTo(7.83, 2);
+    expect(oxygenSaturation(28, 35)).toBeCloseTo(6.44, 2);
+  });
+
+  it('should derive un-ionized ammonia, DO saturation and the chloride:nitrite ratio for a reading', () => {
+    const derived = deriveChemistry({ pH: 8.5, temperature: 30, salinity: 15, dissolvedOxygen: 9, ammonia: 1, nitrite: 2 });
+
+    expect(derived.unionizedAmmonia).toBeCloseTo(0.1865, 4);
+    expect(derived.doSaturation).toBe(129.3);
+    expect(derived.chlorideNitriteRatio).toBe(4151.3);
+  });
+
+  it('should leave a value null when something it needs was not measured and accept numeric strings', () => {
+    expect(deriveChemistry({ pH: 8, temperature: 28, salinity: 20, dissolvedOxygen: 5 })).toEqual({
+      unionizedAmmonia: null,
+      doSaturation: expect.any(Number),
+      chlorideNitriteRatio: null
+    });
+    expect(deriveChemistry({ pH: 8, salinity: 20, ammonia: 0.5, nitrite: 0 })).toEqual({
+      unionizedAmmonia: null,
+      doSaturation: null,
+      chlorideNitriteRatio: null
+    });
+    expect(deriveChemistry({ pH: '8', temperature: '28', ammonia: '1', salinity: '' }).unionizedAmmonia).toBeCloseTo(0.0654, 4);
+  });
+});
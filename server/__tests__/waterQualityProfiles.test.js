@@ -0,0 +1,81 @@
+jest.mock('../models/Season', () => ({ findById: jest.fn() }));
+jest.mock('../models/Stocking', () => ({ findOne: jest.fn() }));
+jest.mock('../models/NurseryBatch', () => ({ findById: jest.fn() }));
+jest.mock('../models/WaterQualityProfile', () => ({ find: jest.fn() }));
+
+const Season = require('../models/Season');
+const Stocking = require('../models/Stocking');
+const NurseryBatch = require('../models/NurseryBatch');
+const WaterQualityProfile = require('../models/WaterQualityProfile');
+const {
+  defaultProfile,
+  profileFor,
+  attachProfiles,
+  scoreReading,
+  parameterAlerts
+} = require('../utils/waterQualityProfiles');
+
+describe('waterQualityProfiles', () => {
+  const sorted = (value) => ({ sort: jest.fn().mockResolvedValue(value) });
+  const reading = { pH: 8, dissolvedOxygen: 6, temperature: 29, salinity: 8 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    WaterQualityProfile.find.mockResolvedValue([]);
+  });
+
+  it('should score the same reading against each species\' own ranges', () => {
+    const whiteleg = scoreReading(reading, defaultProfile('Whiteleg Shrimp'));
+    const tiger = scoreReading(reading, defaultProfile('Giant Tiger Prawn'));
+
+    // 8 ppt is below Whiteleg Shrimp's acceptable salinity but acceptable for Giant Tiger Prawn
+    expect(whiteleg.parameters.salinity).toBe('outOfRange');
+    expect(tiger.parameters.salinity).toBe('acceptable');
+    expect(whiteleg.score).toBe(20);
+    expect(tiger.score).toBe(23);
+    expect(defaultProfile('Other').parameters).toEqual(defaultProfile('Whiteleg Shrimp', 'GrowOut').parameters);
+  });
+
+  it('should alert on parameters outside the acceptable range with the species in the message', () => {
+    const alerts = parameterAlerts({ ...reading, dissolvedOxygen: 2.5, ammonia: 0.6 }, defaultProfile('Whiteleg Shrimp'));
+
+    expect(alerts.map(alert => alert.parameter)).toEqual(['dissolvedOxygen', 'salinity', 'ammonia']);
+    expect(alerts[0]).toMatchObject({ severity: 'high', value: 2.5 });
+    expect(alerts[1].severity).toBe('medium');
+    expect(alerts[1].message).toContain('10-30 ppt) for Whiteleg Shrimp');
+  });
+
+  it('should use the admin override in force on the day of culture and keep defaults for what it leaves out', async () => {
+    Season.findById.mockResolvedValue({ primarySpecies: 'Giant Tiger Prawn', startDate: new Date('2025-01-01') });
+    Stocking.findOne.mockReturnValue(sorted({ date: new Date('2025-01-11') }));
+    const lowSalinity = { optimalMin: 3, optimalMax: 10, acceptableMin: 1, acceptableMax: 15 };
+    WaterQualityProfile.find.mockResolvedValue([
+      { _id: 'early', fromDay: 0, parameters: { salinity: lowSalinity } },
+      { _id: 'late', fromDay: 60, parameters: { salinity: { optimalMin: 5, optimalMax: 12 } } }
+    ]);
+
+    const profile = await profileFor({ seasonId: 's1', pondId: 'p1', date: new Date('2025-02-10') });
+
+    expect(WaterQualityProfile.find).toHaveBeenCalledWith({ species: 'Giant Tiger Prawn', stage: 'GrowOut' });
+    expect(profile).toMatchObject({ _id: 'early', source: 'custom', stage: 'GrowOut', daysOfCulture: 30 });
+    expect(profile.parameters.salinity).toEqual(lowSalinity);
+    expect(profile.parameters.pH).toEqual(defaultProfile('Giant Tiger Prawn').parameters.pH);
+  });
+
+  it('should use nursery ranges for a batch and look each pond up once for many readings', async () => {
+    NurseryBatch.findById.mockResolvedValue({ seasonId: 's1', startDate: new Date('2025-01-01') });
+    Season.findById.mockResolvedValue({ primarySpecies: 'Blue Shrimp', startDate: new Date('2024-12-01') });
+
+    const nursery = await profileFor({ nurseryBatchId: 'b1', date: new Date('2025-01-05') });
+    expect(nursery).toMatchObject({ species: 'Blue Shrimp', stage: 'Nursery', daysOfCulture: 4, source: 'default' });
+
+    Season.findById.mockClear();
+    Stocking.findOne.mockReturnValue(sorted(null));
+    const readings = [1, 2, 3].map(day => ({ seasonId: 's1', pondId: 'p1', date: new Date(`2024-12-0${day}`), $locals: {} }));
+    await attachProfiles(readings);
+
+    expect(Season.findById).toHaveBeenCalledTimes(1);
+    expect(readings.map(item => item.$locals.profile.daysOfCulture)).toEqual([0, 1, 2]);
+    expect(readings[0].$locals.profile.parameters.salinity.optimalMin).toBe(25);
+  });
+});
@@ -60,7 +60,10 @@ const config = {
   upload: {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE, 10) || 5242880, // 5MB
     uploadPath: process.env.UPLOAD_PATH || './uploads',
-    allowedTypes: ['image/jpeg', 'image/png', 'image/gif', 'application/pdf']
+    allowedTypes: ['image/jpeg', 'image/png', 'image/gif', 'application/pdf'],
+    // Where uploaded files are kept; 'local' writes under uploadPath
+    storageDriver: process.env.UPLOAD_STORAGE_DRIVER || 'local',
+    thumbnailWidth: parseInt(process.env.UPLOAD_THUMBNAIL_WIDTH, 10) || 320
   },
 
   // Email Configuration
@@ -69,9 +72,77 @@ const config = {
     port: parseInt(process.env.SMTP_PORT, 10) || 587,
     user: process.env.SMTP_USER,
     pass: process.env.SMTP_PASS,
+    secure: process.env.SMTP_SECURE === 'true',
     from: process.env.FROM_EMAIL || 'noreply@shrimpfarm.com'
   },
 
+  // Outbound Notification Delivery (email / SMS / webhooks)
+  notifications: {
+    maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 3,
+    retryDelayMs: parseInt(process.env.NOTIFICATION_RETRY_DELAY_MS, 10) || 2000,
+    requestTimeoutMs: parseInt(process.env.NOTIFICATION_REQUEST_TIMEOUT_MS, 10) || 10000,
+    escalation: {
+      ackTimeoutMinutes: parseInt(process.env.NOTIFICATION_ACK_TIMEOUT_MINUTES, 10) || 30,
+      checkIntervalMs: parseInt(process.env.NOTIFICATION_ESCALATION_INTERVAL_MS, 10) || 60000
+    },
+    sms: {
+      gatewayUrl: process.env.SMS_GATEWAY_URL,
+      apiKey: process.env.SMS_GATEWAY_API_KEY,
+      from: process.env.SMS_FROM
+    }
+  },
+
+  // Alert Rule Evaluation
+  alerts: {
+    evaluationIntervalMs: parseInt(process.env.ALERT_EVALUATION_INTERVAL_MS, 10) || 900000, // 15 minutes
+    // Pre-dawn dissolved oxygen forecast; without a threshold the species profile's acceptable minimum is used
+    oxygenCrashThreshold: parseFloat(process.env.ALERT_OXYGEN_CRASH_THRESHOLD) || null,
+    dawnHour: parseInt(process.env.ALERT_DAWN_HOUR, 10) || 6
+  },
+
+  // Recurring Tasks
+  tasks: {
+    recurrenceIntervalMs: parseInt(process.env.TASK_RECURRENCE_INTERVAL_MS, 10) || 3600000, // 1 hour
+    reminderLeadMinutes: parseInt(process.env.TASK_REMINDER_LEAD_MINUTES, 10) || 60,
+    reminderIntervalMs: parseInt(process.env.TASK_REMINDER_INTERVAL_MS, 10) || 300000 // 5 minutes
+  },
+
+  // Season budget tracking
+  budget: {
+    checkIntervalMs: parseInt(process.env.BUDGET_CHECK_INTERVAL_MS, 10) || 3600000 // 1 hour
+  },
+
+  // Currencies: amounts are recorded in any supported currency and reported in the farm base currency,
+  // converted with the exchange rate in effect on the transaction date
+  currency: {
+    base: (process.env.BASE_CURRENCY || 'LKR').trim().toUpperCase(),
+    supported: (process.env.SUPPORTED_CURRENCIES || 'LKR,USD,EUR,INR')
+      .split(',')
+      .map(code => code.trim().toUpperCase())
+      .filter(Boolean)
+  },
+
+  // Cash-flow forecast defaults; each can be overridden per request
+  cashFlow: {
+    horizonWeeks: parseInt(process.env.CASH_FLOW_HORIZON_WEEKS, 10) || 12,
+    harvestWeightGrams: parseFloat(process.env.CASH_FLOW_HARVEST_WEIGHT_GRAMS) || 20,
+    // Harvest price per kg in the base currency; 0 uses the season's average sale price
+    pricePerKg: parseFloat(process.env.CASH_FLOW_PRICE_PER_KG) || 0
+  },
+
+  // Probe and data logger ingestion
+  sensors: {
+    // Samples are averaged into one water quality reading per pond per interval; devices may override it
+    sampleIntervalMinutes: parseInt(process.env.SENSOR_SAMPLE_INTERVAL_MINUTES, 10) || 30,
+    maxSamplesPerRequest: parseInt(process.env.SENSOR_MAX_SAMPLES_PER_REQUEST, 10) || 5000,
+    // Days each resolution is kept: raw samples, then hourly and daily min / max / mean; 0 keeps daily rollups forever
+    retentionDays: {
+      raw: parseInt(process.env.SENSOR_RAW_RETENTION_DAYS, 10) || 30,
+      hour: parseInt(process.env.SENSOR_HOURLY_RETENTION_DAYS, 10) || 400,
+      day: parseInt(process.env.SENSOR_DAILY_RETENTION_DAYS, 10) || 0
+    }
+  },
+
   // External APIs
   apis: {
     weatherApiKey: process.env.WEATHER_API_KEY,
@@ -79,6 +150,11 @@ const config = {
   }
 };
 
+// The base currency is always a supported currency
+if (!config.currency.supported.includes(config.currency.base)) {
+  config.currency.supported.unshift(config.currency.base);
+}
+
 /**
  * Validate required configuration values
  * @returns {boolean} True if all required configurations are present, false otherwise
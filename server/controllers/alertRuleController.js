@@ -1,4 +1,5 @@
 const AlertRule = require('../models/AlertRule');
+const alertEngine = require('../utils/alertEngine');
 
 exports.createRule = async (req, res) => {
   try {
@@ -12,7 +13,10 @@ exports.createRule = async (req, res) => {
 
 exports.getRules = async (req, res) => {
   try {
-    const rules = await AlertRule.find();
+    const rules = await AlertRule.find()
+      .populate('pondId', 'name')
+      .populate('seasonId', 'name')
+      .populate('nurseryBatchId', 'batchName');
     res.status(200).json(rules);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -21,8 +25,11 @@ exports.getRules = async (req, res) => {
 
 exports.updateRule = async (req, res) => {
   try {
-    const rule = await AlertRule.findByIdAndUpdate(req.params.id, req.body, { new: true });
-    if (!rule) return res.status(404).json({ message: 'Rule not found' });
+    // Saved as a document so the scope is validated against the rule's metric
+    const rule = await AlertRule.findById(req.params.id);
+    if (!rule) { return res.status(404).json({ message: 'Rule not found' }); }
+    rule.set(req.body);
+    await rule.save();
     res.status(200).json(rule);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -38,3 +45,13 @@ exports.deleteRule = async (req, res) => {
     res.status(500).json({ message: error.message });
   }
 };
+
+// Run the scheduled (feedNotLogged / inventoryLevel) rule checks on demand
+exports.evaluateRules = async (req, res) => {
+  try {
+    const result = await alertEngine.runScheduledEvaluations();
+    res.status(200).json({ message: 'Alert rules evaluated', notificationsCreated: result });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,100 @@
+const Asset = require('../models/Asset');
+const Event = require('../models/Event');
+const currency = require('../utils/currency');
+const depreciation = require('../utils/depreciation');
+
+const withValuation = (asset) => ({ ...asset.toObject(), ...depreciation.valuation(asset) });
+
+exports.createAsset = async (req, res) => {
+  try {
+    const asset = new Asset({ ...req.body, currency: currency.normalizeCurrency(req.body.currency) });
+    await asset.save();
+    res.status(201).json(withValuation(asset));
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ message: error.message });
+  }
+};
+
+// Register with each asset's book value today; ?status, ?category and ?pondId filter it
+exports.getAssets = async (req, res) => {
+  try {
+    const filter = {};
+    ['status', 'category', 'pondId'].forEach(field => {
+      if (req.query[field]) { filter[field] = req.query[field]; }
+    });
+
+    const assets = await Asset.find(filter).populate('pondId', 'name').sort({ purchaseDate: -1 });
+    res.status(200).json(assets.map(withValuation));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// An asset with its depreciation schedule and maintenance history
+exports.getAssetById = async (req, res) => {
+  try {
+    const asset = await Asset.findById(req.params.id).populate('pondId', 'name');
+    if (!asset) { return res.status(404).json({ message: 'Asset not found' }); }
+
+    const maintenance = await Event.find({ assetId: asset._id, eventType: 'Maintenance' })
+      .populate('pondId', 'name')
+      .sort({ date: -1 });
+    res.status(200).json({
+      ...withValuation(asset),
+      schedule: depreciation.depreciationSchedule(asset),
+      maintenance,
+      maintenanceCost: maintenance.reduce((sum, event) => sum + event.totalCost, 0)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.updateAsset = async (req, res) => {
+  try {
+    const asset = await Asset.findById(req.params.id);
+    if (!asset) { return res.status(404).json({ message: 'Asset not found' }); }
+
+    const updateData = { ...req.body };
+    if (updateData.currency !== undefined) { updateData.currency = currency.normalizeCurrency(updateData.currency); }
+    // Disposing of an asset without a date disposes of it today
+    if (updateData.status === 'Disposed' && !updateData.disposedDate) { updateData.disposedDate = asset.disposedDate || new Date(); }
+    if (updateData.status === 'Active') { updateData.disposedDate = null; }
+    // Saved rather than updated in place so the salvage value is checked against the purchase cost
+    asset.set(updateData);
+    await asset.save();
+    res.status(200).json(withValuation(asset));
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ message: error.message });
+  }
+};
+
+// Assets with maintenance history are disposed of rather than deleted so the history stays intact
+exports.deleteAsset = async (req, res) => {
+  try {
+    const asset = await Asset.findById(req.params.id);
+    if (!asset) { return res.status(404).json({ message: 'Asset not found' }); }
+
+    if (await Event.exists({ assetId: asset._id })) {
+      return res.status(400).json({ message: 'Asset has maintenance history; mark it disposed instead' });
+    }
+    await Asset.deleteOne({ _id: asset._id });
+    res.status(200).json({ message: 'Asset deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Depreciation charged to a season, per asset and in total, in the base currency
+exports.getSeasonDepreciation = async (req, res) => {
+  try {
+    const { seasonId } = req.query;
+    if (!seasonId) { return res.status(400).json({ message: 'Season ID is required for depreciation' }); }
+
+    const report = await depreciation.getSeasonDepreciation(seasonId);
+    if (!report) { return res.status(404).json({ message: 'Season not found' }); }
+    res.status(200).json(report);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
@@ -233,6 +233,53 @@ exports.updateProfile = asyncHandler(async (req, res) => {
   }, 'Profile updated successfully');
 });
 
+/**
+ * Get notification channel preferences and quiet hours for the current user
+ */
+exports.getNotificationPreferences = asyncHandler((req, res) => {
+  const user = req.user;
+
+  sendSuccessResponse(res, {
+    phone: user.phone,
+    notificationPreferences: user.notificationPreferences
+  }, 'Notification preferences retrieved successfully');
+});
+
+/**
+ * Update notification channel preferences and quiet hours for the current user
+ */
+exports.updateNotificationPreferences = asyncHandler(async (req, res) => {
+  const { phone, email, sms, quietHours } = req.body;
+  const user = req.user;
+
+  logger.info('User notification preferences update', { userId: user._id, username: user.username });
+
+  // Only the supplied sections change; nested fields are set individually to keep the rest
+  const updateData = {};
+  if (phone) {
+    updateData.phone = phone;
+  } else if (phone === '' || phone === null) {
+    updateData.$unset = { phone: 1 };
+  }
+  Object.entries({ email, sms, quietHours }).forEach(([section, values]) => {
+    if (!values) { return; }
+    Object.entries(values).forEach(([key, value]) => {
+      updateData[`notificationPreferences.${section}.${key}`] = value;
+    });
+  });
+
+  const updatedUser = await User.findByIdAndUpdate(
+    user._id,
+    updateData,
+    { new: true, runValidators: true }
+  );
+
+  sendSuccessResponse(res, {
+    phone: updatedUser.phone,
+    notificationPreferences: updatedUser.notificationPreferences
+  }, 'Notification preferences updated successfully');
+});
+
 /**
  * Change password
  */
@@ -507,6 +554,8 @@ module.exports = {
   logout: exports.logout,
   getProfile: exports.getProfile,
   updateProfile: exports.updateProfile,
+  getNotificationPreferences: exports.getNotificationPreferences,
+  updateNotificationPreferences: exports.updateNotificationPreferences,
   changePassword: exports.changePassword,
   getAllUsers: exports.getAllUsers,
   createUser: exports.createUser,
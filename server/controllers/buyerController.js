@@ -0,0 +1,76 @@
+const Buyer = require('../models/Buyer');
+const BuyerPriceList = require('../models/BuyerPriceList');
+const Sale = require('../models/Sale');
+
+exports.createBuyer = async (req, res) => {
+  try {
+    const buyer = new Buyer(req.body);
+    await buyer.save();
+    res.status(201).json(buyer);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A buyer with this name already exists' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.getBuyers = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active === 'true') { filter.isActive = true; }
+
+    const buyers = await Buyer.find(filter).sort({ name: 1 });
+    res.status(200).json(buyers);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.getBuyerById = async (req, res) => {
+  try {
+    const buyer = await Buyer.findById(req.params.id);
+    if (!buyer) { return res.status(404).json({ message: 'Buyer not found' }); }
+    res.status(200).json(buyer);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Renaming a buyer carries the new name onto their sales so price lists and invoices keep matching
+exports.updateBuyer = async (req, res) => {
+  try {
+    const previous = await Buyer.findById(req.params.id);
+    if (!previous) { return res.status(404).json({ message: 'Buyer not found' }); }
+
+    const buyer = await Buyer.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    if (buyer.name !== previous.name) {
+      await Sale.updateMany({ buyerId: buyer._id }, { $set: { buyerName: buyer.name } });
+      await BuyerPriceList.updateMany({ buyerName: previous.name }, { $set: { buyerName: buyer.name } });
+    }
+    res.status(200).json(buyer);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A buyer with this name already exists' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Buyers with sales are deactivated rather than deleted so their history stays intact
+exports.deleteBuyer = async (req, res) => {
+  try {
+    const buyer = await Buyer.findById(req.params.id);
+    if (!buyer) { return res.status(404).json({ message: 'Buyer not found' }); }
+
+    if (await Sale.exists({ buyerId: buyer._id })) {
+      buyer.isActive = false;
+      await buyer.save();
+      return res.status(200).json({ message: 'Buyer has sales and was deactivated instead', buyer });
+    }
+    await Buyer.deleteOne({ _id: buyer._id });
+    res.status(200).json({ message: 'Buyer deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
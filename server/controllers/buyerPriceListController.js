@@ -0,0 +1,78 @@
+const BuyerPriceList = require('../models/BuyerPriceList');
+const gradedSales = require('../utils/gradedSales');
+
+// Grade labels are stored normalized so sale line items match them ("30 / 40" -> "30/40")
+const normalizePrices = (prices) => {
+  const normalized = (prices || []).map(price => {
+    const grade = gradedSales.normalizeGrade(price.grade);
+    if (!grade) {
+      const error = new Error(`Unknown grade "${price.grade}"`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return { grade, pricePerKg: price.pricePerKg };
+  });
+  if (new Set(normalized.map(price => price.grade)).size !== normalized.length) {
+    const error = new Error('Each grade can only be priced once per list');
+    error.statusCode = 400;
+    throw error;
+  }
+  return normalized;
+};
+
+exports.createPriceList = async (req, res) => {
+  try {
+    const priceList = new BuyerPriceList({ ...req.body, prices: normalizePrices(req.body.prices) });
+    await priceList.save();
+    res.status(201).json(priceList);
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ message: error.message });
+  }
+};
+
+exports.getPriceLists = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.buyerName) { filter.buyerName = req.query.buyerName; }
+    if (req.query.active === 'true') { filter.isActive = true; }
+
+    const priceLists = await BuyerPriceList.find(filter).sort({ buyerName: 1, effectiveFrom: -1 });
+    res.status(200).json(priceLists);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// The list a sale to this buyer on the given date (default today) would be priced from
+exports.getEffectivePriceList = async (req, res) => {
+  try {
+    const priceList = await gradedSales.findPriceList(req.query.buyerName, req.query.date || new Date());
+    if (!priceList) { return res.status(404).json({ message: 'No price list in effect for this buyer' }); }
+    res.status(200).json(priceList);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.updatePriceList = async (req, res) => {
+  try {
+    const updateData = { ...req.body };
+    if (updateData.prices) { updateData.prices = normalizePrices(updateData.prices); }
+
+    const priceList = await BuyerPriceList.findByIdAndUpdate(req.params.id, updateData, { new: true, runValidators: true });
+    if (!priceList) { return res.status(404).json({ message: 'Price list not found' }); }
+    res.status(200).json(priceList);
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ message: error.message });
+  }
+};
+
+exports.deletePriceList = async (req, res) => {
+  try {
+    const priceList = await BuyerPriceList.findByIdAndDelete(req.params.id);
+    if (!priceList) { return res.status(404).json({ message: 'Price list not found' }); }
+    res.status(200).json({ message: 'Price list deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
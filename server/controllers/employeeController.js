@@ -17,6 +17,8 @@ exports.createEmployee = async (req, res) => {
     name: req.body.name,
     role: req.body.role,
     hireDate: req.body.hireDate,
+    monthlySalary: req.body.monthlySalary,
+    currency: req.body.currency,
     status: req.body.status
   });
 
@@ -61,6 +63,12 @@ exports.updateEmployee = async (req, res) => {
     if (req.body.status !== null) {
       employee.status = req.body.status;
     }
+    if (req.body.monthlySalary !== undefined) {
+      employee.monthlySalary = req.body.monthlySalary;
+    }
+    if (req.body.currency !== undefined) {
+      employee.currency = req.body.currency;
+    }
 
     const updatedEmployee = await employee.save();
     res.json(updatedEmployee);
@@ -1,25 +1,31 @@
+const mongoose = require('mongoose');
 const { logger } = require('../utils/logger');
+const fileStorage = require('../utils/fileStorage');
 const Event = require('../models/Event');
 const Pond = require('../models/Pond');
 const Season = require('../models/Season');
+const Asset = require('../models/Asset');
 const InventoryItem = require('../models/InventoryItem'); // New import
 // const InventoryAdjustment = require('../models/InventoryAdjustment'); // New import - unused
 const NurseryBatch = require('../models/NurseryBatch'); // New import
 const inventoryController = require('./inventoryController'); // New import
+const alertEngine = require('../utils/alertEngine');
 
 // Create a new event
 exports.createEvent = async (req, res) => {
   logger.info('Creating a new event', { body: req.body });
   try {
     const { eventType, date, pondId, nurseryBatchId, seasonId, details } = req.body;
+    // Only maintenance is logged against an asset
+    const assetId = eventType === 'Maintenance' ? req.body.assetId : undefined;
 
     // Basic validation for all events
     if (!eventType || !date || !seasonId || !details) {
       return res.status(400).json({ message: 'Event type, date, season ID, and details are required' });
     }
 
-    // Either pondId or nurseryBatchId is required
-    if (!pondId && !nurseryBatchId) {
+    // Either pondId or nurseryBatchId is required, unless the event services an asset
+    if (!pondId && !nurseryBatchId && !assetId) {
       return res.status(400).json({ message: 'Either pond ID or nursery batch ID is required' });
     }
 
@@ -168,6 +174,12 @@ exports.createEvent = async (req, res) => {
         // but can include media
         break;
 
+    case 'Maintenance':
+      if (assetId && !(await Asset.findById(assetId))) {
+        return res.status(404).json({ message: 'Maintenance: Asset not found' });
+      }
+      break;
+
       default:
         return res.status(400).json({ message: 'Invalid event type' });
     }
@@ -177,8 +189,10 @@ exports.createEvent = async (req, res) => {
       date,
       pondId,
       nurseryBatchId,
+      assetId,
       seasonId,
-      details
+      details,
+      cost: req.body.cost
     });
 
     await event.save();
@@ -215,6 +229,11 @@ exports.createEvent = async (req, res) => {
       }, { status: () => ({ json: () => { } }) }); // Mock res object for internal call
     }
 
+    // Water quality readings (including nursery batch readings) are checked against alert rules
+    if (eventType === 'WaterQualityTesting') {
+      await alertEngine.evaluateWaterQualityEvent(event);
+    }
+
     // Populate references in the response
     const populatedEvent = await Event.findById(event._id)
       .populate('pondId', 'name')
@@ -303,14 +322,16 @@ exports.updateEvent = async (req, res) => {
   logger.info(`Updating event by ID: ${req.params.id}`, { body: req.body });
   try {
     const { eventType, date, pondId, nurseryBatchId, seasonId, details } = req.body;
+    // Only maintenance is logged against an asset
+    const assetId = eventType === 'Maintenance' ? req.body.assetId : undefined;
 
     // Basic validation for all events
     if (!eventType || !date || !seasonId || !details) {
       return res.status(400).json({ message: 'Event type, date, season ID, and details are required' });
     }
 
-    // Either pondId or nurseryBatchId is required
-    if (!pondId && !nurseryBatchId) {
+    // Either pondId or nurseryBatchId is required, unless the event services an asset
+    if (!pondId && !nurseryBatchId && !assetId) {
       return res.status(400).json({ message: 'Either pond ID or nursery batch ID is required' });
     }
 
@@ -457,6 +478,12 @@ exports.updateEvent = async (req, res) => {
         // but can include media
         break;
 
+    case 'Maintenance':
+      if (assetId && !(await Asset.findById(assetId))) {
+        return res.status(404).json({ message: 'Maintenance: Asset not found' });
+      }
+      break;
+
       default:
         return res.status(400).json({ message: 'Invalid event type' });
     }
@@ -468,8 +495,10 @@ exports.updateEvent = async (req, res) => {
         date,
         pondId,
         nurseryBatchId,
+        assetId,
         seasonId,
-        details
+        details,
+        cost: req.body.cost
       },
       { new: true, runValidators: true }
     )
@@ -518,6 +547,7 @@ exports.deleteEvent = async (req, res) => {
     }
 
     await Event.findByIdAndDelete(req.params.id); // Now delete
+    await Promise.all(event.media.map(media => fileStorage.removeFile(media)));
 
     // Reverse inventory adjustment for ChemicalApplication
     if (event.eventType === 'ChemicalApplication' && event.details.inventoryItemId && event.details.quantityApplied !== undefined) {
@@ -557,6 +587,86 @@ exports.deleteEvent = async (req, res) => {
   }
 };
 
+// Attach a photo or document to an event (multipart 'file' field, optional 'caption')
+exports.uploadEventMedia = async (req, res) => {
+  logger.info(`Uploading media for event ID: ${req.params.id}`);
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const stored = await fileStorage.storeFile(req.file, 'events');
+    const mediaId = new mongoose.Types.ObjectId();
+    try {
+      await event.addMedia({
+        ...stored,
+        _id: mediaId,
+        type: stored.mimetype.startsWith('image/') ? 'image' : 'document',
+        url: `/api/events/${event._id}/media/${mediaId}`,
+        caption: req.body.caption,
+        uploadedBy: req.user?._id
+      });
+    } catch (error) {
+      await fileStorage.removeFile(stored);
+      throw error;
+    }
+
+    res.status(201).json(event.media.id(mediaId));
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid event ID' });
+    }
+    logger.error(`Error uploading media for event ID: ${req.params.id}`, { error: error.message, stack: error.stack });
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({ message: error.message });
+  }
+};
+
+// View or download an event's uploaded file; ?thumbnail=true sends the small preview of a photo
+exports.getEventMedia = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    const media = event && event.media.id(req.params.mediaId);
+    if (!media || !media.key) {
+      return res.status(404).json({ message: 'Media not found' });
+    }
+
+    fileStorage.sendFile(res, media, {
+      thumbnail: req.query.thumbnail === 'true',
+      download: req.query.download === 'true'
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid event ID' });
+    }
+    logger.error(`Error getting media for event ID: ${req.params.id}`, { error: error.message, stack: error.stack });
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Remove a photo or document from an event
+exports.deleteEventMedia = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    const media = event && event.media.id(req.params.mediaId);
+    if (!media) {
+      return res.status(404).json({ message: 'Media not found' });
+    }
+
+    event.media.pull(media._id);
+    await event.save();
+    await fileStorage.removeFile(media);
+
+    res.json({ message: 'Media deleted successfully' });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid event ID' });
+    }
+    logger.error(`Error deleting media for event ID: ${req.params.id}`, { error: error.message, stack: error.stack });
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // Get events by pond ID
 exports.getEventsByPondId = async (req, res) => {
   logger.info(`Getting events for pond ID: ${req.params.pondId}`);
@@ -0,0 +1,72 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { config } = require('../config');
+const currency = require('../utils/currency');
+
+// Base and supported currencies, with the latest rate of each supported currency
+exports.getCurrencies = async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find({ baseCurrency: config.currency.base }).sort({ effectiveFrom: -1 });
+    const latest = config.currency.supported
+      .filter(code => code !== config.currency.base)
+      .map(code => ({ currency: code, rate: currency.rateOn(rates.filter(rate => rate.currency === code), new Date()) || null }));
+    res.status(200).json({ base: config.currency.base, supported: config.currency.supported, latest });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Rates are entered as units of the base currency per unit of the currency, effective from a date
+exports.createExchangeRate = async (req, res) => {
+  try {
+    const code = currency.normalizeCurrency(req.body.currency);
+    if (code === config.currency.base) {
+      return res.status(400).json({ message: `${code} is the base currency` });
+    }
+    const rate = new ExchangeRate({ ...req.body, currency: code, baseCurrency: config.currency.base });
+    await rate.save();
+    res.status(201).json(rate);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A rate for this currency is already effective from that date' });
+    }
+    res.status(error.statusCode || 400).json({ message: error.message });
+  }
+};
+
+exports.getExchangeRates = async (req, res) => {
+  try {
+    const filter = { baseCurrency: config.currency.base };
+    if (req.query.currency) { filter.currency = String(req.query.currency).toUpperCase(); }
+
+    const rates = await ExchangeRate.find(filter).sort({ currency: 1, effectiveFrom: -1 });
+    res.status(200).json(rates);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.updateExchangeRate = async (req, res) => {
+  try {
+    const updateData = { rate: req.body.rate, effectiveFrom: req.body.effectiveFrom, notes: req.body.notes };
+    Object.keys(updateData).forEach(key => updateData[key] === undefined && delete updateData[key]);
+
+    const rate = await ExchangeRate.findByIdAndUpdate(req.params.id, updateData, { new: true, runValidators: true });
+    if (!rate) { return res.status(404).json({ message: 'Exchange rate not found' }); }
+    res.status(200).json(rate);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A rate for this currency is already effective from that date' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.deleteExchangeRate = async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findByIdAndDelete(req.params.id);
+    if (!rate) { return res.status(404).json({ message: 'Exchange rate not found' }); }
+    res.status(200).json({ message: 'Exchange rate deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -1,6 +1,11 @@
 const Expense = require('../models/Expense');
+const fileStorage = require('../utils/fileStorage');
 const { logger } = require('../utils/logger');
 
+const RECEIPT_FOLDER = 'receipts';
+
+const receiptUrl = (expense) => `/api/expenses/${expense._id}/receipt`;
+
 // Get all expenses with filtering
 exports.getAllExpenses = async (req, res) => {
   try {
@@ -23,8 +28,9 @@ exports.getAllExpenses = async (req, res) => {
 };
 
 // Create a new expense
+exports.createExpense = async (req, res) => {
   try {
-    const { date, amount, mainCategory, subCategory, description, seasonId, pondId, receiptUrl, employeeId } = req.body;
+    const { date, amount, currency, mainCategory, subCategory, description, seasonId, pondId, receiptUrl, employeeId } = req.body;
     
     // Basic validation
     if (!date || !amount || !mainCategory || !subCategory || !seasonId) {
@@ -34,6 +40,7 @@ exports.getAllExpenses = async (req, res) => {
     const expense = new Expense({
       date,
       amount,
+      currency,
       mainCategory,
       subCategory,
       description,
@@ -43,7 +50,19 @@ exports.getAllExpenses = async (req, res) => {
       employeeId
     });
 
-    const newExpense = await expense.save();
+    // A receipt may come with the expense as a multipart upload
+    if (req.file) {
+      expense.receipt = await fileStorage.storeFile(req.file, RECEIPT_FOLDER);
+      expense.receiptUrl = receiptUrl(expense);
+    }
+
+    let newExpense;
+    try {
+      newExpense = await expense.save();
+    } catch (error) {
+      await fileStorage.removeFile(expense.receipt);
+      throw error;
+    }
     const populatedExpense = await Expense.findById(newExpense._id)
       .populate('seasonId')
       .populate('pondId')
@@ -52,8 +71,9 @@ exports.getAllExpenses = async (req, res) => {
     res.status(201).json(populatedExpense);
   } catch (error) {
     logger.error('Error creating expense:', error);
-    return res.status(400).json({ message: error.message });
+    return res.status(error.statusCode || 400).json({ message: error.message });
   }
+};
 
 // Get a single expense
 exports.getExpenseById = async (req, res) => {
@@ -77,9 +97,10 @@ exports.updateExpense = async (req, res) => {
       return res.status(404).json({ message: 'Cannot find expense' });
     }
 
-    const { date, amount, mainCategory, subCategory, description, seasonId, pondId, receiptUrl, employeeId } = req.body;
+    const { date, amount, currency, mainCategory, subCategory, description, seasonId, pondId, receiptUrl, employeeId } = req.body;
     if (date !== undefined) { expense.date = date; }
     if (amount !== undefined) { expense.amount = amount; }
+    if (currency !== undefined) { expense.currency = currency; }
     if (mainCategory !== undefined) { expense.mainCategory = mainCategory; }
     if (subCategory !== undefined) { expense.subCategory = subCategory; }
     if (description !== undefined) { expense.description = description; }
@@ -105,6 +126,7 @@ exports.deleteExpense = async (req, res) => {
     }
 
     await expense.deleteOne();
+    await fileStorage.removeFile(expense.receipt);
     res.json({ message: 'Deleted Expense' });
   } catch (error) {
     logger.error('Error deleting expense:', error);
@@ -112,6 +134,78 @@ exports.deleteExpense = async (req, res) => {
   }
 };
 
+// Attach a receipt image or PDF to an expense, replacing any earlier one
+exports.uploadReceipt = async (req, res) => {
+  try {
+    const expense = await Expense.findById(req.params.id);
+    if (expense === null) {
+      return res.status(404).json({ message: 'Cannot find expense' });
+    }
+
+    const previous = expense.receipt;
+    const stored = await fileStorage.storeFile(req.file, RECEIPT_FOLDER);
+    expense.receipt = stored;
+    expense.receiptUrl = receiptUrl(expense);
+    try {
+      await expense.save();
+    } catch (error) {
+      await fileStorage.removeFile(stored);
+      throw error;
+    }
+    await fileStorage.removeFile(previous);
+
+    res.json(expense);
+  } catch (error) {
+    logger.error('Error uploading receipt:', error);
+    return res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
+
+// View or download an expense's receipt; ?thumbnail=true sends the small preview of an image
+exports.getReceipt = async (req, res) => {
+  try {
+    const expense = await Expense.findById(req.params.id);
+    if (expense === null) {
+      return res.status(404).json({ message: 'Cannot find expense' });
+    }
+    if (!expense.receipt) {
+      return res.status(404).json({ message: 'No receipt uploaded for this expense' });
+    }
+
+    fileStorage.sendFile(res, expense.receipt, {
+      thumbnail: req.query.thumbnail === 'true',
+      download: req.query.download === 'true'
+    });
+  } catch (error) {
+    logger.error('Error getting receipt:', error);
+    return res.status(500).json({ message: error.message });
+  }
+};
+
+// Remove an expense's uploaded receipt
+exports.deleteReceipt = async (req, res) => {
+  try {
+    const expense = await Expense.findById(req.params.id);
+    if (expense === null) {
+      return res.status(404).json({ message: 'Cannot find expense' });
+    }
+    if (!expense.receipt) {
+      return res.status(404).json({ message: 'No receipt uploaded for this expense' });
+    }
+
+    const previous = expense.receipt;
+    expense.receipt = undefined;
+    expense.receiptUrl = undefined;
+    await expense.save();
+    await fileStorage.removeFile(previous);
+
+    res.json(expense);
+  } catch (error) {
+    logger.error('Error deleting receipt:', error);
+    return res.status(500).json({ message: error.message });
+  }
+};
+
 // Get expense summary
 exports.getExpenseSummary = async (req, res) => {
   try {
@@ -10,9 +10,45 @@ const {
   NotFoundError
 } = require('../utils/errorHandler');
 const { logger } = require('../utils/logger');
+const depreciation = require('../utils/depreciation');
+const { profileFor, checkRange, describeRange } = require('../utils/waterQualityProfiles');
+const sensorRollups = require('../utils/sensorRollups');
 const Season = require('../models/Season');
 const mongoose = require('mongoose');
 
+// Trend fields that probes measure, and the suffix of their aggregated avg / min / max
+const PROBE_TREND_FIELDS = [
+  ['pH', 'PH'],
+  ['dissolvedOxygen', 'DissolvedOxygen'],
+  ['temperature', 'Temperature'],
+  ['salinity', 'Salinity']
+];
+
+/**
+ * Fold a day's probe statistics into the aggregated hand-entered readings of that day,
+ * weighting each mean by its number of readings
+ * @param {object} item - Aggregated day (avg / min / max per field and manualCount)
+ * @param {object} probe - Probe statistics of the day from the daily rollups
+ * @returns {object} The day with probe data included
+ */
+const mergeProbeDay = (item, probe) => {
+  const merged = { ...item };
+  PROBE_TREND_FIELDS.forEach(([parameter, suffix]) => {
+    const manual = item[`avg${suffix}`] === null || item[`avg${suffix}`] === undefined ? null : {
+      min: item[`min${suffix}`],
+      max: item[`max${suffix}`],
+      mean: item[`avg${suffix}`],
+      count: item.manualCount
+    };
+    const stats = sensorRollups.combineStats([{ [parameter]: manual }, probe]);
+    if (!stats[parameter]) { return; }
+    merged[`avg${suffix}`] = stats[parameter].mean;
+    merged[`min${suffix}`] = stats[parameter].min;
+    merged[`max${suffix}`] = stats[parameter].max;
+  });
+  return merged;
+};
+
 /**
  * Get comprehensive farm-level KPIs
  */
@@ -201,6 +237,12 @@ const getWaterQualityTrends = asyncHandler(async (req, res) => {
       groupByFormat = '%Y-%m-%d';
   }
 
+  const profile = await seasonProfile(season);
+
+  // Probe samples come from the daily rollups, which keep their true min and max, so the
+  // down-sampled Probe readings are left out of the parameters probes measure
+  const handEntered = field => ({ $cond: [{ $eq: ['$testingMethod', 'Probe'] }, null, field] });
+
   // Aggregate water quality data by date
   const trendData = await WaterQualityInput.aggregate([
     {
@@ -214,19 +256,29 @@ const getWaterQualityTrends = asyncHandler(async (req, res) => {
         _id: {
           date: { $dateToString: { format: groupByFormat, date: '$date' } }
         },
-        avgPH: { $avg: '$pH' },
-        minPH: { $min: '$pH' },
-        maxPH: { $max: '$pH' },
-        avgDissolvedOxygen: { $avg: '$dissolvedOxygen' },
-        minDissolvedOxygen: { $min: '$dissolvedOxygen' },
-        maxDissolvedOxygen: { $max: '$dissolvedOxygen' },
-        avgTemperature: { $avg: '$temperature' },
-        minTemperature: { $min: '$temperature' },
-        maxTemperature: { $max: '$temperature' },
-        avgSalinity: { $avg: '$salinity' },
-        minSalinity: { $min: '$salinity' },
-        maxSalinity: { $max: '$salinity' },
-        readingCount: { $sum: 1 }
+        avgPH: { $avg: handEntered('$pH') },
+        minPH: { $min: handEntered('$pH') },
+        maxPH: { $max: handEntered('$pH') },
+        avgDissolvedOxygen: { $avg: handEntered('$dissolvedOxygen') },
+        minDissolvedOxygen: { $min: handEntered('$dissolvedOxygen') },
+        maxDissolvedOxygen: { $max: handEntered('$dissolvedOxygen') },
+        avgTemperature: { $avg: handEntered('$temperature') },
+        minTemperature: { $min: handEntered('$temperature') },
+        maxTemperature: { $max: handEntered('$temperature') },
+        avgSalinity: { $avg: handEntered('$salinity') },
+        minSalinity: { $min: handEntered('$salinity') },
+        maxSalinity: { $max: handEntered('$salinity') },
+        avgUnionizedAmmonia: { $avg: '$unionizedAmmonia' },
+        minUnionizedAmmonia: { $min: '$unionizedAmmonia' },
+        maxUnionizedAmmonia: { $max: '$unionizedAmmonia' },
+        avgDOSaturation: { $avg: '$doSaturation' },
+        minDOSaturation: { $min: '$doSaturation' },
+        maxDOSaturation: { $max: '$doSaturation' },
+        avgChlorideNitriteRatio: { $avg: '$chlorideNitriteRatio' },
+        minChlorideNitriteRatio: { $min: '$chlorideNitriteRatio' },
+        maxChlorideNitriteRatio: { $max: '$chlorideNitriteRatio' },
+        readingCount: { $sum: 1 },
+        manualCount: { $sum: { $cond: [{ $eq: ['$testingMethod', 'Probe'] }, 0, 1] } }
       }
     },
     {
@@ -234,8 +286,15 @@ const getWaterQualityTrends = asyncHandler(async (req, res) => {
     }
   ]);
 
+  const pondIds = await Pond.find({ seasonId }).distinct('_id');
+  const probeDays = await sensorRollups.dailyStats(pondIds, startDate, now);
+  const days = new Map(trendData.map(item => [item._id.date, item]));
+  probeDays.forEach((probe, date) => {
+    days.set(date, mergeProbeDay(days.get(date) || { _id: { date }, readingCount: 0, manualCount: 0 }, probe));
+  });
+
   // Format the response data
-  const formattedData = trendData.map(item => ({
+  const formattedData = [...days.values()].sort((a, b) => a._id.date.localeCompare(b._id.date)).map(item => ({
     date: item._id.date,
     pH: {
       avg: parseFloat(item.avgPH?.toFixed(2)) || null,
@@ -257,6 +316,22 @@ const getWaterQualityTrends = asyncHandler(async (req, res) => {
       min: parseFloat(item.minSalinity?.toFixed(2)) || null,
       max: parseFloat(item.maxSalinity?.toFixed(2)) || null
     },
+    // Derived on save; un-ionized ammonia is typically hundredths of a mg/L, so keep more digits
+    unionizedAmmonia: {
+      avg: parseFloat(item.avgUnionizedAmmonia?.toFixed(4)) || null,
+      min: parseFloat(item.minUnionizedAmmonia?.toFixed(4)) || null,
+      max: parseFloat(item.maxUnionizedAmmonia?.toFixed(4)) || null
+    },
+    doSaturation: {
+      avg: parseFloat(item.avgDOSaturation?.toFixed(1)) || null,
+      min: parseFloat(item.minDOSaturation?.toFixed(1)) || null,
+      max: parseFloat(item.maxDOSaturation?.toFixed(1)) || null
+    },
+    chlorideNitriteRatio: {
+      avg: parseFloat(item.avgChlorideNitriteRatio?.toFixed(1)) || null,
+      min: parseFloat(item.minChlorideNitriteRatio?.toFixed(1)) || null,
+      max: parseFloat(item.maxChlorideNitriteRatio?.toFixed(1)) || null
+    },
     readingCount: item.readingCount
   }));
 
@@ -276,21 +351,18 @@ const getWaterQualityTrends = asyncHandler(async (req, res) => {
         avgDissolvedOxygen: { $avg: '$dissolvedOxygen' },
         avgTemperature: { $avg: '$temperature' },
         avgSalinity: { $avg: '$salinity' },
+        avgUnionizedAmmonia: { $avg: '$unionizedAmmonia' },
+        avgDOSaturation: { $avg: '$doSaturation' },
+        avgChlorideNitriteRatio: { $avg: '$chlorideNitriteRatio' },
         // Quality indicators
         optimalPH: {
-          $sum: {
-            $cond: [{ $and: [{ $gte: ['$pH', 7.5] }, { $lte: ['$pH', 8.5] }] }, 1, 0]
-          }
+          $sum: { $cond: [inOptimalRange('$pH', profile.parameters.pH), 1, 0] }
         },
         optimalDO: {
-          $sum: {
-            $cond: [{ $gte: ['$dissolvedOxygen', 5] }, 1, 0]
-          }
+          $sum: { $cond: [inOptimalRange('$dissolvedOxygen', profile.parameters.dissolvedOxygen), 1, 0] }
         },
         optimalTemp: {
-          $sum: {
-            $cond: [{ $and: [{ $gte: ['$temperature', 26] }, { $lte: ['$temperature', 32] }] }, 1, 0]
-          }
+          $sum: { $cond: [inOptimalRange('$temperature', profile.parameters.temperature), 1, 0] }
         }
       }
     }
@@ -309,7 +381,10 @@ const getWaterQualityTrends = asyncHandler(async (req, res) => {
         pH: parseFloat(stats.avgPH?.toFixed(2)) || null,
         dissolvedOxygen: parseFloat(stats.avgDissolvedOxygen?.toFixed(2)) || null,
         temperature: parseFloat(stats.avgTemperature?.toFixed(2)) || null,
-        salinity: parseFloat(stats.avgSalinity?.toFixed(2)) || null
+        salinity: parseFloat(stats.avgSalinity?.toFixed(2)) || null,
+        unionizedAmmonia: parseFloat(stats.avgUnionizedAmmonia?.toFixed(4)) || null,
+        doSaturation: parseFloat(stats.avgDOSaturation?.toFixed(1)) || null,
+        chlorideNitriteRatio: parseFloat(stats.avgChlorideNitriteRatio?.toFixed(1)) || null
       },
       qualityIndicators: {
         optimalPH: {
@@ -516,7 +591,7 @@ const getFarmReport = asyncHandler(async (req, res) => {
   }
 
   // Get comprehensive farm data
-  const [farmKpis, pondDetails, feedData, waterQualityData, growthData, eventData] = await Promise.all([
+  const [farmKpis, pondDetails, feedData, waterQualityData, growthData, eventData, depreciationData] = await Promise.all([
     // Reuse KPI calculation logic
     calculateFarmKpis(seasonId),
 
@@ -582,7 +657,10 @@ const getFarmReport = asyncHandler(async (req, res) => {
           count: { $sum: 1 }
         }
       }
-    ])
+    ]),
+
+    // Capital asset depreciation charged to the season
+    depreciation.getSeasonDepreciation(seasonId)
   ]);
 
   // Compile comprehensive report
@@ -602,7 +680,8 @@ const getFarmReport = asyncHandler(async (req, res) => {
       completionRate: farmKpis.totalPonds > 0 ? parseFloat(((farmKpis.completedPonds / farmKpis.totalPonds) * 100).toFixed(1)) : 0,
       totalInvestment: farmKpis.totalFeedCost || 0,
       totalProduction: farmKpis.totalHarvestWeight || 0,
-      overallFCR: farmKpis.averageFcr
+      overallFCR: farmKpis.averageFcr,
+      depreciationCharge: depreciationData.total
     },
 
     detailedAnalysis: {
@@ -643,10 +722,16 @@ const getFarmReport = asyncHandler(async (req, res) => {
       eventsSummary: {
         eventTypes: eventData,
         totalEvents: eventData.reduce((sum, e) => sum + e.count, 0)
+      },
+
+      assetManagement: {
+        currency: depreciationData.currency,
+        totalDepreciation: depreciationData.total,
+        depreciationByAsset: depreciationData.assets
       }
     },
 
-    recommendations: generateRecommendations(farmKpis, waterQualityData[0], growthData[0]),
+    recommendations: generateRecommendations(farmKpis, waterQualityData[0], growthData[0], await seasonProfile(season)),
 
     appendices: {
       pondDetails: pondDetails.map(p => ({
@@ -722,37 +807,84 @@ async function calculateFarmKpis(seasonId) {
   };
 }
 
+/**
+ * Water quality profile for a season's species, at its current day of culture
+ * @param {object} season - Season document
+ * @returns {Promise<object>} Profile
+ */
+function seasonProfile(season) {
+  const end = season.endDate && season.endDate < new Date() ? season.endDate : new Date();
+  return profileFor({ seasonId: season._id, date: end });
+}
+
+/**
+ * Aggregation condition for a field inside a range's optimal band
+ * @param {string} field - Field path, e.g. '$pH'
+ * @param {object} bounds - Profile range
+ * @returns {object} Aggregation expression
+ */
+function inOptimalRange(field, bounds) {
+  const conditions = [];
+  if (typeof bounds.optimalMin === 'number') { conditions.push({ $gte: [field, bounds.optimalMin] }); }
+  if (typeof bounds.optimalMax === 'number') { conditions.push({ $lte: [field, bounds.optimalMax] }); }
+  return { $and: conditions };
+}
+
 /**
  * Generate recommendations based on farm data
  * @param {object} farmKpis - The farm KPIs data
  * @param {object} waterQuality - The water quality data
  * @param {object} _growthData - The growth data (unused)
+ * @param {object} profile - Water quality profile for the season's species
  * @returns {Array<object>} Array of recommendations
  */
-function generateRecommendations(farmKpis, waterQuality, _growthData) {
+function generateRecommendations(farmKpis, waterQuality, _growthData, profile) {
   const recommendations = [];
 
   // Water quality recommendations
   if (waterQuality) {
-    if (waterQuality.avgPH < 7.5 || waterQuality.avgPH > 8.5) {
+    if (checkRange(waterQuality.avgPH, profile.parameters.pH) !== 'optimal') {
+      const targetRange = describeRange('pH', profile.parameters.pH);
       recommendations.push({
         category: 'Water Quality',
         priority: 'High',
-        issue: 'pH levels outside optimal range (7.5-8.5)',
+        issue: `pH levels outside optimal range (${targetRange}) for ${profile.species}`,
         recommendation: 'Monitor and adjust pH levels using appropriate chemicals',
         currentValue: waterQuality.avgPH,
-        targetRange: '7.5-8.5'
+        targetRange
       });
     }
 
-    if (waterQuality.avgDO < 5) {
+    if (checkRange(waterQuality.avgDO, profile.parameters.dissolvedOxygen) !== 'optimal') {
       recommendations.push({
         category: 'Water Quality',
         priority: 'High',
         issue: 'Low dissolved oxygen levels',
         recommendation: 'Increase aeration or reduce stocking density',
         currentValue: waterQuality.avgDO,
-        targetRange: '>5 mg/L'
+        targetRange: describeRange('dissolvedOxygen', profile.parameters.dissolvedOxygen)
+      });
+    }
+
+    if (checkRange(waterQuality.avgTemperature, profile.parameters.temperature) === 'outOfRange') {
+      recommendations.push({
+        category: 'Water Quality',
+        priority: 'Medium',
+        issue: `Temperature outside the acceptable range for ${profile.species}`,
+        recommendation: 'Adjust water depth or exchange rate and reduce feeding until temperature recovers',
+        currentValue: waterQuality.avgTemperature,
+        targetRange: describeRange('temperature', profile.parameters.temperature)
+      });
+    }
+
+    if (checkRange(waterQuality.avgSalinity, profile.parameters.salinity) === 'outOfRange') {
+      recommendations.push({
+        category: 'Water Quality',
+        priority: 'Medium',
+        issue: `Salinity outside the acceptable range for ${profile.species}`,
+        recommendation: 'Plan water exchange to bring salinity back towards the optimal range',
+        currentValue: waterQuality.avgSalinity,
+        targetRange: describeRange('salinity', profile.parameters.salinity)
       });
     }
   }
@@ -804,6 +936,7 @@ function flattenReportForCSV(report) {
     ['Total Investment', report.executiveSummary.totalInvestment],
     ['Total Production', report.executiveSummary.totalProduction],
     ['Overall FCR', report.executiveSummary.overallFCR],
+    ['Depreciation Charge', report.executiveSummary.depreciationCharge],
     [''],
     ['Recommendations']
   ];
@@ -5,6 +5,7 @@ const Season = require('../models/Season');
 const InventoryItem = require('../models/InventoryItem'); // New import
 const inventoryController = require('./inventoryController'); // New import
 const Event = require('../models/Event'); // New import
+const realtime = require('../utils/realtime');
 const {
   asyncHandler,
   sendSuccessResponse,
@@ -87,6 +88,7 @@ exports.createFeedInput = async (req, res) => {
       status: () => ({ json: () => { } })
     });
 
+    realtime.publish('feedInput', feedInput, { pondId });
     res.status(201).json(feedInput);
   } catch (error) {
     res.status(500).json({ message: 'Error creating feed input', error: error.message });
@@ -227,6 +229,7 @@ exports.createFeedInputsBatch = async (req, res) => {
           status: () => ({ json: () => { } })
         });
 
+        realtime.publish('feedInput', feedInput, { pondId });
         results.success.push(feedInput);
       } catch (error) {
         results.errors.push({
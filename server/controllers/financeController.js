@@ -2,10 +2,21 @@ const mongoose = require('mongoose');
 const FeedInput = require('../models/FeedInput');
 const WaterQualityInput = require('../models/WaterQualityInput');
 const Expense = require('../models/Expense');
-const NurseryBatch = require('../models/NurseryBatch');
 const Pond = require('../models/Pond');
 const Sale = require('../models/Sale');
 const Harvest = require('../models/Harvest');
+const Season = require('../models/Season');
+const { config } = require('../config');
+const budgetTracking = require('../utils/budgetTracking');
+const cashFlowForecast = require('../utils/cashFlowForecast');
+const costOfProduction = require('../utils/costOfProduction');
+const currency = require('../utils/currency');
+const depreciation = require('../utils/depreciation');
+const pondStocking = require('../utils/pondStocking');
+const salesLedger = require('../utils/salesLedger');
+
+// Revenue P&L can report: every recorded sale, only invoiced sales, or the cash received against invoices
+const REVENUE_BASES = ['recorded', 'invoiced', 'cash'];
 
 exports.getFinancialSummary = async (req, res) => {
   try {
@@ -15,8 +26,9 @@ exports.getFinancialSummary = async (req, res) => {
     if (seasonId) matchQuery.seasonId = new mongoose.Types.ObjectId(seasonId);
     if (pondId) matchQuery.pondId = new mongoose.Types.ObjectId(pondId);
 
+    // Every cost is converted to the base currency at the rate in effect on its date
     // 1. Calculate Feed Costs
-    const feedCostsAgg = await FeedInput.aggregate([
+    const totalFeedCost = await currency.totalInBase(FeedInput, [
       { $match: matchQuery },
       { 
         $lookup: {
@@ -26,18 +38,11 @@ exports.getFinancialSummary = async (req, res) => {
           as: 'itemDetails'
         }
       },
-      { $unwind: '$itemDetails' },
-      { 
-        $group: {
-          _id: null,
-          totalFeedCost: { $sum: { $multiply: ['$quantity', '$itemDetails.costPerUnit'] } }
-        }
-      }
-    ]);
-    const totalFeedCost = feedCostsAgg.length > 0 ? feedCostsAgg[0].totalFeedCost : 0;
+      { $unwind: '$itemDetails' }
+    ], { amount: { $multiply: ['$quantity', '$itemDetails.costPerUnit'] }, currency: '$itemDetails.currency', date: '$date' });
 
     // 2. Calculate Chemical/Treatment Costs
-    const waterQualityCostsAgg = await WaterQualityInput.aggregate([
+    const totalChemicalCost = await currency.totalInBase(WaterQualityInput, [
       { $match: { ...matchQuery, chemicalUsed: { $exists: true, $ne: null } } },
       { 
         $lookup: {
@@ -47,50 +52,25 @@ exports.getFinancialSummary = async (req, res) => {
           as: 'chemicalDetails'
         }
       },
-      { $unwind: '$chemicalDetails' },
-      { 
-        $group: {
-          _id: null,
-          totalChemicalCost: { $sum: { $multiply: ['$chemicalQuantityUsed', '$chemicalDetails.costPerUnit'] } }
-        }
-      }
-    ]);
-    const totalChemicalCost = waterQualityCostsAgg.length > 0 ? waterQualityCostsAgg[0].totalChemicalCost : 0;
+      { $unwind: '$chemicalDetails' }
+    ], { amount: { $multiply: ['$chemicalQuantityUsed', '$chemicalDetails.costPerUnit'] }, currency: '$chemicalDetails.currency', date: '$date' });
 
-    // 3. Calculate Seed / PL Costs (only seasonId filtering is common, but let's assume one pond = one batch for simplicity, 
-    // or just aggregate all batches if pondId isn't provided)
-    let nurseryMatch = {};
-    if (seasonId) nurseryMatch.seasonId = new mongoose.Types.ObjectId(seasonId);
-    
-    const seedCostAgg = await NurseryBatch.aggregate([
-      { $match: nurseryMatch },
-      {
-        $group: {
-          _id: null,
-          totalSeedCost: { $sum: '$totalCost' }
-        }
-      }
-    ]);
-    // Note: if pondId is provided and we want pond-level seed costs, we'd need to map batches to ponds. 
-    // Usually stockings are per pond. Since NurseryBatch isn't tied directly to pond here, we might overcount if filtered by pondId unless we relate them through Event.
-    const totalSeedCost = seedCostAgg.length > 0 ? seedCostAgg[0].totalSeedCost : 0;
+    // 3. Calculate Seed / PL Costs: per pond from what was stocked into it, per season from the batches and hatchery purchases
+    const totalSeedCost = await pondStocking.getSeedCost({ seasonId, pondId });
 
     // 4. Calculate Other Manual Expenses
-    const manualExpensesAgg = await Expense.aggregate([
-      { $match: matchQuery },
-      {
-        $group: {
-          _id: '$category',
-          totalAmount: { $sum: '$amount' }
-        }
-      }
-    ]);
+    const manualExpenses = await currency.sumInBase(Expense, [{ $match: matchQuery }], {
+      amount: '$amount',
+      currency: '$currency',
+      date: '$date',
+      groupBy: '$category'
+    });
     
     let otherExpensesTotal = 0;
     const expenseBreakdown = {};
-    manualExpensesAgg.forEach(exp => {
-      otherExpensesTotal += exp.totalAmount;
-      expenseBreakdown[exp._id] = exp.totalAmount;
+    manualExpenses.forEach((totalAmount, category) => {
+      otherExpensesTotal += totalAmount;
+      expenseBreakdown[category] = totalAmount;
     });
 
     // 5. Total Cost Calculation
@@ -98,6 +78,7 @@ exports.getFinancialSummary = async (req, res) => {
 
     res.json({
       totalOperationalCost,
+      currency: config.currency.base,
       breakdown: {
         feed: totalFeedCost,
         chemicals: totalChemicalCost,
@@ -108,50 +89,62 @@ exports.getFinancialSummary = async (req, res) => {
 
   } catch (error) {
     console.error('Finance aggregation error:', error);
+    // A missing exchange rate is reported as is
+    if (error.statusCode) { return res.status(error.statusCode).json({ message: error.message }); }
     res.status(500).json({ message: 'Error computing financial summary', error: error.message });
   }
 };
 
 exports.getProfitAndLoss = async (req, res) => {
   try {
-    const { seasonId } = req.query;
+    const { seasonId, basis = 'recorded' } = req.query;
     if (!seasonId) return res.status(400).json({ message: 'Season ID is required for P&L' });
+    if (!REVENUE_BASES.includes(basis)) {
+      return res.status(400).json({ message: `Revenue basis must be one of ${REVENUE_BASES.join(', ')}` });
+    }
 
     const objSeasonId = new mongoose.Types.ObjectId(seasonId);
 
-    // 1. Get Operational Cost (reusing aggregations from above for simplicity)
-    const feedCostsAgg = await FeedInput.aggregate([
+    // 1. Get Operational Cost (reusing aggregations from above for simplicity), in the base currency
+    const feedCost = await currency.totalInBase(FeedInput, [
       { $match: { seasonId: objSeasonId } },
       { $lookup: { from: 'inventoryitems', localField: 'inventoryItemId', foreignField: '_id', as: 'item' } },
-      { $unwind: '$item' },
-      { $group: { _id: null, cost: { $sum: { $multiply: ['$quantity', '$item.costPerUnit'] } } } }
-    ]);
-    const wqCostsAgg = await WaterQualityInput.aggregate([
+      { $unwind: '$item' }
+    ], { amount: { $multiply: ['$quantity', '$item.costPerUnit'] }, currency: '$item.currency', date: '$date' });
+    const wqCost = await currency.totalInBase(WaterQualityInput, [
       { $match: { seasonId: objSeasonId, chemicalUsed: { $exists: true, $ne: null } } },
       { $lookup: { from: 'inventoryitems', localField: 'chemicalUsed', foreignField: '_id', as: 'item' } },
-      { $unwind: '$item' },
-      { $group: { _id: null, cost: { $sum: { $multiply: ['$chemicalQuantityUsed', '$item.costPerUnit'] } } } }
-    ]);
-    const seedCostAgg = await NurseryBatch.aggregate([
-      { $match: { seasonId: objSeasonId } },
-      { $group: { _id: null, cost: { $sum: '$totalCost' } } }
-    ]);
-    const manualExpensesAgg = await Expense.aggregate([
-      { $match: { seasonId: objSeasonId } },
-      { $group: { _id: null, cost: { $sum: '$amount' } } }
-    ]);
+      { $unwind: '$item' }
+    ], { amount: { $multiply: ['$chemicalQuantityUsed', '$item.costPerUnit'] }, currency: '$item.currency', date: '$date' });
+    const seedCost = await pondStocking.getSeedCost({ seasonId });
+    const manualExpenses = await currency.totalInBase(Expense, [{ $match: { seasonId: objSeasonId } }], {
+      amount: '$amount',
+      currency: '$currency',
+      date: '$date'
+    });
+
+    // Capital assets reach the P&L as the depreciation charged over the season, not their purchase price
+    const seasonDepreciation = await depreciation.getSeasonDepreciation(seasonId);
+    const depreciationCost = seasonDepreciation ? seasonDepreciation.total : 0;
 
-    const totalCost = (feedCostsAgg[0]?.cost || 0) + (wqCostsAgg[0]?.cost || 0) + (seedCostAgg[0]?.cost || 0) + (manualExpensesAgg[0]?.cost || 0);
+    const totalCost = feedCost + wqCost + seedCost + manualExpenses + depreciationCost;
 
     // 2. Get Revenue
     const harvests = await Harvest.find({ seasonId: objSeasonId });
     const harvestIds = harvests.map(h => h._id);
     
-    const salesAgg = await Sale.aggregate([
-      { $match: { harvestId: { $in: harvestIds } } },
-      { $group: { _id: null, revenue: { $sum: '$totalRevenue' } } }
-    ]);
-    const totalRevenue = salesAgg[0]?.revenue || 0;
+    const recorded = await Sale.find({ harvestId: { $in: harvestIds } }, 'date totalRevenue currency invoiceId')
+      .populate('invoiceId', 'amount amountPaid status');
+    // Revenue in the base currency at the rate on the sale date
+    const convert = await currency.createConverter(recorded.map(sale => sale.currency));
+    const sales = recorded.map(sale => ({
+      invoiceId: sale.invoiceId,
+      totalRevenue: convert(sale.totalRevenue, sale.currency, sale.date)
+    }));
+    const recordedRevenue = sales.reduce((sum, sale) => sum + sale.totalRevenue, 0);
+    const { invoiced, cashReceived } = salesLedger.revenueByBasis(sales);
+    const revenueByBasis = { recorded: recordedRevenue, invoiced, cash: cashReceived };
+    const totalRevenue = revenueByBasis[basis];
 
     const netProfitLoss = totalRevenue - totalCost;
     const margin = totalRevenue > 0 ? (netProfitLoss / totalRevenue) * 100 : 0;
@@ -159,11 +152,95 @@ exports.getProfitAndLoss = async (req, res) => {
     res.json({
       totalRevenue,
       totalCost,
+      costBreakdown: {
+        feed: feedCost,
+        chemicals: wqCost,
+        seed: seedCost,
+        expenses: manualExpenses,
+        depreciation: depreciationCost
+      },
       netProfitLoss,
-      margin
+      margin,
+      basis,
+      currency: config.currency.base,
+      revenueByBasis,
+      outstandingReceivables: Number((invoiced - cashReceived).toFixed(2))
     });
   } catch (error) {
     console.error('P&L error:', error);
+    if (error.statusCode) { return res.status(error.statusCode).json({ message: error.message }); }
     res.status(500).json({ message: 'Error computing P&L', error: error.message });
   }
 };
+
+// Season budget lines against actual spend, with burn rate and projected end-of-season spend
+exports.getBudgetVsActual = async (req, res) => {
+  try {
+    const { seasonId } = req.query;
+    if (!seasonId) { return res.status(400).json({ message: 'Season ID is required for budget tracking' }); }
+
+    const comparison = await budgetTracking.getBudgetVsActual(seasonId);
+    if (!comparison) { return res.status(404).json({ message: 'Season not found' }); }
+    res.json(comparison);
+  } catch (error) {
+    if (error.statusCode) { return res.status(error.statusCode).json({ message: error.message }); }
+    res.status(500).json({ message: 'Error computing budget vs actual', error: error.message });
+  }
+};
+
+// Set a season's budget lines and alert thresholds; changing them lets the thresholds notify again
+exports.updateSeasonBudget = async (req, res) => {
+  try {
+    const { seasonId } = req.query;
+    if (!seasonId) { return res.status(400).json({ message: 'Season ID is required for budget tracking' }); }
+
+    const { budgetAllocation, budgetAlertThresholds } = req.body;
+    const update = { budgetAlertsSent: [] };
+    if (budgetAllocation) {
+      budgetTracking.BUDGET_LINES.forEach(line => {
+        if (budgetAllocation[line] !== undefined) { update[`budgetAllocation.${line}`] = Number(budgetAllocation[line]) || 0; }
+      });
+    }
+    if (budgetAlertThresholds) {
+      if (!Array.isArray(budgetAlertThresholds) || budgetAlertThresholds.some(value => !(Number(value) > 0))) {
+        return res.status(400).json({ message: 'Alert thresholds must be positive percentages' });
+      }
+      update['settings.budgetAlertThresholds'] = [...new Set(budgetAlertThresholds.map(Number))].sort((a, b) => a - b);
+    }
+
+    const season = await Season.findByIdAndUpdate(seasonId, { $set: update }, { new: true, runValidators: true });
+    if (!season) { return res.status(404).json({ message: 'Season not found' }); }
+
+    res.json(await budgetTracking.getBudgetVsActual(seasonId));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Cost per kg and break-even price per pond and for the season, farm-level costs shared by ?allocationKey=area|daysInCulture|biomass
+exports.getCostOfProduction = async (req, res) => {
+  try {
+    const { seasonId, allocationKey } = req.query;
+    if (!seasonId) { return res.status(400).json({ message: 'Season ID is required for cost of production' }); }
+
+    const report = await costOfProduction.getCostOfProduction(seasonId, { allocationKey });
+    if (!report) { return res.status(404).json({ message: 'Season not found' }); }
+    res.json(report);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
+
+// Weekly feed spend, salaries, planned task costs and harvest revenue ahead; ?weeks, ?pricePerKg and ?harvestWeightGrams override the defaults
+exports.getCashFlowForecast = async (req, res) => {
+  try {
+    const { seasonId, weeks, pricePerKg, harvestWeightGrams } = req.query;
+    if (!seasonId) { return res.status(400).json({ message: 'Season ID is required for the cash-flow forecast' }); }
+
+    const forecast = await cashFlowForecast.getCashFlowForecast(seasonId, { weeks, pricePerKg, harvestWeightGrams });
+    if (!forecast) { return res.status(404).json({ message: 'Season not found' }); }
+    res.json(forecast);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
@@ -1,64 +1,22 @@
 const Harvest = require('../models/Harvest');
-const Pond = require('../models/Pond');
 const Season = require('../models/Season');
-const FeedInput = require('../models/FeedInput');
-const NurseryBatch = require('../models/NurseryBatch');
-const mongoose = require('mongoose');
+const harvestAccounting = require('../utils/harvestAccounting');
 
-// Create a new Harvest with automatic KPI calculation
+// Record a partial or final harvest; cumulative totals, survival and FCR are recalculated across the pond's cycle
 exports.createHarvest = async (req, res) => {
   try {
-    const { pondId, seasonId, date, totalBiomass, finalABW, notes } = req.body;
+    const { pondId, seasonId, date, harvestType, totalBiomass, finalABW, grades, notes } = req.body;
     
     if (!pondId || !seasonId || !date || totalBiomass === undefined || finalABW === undefined) {
       return res.status(400).json({ message: 'Missing required harvest fields' });
     }
 
-    // Attempt to calculate FCR: Total Feed Used / Total Biomass Produced
-    let fcr = 0;
-    const feedAgg = await FeedInput.aggregate([
-      { $match: { pondId: new mongoose.Types.ObjectId(pondId), seasonId: new mongoose.Types.ObjectId(seasonId) } },
-      { $group: { _id: null, totalFeed: { $sum: '$quantity' } } }
-    ]);
-    const totalFeed = feedAgg.length > 0 ? feedAgg[0].totalFeed : 0;
-    if (totalBiomass > 0 && totalFeed > 0) {
-      fcr = totalFeed / totalBiomass;
-    }
-
-    // Attempt to calculate Survival Rate: (Total Biomass / Final ABW) / Initial Stocking
-    // Biomass is in kg (so * 1000 for g). Final ABW is in g. Count = Biomass * 1000 / Final ABW
-    let survivalRate = 0;
-    const estimatedFinalCount = (totalBiomass * 1000) / finalABW;
-    
-    // Find initial stocking count for this pond in this season
-    // Using Events or NurseryBatch if linked
-    const batchList = await NurseryBatch.find({ seasonId: new mongoose.Types.ObjectId(seasonId) });
-    // If standard 1 batch per pond, we take the sum, though realistically event tracks the stocking.
-    // For simplicity, sum all stockings for this season if pond isn't directly on NurseryBatch
-    const totalStocked = batchList.reduce((sum, batch) => sum + batch.initialCount, 0);
-    
-    if (totalStocked > 0) {
-      survivalRate = (estimatedFinalCount / totalStocked) * 100;
-    }
-
-    const harvest = new Harvest({
-      pondId,
-      seasonId,
-      date,
-      totalBiomass,
-      finalABW,
-      fcr: Number(fcr.toFixed(2)),
-      survivalRate: Number(survivalRate.toFixed(2)),
-      notes
-    });
-
-    await harvest.save();
-
-    // Optionally update Pond status to 'Completed'
-    await Pond.findByIdAndUpdate(pondId, { status: 'Inactive' }); // Or standard status string
-
+    const harvest = await harvestAccounting.recordHarvest({ pondId, seasonId, date, harvestType, totalBiomass, finalABW, grades, notes });
     res.status(201).json(harvest);
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Harvest creation error:', error);
     res.status(500).json({ message: 'Error creating harvest recording', error: error.message });
   }
@@ -95,8 +53,9 @@ exports.getHarvestById = async (req, res) => {
 
 exports.deleteHarvest = async (req, res) => {
   try {
-    const harvest = await Harvest.findByIdAndDelete(req.params.id);
+    const harvest = await Harvest.findById(req.params.id);
     if (!harvest) return res.status(404).json({ message: 'Harvest not found' });
+    await harvestAccounting.removeHarvest(harvest);
     res.json({ message: 'Harvest deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Error deleting harvest', error: error.message });
@@ -1,9 +1,18 @@
 const Pond = require('../models/Pond');
 const Season = require('../models/Season');
-const WaterQualityInput = require('../models/WaterQualityInput');
 const FeedInput = require('../models/FeedInput');
 const GrowthSampling = require('../models/GrowthSampling');
 const { logger } = require('../utils/logger');
+const { waterQualitySeries } = require('../utils/sensorRollups');
+const { createProfileLoader } = require('../utils/waterQualityProfiles');
+
+// Comparison metrics judged against the species' water quality profile, and the profile parameter for each
+const PROFILE_PARAMETERS = {
+  temperature: 'temperature',
+  ph: 'pH',
+  dissolved_oxygen: 'dissolvedOxygen',
+  ammonia: 'ammonia'
+};
 
 // Helper function to get the appropriate language for a user
 const getLanguageForUser = (req) => {
@@ -237,15 +246,9 @@ exports.comparePondsWithDateRange = async (req, res) => {
     if (metrics.includes('temperature') || metrics.includes('ph') ||
       metrics.includes('dissolved_oxygen') || metrics.includes('ammonia')) {
 
-      const waterQualityA = await WaterQualityInput.find({
-        pondId: pond_a_id,
-        date: { $gte: startDate, $lte: endDate }
-      }).sort({ date: 1 });
-
-      const waterQualityB = await WaterQualityInput.find({
-        pondId: pond_b_id,
-        date: { $gte: startDate, $lte: endDate }
-      }).sort({ date: 1 });
+      // Probe data comes from raw samples or rollups depending on how long the range is
+      const waterQualityA = await waterQualitySeries(pond_a_id, startDate, endDate);
+      const waterQualityB = await waterQualitySeries(pond_b_id, startDate, endDate);
 
       // Process water quality metrics
       if (metrics.includes('temperature')) {
@@ -315,6 +318,9 @@ exports.comparePondsWithDateRange = async (req, res) => {
           )
         };
       }
+
+      // The ponds' ranges for their species and stage, for judging both series
+      await addProfileRanges(comparisonData.metrics, pondA, pondB, endDate, endDate);
     }
 
     // Feed consumption data
@@ -461,15 +467,9 @@ exports.comparePondsHistorical = async (req, res) => {
     if (metrics.includes('temperature') || metrics.includes('ph') ||
       metrics.includes('dissolved_oxygen') || metrics.includes('ammonia')) {
 
-      const waterQualityA = await WaterQualityInput.find({
-        pondId: pond_a_id,
-        date: { $gte: startDateA, $lte: endDateA }
-      }).sort({ date: 1 });
-
-      const waterQualityB = await WaterQualityInput.find({
-        pondId: pond_b_id,
-        date: { $gte: startDateB, $lte: endDateB }
-      }).sort({ date: 1 });
+      // A whole crop cycle usually reads the daily probe rollups
+      const waterQualityA = await waterQualitySeries(pond_a_id, startDateA, endDateA);
+      const waterQualityB = await waterQualitySeries(pond_b_id, startDateB, endDateB);
 
       // Process water quality metrics
       if (metrics.includes('temperature')) {
@@ -547,6 +547,9 @@ exports.comparePondsHistorical = async (req, res) => {
           )
         };
       }
+
+      // Seasons may farm different species, so each pond is judged against its own ranges
+      await addProfileRanges(comparisonData.metrics, pondA, pondB, endDateA, endDateB);
     }
 
     // Feed consumption data
@@ -628,6 +631,20 @@ exports.comparePondsHistorical = async (req, res) => {
   }
 };
 
+// Helper function to add each pond's range for its species and stage, on the last day compared, to the water quality metrics
+const addProfileRanges = async (metricsData, pondA, pondB, dateA, dateB) => {
+  const loadProfile = createProfileLoader();
+  const [profileA, profileB] = await Promise.all([
+    loadProfile({ seasonId: pondA.seasonId, pondId: pondA._id, date: dateA }),
+    loadProfile({ seasonId: pondB.seasonId, pondId: pondB._id, date: dateB })
+  ]);
+  Object.entries(PROFILE_PARAMETERS).forEach(([metric, parameter]) => {
+    if (!metricsData[metric]) { return; }
+    metricsData[metric].pond_a_range = profileA.parameters[parameter] || null;
+    metricsData[metric].pond_b_range = profileB.parameters[parameter] || null;
+  });
+};
+
 // Helper function to calculate differences between two datasets by timestamp (for current season comparison)
 const calculateDifferences = (dataA, dataB) => {
   // For simplicity, we'll align data by date and calculate differences
@@ -3,6 +3,7 @@ const InventoryItem = require('../models/InventoryItem');
 const InventoryAdjustment = require('../models/InventoryAdjustment');
 const FeedInput = require('../models/FeedInput');
 const WaterQualityInput = require('../models/WaterQualityInput');
+const alertEngine = require('../utils/alertEngine');
 const mongoose = require('mongoose');
 
 // Helper function to get the appropriate language for a user
@@ -68,7 +69,7 @@ exports.createInventoryItem = async (req, res) => {
   logger.info('Creating a new inventory item', { body: req.body });
   logger.info(`Received itemName: ${JSON.stringify(req.body.itemName)}`);
   try {
-    const { itemName, itemType, supplier, purchaseDate, unit, costPerUnit, quantityBought, seasonId } = req.body;
+    const { itemName, itemType, supplier, purchaseDate, unit, costPerUnit, currency, quantityBought, seasonId } = req.body;
 
     // Basic validation
     if (!itemName || !itemType || !purchaseDate || !unit || costPerUnit === undefined || quantityBought === undefined || !seasonId) {
@@ -86,7 +87,7 @@ exports.createInventoryItem = async (req, res) => {
     }
 
     const inventoryItem = new InventoryItem({
-      itemName: processedItemName, itemType, supplier, purchaseDate, unit, costPerUnit, quantityBought, seasonId
+      itemName: processedItemName, itemType, supplier, purchaseDate, unit, costPerUnit, currency, quantityBought, seasonId
     });
     await inventoryItem.save();
 
@@ -178,7 +179,7 @@ exports.getInventoryItemById = async (req, res) => {
 exports.updateInventoryItem = async (req, res) => {
   logger.info(`Updating inventory item by ID: ${req.params.id}`, { body: req.body });
   try {
-    const { itemName, itemType, supplier, purchaseDate, unit, costPerUnit, quantityBought } = req.body;
+    const { itemName, itemType, supplier, purchaseDate, unit, costPerUnit, currency, quantityBought } = req.body;
     const updateData = {};
 
     // Convert simple string to multilingual map if needed
@@ -196,6 +197,7 @@ exports.updateInventoryItem = async (req, res) => {
     if (purchaseDate !== undefined) { updateData.purchaseDate = purchaseDate; }
     if (unit !== undefined) { updateData.unit = unit; }
     if (costPerUnit !== undefined) { updateData.costPerUnit = costPerUnit; }
+    if (currency !== undefined) { updateData.currency = currency; }
     if (quantityBought !== undefined) { updateData.quantityBought = quantityBought; }
 
     const inventoryItem = await InventoryItem.findByIdAndUpdate(
@@ -272,7 +274,8 @@ exports.createInventoryAdjustment = async (req, res) => {
     });
     await inventoryAdjustment.save();
 
-    // Note: Low stock threshold check and alerting logic would go here, but is out of scope for now.
+    // Check inventoryLevel alert rules against the new stock level
+    await alertEngine.evaluateInventoryLevels({ inventoryItemId });
 
     // If this is an internal call (e.g., from FeedInput controller), don't send a response
     if (res && typeof res.status === 'function') {
@@ -0,0 +1,83 @@
+const Invoice = require('../models/Invoice');
+const { config } = require('../config');
+const currency = require('../utils/currency');
+const salesLedger = require('../utils/salesLedger');
+
+// Invoice a buyer for one or more of their uninvoiced sales; the invoice is numbered per year (INV-2026-0001)
+exports.createInvoice = async (req, res) => {
+  try {
+    const invoice = await salesLedger.createInvoice(req.body);
+    res.status(201).json(invoice);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
+
+exports.getInvoices = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.buyerId) { filter.buyerId = req.query.buyerId; }
+    if (req.query.status) { filter.status = req.query.status; }
+
+    const invoices = await Invoice.find(filter)
+      .populate('buyerId', 'name')
+      .sort({ issueDate: -1, invoiceNumber: -1 });
+    res.status(200).json(invoices);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.getInvoiceById = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id).populate('buyerId');
+    if (!invoice) { return res.status(404).json({ message: 'Invoice not found' }); }
+    res.status(200).json(invoice);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Outstanding receivables per buyer, aged by days past due as of the given date (default today)
+exports.getReceivablesAging = async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    const invoices = await Invoice.find({ status: { $in: ['Unpaid', 'PartiallyPaid'] } }).populate('buyerId', 'name');
+    // Invoices in other currencies are aged in the base currency at the rate on their issue date
+    const convert = await currency.createConverter(invoices.map(invoice => invoice.currency));
+    res.status(200).json({ ...salesLedger.buildAging(invoices, asOf, convert), currency: config.currency.base });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
+
+exports.addPayment = async (req, res) => {
+  try {
+    const invoice = await salesLedger.recordPayment(req.params.id, req.body);
+    res.status(201).json(invoice);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
+
+exports.deletePayment = async (req, res) => {
+  try {
+    const invoice = await salesLedger.removePayment(req.params.id, req.params.paymentId);
+    if (!invoice) { return res.status(404).json({ message: 'Payment not found' }); }
+    res.status(200).json(invoice);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Voiding releases the invoice's sales so they can be corrected and invoiced again
+exports.voidInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice) { return res.status(404).json({ message: 'Invoice not found' }); }
+
+    res.status(200).json(await salesLedger.voidInvoice(invoice));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
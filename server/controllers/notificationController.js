@@ -1,13 +1,24 @@
 const Notification = require('../models/Notification');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const notificationDelivery = require('../utils/notificationDelivery');
+const realtime = require('../utils/realtime');
+
+// Read state is tracked per user; the response carries isRead for the requesting user
+const withReadState = (notification, userId) => {
+  const data = typeof notification.toObject === 'function' ? notification.toObject() : { ...notification };
+  data.isRead = (data.readBy || []).some(entry => entry.userId === userId);
+  return data;
+};
 
 exports.getNotifications = async (req, res) => {
   try {
+    const userId = String(req.user._id);
     const unreadOnly = req.query.unread === 'true';
-    const filter = unreadOnly ? { isRead: false } : {};
+    const filter = unreadOnly ? { 'readBy.userId': { $ne: userId } } : {};
     if (req.query.pondId) filter.pondId = req.query.pondId;
     
     const notifications = await Notification.find(filter).sort({ createdAt: -1 }).limit(50);
-    res.status(200).json(notifications);
+    res.status(200).json(notifications.map(notification => withReadState(notification, userId)));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -15,9 +26,14 @@ exports.getNotifications = async (req, res) => {
 
 exports.markAsRead = async (req, res) => {
   try {
-    const notification = await Notification.findByIdAndUpdate(req.params.id, { isRead: true }, { new: true });
-    if (!notification) return res.status(404).json({ message: 'Notification not found' });
-    res.status(200).json(notification);
+    const userId = String(req.user._id);
+    await Notification.updateOne(
+      { _id: req.params.id, 'readBy.userId': { $ne: userId } },
+      { $push: { readBy: { userId, readAt: new Date() } } }
+    );
+    const notification = await Notification.findById(req.params.id);
+    if (!notification) { return res.status(404).json({ message: 'Notification not found' }); }
+    res.status(200).json(withReadState(notification, userId));
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
@@ -25,13 +41,93 @@ exports.markAsRead = async (req, res) => {
 
 exports.markAllAsRead = async (req, res) => {
   try {
-    await Notification.updateMany({ isRead: false }, { isRead: true });
+    const userId = String(req.user._id);
+    await Notification.updateMany(
+      { 'readBy.userId': { $ne: userId } },
+      { $push: { readBy: { userId, readAt: new Date() } } }
+    );
     res.status(200).json({ message: 'All notifications marked as read' });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
+// Acknowledge a notification; Critical ones need a comment and stop escalating once acknowledged
+exports.acknowledgeNotification = async (req, res) => {
+  try {
+    const userId = String(req.user._id);
+    const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+
+    const notification = await Notification.findById(req.params.id);
+    if (!notification) { return res.status(404).json({ message: 'Notification not found' }); }
+    if (notification.priority === 'Critical' && !comment) {
+      return res.status(400).json({ message: 'A comment is required to acknowledge a Critical notification' });
+    }
+
+    const now = new Date();
+    notification.acknowledgements.push({
+      userId,
+      userName: req.user.fullName || req.user.username,
+      comment,
+      acknowledgedAt: now
+    });
+    if (!notification.acknowledgedAt) { notification.acknowledgedAt = now; }
+    if (!notification.readBy.some(entry => entry.userId === userId)) {
+      notification.readBy.push({ userId, readAt: now });
+    }
+    await notification.save();
+
+    res.status(200).json(withReadState(notification, userId));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Who acknowledged which notification and when, newest first, optionally for one pond
+exports.getAcknowledgements = async (req, res) => {
+  try {
+    const filter = { 'acknowledgements.0': { $exists: true } };
+    if (req.query.pondId) { filter.pondId = req.query.pondId; }
+
+    const notifications = await Notification.find(filter).sort({ acknowledgedAt: -1 }).limit(100);
+    const history = notifications
+      .flatMap(notification => notification.acknowledgements.map(acknowledgement => ({
+        notificationId: notification._id,
+        title: notification.title,
+        priority: notification.priority,
+        pondId: notification.pondId,
+        raisedAt: notification.createdAt,
+        escalationLevel: notification.escalationLevel,
+        userId: acknowledgement.userId,
+        userName: acknowledgement.userName,
+        comment: acknowledgement.comment,
+        acknowledgedAt: acknowledgement.acknowledgedAt
+      })))
+      .sort((a, b) => new Date(b.acknowledgedAt) - new Date(a.acknowledgedAt));
+    res.status(200).json(history);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Delivery attempts for email / SMS / webhook channels, newest first
+exports.getDeliveries = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.notificationId) { filter.notificationId = req.query.notificationId; }
+    if (req.query.status) { filter.status = req.query.status; }
+    if (req.query.channel) { filter.channel = req.query.channel; }
+
+    const deliveries = await NotificationDelivery.find(filter)
+      .populate('notificationId', 'title priority')
+      .sort({ createdAt: -1 })
+      .limit(100);
+    res.status(200).json(deliveries);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 exports.deleteNotification = async (req, res) => {
   try {
     const notification = await Notification.findByIdAndDelete(req.params.id);
@@ -47,6 +143,9 @@ exports.createNotificationInternal = async (data) => {
   try {
     const notification = new Notification(data);
     await notification.save();
+    realtime.publish('notification', notification, { pondId: notification.pondId });
+    // Outbound delivery runs in the background so callers are not held up by slow channels
+    notificationDelivery.deliverNotification(notification);
     return notification;
   } catch (error) {
     console.error('Failed to create internal notification:', error);
@@ -45,7 +45,7 @@ const translateDocuments = (docs, language) => {
 exports.createNurseryBatch = async (req, res) => {
   logger.info('Creating a new nursery batch', { body: req.body });
   try {
-    const { batchName, startDate, initialCount, species, source, seasonId, unitCost, size, capacity, status } = req.body;
+    const { batchName, startDate, initialCount, species, source, seasonId, unitCost, currency, size, capacity, status } = req.body;
     if (!batchName || !startDate || !initialCount || !species || !source || !seasonId) {
       return res.status(400).json({
         message: 'Batch name, start date, initial count, species, source, and season ID are required'
@@ -68,6 +68,8 @@ exports.createNurseryBatch = async (req, res) => {
       seasonId,
       unitCost: unitCost || 0,
       totalCost: (initialCount || 0) * (unitCost || 0),
+      currency,
+      remainingCount: initialCount,
       size: size || 0,
       capacity: capacity || 0,
       status: status || 'Active'
@@ -122,7 +124,7 @@ exports.getNurseryBatchById = async (req, res) => {
 exports.updateNurseryBatch = async (req, res) => {
   logger.info(`Updating nursery batch by ID: ${req.params.id}`, { body: req.body });
   try {
-    const { batchName, startDate, initialCount, species, source, seasonId, unitCost, size, capacity, status } = req.body;
+    const { batchName, startDate, initialCount, species, source, seasonId, unitCost, currency, size, capacity, status } = req.body;
     const updateData = {};
     if (batchName !== undefined) {
       if (typeof batchName === 'string') {
@@ -141,6 +143,7 @@ exports.updateNurseryBatch = async (req, res) => {
       updateData.seasonId = seasonId;
     }
     if (unitCost !== undefined) { updateData.unitCost = unitCost; }
+    if (currency !== undefined) { updateData.currency = currency; }
     if (size !== undefined) { updateData.size = size; }
     if (capacity !== undefined) { updateData.capacity = capacity; }
     if (status !== undefined) { updateData.status = status; }
@@ -149,6 +152,14 @@ exports.updateNurseryBatch = async (req, res) => {
       const ic = updateData.initialCount !== undefined ? updateData.initialCount : current.initialCount;
       const uc = updateData.unitCost !== undefined ? updateData.unitCost : current.unitCost;
       updateData.totalCost = ic * uc;
+      // Recounting the batch moves the untransferred count by the same amount
+      if (updateData.initialCount !== undefined) {
+        const remaining = (current.remainingCount ?? current.initialCount) + ic - current.initialCount;
+        if (remaining < 0) {
+          return res.status(400).json({ message: 'Initial count cannot be less than the count already transferred to ponds' });
+        }
+        updateData.remainingCount = remaining;
+      }
     }
     const nurseryBatch = await NurseryBatch.findByIdAndUpdate(
       req.params.id,
@@ -2,6 +2,7 @@ const { logger } = require('../utils/logger');
 const Pond = require('../models/Pond');
 const Season = require('../models/Season');
 const { clearCache } = require('../middleware/cache');
+const realtime = require('../utils/realtime');
 
 /**
  * Helper function to get the appropriate language for a user
@@ -403,6 +404,10 @@ exports.updatePond = async (req, res) => {
     clearCache('/api/ponds');
     clearCache(`/api/ponds/season/${pond.seasonId}`);
 
+    if (status !== undefined) {
+      realtime.publish('pondStatus', { pondId: pond._id, status: pond.status }, { pondId: pond._id });
+    }
+
     res.json(pond);
   } catch (error) {
     if (error.code === 11000) {
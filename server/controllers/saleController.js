@@ -1,44 +1,139 @@
 const Sale = require('../models/Sale');
 const Harvest = require('../models/Harvest');
 const mongoose = require('mongoose');
+const Buyer = require('../models/Buyer');
+const currency = require('../utils/currency');
+const gradedSales = require('../utils/gradedSales');
+const salesLedger = require('../utils/salesLedger');
+
+// Buyer fields and priced quantities of a sale. A sale either lists kg per grade in lineItems (priced from the
+// buyer's price list unless a price is given) or, for ungraded sales, a single quantitySold at pricePerKg.
+// Prices are in the sale's currency.
+const priceSale = async (harvest, body, saleId) => {
+  const { date, quantitySold, pricePerKg, lineItems } = body;
+  let { buyerName } = body;
+
+  let buyerId;
+  if (body.buyerId) {
+    const buyer = await Buyer.findById(body.buyerId);
+    if (!buyer) {
+      const error = new Error('Buyer not found');
+      error.statusCode = 400;
+      throw error;
+    }
+    buyerId = buyer._id;
+    buyerName = buyer.name;
+  }
+
+  const pricing = Array.isArray(lineItems) && lineItems.length > 0
+    ? await gradedSales.priceGradedSale(harvest, { buyerName, date, currency: body.currency, lineItems }, saleId)
+    : { lineItems: [], currency: currency.normalizeCurrency(body.currency), quantitySold, pricePerKg, totalRevenue: quantitySold * pricePerKg };
+
+  return { buyerId, buyerName, ...pricing };
+};
 
 exports.createSale = async (req, res) => {
   try {
-    const { harvestId, date, buyerName, quantitySold, pricePerKg, notes } = req.body;
-    
-    if (!harvestId || !date || !buyerName || quantitySold === undefined || pricePerKg === undefined) {
+    const { harvestId, date, buyerId, buyerName, quantitySold, pricePerKg, lineItems, notes } = req.body;
+    const graded = Array.isArray(lineItems) && lineItems.length > 0;
+
+    if (!harvestId || !date || (!buyerId && !buyerName) || (!graded && (quantitySold === undefined || pricePerKg === undefined))) {
       return res.status(400).json({ message: 'Missing required sale fields' });
     }
 
     const harvest = await Harvest.findById(harvestId);
     if (!harvest) return res.status(404).json({ message: 'Harvest not found' });
 
-    const totalRevenue = quantitySold * pricePerKg;
-
     const sale = new Sale({
       harvestId,
       date,
-      buyerName,
-      quantitySold,
-      pricePerKg,
-      totalRevenue,
+      ...await priceSale(harvest, req.body),
       notes
     });
 
-    await sale.save();
+    // The harvest's sales may never add up to more than its biomass
+    await salesLedger.reserveHarvestQuantity(harvest, sale.quantitySold);
+    try {
+      await sale.save();
+    } catch (error) {
+      await salesLedger.reserveHarvestQuantity(harvest, -sale.quantitySold);
+      throw error;
+    }
     res.status(201).json(sale);
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error creating sale', error: error.message });
   }
 };
 
+// Corrects an uninvoiced sale (send lineItems: [] to switch a graded sale to a single price);
+// invoiced sales are fixed by voiding the invoice first
+exports.updateSale = async (req, res) => {
+  try {
+    const sale = await Sale.findById(req.params.id);
+    if (!sale) { return res.status(404).json({ message: 'Sale not found' }); }
+    if (sale.invoiceId) {
+      return res.status(400).json({ message: 'Invoiced sales cannot be changed; void the invoice first' });
+    }
+
+    const harvest = await Harvest.findById(sale.harvestId);
+    if (!harvest) { return res.status(404).json({ message: 'Harvest not found' }); }
+
+    const body = {
+      date: sale.date,
+      buyerId: sale.buyerId,
+      buyerName: sale.buyerName,
+      quantitySold: sale.quantitySold,
+      pricePerKg: sale.pricePerKg,
+      currency: sale.currency,
+      lineItems: sale.lineItems.map(item => ({ grade: item.grade, quantity: item.quantity, pricePerKg: item.pricePerKg })),
+      notes: sale.notes,
+      ...req.body
+    };
+    // A graded sale's quantity and price come from its line items, so editing them alone would be lost
+    const graded = Array.isArray(body.lineItems) && body.lineItems.length > 0;
+    if (graded && (req.body.quantitySold !== undefined || req.body.pricePerKg !== undefined)) {
+      return res.status(400).json({
+        message: 'A graded sale is priced from its line items; edit lineItems, or send lineItems: [] to sell at a single price'
+      });
+    }
+    // A new buyer name without a buyerId means a buyer outside the directory
+    if (req.body.buyerName && !req.body.buyerId) { body.buyerId = undefined; }
+
+    const priced = await priceSale(harvest, body, sale._id);
+    const change = priced.quantitySold - (sale.quantitySold || 0);
+    await salesLedger.reserveHarvestQuantity(harvest, change);
+    sale.set({ date: body.date, notes: body.notes, ...priced });
+
+    try {
+      await sale.save();
+    } catch (error) {
+      await salesLedger.reserveHarvestQuantity(harvest, -change);
+      throw error;
+    }
+    res.json(sale);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error updating sale', error: error.message });
+  }
+};
+
 exports.getAllSales = async (req, res) => {
   try {
-    const sales = await Sale.find()
+    const filter = {};
+    if (req.query.buyerId) { filter.buyerId = req.query.buyerId; }
+    if (req.query.uninvoiced === 'true') { filter.invoiceId = null; }
+
+    const sales = await Sale.find(filter)
       .populate({
         path: 'harvestId',
         populate: { path: 'pondId seasonId', select: 'name' }
       })
+      .populate('invoiceId', 'invoiceNumber status')
       .sort({ date: -1 });
     res.json(sales);
   } catch (error) {
@@ -62,8 +157,14 @@ exports.getSaleById = async (req, res) => {
 
 exports.deleteSale = async (req, res) => {
   try {
-    const sale = await Sale.findByIdAndDelete(req.params.id);
+    const sale = await Sale.findById(req.params.id);
     if (!sale) return res.status(404).json({ message: 'Sale not found' });
+    if (sale.invoiceId) {
+      return res.status(400).json({ message: 'Invoiced sales cannot be deleted; void the invoice first' });
+    }
+    // Given back before the sale goes, so a harvest's first total still counts it
+    await salesLedger.reserveHarvestQuantity({ _id: sale.harvestId }, -(sale.quantitySold || 0));
+    await Sale.deleteOne({ _id: sale._id });
     res.json({ message: 'Sale deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Error deleting sale', error: error.message });
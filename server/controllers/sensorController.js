@@ -0,0 +1,135 @@
+const SensorDevice = require('../models/SensorDevice');
+const SensorReading = require('../models/SensorReading');
+const sensorIngestion = require('../utils/sensorIngestion');
+const sensorRollups = require('../utils/sensorRollups');
+const { config } = require('../config');
+const { logger } = require('../utils/logger');
+
+// Samples from probes and data loggers, posted with the integration API key
+exports.ingestReadings = async (req, res) => {
+  let samples;
+  try {
+    samples = sensorIngestion.parsePayload(req.body, new Date());
+  } catch (error) {
+    return res.status(400).json({ message: `Could not read the samples: ${error.message}` });
+  }
+  if (samples.length === 0) {
+    return res.status(400).json({ message: 'No samples found in the request body' });
+  }
+  if (samples.length > config.sensors.maxSamplesPerRequest) {
+    return res.status(413).json({ message: `At most ${config.sensors.maxSamplesPerRequest} samples may be sent at once` });
+  }
+
+  try {
+    const summary = await sensorIngestion.ingest(samples);
+    res.status(summary.stored > 0 || summary.duplicates > 0 ? 200 : 422).json(summary);
+  } catch (error) {
+    logger.error('Error ingesting sensor samples', { error: error.message, stack: error.stack });
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.getSensorDevices = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.pondId) { filter.pondId = req.query.pondId; }
+    const devices = await SensorDevice.find(filter).populate('pondId', 'name').sort({ deviceId: 1 });
+    res.status(200).json(devices);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.createSensorDevice = async (req, res) => {
+  try {
+    const device = new SensorDevice(req.body);
+    await device.save();
+    res.status(201).json(device);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A device with this ID is already registered' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.updateSensorDevice = async (req, res) => {
+  try {
+    const { deviceId, name, pondId, channels, sampleIntervalMinutes, isActive, notes } = req.body;
+    const updateData = { deviceId, name, pondId, channels, sampleIntervalMinutes, isActive, notes };
+    Object.keys(updateData).forEach(key => updateData[key] === undefined && delete updateData[key]);
+
+    const device = await SensorDevice.findByIdAndUpdate(req.params.id, updateData, { new: true, runValidators: true });
+    if (!device) { return res.status(404).json({ message: 'Sensor device not found' }); }
+    res.status(200).json(device);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A device with this ID is already registered' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Raw samples already stored are kept for their pond's history
+exports.deleteSensorDevice = async (req, res) => {
+  try {
+    const device = await SensorDevice.findByIdAndDelete(req.params.id);
+    if (!device) { return res.status(404).json({ message: 'Sensor device not found' }); }
+    res.status(200).json({ message: 'Sensor device removed' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Full-resolution samples of a pond or device for charting; the last 24 hours by default
+exports.getSensorReadings = async (req, res) => {
+  try {
+    const { pondId, deviceId, from, to } = req.query;
+    if (!pondId && !deviceId) {
+      return res.status(400).json({ message: 'pondId or deviceId is required' });
+    }
+
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 24 * 60 * 60 * 1000);
+    const filter = { timestamp: { $gte: start, $lte: end } };
+    if (pondId) { filter['meta.pondId'] = pondId; }
+    if (deviceId) { filter['meta.deviceId'] = deviceId; }
+
+    const readings = await SensorReading.find(filter)
+      .sort({ timestamp: 1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 5000, 20000))
+      .lean();
+    res.status(200).json(readings.map(reading => ({
+      deviceId: reading.meta.deviceId,
+      timestamp: reading.timestamp,
+      values: reading.values
+    })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// A pond's probe statistics over a range, from raw samples or hourly or daily rollups
+// depending on how long the range is; the last 24 hours by default
+exports.getSensorSeries = async (req, res) => {
+  try {
+    const { pondId, from, to, resolution = 'auto' } = req.query;
+    if (!pondId) {
+      return res.status(400).json({ message: 'pondId is required' });
+    }
+    if (!['auto', 'raw', 'hour', 'day'].includes(resolution)) {
+      return res.status(400).json({ message: 'resolution must be auto, raw, hour or day' });
+    }
+
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 24 * 60 * 60 * 1000);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+
+    const series = await sensorRollups.querySeries({ pondIds: [pondId], from: start, to: end, resolution });
+    res.status(200).json({ from: start, to: end, ...series });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
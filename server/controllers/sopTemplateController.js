@@ -0,0 +1,79 @@
+const SopTemplate = require('../models/SopTemplate');
+const Season = require('../models/Season');
+const sopPlanner = require('../utils/sopPlanner');
+
+exports.createTemplate = async (req, res) => {
+  try {
+    const template = new SopTemplate(req.body);
+    await template.save();
+    res.status(201).json(template);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.getTemplates = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) { filter.isActive = req.query.active === 'true'; }
+
+    const templates = await SopTemplate.find(filter).sort({ name: 1 });
+    res.status(200).json(templates);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.getTemplateById = async (req, res) => {
+  try {
+    const template = await SopTemplate.findById(req.params.id);
+    if (!template) { return res.status(404).json({ message: 'SOP template not found' }); }
+    res.status(200).json(template);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.updateTemplate = async (req, res) => {
+  try {
+    const template = await SopTemplate.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    if (!template) { return res.status(404).json({ message: 'SOP template not found' }); }
+    res.status(200).json(template);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const template = await SopTemplate.findByIdAndDelete(req.params.id);
+    if (!template) { return res.status(404).json({ message: 'SOP template not found' }); }
+    res.status(200).json({ message: 'SOP template deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Body: { seasonId, pondIds?, stockingDate?, preview? } - preview returns the plan without creating anything
+exports.applyTemplate = async (req, res) => {
+  try {
+    const { seasonId, pondIds, stockingDate, preview } = req.body;
+    if (!seasonId) { return res.status(400).json({ message: 'seasonId is required' }); }
+
+    const [template, season] = await Promise.all([
+      SopTemplate.findById(req.params.id),
+      Season.findById(seasonId)
+    ]);
+    if (!template) { return res.status(404).json({ message: 'SOP template not found' }); }
+    if (!season) { return res.status(404).json({ message: 'Season not found' }); }
+
+    const result = await sopPlanner.applyTemplate(template, season, {
+      pondIds,
+      stockingDate: stockingDate ? new Date(stockingDate) : undefined,
+      preview: Boolean(preview)
+    });
+    res.status(preview ? 200 : 201).json(result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,42 @@
+const Stocking = require('../models/Stocking');
+const pondStocking = require('../utils/pondStocking');
+
+// Stock one or more ponds from a nursery batch or hatchery purchase; body.allocations holds { pondId, count } per pond
+exports.createStocking = async (req, res) => {
+  try {
+    const stockings = await pondStocking.stockPonds(req.body);
+    res.status(201).json(stockings);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
+
+exports.getStockings = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.seasonId) { filter.seasonId = req.query.seasonId; }
+    if (req.query.pondId) { filter.pondId = req.query.pondId; }
+    if (req.query.nurseryBatchId) { filter.nurseryBatchId = req.query.nurseryBatchId; }
+
+    const stockings = await Stocking.find(filter)
+      .populate('pondId', 'name')
+      .populate('nurseryBatchId', 'batchName')
+      .sort({ date: -1 });
+    res.status(200).json(stockings);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Deleting a stocking returns its count to the nursery batch it came from
+exports.deleteStocking = async (req, res) => {
+  try {
+    const stocking = await Stocking.findById(req.params.id);
+    if (!stocking) { return res.status(404).json({ message: 'Stocking not found' }); }
+
+    await pondStocking.removeStocking(stocking);
+    res.status(200).json({ message: 'Stocking deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,6 @@
+const realtime = require('../utils/realtime');
+
+// Open a Server-Sent Events stream of notifications, readings and pond status changes
+exports.streamEvents = (req, res) => {
+  realtime.subscribe(req, res);
+};
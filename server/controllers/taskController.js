@@ -1,7 +1,48 @@
 const Task = require('../models/Task');
+const taskRecurrence = require('../utils/taskRecurrence');
+const taskTracking = require('../utils/taskTracking');
+const taskDataEntry = require('../utils/taskDataEntry');
+
+// Fields shared by every occurrence of a series; editing one of them on a single occurrence detaches it
+const SERIES_TEMPLATE_FIELDS = ['title', 'description', 'category', 'assignedTo', 'assigneeModel', 'pondId', 'dataEntryType', 'estimatedCost'];
+
+const ASSIGNEE_FIELDS = 'name role firstName lastName username';
+
+// An empty assignee or data entry type from a form means none; choosing an assignee replaces a free-text name
+const normalizeForm = (data) => {
+  if (data.assignedTo === '') { data.assignedTo = null; }
+  if (data.assignedTo) { data.assigneeName = undefined; }
+  if (data.dataEntryType === '') { data.dataEntryType = undefined; }
+  return data;
+};
+
+// Filters shared by the task list and the workload summary
+const buildTaskFilter = (query, now = new Date()) => {
+  const filter = {};
+  if (query.seasonId) { filter.seasonId = query.seasonId; }
+  if (query.pondId) { filter.pondId = query.pondId; }
+  if (query.assignedTo) { filter.assignedTo = query.assignedTo; }
+  if (query.from || query.to) {
+    filter.dueDate = {};
+    if (query.from) { filter.dueDate.$gte = new Date(query.from); }
+    if (query.to) { filter.dueDate.$lte = new Date(query.to); }
+  }
+  if (query.overdue === 'true') {
+    filter.completed = false;
+    filter.dueDate = { ...filter.dueDate, $lt: now };
+  }
+  return filter;
+};
 
 exports.createTask = async (req, res) => {
   try {
+    normalizeForm(req.body);
+    if (req.body.frequency && req.body.frequency !== 'Once') {
+      const first = await taskRecurrence.createSeries(req.body);
+      if (!first) { return res.status(400).json({ message: 'The recurrence pattern has no occurrences' }); }
+      return res.status(201).json(first);
+    }
+
     const task = new Task(req.body);
     await task.save();
     res.status(201).json(task);
@@ -12,38 +53,126 @@ exports.createTask = async (req, res) => {
 
 exports.getTasks = async (req, res) => {
   try {
-    const filter = {};
-    if (req.query.seasonId) filter.seasonId = req.query.seasonId;
-    if (req.query.pondId) filter.pondId = req.query.pondId;
-    if (req.query.completed !== undefined) filter.completed = req.query.completed === 'true';
+    const filter = buildTaskFilter(req.query);
+    if (req.query.seriesId) { filter.seriesId = req.query.seriesId; }
+    if (req.query.completed !== undefined && req.query.overdue !== 'true') {
+      filter.completed = req.query.completed === 'true';
+    }
     
-    const tasks = await Task.find(filter).sort({ dueDate: 1 });
+    const tasks = await Task.find(filter)
+      .sort({ dueDate: 1 })
+      .populate('seriesId')
+      .populate('assignedTo', ASSIGNEE_FIELDS)
+      .populate('linkedRecordId');
     res.status(200).json(tasks);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
+// ?scope=series applies the edit to the whole series from this occurrence onward.
+// Completing a task with a dataEntryType needs a `reading` in the body, which is saved as the linked record.
 exports.updateTask = async (req, res) => {
   try {
-    const updateData = req.body;
+    const { reading, ...updateData } = normalizeForm(req.body);
+    const task = await Task.findById(req.params.id);
+    if (!task) return res.status(404).json({ message: 'Task not found' });
+
+    if (req.query.scope === 'series') {
+      if (!task.seriesId) { return res.status(400).json({ message: 'Task is not part of a recurring series' }); }
+      const updated = await taskRecurrence.updateSeries(task, updateData);
+      return res.status(200).json(updated);
+    }
+
+    const wasCompleted = task.completed;
+    const previousCompletedAt = task.completedAt;
     if (updateData.completed && !updateData.completedAt) {
       updateData.completedAt = new Date();
     }
-    const task = await Task.findByIdAndUpdate(req.params.id, updateData, { new: true });
-    if (!task) return res.status(404).json({ message: 'Task not found' });
+    if (task.seriesId && SERIES_TEMPLATE_FIELDS.some(field =>
+      updateData[field] !== undefined && String(updateData[field]) !== String(task[field] ?? ''))) {
+      updateData.isException = true;
+    }
+    delete updateData.seriesId;
+    delete updateData.linkedRecordId;
+    // A new due date gets fresh reminders
+    if (updateData.dueDate && new Date(updateData.dueDate).getTime() !== new Date(task.dueDate).getTime()) {
+      updateData.reminderSentAt = null;
+      updateData.overdueNotifiedAt = null;
+    }
+
+    Object.assign(task, updateData);
+
+    if (task.completed && !wasCompleted) {
+      if (!taskDataEntry.isChecklistDone(task.checklist)) {
+        return res.status(400).json({ message: 'All checklist items must be done before completing the task' });
+      }
+      const validationError = task.validateSync();
+      if (validationError) { throw validationError; }
+    }
+    await task.save();
+
+    // The record is created once the completion is saved, so a failed save never leaves a
+    // record behind; a record that cannot be created reopens the task
+    if (task.completed && !wasCompleted && task.dataEntryType && !task.linkedRecordId) {
+      try {
+        const record = await taskDataEntry.createLinkedRecord(task, reading);
+        task.linkedRecordId = record._id;
+        await Task.updateOne({ _id: task._id }, { linkedRecordId: record._id });
+      } catch (error) {
+        task.set({ completed: false, completedAt: previousCompletedAt });
+        await task.save();
+        throw error;
+      }
+    }
+
+    // Switching a one-off task to a recurring frequency starts a series with it as the first occurrence
+    if (!task.seriesId && task.frequency !== 'Once' && !task.completed) {
+      await taskRecurrence.startSeriesFromTask(task, updateData);
+    }
+    if (task.completed && !wasCompleted) {
+      await taskRecurrence.handleOccurrenceCompleted(task);
+    }
     res.status(200).json(task);
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    res.status(error.statusCode || 400).json({ message: error.message });
   }
 };
 
+// ?scope=series ends the series and removes its open occurrences from this one onward
 exports.deleteTask = async (req, res) => {
   try {
-    const task = await Task.findByIdAndDelete(req.params.id);
+    const task = await Task.findById(req.params.id);
     if (!task) return res.status(404).json({ message: 'Task not found' });
+
+    if (req.query.scope === 'series' && task.seriesId) {
+      await taskRecurrence.endSeries(task);
+      return res.status(200).json({ message: 'Task series ended' });
+    }
+
+    await Task.deleteOne({ _id: task._id });
+    // Skipping an open occurrence moves the series on to the next one
+    if (task.seriesId && !task.completed) {
+      await taskRecurrence.handleOccurrenceCompleted(task);
+    }
     res.status(200).json({ message: 'Task deleted' });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
+
+// Open, overdue, on-time and late counts per assignee, for balancing assignments across pond teams
+exports.getWorkload = async (req, res) => {
+  try {
+    const now = new Date();
+    const filter = buildTaskFilter(req.query, now);
+    if (!req.query.assignedTo) {
+      filter.$or = [{ assignedTo: { $ne: null } }, { assigneeName: { $nin: [null, ''] } }];
+    }
+
+    const tasks = await Task.find(filter).populate('assignedTo', ASSIGNEE_FIELDS);
+    res.status(200).json(taskTracking.summarizeWorkload(tasks, now));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -4,6 +4,11 @@ const Pond = require('../models/Pond');
 const Season = require('../models/Season');
 const InventoryAdjustment = require('../models/InventoryAdjustment');
 const InventoryItem = require('../models/InventoryItem');
+const alertEngine = require('../utils/alertEngine');
+const realtime = require('../utils/realtime');
+const { deriveChemistry } = require('../utils/waterChemistry');
+const { attachProfiles } = require('../utils/waterQualityProfiles');
+const diurnalOxygen = require('../utils/diurnalOxygen');
 const {
   asyncHandler,
   sendSuccessResponse,
@@ -80,6 +85,8 @@ exports.createWaterQualityInput = async (req, res) => {
       quantityUsed // Corrected field name
     });
 
+    // Rate the reading against the profile for its species and stage
+    await attachProfiles([waterQualityInput]);
     await waterQualityInput.save();
 
     // Create inventory adjustment if an item was used
@@ -97,6 +104,7 @@ exports.createWaterQualityInput = async (req, res) => {
             relatedDocumentModel: 'WaterQualityInput'
           });
           await inventoryAdjustment.save();
+          await alertEngine.evaluateInventoryLevels({ inventoryItemId });
         }
       } catch (adjError) {
         logger.error('Error creating inventory adjustment for water quality:', adjError);
@@ -104,11 +112,17 @@ exports.createWaterQualityInput = async (req, res) => {
       }
     }
 
+    // Fire any alert rules breached by this reading, and warn if tonight's DO is heading for a crash
+    await alertEngine.evaluateWaterQualityInput(waterQualityInput);
+    await diurnalOxygen.warnOfOxygenCrash(waterQualityInput);
+
     // Populate pond and season name in the response
     const populatedWaterQualityInput = await WaterQualityInput.findById(waterQualityInput._id)
       .populate('pondId', 'name')
       .populate('seasonId', 'name');
+    populatedWaterQualityInput.$locals.profile = waterQualityInput.$locals.profile;
 
+    realtime.publish('waterQualityInput', populatedWaterQualityInput, { pondId });
     res.status(201).json(populatedWaterQualityInput);
   } catch (error) {
     res.status(500).json({ message: 'Error creating water quality input', error: error.message });
@@ -225,6 +239,8 @@ exports.createWaterQualityInputsBatch = async (req, res) => {
           quantityUsed
         });
 
+        // eslint-disable-next-line no-await-in-loop
+        await attachProfiles([waterQualityInput]);
         // eslint-disable-next-line no-await-in-loop
         await waterQualityInput.save();
 
@@ -245,6 +261,8 @@ exports.createWaterQualityInputsBatch = async (req, res) => {
               });
               // eslint-disable-next-line no-await-in-loop
               await inventoryAdjustment.save();
+              // eslint-disable-next-line no-await-in-loop
+              await alertEngine.evaluateInventoryLevels({ inventoryItemId });
             }
           } catch (adjError) {
             logger.error('Error creating inventory adjustment for water quality:', adjError);
@@ -252,6 +270,13 @@ exports.createWaterQualityInputsBatch = async (req, res) => {
           }
         }
 
+        // Fire any alert rules breached by this reading, and warn if tonight's DO is heading for a crash
+        // eslint-disable-next-line no-await-in-loop
+        await alertEngine.evaluateWaterQualityInput(waterQualityInput);
+        // eslint-disable-next-line no-await-in-loop
+        await diurnalOxygen.warnOfOxygenCrash(waterQualityInput);
+
+        realtime.publish('waterQualityInput', waterQualityInput, { pondId });
         results.success.push(waterQualityInput);
       } catch (error) {
         results.errors.push({
@@ -296,6 +321,7 @@ exports.getAllWaterQualityInputs = async (req, res) => {
       .skip(skip)
       .limit(limit)
       .sort({ date: -1, time: -1 }); // Sort by date and time, newest first
+    await attachProfiles(waterQualityInputs);
 
     res.json({
       data: waterQualityInputs,
@@ -322,6 +348,7 @@ exports.getWaterQualityInputById = async (req, res) => {
     if (!waterQualityInput) {
       return res.status(404).json({ message: 'Water quality input not found' });
     }
+    await attachProfiles([waterQualityInput]);
     res.json(waterQualityInput);
   } catch (error) {
     if (error.name === 'CastError') {
@@ -371,7 +398,8 @@ exports.updateWaterQualityInput = async (req, res) => {
         ammonia,
         nitrite,
         alkalinity,
-        seasonId
+        seasonId,
+        ...deriveChemistry({ pH, dissolvedOxygen, temperature, salinity, ammonia, nitrite })
       },
       { new: true, runValidators: true }
     )
@@ -382,6 +410,11 @@ exports.updateWaterQualityInput = async (req, res) => {
       return res.status(404).json({ message: 'Water quality input not found' });
     }
 
+    // Re-rate the changed values against the profile for the reading's species and stage
+    await attachProfiles([waterQualityInput]);
+    waterQualityInput.overallQuality = waterQualityInput.calculateQualityRating();
+    await WaterQualityInput.updateOne({ _id: waterQualityInput._id }, { overallQuality: waterQualityInput.overallQuality });
+
     res.json(waterQualityInput);
   } catch (error) {
     if (error.name === 'CastError') {
@@ -433,6 +466,7 @@ exports.getWaterQualityInputsByPondId = async (req, res) => {
     const waterQualityInputs = await WaterQualityInput.find(query)
       .populate('pondId', 'name')
       .populate('seasonId', 'name'); // Populate pond and season name
+    await attachProfiles(waterQualityInputs);
     res.json(waterQualityInputs);
   } catch (error) {
     if (error.name === 'CastError') {
@@ -443,6 +477,29 @@ exports.getWaterQualityInputsByPondId = async (req, res) => {
   }
 };
 
+// Get the day/night dissolved oxygen analysis and tonight's pre-dawn forecast for a pond
+exports.getDiurnalOxygen = async (req, res) => {
+  logger.info(`Getting diurnal oxygen analysis for pond ID: ${req.params.pondId}`, { query: req.query });
+  try {
+    const pond = await Pond.findById(req.params.pondId);
+    if (!pond) {
+      return res.status(404).json({ message: 'Pond not found' });
+    }
+
+    const analysis = await diurnalOxygen.analyzePond(pond._id, {
+      days: parseInt(req.query.days, 10) || 14,
+      threshold: parseFloat(req.query.threshold) || undefined
+    });
+    res.json(analysis);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid pond ID' });
+    }
+    res.status(500).json({ message: 'Error analysing diurnal oxygen for pond', error: error.message });
+    logger.error(`Error analysing diurnal oxygen for pond ID: ${req.params.pondId}`, { error: error.message, stack: error.stack });
+  }
+};
+
 // Get water quality inputs by date range
 exports.getWaterQualityInputsByDateRange = async (req, res) => {
   logger.info('Getting water quality inputs by date range', { query: req.query });
@@ -467,6 +524,7 @@ exports.getWaterQualityInputsByDateRange = async (req, res) => {
     const waterQualityInputs = await WaterQualityInput.find(query)
       .populate('pondId', 'name')
       .populate('seasonId', 'name'); // Populate pond and season name
+    await attachProfiles(waterQualityInputs);
 
     res.json(waterQualityInputs);
   } catch (error) {
@@ -490,6 +548,7 @@ exports.getWaterQualityInputsBySeasonId = async (req, res) => {
     const waterQualityInputs = await WaterQualityInput.find({ seasonId })
       .populate('pondId', 'name')
       .populate('seasonId', 'name');
+    await attachProfiles(waterQualityInputs);
     res.json(waterQualityInputs);
   } catch (error) {
     if (error.name === 'CastError') {
@@ -570,12 +629,16 @@ exports.getFilteredWaterQualityInputs = asyncHandler(async (req, res) => {
     .populate('pondId', 'name')
     .populate('seasonId', 'name')
     .sort({ date: -1, time: -1 });
+  await attachProfiles(waterQualityInputs);
 
   let filteredData = waterQualityInputs;
 
   // Filter by specific parameter if requested
   if (parameter) {
-    const validParameters = ['pH', 'dissolvedOxygen', 'temperature', 'salinity', 'ammonia', 'nitrite', 'alkalinity'];
+    const validParameters = [
+      'pH', 'dissolvedOxygen', 'temperature', 'salinity', 'ammonia', 'nitrite', 'alkalinity',
+      'unionizedAmmonia', 'doSaturation', 'chlorideNitriteRatio'
+    ];
     if (!validParameters.includes(parameter)) {
       throw new ValidationError(`Invalid parameter. Valid parameters: ${validParameters.join(', ')}`);
     }
@@ -660,6 +723,7 @@ exports.exportWaterQualityData = async (req, res) => {
       .populate('pondId', 'name')
       .populate('seasonId', 'name')
       .sort({ date: 1, time: 1 });
+    await attachProfiles(waterQualityInputs);
 
     const data = waterQualityInputs.map(input => ({
       Date: input.date.toISOString().split('T')[0],
@@ -672,6 +736,11 @@ exports.exportWaterQualityData = async (req, res) => {
       Ammonia: input.ammonia || '',
       Nitrite: input.nitrite || '',
       Alkalinity: input.alkalinity || '',
+      UnionizedAmmonia: input.unionizedAmmonia ?? '',
+      DOSaturation: input.doSaturation ?? '',
+      ChlorideNitriteRatio: input.chlorideNitriteRatio ?? '',
+      QualityScore: input.qualityScore,
+      OutOfRange: input.getParameterAlerts().map(alert => alert.parameter).join('; '),
       Season: input.seasonId ? input.seasonId.name.en || input.seasonId.name : '',
     }));
 
@@ -686,6 +755,11 @@ exports.exportWaterQualityData = async (req, res) => {
       { key: 'Ammonia', header: 'Ammonia' },
       { key: 'Nitrite', header: 'Nitrite' },
       { key: 'Alkalinity', header: 'Alkalinity' },
+      { key: 'UnionizedAmmonia', header: 'Un-ionized Ammonia' },
+      { key: 'DOSaturation', header: 'DO Saturation (%)' },
+      { key: 'ChlorideNitriteRatio', header: 'Chloride:Nitrite Ratio' },
+      { key: 'QualityScore', header: 'Quality Score' },
+      { key: 'OutOfRange', header: 'Outside Species Range' },
       { key: 'Season', header: 'Season' },
     ];
 
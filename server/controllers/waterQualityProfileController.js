@@ -0,0 +1,72 @@
+const WaterQualityProfile = require('../models/WaterQualityProfile');
+const waterQualityProfiles = require('../utils/waterQualityProfiles');
+
+// Admin overrides with the built-in defaults they replace, so the editor can show both
+exports.getWaterQualityProfiles = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.species) { filter.species = req.query.species; }
+    if (req.query.stage) { filter.stage = req.query.stage; }
+
+    const profiles = await WaterQualityProfile.find(filter).sort({ species: 1, stage: 1, fromDay: 1 });
+    const defaults = waterQualityProfiles.SPECIES.flatMap(species =>
+      waterQualityProfiles.STAGES.map(stage => waterQualityProfiles.defaultProfile(species, stage)));
+    res.status(200).json({ profiles, defaults, parameters: waterQualityProfiles.PARAMETERS });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Profile a reading on this pond or nursery batch would be judged against on a date
+exports.resolveWaterQualityProfile = async (req, res) => {
+  try {
+    const { seasonId, pondId, nurseryBatchId, date } = req.query;
+    if (!seasonId && !nurseryBatchId) {
+      return res.status(400).json({ message: 'seasonId or nurseryBatchId is required' });
+    }
+    const profile = await waterQualityProfiles.profileFor({ seasonId, pondId, nurseryBatchId, date: date ? new Date(date) : new Date() });
+    res.status(200).json(profile);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.createWaterQualityProfile = async (req, res) => {
+  try {
+    const profile = new WaterQualityProfile(req.body);
+    await profile.save();
+    res.status(201).json(profile);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A profile for this species and stage already starts on that day of culture' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.updateWaterQualityProfile = async (req, res) => {
+  try {
+    const { species, stage, fromDay, parameters, notes } = req.body;
+    const updateData = { species, stage, fromDay, parameters, notes };
+    Object.keys(updateData).forEach(key => updateData[key] === undefined && delete updateData[key]);
+
+    const profile = await WaterQualityProfile.findByIdAndUpdate(req.params.id, updateData, { new: true, runValidators: true });
+    if (!profile) { return res.status(404).json({ message: 'Water quality profile not found' }); }
+    res.status(200).json(profile);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A profile for this species and stage already starts on that day of culture' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.deleteWaterQualityProfile = async (req, res) => {
+  try {
+    const profile = await WaterQualityProfile.findByIdAndDelete(req.params.id);
+    if (!profile) { return res.status(404).json({ message: 'Water quality profile not found' }); }
+    res.status(200).json({ message: 'Water quality profile deleted; the built-in ranges apply again' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
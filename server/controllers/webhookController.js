@@ -0,0 +1,51 @@
+const Webhook = require('../models/Webhook');
+
+// The signing secret is write-only once stored
+const withoutSecret = (webhook) => {
+  const data = webhook.toObject();
+  delete data.secret;
+  return data;
+};
+
+exports.createWebhook = async (req, res) => {
+  try {
+    const webhook = new Webhook(req.body);
+    await webhook.save();
+    res.status(201).json(withoutSecret(webhook));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().select('-secret').sort({ createdAt: -1 });
+    res.status(200).json(webhooks.map(withoutSecret));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.updateWebhook = async (req, res) => {
+  try {
+    const update = { ...req.body };
+    // A blank secret keeps the current one
+    if (!update.secret) { delete update.secret; }
+
+    const webhook = await Webhook.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
+    if (!webhook) { return res.status(404).json({ message: 'Webhook not found' }); }
+    res.status(200).json(withoutSecret(webhook));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+exports.deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) { return res.status(404).json({ message: 'Webhook not found' }); }
+    res.status(200).json({ message: 'Webhook deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
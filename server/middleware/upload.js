@@ -0,0 +1,23 @@
+const multer = require('multer');
+const { config } = require('../config');
+
+// Files are held in memory until utils/fileStorage checks them and hands them to the storage driver
+const upload = multer({
+  storage: multer.memoryStorage(),
+  // Browsers send file names as UTF-8; the default would read them as Latin-1
+  defParamCharset: 'utf8',
+  limits: {
+    fileSize: config.upload.maxFileSize,
+    files: 1
+  }
+});
+
+/**
+ * Parse a multipart request carrying at most one file in the given field.
+ * The file, if any, is on req.file and the other form fields on req.body.
+ * @param {string} field - Form field name of the file
+ * @returns {Function} Express middleware
+ */
+const uploadSingle = (field) => upload.single(field);
+
+module.exports = { uploadSingle };
@@ -1,19 +1,96 @@
 const mongoose = require('mongoose');
+const { PARAMETERS } = require('../utils/waterQualityProfiles');
+
+// dropBy / riseBy compare the change against the previous reading (or, when
+// windowHours is set, against the highest / lowest reading within the window).
+// outsideRange holds when the value is outside the acceptable range of the
+// reading's species and stage profile, and takes no threshold.
+const CONDITIONS = ['<', '>', '<=', '>=', '==', 'dropBy', 'riseBy', 'outsideRange'];
+
+/**
+ * Every condition but outsideRange compares against a threshold
+ * @returns {boolean} True if the rule or clause needs a threshold
+ */
+function needsThreshold() {
+  return this.condition !== 'outsideRange';
+}
+
+/**
+ * outsideRange needs a metric the water quality profiles give ranges for
+ * @param {string} value - Condition
+ * @returns {boolean} True unless outsideRange is used on a metric without a profile range
+ */
+function profiledMetricOnly(value) {
+  return value !== 'outsideRange' || Boolean(PARAMETERS[this.metric]);
+}
+
+const profiledCondition = {
+  validator: profiledMetricOnly,
+  message: 'outsideRange only applies to pH, dissolved oxygen, temperature, salinity and ammonia'
+};
+
+// Extra sub-condition combined with the rule's own metric/condition/threshold
+const conditionClauseSchema = new mongoose.Schema({
+  metric: {
+    type: String,
+    required: true,
+    enum: ['pH', 'dissolvedOxygen', 'temperature', 'salinity', 'ammonia', 'unionizedAmmonia', 'doSaturation', 'chlorideNitriteRatio']
+  },
+  condition: {
+    type: String,
+    required: true,
+    enum: CONDITIONS,
+    validate: profiledCondition
+  },
+  threshold: {
+    type: Number,
+    required: needsThreshold
+  },
+  windowHours: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+/**
+ * Pond and nursery batch scopes are meaningless for inventory items
+ * @param {string} value - Scope ID
+ * @returns {boolean} True unless an inventoryLevel rule is scoped by it
+ */
+function seasonScopeOnly(value) {
+  return !value || this.metric !== 'inventoryLevel';
+}
 
 const alertRuleSchema = new mongoose.Schema({
   metric: {
     type: String,
     required: true,
-    enum: ['pH', 'dissolvedOxygen', 'temperature', 'salinity', 'ammonia', 'feedNotLogged', 'inventoryLevel']
+    enum: ['pH', 'dissolvedOxygen', 'temperature', 'salinity', 'ammonia', 'unionizedAmmonia', 'doSaturation', 'chlorideNitriteRatio', 'feedNotLogged', 'inventoryLevel']
   },
   condition: {
     type: String,
     required: true,
-    enum: ['<', '>', '<=', '>=', '==']
+    enum: CONDITIONS,
+    validate: profiledCondition
   },
   threshold: {
     type: Number,
-    required: true
+    required: needsThreshold
+  },
+  // Look-back window for dropBy / riseBy conditions
+  windowHours: {
+    type: Number,
+    min: 0
+  },
+  // Compound rules: additional water quality sub-conditions joined with `logic`
+  additionalConditions: {
+    type: [conditionClauseSchema],
+    default: []
+  },
+  logic: {
+    type: String,
+    enum: ['AND', 'OR'],
+    default: 'AND'
   },
   priority: {
     type: String,
@@ -23,6 +100,43 @@ const alertRuleSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Optional scope - an unscoped rule applies to every pond and nursery batch.
+  // Inventory items belong to a season, so inventoryLevel rules can only be scoped to one
+  pondId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pond',
+    validate: {
+      validator: seasonScopeOnly,
+      message: 'Inventory level rules can only be scoped to a season'
+    }
+  },
+  seasonId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season'
+  },
+  nurseryBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NurseryBatch',
+    validate: {
+      validator: seasonScopeOnly,
+      message: 'Inventory level rules can only be scoped to a season'
+    }
+  },
+  // Number of consecutive readings that must breach the threshold before the rule fires
+  consecutiveReadings: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // Minimum minutes between two notifications for the same rule and pond/batch/item
+  cooldownMinutes: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  lastTriggeredAt: {
+    type: Date
   }
 }, { timestamps: true });
 
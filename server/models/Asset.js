@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { config } = require('../config');
+
+// Equipment bought once and used over several seasons; its cost reaches the P&L as depreciation
+const assetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: ['Aerator', 'Pump', 'Generator', 'PondLiner', 'Building', 'Vehicle', 'Other']
+  },
+  serialNumber: {
+    type: String,
+    trim: true
+  },
+  purchaseDate: {
+    type: Date,
+    required: true
+  },
+  purchaseCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Currency the asset was bought in; it is depreciated at the rate on the purchase date
+  currency: {
+    type: String,
+    enum: config.currency.supported,
+    default: config.currency.base
+  },
+  usefulLifeYears: {
+    type: Number,
+    required: true,
+    min: [0.1, 'Useful life must be greater than 0']
+  },
+  // Expected resale or scrap value at the end of the useful life
+  salvageValue: {
+    type: Number,
+    default: 0,
+    min: 0,
+    validate: {
+      validator: function (salvageValue) {
+        return salvageValue <= this.purchaseCost;
+      },
+      message: 'Salvage value cannot exceed the purchase cost'
+    }
+  },
+  depreciationMethod: {
+    type: String,
+    enum: ['straightLine', 'decliningBalance'],
+    default: 'straightLine'
+  },
+  // Declining balance writes off this multiple of the straight-line rate each year (2 = double declining)
+  decliningBalanceFactor: {
+    type: Number,
+    default: 2,
+    min: 1
+  },
+  // Pond the asset serves; farm-wide assets have none
+  pondId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pond'
+  },
+  status: {
+    type: String,
+    enum: ['Active', 'Disposed'],
+    default: 'Active'
+  },
+  // Depreciation stops on the disposal date
+  disposedDate: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+assetSchema.index({ status: 1, category: 1 });
+assetSchema.index({ pondId: 1 });
+
+module.exports = mongoose.model('Asset', assetSchema);
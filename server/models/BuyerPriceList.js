@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { config } = require('../config');
+
+// Prices a buyer pays per count-per-kg grade (e.g. 30/40, 40/50) from a given date
+const buyerPriceListSchema = new mongoose.Schema({
+  buyerName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Currency the prices are quoted in
+  currency: {
+    type: String,
+    enum: config.currency.supported,
+    default: config.currency.base
+  },
+  prices: [{
+    grade: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    pricePerKg: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+buyerPriceListSchema.index({ buyerName: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('BuyerPriceList', buyerPriceListSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Named sequence incremented atomically, e.g. the invoice numbers of a year
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    default: 0
+  }
+}, { versionKey: false });
+
+module.exports = mongoose.model('Counter', counterSchema);
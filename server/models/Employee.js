@@ -1,11 +1,19 @@
 
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { config } = require('../config');
 
 const employeeSchema = new Schema({
   name: { type: String, required: true },
   role: { type: String },
   hireDate: { type: Date },
+  // Used to project salaries in the cash-flow forecast
+  monthlySalary: { type: Number, min: 0 },
+  currency: {
+    type: String,
+    enum: config.currency.supported,
+    default: config.currency.base
+  },
   status: { 
     type: String, 
     required: true,
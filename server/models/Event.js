@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { config } = require('../config');
 
 const eventSchema = new mongoose.Schema({
   date: {
@@ -84,6 +85,12 @@ const eventSchema = new mongoose.Schema({
     ref: 'NurseryBatch',
     index: true
   },
+  // Capital asset a Maintenance event serviced; builds the asset's maintenance history
+  assetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset',
+    index: true
+  },
   seasonId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Season',
@@ -120,6 +127,10 @@ const eventSchema = new mongoose.Schema({
       type: Number, // file size in bytes
       min: [0, 'File size cannot be negative']
     },
+    // Set for files uploaded to this server; url then points at the route serving them
+    key: String,
+    thumbnailKey: String,
+    mimetype: String,
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -149,8 +160,8 @@ const eventSchema = new mongoose.Schema({
     },
     currency: {
       type: String,
-      enum: ['USD', 'LKR', 'EUR', 'INR'],
-      default: 'LKR'
+      enum: config.currency.supported,
+      default: config.currency.base
     }
   },
   // Personnel involved
@@ -358,8 +369,8 @@ eventSchema.index({
 
 // Validation middleware
 eventSchema.pre('validate', function(next) {
-  // Ensure either pondId or nurseryBatchId is provided
-  if (!this.pondId && !this.nurseryBatchId) {
+  // Ensure either pondId or nurseryBatchId is provided; maintenance of a farm-wide asset may have neither
+  if (!this.pondId && !this.nurseryBatchId && !this.assetId) {
     next(new Error('Either pondId or nurseryBatchId is required'));
   } else if (this.pondId && this.nurseryBatchId) {
     next(new Error('Only one of pondId or nurseryBatchId should be provided'));
@@ -428,11 +439,15 @@ eventSchema.methods.canBeModified = function(userId) {
 
 eventSchema.methods.addMedia = function(mediaData) {
   this.media.push({
+    _id: mediaData._id,
     type: mediaData.type,
     url: mediaData.url,
     filename: mediaData.filename,
     caption: mediaData.caption,
     size: mediaData.size,
+    key: mediaData.key,
+    thumbnailKey: mediaData.thumbnailKey,
+    mimetype: mediaData.mimetype,
     uploadedBy: mediaData.uploadedBy
   });
   return this.save();
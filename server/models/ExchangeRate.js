@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { config } = require('../config');
+
+// Units of the base currency one unit of a currency buys, from a given date until the next rate
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    enum: config.currency.supported
+  },
+  // Base currency the rate was entered against; rates for a previous base are ignored
+  baseCurrency: {
+    type: String,
+    required: true,
+    default: config.currency.base
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: [0.000001, 'Exchange rate must be greater than 0']
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ baseCurrency: 1, currency: 1, effectiveFrom: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
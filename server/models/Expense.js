@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { config } = require('../config');
 
 const expenseSchema = new mongoose.Schema({
   date: {
@@ -10,6 +11,12 @@ const expenseSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Currency the amount was paid in
+  currency: {
+    type: String,
+    enum: config.currency.supported,
+    default: config.currency.base
+  },
   mainCategory: {
     type: String,
     required: true,
@@ -36,6 +43,18 @@ const expenseSchema = new mongoose.Schema({
   receiptUrl: {
     type: String
   },
+  // Receipt file uploaded with the expense; receiptUrl then points at the route serving it
+  receipt: {
+    type: new mongoose.Schema({
+      key: { type: String, required: true },
+      thumbnailKey: String,
+      filename: String,
+      mimetype: String,
+      size: Number,
+      uploadedAt: { type: Date, default: Date.now }
+    }, { _id: false }),
+    default: undefined
+  },
   employeeId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Employee'
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { config } = require('../config');
 
 const feedInputSchema = new mongoose.Schema({
   date: {
@@ -88,6 +89,12 @@ const feedInputSchema = new mongoose.Schema({
     type: Number,
     min: [0, 'Total cost cannot be negative']
   },
+  // Currency of unitCost and totalCost
+  currency: {
+    type: String,
+    enum: config.currency.supported,
+    default: config.currency.base
+  },
   // GPS coordinates where feeding occurred
   location: {
     coordinates: {
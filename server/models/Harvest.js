@@ -15,6 +15,12 @@ const harvestSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Partial harvests thin the pond; the final harvest empties it and closes the cycle
+  harvestType: {
+    type: String,
+    enum: ['Partial', 'Final'],
+    default: 'Final'
+  },
   totalBiomass: {
     type: Number, // in kg
     required: true
@@ -23,14 +29,50 @@ const harvestSchema = new mongoose.Schema({
     type: Number, // in grams
     required: true
   },
+  // Breakdown of the biomass by count-per-kg grade (e.g. 30/40), plus Reject and Soft-shell
+  grades: [{
+    grade: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    quantity: {
+      type: Number, // in kg
+      required: true,
+      min: 0
+    }
+  }],
+  count: {
+    type: Number, // estimated from biomass and ABW
+    required: false
+  },
+  // Running totals of the pond's cycle up to and including this harvest
+  cumulativeBiomass: {
+    type: Number, // in kg
+    required: false
+  },
+  cumulativeCount: {
+    type: Number,
+    required: false
+  },
   survivalRate: {
-    type: Number, // percentage, calculated automatically
+    type: Number, // percentage, calculated on the final harvest from all harvests of the cycle
     required: false
   },
   fcr: {
-    type: Number, // Feed Conversion Ratio, calculated automatically
+    type: Number, // Feed Conversion Ratio, calculated on the final harvest from all harvests of the cycle
     required: false
   },
+  // Kg sold so far, kept with every sale so concurrent sales cannot oversell the harvest
+  quantitySold: {
+    type: Number, // in kg
+    min: 0
+  },
+  // Matching PartialHarvest/FullHarvest event
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
   notes: {
     type: String,
     trim: true
@@ -39,4 +81,6 @@ const harvestSchema = new mongoose.Schema({
   timestamps: true
 });
 
+harvestSchema.index({ pondId: 1, seasonId: 1, date: 1 });
+
 module.exports = mongoose.model('Harvest', harvestSchema);
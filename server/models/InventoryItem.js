@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { config } = require('../config');
 
 const inventoryItemSchema = new mongoose.Schema({
   itemName: {
@@ -29,6 +30,12 @@ const inventoryItemSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Currency the item was bought in (e.g. imported feed priced in USD)
+  currency: {
+    type: String,
+    enum: config.currency.supported,
+    default: config.currency.base
+  },
   quantityBought: {
     type: Number,
     required: true,
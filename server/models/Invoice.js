@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { config } = require('../config');
+
+// Invoice to a buyer for one or more sales, paid in one or more payments
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  buyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Buyer',
+    required: true
+  },
+  saleIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  }],
+  // Snapshot of the invoiced sales so the printed invoice does not change afterwards
+  lines: [{
+    saleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sale'
+    },
+    date: Date,
+    description: String,
+    quantity: Number, // in kg
+    pricePerKg: Number,
+    amount: {
+      type: Number,
+      required: true
+    }
+  }],
+  issueDate: {
+    type: Date,
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Currency of the invoiced sales; payments are received in the same currency
+  currency: {
+    type: String,
+    enum: config.currency.supported,
+    default: config.currency.base
+  },
+  payments: [{
+    date: {
+      type: Date,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    method: {
+      type: String,
+      enum: ['Cash', 'BankTransfer', 'Cheque', 'Other'],
+      default: 'BankTransfer'
+    },
+    reference: {
+      type: String,
+      trim: true
+    },
+    notes: {
+      type: String,
+      trim: true
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['Unpaid', 'PartiallyPaid', 'Paid', 'Void'],
+    default: 'Unpaid'
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ buyerId: 1, status: 1, dueDate: 1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
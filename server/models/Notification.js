@@ -19,17 +19,61 @@ const notificationSchema = new mongoose.Schema({
     enum: ['Low', 'Medium', 'High', 'Critical'],
     default: 'Medium'
   },
-  isRead: {
-    type: Boolean,
-    default: false
+  // Per-user read state. User ids are kept as strings so the development auth bypass user works too.
+  readBy: [{
+    _id: false,
+    userId: { type: String, required: true },
+    readAt: { type: Date, default: Date.now }
+  }],
+  acknowledgements: [{
+    _id: false,
+    userId: { type: String, required: true },
+    userName: { type: String },
+    comment: { type: String, trim: true },
+    acknowledgedAt: { type: Date, default: Date.now }
+  }],
+  acknowledgedAt: {
+    type: Date // Time of the first acknowledgement; stops escalation
   },
+  // Escalation of unacknowledged Critical notifications up the role chain
+  escalationLevel: {
+    type: Number,
+    default: 0
+  },
+  escalations: [{
+    _id: false,
+    role: { type: String, enum: ['operator', 'manager', 'admin'] },
+    escalatedAt: { type: Date, default: Date.now }
+  }],
   link: {
     type: String // Optional link to related entity
   },
   pondId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Pond'
+  },
+  nurseryBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NurseryBatch'
+  },
+  alertRuleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule' // Set when the notification was raised by an alert rule
+  },
+  relatedDocument: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false,
+    refPath: 'relatedDocumentModel'
+  },
+  relatedDocumentModel: {
+    type: String,
+    required: false,
+    enum: ['WaterQualityInput', 'Event', 'InventoryItem', 'Pond', 'FeedInput']
   }
 }, { timestamps: true });
 
+notificationSchema.index({ alertRuleId: 1, relatedDocument: 1 });
+notificationSchema.index({ priority: 1, acknowledgedAt: 1, createdAt: 1 });
+notificationSchema.index({ alertRuleId: 1, pondId: 1, createdAt: -1 });
+
 module.exports = mongoose.model('Notification', notificationSchema);
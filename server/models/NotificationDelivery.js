@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const notificationDeliverySchema = new mongoose.Schema({
+  notificationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true,
+    enum: ['email', 'sms', 'webhook']
+  },
+  recipient: {
+    type: String, // Email address, phone number or webhook URL
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook'
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed', 'suppressed'],
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String // Last error message, or the reason a delivery was suppressed
+  },
+  response: {
+    type: String // Provider message id or HTTP status of the successful attempt
+  },
+  deliveredAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+notificationDeliverySchema.index({ notificationId: 1 });
+notificationDeliverySchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { config } = require('../config');
 
 const nurseryBatchSchema = new mongoose.Schema({
   batchName: {
@@ -14,6 +15,12 @@ const nurseryBatchSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Post-larvae not yet transferred to ponds
+  remainingCount: {
+    type: Number,
+    min: 0,
+    default: function () { return this.initialCount; }
+  },
   species: {
     type: String,
     required: true,
@@ -34,6 +41,12 @@ const nurseryBatchSchema = new mongoose.Schema({
     required: false,
     default: 0
   },
+  // Currency of unitCost and totalCost
+  currency: {
+    type: String,
+    enum: config.currency.supported,
+    default: config.currency.base
+  },
   seasonId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Season',
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { config } = require('../config');
 
 const saleSchema = new mongoose.Schema({
   harvestId: {
@@ -10,23 +11,60 @@ const saleSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Buyer from the directory; buyerName is kept as the name at the time of sale
+  buyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Buyer'
+  },
   buyerName: {
     type: String,
     required: true,
     trim: true
   },
+  // Quantities sold per grade; when present, quantitySold, pricePerKg and totalRevenue are derived from them
+  lineItems: [{
+    grade: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    quantity: {
+      type: Number, // in kg
+      required: true,
+      min: 0
+    },
+    pricePerKg: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    amount: {
+      type: Number,
+      required: true
+    }
+  }],
   quantitySold: {
     type: Number, // in kg
     required: true
   },
   pricePerKg: {
-    type: Number,
+    type: Number, // average over the line items for graded sales
     required: true
   },
   totalRevenue: {
     type: Number, // calculated field
     required: true
   },
+  // Currency of the prices and revenue
+  currency: {
+    type: String,
+    enum: config.currency.supported,
+    default: config.currency.base
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
   notes: {
     type: String,
     trim: true
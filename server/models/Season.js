@@ -60,6 +60,7 @@ const seasonSchema = new mongoose.Schema({
     min: [0, 'Target production cannot be negative'],
     max: [1000000, 'Target production cannot exceed 1,000,000 kg']
   },
+  // In the farm base currency, which budget vs actual compares it with
   budgetAllocation: {
     feeds: {
       type: Number,
@@ -153,8 +154,20 @@ const seasonSchema = new mongoose.Schema({
     enableAlerts: {
       type: Boolean,
       default: true
+    },
+    // Percentages of a budget line's allocation at which a notification is raised
+    budgetAlertThresholds: {
+      type: [Number],
+      default: [80, 100]
     }
   },
+  // Budget lines and thresholds already notified, so each crossing is only reported once
+  budgetAlertsSent: [{
+    _id: false,
+    line: { type: String, required: true },
+    threshold: { type: Number, required: true },
+    sentAt: { type: Date, default: Date.now }
+  }],
   // Season metrics (calculated fields)
   metrics: {
     totalPonds: {
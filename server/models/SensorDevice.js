@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A probe or data logger posting readings for one pond
+const sensorDeviceSchema = new mongoose.Schema({
+  // ID the device reports itself with (serial number or MQTT client ID)
+  deviceId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  pondId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pond',
+    required: true,
+    index: true
+  },
+  // Device channel name -> reading parameter, for channels the standard aliases do not cover
+  channels: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Minutes of samples averaged into each water quality reading; blank uses the farm default
+  sampleIntervalMinutes: {
+    type: Number,
+    min: 1,
+    max: 1440
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastSeenAt: Date,
+  notes: String
+}, { timestamps: true });
+
+module.exports = mongoose.model('SensorDevice', sensorDeviceSchema);
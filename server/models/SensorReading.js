@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { config } = require('../config');
+
+// One raw sample from a probe, kept at full resolution for charting; water quality
+// readings hold the down-sampled means and SensorRollup the hourly and daily statistics.
+// Stored in a MongoDB time-series collection bucketed by device, so samples expire
+// after the raw retention period and are never updated once written.
+const sensorReadingSchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  meta: {
+    deviceId: {
+      type: String,
+      required: true
+    },
+    pondId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Pond',
+      required: true
+    }
+  },
+  values: {
+    pH: Number,
+    dissolvedOxygen: Number,
+    temperature: Number,
+    salinity: Number,
+    ammonia: Number,
+    nitrite: Number,
+    nitrate: Number,
+    alkalinity: Number,
+    turbidity: Number
+  }
+}, {
+  timeseries: { timeField: 'timestamp', metaField: 'meta', granularity: 'minutes' },
+  expireAfterSeconds: config.sensors.retentionDays.raw * 24 * 60 * 60,
+  versionKey: false
+});
+
+sensorReadingSchema.index({ 'meta.pondId': 1, timestamp: 1 });
+sensorReadingSchema.index({ 'meta.deviceId': 1, timestamp: 1 });
+
+module.exports = mongoose.model('SensorReading', sensorReadingSchema);
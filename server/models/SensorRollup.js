@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Statistics of one parameter over the rollup's period
+const statsSchema = new mongoose.Schema({
+  min: Number,
+  max: Number,
+  mean: Number,
+  count: Number
+}, { _id: false });
+
+// Min, max and mean of a pond's probe samples over an hour or a day
+const sensorRollupSchema = new mongoose.Schema({
+  pondId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pond',
+    required: true
+  },
+  resolution: {
+    type: String,
+    required: true,
+    enum: ['hour', 'day']
+  },
+  // Start of the hour or day, in server local time
+  start: {
+    type: Date,
+    required: true
+  },
+  values: {
+    pH: statsSchema,
+    dissolvedOxygen: statsSchema,
+    temperature: statsSchema,
+    salinity: statsSchema,
+    ammonia: statsSchema,
+    nitrite: statsSchema,
+    nitrate: statsSchema,
+    alkalinity: statsSchema,
+    turbidity: statsSchema
+  },
+  sampleCount: {
+    type: Number,
+    default: 0
+  },
+  // Removed by the TTL index once past its resolution's retention; unset rollups are kept
+  expiresAt: Date
+}, { timestamps: true });
+
+sensorRollupSchema.index({ pondId: 1, resolution: 1, start: 1 }, { unique: true });
+sensorRollupSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SensorRollup', sensorRollupSchema);
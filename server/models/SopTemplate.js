@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// Event types a step may plan; mirrors the pond events in the Event model
+const EVENT_TYPES = [
+  'PondPreparation',
+  'Stocking',
+  'ChemicalApplication',
+  'PartialHarvest',
+  'FullHarvest',
+  'Sampling',
+  'WaterExchange',
+  'Cleaning',
+  'Maintenance',
+  'Inspection'
+];
+
+// One step of a procedure: a task or planned event placed relative to season start or stocking
+const sopStepSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  kind: {
+    type: String,
+    enum: ['task', 'event'],
+    default: 'task'
+  },
+  category: {
+    type: String,
+    enum: ['Routine', 'Maintenance', 'Health', 'General'],
+    default: 'General'
+  },
+  eventType: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: function () { return this.kind === 'event'; }
+  },
+  // Event details (e.g. planned stocking quantity) for event types that require them
+  eventDetails: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  anchor: {
+    type: String,
+    enum: ['seasonStart', 'stocking'],
+    default: 'seasonStart'
+  },
+  // Days from the anchor date; negative for steps before it (e.g. -14 for pond drying)
+  offsetDays: {
+    type: Number,
+    required: true,
+    default: 0
+  },
+  // Time of day (HH:MM); defaults to the start of the day
+  time: {
+    type: String,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  // Repeat every N days from the first date, e.g. weekly growth sampling
+  repeatEveryDays: {
+    type: Number,
+    min: 1
+  },
+  // Last day (offset from the anchor) a repeating step may fall on; defaults to the season end
+  repeatUntilDays: {
+    type: Number
+  }
+});
+
+const sopTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  steps: {
+    type: [sopStepSchema],
+    validate: {
+      validator: steps => steps.length > 0,
+      message: 'A template needs at least one step'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('SopTemplate', sopTemplateSchema);
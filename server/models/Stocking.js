@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { config } = require('../config');
+
+// Post-larvae put into a pond, from a nursery batch or bought straight from a hatchery.
+// Survival, FCR and seed cost of a pond are computed from its stockings.
+const stockingSchema = new mongoose.Schema({
+  pondId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pond',
+    required: true
+  },
+  seasonId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['NurseryBatch', 'Hatchery'],
+    required: true
+  },
+  // Batch the post-larvae were transferred from; its remaining count is decremented
+  nurseryBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NurseryBatch',
+    required: function () { return this.source === 'NurseryBatch'; }
+  },
+  // Hatchery the post-larvae were purchased from
+  hatchery: {
+    type: String,
+    trim: true,
+    required: function () { return this.source === 'Hatchery'; }
+  },
+  species: {
+    type: String,
+    trim: true
+  },
+  count: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  averageWeight: {
+    type: Number, // in grams, used for the stocked biomass in FCR
+    min: 0,
+    default: 0
+  },
+  unitCost: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  totalCost: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Currency of unitCost and totalCost
+  currency: {
+    type: String,
+    enum: config.currency.supported,
+    default: config.currency.base
+  },
+  // Stocking event recorded alongside, which feed and sampling entries rely on
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+stockingSchema.index({ seasonId: 1, pondId: 1 });
+stockingSchema.index({ nurseryBatchId: 1 });
+
+module.exports = mongoose.model('Stocking', stockingSchema);
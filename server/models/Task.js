@@ -22,10 +22,23 @@ const taskSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Assignee is either a login User or an Employee record
   assignedTo: {
-    type: String, // Or ObjectId ref to User if Auth is added
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'assigneeModel',
     required: false
   },
+  assigneeModel: {
+    type: String,
+    enum: ['User', 'Employee'],
+    default: 'Employee'
+  },
+  // Free-text assignee of tasks created before assignees were linked, kept until
+  // scripts/migrateTaskAssignees.js matches it to a User or Employee
+  assigneeName: {
+    type: String,
+    trim: true
+  },
   completed: {
     type: Boolean,
     default: false
@@ -33,6 +46,32 @@ const taskSchema = new mongoose.Schema({
   completedAt: {
     type: Date
   },
+  // Steps to tick off; all must be done before the task can be completed
+  checklist: [{
+    label: {
+      type: String,
+      required: true
+    },
+    done: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // Expected spend in the base currency (hired labour, parts), counted in the cash-flow forecast while the task is open
+  estimatedCost: {
+    type: Number,
+    min: 0
+  },
+  // Record that must be entered to complete the task, e.g. the reading of a morning water check
+  dataEntryType: {
+    type: String,
+    enum: ['WaterQualityInput', 'FeedInput', 'GrowthSampling']
+  },
+  // Record created when the task was completed, kept for audit
+  linkedRecordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'dataEntryType'
+  },
   seasonId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Season'
@@ -40,7 +79,45 @@ const taskSchema = new mongoose.Schema({
   pondId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Pond'
+  },
+  // SOP template this was generated from
+  sopTemplateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SopTemplate'
+  },
+  // Recurring series this task is an occurrence of
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskSeries'
+  },
+  // Set when this occurrence was edited on its own and no longer follows series edits
+  isException: {
+    type: Boolean,
+    default: false
+  },
+  // When the due-soon reminder and the overdue notice were raised; cleared when dueDate moves
+  reminderSentAt: {
+    type: Date
+  },
+  overdueNotifiedAt: {
+    type: Date
+  }
+}, { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+taskSchema.virtual('isOverdue').get(function () {
+  return !this.completed && Boolean(this.dueDate) && this.dueDate < new Date();
+});
+
+// Until the migration has run, a name stored in assignedTo is read as assigneeName rather than lost to the ObjectId cast
+taskSchema.pre('init', (raw) => {
+  if (typeof raw.assignedTo === 'string' && !/^[0-9a-f]{24}$/i.test(raw.assignedTo)) {
+    raw.assigneeName = raw.assigneeName || raw.assignedTo;
+    delete raw.assignedTo;
   }
-}, { timestamps: true });
+});
+
+taskSchema.index({ seriesId: 1, dueDate: 1 });
+taskSchema.index({ assignedTo: 1, dueDate: 1 });
+taskSchema.index({ completed: 1, dueDate: 1 });
 
 module.exports = mongoose.model('Task', taskSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// Definition of a recurring task; individual occurrences are Task documents with seriesId set
+const taskSeriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String
+  },
+  category: {
+    type: String,
+    enum: ['Routine', 'Maintenance', 'Health', 'General'],
+    default: 'General'
+  },
+  frequency: {
+    type: String,
+    enum: ['Daily', 'Weekly', 'Monthly'],
+    required: true
+  },
+  // Repeat every N days/weeks/months
+  interval: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // Weekdays (MO, TU, ...) for Weekly series, or the weekday of an nth-weekday Monthly series
+  byDay: [{
+    type: String,
+    enum: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']
+  }],
+  // Which matching weekday in the month (1 = first, 2 = second, -1 = last) for Monthly series
+  bySetPos: {
+    type: Number,
+    min: -1,
+    max: 5
+  },
+  // Day of the month for Monthly series; clamped to the last day in shorter months
+  byMonthDay: {
+    type: Number,
+    min: 1,
+    max: 31
+  },
+  // Times of day (HH:MM) each matching day; defaults to the time of startDate
+  times: [{
+    type: String,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  }],
+  startDate: {
+    type: Date,
+    required: true
+  },
+  until: {
+    type: Date
+  },
+  // Maximum number of occurrences
+  count: {
+    type: Number,
+    min: 1
+  },
+  // Checklist and required data entry copied onto each occurrence
+  checklist: [{
+    label: {
+      type: String,
+      required: true
+    }
+  }],
+  dataEntryType: {
+    type: String,
+    enum: ['WaterQualityInput', 'FeedInput', 'GrowthSampling']
+  },
+  // Expected spend of each occurrence, in the base currency
+  estimatedCost: {
+    type: Number,
+    min: 0
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'assigneeModel'
+  },
+  assigneeModel: {
+    type: String,
+    enum: ['User', 'Employee'],
+    default: 'Employee'
+  },
+  // Free-text assignee of series created before assignees were linked (see Task)
+  assigneeName: {
+    type: String,
+    trim: true
+  },
+  seasonId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season'
+  },
+  pondId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pond'
+  },
+  // SOP template this was generated from
+  sopTemplateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SopTemplate'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+// A name stored in assignedTo before the migration is read as assigneeName, as on Task
+taskSeriesSchema.pre('init', (raw) => {
+  if (typeof raw.assignedTo === 'string' && !/^[0-9a-f]{24}$/i.test(raw.assignedTo)) {
+    raw.assigneeName = raw.assigneeName || raw.assignedTo;
+    delete raw.assignedTo;
+  }
+});
+
+module.exports = mongoose.model('TaskSeries', taskSeriesSchema);
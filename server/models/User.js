@@ -52,6 +52,31 @@ const userSchema = new mongoose.Schema({
     default: 'en',
     enum: ['en', 'hi', 'ta', 'kn', 'te', 'th', 'vi']
   },
+  phone: {
+    type: String,
+    trim: true,
+    match: /^\+?[0-9]{7,15}$/ // E.164 style, used for SMS notifications
+  },
+  notificationPreferences: {
+    email: {
+      enabled: { type: Boolean, default: false },
+      minPriority: { type: String, enum: ['Low', 'Medium', 'High', 'Critical'], default: 'High' }
+    },
+    sms: {
+      enabled: { type: Boolean, default: false },
+      minPriority: { type: String, enum: ['Low', 'Medium', 'High', 'Critical'], default: 'Critical' }
+    },
+    // Outside quiet hours every enabled channel is used; inside them only the listed priorities get through
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: '22:00', match: /^([01]\d|2[0-3]):([0-5]\d)$/ },
+      end: { type: String, default: '06:00', match: /^([01]\d|2[0-3]):([0-5]\d)$/ },
+      allowedPriorities: {
+        type: [{ type: String, enum: ['Low', 'Medium', 'High', 'Critical'] }],
+        default: ['Critical']
+      }
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
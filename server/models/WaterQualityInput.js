@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { defaultProfile, scoreReading, parameterAlerts } = require('../utils/waterQualityProfiles');
+const { deriveChemistry } = require('../utils/waterChemistry');
 
 const waterQualityInputSchema = new mongoose.Schema({
   date: {
@@ -125,6 +127,19 @@ const waterQualityInputSchema = new mongoose.Schema({
     min: [0, 'Turbidity cannot be negative'],
     max: [1000, 'Turbidity cannot exceed 1000 NTU']
   },
+  // Derived from the measured values whenever the reading is saved (utils/waterChemistry)
+  unionizedAmmonia: {
+    type: Number, // mg/L of toxic NH3 within the total ammonia
+    default: null
+  },
+  doSaturation: {
+    type: Number, // % of saturation at the reading's temperature and salinity
+    default: null
+  },
+  chlorideNitriteRatio: {
+    type: Number, // higher means chloride protects better against nitrite
+    default: null
+  },
   // Chemical treatment tracking
   chemicalUsed: {
     type: mongoose.Schema.Types.ObjectId,
@@ -203,52 +218,10 @@ const waterQualityInputSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Virtual for quality score calculation
+// Virtual for quality score calculation against the species and stage profile,
+// loaded into $locals by attachProfiles wherever readings are scored
 waterQualityInputSchema.virtual('qualityScore').get(function () {
-  let score = 0;
-  let factors = 0;
-
-  // pH scoring (optimal range: 7.5-8.5)
-  if (this.pH >= 7.5 && this.pH <= 8.5) {
-    score += 25;
-  } else if (this.pH >= 7.0 && this.pH <= 9.0) {
-    score += 15;
-  } else {
-    score += 5;
-  }
-  factors++;
-
-  // DO scoring (optimal: >5 mg/L)
-  if (this.dissolvedOxygen >= 5) {
-    score += 25;
-  } else if (this.dissolvedOxygen >= 3) {
-    score += 15;
-  } else {
-    score += 5;
-  }
-  factors++;
-
-  // Temperature scoring (optimal range: 26-32°C for shrimp)
-  if (this.temperature >= 26 && this.temperature <= 32) {
-    score += 25;
-  } else if (this.temperature >= 20 && this.temperature <= 35) {
-    score += 15;
-  } else {
-    score += 5;
-  }
-  factors++;
-
-  // Salinity scoring (depends on species, assuming 15-25 ppt for many species)
-  if (this.salinity >= 15 && this.salinity <= 25) {
-    score += 25;
-  } else if (this.salinity >= 10 && this.salinity <= 30) {
-    score += 15;
-  } else {
-    score += 5;
-  }
-  factors++;
-
-  return Math.round(score / factors);
+  return scoreReading(this, this.$locals.profile || defaultProfile()).score;
 });
 
 // Virtual for testing window
@@ -292,6 +265,20 @@ waterQualityInputSchema.index(
   }
 );
 
+const SCORED_PARAMETERS = ['pH', 'dissolvedOxygen', 'temperature', 'salinity', 'ammonia', 'nitrite', 'alkalinity'];
+
+waterQualityInputSchema.pre('validate', function () {
+  Object.assign(this, deriveChemistry(this));
+});
+
+// Rate the reading against the profile attached before saving instead of the
+// default one overallQuality was filled in with, unless it was rated by hand
+waterQualityInputSchema.pre('validate', function () {
+  const rescore = this.$isDefault('overallQuality') ||
+    (!this.isNew && !this.isModified('overallQuality') && SCORED_PARAMETERS.some(name => this.isModified(name)));
+  if (rescore) { this.overallQuality = this.calculateQualityRating(); }
+});
+
 // Instance methods
 waterQualityInputSchema.methods.calculateQualityRating = function () {
   const score = this.qualityScore;
@@ -303,29 +290,7 @@ waterQualityInputSchema.methods.calculateQualityRating = function () {
 };
 
 waterQualityInputSchema.methods.getParameterAlerts = function () {
-  const alerts = [];
-
-  if (this.pH < 6.5 || this.pH > 9.0) {
-    alerts.push({ parameter: 'pH', value: this.pH, severity: 'high', message: 'pH is outside safe range' });
-  }
-
-  if (this.dissolvedOxygen < 3) {
-    alerts.push({ parameter: 'dissolvedOxygen', value: this.dissolvedOxygen, severity: 'high', message: 'Dissolved oxygen is critically low' });
-  }
-
-  if (this.temperature < 15 || this.temperature > 35) {
-    alerts.push({ parameter: 'temperature', value: this.temperature, severity: 'medium', message: 'Temperature is outside optimal range' });
-  }
-
-  if (this.ammonia && this.ammonia > 0.5) {
-    alerts.push({ parameter: 'ammonia', value: this.ammonia, severity: 'high', message: 'Ammonia levels are too high' });
-  }
-
-  if (this.nitrite && this.nitrite > 1.0) {
-    alerts.push({ parameter: 'nitrite', value: this.nitrite, severity: 'medium', message: 'Nitrite levels are elevated' });
-  }
-
-  return alerts;
+  return parameterAlerts(this, this.$locals.profile || defaultProfile());
 };
 
 // Static methods
@@ -362,6 +327,11 @@ waterQualityInputSchema.statics.getQualityTrends = function (seasonId, groupBy =
         maxPH: { $max: '$pH' },
         minDO: { $min: '$dissolvedOxygen' },
         maxDO: { $max: '$dissolvedOxygen' },
+        avgUnionizedAmmonia: { $avg: '$unionizedAmmonia' },
+        maxUnionizedAmmonia: { $max: '$unionizedAmmonia' },
+        avgDOSaturation: { $avg: '$doSaturation' },
+        minDOSaturation: { $min: '$doSaturation' },
+        minChlorideNitriteRatio: { $min: '$chlorideNitriteRatio' },
         readingCount: { $sum: 1 },
         qualityIssues: {
           $sum: {
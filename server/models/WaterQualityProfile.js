@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Optimal band scores best; readings outside the acceptable band raise alerts. Missing bounds are open-ended.
+const rangeSchema = new mongoose.Schema({
+  optimalMin: Number,
+  optimalMax: Number,
+  acceptableMin: Number,
+  acceptableMax: Number
+}, { _id: false });
+
+// Water quality ranges for a species at a culture stage, overriding the built-in defaults
+const waterQualityProfileSchema = new mongoose.Schema({
+  species: {
+    type: String,
+    required: true,
+    enum: ['Whiteleg Shrimp', 'Giant Tiger Prawn', 'Blue Shrimp', 'Other']
+  },
+  stage: {
+    type: String,
+    required: true,
+    enum: ['Nursery', 'GrowOut']
+  },
+  // Days of culture from which the profile applies; the latest one started wins
+  fromDay: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  parameters: {
+    pH: rangeSchema,
+    dissolvedOxygen: rangeSchema,
+    temperature: rangeSchema,
+    salinity: rangeSchema,
+    ammonia: rangeSchema,
+    nitrite: rangeSchema,
+    alkalinity: rangeSchema
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+waterQualityProfileSchema.index({ species: 1, stage: 1, fromDay: 1 }, { unique: true });
+
+module.exports = mongoose.model('WaterQualityProfile', waterQualityProfileSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    match: /^https?:\/\/.+/
+  },
+  secret: {
+    type: String,
+    required: true, // Used to sign each payload (X-Shrimpfarm-Signature)
+    select: false
+  },
+  // Only deliver notifications of these priorities / types - empty means all
+  priorities: [{
+    type: String,
+    enum: ['Low', 'Medium', 'High', 'Critical']
+  }],
+  types: [{
+    type: String,
+    enum: ['Alert', 'Info', 'Task', 'Health']
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
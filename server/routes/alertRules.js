@@ -4,6 +4,7 @@ const alertRuleController = require('../controllers/alertRuleController');
 
 router.post('/', alertRuleController.createRule);
 router.get('/', alertRuleController.getRules);
+router.post('/evaluate', alertRuleController.evaluateRules);
 router.put('/:id', alertRuleController.updateRule);
 router.delete('/:id', alertRuleController.deleteRule);
 
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const assetController = require('../controllers/assetController');
+
+router.post('/', assetController.createAsset);
+router.get('/', assetController.getAssets);
+// Specific routes must come before /:id
+router.get('/depreciation', assetController.getSeasonDepreciation);
+router.get('/:id', assetController.getAssetById);
+router.put('/:id', assetController.updateAsset);
+router.delete('/:id', assetController.deleteAsset);
+
+module.exports = router;
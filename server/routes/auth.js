@@ -81,6 +81,34 @@ const authValidation = {
     handleValidationErrors
   ],
 
+  updateNotificationPreferences: [
+    body('phone')
+      .optional({ values: 'null' })
+      .trim()
+      .matches(/^(\+?[0-9]{7,15})?$/)
+      .withMessage('Phone must be a number in international format'),
+    body(['email.enabled', 'sms.enabled', 'quietHours.enabled'])
+      .optional()
+      .isBoolean()
+      .withMessage('Enabled flags must be true or false'),
+    body(['email.minPriority', 'sms.minPriority'])
+      .optional()
+      .isIn(['Low', 'Medium', 'High', 'Critical'])
+      .withMessage('Minimum priority must be Low, Medium, High or Critical'),
+    body(['quietHours.start', 'quietHours.end'])
+      .optional()
+      .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+      .withMessage('Quiet hours must be in HH:MM format'),
+    body('quietHours.allowedPriorities')
+      .optional()
+      .isArray()
+      .withMessage('Allowed priorities must be a list'),
+    body('quietHours.allowedPriorities.*')
+      .isIn(['Low', 'Medium', 'High', 'Critical'])
+      .withMessage('Allowed priorities must be Low, Medium, High or Critical'),
+    handleValidationErrors
+  ],
+
   changePassword: [
     body('currentPassword')
       .notEmpty()
@@ -177,6 +205,8 @@ router.use(authenticate); // All routes below require authentication
 router.post('/logout', authController.logout);
 router.get('/profile', authController.getProfile);
 router.put('/profile', authValidation.updateProfile, authController.updateProfile);
+router.get('/profile/notifications', authController.getNotificationPreferences);
+router.put('/profile/notifications', authValidation.updateNotificationPreferences, authController.updateNotificationPreferences);
 router.put('/change-password', authValidation.changePassword, authController.changePassword);
 
 // Admin-only routes
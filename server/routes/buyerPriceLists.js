@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const buyerPriceListController = require('../controllers/buyerPriceListController');
+
+router.post('/', buyerPriceListController.createPriceList);
+router.get('/', buyerPriceListController.getPriceLists);
+router.get('/effective', buyerPriceListController.getEffectivePriceList);
+router.put('/:id', buyerPriceListController.updatePriceList);
+router.delete('/:id', buyerPriceListController.deletePriceList);
+
+module.exports = router;
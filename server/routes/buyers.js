@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const buyerController = require('../controllers/buyerController');
+
+router.post('/', buyerController.createBuyer);
+router.get('/', buyerController.getBuyers);
+router.get('/:id', buyerController.getBuyerById);
+router.put('/:id', buyerController.updateBuyer);
+router.delete('/:id', buyerController.deleteBuyer);
+
+module.exports = router;
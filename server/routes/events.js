@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const eventController = require('../controllers/eventController');
+const { uploadSingle } = require('../middleware/upload');
 
 // POST /api/events - Create a new event
 router.post('/', eventController.createEvent);
@@ -23,4 +24,9 @@ router.put('/:id', eventController.updateEvent);
 // DELETE /api/events/:id - Delete an event by ID
 router.delete('/:id', eventController.deleteEvent);
 
+// Photos and documents attached to an event
+router.post('/:id/media', uploadSingle('file'), eventController.uploadEventMedia);
+router.get('/:id/media/:mediaId', eventController.getEventMedia);
+router.delete('/:id/media/:mediaId', eventController.deleteEventMedia);
+
 module.exports = router;
\ No newline at end of file
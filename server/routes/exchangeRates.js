@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const exchangeRateController = require('../controllers/exchangeRateController');
+
+// Base currency, supported currencies and the rate of each in effect today
+router.get('/currencies', exchangeRateController.getCurrencies);
+
+router.post('/', exchangeRateController.createExchangeRate);
+router.get('/', exchangeRateController.getExchangeRates);
+router.put('/:id', exchangeRateController.updateExchangeRate);
+router.delete('/:id', exchangeRateController.deleteExchangeRate);
+
+module.exports = router;
@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const expenseController = require('../controllers/expenseController');
+const { uploadSingle } = require('../middleware/upload');
 
 // GET all expenses
 router.get('/', expenseController.getAllExpenses);
@@ -9,8 +10,8 @@ router.get('/', expenseController.getAllExpenses);
 // GET expense summary
 router.get('/summary', expenseController.getExpenseSummary);
 
-// POST a new expense
-router.post('/', expenseController.createExpense);
+// POST a new expense, as JSON or multipart with an optional 'receipt' file
+router.post('/', uploadSingle('receipt'), expenseController.createExpense);
 
 // GET a single expense
 router.get('/:id', expenseController.getExpenseById);
@@ -21,4 +22,9 @@ router.patch('/:id', expenseController.updateExpense);
 // DELETE an expense
 router.delete('/:id', expenseController.deleteExpense);
 
+// Receipt of an expense: multipart 'receipt' file to upload or replace it
+router.put('/:id/receipt', uploadSingle('receipt'), expenseController.uploadReceipt);
+router.get('/:id/receipt', expenseController.getReceipt);
+router.delete('/:id/receipt', expenseController.deleteReceipt);
+
 module.exports = router;
@@ -8,4 +8,14 @@ router.get('/summary', financeController.getFinancialSummary);
 // Get profit and loss statement (season scope)
 router.get('/pnl', financeController.getProfitAndLoss);
 
+// Season budget vs actual, and setting the budget lines and alert thresholds
+router.get('/budget', financeController.getBudgetVsActual);
+router.put('/budget', financeController.updateSeasonBudget);
+
+// Cost of production per kg and break-even price per pond and season
+router.get('/cost-of-production', financeController.getCostOfProduction);
+
+// Week-by-week cash-flow forecast for a season
+router.get('/cash-flow-forecast', financeController.getCashFlowForecast);
+
 module.exports = router;
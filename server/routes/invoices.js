@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const invoiceController = require('../controllers/invoiceController');
+
+router.post('/', invoiceController.createInvoice);
+router.get('/', invoiceController.getInvoices);
+router.get('/aging', invoiceController.getReceivablesAging);
+router.get('/:id', invoiceController.getInvoiceById);
+router.post('/:id/void', invoiceController.voidInvoice);
+router.post('/:id/payments', invoiceController.addPayment);
+router.delete('/:id/payments/:paymentId', invoiceController.deletePayment);
+
+module.exports = router;
@@ -1,10 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const notificationController = require('../controllers/notificationController');
+const webhookController = require('../controllers/webhookController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+// Read and acknowledgement state is per user
+router.use(authenticate);
 
 router.get('/', notificationController.getNotifications);
+router.get('/deliveries', notificationController.getDeliveries);
+router.get('/acknowledgements', notificationController.getAcknowledgements);
 router.put('/read-all', notificationController.markAllAsRead);
+
+// Webhooks receive every farm notification, so only admins see or change them
+router.get('/webhooks', requireRole('admin'), webhookController.getWebhooks);
+router.post('/webhooks', requireRole('admin'), webhookController.createWebhook);
+router.put('/webhooks/:id', requireRole('admin'), webhookController.updateWebhook);
+router.delete('/webhooks/:id', requireRole('admin'), webhookController.deleteWebhook);
+
 router.put('/:id/read', notificationController.markAsRead);
+router.put('/:id/acknowledge', notificationController.acknowledgeNotification);
 router.delete('/:id', notificationController.deleteNotification);
 
 module.exports = router;
@@ -5,6 +5,7 @@ const saleController = require('../controllers/saleController');
 router.post('/', saleController.createSale);
 router.get('/', saleController.getAllSales);
 router.get('/:id', saleController.getSaleById);
+router.put('/:id', saleController.updateSale);
 router.delete('/:id', saleController.deleteSale);
 
 module.exports = router;
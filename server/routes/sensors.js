@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authenticateApiKey, requireRole, requireResourcePermission } = require('../middleware/auth');
+const sensorController = require('../controllers/sensorController');
+
+// Probes and bridges post JSON, or CSV as text/csv or text/plain; the key is checked before the body is read
+router.post(
+  '/ingest',
+  authenticateApiKey,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+  sensorController.ingestReadings
+);
+
+router.get('/readings', authenticate, requireResourcePermission('waterQualityInputs', 'read'), sensorController.getSensorReadings);
+router.get('/series', authenticate, requireResourcePermission('waterQualityInputs', 'read'), sensorController.getSensorSeries);
+
+// Only admins decide which pond a device's readings belong to
+router.get('/devices', authenticate, sensorController.getSensorDevices);
+router.post('/devices', authenticate, requireRole('admin'), sensorController.createSensorDevice);
+router.put('/devices/:id', authenticate, requireRole('admin'), sensorController.updateSensorDevice);
+router.delete('/devices/:id', authenticate, requireRole('admin'), sensorController.deleteSensorDevice);
+
+module.exports = router;
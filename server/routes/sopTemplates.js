@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const sopTemplateController = require('../controllers/sopTemplateController');
+
+router.post('/', sopTemplateController.createTemplate);
+router.get('/', sopTemplateController.getTemplates);
+router.get('/:id', sopTemplateController.getTemplateById);
+router.put('/:id', sopTemplateController.updateTemplate);
+router.delete('/:id', sopTemplateController.deleteTemplate);
+router.post('/:id/apply', sopTemplateController.applyTemplate);
+
+module.exports = router;
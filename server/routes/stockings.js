@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const stockingController = require('../controllers/stockingController');
+
+router.post('/', stockingController.createStocking);
+router.get('/', stockingController.getStockings);
+router.delete('/:id', stockingController.deleteStocking);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const streamController = require('../controllers/streamController');
+const { authenticate } = require('../middleware/auth');
+
+// EventSource cannot set headers, so the token may also be passed as ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+router.get('/', tokenFromQuery, authenticate, streamController.streamEvents);
+
+module.exports = router;
@@ -4,6 +4,7 @@ const taskController = require('../controllers/taskController');
 
 router.post('/', taskController.createTask);
 router.get('/', taskController.getTasks);
+router.get('/workload', taskController.getWorkload);
 router.put('/:id', taskController.updateTask);
 router.delete('/:id', taskController.deleteTask);
 
@@ -24,6 +24,7 @@ router.get('/export', requireResourcePermission('waterQualityInputs', 'read'), w
 
 // Specific routes MUST come before /:id wildcard
 router.get('/pond/:pondId', requireResourcePermission('waterQualityInputs', 'read'), waterQualityInputController.getWaterQualityInputsByPondId);
+router.get('/diurnal/:pondId', requireResourcePermission('waterQualityInputs', 'read'), waterQualityInputController.getDiurnalOxygen);
 router.get('/date-range', requireResourcePermission('waterQualityInputs', 'read'), ...waterQualityValidation.getByDateRange, waterQualityInputController.getWaterQualityInputsByDateRange);
 router.get('/season/:seasonId', requireResourcePermission('waterQualityInputs', 'read'), waterQualityInputController.getWaterQualityInputsBySeasonId);
 
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireRole } = require('../middleware/auth');
+const waterQualityProfileController = require('../controllers/waterQualityProfileController');
+
+router.get('/', waterQualityProfileController.getWaterQualityProfiles);
+router.get('/resolve', waterQualityProfileController.resolveWaterQualityProfile);
+
+// Only admins change the ranges every score, alert and recommendation is judged against
+router.post('/', authenticate, requireRole('admin'), waterQualityProfileController.createWaterQualityProfile);
+router.put('/:id', authenticate, requireRole('admin'), waterQualityProfileController.updateWaterQualityProfile);
+router.delete('/:id', authenticate, requireRole('admin'), waterQualityProfileController.deleteWaterQualityProfile);
+
+module.exports = router;
@@ -0,0 +1,129 @@
+/* eslint-disable no-console */
+/**
+ * Task Assignee Migration
+ * Tasks and task series used to store their assignee as free text. assignedTo
+ * now references a User or Employee, so stored names no longer cast and are
+ * read as assigneeName instead. This matches each stored name to an Employee
+ * (by name) or a User (by full name or username), case-insensitively, and
+ * links it. Names that match nobody, or more than one person, are moved to
+ * assigneeName for an admin to assign by hand.
+ *
+ *   node scripts/migrateTaskAssignees.js --dry-run
+ *   node scripts/migrateTaskAssignees.js
+ *
+ * Options:
+ *   --dry-run   Report what would change without writing
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const TaskSeries = require('../models/TaskSeries');
+const Employee = require('../models/Employee');
+const User = require('../models/User');
+const { config } = require('../config');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const normalize = (name) => String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Index people by every name they may have been assigned under
+ * @returns {Promise<Map<string, Array<object>>>} Normalized name -> matches ({ id, model })
+ */
+async function loadPeople() {
+  const [employees, users] = await Promise.all([
+    Employee.find().select('name').lean(),
+    User.find().select('firstName lastName username').lean()
+  ]);
+
+  const people = new Map();
+  const add = (name, match) => {
+    if (!name) { return; }
+    const key = normalize(name);
+    const matches = people.get(key) || [];
+    if (!matches.some(existing => String(existing.id) === String(match.id))) { matches.push(match); }
+    people.set(key, matches);
+  };
+
+  employees.forEach(employee => add(employee.name, { id: employee._id, model: 'Employee' }));
+  users.forEach(user => {
+    const match = { id: user._id, model: 'User' };
+    add([user.firstName, user.lastName].filter(Boolean).join(' '), match);
+    add(user.username, match);
+  });
+  return people;
+}
+
+/**
+ * Link or set aside the free-text assignees of one collection
+ * @param {object} Model - Task or TaskSeries
+ * @param {Map<string, Array<object>>} people - People by name
+ * @returns {Promise<object>} Counts ({ linked, unmatched })
+ */
+async function migrate(Model, people) {
+  // Read through the driver: the schema would cast the names away
+  const documents = await Model.collection.find(
+    { assignedTo: { $type: 'string' } },
+    { projection: { assignedTo: 1, assigneeName: 1 } }
+  ).toArray();
+
+  const counts = { linked: 0, unmatched: 0 };
+  const operations = documents.map(document => {
+    const value = document.assignedTo.trim();
+    if (/^[0-9a-f]{24}$/i.test(value)) {
+      // An ID saved as a string only needs its type fixed
+      counts.linked++;
+      return { updateOne: { filter: { _id: document._id }, update: { $set: { assignedTo: new mongoose.Types.ObjectId(value) } } } };
+    }
+
+    const matches = value ? people.get(normalize(value)) || [] : [];
+    if (matches.length === 1) {
+      counts.linked++;
+      return {
+        updateOne: {
+          filter: { _id: document._id },
+          update: { $set: { assignedTo: matches[0].id, assigneeModel: matches[0].model }, $unset: { assigneeName: '' } }
+        }
+      };
+    }
+
+    counts.unmatched++;
+    console.log(`${Model.modelName} ${document._id}: "${value}" ${matches.length > 1 ? 'matches several people' : 'matches nobody'}`);
+    return {
+      updateOne: {
+        filter: { _id: document._id },
+        update: value ? { $set: { assigneeName: value }, $unset: { assignedTo: '' } } : { $unset: { assignedTo: '' } }
+      }
+    };
+  });
+
+  if (!dryRun && operations.length > 0) {
+    await Model.collection.bulkWrite(operations, { ordered: false });
+  }
+  return counts;
+}
+
+/**
+ * Migrate tasks and task series, then report
+ * @returns {Promise<void>}
+ */
+async function run() {
+  await mongoose.connect(config.database.uri, config.database.options);
+  try {
+    const people = await loadPeople();
+    for (const Model of [Task, TaskSeries]) {
+      // eslint-disable-next-line no-await-in-loop
+      const { linked, unmatched } = await migrate(Model, people);
+      console.log(`${Model.modelName}: ${linked} linked, ${unmatched} kept as assigneeName${dryRun ? ' (dry run)' : ''}`);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+run().catch(error => {
+  console.error(`Migration failed: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,158 @@
+/* eslint-disable no-console */
+/**
+ * Sensor Simulator
+ * Posts probe samples to the ingestion endpoint the way a multi-parameter probe
+ * would: DO, temperature and pH follow a day/night cycle, salinity drifts.
+ * Register the device against a pond first (POST /api/sensors/devices).
+ *
+ *   node scripts/sensorSimulator.js --device PROBE-01 --hours 24
+ *   node scripts/sensorSimulator.js --device PROBE-01 --format csv --live
+ *
+ * Options:
+ *   --url       API base URL (default http://localhost:PORT/api)
+ *   --key       API key (default API_KEY from .env)
+ *   --device    Device ID (default SIM-PROBE-01)
+ *   --format    json, csv or mqtt (default json)
+ *   --interval  Minutes between samples (default 5)
+ *   --hours     Hours of history to backfill (default 24)
+ *   --batch     Samples per request when backfilling (default 48)
+ *   --crash     Make DO fall steeply overnight, to try the oxygen crash forecast
+ *   --live      After backfilling, keep sending a sample every interval until stopped
+ *   --dry-run   Print the requests instead of sending them
+ */
+
+require('dotenv').config();
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Read --name value and --flag options
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {object} Options
+ */
+function parseArgs(argv) {
+  const options = {};
+  argv.forEach((arg, index) => {
+    if (!arg.startsWith('--')) { return; }
+    const next = argv[index + 1];
+    options[arg.slice(2)] = next === undefined || next.startsWith('--') ? true : next;
+  });
+  return options;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const options = {
+  url: args.url || `http://localhost:${process.env.PORT || 5001}/api`,
+  key: args.key || process.env.API_KEY,
+  device: args.device || 'SIM-PROBE-01',
+  format: args.format || 'json',
+  interval: parseFloat(args.interval) || 5,
+  hours: args.hours === undefined ? 24 : parseFloat(args.hours),
+  batch: parseInt(args.batch, 10) || 48,
+  crash: Boolean(args.crash),
+  live: Boolean(args.live),
+  dryRun: Boolean(args['dry-run'])
+};
+
+const noise = (spread) => (Math.random() - 0.5) * 2 * spread;
+
+/**
+ * Probe values at a time of day: DO peaks mid-afternoon and bottoms out before dawn
+ * @param {Date} timestamp - Sample time
+ * @returns {object} Channel values, named as a typical probe names them
+ */
+function sampleAt(timestamp) {
+  const hour = timestamp.getHours() + timestamp.getMinutes() / 60;
+  const cycle = Math.sin(((hour - 9) / 24) * 2 * Math.PI);
+  const swing = options.crash ? 4 : 2.5;
+  return {
+    DO: Number(Math.max(0.2, 6 + swing * cycle + noise(0.15)).toFixed(2)),
+    Temp: Number((28.5 + 1.5 * cycle + noise(0.1)).toFixed(1)),
+    pH: Number((7.9 + 0.3 * cycle + noise(0.03)).toFixed(2)),
+    Sal: Number((15 + noise(0.2)).toFixed(2))
+  };
+}
+
+/**
+ * Request body for a batch of samples in the chosen format
+ * @param {Array<Date>} timestamps - Sample times
+ * @returns {object} { body, contentType }
+ */
+function buildRequest(timestamps) {
+  if (options.format === 'csv') {
+    const lines = timestamps.map(timestamp => {
+      const values = Object.entries(sampleAt(timestamp)).map(([channel, value]) => `${channel}=${value}`);
+      return [options.device, timestamp.toISOString(), ...values].join(',');
+    });
+    return { body: lines.join('\n'), contentType: 'text/csv' };
+  }
+  if (options.format === 'mqtt') {
+    const messages = timestamps.map(timestamp => ({
+      topic: `farm/sensors/${options.device}`,
+      payload: JSON.stringify({ ts: Math.floor(timestamp.getTime() / 1000), ...sampleAt(timestamp) })
+    }));
+    return { body: JSON.stringify(messages.length === 1 ? messages[0] : messages), contentType: 'application/json' };
+  }
+  return {
+    body: JSON.stringify({
+      deviceId: options.device,
+      readings: timestamps.map(timestamp => ({ timestamp: timestamp.toISOString(), values: sampleAt(timestamp) }))
+    }),
+    contentType: 'application/json'
+  };
+}
+
+/**
+ * Send one batch of samples and print the server's summary
+ * @param {Array<Date>} timestamps - Sample times
+ * @returns {Promise<void>}
+ */
+async function send(timestamps) {
+  const { body, contentType } = buildRequest(timestamps);
+  if (options.dryRun) {
+    console.log(`POST ${options.url}/sensors/ingest (${contentType})\n${body}\n`);
+    return;
+  }
+
+  const response = await fetch(`${options.url}/sensors/ingest`, {
+    method: 'POST',
+    headers: { 'Content-Type': contentType, 'X-API-Key': options.key || '' },
+    body
+  });
+  const summary = await response.json().catch(() => ({}));
+  if (!response.ok && response.status !== 422) {
+    throw new Error(`${response.status}: ${summary.message || response.statusText}`);
+  }
+  const { stored = 0, duplicates = 0, rejected = [], readings = {} } = summary;
+  console.log(`${timestamps[timestamps.length - 1].toISOString()} sent ${timestamps.length}: ` +
+    `${stored} stored, ${duplicates} duplicate, ${rejected.length} rejected` +
+    (rejected.length > 0 ? ` (${rejected[0].reason})` : '') +
+    `; readings ${readings.created || 0} created, ${readings.updated || 0} updated`);
+}
+
+/**
+ * Backfill the requested history, then optionally keep sending live samples
+ * @returns {Promise<void>}
+ */
+async function run() {
+  const step = options.interval * MINUTE_MS;
+  const now = Date.now();
+  const first = Math.ceil((now - options.hours * 60 * MINUTE_MS) / step) * step;
+
+  const history = [];
+  for (let time = first; time <= now; time += step) { history.push(new Date(time)); }
+  for (let index = 0; index < history.length; index += options.batch) {
+    // eslint-disable-next-line no-await-in-loop
+    await send(history.slice(index, index + options.batch));
+  }
+
+  if (options.live) {
+    console.log(`Sending a sample every ${options.interval} minutes; press Ctrl+C to stop`);
+    setInterval(() => send([new Date()]).catch(error => console.error(error.message)), step);
+  }
+}
+
+run().catch(error => {
+  console.error(`Simulator failed: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -10,6 +10,12 @@ const config = getConfig();
 
 const { logger } = require('./utils/logger');
 const { notFoundHandler, globalErrorHandler } = require('./utils/errorHandler');
+const { startAlertScheduler } = require('./utils/alertEngine');
+const { startEscalationScheduler } = require('./utils/notificationEscalation');
+const { startTaskRecurrenceScheduler } = require('./utils/taskRecurrence');
+const { startTaskReminderScheduler } = require('./utils/taskTracking');
+const { startBudgetAlertScheduler } = require('./utils/budgetTracking');
+const { applyRetention } = require('./utils/sensorRollups');
 const {
   conditionalRateLimiter,
   sanitizeInput,
@@ -168,16 +174,26 @@ app.use('/api/historical-insights', require('./routes/historicalInsights'));
 app.use('/api/inventory-items', require('./routes/inventoryRoutes'));
 app.use('/api/nursery-batches', require('./routes/nurseryBatches'));
 app.use('/api/water-quality-inputs', require('./routes/waterQualityInputs'));
+app.use('/api/water-quality-profiles', require('./routes/waterQualityProfiles'));
+app.use('/api/sensors', require('./routes/sensors'));
 app.use('/api/settings', require('./routes/settings'));
 
 // New features from feature branch
 app.use('/api/finance', require('./routes/financeRoutes'));
 app.use('/api/harvests', require('./routes/harvestRoutes'));
+app.use('/api/stockings', require('./routes/stockings'));
 app.use('/api/sales', require('./routes/saleRoutes'));
+app.use('/api/buyers', require('./routes/buyers'));
+app.use('/api/invoices', require('./routes/invoices'));
+app.use('/api/buyer-price-lists', require('./routes/buyerPriceLists'));
+app.use('/api/exchange-rates', require('./routes/exchangeRates'));
+app.use('/api/assets', require('./routes/assets'));
 app.use('/api/health-logs', require('./routes/healthLogs'));
 app.use('/api/tasks', require('./routes/tasks'));
+app.use('/api/sop-templates', require('./routes/sopTemplates'));
 app.use('/api/alert-rules', require('./routes/alertRules'));
 app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/stream', require('./routes/stream'));
 
 // Basic routes for testing
 app.get('/test', (req, res) => {
@@ -211,6 +227,12 @@ if (process.env.NODE_ENV !== 'test') {
   mongoose.connect(config.database.uri, config.database.options)
     .then(() => {
       logger.info('Connected to MongoDB successfully');
+      startAlertScheduler(config.alerts.evaluationIntervalMs);
+      startEscalationScheduler(config.notifications.escalation.checkIntervalMs);
+      startTaskRecurrenceScheduler(config.tasks.recurrenceIntervalMs);
+      startTaskReminderScheduler(config.tasks.reminderIntervalMs);
+      startBudgetAlertScheduler(config.budget.checkIntervalMs);
+      applyRetention();
       app.listen(PORT, () => {
         logger.info(`🎊 FIXED server is running on port ${PORT} - Path-to-regexp error RESOLVED!`);
         console.log(`✅ Server running! Test at: http://localhost:${PORT}/`);
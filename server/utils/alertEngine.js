@@ -0,0 +1,701 @@
+/**
+ * Alert Rule Evaluation Engine
+ * Evaluates active alert rules against new water quality readings, inventory
+ * levels and feeding activity, and raises notifications for breached rules.
+ * Rules may be scoped to a pond, season or nursery batch, require a breach to
+ * persist over several readings, and observe a cooldown between notifications.
+ * Water quality rules may also test the rate of change against earlier readings
+ * and combine several sub-conditions with AND / OR.
+ */
+
+const mongoose = require('mongoose');
+const AlertRule = require('../models/AlertRule');
+const Pond = require('../models/Pond');
+const FeedInput = require('../models/FeedInput');
+const WaterQualityInput = require('../models/WaterQualityInput');
+const Event = require('../models/Event');
+const NurseryBatch = require('../models/NurseryBatch');
+const InventoryItem = require('../models/InventoryItem');
+const Notification = require('../models/Notification');
+const Season = require('../models/Season');
+const notificationController = require('../controllers/notificationController');
+const { logger } = require('./logger');
+const { deriveChemistry } = require('./waterChemistry');
+const { createProfileLoader, checkRange, describeRange } = require('./waterQualityProfiles');
+
+// Metrics read directly from a WaterQualityInput document
+const WATER_QUALITY_METRICS = [
+  'pH', 'dissolvedOxygen', 'temperature', 'salinity', 'ammonia',
+  'unionizedAmmonia', 'doSaturation', 'chlorideNitriteRatio'
+];
+
+const METRIC_LABELS = {
+  pH: 'pH',
+  dissolvedOxygen: 'Dissolved oxygen',
+  temperature: 'Temperature',
+  salinity: 'Salinity',
+  ammonia: 'Ammonia',
+  unionizedAmmonia: 'Un-ionized ammonia',
+  doSaturation: 'DO saturation (%)',
+  chlorideNitriteRatio: 'Chloride:nitrite ratio',
+  feedNotLogged: 'Hours since last feeding',
+  inventoryLevel: 'Stock level'
+};
+
+// Conditions evaluated against the change from earlier readings
+const RATE_CONDITIONS = ['dropBy', 'riseBy'];
+
+// Condition evaluated against the acceptable range of the reading's species and stage profile
+const OUTSIDE_RANGE = 'outsideRange';
+
+// AlertRule priorities mapped onto Notification priorities
+const PRIORITY_MAP = {
+  Info: 'Low',
+  Warning: 'High',
+  Critical: 'Critical'
+};
+
+/**
+ * Compare a value against a threshold using a rule condition
+ * @param {number} value - Observed value
+ * @param {string} condition - One of <, >, <=, >=, ==
+ * @param {number} threshold - Rule threshold
+ * @returns {boolean} True if the condition holds
+ */
+const compare = (value, condition, threshold) => {
+  if (typeof value !== 'number' || Number.isNaN(value)) { return false; }
+
+  switch (condition) {
+  case '<': return value < threshold;
+  case '>': return value > threshold;
+  case '<=': return value <= threshold;
+  case '>=': return value >= threshold;
+  case '==': return value === threshold;
+  default: return false;
+  }
+};
+
+/**
+ * Combine a date and an HH:MM time string into a single timestamp
+ * @param {Date|string} date - Record date
+ * @param {string} [time] - Record time in HH:MM format
+ * @returns {Date} Combined timestamp
+ */
+const toTimestamp = (date, time) => {
+  const timestamp = new Date(date);
+  if (time) {
+    const [hours, minutes] = time.split(':').map(part => parseInt(part, 10));
+    timestamp.setHours(hours, minutes, 0, 0);
+  }
+  return timestamp;
+};
+
+/**
+ * Resolve a display name from a multilingual name map
+ * @param {Map|object|string} name - Name as stored on the document
+ * @param {string} fallback - Value to use when no name is available
+ * @returns {string} Display name
+ */
+const resolveName = (name, fallback) => {
+  if (!name) { return fallback; }
+  if (typeof name === 'string') { return name; }
+  if (typeof name.get === 'function') { return name.get('en') || name.values().next().value || fallback; }
+  return name.en || Object.values(name)[0] || fallback;
+};
+
+/**
+ * Describe a rule breach in a human readable sentence
+ * @param {object} rule - Alert rule
+ * @param {number} value - Observed value
+ * @param {string} subject - What the value was observed on (pond or item name)
+ * @returns {string} Notification message
+ */
+const describeBreach = (rule, value, subject) => {
+  const label = METRIC_LABELS[rule.metric] || rule.metric;
+  return `${label} for ${subject} is ${round(value)} (rule: ${rule.condition} ${rule.threshold})`;
+};
+
+/**
+ * Round a value for display in a notification
+ * @param {number} value - Value to round
+ * @returns {number} Value rounded to two decimals
+ */
+const round = (value) => (Number.isInteger(value) ? value : Number(value.toFixed(2)));
+
+/**
+ * Check whether a rule's optional pond/season/nursery scope covers a subject
+ * @param {object} rule - Alert rule
+ * @param {object} scope - Subject scope ({ pondId, seasonId, nurseryBatchId })
+ * @returns {boolean} True if the rule applies to the subject
+ */
+const appliesTo = (rule, scope) => {
+  return ['pondId', 'seasonId', 'nurseryBatchId'].every(key => {
+    if (!rule[key]) { return true; }
+    return Boolean(scope[key]) && rule[key].toString() === scope[key].toString();
+  });
+};
+
+/**
+ * Check whether a rule fired for the same subject within its cooldown window
+ * @param {object} rule - Alert rule
+ * @param {object} subject - Notification filter identifying the pond, batch or item
+ * @param {Date} now - Reference time
+ * @returns {Promise<boolean>} True if the rule is still cooling down
+ */
+const isCoolingDown = async (rule, subject, now) => {
+  if (!rule.cooldownMinutes) { return false; }
+
+  const since = new Date(now.getTime() - rule.cooldownMinutes * 60 * 1000);
+  const recent = await Notification.exists({ alertRuleId: rule._id, ...subject, createdAt: { $gte: since } });
+  return Boolean(recent);
+};
+
+/**
+ * Check whether an alert nobody has read or acknowledged yet already exists for a rule and subject.
+ * Used by periodic checks so a persisting condition is not re-notified on every run.
+ * @param {object} rule - Alert rule
+ * @param {object} subject - Notification filter identifying the pond or item
+ * @returns {Promise<boolean>} True if an open alert exists
+ */
+const hasOpenAlert = async (rule, subject) => {
+  const existing = await Notification.exists({
+    alertRuleId: rule._id,
+    ...subject,
+    'readBy.0': { $exists: false },
+    acknowledgedAt: null
+  });
+  return Boolean(existing);
+};
+
+/**
+ * Check whether a rule already raised an alert for a reading. Readings can be
+ * saved again (edits, later probe samples for the same interval), and each save
+ * is re-evaluated; a breach on the same reading is notified once.
+ * @param {object} rule - Alert rule
+ * @param {object} reading - Reading being evaluated
+ * @returns {Promise<boolean>} True if the rule already alerted on the reading
+ */
+const hasAlertedOn = async (rule, reading) => {
+  const existing = await Notification.exists({ alertRuleId: rule._id, relatedDocument: reading._id });
+  return Boolean(existing);
+};
+
+/**
+ * Create notifications for breached rules that are not cooling down, and
+ * record when each rule last fired
+ * @param {Array<object>} breaches - Breaches ({ rule, subject, notification })
+ * @param {object} [options] - Options
+ * @param {boolean} [options.skipWhileUnread] - Suppress while an earlier alert is unread
+ * @param {Date} [options.now] - Reference time
+ * @returns {Promise<Array<object>>} Notifications created
+ */
+const raiseAlerts = async (breaches, { skipWhileUnread = false, now = new Date() } = {}) => {
+  const notifications = await Promise.all(breaches.map(async ({ rule, subject, notification }) => {
+    if (await isCoolingDown(rule, subject, now)) { return null; }
+    if (skipWhileUnread && await hasOpenAlert(rule, subject)) { return null; }
+
+    const created = await notificationController.createNotificationInternal({
+      type: 'Alert',
+      priority: PRIORITY_MAP[rule.priority] || 'Medium',
+      alertRuleId: rule._id,
+      ...subject,
+      ...notification
+    });
+    return created ? { rule, created } : null;
+  }));
+
+  const fired = notifications.filter(Boolean);
+  if (fired.length > 0) {
+    const ruleIds = [...new Set(fired.map(({ rule }) => rule._id.toString()))];
+    await AlertRule.updateMany({ _id: { $in: ruleIds } }, { lastTriggeredAt: now });
+  }
+  return fired.map(({ created }) => created);
+};
+
+/**
+ * Normalize a WaterQualityInput document into a reading
+ * @param {object} input - WaterQualityInput document
+ * @returns {object} Reading
+ */
+const fromWaterQualityInput = (input) => ({
+  _id: input._id,
+  model: 'WaterQualityInput',
+  pondId: input.pondId,
+  seasonId: input.seasonId,
+  date: input.date,
+  timestamp: toTimestamp(input.date, input.time),
+  values: input,
+  profile: input.$locals && input.$locals.profile
+});
+
+/**
+ * Normalize a WaterQualityTesting event (pond or nursery) into a reading
+ * @param {object} event - Event document
+ * @returns {object} Reading
+ */
+const fromWaterQualityEvent = (event) => {
+  const values = {};
+  [...WATER_QUALITY_METRICS, 'nitrite'].forEach(metric => {
+    const value = event.details && event.details[metric];
+    if (value !== undefined && value !== null && value !== '') { values[metric] = Number(value); }
+  });
+  // Events store only what was measured, so derive the rest as WaterQualityInput does on save
+  const derived = deriveChemistry(values);
+  Object.keys(derived).forEach(metric => {
+    if (derived[metric] !== null) { values[metric] = derived[metric]; }
+  });
+
+  return {
+    _id: event._id,
+    model: 'Event',
+    pondId: event.pondId,
+    nurseryBatchId: event.nurseryBatchId,
+    seasonId: event.seasonId,
+    date: event.date,
+    timestamp: toTimestamp(event.date, event.details && event.details.testTime),
+    values
+  };
+};
+
+/**
+ * Load the most recent readings for the same pond or nursery batch, up to the given reading
+ * @param {object} reading - Reading being evaluated
+ * @param {object} [options] - Query options
+ * @param {number} [options.limit] - Maximum number of readings to load (0 for no limit)
+ * @param {Date} [options.since] - Only load readings taken at or after this time
+ * @returns {Promise<Array<object>>} Readings, newest first
+ */
+const loadRecentReadings = async (reading, { limit = 0, since } = {}) => {
+  const date = { $lte: reading.date };
+  if (since) {
+    // Readings are stored by day with a separate time, so query whole days and trim below
+    const startOfDay = new Date(since);
+    startOfDay.setHours(0, 0, 0, 0);
+    date.$gte = startOfDay;
+  }
+
+  let readings;
+  if (reading.model === 'WaterQualityInput') {
+    const inputs = await WaterQualityInput.find({ pondId: reading.pondId, date })
+      .sort({ date: -1, time: -1 })
+      .limit(limit);
+    readings = inputs.map(fromWaterQualityInput);
+  } else {
+    const owner = reading.nurseryBatchId ? { nurseryBatchId: reading.nurseryBatchId } : { pondId: reading.pondId };
+    const events = await Event.find({ ...owner, eventType: 'WaterQualityTesting', date })
+      .sort({ date: -1, createdAt: -1 })
+      .limit(limit);
+    readings = events.map(fromWaterQualityEvent);
+  }
+
+  return since ? readings.filter(previous => previous.timestamp >= since) : readings;
+};
+
+/**
+ * Create a memoized loader for the readings preceding the one being evaluated, so
+ * several rate-of-change conditions over the same window share one query
+ * @param {object} reading - Reading being evaluated
+ * @returns {function(number): Promise<Array<object>>} Loader taking an optional window in hours
+ */
+const createHistoryLoader = (reading) => {
+  const cache = new Map();
+  return (windowHours) => {
+    const key = windowHours || 0;
+    if (!cache.has(key)) {
+      const options = windowHours
+        ? { since: new Date(reading.timestamp.getTime() - windowHours * 60 * 60 * 1000) }
+        : { limit: 2 };
+      cache.set(key, loadRecentReadings(reading, options)
+        .then(readings => readings.filter(previous => previous._id.toString() !== reading._id.toString())));
+    }
+    return cache.get(key);
+  };
+};
+
+/**
+ * Create a loader for the profile outsideRange conditions judge a reading against,
+ * preferring one already attached to the reading and looking each pond or batch up once
+ * @returns {function(object): Promise<object>} Loader taking a reading
+ */
+const createReadingProfileLoader = () => {
+  const loadProfile = createProfileLoader();
+  return (reading) => (reading.profile ? Promise.resolve(reading.profile) : loadProfile(reading));
+};
+
+/**
+ * List a rule's conditions: its own metric/condition/threshold followed by any
+ * additional sub-conditions of a compound rule
+ * @param {object} rule - Alert rule
+ * @returns {Array<object>} Conditions ({ metric, condition, threshold, windowHours })
+ */
+const getRuleConditions = (rule) => [
+  { metric: rule.metric, condition: rule.condition, threshold: rule.threshold, windowHours: rule.windowHours },
+  ...(rule.additionalConditions || [])
+];
+
+/**
+ * Check whether a set of condition results satisfies a rule's AND / OR logic
+ * @param {object} rule - Alert rule
+ * @param {Array<boolean>} results - Whether each condition holds
+ * @returns {boolean} True if the rule's logic is satisfied
+ */
+const combine = (rule, results) => (rule.logic === 'OR' ? results.some(Boolean) : results.every(Boolean));
+
+/**
+ * Describe a single triggered sub-condition of a compound, rate-of-change or outsideRange rule
+ * @param {object} clause - Condition ({ metric, condition, threshold, windowHours })
+ * @param {number} value - Observed value, or the observed change for rate conditions
+ * @param {object} [profile] - Profile an outsideRange condition was judged against
+ * @returns {string} Explanation
+ */
+const describeCondition = (clause, value, profile) => {
+  const label = METRIC_LABELS[clause.metric] || clause.metric;
+  if (clause.condition === OUTSIDE_RANGE) {
+    const range = describeRange(clause.metric, profile.parameters[clause.metric], 'acceptable');
+    return `${label} is ${round(value)} (outside ${range} for ${profile.species})`;
+  }
+  if (!RATE_CONDITIONS.includes(clause.condition)) {
+    return `${label} is ${round(value)} (${clause.condition} ${clause.threshold})`;
+  }
+
+  const direction = clause.condition === 'dropBy' ? 'dropped' : 'rose';
+  const period = clause.windowHours ? `within ${clause.windowHours} h` : 'since the previous reading';
+  return `${label} ${direction} by ${round(value)} ${period} (limit ${clause.threshold})`;
+};
+
+/**
+ * Check a threshold or outsideRange condition against a single reading
+ * @param {object} clause - Condition ({ metric, condition, threshold })
+ * @param {object} reading - Reading to check
+ * @param {function(object): Promise<object>} loadProfile - Profile loader for the reading
+ * @returns {Promise<object>} { met, profile } with the profile an outsideRange condition used
+ */
+const checkValue = async (clause, reading, loadProfile) => {
+  const value = reading.values[clause.metric];
+  if (clause.condition !== OUTSIDE_RANGE) { return { met: compare(value, clause.condition, clause.threshold) }; }
+
+  const profile = await loadProfile(reading);
+  return { met: checkRange(value, profile.parameters[clause.metric]) === 'outOfRange', profile };
+};
+
+/**
+ * Evaluate one condition against a reading, using earlier readings for rate-of-change conditions.
+ * dropBy / riseBy hold when the change is at least the threshold.
+ * @param {object} clause - Condition ({ metric, condition, threshold, windowHours })
+ * @param {object} reading - Reading being evaluated
+ * @param {function} loadHistory - Loader from createHistoryLoader
+ * @param {function(object): Promise<object>} loadProfile - Profile loader for outsideRange conditions
+ * @returns {Promise<object>} Result ({ clause, met, value, profile })
+ */
+const evaluateCondition = async (clause, reading, loadHistory, loadProfile) => {
+  const current = reading.values[clause.metric];
+  if (!RATE_CONDITIONS.includes(clause.condition)) {
+    return { clause, value: current, ...await checkValue(clause, reading, loadProfile) };
+  }
+  if (typeof current !== 'number' || Number.isNaN(current)) { return { clause, met: false }; }
+
+  const history = await loadHistory(clause.windowHours);
+  const previous = history
+    .map(earlier => earlier.values[clause.metric])
+    .filter(value => typeof value === 'number' && !Number.isNaN(value));
+  if (previous.length === 0) { return { clause, met: false }; }
+
+  // Without a window only the immediately preceding reading counts
+  const candidates = clause.windowHours ? previous : previous.slice(0, 1);
+  const change = clause.condition === 'dropBy'
+    ? Math.max(...candidates) - current
+    : current - Math.min(...candidates);
+  return { clause, met: change >= clause.threshold, value: change };
+};
+
+/**
+ * Evaluate all of a rule's conditions against a reading
+ * @param {object} rule - Alert rule
+ * @param {object} reading - Reading being evaluated
+ * @param {function} loadHistory - Loader from createHistoryLoader
+ * @param {function(object): Promise<object>} loadProfile - Profile loader for outsideRange conditions
+ * @returns {Promise<Array<object>|null>} Triggered condition results, or null if the rule does not fire
+ */
+const evaluateRule = async (rule, reading, loadHistory, loadProfile) => {
+  const results = await Promise.all(getRuleConditions(rule)
+    .map(clause => evaluateCondition(clause, reading, loadHistory, loadProfile)));
+  return combine(rule, results.map(result => result.met)) ? results.filter(result => result.met) : null;
+};
+
+/**
+ * Check that a breach has persisted for the rule's required number of consecutive readings.
+ * Only threshold and outsideRange conditions are re-checked on earlier readings, each
+ * against its own day's profile; rate-of-change conditions already compare against
+ * history and are evaluated on the latest reading.
+ * @param {object} rule - Alert rule
+ * @param {object} reading - Reading being evaluated
+ * @param {function(object): Promise<object>} loadProfile - Profile loader for outsideRange conditions
+ * @returns {Promise<boolean>} True if the breach persisted long enough
+ */
+const hasPersisted = async (rule, reading, loadProfile) => {
+  const required = rule.consecutiveReadings || 1;
+  if (required <= 1) { return true; }
+
+  const thresholdConditions = getRuleConditions(rule).filter(clause => !RATE_CONDITIONS.includes(clause.condition));
+  if (thresholdConditions.length === 0) { return true; }
+
+  const recent = await loadRecentReadings(reading, { limit: required });
+  if (recent.length < required) { return false; }
+  const checks = await Promise.all(recent.map(previous =>
+    Promise.all(thresholdConditions.map(clause => checkValue(clause, previous, loadProfile)))));
+  return checks.every(results => combine(rule, results.map(result => result.met)));
+};
+
+/**
+ * Evaluate active water quality rules against a normalized reading
+ * @param {object} reading - Reading from fromWaterQualityInput or fromWaterQualityEvent
+ * @returns {Promise<Array<object>>} Notifications created
+ */
+const evaluateReading = async (reading) => {
+  const rules = (await AlertRule.find({ isActive: true, metric: { $in: WATER_QUALITY_METRICS } }))
+    .filter(rule => appliesTo(rule, reading));
+  if (rules.length === 0) { return []; }
+
+  const loadHistory = createHistoryLoader(reading);
+  const loadProfile = createReadingProfileLoader();
+  const matches = await Promise.all(rules.map(rule => evaluateRule(rule, reading, loadHistory, loadProfile)));
+  const candidates = rules
+    .map((rule, index) => ({ rule, conditions: matches[index] }))
+    .filter(candidate => candidate.conditions);
+  if (candidates.length === 0) { return []; }
+
+  const due = await Promise.all(candidates.map(async ({ rule }) =>
+    await hasPersisted(rule, reading, loadProfile) && !await hasAlertedOn(rule, reading)));
+  const triggered = candidates.filter((candidate, index) => due[index]);
+  if (triggered.length === 0) { return []; }
+
+  let subjectName;
+  let subject;
+  let link;
+  if (reading.nurseryBatchId) {
+    const batch = await NurseryBatch.findById(reading.nurseryBatchId);
+    subjectName = resolveName(batch && batch.batchName, 'nursery batch');
+    subject = { nurseryBatchId: reading.nurseryBatchId };
+    link = `/nursery/batch/${reading.nurseryBatchId}`;
+  } else {
+    const pond = await Pond.findById(reading.pondId);
+    subjectName = resolveName(pond && pond.name, 'pond');
+    subject = { pondId: reading.pondId };
+    link = `/pond/${reading.pondId}`;
+  }
+
+  return raiseAlerts(triggered.map(({ rule, conditions }) => {
+    const persistence = rule.consecutiveReadings > 1 ? ` for ${rule.consecutiveReadings} consecutive readings` : '';
+    const isSimple = conditions.length === 1 && getRuleConditions(rule).length === 1 &&
+      !RATE_CONDITIONS.includes(rule.condition) && rule.condition !== OUTSIDE_RANGE;
+    const labels = [...new Set(conditions.map(({ clause }) => METRIC_LABELS[clause.metric]))].join(' / ');
+    const explanation = isSimple
+      ? describeBreach(rule, reading.values[rule.metric], subjectName)
+      : `${subjectName}: ${conditions.map(({ clause, value, profile }) => describeCondition(clause, value, profile)).join(` ${rule.logic || 'AND'} `)}`;
+    return {
+      rule,
+      subject,
+      notification: {
+        title: `${labels} alert: ${subjectName}`,
+        message: `${explanation}${persistence}`,
+        link,
+        relatedDocument: reading._id,
+        relatedDocumentModel: reading.model
+      }
+    };
+  }));
+};
+
+/**
+ * Evaluate all active water quality rules against a newly recorded reading
+ * @param {object} waterQualityInput - Saved WaterQualityInput document
+ * @returns {Promise<Array<object>>} Notifications created
+ */
+const evaluateWaterQualityInput = async (waterQualityInput) => {
+  try {
+    const notifications = await evaluateReading(fromWaterQualityInput(waterQualityInput));
+    logger.info('Water quality alert rules evaluated', {
+      waterQualityInputId: waterQualityInput._id,
+      triggered: notifications.length
+    });
+    return notifications;
+  } catch (error) {
+    logger.error('Error evaluating water quality alert rules', { error: error.message, stack: error.stack });
+    return [];
+  }
+};
+
+/**
+ * Evaluate all active water quality rules against a WaterQualityTesting event,
+ * which is how nursery batch readings are recorded
+ * @param {object} event - Saved Event document
+ * @returns {Promise<Array<object>>} Notifications created
+ */
+const evaluateWaterQualityEvent = async (event) => {
+  try {
+    return await evaluateReading(fromWaterQualityEvent(event));
+  } catch (error) {
+    logger.error('Error evaluating water quality alert rules for event', { error: error.message, stack: error.stack });
+    return [];
+  }
+};
+
+/**
+ * Evaluate inventoryLevel rules against the current stock of active inventory items
+ * @param {object} [options] - Evaluation options
+ * @param {string} [options.inventoryItemId] - Restrict the check to a single item
+ * @returns {Promise<Array<object>>} Notifications created
+ */
+const evaluateInventoryLevels = async ({ inventoryItemId } = {}) => {
+  try {
+    const rules = await AlertRule.find({ isActive: true, metric: 'inventoryLevel' });
+    if (rules.length === 0) { return []; }
+
+    const match = { isActive: true };
+    if (inventoryItemId) {
+      match._id = new mongoose.Types.ObjectId(inventoryItemId);
+    } else {
+      // Periodic scans only look at stock belonging to running seasons
+      match.seasonId = { $in: await Season.find({ status: 'Active' }).distinct('_id') };
+    }
+
+    const items = await InventoryItem.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: 'inventoryadjustments',
+          localField: '_id',
+          foreignField: 'inventoryItemId',
+          as: 'adjustments'
+        }
+      },
+      { $addFields: { currentQuantity: { $sum: '$adjustments.quantityChange' } } },
+      { $project: { adjustments: 0 } }
+    ]);
+
+    const breaches = [];
+    items.forEach(item => {
+      const itemName = resolveName(item.itemName, 'inventory item');
+      rules.forEach(rule => {
+        if (!appliesTo(rule, { seasonId: item.seasonId })) { return; }
+        if (!compare(item.currentQuantity, rule.condition, rule.threshold)) { return; }
+
+        breaches.push({
+          rule,
+          subject: { relatedDocument: item._id },
+          notification: {
+            title: `Low stock: ${itemName}`,
+            message: `${describeBreach(rule, item.currentQuantity, itemName)} ${item.unit}`,
+            link: '/inventory-management',
+            relatedDocumentModel: 'InventoryItem'
+          }
+        });
+      });
+    });
+
+    return await raiseAlerts(breaches, { skipWhileUnread: true });
+  } catch (error) {
+    logger.error('Error evaluating inventory alert rules', { error: error.message, stack: error.stack });
+    return [];
+  }
+};
+
+/**
+ * Evaluate feedNotLogged rules against the last feeding logged for each active pond.
+ * The rule threshold is expressed in hours since the most recent FeedInput.
+ * @param {Date} [now] - Reference time for the check
+ * @returns {Promise<Array<object>>} Notifications created
+ */
+const evaluateFeedNotLogged = async (now = new Date()) => {
+  try {
+    const rules = await AlertRule.find({ isActive: true, metric: 'feedNotLogged' });
+    if (rules.length === 0) { return []; }
+
+    const ponds = await Pond.find({ status: 'Active' });
+    if (ponds.length === 0) { return []; }
+
+    const lastFeeds = await FeedInput.aggregate([
+      { $match: { pondId: { $in: ponds.map(pond => pond._id) } } },
+      { $sort: { date: -1, time: -1 } },
+      { $group: { _id: '$pondId', date: { $first: '$date' }, time: { $first: '$time' } } }
+    ]);
+    const lastFeedByPond = new Map(lastFeeds.map(feed => [feed._id.toString(), toTimestamp(feed.date, feed.time)]));
+
+    const breaches = [];
+    ponds.forEach(pond => {
+      const lastFeed = lastFeedByPond.get(pond._id.toString());
+      // Ponds that have never been fed (not yet stocked) are not checked
+      if (!lastFeed) { return; }
+
+      const pondName = resolveName(pond.name, 'pond');
+      const hoursSinceFeed = (now - lastFeed) / (60 * 60 * 1000);
+      rules.forEach(rule => {
+        if (!appliesTo(rule, { pondId: pond._id, seasonId: pond.seasonId })) { return; }
+        if (!compare(hoursSinceFeed, rule.condition, rule.threshold)) { return; }
+
+        breaches.push({
+          rule,
+          subject: { pondId: pond._id },
+          notification: {
+            title: `Feeding not logged: ${pondName}`,
+            message: describeBreach(rule, hoursSinceFeed, pondName),
+            link: `/pond/${pond._id}`,
+            relatedDocument: pond._id,
+            relatedDocumentModel: 'Pond'
+          }
+        });
+      });
+    });
+
+    return await raiseAlerts(breaches, { skipWhileUnread: true, now });
+  } catch (error) {
+    logger.error('Error evaluating feeding alert rules', { error: error.message, stack: error.stack });
+    return [];
+  }
+};
+
+/**
+ * Run the periodic (non reading-driven) rule evaluations
+ * @returns {Promise<object>} Count of notifications created per check
+ */
+const runScheduledEvaluations = async () => {
+  const feedAlerts = await evaluateFeedNotLogged();
+  const inventoryAlerts = await evaluateInventoryLevels();
+
+  return {
+    feedNotLogged: feedAlerts.length,
+    inventoryLevel: inventoryAlerts.length
+  };
+};
+
+/**
+ * Start periodic evaluation of scheduled alert rules
+ * @param {number} intervalMs - Interval between evaluation runs in milliseconds
+ * @returns {object} Interval handle
+ */
+const startAlertScheduler = (intervalMs) => {
+  logger.info('Starting alert rule scheduler', { intervalMs });
+
+  const interval = setInterval(() => {
+    runScheduledEvaluations()
+      .then(result => logger.info('Scheduled alert rules evaluated', result))
+      .catch(error => logger.error('Scheduled alert evaluation failed', { error: error.message }));
+  }, intervalMs);
+
+  // Do not keep the process alive just for the scheduler
+  interval.unref();
+  return interval;
+};
+
+module.exports = {
+  WATER_QUALITY_METRICS,
+  compare,
+  toTimestamp,
+  resolveName,
+  evaluateWaterQualityInput,
+  evaluateWaterQualityEvent,
+  evaluateInventoryLevels,
+  evaluateFeedNotLogged,
+  runScheduledEvaluations,
+  startAlertScheduler
+};
@@ -0,0 +1,247 @@
+/**
+ * Budget Tracking
+ * Compares a season's budgetAllocation (feeds, chemicals, labor, equipment,
+ * other) with what has been spent: feed and chemical usage costed from
+ * inventory, seed cost, and expenses mapped onto the budget lines. Reports
+ * burn rate and projected end-of-season spend, and notifies when a line
+ * crosses one of the season's alert thresholds.
+ */
+
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const FeedInput = require('../models/FeedInput');
+const Season = require('../models/Season');
+const WaterQualityInput = require('../models/WaterQualityInput');
+const notificationController = require('../controllers/notificationController');
+const { config } = require('../config');
+const currency = require('./currency');
+const pondStocking = require('./pondStocking');
+const { logger } = require('./logger');
+
+const BUDGET_LINES = ['feeds', 'chemicals', 'labor', 'equipment', 'other'];
+
+// Expense sub categories (and Salary expenses) that belong to a budget line; anything else is "other"
+const EXPENSE_LINES = {
+  Feed: 'feeds',
+  Chemicals: 'chemicals',
+  Probiotics: 'chemicals',
+  Labor: 'labor',
+  Maintenance: 'equipment'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Number(value.toFixed(2));
+
+/**
+ * Budget line an expense counts against
+ * @param {string} mainCategory - Expense main category
+ * @param {string} subCategory - Expense sub category
+ * @returns {string} Budget line
+ */
+const expenseLine = (mainCategory, subCategory) => {
+  if (mainCategory === 'Salary') { return 'labor'; }
+  return EXPENSE_LINES[subCategory] || 'other';
+};
+
+/**
+ * Spend per budget line for a season, in the base currency
+ * @param {string} seasonId - Season ID
+ * @returns {Promise<object>} Actual spend keyed by budget line
+ */
+const getSeasonActuals = async (seasonId) => {
+  const objSeasonId = new mongoose.Types.ObjectId(seasonId);
+
+  const [feedCost, chemicalCost, expenseCost, seedCost] = await Promise.all([
+    currency.totalInBase(FeedInput, [
+      { $match: { seasonId: objSeasonId } },
+      { $lookup: { from: 'inventoryitems', localField: 'inventoryItemId', foreignField: '_id', as: 'item' } },
+      { $unwind: '$item' }
+    ], { amount: { $multiply: ['$quantity', '$item.costPerUnit'] }, currency: '$item.currency', date: '$date' }),
+    currency.totalInBase(WaterQualityInput, [
+      { $match: { seasonId: objSeasonId, chemicalUsed: { $exists: true, $ne: null } } },
+      { $lookup: { from: 'inventoryitems', localField: 'chemicalUsed', foreignField: '_id', as: 'item' } },
+      { $unwind: '$item' }
+    ], { amount: { $multiply: ['$chemicalQuantityUsed', '$item.costPerUnit'] }, currency: '$item.currency', date: '$date' }),
+    currency.sumInBase(Expense, [{ $match: { seasonId: objSeasonId } }], {
+      amount: '$amount',
+      currency: '$currency',
+      date: '$date',
+      groupBy: { $concat: ['$mainCategory', '/', '$subCategory'] }
+    }),
+    pondStocking.getSeedCost({ seasonId })
+  ]);
+
+  const actuals = Object.fromEntries(BUDGET_LINES.map(line => [line, 0]));
+  actuals.feeds += feedCost;
+  actuals.chemicals += chemicalCost;
+  actuals.other += seedCost;
+  expenseCost.forEach((amount, category) => {
+    const [mainCategory, ...subCategory] = category.split('/');
+    actuals[expenseLine(mainCategory, subCategory.join('/'))] += amount;
+  });
+  return actuals;
+};
+
+/**
+ * Budget versus actual per line, with burn rate and projected end-of-season spend
+ * @param {object} season - Season with startDate, endDate and budgetAllocation
+ * @param {object} actuals - Actual spend keyed by budget line
+ * @param {Date} [now] - Reference time
+ * @returns {object} { daysElapsed, totalDays, lines: [{ line, budget, actual, percentUsed, burnRatePerDay, projected, projectedOverrun }], totals }
+ */
+const compareBudget = (season, actuals, now = new Date()) => {
+  const start = new Date(season.startDate);
+  const end = new Date(season.endDate);
+  const totalDays = Math.max(1, Math.ceil((end - start) / DAY_MS));
+  // Spend before the season starts is burned over its first day
+  const daysElapsed = Math.min(totalDays, Math.max(1, Math.ceil((Math.min(now, end) - start) / DAY_MS)));
+  const allocation = season.budgetAllocation || {};
+
+  const summarize = (line, budget, actual) => {
+    const burnRatePerDay = actual / daysElapsed;
+    const projected = burnRatePerDay * totalDays;
+    return {
+      line,
+      budget: round(budget),
+      actual: round(actual),
+      percentUsed: budget > 0 ? round((actual / budget) * 100) : null,
+      burnRatePerDay: round(burnRatePerDay),
+      projected: round(projected),
+      projectedOverrun: round(Math.max(0, projected - budget))
+    };
+  };
+
+  const lines = BUDGET_LINES.map(line => summarize(line, allocation[line] || 0, actuals[line] || 0));
+  const totals = summarize(
+    'total',
+    lines.reduce((sum, line) => sum + line.budget, 0),
+    lines.reduce((sum, line) => sum + line.actual, 0)
+  );
+  return { daysElapsed, totalDays, lines, totals };
+};
+
+/**
+ * Budget versus actual for a season
+ * @param {string} seasonId - Season ID
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<object|null>} Comparison, or null when the season does not exist
+ */
+const getBudgetVsActual = async (seasonId, now = new Date()) => {
+  const season = await Season.findById(seasonId);
+  if (!season) { return null; }
+  const actuals = await getSeasonActuals(seasonId);
+  return {
+    seasonId: season._id,
+    currency: config.currency.base,
+    thresholds: season.settings?.budgetAlertThresholds || [],
+    ...compareBudget(season, actuals, now)
+  };
+};
+
+/**
+ * Thresholds a budget line has crossed that have not been notified yet
+ * @param {object} line - Line from compareBudget
+ * @param {Array<number>} thresholds - Alert thresholds in percent
+ * @param {Array<object>} sent - Already notified ({ line, threshold })
+ * @returns {Array<number>} Crossed thresholds, lowest first
+ */
+const crossedThresholds = (line, thresholds, sent) => {
+  if (line.percentUsed === null) { return []; }
+  return [...thresholds]
+    .sort((a, b) => a - b)
+    .filter(threshold => line.percentUsed >= threshold)
+    .filter(threshold => !sent.some(item => item.line === line.line && item.threshold === threshold));
+};
+
+/**
+ * Notify once per budget line and threshold crossed in the given seasons
+ * @param {Array<object>} seasons - Season documents
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Notifications raised
+ */
+const checkBudgetThresholds = async (seasons, now = new Date()) => {
+  let raised = 0;
+  for (const season of seasons) {
+    const thresholds = season.settings?.budgetAlertThresholds || [];
+    if (thresholds.length === 0) { continue; }
+
+    // eslint-disable-next-line no-await-in-loop
+    const { lines } = compareBudget(season, await getSeasonActuals(season._id), now);
+    for (const line of lines) {
+      // Only the highest newly crossed threshold is reported; lower ones are recorded as sent with it
+      const crossed = crossedThresholds(line, thresholds, season.budgetAlertsSent || []);
+      if (crossed.length === 0) { continue; }
+      const threshold = crossed[crossed.length - 1];
+
+      // Claim the crossing first so overlapping runs do not notify twice
+      // eslint-disable-next-line no-await-in-loop
+      const claim = await Season.updateOne(
+        { _id: season._id, budgetAlertsSent: { $not: { $elemMatch: { line: line.line, threshold } } } },
+        { $push: { budgetAlertsSent: { $each: crossed.map(value => ({ line: line.line, threshold: value, sentAt: now })) } } }
+      );
+      if (claim.modifiedCount === 0) { continue; }
+
+      const seasonName = season.getDisplayName ? season.getDisplayName() : '';
+      // eslint-disable-next-line no-await-in-loop
+      await notificationController.createNotificationInternal({
+        type: 'Alert',
+        priority: threshold >= 100 ? 'High' : 'Medium',
+        title: `Budget ${threshold}% used: ${line.line}`,
+        message: `${seasonName ? `${seasonName}: ` : ''}${line.line} spend is ${line.actual} of a ${line.budget} budget (${line.percentUsed}%). ` +
+          `At the current burn rate it is projected to reach ${line.projected} by the end of the season.`,
+        link: '/'
+      });
+      raised++;
+    }
+  }
+  return raised;
+};
+
+/**
+ * Check the budgets of all active seasons
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Notifications raised
+ */
+const checkActiveSeasonBudgets = async (now = new Date()) => {
+  try {
+    const seasons = await Season.find({ status: 'Active' });
+    return await checkBudgetThresholds(seasons, now);
+  } catch (error) {
+    logger.error('Error checking season budgets', { error: error.message, stack: error.stack });
+    return 0;
+  }
+};
+
+/**
+ * Start periodic budget threshold checks
+ * @param {number} intervalMs - Interval between checks in milliseconds
+ * @returns {object} Interval handle
+ */
+const startBudgetAlertScheduler = (intervalMs) => {
+  logger.info('Starting budget alert scheduler', { intervalMs });
+
+  const interval = setInterval(() => {
+    checkActiveSeasonBudgets()
+      .then(raised => {
+        if (raised > 0) { logger.info('Budget alerts raised', { raised }); }
+      })
+      .catch(error => logger.error('Scheduled budget check failed', { error: error.message }));
+  }, intervalMs);
+
+  // Do not keep the process alive just for the scheduler
+  interval.unref();
+  return interval;
+};
+
+module.exports = {
+  BUDGET_LINES,
+  expenseLine,
+  getSeasonActuals,
+  compareBudget,
+  getBudgetVsActual,
+  crossedThresholds,
+  checkBudgetThresholds,
+  checkActiveSeasonBudgets,
+  startBudgetAlertScheduler
+};
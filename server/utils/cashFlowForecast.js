@@ -0,0 +1,299 @@
+/**
+ * Cash-Flow Forecast
+ * Projects a season's cash in and out week by week so working capital can be
+ * planned ahead: feed to buy for the stock in culture, salaries, the expected
+ * cost of planned tasks, and harvest revenue when each pond reaches harvest
+ * size. All amounts are in the base currency.
+ */
+
+const mongoose = require('mongoose');
+const Employee = require('../models/Employee');
+const GrowthSampling = require('../models/GrowthSampling');
+const Harvest = require('../models/Harvest');
+const InventoryAdjustment = require('../models/InventoryAdjustment');
+const InventoryItem = require('../models/InventoryItem');
+const Pond = require('../models/Pond');
+const Sale = require('../models/Sale');
+const Season = require('../models/Season');
+const Task = require('../models/Task');
+const { config } = require('../config');
+const currency = require('./currency');
+const pondStocking = require('./pondStocking');
+const { DEFAULT_SURVIVAL_RATE } = require('./costOfProduction');
+
+// Daily feed as a percentage of biomass by average body weight, a common whiteleg shrimp feeding table
+const FEED_RATE_TABLE = [
+  { upToGrams: 3, percent: 7 },
+  { upToGrams: 5, percent: 5 },
+  { upToGrams: 10, percent: 3.5 },
+  { upToGrams: 15, percent: 2.8 },
+  { upToGrams: 20, percent: 2.3 },
+  { upToGrams: Infinity, percent: 2 }
+];
+
+// Growth assumed when a pond has fewer than two samples and the season has no target growth rate
+const DEFAULT_GROWTH_GRAMS_PER_DAY = 0.2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_WEEKS = 52;
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Daily feed rate for a body weight
+ * @param {number} weightGrams - Average body weight in grams
+ * @returns {number} Percentage of biomass fed per day
+ */
+const feedRatePercent = (weightGrams) => FEED_RATE_TABLE.find(row => weightGrams <= row.upToGrams).percent;
+
+/**
+ * Growth per day from a pond's latest two samples, falling back to the
+ * season's target growth rate and then to a default
+ * @param {Array<object>} samples - Growth samples, latest first (totalWeight in kg)
+ * @param {object} season - Season
+ * @returns {number} Grams per day
+ */
+const growthGramsPerDay = (samples, season) => {
+  const [latest, previous] = samples;
+  if (latest && previous) {
+    const days = (new Date(latest.date) - new Date(previous.date)) / DAY_MS;
+    const gained = (latest.totalWeight / latest.totalCount - previous.totalWeight / previous.totalCount) * 1000;
+    if (days > 0 && gained > 0) { return gained / days; }
+  }
+  if (season.kpis?.targetGrowthRate > 0) { return season.kpis.targetGrowthRate / 7; }
+  return DEFAULT_GROWTH_GRAMS_PER_DAY;
+};
+
+/**
+ * Grow a pond's stock day by day until it reaches harvest size
+ * @param {object} pond - Stock in the pond
+ * @param {number} pond.count - Shrimp expected to survive to harvest
+ * @param {number} pond.weightGrams - Current average weight
+ * @param {number} pond.growthGramsPerDay - Expected growth
+ * @param {number} pond.harvestWeightGrams - Harvest size
+ * @param {number} pond.days - Days to project
+ * @returns {object} { dailyFeedKg, harvest } where harvest is { day, biomassKg } or null when it falls beyond the horizon
+ */
+const projectPond = ({ count, weightGrams, growthGramsPerDay: growth, harvestWeightGrams, days }) => {
+  const dailyFeedKg = [];
+  for (let day = 0; day < days; day++) {
+    const weight = round(weightGrams + growth * day, 6);
+    if (weight >= harvestWeightGrams) {
+      return { dailyFeedKg, harvest: { day, biomassKg: count * weight / 1000 } };
+    }
+    dailyFeedKg.push(count * weight / 1000 * feedRatePercent(weight) / 100);
+  }
+  return { dailyFeedKg, harvest: null };
+};
+
+/**
+ * Harvest price per kg: the requested price, the configured price, or the
+ * season's average sale price so far
+ * @param {Array<string>} harvestIds - The season's harvests
+ * @param {number} [requested] - Price given with the request
+ * @returns {Promise<object>} { pricePerKg, source }
+ */
+const harvestPrice = async (harvestIds, requested) => {
+  if (requested > 0) { return { pricePerKg: requested, source: 'request' }; }
+  if (config.cashFlow.pricePerKg > 0) { return { pricePerKg: config.cashFlow.pricePerKg, source: 'config' }; }
+
+  const sales = await Sale.find({ harvestId: { $in: harvestIds } }, 'date quantitySold totalRevenue currency');
+  const convert = await currency.createConverter(sales.map(sale => sale.currency));
+  const quantity = sales.reduce((sum, sale) => sum + (sale.quantitySold || 0), 0);
+  if (quantity <= 0) { return { pricePerKg: 0, source: null }; }
+  const revenue = sales.reduce((sum, sale) => sum + convert(sale.totalRevenue || 0, sale.currency, sale.date), 0);
+  return { pricePerKg: round(revenue / quantity), source: 'season sales' };
+};
+
+/**
+ * Feed on hand and what the next feed will cost, from the season's feed
+ * inventory priced per kg or per g
+ * @param {string} seasonId - Season ID
+ * @param {Date} now - Pricing date
+ * @returns {Promise<object>} { feedInStockKg, feedCostPerKg } with feedCostPerKg null when no feed is priced by weight
+ */
+const feedSupply = async (seasonId, now) => {
+  const items = await InventoryItem.find({ seasonId, itemType: 'Feed', isActive: true, unit: { $in: ['kg', 'g'] } })
+    .sort({ purchaseDate: -1 });
+  if (items.length === 0) { return { feedInStockKg: 0, feedCostPerKg: null }; }
+
+  const onHand = await InventoryAdjustment.aggregate([
+    { $match: { inventoryItemId: { $in: items.map(item => item._id) } } },
+    { $group: { _id: '$inventoryItemId', quantity: { $sum: '$quantityChange' } } }
+  ]);
+  const quantities = new Map(onHand.map(row => [String(row._id), row.quantity]));
+  const toKg = (item) => (item.unit === 'g' ? 1 / 1000 : 1);
+  const feedInStockKg = items.reduce((sum, item) => sum + Math.max(0, quantities.get(String(item._id)) || 0) * toKg(item), 0);
+
+  // The latest purchase is the best guess at what the next feed costs
+  const [latest] = items;
+  const convert = await currency.createConverter([latest.currency]);
+  return { feedInStockKg, feedCostPerKg: convert(latest.costPerUnit / toKg(latest), latest.currency, now) };
+};
+
+/**
+ * Week-by-week cash-flow forecast for a season. Feed already in stock is
+ * used before any is bought; survival is applied to the stocked count up
+ * front, so feed is projected for the expected survivors.
+ * @param {string} seasonId - Season ID
+ * @param {object} [options] - Forecast options
+ * @param {number} [options.weeks] - Weeks ahead, up to 52
+ * @param {number} [options.pricePerKg] - Harvest price per kg in the base currency
+ * @param {number} [options.harvestWeightGrams] - Average weight ponds are harvested at
+ * @param {Date} [options.now] - Current date, for tests
+ * @returns {Promise<object|null>} Forecast, or null when the season does not exist
+ */
+const getCashFlowForecast = async (seasonId, options = {}) => {
+  const weeks = options.weeks === undefined ? config.cashFlow.horizonWeeks : Number(options.weeks);
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_WEEKS) {
+    throw badRequest(`Weeks must be a whole number from 1 to ${MAX_WEEKS}`);
+  }
+  const harvestWeightGrams = Number(options.harvestWeightGrams) || config.cashFlow.harvestWeightGrams;
+
+  const season = await Season.findById(seasonId);
+  if (!season) { return null; }
+
+  const from = new Date(options.now || new Date());
+  from.setUTCHours(0, 0, 0, 0);
+  const days = weeks * 7;
+  const end = new Date(from.getTime() + days * DAY_MS);
+  const survivalRate = season.kpis?.targetSurvivalRate || DEFAULT_SURVIVAL_RATE;
+  const warnings = [];
+
+  const [ponds, harvests, employees, tasks, supply] = await Promise.all([
+    Pond.find({ seasonId }),
+    Harvest.find({ seasonId }, 'pondId harvestType count'),
+    Employee.find({ status: 'Active' }),
+    Task.find({
+      seasonId: new mongoose.Types.ObjectId(seasonId),
+      completed: false,
+      dueDate: { $gte: from, $lt: end },
+      estimatedCost: { $gt: 0 }
+    }, 'title dueDate estimatedCost'),
+    feedSupply(seasonId, from)
+  ]);
+  const price = await harvestPrice(harvests.map(harvest => harvest._id), Number(options.pricePerKg));
+  if (!price.source) { warnings.push('No harvest price is set and the season has no sales yet; harvest revenue is not projected'); }
+  if (supply.feedCostPerKg === null) { warnings.push('No feed priced per kg in this season\'s inventory; feed spend is not projected'); }
+
+  const projections = await Promise.all(ponds.map(async pond => {
+    const pondHarvests = harvests.filter(harvest => String(harvest.pondId) === String(pond._id));
+    if (pondHarvests.some(harvest => harvest.harvestType === 'Final')) { return null; }
+
+    const [stocked, samples] = await Promise.all([
+      pondStocking.getPondStocking(pond._id, seasonId),
+      GrowthSampling.find({ pondId: pond._id, seasonId }).sort({ date: -1 }).limit(2)
+    ]);
+    if (!(stocked.count > 0)) { return null; }
+
+    const harvestedCount = pondHarvests.reduce((sum, harvest) => sum + (harvest.count || 0), 0);
+    const count = Math.max(0, stocked.count * survivalRate / 100 - harvestedCount);
+    // Without a sample the stock is assumed to be at its stocking weight
+    const weightGrams = samples[0]?.totalCount > 0
+      ? samples[0].totalWeight / samples[0].totalCount * 1000
+      : stocked.biomassKg / stocked.count * 1000;
+    const growth = growthGramsPerDay(samples, season);
+    const { dailyFeedKg, harvest } = projectPond({ count, weightGrams, growthGramsPerDay: growth, harvestWeightGrams, days });
+
+    return {
+      dailyFeedKg,
+      harvest,
+      forecast: {
+        pondId: pond._id,
+        name: pond.name,
+        standingCount: Math.round(count),
+        averageWeightGrams: round(weightGrams),
+        growthGramsPerDay: round(growth),
+        expectedHarvestDate: harvest ? new Date(from.getTime() + harvest.day * DAY_MS) : null,
+        projectedHarvestKg: harvest ? round(harvest.biomassKg) : null,
+        projectedRevenue: harvest ? round(harvest.biomassKg * price.pricePerKg) : null
+      }
+    };
+  }));
+  const inCulture = projections.filter(Boolean);
+
+  const dailyFeedKg = new Array(days).fill(0);
+  const dailyRevenue = new Array(days).fill(0);
+  inCulture.forEach(projection => {
+    projection.dailyFeedKg.forEach((kg, day) => { dailyFeedKg[day] += kg; });
+    if (projection.harvest) { dailyRevenue[projection.harvest.day] += projection.harvest.biomassKg * price.pricePerKg; }
+  });
+
+  const salaryConvert = await currency.createConverter(employees.map(employee => employee.currency));
+  const monthlySalaries = employees.reduce((sum, employee) => sum + salaryConvert(employee.monthlySalary || 0, employee.currency, from), 0);
+  const weeklySalaries = monthlySalaries * 12 / 52;
+  const unpaid = employees.filter(employee => !(employee.monthlySalary > 0)).length;
+  if (unpaid > 0) { warnings.push(`${unpaid} active employee(s) have no monthly salary set`); }
+
+  // Feed in stock is used first; only the rest has to be bought
+  let stockKg = supply.feedInStockKg;
+  const dailyFeedSpend = dailyFeedKg.map(kg => {
+    const fromStock = Math.min(stockKg, kg);
+    stockKg -= fromStock;
+    return (kg - fromStock) * (supply.feedCostPerKg || 0);
+  });
+
+  let cumulative = 0;
+  const weekRows = Array.from({ length: weeks }, (_, week) => {
+    const sumDays = (values) => values.slice(week * 7, week * 7 + 7).reduce((sum, value) => sum + value, 0);
+    const start = new Date(from.getTime() + week * 7 * DAY_MS);
+    const weekEnd = new Date(start.getTime() + 7 * DAY_MS);
+    const taskCost = tasks
+      .filter(task => new Date(task.dueDate) >= start && new Date(task.dueDate) < weekEnd)
+      .reduce((sum, task) => sum + task.estimatedCost, 0);
+
+    const inflows = { harvestRevenue: sumDays(dailyRevenue) };
+    const outflows = { feed: sumDays(dailyFeedSpend), salaries: weeklySalaries, tasks: taskCost };
+    const net = inflows.harvestRevenue - outflows.feed - outflows.salaries - outflows.tasks;
+    cumulative += net;
+    return {
+      week: week + 1,
+      start,
+      end: weekEnd,
+      feedKg: round(sumDays(dailyFeedKg)),
+      inflows: { harvestRevenue: round(inflows.harvestRevenue) },
+      outflows: { feed: round(outflows.feed), salaries: round(outflows.salaries), tasks: round(outflows.tasks) },
+      net: round(net),
+      cumulative: round(cumulative)
+    };
+  });
+
+  const totalInflows = weekRows.reduce((sum, row) => sum + row.inflows.harvestRevenue, 0);
+  const totalOutflows = weekRows.reduce((sum, row) => sum + row.outflows.feed + row.outflows.salaries + row.outflows.tasks, 0);
+
+  return {
+    seasonId: season._id,
+    currency: config.currency.base,
+    from,
+    weeks: weekRows,
+    ponds: inCulture.map(projection => projection.forecast),
+    totals: { inflows: round(totalInflows), outflows: round(totalOutflows), net: round(totalInflows - totalOutflows) },
+    // Working capital needed to get through the lowest point of the forecast
+    peakFundingNeed: round(Math.max(0, -Math.min(0, ...weekRows.map(row => row.cumulative)))),
+    assumptions: {
+      pricePerKg: price.pricePerKg,
+      priceSource: price.source,
+      harvestWeightGrams,
+      survivalRate,
+      feedCostPerKg: supply.feedCostPerKg === null ? null : round(supply.feedCostPerKg),
+      feedInStockKg: round(supply.feedInStockKg),
+      weeklySalaries: round(weeklySalaries)
+    },
+    warnings
+  };
+};
+
+module.exports = {
+  FEED_RATE_TABLE,
+  DEFAULT_GROWTH_GRAMS_PER_DAY,
+  feedRatePercent,
+  growthGramsPerDay,
+  projectPond,
+  getCashFlowForecast
+};
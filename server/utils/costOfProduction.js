@@ -0,0 +1,241 @@
+/**
+ * Cost of Production
+ * Cost per harvested kg for each pond and the season, the break-even price
+ * per kg, and for ponds still in culture a projected cost per kg from their
+ * standing biomass estimated by growth sampling. Costs not tied to a pond
+ * (expenses without a pondId, seed lost before transfer) are shared across
+ * ponds by area, days in culture or biomass. Amounts are in the base currency.
+ */
+
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Expense = require('../models/Expense');
+const FeedInput = require('../models/FeedInput');
+const GrowthSampling = require('../models/GrowthSampling');
+const Harvest = require('../models/Harvest');
+const Pond = require('../models/Pond');
+const Sale = require('../models/Sale');
+const Season = require('../models/Season');
+const Stocking = require('../models/Stocking');
+const WaterQualityInput = require('../models/WaterQualityInput');
+const { config } = require('../config');
+const currency = require('./currency');
+const pondStocking = require('./pondStocking');
+
+// Keys farm-level costs can be shared across ponds by
+const ALLOCATION_KEYS = ['area', 'daysInCulture', 'biomass'];
+
+// Survival assumed for standing stock when the season has no target survival rate
+const DEFAULT_SURVIVAL_RATE = 80;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Number(value.toFixed(2));
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Split a shared cost across ponds in proportion to their allocation weight.
+ * When no pond has any weight the cost is split evenly.
+ * @param {number} amount - Cost to share
+ * @param {Array<object>} ponds - Ponds with { pondId, weight }
+ * @returns {Map<string, number>} Share per pond ID
+ */
+const allocateSharedCost = (amount, ponds) => {
+  const totalWeight = ponds.reduce((sum, pond) => sum + Math.max(0, pond.weight || 0), 0);
+  return new Map(ponds.map(pond => [
+    String(pond.pondId),
+    totalWeight > 0 ? amount * Math.max(0, pond.weight || 0) / totalWeight : amount / ponds.length
+  ]));
+};
+
+/**
+ * Standing biomass of a pond still in culture, from its latest growth sample
+ * @param {object} stocked - What the pond was stocked with ({ count })
+ * @param {number} harvestedCount - Shrimp already taken out by partial harvests
+ * @param {object|null} sample - Latest growth sample ({ totalWeight in kg, totalCount })
+ * @param {number} survivalRate - Expected survival of the stocked count, in percent
+ * @returns {number} Estimated standing biomass in kg
+ */
+const estimateStandingBiomass = (stocked, harvestedCount, sample, survivalRate) => {
+  if (!sample || !(sample.totalCount > 0)) { return 0; }
+  const averageWeightKg = sample.totalWeight / sample.totalCount;
+  const standingCount = Math.max(0, (stocked.count || 0) * survivalRate / 100 - harvestedCount);
+  return standingCount * averageWeightKg;
+};
+
+/**
+ * Cost per kg and break-even price of a pond or the season
+ * @param {object} totals - { totalCost, harvestedKg, standingBiomassKg, revenue }
+ * @returns {object} { costPerKg, projectedCostPerKg, breakEvenPricePerKg }
+ */
+const costPerKg = ({ totalCost, harvestedKg, standingBiomassKg, revenue }) => {
+  const expectedKg = harvestedKg + standingBiomassKg;
+  // With stock still in the pond, break-even is what the rest must fetch to recover the cost not yet covered by sales
+  let breakEvenPricePerKg = null;
+  if (standingBiomassKg > 0) {
+    breakEvenPricePerKg = round(Math.max(0, totalCost - revenue) / standingBiomassKg);
+  } else if (harvestedKg > 0) {
+    breakEvenPricePerKg = round(totalCost / harvestedKg);
+  }
+  return {
+    costPerKg: harvestedKg > 0 ? round(totalCost / harvestedKg) : null,
+    projectedCostPerKg: standingBiomassKg > 0 ? round(totalCost / expectedKg) : null,
+    breakEvenPricePerKg
+  };
+};
+
+/**
+ * Cost of production per pond and for the season
+ * @param {string} seasonId - Season ID
+ * @param {object} [options] - Report options
+ * @param {string} [options.allocationKey] - How farm-level costs are shared: area, daysInCulture or biomass
+ * @param {Date} [options.now] - Reference time for days in culture
+ * @returns {Promise<object|null>} { seasonId, currency, allocationKey, survivalRate, sharedCost, ponds, season }, or null when the season does not exist
+ * @throws {Error} With statusCode 400 for an unknown allocation key
+ */
+const getCostOfProduction = async (seasonId, { allocationKey = 'area', now = new Date() } = {}) => {
+  if (!ALLOCATION_KEYS.includes(allocationKey)) {
+    throw badRequest(`Allocation key must be one of ${ALLOCATION_KEYS.join(', ')}`);
+  }
+
+  const season = await Season.findById(seasonId);
+  if (!season) { return null; }
+  const objSeasonId = new mongoose.Types.ObjectId(seasonId);
+  const survivalRate = season.kpis?.targetSurvivalRate || DEFAULT_SURVIVAL_RATE;
+
+  const [ponds, feedCost, chemicalCost, expenseCost, sharedExpenses, seedCost, seasonSeedCost, harvests] = await Promise.all([
+    Pond.find({ seasonId }),
+    currency.sumInBase(FeedInput, [
+      { $match: { seasonId: objSeasonId } },
+      { $lookup: { from: 'inventoryitems', localField: 'inventoryItemId', foreignField: '_id', as: 'item' } },
+      { $unwind: '$item' }
+    ], { amount: { $multiply: ['$quantity', '$item.costPerUnit'] }, currency: '$item.currency', date: '$date', groupBy: '$pondId' }),
+    currency.sumInBase(WaterQualityInput, [
+      { $match: { seasonId: objSeasonId, chemicalUsed: { $exists: true, $ne: null } } },
+      { $lookup: { from: 'inventoryitems', localField: 'chemicalUsed', foreignField: '_id', as: 'item' } },
+      { $unwind: '$item' }
+    ], { amount: { $multiply: ['$chemicalQuantityUsed', '$item.costPerUnit'] }, currency: '$item.currency', date: '$date', groupBy: '$pondId' }),
+    currency.sumInBase(Expense, [{ $match: { seasonId: objSeasonId, pondId: { $ne: null } } }], {
+      amount: '$amount', currency: '$currency', date: '$date', groupBy: '$pondId'
+    }),
+    currency.totalInBase(Expense, [{ $match: { seasonId: objSeasonId, pondId: null } }], {
+      amount: '$amount', currency: '$currency', date: '$date'
+    }),
+    currency.sumInBase(Stocking, [{ $match: { seasonId: objSeasonId } }], {
+      amount: '$totalCost', currency: '$currency', date: '$date', groupBy: '$pondId'
+    }),
+    pondStocking.getSeedCost({ seasonId }),
+    Harvest.find({ seasonId }, 'pondId date harvestType totalBiomass count')
+  ]);
+
+  const sales = await Sale.find({ harvestId: { $in: harvests.map(harvest => harvest._id) } }, 'harvestId date totalRevenue currency');
+  const convert = await currency.createConverter(sales.map(sale => sale.currency));
+  const harvestPond = new Map(harvests.map(harvest => [String(harvest._id), String(harvest.pondId)]));
+
+  const pondSeedTotal = [...seedCost.values()].reduce((sum, value) => sum + value, 0);
+  // Nursery cost not carried by any stocking (losses before transfer) is a farm-level cost
+  const unallocatedSeed = Math.max(0, seasonSeedCost - pondSeedTotal);
+  const sharedCost = sharedExpenses + unallocatedSeed;
+
+  const details = await Promise.all(ponds.map(async pond => {
+    const pondId = String(pond._id);
+    const pondHarvests = harvests.filter(harvest => String(harvest.pondId) === pondId);
+    const final = pondHarvests.find(harvest => harvest.harvestType === 'Final');
+
+    const [stocked, firstStocking, firstStockingEvent, latestSample] = await Promise.all([
+      pondStocking.getPondStocking(pond._id, seasonId),
+      Stocking.findOne({ pondId: pond._id, seasonId }).sort({ date: 1 }),
+      Event.findOne({ pondId: pond._id, seasonId, eventType: 'Stocking' }).sort({ date: 1 }),
+      final ? null : GrowthSampling.findOne({ pondId: pond._id, seasonId }).sort({ date: -1 })
+    ]);
+
+    const stockedOn = firstStocking?.date || firstStockingEvent?.date;
+    const cultureEnd = final ? new Date(final.date) : now;
+    const daysInCulture = stockedOn ? Math.max(0, Math.ceil((cultureEnd - new Date(stockedOn)) / DAY_MS)) : 0;
+
+    const harvestedKg = pondHarvests.reduce((sum, harvest) => sum + (harvest.totalBiomass || 0), 0);
+    const harvestedCount = pondHarvests.reduce((sum, harvest) => sum + (harvest.count || 0), 0);
+    const standingBiomassKg = final ? 0 : estimateStandingBiomass(stocked, harvestedCount, latestSample, survivalRate);
+    const revenue = sales
+      .filter(sale => harvestPond.get(String(sale.harvestId)) === pondId)
+      .reduce((sum, sale) => sum + convert(sale.totalRevenue || 0, sale.currency, sale.date), 0);
+
+    return {
+      pondId: pond._id,
+      name: pond.name,
+      status: final ? 'Harvested' : 'In culture',
+      area: pond.size || 0,
+      daysInCulture,
+      harvestedKg,
+      standingBiomassKg,
+      revenue,
+      directCost: {
+        feed: feedCost.get(pondId) || 0,
+        chemicals: chemicalCost.get(pondId) || 0,
+        seed: seedCost.get(pondId) || 0,
+        expenses: expenseCost.get(pondId) || 0
+      }
+    };
+  }));
+
+  const weights = {
+    area: pond => pond.area,
+    daysInCulture: pond => pond.daysInCulture,
+    biomass: pond => pond.harvestedKg + pond.standingBiomassKg
+  };
+  const shares = details.length > 0
+    ? allocateSharedCost(sharedCost, details.map(pond => ({ pondId: pond.pondId, weight: weights[allocationKey](pond) })))
+    : new Map();
+
+  const pondResults = details.map(pond => {
+    const directCost = Object.values(pond.directCost).reduce((sum, value) => sum + value, 0);
+    const allocatedCost = shares.get(String(pond.pondId)) || 0;
+    const totalCost = directCost + allocatedCost;
+    return {
+      ...pond,
+      harvestedKg: round(pond.harvestedKg),
+      standingBiomassKg: round(pond.standingBiomassKg),
+      revenue: round(pond.revenue),
+      directCost: Object.fromEntries(Object.entries(pond.directCost).map(([key, value]) => [key, round(value)])),
+      allocatedCost: round(allocatedCost),
+      totalCost: round(totalCost),
+      ...costPerKg({ totalCost, harvestedKg: pond.harvestedKg, standingBiomassKg: pond.standingBiomassKg, revenue: pond.revenue })
+    };
+  });
+
+  const sum = (field) => pondResults.reduce((total, pond) => total + pond[field], 0);
+  // Shared cost is carried by the ponds; without any ponds it still counts towards the season
+  const seasonTotals = {
+    totalCost: pondResults.length > 0 ? sum('totalCost') : sharedCost,
+    harvestedKg: sum('harvestedKg'),
+    standingBiomassKg: sum('standingBiomassKg'),
+    revenue: sum('revenue')
+  };
+
+  return {
+    seasonId: season._id,
+    currency: config.currency.base,
+    allocationKey,
+    survivalRate,
+    sharedCost: round(sharedCost),
+    ponds: pondResults,
+    season: {
+      ...Object.fromEntries(Object.entries(seasonTotals).map(([key, value]) => [key, round(value)])),
+      ...costPerKg(seasonTotals)
+    }
+  };
+};
+
+module.exports = {
+  ALLOCATION_KEYS,
+  DEFAULT_SURVIVAL_RATE,
+  allocateSharedCost,
+  estimateStandingBiomass,
+  costPerKg,
+  getCostOfProduction
+};
@@ -0,0 +1,122 @@
+/**
+ * Currency
+ * Converts amounts recorded in any supported currency to the farm base
+ * currency with the locally maintained exchange-rate table, at the rate in
+ * effect on each transaction's date. Records without a currency are in the
+ * base currency.
+ */
+
+const ExchangeRate = require('../models/ExchangeRate');
+const { config } = require('../config');
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const dayOf = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Validate a currency code
+ * @param {string} [code] - Currency code, any case
+ * @returns {string} Upper-case code, or the base currency when none is given
+ * @throws {Error} With statusCode 400 for an unsupported currency
+ */
+const normalizeCurrency = (code) => {
+  if (code === undefined || code === null || code === '') { return config.currency.base; }
+  const normalized = String(code).trim().toUpperCase();
+  if (!config.currency.supported.includes(normalized)) {
+    throw badRequest(`Currency must be one of ${config.currency.supported.join(', ')}`);
+  }
+  return normalized;
+};
+
+/**
+ * Rate in effect on a date
+ * @param {Array<object>} rates - Rates of one currency, latest effectiveFrom first
+ * @param {Date} date - Transaction date
+ * @returns {object|undefined} Rate
+ */
+const rateOn = (rates, date) => rates.find(rate => new Date(rate.effectiveFrom) <= new Date(date));
+
+/**
+ * Load the rates needed for a set of currencies
+ * @param {Array<string>} currencies - Currencies amounts are recorded in
+ * @returns {Promise<Function>} convert(amount, currency, date) returning the amount in the base currency
+ * @throws {Error} From convert, with statusCode 400 when no rate was in effect on the date
+ */
+const createConverter = async (currencies) => {
+  const base = config.currency.base;
+  const foreign = [...new Set(currencies.filter(code => code && code !== base))];
+  const rates = foreign.length > 0
+    ? await ExchangeRate.find({ baseCurrency: base, currency: { $in: foreign } }).sort({ effectiveFrom: -1 })
+    : [];
+
+  const byCurrency = new Map(foreign.map(code => [code, rates.filter(rate => rate.currency === code)]));
+  return (amount, currency, date) => {
+    if (!amount) { return 0; }
+    if (!currency || currency === base) { return amount; }
+    const rate = rateOn(byCurrency.get(currency) || [], date);
+    if (!rate) {
+      throw badRequest(`No ${currency} to ${base} exchange rate is in effect on ${dayOf(date)}; add one to the exchange rates`);
+    }
+    return amount * rate.rate;
+  };
+};
+
+/**
+ * Sum an amount over a model's documents in the base currency. Amounts are
+ * grouped by currency and day so each group converts at that day's rate.
+ * @param {object} Model - Mongoose model to aggregate
+ * @param {Array<object>} stages - Pipeline stages before grouping ($match, $lookup, ...)
+ * @param {object} fields - Aggregation expressions
+ * @param {*} fields.amount - Amount to sum
+ * @param {string} fields.currency - Currency of the amount
+ * @param {string} fields.date - Transaction date
+ * @param {*} [fields.groupBy] - Key to total by
+ * @returns {Promise<Map<string, number>>} Base-currency total per key (the single key "null" without groupBy)
+ */
+const sumInBase = async (Model, stages, { amount, currency, date, groupBy = null }) => {
+  const rows = await Model.aggregate([
+    ...stages,
+    {
+      $group: {
+        _id: {
+          key: groupBy,
+          currency: { $ifNull: [currency, config.currency.base] },
+          day: { $dateToString: { format: '%Y-%m-%d', date } }
+        },
+        amount: { $sum: amount }
+      }
+    }
+  ]);
+
+  const convert = await createConverter(rows.map(row => row._id.currency));
+  return rows.reduce((totals, row) => {
+    const key = String(row._id.key);
+    // A rate entered during a day applies to that whole day
+    const converted = convert(row.amount || 0, row._id.currency, `${row._id.day}T23:59:59.999Z`);
+    return totals.set(key, (totals.get(key) || 0) + converted);
+  }, new Map());
+};
+
+/**
+ * Sum an amount over a model's documents in the base currency
+ * @param {object} Model - Mongoose model to aggregate
+ * @param {Array<object>} stages - Pipeline stages before grouping
+ * @param {object} fields - Aggregation expressions ({ amount, currency, date })
+ * @returns {Promise<number>} Base-currency total
+ */
+const totalInBase = async (Model, stages, fields) => {
+  const totals = await sumInBase(Model, stages, { ...fields, groupBy: null });
+  return [...totals.values()].reduce((sum, value) => sum + value, 0);
+};
+
+module.exports = {
+  normalizeCurrency,
+  rateOn,
+  createConverter,
+  sumInBase,
+  totalInBase
+};
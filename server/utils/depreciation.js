@@ -0,0 +1,144 @@
+/**
+ * Depreciation
+ * Spreads the cost of capital assets (aerators, pumps, generators, pond
+ * liners) over their useful life so each season's P&L carries the share
+ * used up during it instead of the whole purchase landing on one season.
+ * Supports straight-line and declining-balance depreciation, accrued
+ * continuously by day.
+ */
+
+const Asset = require('../models/Asset');
+const Season = require('../models/Season');
+const { config } = require('../config');
+const currency = require('./currency');
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Years an asset has been in service on a date, stopping at its disposal
+ * @param {object} asset - Asset
+ * @param {Date} date - Date
+ * @returns {number} Fractional years, 0 before the purchase
+ */
+const yearsInService = (asset, date) => {
+  const disposed = asset.disposedDate ? new Date(asset.disposedDate) : null;
+  const end = disposed && disposed < new Date(date) ? disposed : new Date(date);
+  return Math.max(0, (end - new Date(asset.purchaseDate)) / YEAR_MS);
+};
+
+/**
+ * Book value of an asset on a date
+ * @param {object} asset - Asset with purchaseCost, salvageValue, usefulLifeYears and depreciationMethod
+ * @param {Date} date - Date
+ * @returns {number} Purchase cost less depreciation to date, never below the salvage value
+ */
+const bookValueOn = (asset, date) => {
+  const cost = asset.purchaseCost;
+  const salvage = asset.salvageValue || 0;
+  const life = asset.usefulLifeYears;
+  const years = yearsInService(asset, date);
+
+  if (years >= life) { return salvage; }
+  if (asset.depreciationMethod === 'decliningBalance') {
+    // Whatever is left above salvage at the end of the life is written off then
+    const rate = Math.min(1, (asset.decliningBalanceFactor || 2) / life);
+    return Math.max(salvage, cost * (1 - rate) ** years);
+  }
+  return cost - (cost - salvage) * (years / life);
+};
+
+/**
+ * Depreciation charged between two dates
+ * @param {object} asset - Asset
+ * @param {Date} from - Period start
+ * @param {Date} to - Period end
+ * @returns {number} Drop in book value over the period
+ */
+const depreciationBetween = (asset, from, to) => Math.max(0, bookValueOn(asset, from) - bookValueOn(asset, to));
+
+/**
+ * Year-by-year depreciation over an asset's useful life
+ * @param {object} asset - Asset
+ * @returns {Array<object>} { year, from, to, depreciation, bookValue } per year of service
+ */
+const depreciationSchedule = (asset) => {
+  const start = new Date(asset.purchaseDate).getTime();
+  return Array.from({ length: Math.ceil(asset.usefulLifeYears) }, (_, index) => {
+    const from = new Date(start + index * YEAR_MS);
+    const to = new Date(start + Math.min(index + 1, asset.usefulLifeYears) * YEAR_MS);
+    return {
+      year: index + 1,
+      from,
+      to,
+      depreciation: round2(depreciationBetween(asset, from, to)),
+      bookValue: round2(bookValueOn(asset, to))
+    };
+  });
+};
+
+/**
+ * Current valuation of an asset
+ * @param {object} asset - Asset
+ * @param {Date} [asOf] - Valuation date, today by default
+ * @returns {object} { bookValue, accumulatedDepreciation } in the asset's currency
+ */
+const valuation = (asset, asOf = new Date()) => {
+  const bookValue = bookValueOn(asset, asOf);
+  return {
+    bookValue: round2(bookValue),
+    accumulatedDepreciation: round2(asset.purchaseCost - bookValue)
+  };
+};
+
+/**
+ * Depreciation charged to a season, from its start to its end or today if
+ * it is still running. Seasons are expected not to overlap, otherwise the
+ * shared days are charged to each.
+ * @param {string} seasonId - Season ID
+ * @param {object} [options] - Report options
+ * @param {Date} [options.now] - Current date, for tests
+ * @returns {Promise<object|null>} { seasonId, currency, from, to, total, assets }, or null when the season does not exist
+ */
+const getSeasonDepreciation = async (seasonId, { now = new Date() } = {}) => {
+  const season = await Season.findById(seasonId);
+  if (!season) { return null; }
+
+  const from = new Date(season.startDate);
+  const to = season.endDate && new Date(season.endDate) < now ? new Date(season.endDate) : now;
+  const assets = await Asset.find({
+    purchaseDate: { $lt: to },
+    $or: [{ disposedDate: null }, { disposedDate: { $gt: from } }]
+  });
+
+  // Asset costs are converted at the rate on the purchase date
+  const convert = await currency.createConverter(assets.map(asset => asset.currency));
+  const charges = assets
+    .map(asset => ({
+      assetId: asset._id,
+      name: asset.name,
+      category: asset.category,
+      pondId: asset.pondId || null,
+      depreciationMethod: asset.depreciationMethod,
+      depreciation: round2(convert(depreciationBetween(asset, from, to), asset.currency, asset.purchaseDate))
+    }))
+    .filter(charge => charge.depreciation > 0);
+
+  return {
+    seasonId,
+    currency: config.currency.base,
+    from,
+    to,
+    total: round2(charges.reduce((sum, charge) => sum + charge.depreciation, 0)),
+    assets: charges
+  };
+};
+
+module.exports = {
+  bookValueOn,
+  depreciationBetween,
+  depreciationSchedule,
+  valuation,
+  getSeasonDepreciation
+};
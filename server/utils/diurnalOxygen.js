@@ -0,0 +1,246 @@
+/**
+ * Diurnal Dissolved Oxygen
+ * Pond DO rises through the day with photosynthesis and falls all night with
+ * respiration, bottoming out just before dawn. Pairing each dusk reading with
+ * the next dawn reading gives the nightly decline rate and the day's swing.
+ * Tonight's pre-dawn minimum is projected from the latest evening reading:
+ * along tonight's own slope when there are two readings since dusk (Boyd's
+ * projection method), otherwise at the recent nights' decline rate, weighted
+ * towards the latest nights. A predicted minimum below the threshold raises a
+ * notification so aerators can be started before the crash.
+ */
+
+const WaterQualityInput = require('../models/WaterQualityInput');
+const Notification = require('../models/Notification');
+const Pond = require('../models/Pond');
+const notificationController = require('../controllers/notificationController');
+const { profileFor } = require('./waterQualityProfiles');
+const { toTimestamp, resolveName } = require('./alertEngine');
+const { config } = require('../config');
+const { logger } = require('./logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Readings from this hour on count as dusk readings, and before DAWN_READING_END_HOUR as dawn readings
+const DUSK_START_HOUR = 16;
+const DAWN_READING_END_HOUR = 9;
+
+// Shrimp stop feeding and start dying below about 2 mg/L
+const LETHAL_DO = 2;
+
+const FORECAST_TITLE = 'Pre-dawn oxygen crash forecast';
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+const dayKey = (timestamp) => {
+  const day = new Date(timestamp);
+  day.setHours(0, 0, 0, 0);
+  return day.getTime();
+};
+
+const isDusk = (reading) => reading.timestamp.getHours() >= DUSK_START_HOUR;
+const isDawn = (reading) => reading.timestamp.getHours() < DAWN_READING_END_HOUR;
+
+/**
+ * Start of the night a reading belongs to: dusk of its own day, or of the day before for readings after midnight
+ * @param {Date} timestamp - Reading time
+ * @returns {Date} Dusk
+ */
+const nightStart = (timestamp) => {
+  const dusk = new Date(dayKey(timestamp));
+  if (timestamp.getHours() < DUSK_START_HOUR) { dusk.setDate(dusk.getDate() - 1); }
+  dusk.setHours(DUSK_START_HOUR, 0, 0, 0);
+  return dusk;
+};
+
+/**
+ * Pair each day's first dusk reading with the next morning's first dawn reading
+ * @param {Array<object>} readings - Readings with timestamp and dissolvedOxygen, oldest first
+ * @returns {Array<object>} Nights ({ date, dusk, dawn, hours, declineRate }), oldest first
+ */
+const pairNights = (readings) => {
+  const nights = [];
+  readings.filter(isDusk).forEach(dusk => {
+    const date = dayKey(dusk.timestamp);
+    if (nights.some(night => night.date === date)) { return; }
+    const dawn = readings.find(reading => isDawn(reading) && dayKey(reading.timestamp) === date + DAY_MS);
+    if (!dawn) { return; }
+
+    const hours = (dawn.timestamp - dusk.timestamp) / HOUR_MS;
+    nights.push({ date, dusk, dawn, hours: round(hours, 1), declineRate: round((dusk.dissolvedOxygen - dawn.dissolvedOxygen) / hours, 3) });
+  });
+  return nights;
+};
+
+/**
+ * Each day's swing from the dawn reading to the highest reading later that day
+ * @param {Array<object>} readings - Readings with timestamp and dissolvedOxygen, oldest first
+ * @returns {Array<object>} Days ({ date, dawn, peak, swing }), oldest first
+ */
+const dailySwings = (readings) => readings
+  .filter(isDawn)
+  .filter((dawn, index, dawns) => index === 0 || dayKey(dawns[index - 1].timestamp) !== dayKey(dawn.timestamp))
+  .map(dawn => {
+    const later = readings.filter(reading => dayKey(reading.timestamp) === dayKey(dawn.timestamp) && reading.timestamp > dawn.timestamp);
+    if (later.length === 0) { return null; }
+    const peak = later.reduce((best, reading) => (reading.dissolvedOxygen > best.dissolvedOxygen ? reading : best));
+    return { date: dayKey(dawn.timestamp), dawn, peak, swing: round(peak.dissolvedOxygen - dawn.dissolvedOxygen) };
+  })
+  .filter(Boolean);
+
+/**
+ * Project tonight's pre-dawn minimum from the latest reading taken after dusk
+ * @param {Array<object>} readings - Readings with timestamp and dissolvedOxygen, oldest first
+ * @param {Array<object>} nights - Earlier nights from pairNights
+ * @param {object} options - Forecast options
+ * @param {number} options.threshold - DO (mg/L) below which the pond is at risk
+ * @param {number} options.dawnHour - Hour DO is expected to bottom out
+ * @param {Date} [options.now] - Current time; nights whose dawn has passed are not forecast
+ * @returns {object|null} Forecast, or null when there is no reading from tonight or nothing to project with
+ */
+const forecastTonight = (readings, nights, { threshold, dawnHour, now = new Date() }) => {
+  const latest = readings[readings.length - 1];
+  if (!latest || !(isDusk(latest) || latest.timestamp.getHours() < dawnHour)) { return null; }
+
+  const duskStart = nightStart(latest.timestamp);
+  const dawn = new Date(duskStart);
+  dawn.setDate(dawn.getDate() + 1);
+  dawn.setHours(dawnHour, 0, 0, 0);
+  if (dawn <= now) { return null; }
+
+  // Tonight's own decline is the best guide once there are two readings at least an hour apart
+  const first = readings.find(reading => reading.timestamp >= duskStart);
+  const tonightHours = (latest.timestamp - first.timestamp) / HOUR_MS;
+  let method = 'tonight';
+  let declineRate = tonightHours >= 1 ? (first.dissolvedOxygen - latest.dissolvedOxygen) / tonightHours : null;
+
+  if (declineRate === null || declineRate <= 0) {
+    const recent = nights.filter(night => night.date < dayKey(duskStart)).slice(-7);
+    if (recent.length === 0) { return null; }
+    const weights = recent.map((night, index) => index + 1);
+    declineRate = recent.reduce((sum, night, index) => sum + night.declineRate * weights[index], 0) /
+      weights.reduce((sum, weight) => sum + weight, 0);
+    method = 'recentNights';
+  }
+
+  const hoursToDawn = Math.max(0, (dawn - latest.timestamp) / HOUR_MS);
+  const predictedMinimum = Math.max(0, latest.dissolvedOxygen - Math.max(0, declineRate) * hoursToDawn);
+  const projection = [];
+  for (let hour = 0; hour <= Math.ceil(hoursToDawn); hour++) {
+    const at = Math.min(hour, hoursToDawn);
+    projection.push({
+      timestamp: new Date(latest.timestamp.getTime() + at * HOUR_MS),
+      dissolvedOxygen: round(Math.max(0, latest.dissolvedOxygen - Math.max(0, declineRate) * at))
+    });
+  }
+
+  return {
+    basedOn: { _id: latest._id, timestamp: latest.timestamp, dissolvedOxygen: latest.dissolvedOxygen },
+    method,
+    declineRate: round(declineRate, 3),
+    dawn,
+    hoursToDawn: round(hoursToDawn, 1),
+    predictedMinimum: round(predictedMinimum),
+    threshold,
+    atRisk: predictedMinimum < threshold,
+    projection
+  };
+};
+
+/**
+ * Diurnal DO analysis of a pond: recent nights' decline, daily swings and tonight's forecast
+ * @param {string} pondId - Pond ID
+ * @param {object} [options] - Analysis options
+ * @param {number} [options.days] - Days of readings to analyse
+ * @param {number} [options.threshold] - DO (mg/L) to warn below; defaults to the config or the species profile
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<object>} Analysis
+ */
+const analyzePond = async (pondId, { days = 14, threshold, now = new Date() } = {}) => {
+  const { dawnHour } = config.alerts;
+  const since = new Date(now.getTime() - days * DAY_MS);
+  since.setHours(0, 0, 0, 0);
+
+  const inputs = await WaterQualityInput.find({ pondId, date: { $gte: since } })
+    .select('date time dissolvedOxygen seasonId')
+    .sort({ date: 1, time: 1 })
+    .lean();
+  const readings = inputs
+    .map(input => ({ _id: input._id, timestamp: toTimestamp(input.date, input.time), dissolvedOxygen: input.dissolvedOxygen, seasonId: input.seasonId }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  let limit = threshold || config.alerts.oxygenCrashThreshold;
+  const latest = readings[readings.length - 1];
+  if (!limit && latest) {
+    const profile = await profileFor({ seasonId: latest.seasonId, pondId, date: latest.timestamp });
+    limit = profile.parameters.dissolvedOxygen && profile.parameters.dissolvedOxygen.acceptableMin;
+  }
+  limit = limit || 3;
+
+  const nights = pairNights(readings);
+  const swings = dailySwings(readings);
+  const average = (values) => (values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length, 3) : null);
+
+  return {
+    pondId,
+    days,
+    nights,
+    swings,
+    summary: {
+      averageDeclineRate: average(nights.map(night => night.declineRate)),
+      averageSwing: average(swings.map(day => day.swing)),
+      lowestDawn: nights.length > 0 ? Math.min(...nights.map(night => night.dawn.dissolvedOxygen)) : null
+    },
+    forecast: forecastTonight(readings, nights, { threshold: limit, dawnHour, now })
+  };
+};
+
+/**
+ * Warn when a new evening or night reading projects tonight's minimum below the threshold.
+ * One warning per pond per night; later readings that night do not repeat it.
+ * @param {object} waterQualityInput - Saved WaterQualityInput document
+ * @returns {Promise<object|null>} Notification created, if any
+ */
+const warnOfOxygenCrash = async (waterQualityInput) => {
+  try {
+    const timestamp = toTimestamp(waterQualityInput.date, waterQualityInput.time);
+    if (timestamp.getHours() >= DAWN_READING_END_HOUR && timestamp.getHours() < DUSK_START_HOUR) { return null; }
+
+    const { forecast } = await analyzePond(waterQualityInput.pondId);
+    if (!forecast || !forecast.atRisk || forecast.basedOn._id.toString() !== waterQualityInput._id.toString()) { return null; }
+
+    const alreadyWarned = await Notification.findOne({
+      pondId: waterQualityInput.pondId,
+      title: { $regex: `^${FORECAST_TITLE}` },
+      createdAt: { $gte: nightStart(timestamp) }
+    });
+    if (alreadyWarned) { return null; }
+
+    const pond = await Pond.findById(waterQualityInput.pondId);
+    const name = resolveName(pond && pond.name, 'pond');
+    const dawn = forecast.dawn.toTimeString().slice(0, 5);
+    return notificationController.createNotificationInternal({
+      title: `${FORECAST_TITLE}: ${name}`,
+      message: `DO is forecast to fall to ${forecast.predictedMinimum} mg/L by ${dawn} ` +
+        `(below ${forecast.threshold} mg/L) at ${forecast.declineRate} mg/L per hour. Start aerators early.`,
+      type: 'Alert',
+      priority: forecast.predictedMinimum < LETHAL_DO ? 'Critical' : 'High',
+      pondId: waterQualityInput.pondId,
+      link: `/pond/${waterQualityInput.pondId}`,
+      relatedDocument: waterQualityInput._id,
+      relatedDocumentModel: 'WaterQualityInput'
+    });
+  } catch (error) {
+    logger.error('Error forecasting pre-dawn oxygen', { error: error.message, stack: error.stack });
+    return null;
+  }
+};
+
+module.exports = {
+  pairNights,
+  dailySwings,
+  forecastTonight,
+  analyzePond,
+  warnOfOxygenCrash
+};
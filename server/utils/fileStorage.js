@@ -0,0 +1,181 @@
+/**
+ * File Storage
+ * Keeps uploaded files (expense receipts, event photos and attachments) and
+ * makes a thumbnail of each image so lists can show it without downloading
+ * the original. Files are written through a storage driver chosen by
+ * config.upload.storageDriver: 'local' stores them under
+ * config.upload.uploadPath, and other backends such as an S3-compatible
+ * bucket can be added with registerDriver without changing the callers.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { config } = require('../config');
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Leading bytes of each allowed type, since the declared MIME type is whatever the client sent
+const SIGNATURES = {
+  'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+  'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  'image/gif': [Buffer.from('GIF87a'), Buffer.from('GIF89a')],
+  'application/pdf': [Buffer.from('%PDF-')]
+};
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'application/pdf': '.pdf'
+};
+
+/**
+ * Storage driver that writes files under a local directory
+ * @param {string} root - Directory files are kept in
+ * @returns {object} Driver with save(key, buffer), createReadStream(key) and remove(key)
+ */
+const localDriver = (root) => {
+  const base = path.resolve(root);
+  const resolve = (key) => {
+    const file = path.resolve(base, key);
+    if (!file.startsWith(base + path.sep)) { throw badRequest('Invalid file key'); }
+    return file;
+  };
+
+  return {
+    save: async (key, buffer) => {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+    createReadStream: (key) => fs.createReadStream(resolve(key)),
+    remove: (key) => fs.promises.rm(resolve(key), { force: true })
+  };
+};
+
+const drivers = {
+  local: () => localDriver(config.upload.uploadPath)
+};
+let activeDriver = null;
+
+/**
+ * Add a storage backend that can then be selected with UPLOAD_STORAGE_DRIVER
+ * @param {string} name - Driver name
+ * @param {Function} factory - Returns an object with save(key, buffer), createReadStream(key) and remove(key)
+ * @returns {void}
+ */
+const registerDriver = (name, factory) => {
+  drivers[name] = factory;
+  activeDriver = null;
+};
+
+const getDriver = () => {
+  if (!activeDriver) {
+    const factory = drivers[config.upload.storageDriver];
+    if (!factory) { throw new Error(`Unknown upload storage driver: ${config.upload.storageDriver}`); }
+    activeDriver = factory();
+  }
+  return activeDriver;
+};
+
+/**
+ * Check an uploaded file and store it, with a JPEG thumbnail when it is an image
+ * @param {object} file - Uploaded file with buffer, mimetype, originalname and size
+ * @param {string} folder - Folder to keep it under, e.g. 'receipts'
+ * @returns {Promise<object>} { key, thumbnailKey, filename, mimetype, size }
+ */
+const storeFile = async (file, folder) => {
+  if (!file || !file.buffer) { throw badRequest('No file uploaded'); }
+  if (!config.upload.allowedTypes.includes(file.mimetype)) {
+    throw badRequest(`File type ${file.mimetype} is not allowed`);
+  }
+  if (file.buffer.length > config.upload.maxFileSize) {
+    throw badRequest(`File size exceeds maximum allowed size of ${config.upload.maxFileSize} bytes`);
+  }
+  const signatures = SIGNATURES[file.mimetype] || [];
+  if (!signatures.some(signature => file.buffer.subarray(0, signature.length).equals(signature))) {
+    throw badRequest(`File content is not a valid ${file.mimetype} file`);
+  }
+
+  let thumbnail = null;
+  if (file.mimetype.startsWith('image/')) {
+    try {
+      // rotate() applies the EXIF orientation phone cameras record
+      thumbnail = await sharp(file.buffer)
+        .rotate()
+        .resize({ width: config.upload.thumbnailWidth, withoutEnlargement: true })
+        .jpeg({ quality: 80 })
+        .toBuffer();
+    } catch (error) {
+      throw badRequest('Image could not be read');
+    }
+  }
+
+  const driver = getDriver();
+  const name = `${folder}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
+  const stored = {
+    key: `${name}${EXTENSIONS[file.mimetype] || ''}`,
+    thumbnailKey: thumbnail ? `${name}-thumb.jpg` : undefined,
+    filename: path.basename(file.originalname || 'file').substring(0, 255),
+    mimetype: file.mimetype,
+    size: file.buffer.length
+  };
+  await driver.save(stored.key, file.buffer);
+  if (thumbnail) { await driver.save(stored.thumbnailKey, thumbnail); }
+  return stored;
+};
+
+/**
+ * Delete a stored file and its thumbnail
+ * @param {object} stored - What storeFile returned
+ * @returns {Promise<void>}
+ */
+const removeFile = async (stored) => {
+  if (!stored || !stored.key) { return; }
+  const driver = getDriver();
+  await Promise.all([stored.key, stored.thumbnailKey].filter(Boolean).map(key => driver.remove(key)));
+};
+
+/**
+ * Stream a stored file, or its thumbnail, in the response
+ * @param {object} res - Express response object
+ * @param {object} stored - What storeFile returned
+ * @param {object} [options] - Options
+ * @param {boolean} [options.thumbnail] - Send the thumbnail when there is one
+ * @param {boolean} [options.download] - Ask the browser to save the file instead of showing it
+ * @returns {void}
+ */
+const sendFile = (res, stored, { thumbnail = false, download = false } = {}) => {
+  const useThumbnail = thumbnail && Boolean(stored.thumbnailKey);
+  res.set({
+    'Content-Type': useThumbnail ? 'image/jpeg' : stored.mimetype,
+    'Content-Disposition': `${download ? 'attachment' : 'inline'}; filename*=UTF-8''${encodeURIComponent(stored.filename)}`,
+    // The client runs on another port of the same host and shows receipts in <img> tags
+    'Cross-Origin-Resource-Policy': 'same-site'
+  });
+  const stream = getDriver().createReadStream(useThumbnail ? stored.thumbnailKey : stored.key);
+  stream.on('error', () => {
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    res.removeHeader('Content-Type');
+    res.removeHeader('Content-Disposition');
+    res.status(404).json({ message: 'File not found' });
+  });
+  stream.pipe(res);
+};
+
+module.exports = {
+  localDriver,
+  registerDriver,
+  storeFile,
+  removeFile,
+  sendFile
+};
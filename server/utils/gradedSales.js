@@ -0,0 +1,176 @@
+/**
+ * Graded Sales
+ * Shrimp are sold by count-per-kg grade (e.g. 30/40 means 30 to 40 shrimp per
+ * kg) at a different price per grade. This prices a sale's line items from the
+ * buyer's price list and checks them against the harvest's grade breakdown.
+ */
+
+const BuyerPriceList = require('../models/BuyerPriceList');
+const Sale = require('../models/Sale');
+const currency = require('./currency');
+
+// Off-grade categories sold alongside the count grades
+const OFF_GRADES = ['Soft-shell', 'Reject'];
+
+const COUNT_GRADE = /^(\d+)\s*\/\s*(\d+)$/;
+
+const round = (value) => Number(value.toFixed(2));
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Normalize a grade label: count grades as "min/max", off-grades as listed in OFF_GRADES
+ * @param {string} grade - Grade label (e.g. "30 / 40", "reject")
+ * @returns {string|null} Normalized grade, or null when the label is not a grade
+ */
+const normalizeGrade = (grade) => {
+  const label = String(grade || '').trim();
+  const match = label.match(COUNT_GRADE);
+  if (match) {
+    return Number(match[1]) < Number(match[2]) ? `${Number(match[1])}/${Number(match[2])}` : null;
+  }
+  return OFF_GRADES.find(offGrade => offGrade.toLowerCase() === label.toLowerCase()) || null;
+};
+
+/**
+ * Validate and normalize a harvest's grade breakdown
+ * @param {Array<object>} grades - Kg per grade ({ grade, quantity })
+ * @param {number} totalBiomass - Harvested biomass in kg
+ * @returns {Array<object>} Normalized grades
+ * @throws {Error} With statusCode 400 on an unknown or repeated grade, or when the grades exceed the biomass
+ */
+const normalizeHarvestGrades = (grades, totalBiomass) => {
+  const normalized = (grades || []).map(item => {
+    const grade = normalizeGrade(item.grade);
+    if (!grade) { throw badRequest(`Unknown grade "${item.grade}"`); }
+    const quantity = Number(item.quantity);
+    if (!(quantity >= 0)) { throw badRequest(`Grade ${grade} needs a quantity`); }
+    return { grade, quantity };
+  });
+
+  if (new Set(normalized.map(item => item.grade)).size !== normalized.length) {
+    throw badRequest('Each grade can only be listed once');
+  }
+  const graded = normalized.reduce((sum, item) => sum + item.quantity, 0);
+  if (round(graded) > Number(totalBiomass)) {
+    throw badRequest(`Graded quantities (${round(graded)} kg) exceed the harvested biomass (${totalBiomass} kg)`);
+  }
+  return normalized;
+};
+
+/**
+ * The buyer's price list in effect on a date
+ * @param {string} buyerName - Buyer
+ * @param {Date} date - Sale date
+ * @returns {Promise<object|null>} Latest active price list effective on or before the date
+ */
+const findPriceList = (buyerName, date) => BuyerPriceList.findOne({
+  buyerName,
+  isActive: true,
+  effectiveFrom: { $lte: new Date(date) }
+}).sort({ effectiveFrom: -1 });
+
+/**
+ * Price sale line items, taking a missing price from the buyer's price list
+ * @param {Array<object>} lineItems - Kg sold per grade ({ grade, quantity, pricePerKg })
+ * @param {object|null} priceList - Buyer price list
+ * @returns {Array<object>} Line items with grade, quantity, pricePerKg and amount
+ * @throws {Error} With statusCode 400 when a line has no price and the price list has none for its grade
+ */
+const priceLineItems = (lineItems, priceList) => lineItems.map(item => {
+  const grade = normalizeGrade(item.grade);
+  if (!grade) { throw badRequest(`Unknown grade "${item.grade}"`); }
+  const quantity = Number(item.quantity);
+  if (!(quantity > 0)) { throw badRequest(`Grade ${grade} needs a quantity`); }
+
+  let pricePerKg = item.pricePerKg;
+  if (pricePerKg === undefined || pricePerKg === null || pricePerKg === '') {
+    const listed = priceList && priceList.prices.find(price => normalizeGrade(price.grade) === grade);
+    if (!listed) { throw badRequest(`No price for grade ${grade} in the buyer's price list`); }
+    pricePerKg = listed.pricePerKg;
+  }
+  pricePerKg = Number(pricePerKg);
+  if (!(pricePerKg >= 0)) { throw badRequest(`Grade ${grade} has an invalid price`); }
+
+  return { grade, quantity, pricePerKg, amount: round(quantity * pricePerKg) };
+});
+
+/**
+ * Totals of priced line items
+ * @param {Array<object>} lineItems - Priced line items
+ * @returns {object} { quantitySold, totalRevenue, pricePerKg } with pricePerKg the weighted average
+ */
+const summarizeLineItems = (lineItems) => {
+  const quantitySold = round(lineItems.reduce((sum, item) => sum + item.quantity, 0));
+  const totalRevenue = round(lineItems.reduce((sum, item) => sum + item.amount, 0));
+  return {
+    quantitySold,
+    totalRevenue,
+    pricePerKg: quantitySold > 0 ? round(totalRevenue / quantitySold) : 0
+  };
+};
+
+/**
+ * Check that a graded harvest still holds enough of each grade for the line items.
+ * Harvests without a grade breakdown accept any grade.
+ * @param {object} harvest - Harvest document
+ * @param {Array<object>} lineItems - Priced line items
+ * @param {Array<object>} previousSales - Earlier sales of the harvest
+ * @throws {Error} With statusCode 400 when a grade was not harvested or is oversold
+ */
+const checkGradeAvailability = (harvest, lineItems, previousSales) => {
+  if (!harvest.grades || harvest.grades.length === 0) { return; }
+
+  const sold = {};
+  previousSales.forEach(sale => (sale.lineItems || []).forEach(item => {
+    sold[item.grade] = (sold[item.grade] || 0) + item.quantity;
+  }));
+
+  lineItems.forEach(item => {
+    const harvested = harvest.grades.find(grade => grade.grade === item.grade);
+    if (!harvested) { throw badRequest(`Grade ${item.grade} was not harvested`); }
+    const available = round(harvested.quantity - (sold[item.grade] || 0));
+    if (item.quantity > available) {
+      throw badRequest(`Only ${available} kg of grade ${item.grade} remain unsold`);
+    }
+  });
+};
+
+/**
+ * Build the priced fields of a graded sale. The sale is in the price list's
+ * currency unless another is given, in which case the list is not used.
+ * @param {object} harvest - Harvest document
+ * @param {object} data - Sale input ({ buyerName, date, currency, lineItems })
+ * @param {string} [excludeSaleId] - Sale being edited, left out of what is already sold
+ * @returns {Promise<object>} { lineItems, currency, quantitySold, pricePerKg, totalRevenue }
+ */
+const priceGradedSale = async (harvest, data, excludeSaleId) => {
+  const found = await findPriceList(data.buyerName, data.date);
+  const saleCurrency = currency.normalizeCurrency(data.currency || (found && found.currency));
+  const priceList = found && currency.normalizeCurrency(found.currency) === saleCurrency ? found : null;
+  const lineItems = priceLineItems(data.lineItems, priceList);
+  if (new Set(lineItems.map(item => item.grade)).size !== lineItems.length) {
+    throw badRequest('Each grade can only be listed once per sale');
+  }
+
+  const previousSales = await Sale.find({ harvestId: harvest._id }, 'lineItems');
+  checkGradeAvailability(harvest, lineItems, previousSales
+    .filter(sale => !excludeSaleId || String(sale._id) !== String(excludeSaleId)));
+
+  return { lineItems, currency: saleCurrency, ...summarizeLineItems(lineItems) };
+};
+
+module.exports = {
+  OFF_GRADES,
+  normalizeGrade,
+  normalizeHarvestGrades,
+  findPriceList,
+  priceLineItems,
+  summarizeLineItems,
+  checkGradeAvailability,
+  priceGradedSale
+};
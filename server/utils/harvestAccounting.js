@@ -0,0 +1,159 @@
+/**
+ * Harvest Accounting
+ * Multi-stage harvest accounting for a pond's cycle. Partial harvests add to
+ * the cumulative biomass and count; the final harvest closes the cycle and
+ * carries survival and FCR computed from every harvest of the cycle.
+ */
+
+const Event = require('../models/Event');
+const FeedInput = require('../models/FeedInput');
+const Harvest = require('../models/Harvest');
+const Pond = require('../models/Pond');
+const gradedSales = require('./gradedSales');
+const pondStocking = require('./pondStocking');
+
+const round = (value) => Number(value.toFixed(2));
+
+/**
+ * Estimated number of shrimp in a harvest
+ * @param {number} biomassKg - Harvested biomass in kg
+ * @param {number} averageWeightG - Average body weight in grams
+ * @returns {number} Estimated count
+ */
+const estimateCount = (biomassKg, averageWeightG) => (averageWeightG > 0 ? Math.round((biomassKg * 1000) / averageWeightG) : 0);
+
+/**
+ * Running totals and final KPIs for a pond's harvests
+ * @param {Array<object>} harvests - Harvests of one pond and season ({ date, harvestType, totalBiomass, finalABW })
+ * @param {object} stocked - What the pond was stocked with ({ count, biomassKg })
+ * @param {Array<object>} feedInputs - Feed given to the pond ({ date, quantity })
+ * @returns {Array<object>} Per harvest, in date order: { harvest, count, cumulativeBiomass, cumulativeCount, survivalRate, fcr }
+ */
+const accumulateHarvests = (harvests, stocked, feedInputs) => {
+  const ordered = [...harvests].sort((a, b) => new Date(a.date) - new Date(b.date));
+  let cumulativeBiomass = 0;
+  let cumulativeCount = 0;
+
+  return ordered.map(harvest => {
+    const count = estimateCount(harvest.totalBiomass, harvest.finalABW);
+    cumulativeBiomass += harvest.totalBiomass;
+    cumulativeCount += count;
+
+    const result = {
+      harvest,
+      count,
+      cumulativeBiomass: round(cumulativeBiomass),
+      cumulativeCount,
+      survivalRate: undefined,
+      fcr: undefined
+    };
+
+    // Survival and FCR are only meaningful once the pond is emptied
+    if (harvest.harvestType === 'Final') {
+      const feedToDate = feedInputs
+        .filter(feed => new Date(feed.date) <= new Date(harvest.date))
+        .reduce((sum, feed) => sum + (feed.quantity || 0), 0);
+      const biomassGain = cumulativeBiomass - (stocked.biomassKg || 0);
+
+      result.survivalRate = stocked.count > 0 ? round((cumulativeCount / stocked.count) * 100) : 0;
+      result.fcr = biomassGain > 0 && feedToDate > 0 ? round(feedToDate / biomassGain) : 0;
+    }
+    return result;
+  });
+};
+
+/**
+ * Recompute the cumulative totals, survival and FCR of every harvest of a pond's cycle and store them
+ * @param {string} pondId - Pond ID
+ * @param {string} seasonId - Season ID
+ * @returns {Promise<Array<object>>} Updated harvests in date order
+ */
+const recalculatePondHarvests = async (pondId, seasonId) => {
+  const [harvests, stocked, feedInputs] = await Promise.all([
+    Harvest.find({ pondId, seasonId }),
+    pondStocking.getPondStocking(pondId, seasonId),
+    FeedInput.find({ pondId, seasonId }, 'date quantity')
+  ]);
+
+  const results = accumulateHarvests(harvests, stocked, feedInputs);
+  for (const { harvest, count, cumulativeBiomass, cumulativeCount, survivalRate, fcr } of results) {
+    Object.assign(harvest, { count, cumulativeBiomass, cumulativeCount, survivalRate, fcr });
+    // eslint-disable-next-line no-await-in-loop
+    await harvest.save();
+  }
+  return results.map(result => result.harvest);
+};
+
+/**
+ * Record a partial or final harvest, with its matching PartialHarvest/FullHarvest event.
+ * The pond is closed only by the final harvest, after which no more harvests are accepted.
+ * @param {object} data - Harvest fields ({ pondId, seasonId, date, harvestType, totalBiomass, finalABW, grades, notes })
+ * @returns {Promise<object>} The saved harvest with recalculated totals
+ * @throws {Error} With statusCode 400 when the pond's cycle is already closed or the grades do not add up
+ */
+const recordHarvest = async (data) => {
+  const { pondId, seasonId } = data;
+  const harvestType = data.harvestType || 'Final';
+  const grades = gradedSales.normalizeHarvestGrades(data.grades, data.totalBiomass);
+
+  const closed = await Harvest.findOne({ pondId, seasonId, harvestType: 'Final' });
+  if (closed) {
+    const error = new Error('This pond already has a final harvest for the season');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const harvest = new Harvest({ ...data, harvestType, grades });
+  const event = new Event({
+    eventType: harvestType === 'Final' ? 'FullHarvest' : 'PartialHarvest',
+    date: data.date,
+    pondId,
+    seasonId,
+    details: {
+      harvestDate: data.date,
+      harvestWeight: data.totalBiomass,
+      averageWeight: data.finalABW,
+      harvestId: String(harvest._id)
+    },
+    notes: data.notes
+  });
+  harvest.eventId = event._id;
+
+  const validationError = harvest.validateSync() || event.validateSync();
+  if (validationError) {
+    validationError.statusCode = 400;
+    throw validationError;
+  }
+
+  await harvest.save();
+  await event.save();
+
+  if (harvestType === 'Final') {
+    await Pond.findByIdAndUpdate(pondId, { status: 'Inactive' });
+  }
+
+  const updated = await recalculatePondHarvests(pondId, seasonId);
+  return updated.find(item => String(item._id) === String(harvest._id)) || harvest;
+};
+
+/**
+ * Remove a harvest and its event, reopen the pond if it was the final one, and recompute the cycle
+ * @param {object} harvest - Harvest document
+ * @returns {Promise<void>}
+ */
+const removeHarvest = async (harvest) => {
+  await Harvest.deleteOne({ _id: harvest._id });
+  if (harvest.eventId) { await Event.deleteOne({ _id: harvest.eventId }); }
+  if (harvest.harvestType === 'Final') {
+    await Pond.findByIdAndUpdate(harvest.pondId, { status: 'Active' });
+  }
+  await recalculatePondHarvests(harvest.pondId, harvest.seasonId);
+};
+
+module.exports = {
+  estimateCount,
+  accumulateHarvests,
+  recalculatePondHarvests,
+  recordHarvest,
+  removeHarvest
+};
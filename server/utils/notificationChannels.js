@@ -0,0 +1,157 @@
+/**
+ * Outbound Notification Channels
+ * Adapters that deliver a notification over SMTP email, a generic HTTP SMS
+ * gateway or a signed webhook. Each adapter exposes send(target, notification)
+ * and resolves with a short provider response, or throws on failure.
+ */
+
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { config } = require('../config');
+
+let transporter = null;
+
+/**
+ * Get the SMTP transport, creating it from the email configuration on first use
+ * @returns {object} Nodemailer transport
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    const { host, port, secure, user, pass } = config.email;
+    transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Drop the cached SMTP transport so the next email picks up changed settings
+ * @returns {void}
+ */
+const resetTransporter = () => {
+  transporter = null;
+};
+
+/**
+ * POST a JSON body, failing on timeouts and non-2xx responses
+ * @param {string} url - Target URL
+ * @param {string} body - Serialized JSON body
+ * @param {object} headers - Extra request headers
+ * @returns {Promise<string>} HTTP status summary
+ */
+const postJson = async (url, body, headers) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body,
+    signal: AbortSignal.timeout(config.notifications.requestTimeoutMs)
+  });
+
+  if (!response.ok) {
+    throw new Error(`${url} responded with HTTP ${response.status}`);
+  }
+  return `HTTP ${response.status}`;
+};
+
+/**
+ * Compute the signature sent with webhook payloads. Receivers should recompute
+ * it from the X-Shrimpfarm-Timestamp header and the raw request body.
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex encoded HMAC-SHA256 signature
+ */
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+const emailChannel = {
+  /**
+   * Send a notification by email
+   * @param {object} target - Delivery target ({ recipient })
+   * @param {object} notification - Notification document
+   * @returns {Promise<string>} SMTP message id
+   */
+  send: async (target, notification) => {
+    if (!config.email.host) {
+      throw new Error('SMTP is not configured');
+    }
+
+    const lines = [notification.message];
+    if (notification.link) { lines.push('', `Open: ${notification.link}`); }
+
+    const info = await getTransporter().sendMail({
+      from: config.email.from,
+      to: target.recipient,
+      subject: `[${notification.priority}] ${notification.title}`,
+      text: lines.join('\n')
+    });
+    return info.messageId;
+  }
+};
+
+const smsChannel = {
+  /**
+   * Send a notification through the configured HTTP SMS gateway
+   * @param {object} target - Delivery target ({ recipient })
+   * @param {object} notification - Notification document
+   * @returns {Promise<string>} HTTP status summary
+   */
+  send: (target, notification) => {
+    const { gatewayUrl, apiKey, from } = config.notifications.sms;
+    if (!gatewayUrl) {
+      return Promise.reject(new Error('SMS gateway is not configured'));
+    }
+
+    const body = JSON.stringify({
+      to: target.recipient,
+      from,
+      message: `${notification.title}: ${notification.message}`
+    });
+    return postJson(gatewayUrl, body, apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+  }
+};
+
+const webhookChannel = {
+  /**
+   * POST a notification to a webhook, signed with the webhook secret
+   * @param {object} target - Delivery target ({ recipient, secret })
+   * @param {object} notification - Notification document
+   * @returns {Promise<string>} HTTP status summary
+   */
+  send: (target, notification) => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify({
+      event: 'notification.created',
+      notification: {
+        id: notification._id,
+        title: notification.title,
+        message: notification.message,
+        type: notification.type,
+        priority: notification.priority,
+        link: notification.link,
+        pondId: notification.pondId,
+        nurseryBatchId: notification.nurseryBatchId,
+        alertRuleId: notification.alertRuleId,
+        createdAt: notification.createdAt
+      }
+    });
+
+    return postJson(target.recipient, body, {
+      'X-Shrimpfarm-Timestamp': String(timestamp),
+      'X-Shrimpfarm-Signature': `sha256=${signPayload(target.secret, timestamp, body)}`
+    });
+  }
+};
+
+module.exports = {
+  emailChannel,
+  smsChannel,
+  webhookChannel,
+  signPayload,
+  resetTransporter
+};
@@ -0,0 +1,194 @@
+/**
+ * Notification Delivery
+ * Fans a saved notification out to the outbound channels: email and SMS for
+ * users whose preferences ask for that priority, and every matching webhook.
+ * Escalations go to the users of the escalated role only.
+ * Users' quiet hours hold back all but the priorities they allow, and each
+ * attempt, failure and suppression is recorded as a NotificationDelivery.
+ */
+
+const User = require('../models/User');
+const Webhook = require('../models/Webhook');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { emailChannel, smsChannel, webhookChannel } = require('./notificationChannels');
+const { config } = require('../config');
+const { logger } = require('./logger');
+
+const PRIORITY_ORDER = ['Low', 'Medium', 'High', 'Critical'];
+
+// Channel adapters, replaceable through setChannelAdapter (e.g. another SMS provider)
+const adapters = {
+  email: emailChannel,
+  sms: smsChannel,
+  webhook: webhookChannel
+};
+
+/**
+ * Replace the adapter used for a channel
+ * @param {string} channel - Channel name (email, sms or webhook)
+ * @param {object} adapter - Object exposing send(target, notification)
+ * @returns {void}
+ */
+const setChannelAdapter = (channel, adapter) => {
+  if (!adapters[channel]) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+  adapters[channel] = adapter;
+};
+
+/**
+ * Check whether a time falls inside a quiet hours window, which may span midnight
+ * @param {object} quietHours - Quiet hours preference ({ enabled, start, end })
+ * @param {Date} now - Time to check
+ * @returns {boolean} True if the time is within quiet hours
+ */
+const isWithinQuietHours = (quietHours, now) => {
+  if (!quietHours || !quietHours.enabled) { return false; }
+
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(part => parseInt(part, 10));
+    return hours * 60 + minutes;
+  };
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const current = now.getHours() * 60 + now.getMinutes();
+
+  return start <= end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+/**
+ * Work out who should receive a notification on which channel
+ * @param {object} notification - Notification document
+ * @param {Date} now - Delivery time, used for quiet hours
+ * @param {Array<string>} [roles] - Only deliver to users with these roles (escalations)
+ * @returns {Promise<Array<object>>} Targets ({ channel, recipient, userId, webhookId, secret, suppressedReason })
+ */
+const resolveTargets = async (notification, now, roles) => {
+  const rank = PRIORITY_ORDER.indexOf(notification.priority);
+  const targets = [];
+
+  const users = await User.find({
+    isActive: true,
+    ...(roles ? { role: { $in: roles } } : {}),
+    $or: [
+      { 'notificationPreferences.email.enabled': true },
+      { 'notificationPreferences.sms.enabled': true }
+    ]
+  });
+
+  users.forEach(user => {
+    const preferences = user.notificationPreferences || {};
+    const quiet = isWithinQuietHours(preferences.quietHours, now) &&
+      !(preferences.quietHours.allowedPriorities || []).includes(notification.priority);
+
+    ['email', 'sms'].forEach(channel => {
+      const channelPreference = preferences[channel];
+      if (!channelPreference || !channelPreference.enabled) { return; }
+      if (rank < PRIORITY_ORDER.indexOf(channelPreference.minPriority)) { return; }
+
+      const recipient = channel === 'email' ? user.email : user.phone;
+      if (!recipient) { return; }
+
+      targets.push({
+        channel,
+        recipient,
+        userId: user._id,
+        suppressedReason: quiet ? 'Quiet hours' : undefined
+      });
+    });
+  });
+
+  // Escalations reach the next people up the chain; webhooks already received the notification when it was raised
+  if (roles) { return targets; }
+
+  const webhooks = await Webhook.find({ isActive: true }).select('+secret');
+  webhooks.forEach(webhook => {
+    if (webhook.priorities && webhook.priorities.length > 0 && !webhook.priorities.includes(notification.priority)) {
+      return;
+    }
+    if (webhook.types && webhook.types.length > 0 && !webhook.types.includes(notification.type)) { return; }
+
+    targets.push({ channel: 'webhook', recipient: webhook.url, webhookId: webhook._id, secret: webhook.secret });
+  });
+
+  return targets;
+};
+
+/**
+ * Send to a single target, retrying with a growing delay on failure
+ * @param {object} adapter - Channel adapter
+ * @param {object} target - Delivery target
+ * @param {object} notification - Notification document
+ * @returns {Promise<object>} Delivery outcome ({ status, attempts, response, error, deliveredAt })
+ */
+const sendWithRetry = async (adapter, target, notification) => {
+  const { maxAttempts, retryDelayMs } = config.notifications;
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const response = await adapter.send(target, notification);
+      return { status: 'sent', attempts: attempt, response, deliveredAt: new Date() };
+    } catch (error) {
+      lastError = error;
+      if (attempt < maxAttempts && retryDelayMs > 0) {
+        // eslint-disable-next-line no-await-in-loop
+        await new Promise(resolve => setTimeout(resolve, retryDelayMs * attempt));
+      }
+    }
+  }
+
+  return { status: 'failed', attempts: maxAttempts, error: lastError.message };
+};
+
+/**
+ * Deliver a notification over every applicable outbound channel and record the outcome
+ * @param {object} notification - Saved Notification document
+ * @param {Date} [now] - Delivery time, used for quiet hours
+ * @param {object} [options] - Delivery options
+ * @param {Array<string>} [options.roles] - Only deliver to users with these roles (escalations)
+ * @returns {Promise<Array<object>>} NotificationDelivery records created
+ */
+const deliverNotification = async (notification, now = new Date(), { roles } = {}) => {
+  try {
+    const targets = await resolveTargets(notification, now, roles);
+
+    return await Promise.all(targets.map(async target => {
+      const record = {
+        notificationId: notification._id,
+        channel: target.channel,
+        recipient: target.recipient,
+        userId: target.userId,
+        webhookId: target.webhookId
+      };
+
+      if (target.suppressedReason) {
+        return NotificationDelivery.create({ ...record, status: 'suppressed', error: target.suppressedReason });
+      }
+
+      const outcome = await sendWithRetry(adapters[target.channel], target, notification);
+      if (outcome.status === 'failed') {
+        logger.warn('Notification delivery failed', {
+          notificationId: notification._id,
+          channel: target.channel,
+          recipient: target.recipient,
+          error: outcome.error
+        });
+      }
+      return NotificationDelivery.create({ ...record, ...outcome });
+    }));
+  } catch (error) {
+    logger.error('Error delivering notification', { notificationId: notification._id, error: error.message });
+    return [];
+  }
+};
+
+module.exports = {
+  PRIORITY_ORDER,
+  isWithinQuietHours,
+  deliverNotification,
+  setChannelAdapter
+};
@@ -0,0 +1,93 @@
+/**
+ * Notification Escalation
+ * Re-sends Critical notifications that nobody has acknowledged within the
+ * configured time to the next role up the chain (operator -> manager -> admin).
+ */
+
+const Notification = require('../models/Notification');
+const notificationDelivery = require('./notificationDelivery');
+const realtime = require('./realtime');
+const { config } = require('../config');
+const { logger } = require('./logger');
+
+// Level 0 is the initial audience; each escalation moves one step up
+const ESCALATION_CHAIN = ['operator', 'manager', 'admin'];
+
+/**
+ * Time of the last escalation, or creation when a notification has not escalated yet
+ * @param {object} notification - Notification document
+ * @returns {Date} Reference time for the acknowledgement timeout
+ */
+const lastEscalatedAt = (notification) => {
+  const escalations = notification.escalations || [];
+  return escalations.length > 0 ? escalations[escalations.length - 1].escalatedAt : notification.createdAt;
+};
+
+/**
+ * Escalate every unacknowledged Critical notification whose acknowledgement timeout has passed
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Array<object>>} Escalated notifications
+ */
+const escalateUnacknowledged = async (now = new Date()) => {
+  try {
+    const cutoff = new Date(now.getTime() - config.notifications.escalation.ackTimeoutMinutes * 60 * 1000);
+    const pending = await Notification.find({
+      priority: 'Critical',
+      acknowledgedAt: null,
+      escalationLevel: { $lt: ESCALATION_CHAIN.length - 1 },
+      createdAt: { $lte: cutoff }
+    });
+
+    const due = pending.filter(notification => new Date(lastEscalatedAt(notification)) <= cutoff);
+
+    const escalated = await Promise.all(due.map(async notification => {
+      const level = (notification.escalationLevel || 0) + 1;
+      const role = ESCALATION_CHAIN[level];
+
+      // Guard on the current level and acknowledgement so concurrent runs or a late ack do not double-escalate
+      const result = await Notification.updateOne(
+        { _id: notification._id, escalationLevel: notification.escalationLevel || 0, acknowledgedAt: null },
+        { $set: { escalationLevel: level }, $push: { escalations: { role, escalatedAt: now } } }
+      );
+      if (result.modifiedCount === 0) { return null; }
+
+      notification.escalationLevel = level;
+      await notificationDelivery.deliverNotification(notification, now, { roles: [role] });
+      realtime.publish('notification', notification, { pondId: notification.pondId });
+      logger.info('Critical notification escalated', { notificationId: notification._id, role });
+      return notification;
+    }));
+
+    return escalated.filter(Boolean);
+  } catch (error) {
+    logger.error('Error escalating notifications', { error: error.message, stack: error.stack });
+    return [];
+  }
+};
+
+/**
+ * Start periodic escalation checks
+ * @param {number} intervalMs - Interval between checks in milliseconds
+ * @returns {object} Interval handle
+ */
+const startEscalationScheduler = (intervalMs) => {
+  logger.info('Starting notification escalation scheduler', { intervalMs });
+
+  const interval = setInterval(() => {
+    escalateUnacknowledged()
+      .then(escalated => {
+        if (escalated.length > 0) { logger.info('Notifications escalated', { count: escalated.length }); }
+      })
+      .catch(error => logger.error('Scheduled escalation failed', { error: error.message }));
+  }, intervalMs);
+
+  // Do not keep the process alive just for the scheduler
+  interval.unref();
+  return interval;
+};
+
+module.exports = {
+  ESCALATION_CHAIN,
+  escalateUnacknowledged,
+  startEscalationScheduler
+};
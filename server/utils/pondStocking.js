@@ -0,0 +1,239 @@
+/**
+ * Pond Stocking
+ * Per-pond stocking lineage: transfers post-larvae from nursery batches or
+ * hatchery purchases into ponds, and totals what each pond was stocked with
+ * (count, biomass, seed cost) for harvest survival, FCR and finance.
+ */
+
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const NurseryBatch = require('../models/NurseryBatch');
+const Pond = require('../models/Pond');
+const Stocking = require('../models/Stocking');
+const currency = require('./currency');
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Total count, biomass and seed cost of a set of stockings
+ * @param {Array<object>} stockings - Stocking documents
+ * @returns {object} Totals ({ count, biomassKg, seedCost })
+ */
+const summarizeStockings = (stockings) => stockings.reduce((totals, stocking) => ({
+  count: totals.count + (stocking.count || 0),
+  biomassKg: totals.biomassKg + (stocking.count || 0) * (stocking.averageWeight || 0) / 1000,
+  seedCost: totals.seedCost + (stocking.totalCost || 0)
+}), { count: 0, biomassKg: 0, seedCost: 0 });
+
+/**
+ * What a pond was stocked with in a season. Ponds stocked before stocking
+ * records existed fall back to their Stocking events.
+ * @param {string} pondId - Pond ID
+ * @param {string} seasonId - Season ID
+ * @returns {Promise<object>} Totals ({ count, biomassKg, seedCost })
+ */
+const getPondStocking = async (pondId, seasonId) => {
+  const stockings = await Stocking.find({ pondId, seasonId });
+  if (stockings.length > 0) {
+    return summarizeStockings(stockings);
+  }
+
+  const events = await Event.find({ pondId, seasonId, eventType: 'Stocking' });
+  return summarizeStockings(events.map(event => ({
+    count: Number((event.details && (event.details.initialCount || event.details.quantity)) || 0)
+  })));
+};
+
+/**
+ * Seed cost of a pond's Stocking events, for ponds stocked before stocking
+ * records existed: each event's count at its nursery batch's cost per post-larva
+ * @param {string} pondId - Pond ID
+ * @param {string} [seasonId] - Season ID
+ * @returns {Promise<number>} Seed cost in the base currency
+ */
+const getLegacySeedCost = async (pondId, seasonId) => {
+  const filter = { pondId, eventType: 'Stocking' };
+  if (seasonId) { filter.seasonId = seasonId; }
+  const events = (await Event.find(filter)).filter(event => event.details && event.details.nurseryBatchId);
+  if (events.length === 0) { return 0; }
+
+  const batches = await NurseryBatch.find({ _id: { $in: [...new Set(events.map(event => String(event.details.nurseryBatchId)))] } });
+  const batchesById = new Map(batches.map(batch => [String(batch._id), batch]));
+  const convert = await currency.createConverter(batches.map(batch => currency.normalizeCurrency(batch.currency)));
+
+  return events.reduce((total, event) => {
+    const batch = batchesById.get(String(event.details.nurseryBatchId));
+    if (!batch || !(batch.initialCount > 0)) { return total; }
+    const count = Number(event.details.initialCount || event.details.quantity || 0);
+    const cost = count * (batch.totalCost || 0) / batch.initialCount;
+    return total + convert(cost, currency.normalizeCurrency(batch.currency), event.date);
+  }, 0);
+};
+
+/**
+ * Seed cost of a season, or of one pond when pondId is given, in the base
+ * currency. A season carries the full cost of its nursery batches plus
+ * hatchery purchases stocked directly; a pond carries the cost of the
+ * post-larvae transferred into it, falling back to its Stocking events like
+ * getPondStocking.
+ * @param {object} filter - Scope
+ * @param {string} [filter.seasonId] - Season ID
+ * @param {string} [filter.pondId] - Pond ID
+ * @returns {Promise<number>} Seed cost
+ */
+const getSeedCost = async ({ seasonId, pondId }) => {
+  if (pondId && !await Stocking.exists(seasonId ? { pondId, seasonId } : { pondId })) {
+    return getLegacySeedCost(pondId, seasonId);
+  }
+
+  const match = {};
+  if (seasonId) { match.seasonId = new mongoose.Types.ObjectId(seasonId); }
+  const stockingCost = { amount: '$totalCost', currency: '$currency', date: '$date' };
+
+  if (pondId) {
+    return currency.totalInBase(Stocking, [{ $match: { ...match, pondId: new mongoose.Types.ObjectId(pondId) } }], stockingCost);
+  }
+
+  const [batchCost, hatcheryCost] = await Promise.all([
+    currency.totalInBase(NurseryBatch, [{ $match: match }], { amount: '$totalCost', currency: '$currency', date: '$startDate' }),
+    currency.totalInBase(Stocking, [{ $match: { ...match, source: 'Hatchery' } }], stockingCost)
+  ]);
+  return batchCost + hatcheryCost;
+};
+
+/**
+ * Stock one or more ponds from a nursery batch or a hatchery purchase. Each
+ * pond gets a Stocking record and a Stocking event; a nursery batch's
+ * remaining count is decremented by the total transferred.
+ * @param {object} data - Stocking input
+ * @param {string} data.seasonId - Season ID
+ * @param {Date} data.date - Stocking date
+ * @param {string} data.source - NurseryBatch or Hatchery
+ * @param {string} [data.nurseryBatchId] - Batch transferred from
+ * @param {string} [data.hatchery] - Hatchery purchased from
+ * @param {string} [data.species] - Species (defaults to the batch species)
+ * @param {number} [data.unitCost] - Cost per post-larva (defaults to the batch cost per post-larva)
+ * @param {string} [data.currency] - Currency of unitCost (defaults to the batch currency)
+ * @param {number} [data.averageWeight] - Average weight in grams
+ * @param {string} [data.notes] - Notes
+ * @param {Array<object>} data.allocations - Count per pond ({ pondId, count })
+ * @returns {Promise<Array<object>>} Created stockings
+ */
+const stockPonds = async (data) => {
+  const { seasonId, date, source, nurseryBatchId, hatchery, notes } = data;
+  const allocations = (data.allocations || []).filter(allocation => allocation.pondId);
+
+  if (!seasonId || !date || !source) { throw badRequest('Season, date and source are required'); }
+  if (allocations.length === 0) { throw badRequest('At least one pond allocation is required'); }
+  if (allocations.some(allocation => !(Number(allocation.count) > 0))) {
+    throw badRequest('Every pond allocation needs a positive count');
+  }
+  if (new Set(allocations.map(allocation => String(allocation.pondId))).size !== allocations.length) {
+    throw badRequest('Each pond can only be allocated once per stocking');
+  }
+
+  const ponds = await Pond.find({ _id: { $in: allocations.map(allocation => allocation.pondId) } });
+  if (ponds.length !== allocations.length) { throw badRequest('One or more ponds were not found'); }
+
+  let batch = null;
+  if (source === 'NurseryBatch') {
+    batch = await NurseryBatch.findById(nurseryBatchId);
+    if (!batch) { throw badRequest('Nursery batch not found'); }
+    if (String(batch.seasonId) !== String(seasonId)) { throw badRequest('Nursery batch belongs to a different season'); }
+  }
+
+  const total = allocations.reduce((sum, allocation) => sum + Number(allocation.count), 0);
+  const species = data.species || (batch && batch.species);
+  const batchUnitCost = batch && batch.initialCount > 0 ? (batch.totalCost || 0) / batch.initialCount : 0;
+  const priceFromBatch = data.unitCost === undefined || data.unitCost === '';
+  const unitCost = priceFromBatch ? batchUnitCost : Number(data.unitCost);
+  // Seed priced from the batch is in the batch's currency
+  const costCurrency = currency.normalizeCurrency(priceFromBatch && batch ? batch.currency : data.currency || (batch && batch.currency));
+
+  const stockings = allocations.map(allocation => new Stocking({
+    pondId: allocation.pondId,
+    seasonId,
+    date,
+    source,
+    nurseryBatchId: batch ? batch._id : undefined,
+    hatchery: source === 'Hatchery' ? hatchery : undefined,
+    species,
+    count: Number(allocation.count),
+    averageWeight: Number(allocation.averageWeight ?? data.averageWeight ?? 0),
+    unitCost,
+    totalCost: Number(allocation.count) * unitCost,
+    currency: costCurrency,
+    notes
+  }));
+  const events = stockings.map(stocking => new Event({
+    eventType: 'Stocking',
+    date,
+    pondId: stocking.pondId,
+    seasonId,
+    details: {
+      stockingDate: date,
+      nurseryBatchId: batch ? String(batch._id) : undefined,
+      hatchery: stocking.hatchery,
+      species,
+      initialCount: stocking.count,
+      quantity: stocking.count,
+      stockingId: String(stocking._id)
+    }
+  }));
+  stockings.forEach((stocking, index) => { stocking.eventId = events[index]._id; });
+
+  // Validate everything first so a bad allocation does not leave the batch decremented
+  const errors = [...stockings, ...events].map(doc => doc.validateSync()).filter(Boolean);
+  if (errors.length > 0) { throw badRequest(errors[0].message); }
+
+  if (batch) {
+    // Batches created before transfers were tracked start with their full count
+    await NurseryBatch.updateOne(
+      { _id: batch._id, remainingCount: { $exists: false } },
+      { $set: { remainingCount: batch.initialCount } }
+    );
+    const updated = await NurseryBatch.findOneAndUpdate(
+      { _id: batch._id, remainingCount: { $gte: total } },
+      { $inc: { remainingCount: -total } },
+      { new: true }
+    );
+    if (!updated) {
+      const current = await NurseryBatch.findById(batch._id);
+      throw badRequest(`Only ${current ? current.remainingCount : 0} post-larvae remain in this batch`);
+    }
+  }
+
+  try {
+    await Event.insertMany(events);
+    return await Stocking.insertMany(stockings);
+  } catch (error) {
+    if (batch) { await NurseryBatch.updateOne({ _id: batch._id }, { $inc: { remainingCount: total } }); }
+    await Event.deleteMany({ _id: { $in: events.map(event => event._id) } });
+    throw error;
+  }
+};
+
+/**
+ * Undo a stocking: remove it and its event and return the count to its nursery batch
+ * @param {object} stocking - Stocking document
+ * @returns {Promise<void>}
+ */
+const removeStocking = async (stocking) => {
+  await Stocking.deleteOne({ _id: stocking._id });
+  if (stocking.eventId) { await Event.deleteOne({ _id: stocking.eventId }); }
+  if (stocking.nurseryBatchId) {
+    await NurseryBatch.updateOne({ _id: stocking.nurseryBatchId }, { $inc: { remainingCount: stocking.count } });
+  }
+};
+
+module.exports = {
+  summarizeStockings,
+  getPondStocking,
+  getSeedCost,
+  stockPonds,
+  removeStocking
+};
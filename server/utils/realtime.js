@@ -0,0 +1,130 @@
+/**
+ * Real-time Event Stream
+ * Keeps the open Server-Sent Events connections and pushes new notifications,
+ * water quality and feed records, and pond status changes to them. Each
+ * connection only receives events its user has permission to read, optionally
+ * narrowed to a single pond.
+ */
+
+const { logger } = require('./logger');
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// Permission needed to receive each event type (null means any signed-in user).
+// Notifications are farm alerts about ponds, their stock and the work on them.
+const EVENT_PERMISSIONS = {
+  notification: 'read:ponds',
+  waterQualityInput: 'read:waterQuality',
+  feedInput: 'read:feedInputs',
+  pondStatus: 'read:ponds'
+};
+
+const clients = new Set();
+let heartbeat = null;
+let nextEventId = 1;
+
+/**
+ * Check whether a user may receive an event type
+ * @param {object} user - Authenticated user
+ * @param {string} type - Event type
+ * @returns {boolean} True if the user may receive the event
+ */
+const canReceive = (user, type) => {
+  const permission = EVENT_PERMISSIONS[type];
+  if (!permission || user.role === 'admin') { return true; }
+  return Array.isArray(user.permissions) && user.permissions.includes(permission);
+};
+
+/**
+ * Write a single SSE frame to a connection
+ * @param {object} res - Express response of the stream
+ * @param {string} type - Event type
+ * @param {object} data - Event payload
+ * @returns {void}
+ */
+const writeEvent = (res, type, data) => {
+  res.write(`id: ${nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Keep idle connections (and any proxies in between) open with comment lines
+ * @returns {void}
+ */
+const ensureHeartbeat = () => {
+  if (heartbeat) { return; }
+  heartbeat = setInterval(() => {
+    clients.forEach(client => client.res.write(': heartbeat\n\n'));
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+};
+
+/**
+ * Register a request as an event stream subscriber
+ * @param {object} req - Express request, with req.user set by authenticate
+ * @param {object} res - Express response
+ * @returns {object} Subscribed client
+ */
+const subscribe = (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  // Ask the browser to wait a few seconds before reconnecting after a drop
+  res.write('retry: 5000\n\n');
+
+  const client = { user: req.user, pondId: req.query.pondId, res };
+  clients.add(client);
+  ensureHeartbeat();
+  writeEvent(res, 'connected', { clients: clients.size });
+  logger.info('Event stream client connected', { userId: req.user && req.user._id, clients: clients.size });
+
+  req.on('close', () => {
+    clients.delete(client);
+    if (clients.size === 0 && heartbeat) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  });
+
+  return client;
+};
+
+/**
+ * Broadcast an event to every subscriber allowed to see it
+ * @param {string} type - Event type (notification, waterQualityInput, feedInput, pondStatus)
+ * @param {object} data - Event payload
+ * @param {object} [scope] - Event scope
+ * @param {string} [scope.pondId] - Pond the event belongs to
+ * @returns {number} Number of connections the event was sent to
+ */
+const publish = (type, data, { pondId } = {}) => {
+  let delivered = 0;
+  clients.forEach(client => {
+    if (!canReceive(client.user, type)) { return; }
+    // Pond-filtered streams still get farm-wide events (e.g. inventory alerts)
+    if (client.pondId && pondId && client.pondId !== pondId.toString()) { return; }
+
+    try {
+      writeEvent(client.res, type, data);
+      delivered++;
+    } catch (error) {
+      logger.warn('Failed to write to event stream client', { error: error.message });
+      clients.delete(client);
+    }
+  });
+  return delivered;
+};
+
+/**
+ * Number of open event stream connections
+ * @returns {number} Connection count
+ */
+const getClientCount = () => clients.size;
+
+module.exports = {
+  subscribe,
+  publish,
+  getClientCount
+};
@@ -0,0 +1,378 @@
+/**
+ * Sales Ledger
+ * Invoicing of sales to buyers, payments against invoices, receivables aging
+ * and the cash-received versus invoiced view of revenue. Also guards that the
+ * sales of a harvest never add up to more than was harvested.
+ */
+
+const Buyer = require('../models/Buyer');
+const Counter = require('../models/Counter');
+const Harvest = require('../models/Harvest');
+const Invoice = require('../models/Invoice');
+const Sale = require('../models/Sale');
+const currency = require('./currency');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days past due that each receivables aging bucket starts at
+const AGING_BUCKETS = [
+  { key: 'current', from: -Infinity },
+  { key: 'days1to30', from: 1 },
+  { key: 'days31to60', from: 31 },
+  { key: 'days61to90', from: 61 },
+  { key: 'over90', from: 91 }
+];
+
+const round = (value) => Number(value.toFixed(2));
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const pondName = (pond) => {
+  const name = pond && pond.name;
+  if (!name) { return ''; }
+  if (name instanceof Map) { return name.get('en') || name.values().next().value || ''; }
+  if (typeof name === 'object') { return name.en || Object.values(name)[0] || ''; }
+  return name;
+};
+
+/**
+ * Set aside kg of a harvest for a sale. The harvest keeps a running sold total
+ * that is only increased while it stays within the biomass, so sales saved at
+ * the same moment cannot together sell more than was harvested.
+ * @param {object} harvest - Harvest document
+ * @param {number} quantity - Kg sold, or the change in kg when a sale is edited; negative gives kg back
+ * @returns {Promise<void>}
+ * @throws {Error} With statusCode 400 when the harvest's sales would exceed its biomass
+ */
+const reserveHarvestQuantity = async (harvest, quantity) => {
+  // Harvests sold before the total was kept start from their existing sales
+  const seeded = await Harvest.exists({ _id: harvest._id, quantitySold: { $exists: true } });
+  if (!seeded) {
+    const sales = await Sale.find({ harvestId: harvest._id }, 'quantitySold');
+    const sold = round(sales.reduce((sum, sale) => sum + (sale.quantitySold || 0), 0));
+    await Harvest.updateOne({ _id: harvest._id, quantitySold: { $exists: false } }, { $set: { quantitySold: sold } });
+  }
+
+  const change = Number(quantity) || 0;
+  if (change <= 0) {
+    if (change < 0) { await Harvest.updateOne({ _id: harvest._id }, { $inc: { quantitySold: change } }); }
+    return;
+  }
+
+  const reserved = await Harvest.findOneAndUpdate(
+    { _id: harvest._id, $expr: { $lte: [{ $add: ['$quantitySold', change] }, '$totalBiomass'] } },
+    { $inc: { quantitySold: change } },
+    { new: true }
+  );
+  if (!reserved) {
+    const current = await Harvest.findById(harvest._id);
+    const remaining = current ? round(current.totalBiomass - (current.quantitySold || 0)) : 0;
+    throw badRequest(`Only ${remaining} kg of this harvest remain unsold`);
+  }
+};
+
+/**
+ * Payment status of an invoice
+ * @param {number} amount - Invoiced amount
+ * @param {number} amountPaid - Paid so far
+ * @returns {string} Unpaid, PartiallyPaid or Paid
+ */
+const invoiceStatus = (amount, amountPaid) => {
+  if (amountPaid <= 0) { return 'Unpaid'; }
+  return round(amountPaid) >= round(amount) ? 'Paid' : 'PartiallyPaid';
+};
+
+/**
+ * Highest sequence among a year's invoice numbers, compared as numbers so INV-2026-10000 follows INV-2026-9999
+ * @param {string} prefix - Number prefix of the year, e.g. INV-2026-
+ * @returns {Promise<number>} Highest sequence, or 0 when the year has no invoices
+ */
+const highestInvoiceSequence = async (prefix) => {
+  const invoices = await Invoice.find({ invoiceNumber: { $regex: `^${prefix}` } }, 'invoiceNumber').lean();
+  return invoices.reduce((highest, invoice) => {
+    const sequence = Number(invoice.invoiceNumber.slice(prefix.length));
+    return Number.isFinite(sequence) && sequence > highest ? sequence : highest;
+  }, 0);
+};
+
+/**
+ * Next invoice number for the year of the issue date, e.g. INV-2026-0007. Numbers come from
+ * a per-year counter incremented atomically, so invoices created at the same moment never share one.
+ * @param {Date} issueDate - Issue date
+ * @returns {Promise<string>} Invoice number
+ */
+const nextInvoiceNumber = async (issueDate) => {
+  const year = new Date(issueDate).getFullYear();
+  const prefix = `INV-${year}-`;
+  const key = `invoice-${year}`;
+
+  // A year's counter starts after any invoices numbered before counters were kept
+  if (!await Counter.exists({ _id: key })) {
+    const highest = await highestInvoiceSequence(prefix);
+    try {
+      await Counter.updateOne({ _id: key }, { $setOnInsert: { sequence: highest } }, { upsert: true });
+    } catch (error) {
+      // Another request created the counter first
+      if (error.code !== 11000) { throw error; }
+    }
+  }
+
+  const counter = await Counter.findOneAndUpdate({ _id: key }, { $inc: { sequence: 1 } }, { new: true, upsert: true });
+  return `${prefix}${String(counter.sequence).padStart(4, '0')}`;
+};
+
+/**
+ * Invoice lines for a sale: one per graded line item, or one for an ungraded sale
+ * @param {object} sale - Sale with harvestId.pondId populated
+ * @returns {Array<object>} Lines ({ saleId, date, description, quantity, pricePerKg, amount })
+ */
+const saleLines = (sale) => {
+  const pond = pondName(sale.harvestId && sale.harvestId.pondId);
+  const source = pond ? `Shrimp from ${pond}` : 'Shrimp';
+  if (sale.lineItems && sale.lineItems.length > 0) {
+    return sale.lineItems.map(item => ({
+      saleId: sale._id,
+      date: sale.date,
+      description: `${source}, grade ${item.grade}`,
+      quantity: item.quantity,
+      pricePerKg: item.pricePerKg,
+      amount: item.amount
+    }));
+  }
+  return [{
+    saleId: sale._id,
+    date: sale.date,
+    description: source,
+    quantity: sale.quantitySold,
+    pricePerKg: sale.pricePerKg,
+    amount: sale.totalRevenue
+  }];
+};
+
+/**
+ * Invoice a buyer for one or more uninvoiced sales. Sales recorded by buyer
+ * name before the directory existed are linked to the buyer when the names match.
+ * @param {object} data - Invoice input
+ * @param {string} data.buyerId - Buyer
+ * @param {Array<string>} data.saleIds - Sales to invoice
+ * @param {Date} [data.issueDate] - Issue date (default today)
+ * @param {Date} [data.dueDate] - Due date (default issue date plus the buyer's payment terms)
+ * @param {string} [data.notes] - Notes
+ * @returns {Promise<object>} Saved invoice
+ */
+const createInvoice = async (data) => {
+  const saleIds = [...new Set((data.saleIds || []).map(String))];
+  if (!data.buyerId) { throw badRequest('Buyer is required'); }
+  if (saleIds.length === 0) { throw badRequest('Select at least one sale to invoice'); }
+
+  const buyer = await Buyer.findById(data.buyerId);
+  if (!buyer) { throw badRequest('Buyer not found'); }
+
+  const sales = await Sale.find({ _id: { $in: saleIds } })
+    .populate({ path: 'harvestId', populate: { path: 'pondId', select: 'name' } })
+    .sort({ date: 1 });
+  if (sales.length !== saleIds.length) { throw badRequest('One or more sales were not found'); }
+  if (sales.some(sale => sale.invoiceId)) { throw badRequest('One or more sales are already invoiced'); }
+
+  const otherBuyer = sales.find(sale => (sale.buyerId
+    ? String(sale.buyerId) !== String(buyer._id)
+    : sale.buyerName.trim().toLowerCase() !== buyer.name.toLowerCase()));
+  if (otherBuyer) { throw badRequest(`The sale of ${new Date(otherBuyer.date).toLocaleDateString()} is to another buyer`); }
+
+  const currencies = new Set(sales.map(sale => currency.normalizeCurrency(sale.currency)));
+  if (currencies.size > 1) { throw badRequest('Sales in different currencies must be invoiced separately'); }
+
+  const issueDate = data.issueDate ? new Date(data.issueDate) : new Date();
+  const dueDate = data.dueDate ? new Date(data.dueDate) : new Date(issueDate.getTime() + buyer.paymentTermsDays * DAY_MS);
+  const lines = sales.flatMap(saleLines);
+
+  const invoice = new Invoice({
+    buyerId: buyer._id,
+    saleIds: sales.map(sale => sale._id),
+    lines,
+    issueDate,
+    dueDate,
+    amount: round(lines.reduce((sum, line) => sum + line.amount, 0)),
+    currency: [...currencies][0],
+    notes: data.notes
+  });
+  // The number is taken once the sales are claimed, so a rejected invoice leaves no gap
+  const validationError = invoice.validateSync({ pathsToSkip: ['invoiceNumber'] });
+  if (validationError) { throw badRequest(validationError.message); }
+
+  // Claim the sales first so two invoices cannot include the same sale
+  const unlinkedSaleIds = sales.filter(sale => !sale.buyerId).map(sale => sale._id);
+  const release = async () => {
+    // Sales that had no buyer before this invoice get none back
+    await Sale.updateMany({ _id: { $in: unlinkedSaleIds }, invoiceId: invoice._id }, { $unset: { invoiceId: 1, buyerId: 1 } });
+    await Sale.updateMany({ invoiceId: invoice._id }, { $unset: { invoiceId: 1 } });
+  };
+  const claimed = await Sale.updateMany(
+    { _id: { $in: sales.map(sale => sale._id) }, invoiceId: null },
+    { $set: { invoiceId: invoice._id, buyerId: buyer._id } }
+  );
+  if (claimed.modifiedCount !== sales.length) {
+    await release();
+    throw badRequest('One or more sales are already invoiced');
+  }
+
+  try {
+    invoice.invoiceNumber = await nextInvoiceNumber(issueDate);
+    return await invoice.save();
+  } catch (error) {
+    await release();
+    throw error;
+  }
+};
+
+/**
+ * Record a payment against an invoice; payments cannot exceed what is outstanding
+ * @param {string} invoiceId - Invoice ID
+ * @param {object} payment - Payment ({ date, amount, method, reference, notes })
+ * @returns {Promise<object>} Updated invoice
+ */
+const recordPayment = async (invoiceId, payment) => {
+  const amount = round(Number(payment.amount));
+  if (!(amount > 0)) { throw badRequest('Payment amount must be positive'); }
+
+  const invoice = await Invoice.findOneAndUpdate(
+    {
+      _id: invoiceId,
+      status: { $ne: 'Void' },
+      $expr: { $lte: [{ $add: ['$amountPaid', amount] }, { $add: ['$amount', 0.005] }] }
+    },
+    {
+      $push: { payments: { ...payment, amount, date: payment.date || new Date() } },
+      $inc: { amountPaid: amount }
+    },
+    { new: true, runValidators: true }
+  );
+  if (!invoice) {
+    const current = await Invoice.findById(invoiceId);
+    if (!current) { throw badRequest('Invoice not found'); }
+    if (current.status === 'Void') { throw badRequest('Payments cannot be recorded on a void invoice'); }
+    throw badRequest(`Only ${round(current.amount - current.amountPaid)} is outstanding on this invoice`);
+  }
+
+  invoice.status = invoiceStatus(invoice.amount, invoice.amountPaid);
+  return invoice.save();
+};
+
+/**
+ * Remove a payment recorded in error
+ * @param {string} invoiceId - Invoice ID
+ * @param {string} paymentId - Payment subdocument ID
+ * @returns {Promise<object|null>} Updated invoice, or null when the payment was not found
+ */
+const removePayment = async (invoiceId, paymentId) => {
+  const current = await Invoice.findOne({ _id: invoiceId, 'payments._id': paymentId }, { 'payments.$': 1 });
+  if (!current) { return null; }
+
+  const invoice = await Invoice.findOneAndUpdate(
+    { _id: invoiceId, 'payments._id': paymentId },
+    { $pull: { payments: { _id: paymentId } }, $inc: { amountPaid: -current.payments[0].amount } },
+    { new: true }
+  );
+  if (!invoice) { return null; }
+  invoice.status = invoiceStatus(invoice.amount, invoice.amountPaid);
+  return invoice.save();
+};
+
+/**
+ * Void an unpaid invoice and release its sales so they can be invoiced again
+ * @param {object} invoice - Invoice document
+ * @returns {Promise<object>} Voided invoice
+ */
+const voidInvoice = async (invoice) => {
+  if (invoice.amountPaid > 0) { throw badRequest('Remove the payments before voiding this invoice'); }
+  invoice.status = 'Void';
+  await invoice.save();
+  await Sale.updateMany({ invoiceId: invoice._id }, { $unset: { invoiceId: 1 } });
+  return invoice;
+};
+
+/**
+ * Aging bucket of an outstanding invoice
+ * @param {Date} dueDate - Due date
+ * @param {Date} asOf - Reporting date
+ * @returns {string} Bucket key (current, days1to30, days31to60, days61to90, over90)
+ */
+const agingBucket = (dueDate, asOf) => {
+  const daysPastDue = Math.floor((new Date(asOf) - new Date(dueDate)) / DAY_MS);
+  return AGING_BUCKETS.filter(bucket => daysPastDue >= bucket.from).pop().key;
+};
+
+/**
+ * Outstanding receivables per buyer, split by how far past due
+ * @param {Array<object>} invoices - Invoices with buyerId populated
+ * @param {Date} asOf - Reporting date
+ * @param {Function} [convert] - convert(amount, currency, date) to the reporting currency; amounts are left as they are without it
+ * @returns {object} { asOf, buyers: [{ buyerId, buyerName, outstanding, <bucket>... }], totals }
+ */
+const buildAging = (invoices, asOf, convert = (amount) => amount) => {
+  const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+  const buyers = new Map();
+  const totals = { outstanding: 0, ...emptyBuckets() };
+
+  invoices
+    .filter(invoice => invoice.status !== 'Void' && new Date(invoice.issueDate) <= new Date(asOf))
+    .forEach(invoice => {
+      if (round(invoice.amount - invoice.amountPaid) <= 0) { return; }
+      const outstanding = round(convert(invoice.amount - invoice.amountPaid, invoice.currency, invoice.issueDate));
+
+      const buyer = invoice.buyerId || {};
+      const key = String(buyer._id || buyer);
+      if (!buyers.has(key)) {
+        buyers.set(key, { buyerId: buyer._id || buyer, buyerName: buyer.name || '', outstanding: 0, ...emptyBuckets() });
+      }
+      const bucket = agingBucket(invoice.dueDate, asOf);
+      const row = buyers.get(key);
+      row.outstanding = round(row.outstanding + outstanding);
+      row[bucket] = round(row[bucket] + outstanding);
+      totals.outstanding = round(totals.outstanding + outstanding);
+      totals[bucket] = round(totals[bucket] + outstanding);
+    });
+
+  return {
+    asOf: new Date(asOf),
+    buyers: Array.from(buyers.values()).sort((a, b) => b.outstanding - a.outstanding),
+    totals
+  };
+};
+
+/**
+ * Invoiced revenue and cash received for a set of sales. Payments on an
+ * invoice are spread over its sales in proportion to their amounts.
+ * @param {Array<object>} sales - Sales with invoiceId populated
+ * @returns {object} { invoiced, cashReceived, uninvoiced }
+ */
+const revenueByBasis = (sales) => sales.reduce((totals, sale) => {
+  const invoice = sale.invoiceId;
+  if (!invoice || invoice.status === 'Void') {
+    return { ...totals, uninvoiced: round(totals.uninvoiced + sale.totalRevenue) };
+  }
+  const paidShare = invoice.amount > 0 ? Math.min(invoice.amountPaid / invoice.amount, 1) : 0;
+  return {
+    ...totals,
+    invoiced: round(totals.invoiced + sale.totalRevenue),
+    cashReceived: round(totals.cashReceived + sale.totalRevenue * paidShare)
+  };
+}, { invoiced: 0, cashReceived: 0, uninvoiced: 0 });
+
+module.exports = {
+  AGING_BUCKETS,
+  reserveHarvestQuantity,
+  invoiceStatus,
+  nextInvoiceNumber,
+  createInvoice,
+  recordPayment,
+  removePayment,
+  voidInvoice,
+  agingBucket,
+  buildAging,
+  revenueByBasis
+};
@@ -0,0 +1,482 @@
+/**
+ * Sensor Ingestion
+ * Turns what probes and data loggers post into raw samples and water quality
+ * readings. Bodies may be JSON samples, CSV (a header row, or one
+ * deviceId,timestamp,channel=value,... line per sample) or the
+ * { topic, payload } messages MQTT-to-HTTP bridges forward. Channels are
+ * matched to reading parameters by name and device IDs to ponds through
+ * SensorDevice; samples already stored are skipped. Raw samples go to a
+ * time-series collection and refresh the pond's hourly and daily rollups. Each
+ * pond's samples are also averaged over the device's interval into one
+ * WaterQualityInput per interval, recorded as a Probe reading. Hand-entered
+ * readings at the same time are kept.
+ */
+
+const WaterQualityInput = require('../models/WaterQualityInput');
+const SensorDevice = require('../models/SensorDevice');
+const SensorReading = require('../models/SensorReading');
+const Pond = require('../models/Pond');
+const alertEngine = require('./alertEngine');
+const diurnalOxygen = require('./diurnalOxygen');
+const sensorRollups = require('./sensorRollups');
+const { attachProfiles } = require('./waterQualityProfiles');
+const { deriveChemistry } = require('./waterChemistry');
+const realtime = require('./realtime');
+const { config } = require('../config');
+const { logger } = require('./logger');
+
+const MINUTE_MS = 60 * 1000;
+
+// Device clocks may run a little ahead of the server's
+const CLOCK_SKEW_MS = 10 * MINUTE_MS;
+
+// Plausible range of each parameter, and the precision WaterQualityInput stores it at
+const PARAMETERS = {
+  pH: { min: 0, max: 14, decimals: 2 },
+  dissolvedOxygen: { min: 0, max: 50, decimals: 2 },
+  temperature: { min: -10, max: 60, decimals: 1 },
+  salinity: { min: 0, max: 100, decimals: 2 },
+  ammonia: { min: 0, max: 100, decimals: 3 },
+  nitrite: { min: 0, max: 100, decimals: 3 },
+  nitrate: { min: 0, max: 200, decimals: 2 },
+  alkalinity: { min: 0, max: 500, decimals: 1 },
+  turbidity: { min: 0, max: 1000, decimals: 1 }
+};
+
+// A water quality reading cannot be saved without these
+const REQUIRED_PARAMETERS = ['pH', 'dissolvedOxygen', 'temperature', 'salinity'];
+
+// Common channel names, compared in lower case without punctuation ("DO (mg/L)" is "domgl")
+const CHANNEL_ALIASES = {
+  ph: 'pH',
+  do: 'dissolvedOxygen',
+  domgl: 'dissolvedOxygen',
+  dissolvedoxygen: 'dissolvedOxygen',
+  o2: 'dissolvedOxygen',
+  oxygen: 'dissolvedOxygen',
+  temp: 'temperature',
+  tempc: 'temperature',
+  temperature: 'temperature',
+  watertemp: 'temperature',
+  watertemperature: 'temperature',
+  sal: 'salinity',
+  salppt: 'salinity',
+  salinity: 'salinity',
+  ammonia: 'ammonia',
+  tan: 'ammonia',
+  nh3: 'ammonia',
+  nitrite: 'nitrite',
+  no2: 'nitrite',
+  nitrate: 'nitrate',
+  no3: 'nitrate',
+  alk: 'alkalinity',
+  alkalinity: 'alkalinity',
+  turb: 'turbidity',
+  turbidity: 'turbidity',
+  ntu: 'turbidity'
+};
+
+const DEVICE_FIELDS = ['deviceid', 'device', 'sensorid', 'clientid'];
+const TIME_FIELDS = ['timestamp', 'ts', 'time', 'datetime'];
+// Objects holding a sample's channels rather than the sample itself
+const VALUE_FIELDS = ['values', 'channels', 'data', 'measurements'];
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+const pad = (number) => String(number).padStart(2, '0');
+const clockTime = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+/**
+ * Read a sample's time: ISO strings, or epoch seconds or milliseconds. Samples without one were taken on receipt.
+ * @param {string|number} value - Timestamp as sent
+ * @param {Date} receivedAt - When the request arrived
+ * @returns {Date|null} Timestamp, or null when it cannot be read
+ */
+const parseTimestamp = (value, receivedAt) => {
+  if (value === undefined || value === null || value === '') { return receivedAt; }
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(value)) {
+    const epoch = Number(value);
+    return new Date(epoch < 1e12 ? epoch * 1000 : epoch);
+  }
+  const timestamp = new Date(value);
+  return Number.isNaN(timestamp.getTime()) ? null : timestamp;
+};
+
+/**
+ * Sample from a flat or nested object of device ID, timestamp and channel values
+ * @param {object} object - Sample as posted
+ * @param {Date} receivedAt - When the request arrived
+ * @param {object} [inherited] - Device ID and timestamp from an enclosing message
+ * @returns {object} Sample ({ deviceId, timestamp, channels })
+ */
+const fromObject = (object, receivedAt, inherited = {}) => {
+  let deviceId = inherited.deviceId;
+  let timestamp = inherited.timestamp;
+  const channels = {};
+  Object.entries(object || {}).forEach(([key, value]) => {
+    const name = normalizeKey(key);
+    if (DEVICE_FIELDS.includes(name)) {
+      deviceId = value;
+    } else if (TIME_FIELDS.includes(name)) {
+      timestamp = value;
+    } else if (VALUE_FIELDS.includes(name) && value && typeof value === 'object') {
+      Object.assign(channels, value);
+    } else if (value === null || typeof value !== 'object') {
+      channels[key] = value;
+    }
+  });
+  return {
+    deviceId: deviceId === undefined || deviceId === null ? null : String(deviceId).trim(),
+    timestamp: parseTimestamp(timestamp, receivedAt),
+    channels
+  };
+};
+
+/**
+ * Samples from a JSON body: a sample, an array of samples, { deviceId, readings: [...] },
+ * or an MQTT bridge message { topic, payload } whose topic ends in the device ID
+ * @param {object|Array} body - Parsed JSON body
+ * @param {Date} receivedAt - When the request arrived
+ * @param {object} [inherited] - Device ID and timestamp from an enclosing message
+ * @returns {Array<object>} Samples
+ */
+const parseJson = (body, receivedAt, inherited = {}) => {
+  if (Array.isArray(body)) { return body.flatMap(item => parseJson(item, receivedAt, inherited)); }
+  if (!body || typeof body !== 'object') { return []; }
+
+  if (body.topic !== undefined && body.payload !== undefined) {
+    const payload = typeof body.payload === 'string' ? JSON.parse(body.payload) : body.payload;
+    const segments = String(body.topic).split('/').filter(Boolean);
+    return parseJson(payload, receivedAt, {
+      deviceId: segments[segments.length - 1],
+      timestamp: body.timestamp
+    });
+  }
+
+  const batch = body.readings || body.samples;
+  if (Array.isArray(batch)) {
+    // Channel values outside the batch are ignored; only its device ID applies to each sample
+    const outer = fromObject(body, receivedAt, inherited);
+    return parseJson(batch, receivedAt, { deviceId: outer.deviceId || inherited.deviceId, timestamp: inherited.timestamp });
+  }
+  return [fromObject(body, receivedAt, inherited)];
+};
+
+/**
+ * Samples from CSV: a header row naming deviceId, timestamp and channel columns,
+ * or headerless deviceId,timestamp,channel=value,... lines. Lines starting with # are comments.
+ * @param {string} text - CSV body
+ * @param {Date} receivedAt - When the request arrived
+ * @returns {Array<object>} Samples
+ */
+const parseCsv = (text, receivedAt) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+  if (lines.length === 0) { return []; }
+
+  const split = (line) => line.split(',').map(field => field.trim());
+  if (lines[0].includes('=')) {
+    return lines.map(line => {
+      const [deviceId, timestamp, ...pairs] = split(line);
+      const channels = Object.fromEntries(pairs.map(pair => {
+        const at = pair.indexOf('=');
+        return [pair.slice(0, at), pair.slice(at + 1)];
+      }));
+      return fromObject({ deviceId, timestamp, values: channels }, receivedAt);
+    });
+  }
+
+  const header = split(lines[0]);
+  return lines.slice(1).map(line => {
+    const fields = split(line);
+    return fromObject(Object.fromEntries(header.map((column, index) => [column, fields[index]])), receivedAt);
+  });
+};
+
+/**
+ * Samples from a request body in any supported format
+ * @param {object|Array|string} body - JSON body, or the text of a CSV or text/plain body
+ * @param {Date} [receivedAt] - When the request arrived
+ * @returns {Array<object>} Samples ({ deviceId, timestamp, channels })
+ */
+const parsePayload = (body, receivedAt = new Date()) => {
+  if (typeof body !== 'string') { return parseJson(body, receivedAt); }
+  const text = body.trim();
+  return text.startsWith('{') || text.startsWith('[') ? parseJson(JSON.parse(text), receivedAt) : parseCsv(text, receivedAt);
+};
+
+/**
+ * Reading parameters of a sample; unknown channels and values outside a plausible range are dropped
+ * @param {object} sample - Sample from parsePayload
+ * @param {object} device - SensorDevice the sample came from
+ * @returns {object} Parameter values
+ */
+const resolveValues = (sample, device) => {
+  const channelMap = device.channels instanceof Map ? Object.fromEntries(device.channels) : (device.channels || {});
+  const values = {};
+  Object.entries(sample.channels).forEach(([channel, raw]) => {
+    const parameter = channelMap[channel] || CHANNEL_ALIASES[normalizeKey(channel)];
+    const value = raw === '' || raw === null ? NaN : Number(raw);
+    const range = PARAMETERS[parameter];
+    if (range && Number.isFinite(value) && value >= range.min && value <= range.max) {
+      values[parameter] = value;
+    }
+  });
+  return values;
+};
+
+/**
+ * Start of the interval a sample falls in, counted from local midnight so intervals line up with clock times
+ * @param {Date} timestamp - Sample time
+ * @param {number} minutes - Interval length
+ * @returns {Date} Interval start
+ */
+const intervalStart = (timestamp, minutes) => {
+  const midnight = new Date(timestamp);
+  midnight.setHours(0, 0, 0, 0);
+  const length = minutes * MINUTE_MS;
+  return new Date(midnight.getTime() + Math.floor((timestamp - midnight) / length) * length);
+};
+
+/**
+ * Mean of each parameter over an interval's samples, at the precision WaterQualityInput stores
+ * @param {Array<object>} samples - SensorReading documents
+ * @returns {object} Parameter means
+ */
+const meanValues = (samples) => {
+  const means = {};
+  Object.entries(PARAMETERS).forEach(([parameter, { decimals }]) => {
+    const values = samples.map(sample => sample.values && sample.values[parameter]).filter(Number.isFinite);
+    if (values.length > 0) {
+      means[parameter] = round(values.reduce((sum, value) => sum + value, 0) / values.length, decimals);
+    }
+  });
+  return means;
+};
+
+/**
+ * Write one interval's means as a Probe water quality reading, replacing an earlier Probe reading for it.
+ * The reading is upserted on its pond, season and interval, so bridges posting the same interval at
+ * once share one reading. Alert rules, the oxygen forecast and live updates run on every write, as
+ * later samples can change the interval's means; a rule alerts once per reading and the oxygen
+ * forecast once per night, so a breach is not notified again as its interval fills.
+ * @param {object} pond - Pond document
+ * @param {object} interval - Interval ({ start, end })
+ * @param {Array<object>} samples - The pond's SensorReading documents in the interval
+ * @returns {Promise<string>} 'created' or 'updated', or why the interval was skipped
+ */
+const writeInterval = async (pond, interval, samples) => {
+  const means = meanValues(samples);
+  const missing = REQUIRED_PARAMETERS.filter(parameter => means[parameter] === undefined);
+  if (missing.length > 0) { return `Missing ${missing.join(', ')}`; }
+
+  const date = new Date(interval.start);
+  date.setHours(0, 0, 0, 0);
+  const time = clockTime(interval.start);
+  const key = { pondId: pond._id, seasonId: pond.seasonId, date, time, testingMethod: 'Probe' };
+
+  const fields = {
+    ...means,
+    ...deriveChemistry(means),
+    notes: `Mean of ${samples.length} probe samples from ${time} to ${clockTime(interval.end)}`
+  };
+
+  // Rate and validate the reading as a save would, since the upsert skips document middleware
+  const reading = new WaterQualityInput({ ...key, ...fields });
+  await attachProfiles([reading]);
+  fields.overallQuality = reading.calculateQualityRating();
+  const validationError = reading.validateSync();
+  if (validationError) { throw validationError; }
+
+  const upsert = () => WaterQualityInput.findOneAndUpdate(key, { $set: fields }, {
+    new: true,
+    upsert: true,
+    runValidators: true,
+    includeResultMetadata: true
+  });
+
+  let result;
+  try {
+    result = await upsert();
+  } catch (error) {
+    if (error.code !== 11000) { throw error; }
+    // Either another bridge inserted the reading first, or a hand-entered reading holds the slot
+    try {
+      result = await upsert();
+    } catch (retryError) {
+      if (retryError.code === 11000) { return 'A hand-entered reading exists for this time'; }
+      throw retryError;
+    }
+  }
+
+  const waterQualityInput = result.value;
+  waterQualityInput.$locals.profile = reading.$locals.profile;
+  await alertEngine.evaluateWaterQualityInput(waterQualityInput);
+  await diurnalOxygen.warnOfOxygenCrash(waterQualityInput);
+  realtime.publish('waterQualityInput', waterQualityInput, { pondId: pond._id });
+  return result.lastErrorObject && result.lastErrorObject.updatedExisting ? 'updated' : 'created';
+};
+
+/**
+ * Average newly stored samples into water quality readings, one per pond per interval
+ * @param {Array<object>} intervals - Intervals ({ pondId, start, end }) that received new samples
+ * @returns {Promise<object>} { created, updated, skipped: [{ pondId, start, reason }] }
+ */
+const downsample = async (intervals) => {
+  const result = { created: 0, updated: 0, skipped: [] };
+  const byPond = new Map();
+  intervals.forEach(interval => {
+    const key = interval.pondId.toString();
+    byPond.set(key, [...(byPond.get(key) || []), interval]);
+  });
+
+  for (const [pondId, pondIntervals] of byPond) {
+    // eslint-disable-next-line no-await-in-loop
+    const pond = await Pond.findById(pondId);
+    if (!pond) {
+      pondIntervals.forEach(({ start }) => result.skipped.push({ pondId, start, reason: 'Pond not found' }));
+      continue;
+    }
+
+    // Every probe in the pond counts towards its readings, including samples stored earlier
+    // eslint-disable-next-line no-await-in-loop
+    const samples = await SensorReading.find({
+      'meta.pondId': pondId,
+      timestamp: {
+        $gte: new Date(Math.min(...pondIntervals.map(({ start }) => start.getTime()))),
+        $lt: new Date(Math.max(...pondIntervals.map(({ end }) => end.getTime())))
+      }
+    }).lean();
+
+    for (const interval of pondIntervals.sort((a, b) => a.start - b.start)) {
+      const inInterval = samples.filter(sample => sample.timestamp >= interval.start && sample.timestamp < interval.end);
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const outcome = await writeInterval(pond, interval, inInterval);
+        if (outcome === 'created' || outcome === 'updated') {
+          result[outcome]++;
+        } else {
+          result.skipped.push({ pondId, start: interval.start, reason: outcome });
+        }
+      } catch (error) {
+        logger.error('Error writing probe reading', { pondId, start: interval.start, error: error.message });
+        result.skipped.push({ pondId, start: interval.start, reason: error.message });
+      }
+    }
+  }
+  return result;
+};
+
+/**
+ * Store samples from registered devices and fold them into the ponds' water quality readings
+ * @param {Array<object>} samples - Samples from parsePayload
+ * @param {object} [options] - Ingestion options
+ * @param {Date} [options.now] - When the samples were received
+ * @returns {Promise<object>} { received, stored, duplicates, rejected, readings, rollups }
+ */
+const ingest = async (samples, { now = new Date() } = {}) => {
+  const summary = {
+    received: samples.length,
+    stored: 0,
+    duplicates: 0,
+    rejected: [],
+    readings: { created: 0, updated: 0, skipped: [] },
+    rollups: { hour: 0, day: 0 }
+  };
+
+  const deviceIds = [...new Set(samples.map(sample => sample.deviceId).filter(Boolean))];
+  const devices = new Map((await SensorDevice.find({ deviceId: { $in: deviceIds } })).map(device => [device.deviceId, device]));
+  const latestAllowed = new Date(now.getTime() + CLOCK_SKEW_MS);
+
+  const accepted = new Map();
+  samples.forEach(sample => {
+    const device = devices.get(sample.deviceId);
+    let problem = null;
+    let values = {};
+    if (!sample.deviceId) {
+      problem = 'No device ID';
+    } else if (!device) {
+      problem = 'Unknown device';
+    } else if (!device.isActive) {
+      problem = 'Device is inactive';
+    } else if (!sample.timestamp) {
+      problem = 'Invalid timestamp';
+    } else if (sample.timestamp > latestAllowed) {
+      problem = 'Timestamp is in the future';
+    } else {
+      values = resolveValues(sample, device);
+      if (Object.keys(values).length === 0) { problem = 'No recognised values'; }
+    }
+    if (problem) {
+      summary.rejected.push({ deviceId: sample.deviceId, timestamp: sample.timestamp, reason: problem });
+      return;
+    }
+
+    const key = `${device.deviceId}|${sample.timestamp.getTime()}`;
+    if (accepted.has(key)) {
+      summary.duplicates++;
+      return;
+    }
+    accepted.set(key, {
+      device,
+      reading: { timestamp: sample.timestamp, meta: { deviceId: device.deviceId, pondId: device.pondId }, values }
+    });
+  });
+
+  const entries = [...accepted.values()];
+  if (entries.length === 0) { return summary; }
+
+  // Samples a device resends (after a lost acknowledgement, say) are already in the
+  // time-series collection, which has no unique index, so they are looked up first
+  const times = entries.map(({ reading }) => reading.timestamp.getTime());
+  const existing = await SensorReading.find({
+    'meta.deviceId': { $in: [...new Set(entries.map(({ device }) => device.deviceId))] },
+    timestamp: { $gte: new Date(Math.min(...times)), $lte: new Date(Math.max(...times)) }
+  }).select('timestamp meta.deviceId').lean();
+  const seen = new Set(existing.map(reading => `${reading.meta.deviceId}|${reading.timestamp.getTime()}`));
+  const stored = entries.filter(({ device, reading }) => !seen.has(`${device.deviceId}|${reading.timestamp.getTime()}`));
+  if (stored.length > 0) {
+    await SensorReading.insertMany(stored.map(({ reading }) => reading), { ordered: false });
+  }
+  summary.stored = stored.length;
+  summary.duplicates += entries.length - stored.length;
+
+  await SensorDevice.updateMany(
+    { deviceId: { $in: [...new Set(entries.map(({ device }) => device.deviceId))] } },
+    { $set: { lastSeenAt: now } }
+  );
+
+  const intervals = new Map();
+  stored.forEach(({ device, reading }) => {
+    const minutes = device.sampleIntervalMinutes || config.sensors.sampleIntervalMinutes;
+    const start = intervalStart(reading.timestamp, minutes);
+    intervals.set(`${reading.meta.pondId}|${start.getTime()}`, {
+      pondId: reading.meta.pondId,
+      start,
+      end: new Date(start.getTime() + minutes * MINUTE_MS)
+    });
+  });
+  summary.readings = await downsample([...intervals.values()]);
+  summary.rollups = await sensorRollups.refresh(stored.map(({ reading }) => reading));
+
+  logger.info('Sensor samples ingested', {
+    received: summary.received,
+    stored: summary.stored,
+    duplicates: summary.duplicates,
+    rejected: summary.rejected.length,
+    created: summary.readings.created,
+    updated: summary.readings.updated
+  });
+  return summary;
+};
+
+module.exports = {
+  PARAMETERS,
+  CHANNEL_ALIASES,
+  parsePayload,
+  resolveValues,
+  intervalStart,
+  meanValues,
+  ingest
+};
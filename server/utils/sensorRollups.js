@@ -0,0 +1,317 @@
+/**
+ * Sensor Rollups
+ * Probe data is kept at three resolutions: raw samples in a time-series
+ * collection, and hourly and daily min / max / mean per pond. Each resolution
+ * has its own retention, so raw samples can expire after weeks while daily
+ * rollups last for years. Rollups are recomputed for the hours and days that
+ * receive new samples. Queries over a range read the finest resolution that
+ * still covers it within a point budget: a day's chart reads raw samples, a
+ * month's hourly rollups and a season's daily ones.
+ */
+
+const mongoose = require('mongoose');
+const SensorReading = require('../models/SensorReading');
+const SensorRollup = require('../models/SensorRollup');
+const WaterQualityInput = require('../models/WaterQualityInput');
+const { toTimestamp } = require('./alertEngine');
+const { config } = require('../config');
+const { logger } = require('./logger');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Typical spacing of each resolution's points; probes usually sample every few minutes
+const RESOLUTION_MS = {
+  raw: 5 * MINUTE_MS,
+  hour: HOUR_MS,
+  day: DAY_MS
+};
+
+// Most points a query returns before a coarser resolution is used
+const MAX_POINTS = 750;
+
+const PARAMETERS = ['pH', 'dissolvedOxygen', 'temperature', 'salinity', 'ammonia', 'nitrite', 'nitrate', 'alkalinity', 'turbidity'];
+
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+
+/**
+ * Start of the hour or local day a time falls in
+ * @param {Date} timestamp - Time
+ * @param {string} resolution - 'hour' or 'day'
+ * @returns {Date} Period start
+ */
+const periodStart = (timestamp, resolution) => {
+  const start = new Date(timestamp);
+  if (resolution === 'day') {
+    start.setHours(0, 0, 0, 0);
+  } else {
+    start.setMinutes(0, 0, 0);
+  }
+  return start;
+};
+
+/**
+ * Statistics of each parameter over raw samples
+ * @param {Array<object>} samples - Samples with values
+ * @returns {object} { parameter: { min, max, mean, count } } for the parameters measured
+ */
+const summarize = (samples) => {
+  const stats = {};
+  PARAMETERS.forEach(parameter => {
+    const values = samples.map(sample => sample.values && sample.values[parameter]).filter(Number.isFinite);
+    if (values.length === 0) { return; }
+    stats[parameter] = {
+      min: Math.min(...values),
+      max: Math.max(...values),
+      mean: round(values.reduce((sum, value) => sum + value, 0) / values.length),
+      count: values.length
+    };
+  });
+  return stats;
+};
+
+/**
+ * Merge statistics of several periods, weighting each mean by its sample count
+ * @param {Array<object>} statsList - Statistics from summarize or earlier rollups
+ * @returns {object} Combined statistics
+ */
+const combineStats = (statsList) => {
+  const combined = {};
+  PARAMETERS.forEach(parameter => {
+    const parts = statsList.map(stats => stats && stats[parameter]).filter(part => part && part.count > 0);
+    if (parts.length === 0) { return; }
+    const count = parts.reduce((sum, part) => sum + part.count, 0);
+    combined[parameter] = {
+      min: Math.min(...parts.map(part => part.min)),
+      max: Math.max(...parts.map(part => part.max)),
+      mean: round(parts.reduce((sum, part) => sum + part.mean * part.count, 0) / count),
+      count
+    };
+  });
+  return combined;
+};
+
+/**
+ * When a rollup expires: its start plus the resolution's retention, or never
+ * @param {string} resolution - 'hour' or 'day'
+ * @param {Date} start - Period start
+ * @returns {Date|null} Expiry
+ */
+const expiryFor = (resolution, start) => {
+  const days = config.sensors.retentionDays[resolution];
+  return days > 0 ? new Date(start.getTime() + days * DAY_MS) : null;
+};
+
+/**
+ * Write a pond's rollups at one resolution, replacing earlier ones for the same periods
+ * @param {string} pondId - Pond ID
+ * @param {string} resolution - 'hour' or 'day'
+ * @param {Map<number, object>} periods - Period start (ms) -> statistics
+ * @returns {Promise<number>} Rollups written
+ */
+const writeRollups = async (pondId, resolution, periods) => {
+  if (periods.size === 0) { return 0; }
+  await SensorRollup.bulkWrite([...periods].map(([start, values]) => ({
+    updateOne: {
+      filter: { pondId, resolution, start: new Date(start) },
+      update: {
+        $set: {
+          values,
+          sampleCount: Math.max(0, ...Object.values(values).map(stats => stats.count)),
+          expiresAt: expiryFor(resolution, new Date(start))
+        }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+  return periods.size;
+};
+
+/**
+ * Recompute the hourly and daily rollups covering newly stored samples
+ * @param {Array<object>} readings - Stored samples ({ timestamp, meta: { pondId } })
+ * @returns {Promise<object>} Rollups written ({ hour, day })
+ */
+const refresh = async (readings) => {
+  const written = { hour: 0, day: 0 };
+  const hoursByPond = new Map();
+  readings.forEach(reading => {
+    const pondId = reading.meta.pondId.toString();
+    const hours = hoursByPond.get(pondId) || new Set();
+    hours.add(periodStart(reading.timestamp, 'hour').getTime());
+    hoursByPond.set(pondId, hours);
+  });
+
+  for (const [pondId, hourSet] of hoursByPond) {
+    const hourStarts = [...hourSet].sort((a, b) => a - b);
+
+    // eslint-disable-next-line no-await-in-loop
+    const samples = await SensorReading.find({
+      'meta.pondId': pondId,
+      timestamp: { $gte: new Date(hourStarts[0]), $lt: new Date(hourStarts[hourStarts.length - 1] + HOUR_MS) }
+    }).select('timestamp values').lean();
+
+    const hourly = new Map(hourStarts.map(start => [
+      start,
+      summarize(samples.filter(sample => periodStart(sample.timestamp, 'hour').getTime() === start))
+    ]));
+    // eslint-disable-next-line no-await-in-loop
+    written.hour += await writeRollups(pondId, 'hour', hourly);
+
+    // Days are combined from their hours, so each sample is read once
+    const dayStarts = [...new Set(hourStarts.map(start => periodStart(new Date(start), 'day').getTime()))];
+    // eslint-disable-next-line no-await-in-loop
+    const hours = await SensorRollup.find({
+      pondId,
+      resolution: 'hour',
+      start: { $gte: new Date(dayStarts[0]), $lt: new Date(dayStarts[dayStarts.length - 1] + DAY_MS) }
+    }).select('start values').lean();
+
+    const daily = new Map(dayStarts.map(start => [
+      start,
+      combineStats(hours.filter(hour => periodStart(hour.start, 'day').getTime() === start).map(hour => hour.values))
+    ]));
+    // eslint-disable-next-line no-await-in-loop
+    written.day += await writeRollups(pondId, 'day', daily);
+  }
+  return written;
+};
+
+/**
+ * The finest resolution whose retention still covers the start of a range and that keeps within the point budget
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {Date} [now] - Current time
+ * @returns {string} 'raw', 'hour' or 'day'
+ */
+const chooseResolution = (from, to, now = new Date()) => {
+  const span = to - from;
+  const fits = (resolution) => {
+    const days = config.sensors.retentionDays[resolution];
+    const retained = !(days > 0) || from >= new Date(now.getTime() - days * DAY_MS);
+    return retained && span / RESOLUTION_MS[resolution] <= MAX_POINTS;
+  };
+  return ['raw', 'hour'].find(fits) || 'day';
+};
+
+/**
+ * Probe series of ponds over a range. Raw samples come back with the same statistics shape as rollups.
+ * @param {object} query - Series query
+ * @param {Array<string>} query.pondIds - Pond IDs
+ * @param {Date} query.from - Range start
+ * @param {Date} query.to - Range end
+ * @param {string} [query.resolution] - 'raw', 'hour', 'day', or 'auto' to choose by range
+ * @param {Date} [query.now] - Current time
+ * @returns {Promise<object>} { resolution, points: [{ pondId, timestamp, values: { parameter: { min, max, mean, count } } }] }
+ */
+const querySeries = async ({ pondIds, from, to, resolution = 'auto', now = new Date() }) => {
+  const chosen = resolution === 'auto' ? chooseResolution(from, to, now) : resolution;
+  if (chosen === 'raw') {
+    const samples = await SensorReading.find({ 'meta.pondId': { $in: pondIds }, timestamp: { $gte: from, $lte: to } })
+      .sort({ timestamp: 1 })
+      .lean();
+    return {
+      resolution: chosen,
+      points: samples.map(sample => ({ pondId: sample.meta.pondId, timestamp: sample.timestamp, values: summarize([sample]) }))
+    };
+  }
+
+  const rollups = await SensorRollup.find({
+    pondId: { $in: pondIds },
+    resolution: chosen,
+    start: { $gte: periodStart(from, chosen), $lte: to }
+  }).sort({ start: 1 }).lean();
+  return {
+    resolution: chosen,
+    points: rollups.map(rollup => ({ pondId: rollup.pondId, timestamp: rollup.start, values: rollup.values || {} }))
+  };
+};
+
+/**
+ * Probe statistics per calendar day across ponds, from the daily rollups
+ * @param {Array<string>} pondIds - Pond IDs
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Map<string, object>>} Local date (YYYY-MM-DD) -> statistics of all the ponds' samples that day
+ */
+const dailyStats = async (pondIds, from, to) => {
+  const { points } = await querySeries({ pondIds, from, to, resolution: 'day' });
+  const byDay = new Map();
+  points.forEach(point => {
+    const day = point.timestamp;
+    const key = `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+    byDay.set(key, [...(byDay.get(key) || []), point.values]);
+  });
+  return new Map([...byDay].map(([key, statsList]) => [key, combineStats(statsList)]));
+};
+
+/**
+ * A pond's water quality readings over whole days for comparison charts: hand-entered and
+ * laboratory readings as recorded, with probe data from the series at the range's
+ * resolution in place of the down-sampled Probe readings
+ * @param {string} pondId - Pond ID
+ * @param {Date} from - First day
+ * @param {Date} to - Last day
+ * @returns {Promise<Array<object>>} Readings ({ date, pH, dissolvedOxygen, temperature, salinity, ammonia, source }), oldest first
+ */
+const waterQualitySeries = async (pondId, from, to) => {
+  const until = new Date(to);
+  until.setHours(23, 59, 59, 999);
+  const [inputs, series] = await Promise.all([
+    WaterQualityInput.find({ pondId, date: { $gte: from, $lte: to }, testingMethod: { $ne: 'Probe' } }).sort({ date: 1 }).lean(),
+    querySeries({ pondIds: [pondId], from, to: until })
+  ]);
+
+  const mean = (values, parameter) => (values[parameter] ? values[parameter].mean : undefined);
+  return [
+    ...inputs.map(input => ({
+      date: toTimestamp(input.date, input.time),
+      pH: input.pH,
+      dissolvedOxygen: input.dissolvedOxygen,
+      temperature: input.temperature,
+      salinity: input.salinity,
+      ammonia: input.ammonia,
+      source: input.testingMethod
+    })),
+    ...series.points.map(point => ({
+      date: point.timestamp,
+      pH: mean(point.values, 'pH'),
+      dissolvedOxygen: mean(point.values, 'dissolvedOxygen'),
+      temperature: mean(point.values, 'temperature'),
+      salinity: mean(point.values, 'salinity'),
+      ammonia: mean(point.values, 'ammonia'),
+      source: `Probe (${series.resolution})`
+    }))
+  ].sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Bring the raw sample collection's expiry in line with the configured retention;
+ * the time-series collection only takes it from the schema when first created
+ * @returns {Promise<void>}
+ */
+const applyRetention = async () => {
+  try {
+    await SensorReading.init();
+    await mongoose.connection.db.command({
+      collMod: SensorReading.collection.collectionName,
+      expireAfterSeconds: config.sensors.retentionDays.raw * 24 * 60 * 60
+    });
+  } catch (error) {
+    logger.warn('Could not apply sensor sample retention', { error: error.message });
+  }
+};
+
+module.exports = {
+  PARAMETERS,
+  periodStart,
+  summarize,
+  combineStats,
+  refresh,
+  chooseResolution,
+  querySeries,
+  dailyStats,
+  waterQualitySeries,
+  applyRetention
+};
@@ -0,0 +1,238 @@
+/**
+ * SOP Planner
+ * Turns a standard operating procedure template into a season plan: each step
+ * is placed relative to the season start or a pond's stocking date, expanded
+ * for every selected pond and created as Tasks (repeating steps become task
+ * series) and planned Events. The whole plan is validated before anything is
+ * written, a failed write removes what the plan had already created, and ponds
+ * the template was already applied to are skipped.
+ */
+
+const Event = require('../models/Event');
+const Pond = require('../models/Pond');
+const Task = require('../models/Task');
+const TaskSeries = require('../models/TaskSeries');
+const taskRecurrence = require('./taskRecurrence');
+
+// Upper bound on events a single repeating step may expand to
+const MAX_REPEATS = 366;
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const atTime = (day, time) => {
+  if (!time) { return day; }
+  const [hours, minutes] = time.split(':').map(part => parseInt(part, 10));
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+};
+
+/**
+ * Display name of a pond, whose name is a language map
+ * @param {object} pond - Pond document or plain object
+ * @returns {string} English name, or the first name available
+ */
+const pondName = (pond) => {
+  const name = pond.name;
+  if (!name) { return ''; }
+  if (name instanceof Map) { return name.get('en') || name.values().next().value || ''; }
+  if (typeof name === 'object') { return name.en || Object.values(name)[0] || ''; }
+  return name;
+};
+
+/**
+ * Lay out the tasks and events a template produces for a set of ponds
+ * @param {object} template - SopTemplate document
+ * @param {object} options - Planning inputs
+ * @param {object} options.season - Season document (startDate, endDate)
+ * @param {Array<object>} options.ponds - Ponds to plan for
+ * @param {object} [options.stockingDates] - Stocking date per pond id
+ * @param {Date} [options.defaultStockingDate] - Stocking date for ponds without one (defaults to season start)
+ * @returns {Array<object>} Plan items ({ kind, title, pondId, pondName, date, repeatEveryDays, until, ... }) sorted by date
+ */
+const buildPlan = (template, { season, ponds, stockingDates = {}, defaultStockingDate }) => {
+  const seasonStart = new Date(season.startDate);
+  const seasonEnd = season.endDate ? new Date(season.endDate) : null;
+  const items = [];
+
+  ponds.forEach(pond => {
+    const pondId = String(pond._id);
+    const stocking = new Date(stockingDates[pondId] || defaultStockingDate || seasonStart);
+
+    template.steps.forEach((step, index) => {
+      const anchorDate = step.anchor === 'stocking' ? stocking : seasonStart;
+      const date = atTime(addDays(anchorDate, step.offsetDays || 0), step.time);
+      const item = {
+        step: index,
+        kind: step.kind || 'task',
+        title: step.title,
+        description: step.description,
+        category: step.category,
+        eventType: step.eventType,
+        eventDetails: step.eventDetails,
+        time: step.time,
+        pondId,
+        pondName: pondName(pond),
+        date
+      };
+
+      if (!step.repeatEveryDays) {
+        items.push(item);
+        return;
+      }
+
+      const until = step.repeatUntilDays !== undefined && step.repeatUntilDays !== null
+        ? atTime(addDays(anchorDate, step.repeatUntilDays), '23:59')
+        : seasonEnd;
+
+      // Repeating tasks become one task series; repeating events are expanded into individual planned events
+      if (item.kind === 'task') {
+        items.push({ ...item, repeatEveryDays: step.repeatEveryDays, until });
+        return;
+      }
+      for (let i = 0; i < MAX_REPEATS; i++) {
+        const occurrence = atTime(addDays(date, i * step.repeatEveryDays), step.time);
+        if (until && occurrence > until) { break; }
+        items.push({ ...item, date: occurrence });
+        if (!until) { break; }
+      }
+    });
+  });
+
+  return items.sort((a, b) => a.date - b.date || a.step - b.step);
+};
+
+/**
+ * Earliest recorded stocking date of each pond in a season
+ * @param {string} seasonId - Season ID
+ * @param {Array<string>} pondIds - Pond IDs
+ * @returns {Promise<object>} Stocking date keyed by pond id
+ */
+const findStockingDates = async (seasonId, pondIds) => {
+  const stockings = await Event.find({ seasonId, pondId: { $in: pondIds }, eventType: 'Stocking' }).sort({ date: 1 });
+  const dates = {};
+  stockings.forEach(event => {
+    const pondId = String(event.pondId);
+    if (!dates[pondId]) { dates[pondId] = event.date; }
+  });
+  return dates;
+};
+
+/**
+ * Ponds of a season the template has already been applied to
+ * @param {object} template - SopTemplate document
+ * @param {string} seasonId - Season ID
+ * @returns {Promise<Set<string>>} Pond ids
+ */
+const findPlannedPonds = async (template, seasonId) => {
+  const [taskPonds, eventPonds] = await Promise.all([
+    Task.distinct('pondId', { sopTemplateId: template._id, seasonId }),
+    Event.distinct('pondId', { 'details.sopTemplateId': String(template._id), seasonId })
+  ]);
+  return new Set([...taskPonds, ...eventPonds].filter(Boolean).map(String));
+};
+
+/**
+ * Apply a template to a season, creating its tasks, task series and planned events
+ * @param {object} template - SopTemplate document
+ * @param {object} season - Season document
+ * @param {object} [options] - Apply options
+ * @param {Array<string>} [options.pondIds] - Ponds to plan for (defaults to every pond in the season)
+ * @param {Date} [options.stockingDate] - Stocking date for ponds without a recorded stocking
+ * @param {boolean} [options.preview] - Only return the plan without creating anything
+ * @returns {Promise<object>} Result ({ plan, skippedPonds, created: { tasks, series, events } })
+ */
+const applyTemplate = async (template, season, { pondIds, stockingDate, preview = false } = {}) => {
+  const pondFilter = { seasonId: season._id };
+  if (pondIds && pondIds.length > 0) { pondFilter._id = { $in: pondIds }; }
+  const ponds = await Pond.find(pondFilter);
+
+  const plannedPonds = await findPlannedPonds(template, season._id);
+  const targetPonds = ponds.filter(pond => !plannedPonds.has(String(pond._id)));
+  const skippedPonds = ponds
+    .filter(pond => plannedPonds.has(String(pond._id)))
+    .map(pond => ({ pondId: pond._id, pondName: pondName(pond) }));
+
+  const stockingDates = await findStockingDates(season._id, targetPonds.map(pond => pond._id));
+  const plan = buildPlan(template, { season, ponds: targetPonds, stockingDates, defaultStockingDate: stockingDate });
+
+  if (preview) {
+    return { plan, skippedPonds, created: { tasks: 0, series: 0, events: 0 } };
+  }
+
+  const taskFields = (item) => ({
+    title: item.title,
+    description: item.description,
+    category: item.category,
+    dueDate: item.date,
+    seasonId: season._id,
+    pondId: item.pondId,
+    sopTemplateId: template._id
+  });
+
+  const tasks = plan.filter(item => item.kind === 'task' && !item.repeatEveryDays).map(taskFields);
+  const seriesItems = plan.filter(item => item.kind === 'task' && item.repeatEveryDays);
+  const events = plan.filter(item => item.kind === 'event').map(item => ({
+    date: item.date,
+    eventType: item.eventType,
+    pondId: item.pondId,
+    seasonId: season._id,
+    status: 'Planned',
+    details: { ...(item.eventDetails || {}), description: item.title, sopTemplateId: String(template._id) },
+    notes: item.description
+  }));
+
+  const seriesData = seriesItems.map(item => ({
+    ...taskFields(item),
+    frequency: 'Daily',
+    interval: item.repeatEveryDays,
+    times: item.time ? [item.time] : undefined,
+    until: item.until
+  }));
+
+  // Validate the whole plan first so a bad step does not leave a half-created season
+  const errors = [
+    ...tasks.map(doc => new Task(doc).validateSync()),
+    ...seriesData.map(data => taskRecurrence.buildSeries(data).validateSync()),
+    ...events.map(doc => new Event(doc).validateSync())
+  ].filter(Boolean);
+  if (errors.length > 0) {
+    const error = new Error(`Template cannot be applied: ${errors[0].message}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Every write is waited for, so a failure can be rolled back without racing the others
+  const results = await Promise.allSettled([
+    tasks.length > 0 ? Task.insertMany(tasks) : [],
+    events.length > 0 ? Event.insertMany(events) : [],
+    ...seriesData.map(data => taskRecurrence.createSeries(data))
+  ]);
+  const failed = results.find(result => result.status === 'rejected');
+  if (failed) {
+    // The target ponds had nothing from this template before, so everything it marks there is from this run
+    const targetPondIds = targetPonds.map(pond => pond._id);
+    const created = { sopTemplateId: template._id, seasonId: season._id, pondId: { $in: targetPondIds } };
+    await Promise.all([
+      Task.deleteMany(created),
+      TaskSeries.deleteMany(created),
+      Event.deleteMany({ 'details.sopTemplateId': String(template._id), seasonId: season._id, pondId: { $in: targetPondIds } })
+    ]);
+    throw failed.reason;
+  }
+  const [createdTasks, createdEvents, ...createdSeries] = results.map(result => result.value);
+
+  return {
+    plan,
+    skippedPonds,
+    created: {
+      tasks: createdTasks.length,
+      series: createdSeries.filter(Boolean).length,
+      events: createdEvents.length
+    }
+  };
+};
+
+module.exports = {
+  pondName,
+  buildPlan,
+  applyTemplate
+};
@@ -0,0 +1,128 @@
+/**
+ * Task Data Entry
+ * Completion rules for tasks that carry a checklist or a required data entry.
+ * Completing such a task records the linked WaterQualityInput, FeedInput or
+ * GrowthSampling through the same validation rules and controller the data
+ * entry pages use, so validation, inventory deductions, alerts and live
+ * updates all apply.
+ */
+
+const { validationResult } = require('express-validator');
+const { waterQualityValidation, feedInputValidation } = require('../middleware/validation');
+const waterQualityInputController = require('../controllers/waterQualityInputController');
+const feedInputController = require('../controllers/feedInputController');
+const growthSamplingController = require('../controllers/growthSamplingController');
+
+const RECORD_CREATORS = {
+  WaterQualityInput: waterQualityInputController.createWaterQualityInput,
+  FeedInput: feedInputController.createFeedInput,
+  GrowthSampling: growthSamplingController.createGrowthSampling
+};
+
+// The request validation each record's create route applies
+const RECORD_VALIDATION = {
+  WaterQualityInput: waterQualityValidation.create,
+  FeedInput: feedInputValidation.create,
+  GrowthSampling: []
+};
+
+const DATA_ENTRY_TYPES = Object.keys(RECORD_CREATORS);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Check whether every checklist item is ticked
+ * @param {Array<object>} [checklist] - Checklist items ({ label, done })
+ * @returns {boolean} True if there is nothing left to tick
+ */
+const isChecklistDone = (checklist) => !checklist || checklist.every(item => item.done);
+
+/**
+ * Build the record body for a task's data entry, defaulting pond, season, date and time from the task
+ * @param {object} task - Task document
+ * @param {object} reading - Values entered when completing the task
+ * @param {Date} [now] - Completion time
+ * @returns {object} Request body for the record's create controller
+ */
+const buildRecordBody = (task, reading, now = new Date()) => ({
+  date: now.toISOString(),
+  time: `${pad(now.getHours())}:${pad(now.getMinutes())}`,
+  pondId: task.pondId && String(task.pondId._id || task.pondId),
+  seasonId: task.seasonId && String(task.seasonId._id || task.seasonId),
+  ...reading
+});
+
+/**
+ * Apply the record's route validation to a record body
+ * @param {string} dataEntryType - Record model name
+ * @param {object} body - Record body
+ * @returns {Promise<void>}
+ * @throws {Error} With statusCode 400 listing the fields that failed
+ */
+const validateRecordBody = async (dataEntryType, body) => {
+  const req = { body };
+  // The chains run on their own; the route's trailing error handler is left out
+  const chains = RECORD_VALIDATION[dataEntryType].filter(rule => typeof rule.run === 'function');
+  for (const chain of chains) {
+    // eslint-disable-next-line no-await-in-loop
+    await chain.run(req);
+  }
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const messages = errors.array().map(error => `${error.path}: ${error.msg}`);
+    const error = new Error(`Validation failed: ${messages.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+/**
+ * Create the record a task requires to be completed
+ * @param {object} task - Task document with dataEntryType set
+ * @param {object} reading - Values entered when completing the task
+ * @param {Date} [now] - Completion time
+ * @returns {Promise<object>} The created record
+ * @throws {Error} With statusCode set when the reading is missing, invalid or rejected
+ */
+const createLinkedRecord = async (task, reading, now = new Date()) => {
+  const create = RECORD_CREATORS[task.dataEntryType];
+  if (!create) {
+    const error = new Error(`Unknown data entry type: ${task.dataEntryType}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  if (!reading || typeof reading !== 'object') {
+    const error = new Error(`A ${task.dataEntryType} reading is required to complete this task`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const body = buildRecordBody(task, reading, now);
+  await validateRecordBody(task.dataEntryType, body);
+
+  // Capture the controller's response instead of sending it
+  const result = {};
+  const res = {
+    status: (statusCode) => {
+      result.statusCode = statusCode;
+      return { json: (body) => { result.body = body; } };
+    }
+  };
+  await create({ body }, res);
+
+  if (result.statusCode !== 201) {
+    const body = result.body || {};
+    const error = new Error([body.message, body.error].filter(Boolean).join(': ') || `Error creating ${task.dataEntryType}`);
+    error.statusCode = result.statusCode || 500;
+    throw error;
+  }
+  return result.body;
+};
+
+module.exports = {
+  DATA_ENTRY_TYPES,
+  isChecklistDone,
+  buildRecordBody,
+  createLinkedRecord
+};
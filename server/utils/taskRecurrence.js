@@ -0,0 +1,345 @@
+/**
+ * Task Recurrence
+ * Generates occurrences of recurring task series. A TaskSeries describes an
+ * RRULE-like pattern (frequency, interval, weekdays, nth weekday or day of
+ * month, times of day, end date or count); each occurrence is a Task with
+ * seriesId set. The next occurrence is spawned when one is completed, and a
+ * scheduler tops up series whose latest occurrence has passed.
+ */
+
+const Task = require('../models/Task');
+const TaskSeries = require('../models/TaskSeries');
+const { logger } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Indexed by Date#getDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// How far ahead to look for a matching day before giving up on a pattern
+const MAX_SEARCH_DAYS = 366 * 5;
+
+// Fields copied from the series onto each occurrence
+const TEMPLATE_FIELDS = [
+  'title', 'description', 'category', 'frequency', 'assignedTo', 'assigneeModel', 'assigneeName', 'seasonId', 'pondId', 'sopTemplateId',
+  'checklist', 'dataEntryType', 'estimatedCost'
+];
+
+// Fields that decide when occurrences fall
+const PATTERN_FIELDS = ['frequency', 'interval', 'byDay', 'bySetPos', 'byMonthDay', 'times'];
+
+const SERIES_FIELDS = [...TEMPLATE_FIELDS, ...PATTERN_FIELDS, 'until', 'count'];
+
+// Form values arrive as '' or null for "not set"
+const normalize = (value) => (value === '' || value === null ? undefined : value);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  day.setDate(day.getDate() - (day.getDay() + 6) % 7);
+  return day;
+};
+
+// Rounded so daylight saving shifts do not change the count
+const daysBetween = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+
+const monthsBetween = (from, to) => (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth();
+
+const daysInMonth = (date) => new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+// Template values as set on an occurrence; checklist items always start unticked
+const templateFields = (series) => {
+  const fields = {};
+  TEMPLATE_FIELDS.forEach(field => {
+    if (series[field] !== undefined) { fields[field] = series[field]; }
+  });
+  if (fields.checklist) { fields.checklist = fields.checklist.map(item => ({ label: item.label })); }
+  return fields;
+};
+
+/**
+ * Check whether a calendar day matches a series pattern
+ * @param {object} series - TaskSeries document or plain pattern
+ * @param {Date} day - Day to check (time of day is ignored)
+ * @returns {boolean} True if occurrences fall on this day
+ */
+const matchesDay = (series, day) => {
+  const start = new Date(series.startDate);
+  const interval = series.interval || 1;
+  const weekday = WEEKDAYS[day.getDay()];
+  const byDay = series.byDay && series.byDay.length > 0 ? series.byDay : null;
+
+  switch (series.frequency) {
+  case 'Daily':
+    return daysBetween(start, day) % interval === 0;
+  case 'Weekly': {
+    const weeks = Math.round(daysBetween(startOfWeek(start), startOfWeek(day)) / 7);
+    return weeks % interval === 0 && (byDay || [WEEKDAYS[start.getDay()]]).includes(weekday);
+  }
+  case 'Monthly': {
+    if (monthsBetween(start, day) % interval !== 0) { return false; }
+    if (byDay && series.bySetPos) {
+      if (!byDay.includes(weekday)) { return false; }
+      return series.bySetPos > 0
+        ? Math.ceil(day.getDate() / 7) === series.bySetPos
+        : day.getDate() + 7 > daysInMonth(day);
+    }
+    const monthDay = series.byMonthDay || start.getDate();
+    return day.getDate() === Math.min(monthDay, daysInMonth(day));
+  }
+  default:
+    return false;
+  }
+};
+
+/**
+ * Find the first occurrence of a series strictly after a given time
+ * @param {object} series - TaskSeries document or plain pattern
+ * @param {Date} after - Occurrences at or before this time are skipped
+ * @returns {Date|null} Next occurrence, or null if the series has ended
+ */
+const nextOccurrence = (series, after) => {
+  const start = new Date(series.startDate);
+  const times = series.times && series.times.length > 0
+    ? [...series.times].sort()
+    : [`${pad(start.getHours())}:${pad(start.getMinutes())}`];
+  const from = new Date(Math.max(new Date(after).getTime(), start.getTime() - 1));
+  const day = startOfDay(from);
+
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+    if (matchesDay(series, day)) {
+      const candidate = times
+        .map(time => {
+          const [hours, minutes] = time.split(':').map(part => parseInt(part, 10));
+          return new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+        })
+        .find(time => time > from);
+
+      if (candidate) {
+        return series.until && candidate > new Date(series.until) ? null : candidate;
+      }
+    }
+    day.setDate(day.getDate() + 1);
+  }
+
+  return null;
+};
+
+/**
+ * Build the fields of an occurrence from its series
+ * @param {object} series - TaskSeries document
+ * @param {Date} dueDate - Occurrence due date
+ * @returns {object} Task fields
+ */
+const occurrenceFromSeries = (series, dueDate) => ({ ...templateFields(series), seriesId: series._id, dueDate });
+
+/**
+ * Create the next occurrence of a series after a given time, ending the series when it has no more
+ * @param {object} series - TaskSeries document
+ * @param {Date} after - Reference time
+ * @returns {Promise<object|null>} Created Task, or null if none was created
+ */
+const spawnNextOccurrence = async (series, after) => {
+  const dueDate = nextOccurrence(series, after);
+  const countReached = series.count && await Task.countDocuments({ seriesId: series._id }) >= series.count;
+
+  if (!dueDate || countReached) {
+    await TaskSeries.updateOne({ _id: series._id }, { isActive: false });
+    return null;
+  }
+
+  const existing = await Task.findOne({ seriesId: series._id, dueDate });
+  if (existing) { return null; }
+
+  return Task.create(occurrenceFromSeries(series, dueDate));
+};
+
+/**
+ * Unsaved series from task fields and a recurrence pattern, so callers can validate it before writing anything
+ * @param {object} data - Task fields plus recurrence pattern (dueDate marks the start)
+ * @returns {object} TaskSeries document
+ */
+const buildSeries = (data) => {
+  const fields = {};
+  SERIES_FIELDS.forEach(field => {
+    if (normalize(data[field]) !== undefined) { fields[field] = data[field]; }
+  });
+  return new TaskSeries({ ...fields, startDate: data.startDate || data.dueDate });
+};
+
+/**
+ * Create a recurring series and its first occurrence
+ * @param {object} data - Task fields plus recurrence pattern (dueDate marks the start)
+ * @returns {Promise<object|null>} First occurrence, or null if the pattern never occurs
+ */
+const createSeries = async (data) => {
+  const series = await buildSeries(data).save();
+  const first = await spawnNextOccurrence(series, new Date(new Date(series.startDate).getTime() - 1));
+  if (!first) {
+    await TaskSeries.deleteOne({ _id: series._id });
+  }
+  return first;
+};
+
+/**
+ * Turn a standalone recurring task (e.g. one created before series existed, or
+ * switched from Once) into the first occurrence of a new series
+ * @param {object} task - Task document with a recurring frequency and no seriesId
+ * @param {object} [pattern] - Recurrence pattern fields
+ * @returns {Promise<object>} The created TaskSeries
+ */
+const startSeriesFromTask = async (task, pattern = {}) => {
+  const fields = {};
+  SERIES_FIELDS.forEach(field => {
+    const value = normalize(pattern[field]) !== undefined ? pattern[field] : task[field];
+    if (normalize(value) !== undefined) { fields[field] = value; }
+  });
+
+  const series = await TaskSeries.create({ ...fields, startDate: task.dueDate });
+  task.seriesId = series._id;
+  await task.save();
+  return series;
+};
+
+/**
+ * Spawn the next occurrence once an occurrence is completed, unless a later one is already open
+ * @param {object} task - Completed Task document
+ * @returns {Promise<object|null>} Created Task, or null if none was needed
+ */
+const handleOccurrenceCompleted = async (task) => {
+  if (!task.seriesId) {
+    if (!task.frequency || task.frequency === 'Once') { return null; }
+    const series = await startSeriesFromTask(task);
+    return spawnNextOccurrence(series, task.dueDate);
+  }
+
+  const series = await TaskSeries.findById(task.seriesId);
+  if (!series || !series.isActive) { return null; }
+
+  const upcoming = await Task.findOne({ seriesId: series._id, completed: false, dueDate: { $gt: task.dueDate } });
+  if (upcoming) { return null; }
+
+  return spawnNextOccurrence(series, task.dueDate);
+};
+
+/**
+ * Stop a series and remove its open occurrences from the given one onward; completed history is kept
+ * @param {object} task - Occurrence the deletion was made from
+ * @returns {Promise<void>}
+ */
+const endSeries = async (task) => {
+  await TaskSeries.updateOne({ _id: task.seriesId }, { isActive: false });
+  await Task.deleteMany({ seriesId: task.seriesId, completed: false, dueDate: { $gte: task.dueDate } });
+};
+
+/**
+ * Apply an edit to a whole series from the given occurrence onward. Completed
+ * occurrences and occurrences edited on their own keep their values; a pattern
+ * change re-anchors the series on this occurrence's day and reschedules it.
+ * @param {object} task - Occurrence the edit was made from
+ * @param {object} data - Updated task and pattern fields
+ * @returns {Promise<object>} The updated occurrence
+ */
+const updateSeries = async (task, data) => {
+  const series = await TaskSeries.findById(task.seriesId);
+  if (!series) { throw new Error('Task series not found'); }
+
+  // A series switched to Once stops after this occurrence
+  if (data.frequency === 'Once') {
+    await endSeries({ seriesId: series._id, dueDate: new Date(task.dueDate.getTime() + 1) });
+    TEMPLATE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) { task[field] = normalize(data[field]); }
+    });
+    return task.save();
+  }
+
+  const patternChanged = PATTERN_FIELDS.some(field =>
+    data[field] !== undefined && JSON.stringify(normalize(data[field])) !== JSON.stringify(normalize(series[field])));
+
+  SERIES_FIELDS.forEach(field => {
+    if (data[field] !== undefined) { series[field] = normalize(data[field]); }
+  });
+
+  const template = templateFields(series);
+
+  if (patternChanged) {
+    series.startDate = data.dueDate ? new Date(data.dueDate) : startOfDay(new Date(task.dueDate));
+    series.isActive = true;
+  }
+  await series.save();
+
+  await Task.updateMany(
+    { seriesId: series._id, completed: false, isException: false, dueDate: { $gte: task.dueDate } },
+    { $set: template }
+  );
+
+  if (patternChanged) {
+    await Task.deleteMany({ seriesId: series._id, completed: false, isException: false, dueDate: { $gt: task.dueDate } });
+    const dueDate = nextOccurrence(series, new Date(new Date(series.startDate).getTime() - 1));
+    if (dueDate) { task.dueDate = dueDate; }
+  }
+
+  Object.assign(task, template, { isException: false });
+  return task.save();
+};
+
+/**
+ * Make sure every active series has an upcoming occurrence
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Array<object>>} Occurrences created
+ */
+const generateDueOccurrences = async (now = new Date()) => {
+  try {
+    const seriesList = await TaskSeries.find({ isActive: true });
+
+    const created = await Promise.all(seriesList.map(async series => {
+      const latest = await Task.findOne({ seriesId: series._id }).sort({ dueDate: -1 });
+      if (latest && latest.dueDate > now) { return null; }
+      return spawnNextOccurrence(series, now);
+    }));
+
+    return created.filter(Boolean);
+  } catch (error) {
+    logger.error('Error generating recurring tasks', { error: error.message, stack: error.stack });
+    return [];
+  }
+};
+
+/**
+ * Start periodic generation of recurring task occurrences
+ * @param {number} intervalMs - Interval between runs in milliseconds
+ * @returns {object} Interval handle
+ */
+const startTaskRecurrenceScheduler = (intervalMs) => {
+  logger.info('Starting task recurrence scheduler', { intervalMs });
+
+  const interval = setInterval(() => {
+    generateDueOccurrences()
+      .then(created => {
+        if (created.length > 0) { logger.info('Recurring tasks generated', { count: created.length }); }
+      })
+      .catch(error => logger.error('Scheduled task recurrence failed', { error: error.message }));
+  }, intervalMs);
+
+  // Do not keep the process alive just for the scheduler
+  interval.unref();
+  return interval;
+};
+
+module.exports = {
+  WEEKDAYS,
+  matchesDay,
+  nextOccurrence,
+  buildSeries,
+  createSeries,
+  startSeriesFromTask,
+  handleOccurrenceCompleted,
+  updateSeries,
+  endSeries,
+  spawnNextOccurrence,
+  generateDueOccurrences,
+  startTaskRecurrenceScheduler
+};
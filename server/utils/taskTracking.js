@@ -0,0 +1,166 @@
+/**
+ * Task Tracking
+ * Overdue state, due-soon and overdue reminders, and per-assignee workload
+ * summaries for tasks assigned to Users or Employees.
+ */
+
+const Task = require('../models/Task');
+const notificationController = require('../controllers/notificationController');
+const { config } = require('../config');
+const { logger } = require('./logger');
+
+/**
+ * Check whether a task is past its due date and still open
+ * @param {object} task - Task document
+ * @param {Date} [now] - Reference time
+ * @returns {boolean} True if the task is overdue
+ */
+const isOverdue = (task, now = new Date()) => !task.completed && new Date(task.dueDate) < now;
+
+/**
+ * Display name of a populated assignee (Employee name or User full name)
+ * @param {object} assignee - Populated User or Employee document
+ * @returns {string} Name, or an empty string when unassigned
+ */
+const assigneeName = (assignee) => {
+  if (!assignee) { return ''; }
+  if (assignee.name) { return assignee.name; }
+  const fullName = [assignee.firstName, assignee.lastName].filter(Boolean).join(' ');
+  return fullName || assignee.username || '';
+};
+
+/**
+ * Display name of a task's assignee, falling back to the free-text name of tasks not yet migrated
+ * @param {object} task - Task with assignedTo populated
+ * @returns {string} Name, or an empty string when unassigned
+ */
+const taskAssigneeName = (task) => assigneeName(task.assignedTo) || task.assigneeName || '';
+
+/**
+ * Count open, overdue, completed-on-time and late tasks per assignee
+ * @param {Array<object>} tasks - Tasks with assignedTo populated
+ * @param {Date} [now] - Reference time
+ * @returns {Array<object>} Workload rows ({ assigneeId, assigneeModel, name, open, overdue, completedOnTime, completedLate, byPond }), busiest first
+ */
+const summarizeWorkload = (tasks, now = new Date()) => {
+  const rows = new Map();
+
+  tasks.forEach(task => {
+    if (!task.assignedTo && !task.assigneeName) { return; }
+    // Free-text assignees are counted under their name until they are migrated
+    const assigneeId = task.assignedTo ? String(task.assignedTo._id || task.assignedTo) : `name:${task.assigneeName}`;
+
+    if (!rows.has(assigneeId)) {
+      rows.set(assigneeId, {
+        assigneeId,
+        assigneeModel: task.assignedTo ? task.assigneeModel : null,
+        name: taskAssigneeName(task),
+        open: 0,
+        overdue: 0,
+        completedOnTime: 0,
+        completedLate: 0,
+        byPond: {}
+      });
+    }
+    const row = rows.get(assigneeId);
+
+    if (task.completed) {
+      const completedAt = task.completedAt ? new Date(task.completedAt) : now;
+      if (completedAt <= new Date(task.dueDate)) {
+        row.completedOnTime++;
+      } else {
+        row.completedLate++;
+      }
+      return;
+    }
+
+    row.open++;
+    if (isOverdue(task, now)) { row.overdue++; }
+    // Open tasks per pond, so assignments can be balanced across pond teams
+    const pondKey = task.pondId ? String(task.pondId._id || task.pondId) : 'unassigned';
+    row.byPond[pondKey] = (row.byPond[pondKey] || 0) + 1;
+  });
+
+  return Array.from(rows.values()).sort((a, b) => b.open - a.open || b.overdue - a.overdue);
+};
+
+/**
+ * Raise notifications for tasks coming due within the reminder lead time and for tasks that became overdue
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<object>} Counts of reminders and overdue notices raised ({ reminders, overdue })
+ */
+const sendTaskReminders = async (now = new Date()) => {
+  try {
+    const leadTime = new Date(now.getTime() + config.tasks.reminderLeadMinutes * 60 * 1000);
+
+    const [dueSoon, overdue] = await Promise.all([
+      Task.find({ completed: false, reminderSentAt: null, dueDate: { $gt: now, $lte: leadTime } })
+        .populate('assignedTo'),
+      Task.find({ completed: false, overdueNotifiedAt: null, dueDate: { $lte: now } })
+        .populate('assignedTo')
+    ]);
+
+    const notify = async (task, field, build) => {
+      // Claim the task first so overlapping runs do not notify twice
+      const result = await Task.updateOne({ _id: task._id, [field]: null }, { $set: { [field]: now } });
+      if (result.modifiedCount === 0) { return false; }
+
+      const name = taskAssigneeName(task);
+      await notificationController.createNotificationInternal({
+        type: 'Task',
+        pondId: task.pondId,
+        ...build(name)
+      });
+      return true;
+    };
+
+    const dueText = (task) => new Date(task.dueDate).toLocaleString();
+
+    const reminders = await Promise.all(dueSoon.map(task => notify(task, 'reminderSentAt', name => ({
+      title: `Task due soon: ${task.title}`,
+      message: `"${task.title}" is due ${dueText(task)}${name ? ` (assigned to ${name})` : ''}.`,
+      priority: 'Medium'
+    }))));
+
+    const notices = await Promise.all(overdue.map(task => notify(task, 'overdueNotifiedAt', name => ({
+      title: `Task overdue: ${task.title}`,
+      message: `"${task.title}" was due ${dueText(task)}${name ? ` (assigned to ${name})` : ''} and is not completed.`,
+      priority: 'High'
+    }))));
+
+    return { reminders: reminders.filter(Boolean).length, overdue: notices.filter(Boolean).length };
+  } catch (error) {
+    logger.error('Error sending task reminders', { error: error.message, stack: error.stack });
+    return { reminders: 0, overdue: 0 };
+  }
+};
+
+/**
+ * Start periodic task reminder checks
+ * @param {number} intervalMs - Interval between checks in milliseconds
+ * @returns {object} Interval handle
+ */
+const startTaskReminderScheduler = (intervalMs) => {
+  logger.info('Starting task reminder scheduler', { intervalMs });
+
+  const interval = setInterval(() => {
+    sendTaskReminders()
+      .then(sent => {
+        if (sent.reminders > 0 || sent.overdue > 0) { logger.info('Task reminders raised', sent); }
+      })
+      .catch(error => logger.error('Scheduled task reminders failed', { error: error.message }));
+  }, intervalMs);
+
+  // Do not keep the process alive just for the scheduler
+  interval.unref();
+  return interval;
+};
+
+module.exports = {
+  isOverdue,
+  assigneeName,
+  taskAssigneeName,
+  summarizeWorkload,
+  sendTaskReminders,
+  startTaskReminderScheduler
+};
@@ -0,0 +1,81 @@
+/**
+ * Water Chemistry
+ * Parameters derived from several measured ones. Total ammonia is mostly
+ * harmless ammonium; the toxic un-ionized NH3 share rises with pH and
+ * temperature and falls with salinity. Dissolved oxygen is also reported as a
+ * percentage of what the water holds at saturation for its temperature and
+ * salinity, and nitrite toxicity follows the chloride to nitrite ratio,
+ * since chloride competes with nitrite for uptake at the gills.
+ */
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+// Request bodies may carry numbers as strings; blanks count as unmeasured
+const toNumber = (value) => (value === undefined || value === null || value === '' ? NaN : Number(value));
+
+// Chloride (mg/L) per ppt of salinity in seawater-derived water
+const CHLORIDE_PER_PPT = 553.5;
+
+/**
+ * Fraction of total ammonia present as un-ionized NH3. pKa from Emerson et al. (1975)
+ * with the ionic strength correction of Bower and Bidwell (1978) for salinity.
+ * @param {number} pH - pH
+ * @param {number} temperature - Temperature in °C
+ * @param {number} [salinity] - Salinity in ppt
+ * @returns {number} Fraction between 0 and 1
+ */
+const unionizedAmmoniaFraction = (pH, temperature, salinity = 0) => {
+  const ionicStrength = (19.9273 * salinity) / (1000 - 1.005109 * salinity);
+  const pKa = 0.09018 + 2729.92 / (temperature + 273.15) + (0.1552 - 0.000314 * temperature) * ionicStrength;
+  return 1 / (1 + Math.pow(10, pKa - pH));
+};
+
+/**
+ * Dissolved oxygen at saturation at sea level (Benson and Krause, as given in Standard Methods 4500-O)
+ * @param {number} temperature - Temperature in °C
+ * @param {number} [salinity] - Salinity in ppt
+ * @returns {number} mg/L
+ */
+const oxygenSaturation = (temperature, salinity = 0) => {
+  const kelvin = temperature + 273.15;
+  const freshwater = -139.34411 +
+    1.575701e5 / kelvin -
+    6.642308e7 / Math.pow(kelvin, 2) +
+    1.2438e10 / Math.pow(kelvin, 3) -
+    8.621949e11 / Math.pow(kelvin, 4);
+  const salinityFactor = salinity * (0.017674 - 10.754 / kelvin + 2140.7 / Math.pow(kelvin, 2));
+  return Math.exp(freshwater - salinityFactor);
+};
+
+/**
+ * Derived parameters of a reading; each is null when a value it needs was not measured
+ * @param {object} reading - Measured values (pH, temperature, salinity, dissolvedOxygen, ammonia, nitrite)
+ * @returns {object} { unionizedAmmonia, doSaturation, chlorideNitriteRatio }
+ */
+const deriveChemistry = (reading) => {
+  const [pH, temperature, salinity, dissolvedOxygen, ammonia, nitrite] =
+    ['pH', 'temperature', 'salinity', 'dissolvedOxygen', 'ammonia', 'nitrite'].map(name => toNumber(reading[name]));
+  const hasTemperature = !Number.isNaN(temperature);
+  const knownSalinity = Number.isNaN(salinity) ? 0 : salinity;
+
+  return {
+    // mg/L, in the same form (NH3 or NH3-N) total ammonia was measured in
+    unionizedAmmonia: hasTemperature && !Number.isNaN(pH) && !Number.isNaN(ammonia)
+      ? round(ammonia * unionizedAmmoniaFraction(pH, temperature, knownSalinity), 4)
+      : null,
+    // Percent of saturation; supersaturation above 100 is normal on sunny afternoons
+    doSaturation: hasTemperature && !Number.isNaN(dissolvedOxygen)
+      ? round((dissolvedOxygen / oxygenSaturation(temperature, knownSalinity)) * 100, 1)
+      : null,
+    // Chloride from salinity over nitrite; below about 6 nitrite is toxic even at low levels
+    chlorideNitriteRatio: !Number.isNaN(salinity) && nitrite > 0
+      ? round((salinity * CHLORIDE_PER_PPT) / nitrite, 1)
+      : null
+  };
+};
+
+module.exports = {
+  unionizedAmmoniaFraction,
+  oxygenSaturation,
+  deriveChemistry
+};
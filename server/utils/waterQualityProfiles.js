@@ -0,0 +1,312 @@
+/**
+ * Water Quality Profiles
+ * Optimal and acceptable water quality ranges per species and culture stage
+ * (nursery or grow-out, refined by days of culture). Built-in defaults cover
+ * every species a season can farm and admins override them with
+ * WaterQualityProfile documents, e.g. for low-salinity culture. Reading
+ * scores, quality ratings, parameter alerts and farm recommendations are all
+ * judged against the profile for the reading's species, stage and day.
+ */
+
+const Season = require('../models/Season');
+const Stocking = require('../models/Stocking');
+const NurseryBatch = require('../models/NurseryBatch');
+const WaterQualityProfile = require('../models/WaterQualityProfile');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SPECIES = ['Whiteleg Shrimp', 'Giant Tiger Prawn', 'Blue Shrimp', 'Other'];
+const STAGES = ['Nursery', 'GrowOut'];
+
+const PARAMETERS = {
+  pH: { label: 'pH', unit: '' },
+  dissolvedOxygen: { label: 'Dissolved oxygen', unit: ' mg/L' },
+  temperature: { label: 'Temperature', unit: '°C' },
+  salinity: { label: 'Salinity', unit: ' ppt' },
+  ammonia: { label: 'Ammonia', unit: ' mg/L' },
+  nitrite: { label: 'Nitrite', unit: ' mg/L' },
+  alkalinity: { label: 'Alkalinity', unit: ' mg/L' }
+};
+
+// Scored on every reading; the others only when they were measured
+const CORE_PARAMETERS = ['pH', 'dissolvedOxygen', 'temperature', 'salinity'];
+
+// Parameters whose breach puts stock at immediate risk
+const CRITICAL_PARAMETERS = ['pH', 'dissolvedOxygen', 'ammonia'];
+
+const range = (optimalMin, optimalMax, acceptableMin, acceptableMax) => ({ optimalMin, optimalMax, acceptableMin, acceptableMax });
+
+// Grow-out Whiteleg Shrimp keeps the ranges readings were scored against before profiles existed
+const DEFAULT_PROFILES = {
+  'Whiteleg Shrimp': {
+    Nursery: {
+      pH: range(7.8, 8.3, 7.5, 8.8),
+      dissolvedOxygen: range(5.5, undefined, 4),
+      temperature: range(28, 31, 24, 33),
+      salinity: range(15, 25, 10, 30),
+      ammonia: range(undefined, 0.1, undefined, 0.3),
+      nitrite: range(undefined, 0.5, undefined, 1),
+      alkalinity: range(120, 180, 80, 250)
+    },
+    GrowOut: {
+      pH: range(7.5, 8.5, 7, 9),
+      dissolvedOxygen: range(5, undefined, 3),
+      temperature: range(26, 32, 20, 35),
+      salinity: range(15, 25, 10, 30),
+      ammonia: range(undefined, 0.1, undefined, 0.5),
+      nitrite: range(undefined, 0.5, undefined, 1),
+      alkalinity: range(100, 180, 80, 250)
+    }
+  },
+  'Giant Tiger Prawn': {
+    Nursery: {
+      pH: range(7.8, 8.3, 7.5, 8.7),
+      dissolvedOxygen: range(5, undefined, 4),
+      temperature: range(28, 31, 25, 33),
+      salinity: range(15, 25, 10, 30),
+      ammonia: range(undefined, 0.1, undefined, 0.3),
+      nitrite: range(undefined, 0.3, undefined, 0.8),
+      alkalinity: range(100, 150, 80, 200)
+    },
+    GrowOut: {
+      pH: range(7.5, 8.5, 7, 9),
+      dissolvedOxygen: range(4, undefined, 3),
+      temperature: range(28, 30, 24, 33),
+      salinity: range(10, 25, 5, 35),
+      ammonia: range(undefined, 0.1, undefined, 0.45),
+      nitrite: range(undefined, 0.3, undefined, 0.8),
+      alkalinity: range(80, 150, 60, 220)
+    }
+  },
+  'Blue Shrimp': {
+    Nursery: {
+      pH: range(7.8, 8.3, 7.5, 8.8),
+      dissolvedOxygen: range(5.5, undefined, 4),
+      temperature: range(25, 29, 20, 31),
+      salinity: range(25, 35, 18, 40),
+      ammonia: range(undefined, 0.1, undefined, 0.3),
+      nitrite: range(undefined, 0.5, undefined, 1),
+      alkalinity: range(120, 180, 80, 250)
+    },
+    GrowOut: {
+      pH: range(7.5, 8.5, 7, 9),
+      dissolvedOxygen: range(5, undefined, 3.5),
+      temperature: range(24, 30, 18, 32),
+      salinity: range(25, 35, 15, 40),
+      ammonia: range(undefined, 0.1, undefined, 0.5),
+      nitrite: range(undefined, 0.5, undefined, 1),
+      alkalinity: range(100, 180, 80, 250)
+    }
+  }
+};
+
+/**
+ * Built-in profile for a species and stage; species without their own ranges use Whiteleg Shrimp's
+ * @param {string} [species] - Season primary species
+ * @param {string} [stage] - 'Nursery' or 'GrowOut'
+ * @returns {object} Profile ({ species, stage, fromDay, source, parameters })
+ */
+const defaultProfile = (species = 'Whiteleg Shrimp', stage = 'GrowOut') => {
+  const ranges = DEFAULT_PROFILES[species] || DEFAULT_PROFILES['Whiteleg Shrimp'];
+  return { species, stage, fromDay: 0, source: 'default', parameters: ranges[stage] || ranges.GrowOut };
+};
+
+/**
+ * Pick the profile in force on a day of culture: the one that started latest
+ * @param {Array<object>} profiles - Candidate profiles for one species and stage
+ * @param {number} daysOfCulture - Days since stocking
+ * @returns {object|undefined} Profile
+ */
+const selectProfile = (profiles, daysOfCulture) => profiles
+  .filter(profile => (profile.fromDay || 0) <= Math.max(0, daysOfCulture || 0))
+  .sort((a, b) => (b.fromDay || 0) - (a.fromDay || 0))[0];
+
+/**
+ * Combine the override in force on a day of culture with the defaults.
+ * Parameters an override leaves out keep their default ranges.
+ * @param {string} species - Season primary species
+ * @param {string} stage - 'Nursery' or 'GrowOut'
+ * @param {Array<object>} overrides - WaterQualityProfile documents for the species and stage
+ * @param {number} daysOfCulture - Days since stocking
+ * @returns {object} Profile ({ species, stage, fromDay, source, parameters, daysOfCulture })
+ */
+const mergeProfile = (species, stage, overrides, daysOfCulture) => {
+  const fallback = defaultProfile(species, stage);
+  const override = selectProfile(overrides, daysOfCulture);
+  if (!override) { return { ...fallback, daysOfCulture }; }
+
+  const parameters = { ...fallback.parameters };
+  Object.keys(PARAMETERS).forEach(name => {
+    if (override.parameters && override.parameters[name]) { parameters[name] = override.parameters[name]; }
+  });
+  return { _id: override._id, species, stage, fromDay: override.fromDay, source: 'custom', parameters, daysOfCulture };
+};
+
+/**
+ * Profile for a species and stage on a day of culture, preferring admin overrides to the defaults
+ * @param {object} context - What the reading was taken on
+ * @param {string} [context.species] - Season primary species
+ * @param {string} [context.stage] - 'Nursery' or 'GrowOut'
+ * @param {number} [context.daysOfCulture] - Days since stocking
+ * @returns {Promise<object>} Profile
+ */
+const resolveProfile = async ({ species = 'Whiteleg Shrimp', stage = 'GrowOut', daysOfCulture = 0 }) => {
+  const overrides = await WaterQualityProfile.find({ species, stage });
+  return mergeProfile(species, stage, overrides, daysOfCulture);
+};
+
+// Species, stage, culture start and overrides for a pond or nursery batch in a season
+const loadCulture = async ({ seasonId, pondId, nurseryBatchId }) => {
+  const batch = nurseryBatchId ? await NurseryBatch.findById(nurseryBatchId) : null;
+  const season = await Season.findById(seasonId || (batch && batch.seasonId));
+
+  let start = batch ? batch.startDate : null;
+  if (!batch && pondId) {
+    const firstStocking = await Stocking.findOne({ pondId, seasonId }).sort({ date: 1 });
+    start = firstStocking ? firstStocking.date : null;
+  }
+
+  const species = (season && season.primarySpecies) || 'Whiteleg Shrimp';
+  const stage = batch ? 'Nursery' : 'GrowOut';
+  return {
+    species,
+    stage,
+    start: start || (season && season.startDate),
+    overrides: await WaterQualityProfile.find({ species, stage })
+  };
+};
+
+const profileOn = (culture, date) => mergeProfile(
+  culture.species,
+  culture.stage,
+  culture.overrides,
+  culture.start ? Math.floor((new Date(date) - new Date(culture.start)) / DAY_MS) : 0
+);
+
+/**
+ * Profile for whatever a reading was taken on: a grow-out pond or a nursery batch
+ * @param {object} context - What the reading was taken on
+ * @param {string} [context.seasonId] - Season ID, for the species
+ * @param {string} [context.pondId] - Pond ID; culture days count from its first stocking
+ * @param {string} [context.nurseryBatchId] - Nursery batch ID; culture days count from its start
+ * @param {Date} [context.date] - Reading date
+ * @returns {Promise<object>} Profile
+ */
+const profileFor = async ({ seasonId, pondId, nurseryBatchId, date = new Date() }) =>
+  profileOn(await loadCulture({ seasonId, pondId, nurseryBatchId }), date);
+
+/**
+ * Create a profileFor that looks up each pond, nursery batch and season once,
+ * for readers judging many readings. IDs may be populated documents.
+ * @returns {function(object): Promise<object>} Loader taking the same context as profileFor
+ */
+const createProfileLoader = () => {
+  const cultures = new Map();
+  const idOf = value => (value && value._id) || value;
+  return ({ seasonId, pondId, nurseryBatchId, date = new Date() }) => {
+    const context = { seasonId: idOf(seasonId), pondId: idOf(pondId), nurseryBatchId: idOf(nurseryBatchId) };
+    const key = `${context.seasonId}:${context.pondId}:${context.nurseryBatchId}`;
+    if (!cultures.has(key)) { cultures.set(key, loadCulture(context)); }
+    return cultures.get(key).then(culture => profileOn(culture, date));
+  };
+};
+
+/**
+ * Load the profile for each reading into its $locals so the qualityScore
+ * virtual and getParameterAlerts judge it against its own species and stage.
+ * Each pond and season is looked up once however many readings it has.
+ * @param {Array<object>} readings - WaterQualityInput documents
+ * @returns {Promise<void>}
+ */
+const attachProfiles = async (readings) => {
+  const loadProfile = createProfileLoader();
+  await Promise.all(readings.filter(reading => reading && reading.$locals).map(async reading => {
+    reading.$locals.profile = await loadProfile({ seasonId: reading.seasonId, pondId: reading.pondId, date: reading.date });
+  }));
+};
+
+/**
+ * Where a value falls against a parameter range
+ * @param {number} value - Measured value
+ * @param {object} [bounds] - Range ({ optimalMin, optimalMax, acceptableMin, acceptableMax })
+ * @returns {string|null} 'optimal', 'acceptable' or 'outOfRange'; null when unmeasured or unranged
+ */
+const checkRange = (value, bounds) => {
+  if (typeof value !== 'number' || Number.isNaN(value) || !bounds) { return null; }
+  const within = (min, max) => (min === undefined || min === null || value >= min) && (max === undefined || max === null || value <= max);
+  if (within(bounds.optimalMin, bounds.optimalMax)) { return 'optimal'; }
+  if (within(bounds.acceptableMin, bounds.acceptableMax)) { return 'acceptable'; }
+  return 'outOfRange';
+};
+
+/**
+ * Human readable band of a range, e.g. "7.5-8.5" or ">5 mg/L"
+ * @param {string} name - Parameter name
+ * @param {object} bounds - Range
+ * @param {string} [band] - 'optimal' or 'acceptable'
+ * @returns {string} Description
+ */
+const describeRange = (name, bounds, band = 'optimal') => {
+  const unit = (PARAMETERS[name] && PARAMETERS[name].unit) || '';
+  const min = bounds[`${band}Min`];
+  const max = bounds[`${band}Max`];
+  const hasMin = min !== undefined && min !== null;
+  const hasMax = max !== undefined && max !== null;
+  if (hasMin && hasMax) { return `${min}-${max}${unit}`; }
+  if (hasMin) { return `>${min}${unit}`; }
+  if (hasMax) { return `<${max}${unit}`; }
+  return 'any';
+};
+
+const POINTS = { optimal: 25, acceptable: 15, outOfRange: 5 };
+
+/**
+ * Score a reading against a profile: 25 points per parameter in its optimal
+ * band, 15 in the acceptable band and 5 outside, averaged over the parameters scored
+ * @param {object} reading - Water quality values
+ * @param {object} profile - Profile
+ * @returns {object} { score, parameters } with each scored parameter's status
+ */
+const scoreReading = (reading, profile) => {
+  const parameters = {};
+  Object.keys(PARAMETERS).forEach(name => {
+    const status = checkRange(reading[name], profile.parameters[name]);
+    if (status) { parameters[name] = status; } else if (CORE_PARAMETERS.includes(name) && profile.parameters[name]) { parameters[name] = 'outOfRange'; }
+  });
+
+  const statuses = Object.values(parameters);
+  const score = statuses.length === 0 ? 0 : Math.round(statuses.reduce((sum, status) => sum + POINTS[status], 0) / statuses.length);
+  return { score, parameters };
+};
+
+/**
+ * Alerts for the parameters of a reading outside the profile's acceptable range
+ * @param {object} reading - Water quality values
+ * @param {object} profile - Profile
+ * @returns {Array<object>} Alerts ({ parameter, value, severity, message })
+ */
+const parameterAlerts = (reading, profile) => Object.keys(PARAMETERS)
+  .filter(name => checkRange(reading[name], profile.parameters[name]) === 'outOfRange')
+  .map(name => ({
+    parameter: name,
+    value: reading[name],
+    severity: CRITICAL_PARAMETERS.includes(name) ? 'high' : 'medium',
+    message: `${PARAMETERS[name].label} is outside the acceptable range (${describeRange(name, profile.parameters[name], 'acceptable')}) for ${profile.species}`
+  }));
+
+module.exports = {
+  SPECIES,
+  STAGES,
+  PARAMETERS,
+  DEFAULT_PROFILES,
+  defaultProfile,
+  selectProfile,
+  resolveProfile,
+  profileFor,
+  createProfileLoader,
+  attachProfiles,
+  checkRange,
+  describeRange,
+  scoreReading,
+  parameterAlerts
+};